@@ -17,23 +17,18 @@ DemoApp.prototype = Object.create(ShipGL.BaseApp.prototype);
 DemoApp.prototype.initialize = function()
 {
     this._initializeModels();
-    this._initializeCamera();
 };
 
 DemoApp.prototype.update = function(elapsed)
 {
     var changedActiveModel;
 
-    this.handleHeldKeys(elapsed);
-    
-    mat4.perspective(90, this.canvas.width / this.canvas.height,
-                     0.01 * this.curModel.diagonal,
-                     100  * this.curModel.diagonal, this.projMatrix);
-
     this.prevModel = this.curModel;
     this.curModel = this.models[this.modelOptions.selectedIndex];
-    this.curModel.setProjection(this.projMatrix);
-    this.curModel.setView(this.camera.viewMatrix);
+
+    // The selected model may still be loading.
+    if (!this.curModel)
+        return;
 
     changedActiveModel = this.prevModel != this.curModel;
 
@@ -41,13 +36,22 @@ DemoApp.prototype.update = function(elapsed)
     {
         this._initializeCamera();
     }
+
+    this.handleHeldKeys(elapsed);
+    
+    mat4.perspective(90, this.canvas.width / this.canvas.height,
+                     0.01, 100, this.projMatrix);
+
+    this.curModel.setProjection(this.projMatrix);
+    this.curModel.setView(this.camera.viewMatrix);
 };
 
 DemoApp.prototype.draw = function(elapsed)
 {
     this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
 
-    this.curModel.draw(elapsed);
+    if (this.curModel)
+        this.curModel.draw(elapsed);
 };
 
 DemoApp.prototype.handleHeldKeys = function(elapsed)
@@ -89,40 +93,43 @@ DemoApp.prototype._initializeModels = function()
 {
     this.modelOptions.selectedIndex = 0;
 
-    var vShaderCode = ShipGL.FileLoader.loadLocal("glsl/basic.vs") ||
-                      ShipGL.FileLoader.loadHttp("glsl/basic.vs");
-    var fShaderCode = ShipGL.FileLoader.loadLocal("glsl/basic.fs") ||
-                      ShipGL.FileLoader.loadHttp("glsl/basic.fs");
+    var scope = this;
 
-    var shaderProgram = new ShipGL.ShaderProgram(this.gl);
-    shaderProgram.create(vShaderCode, fShaderCode);
+    // Models are drawn as soon as they (and their textures) finish loading.
+    function makeOnLoad(index)
+    {
+        return function(model)
+        {
+            model.setModelMatrix(model.normalizationMatrix);
+            scope.models[index] = model;
+        };
+    };
+
+    function onError(error)
+    {
+        alert(error.message);
+    };
 
-    var i, model;
+    var i;
     for (i = 0; i < this.modelOptions.length; i++)
     {
-        model = new DemoModel(this.gl, this.modelOptions[i].value);
-        model.initialize(shaderProgram);
-        this.models.push(model);
+        this.models.push(null);
+        ShipGL.Model.load(this.gl, this.modelOptions[i].value,
+                          makeOnLoad(i), onError, ShipGL.StandardModel,
+                          { normalize: true });
     }
-    
-    this.curModel = this.models[this.modelOptions.selectedIndex];
 };
 
 DemoApp.prototype._initializeCamera = function()
 {
-    var camPos = vec3.create(this.curModel.center);
-    var camTranslate = vec3.createFrom(0, 0, 2 * this.curModel.diagonal);
-    vec3.add(camPos, camTranslate);
-    
-    camDir = vec4.create();
-    vec3.direction(this.curModel.center, camPos, camDir);
-
+    // Every model is normalized, so it is drawn centered at the origin
+    // with a diagonal of 1.
+    var camPos = vec3.createFrom(0, 0, 2);
+    var camTarget = vec3.createFrom(0, 0, 0);
     var camUp = vec3.createFrom(0, 1, 0);
 
-    camMoveSpeed = (this.curModel.diagonal / 100) + 1;
-    
-    this.camera = new ShipGL.Camera(camPos, this.curModel.center, camUp);
-    this.camera.setMoveSpeed(camMoveSpeed);
+    this.camera = new ShipGL.Camera(camPos, camTarget, camUp);
+    this.camera.setMoveSpeed(0.02);
 };
 
 function startWebGL()
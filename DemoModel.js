@@ -1,20 +1,19 @@
-DemoModel = function(gl, pathToJSON)
+DemoModel = function(gl, pathToJSON, json)
 {
-    ShipGL.Model.call(this, gl, pathToJSON);
+    ShipGL.Model.call(this, gl, pathToJSON, json);
 
-    this.program = new ShipGL.ShaderProgram(gl);
+    this.program = null;
     this.projMat = mat4.create();
     this.viewMat = mat4.create();
+    this.modelMat = mat4.create();
 
     this.drawType = this.gl.TRIANGLES;
 };
 
 DemoModel.prototype = Object.create(ShipGL.Model.prototype);
 
-DemoModel.prototype.initialize = function(shaderProgram)
+DemoModel.prototype.setProgram = function(shaderProgram)
 {
-    ShipGL.Model.prototype.initialize.call(this);
-
     this.program = shaderProgram;
 };
 
@@ -29,10 +28,11 @@ DemoModel.prototype.draw = function(elapsed)
     this.vbo.bind();
     
     var i, j, curNode, curMesh, curMaterial;
-    for (i = 0; i < this.json.nodes.length; i++)
+    for (i = 0; i < this.nodes.length; i++)
     {
-        curNode = this.json.nodes[i];
-        this.program.setUniformMat4("uModelMat", curNode.modelMatrix);
+        curNode = this.nodes[i];
+        mat4.multiply(this.normalizationMatrix, curNode.modelMatrix, this.modelMat);
+        this.program.setUniformMat4("uModelMat", this.modelMat);
 
         for (j = 0; j < curNode.meshIndices.length; j++)
         {
@@ -64,7 +64,7 @@ DemoModel.prototype.draw = function(elapsed)
             {
                 this.ibo.bind();
                 this.gl.drawElements(this.drawType, curMesh.indices.length,
-                                     this.gl.UNSIGNED_SHORT, curMesh.indicesByteOffset);
+                                     curMesh.indexType, curMesh.indicesByteOffset);
                 this.ibo.unbind();
             }
             else
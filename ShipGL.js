@@ -73,10 +73,74 @@ ShipGL.GLResource = function(gl)
  */
 
 /**
- * ShipGL.FileLoader can synchronously load both local and HTTP files.
- * Function documentation is provided through an example since JSDoc doesn't
- * have great support for documenting singleton-like objects.
+ * Creates a new ShipGL.FileLoadError instance. These are handed to the error
+ * callbacks of ShipGL.FileLoader's asynchronous loaders.
+ *
+ * @class ShipGL.FileLoadError
+ * @classdesc A ShipGL.FileLoadError describes why a file could not be loaded.
+ * @augments Error
+ *
+ * @param {string} url The URL of the file that failed to load
+ * @param {number} status The HTTP status code of the request (0 if the
+ *                        request never got a response)
+ * @param {string} reason Why the load failed ("error", "timeout", "abort",
+ *                        "status" or "parse")
+ * @param {string} [message] A human readable description of the failure
+ */
+ShipGL.FileLoadError = function(url, status, reason, message)
+{
+    /**
+     * @memberof ShipGL.FileLoadError#
+     * @description The error's name, always "ShipGL.FileLoadError"
+     * @name name
+     */
+    this.name = "ShipGL.FileLoadError";
+
+    /**
+     * @memberof ShipGL.FileLoadError#
+     * @description The URL of the file that failed to load
+     * @name url
+     */
+    this.url = url;
+
+    /**
+     * @memberof ShipGL.FileLoadError#
+     * @description The HTTP status code of the request (0 if the request
+     *              never got a response)
+     * @name status
+     */
+    this.status = status;
+
+    /**
+     * @memberof ShipGL.FileLoadError#
+     * @description Why the load failed ("error", "timeout", "abort",
+     *              "status" or "parse")
+     * @name reason
+     */
+    this.reason = reason;
+
+    /**
+     * @memberof ShipGL.FileLoadError#
+     * @description A human readable description of the failure
+     * @name message
+     */
+    this.message = message || ("Failed to load " + url + " (" + reason +
+                               ", status " + status + ")");
+};
+
+ShipGL.FileLoadError.prototype = Object.create(Error.prototype);
+ShipGL.FileLoadError.prototype.constructor = ShipGL.FileLoadError;
 
+/**
+ * ShipGL.FileLoader can load both local and HTTP files, either synchronously
+ * or asynchronously. Function documentation is provided through an example
+ * since JSDoc doesn't have great support for documenting singleton-like
+ * objects.
+ *
+ * Prefer the asynchronous loaders (loadText, loadJSON and loadArrayBuffer).
+ * The synchronous loaders freeze the page until the file arrives and
+ * synchronous requests on the main thread are deprecated by browsers.
+ *
  * @example
  * // Load a local text file named "war_and_peace.txt". Store string.
  * var localText = ShipGL.FileLoader.loadLocal("war_and_peace.txt");
@@ -93,6 +157,36 @@ ShipGL.GLResource = function(gl)
  * // don't want to make file-related modifications for it to work on a server.
  * var data = ShipGL.FileLoader.loadHttp("data.txt") ||
  *            ShipGL.FileLoader.loadLocal("data.txt");
+ *
+ * // Asynchronously load a text file. The asynchronous loaders accept both
+ * // local and HTTP responses, so no fallback chain is needed. The error
+ * // callback receives a ShipGL.FileLoadError carrying the url and status.
+ * ShipGL.FileLoader.loadText("data.txt",
+ *     function(text) { console.log(text); },
+ *     function(error) { console.log(error.url + ": " + error.status); });
+ *
+ * // Asynchronously load and parse a JSON model file, giving up after
+ * // 10 seconds. Malformed JSON is reported through the error callback
+ * // with a reason of "parse".
+ * ShipGL.FileLoader.loadJSON("godzilla.json",
+ *     function(json) { console.log(json.meshes.length); },
+ *     function(error) { console.log(error.message); },
+ *     { timeout: 10000 });
+ *
+ * // Asynchronously load binary data into an ArrayBuffer.
+ * ShipGL.FileLoader.loadArrayBuffer("godzilla.bin", function(buffer)
+ * {
+ *     var floats = new Float32Array(buffer);
+ * });
+ *
+ * // Every asynchronous loader takes (url, onLoad, [onError], [options])
+ * // and returns the underlying XMLHttpRequest, so a load can be aborted.
+ * // Recognized options are:
+ * //   mimeType, overrides the MIME type reported by the response
+ * //   timeout, the number of milliseconds to wait before giving up
+ * //            (0, the default, waits forever)
+ * // If onError is not given, load errors are thrown from the callback so
+ * // they at least show up in the console.
  */
 ShipGL.FileLoader = (function()
 {
@@ -113,8 +207,105 @@ ShipGL.FileLoader = (function()
         };
     };
 
+    // Local files report a status of 0 while HTTP files report 200, so
+    // both are accepted just like chaining loadLocal and loadHttp.
+    function isSuccessStatus(status)
+    {
+        return status == 0 || (status >= 200 && status < 300);
+    };
+
+    function makeAsynchronousLoader(responseType, defaultMimeType, parse)
+    {
+        return function(url, onLoad, onError, options)
+        {
+            options = options || {};
+
+            var mimeType = options.mimeType || defaultMimeType;
+            var finished = false;
+            var req = new XMLHttpRequest();
+
+            function fail(status, reason, message)
+            {
+                if (finished)
+                    return;
+
+                finished = true;
+
+                var error = new ShipGL.FileLoadError(url, status, reason, message);
+
+                if (!onError)
+                {
+                    throw error;
+                }
+
+                onError(error);
+            };
+
+            function succeed(data)
+            {
+                if (finished)
+                    return;
+
+                finished = true;
+                onLoad(data);
+            };
+
+            req.open("GET", url, true);
+            req.responseType = responseType;
+
+            if (mimeType)
+            {
+                req.overrideMimeType(mimeType);
+            }
+
+            if (options.timeout)
+            {
+                req.timeout = options.timeout;
+            }
+
+            req.onload = function()
+            {
+                var data = req.response;
+
+                // A status of 0 with no response is a failed local load.
+                if (!isSuccessStatus(req.status) ||
+                    (req.status == 0 && data === null))
+                {
+                    fail(req.status, "status");
+                    return;
+                }
+
+                if (parse)
+                {
+                    try
+                    {
+                        data = parse(data);
+                    }
+                    catch (e)
+                    {
+                        fail(req.status, "parse", "Failed to parse " + url +
+                                                  ": " + e.message);
+                        return;
+                    }
+                }
+
+                succeed(data);
+            };
+
+            req.onerror   = function() { fail(req.status, "error"); };
+            req.ontimeout = function() { fail(req.status, "timeout"); };
+            req.onabort   = function() { fail(req.status, "abort"); };
+
+            req.send(null);
+            return req;
+        };
+    };
+
     return { loadLocal: makeSynchronousLoader(0),
-             loadHttp: makeSynchronousLoader(200)
+             loadHttp: makeSynchronousLoader(200),
+             loadText: makeAsynchronousLoader("text"),
+             loadJSON: makeAsynchronousLoader("text", "application/json", JSON.parse),
+             loadArrayBuffer: makeAsynchronousLoader("arraybuffer")
     };
 })();
 /**
@@ -601,6 +792,15 @@ ShipGL.Buffer = function(gl, BufferType, ArrayType)
      */
     this.bytesPerElement = this.ArrayType.BYTES_PER_ELEMENT;
 
+    /**
+     * @memberof ShipGL.Buffer#
+     * @description The WebGL type of the buffer's elements (FLOAT,
+     *              UNSIGNED_SHORT, UNSIGNED_INT, etc.). For index buffers,
+     *              pass this to drawElements. Do not modify this!
+     * @name dataType
+     */
+    this.dataType = ShipGL.Buffer.dataTypeOf(gl, ArrayType);
+
     /**
      * @memberof ShipGL.Buffer#
      * @description Number of elements in buffer's underlying array.
@@ -617,6 +817,36 @@ ShipGL.Buffer = function(gl, BufferType, ArrayType)
      * @name byteCount
      */
     this.byteCount = 0;
+
+    /**
+     * @memberof ShipGL.Buffer#
+     * @description The WebGL storage hint the buffer was allocated with
+     *              (STATIC_DRAW, DYNAMIC_DRAW or STREAM_DRAW). Do not modify
+     *              this! See allocate and setDynamic.
+     * @name usage
+     */
+    this.usage = this.gl.STATIC_DRAW;
+
+    /**
+     * @memberof ShipGL.Buffer#
+     * @description Boolean indicating whether the buffer grows to fit
+     *              writes past its end. See setDynamic. Do not modify this!
+     * @name isDynamic
+     */
+    this.isDynamic = false;
+
+    /**
+     * @memberof ShipGL.Buffer#
+     * @description A copy of the buffer's contents in memory (an array of
+     *              ArrayType), or null if the buffer has none. See
+     *              enableShadowCopy. If you modify it directly, call
+     *              markDirty and flush to upload the changes.
+     * @name shadow
+     */
+    this.shadow = null;
+
+    this._isShadowed = false;
+    this._dirtyRanges = [];
 };
 
 /**
@@ -633,6 +863,43 @@ ShipGL.Buffer.unbindAll = function(gl)
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
 };
 
+/**
+ * Look up the WebGL type matching a typed array type.
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {number} ArrayType The typed array type (Float32Array, Uint16Array,
+ *                           etc.)
+ * @return {number} The WebGL type (FLOAT, UNSIGNED_SHORT, etc.)
+ */
+ShipGL.Buffer.dataTypeOf = function(gl, ArrayType)
+{
+    switch (ArrayType)
+    {
+        case Int8Array:    return gl.BYTE;
+        case Uint8Array:   return gl.UNSIGNED_BYTE;
+        case Int16Array:   return gl.SHORT;
+        case Uint16Array:  return gl.UNSIGNED_SHORT;
+        case Int32Array:   return gl.INT;
+        case Uint32Array:  return gl.UNSIGNED_INT;
+        default:           return gl.FLOAT;
+    }
+};
+
+/**
+ * Enable 32-bit index buffers (Uint32Array index buffers drawn with
+ * UNSIGNED_INT) through the OES_element_index_uint extension.
+ *
+ * WebGL 1 only supports 16-bit indices without the extension, which limits
+ * an indexed draw to 65,536 distinct vertices.
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @return {boolean} True if 32-bit index buffers are supported
+ */
+ShipGL.Buffer.enableUint32Indices = function(gl)
+{
+    return !!gl.getExtension("OES_element_index_uint");
+};
+
 ShipGL.Buffer.prototype = Object.create(ShipGL.GLResource.prototype);
 
 /**
@@ -655,6 +922,63 @@ ShipGL.Buffer.prototype.unbind = function()
     this.gl.bindBuffer(this.BufferType, null);
 };
 
+/**
+ * Keep a shadow copy of the buffer's contents in memory, so they can be
+ * read back (WebGL can't read buffers) and uploaded again after the
+ * context is lost. Every write updates the copy. Call this before
+ * allocating the buffer.
+ *
+ * @example
+ * var vbo = new ShipGL.Buffer(gl, gl.ARRAY_BUFFER, Float32Array);
+ * vbo.enableShadowCopy();
+ * vbo.bind();
+ * vbo.allocate(300);
+ * vbo.write(positions);
+ *
+ * // Read it back.
+ * var firstVertex = vbo.slice(0, 3);
+ *
+ * // Change a few values, and upload only those when drawing next.
+ * vbo.update([0.0, 1.0, 0.0], 3);
+ * vbo.shadow[100] = 2.0;
+ * vbo.markDirty(100, 101);
+ * vbo.flush();
+ *
+ * // After the context is restored (see the webglcontextrestored event),
+ * // create the WebGL buffer again.
+ * vbo.restore();
+ *
+ * @this {ShipGL.Buffer}
+ */
+ShipGL.Buffer.prototype.enableShadowCopy = function()
+{
+    this._isShadowed = true;
+
+    if (!this.shadow)
+    {
+        this.shadow = new this.ArrayType(this.length);
+    }
+};
+
+/**
+ * Make the buffer dynamic: writes past its end grow it (to at least twice
+ * its length), preserving its contents. To do so, a dynamic buffer keeps a
+ * shadow copy of its contents (see enableShadowCopy). Call this before
+ * allocating the buffer.
+ *
+ * @this {ShipGL.Buffer}
+ *
+ * @param {number} [usageTip=DYNAMIC_DRAW] The WebGL storage hint.
+ *                                         STREAM_DRAW suits data that is
+ *                                         replaced every frame.
+ */
+ShipGL.Buffer.prototype.setDynamic = function(usageTip)
+{
+    this.isDynamic = true;
+    this.usage = usageTip || this.gl.DYNAMIC_DRAW;
+    this.enableShadowCopy();
+};
+
 /**
  * Allocates a buffer, initializing its contents to 0.
  *
@@ -666,14 +990,90 @@ ShipGL.Buffer.prototype.unbind = function()
  * @this {ShipGL.Buffer}
  *
  * @param {number} length The size of the buffer (in terms of elements)
- * @param {number} [usageTip=STATIC_DRAW] The WebGL storage hint
+ * @param {number} [usageTip=STATIC_DRAW] The WebGL storage hint. Dynamic
+ *                                        buffers default to the hint
+ *                                        passed to setDynamic.
  */
 ShipGL.Buffer.prototype.allocate = function(length, usageTip)
 {
-    usageTip = usageTip || this.gl.STATIC_DRAW;
-    this.length = length;
-    this.byteCount = this.bytesPerElement * this.length;
-    this.gl.bufferData(this.BufferType, this.byteCount, usageTip);
+    this.usage = usageTip || (this.isDynamic ? this.usage : this.gl.STATIC_DRAW);
+    this._resize(length);
+    this.gl.bufferData(this.BufferType, this.byteCount, this.usage);
+};
+
+/**
+ * Grow a dynamic buffer to hold at least length elements, preserving its
+ * contents. Does nothing if the buffer is already big enough.
+ *
+ * Assumes buffer has been bound.
+ *
+ * @this {ShipGL.Buffer}
+ *
+ * @param {number} length The size the buffer should at least have (in
+ *                        terms of elements)
+ */
+ShipGL.Buffer.prototype.reserve = function(length)
+{
+    if (length <= this.length)
+    {
+        return;
+    }
+
+    if (!this.isDynamic)
+    {
+        throw new Error("ShipGL.Buffer.reserve: only dynamic buffers can grow! " +
+                        "See setDynamic.");
+    }
+
+    var oldShadow = this.shadow;
+
+    this._resize(length);
+    this.shadow.set(oldShadow);
+    this.gl.bufferData(this.BufferType, this.shadow, this.usage);
+};
+
+/**
+ * Orphan the buffer's storage: the buffer gets fresh storage of the same
+ * size, initialized to 0, while draws that are still reading the old
+ * storage finish undisturbed. This avoids stalling on buffers rewritten
+ * every frame. See replace.
+ *
+ * Assumes buffer has been allocated and bound.
+ *
+ * @this {ShipGL.Buffer}
+ */
+ShipGL.Buffer.prototype.orphan = function()
+{
+    this._resize(this.length);
+    this.gl.bufferData(this.BufferType, this.byteCount, this.usage);
+};
+
+/**
+ * Replace the buffer's contents with array, orphaning the old storage
+ * first. Meant for per-frame updates of dynamic buffers, which grow to fit
+ * array if needed. Elements past the end of array are set to 0.
+ *
+ * Assumes buffer has been allocated and bound.
+ *
+ * @this {ShipGL.Buffer}
+ *
+ * @param {Array} array The new contents
+ */
+ShipGL.Buffer.prototype.replace = function(array)
+{
+    if (array.length > this.length)
+    {
+        if (!this.isDynamic)
+        {
+            throw new Error("ShipGL.Buffer.replace: array doesn't fit, and only " +
+                            "dynamic buffers can grow! See setDynamic.");
+        }
+
+        this._resize(Math.max(array.length, 2 * this.length));
+    }
+
+    this.orphan();
+    this.write(array);
 };
 
 /** Writes contents of array into the buffer, starting at index.
@@ -684,7 +1084,8 @@ ShipGL.Buffer.prototype.allocate = function(length, usageTip)
  * if you had a buffer storing [1, 2, 3], and you wanted to write [4, 5] into
  * the last two slots, you would specify array as [4, 5] and the index as 1.
  *
- * Assumes buffer has been allocated and bound.
+ * Assumes buffer has been allocated and bound. Writing past the end of a
+ * dynamic buffer grows it first (see setDynamic).
  *
  * @example
  * // Assume gl is a valid WebGL context.
@@ -710,15 +1111,29 @@ ShipGL.Buffer.prototype.allocate = function(length, usageTip)
  *
  * @this {ShipGL.Buffer}
  *
- * @param {Array} array The array to be written into the buffer
+ * @param {Array} array The array to be written into the buffer. Prefer
+ *                     passing a typed array of the buffer's ArrayType,
+ *                     which is written without being copied first.
  * @param {number} [index=0] The starting point of the write
  */
 ShipGL.Buffer.prototype.write = function(array, index)
 {
     index = index || 0;
+
+    if (this.isDynamic && index + array.length > this.length)
+    {
+        this.reserve(Math.max(index + array.length, 2 * this.length));
+    }
+
+    if (this.shadow)
+    {
+        this.shadow.set(array, index);
+    }
+
+    // Typed arrays of the right type are uploaded without a copy.
     this.gl.bufferSubData(this.BufferType,
                           index * this.bytesPerElement,
-                          new this.ArrayType(array));
+                          array instanceof this.ArrayType ? array : new this.ArrayType(array));
 };
 
 /**
@@ -732,135 +1147,176 @@ ShipGL.Buffer.prototype.write = function(array, index)
 ShipGL.Buffer.prototype.deallocate = function()
 {
     this.gl.deleteBuffer(this.rawBuffer);
+    this.shadow = null;
+    this._dirtyRanges = [];
 };
+
 /**
- * @file Contains all ShipGL.BufferUtilities code.
- * @author Jason Shipman
- *
- * Copyright (C) 2012 Jason Shipman
- * This software is provided 'as-is', without any express or implied warranty.
- * In no event will the authors be held liable for any damages arising from the
- * use of this software.
- *
- * Permission is granted to anyone to use this software for any purpose,
- * including commercial applications, and to alter it and redistribute it
- * freely, subject to the following restrictions:
- *
- * 1. The origin of this software must not be misrepresented; you must not
- * claim that you wrote the original software. If you use this software
- * in a product, an acknowledgment in the product documentation would be
- * appreciated but is not required.
+ * Get one element of the buffer from its shadow copy.
  *
- * 2. Altered source versions must be plainly marked as such, and must not be
- * misrepresented as being the original software.
+ * @this {ShipGL.Buffer}
  *
- * 3. This notice may not be removed or altered from any source distribution.
+ * @param {number} index The index of the element
+ * @return {number} The element
  */
+ShipGL.Buffer.prototype.get = function(index)
+{
+    return this._checkShadow("get")[index];
+};
 
 /**
- * Creates a new ShipGL.BufferUtilities instance.
+ * Copy elements of the buffer out of its shadow copy.
  *
- * @class ShipGL.BufferUtilities
- * @classdesc A ShipGL.BufferUtilities object provides a means to create
- *            and initialize a ShipGL.Buffer object in a single line.
- * @augments ShipGL.GLResource
+ * @this {ShipGL.Buffer}
  *
- * @param {WebGLRenderingContext} gl The rendering context
+ * @param {number} [begin=0] The index of the first element
+ * @param {number} [end=length] The index after the last element
+ * @return {Array} A new array of ArrayType holding the elements
  */
-ShipGL.BufferUtilities = function(gl)
+ShipGL.Buffer.prototype.slice = function(begin, end)
 {
-    ShipGL.GLResource.call(this, gl);
+    var shadow = this._checkShadow("slice");
 
-    /**
-     * @memberof ShipGL.BufferUtilities#
-     * @description Function that creates and initializes a ShipGL.Buffer
-     *              vertex buffer. Just pass in an array and and an optional
-     *              length. If length is not specified, buffer is initalized
-     *              to whole array.
-     * @name createVertexBuffer
-     * @see ShipGL.Buffer
-     * @example
-     * // Assume gl is a valid WebGL context.
-     * var gl;
-     *
-     * // Assume positions is an array containing a bunch of vertex positions.
-     * var positions = [1.0, 2.0, 3.0, ...];
-     *
-     * // Create a ShipGL.BufferUtilities instance.
-     * var bufferUtils = new ShipGL.BufferUtilities(gl);
-     *
-     * // Create a ShipGL.Buffer initialized to contain the contents
-     * // of the positions array.
-     * var someVertexBuffer = bufferUtils.createVertexBuffer(positions);
-     *
-     * // Create another ShipGL.Buffer initialized to contain the first 9
-     * // elements in the positions array.
-     * var anotherVertexBuffer = bufferUtils.createVertexBuffer(positions, 9);
-     */
-    this.createVertexBuffer = this.makeBufferCreator(this.gl.ARRAY_BUFFER, Float32Array);
-    
-    /**
-     * @memberof ShipGL.BufferUtilities#
-     * @description Function that creates and initializes a ShipGL.Buffer
-     *              index buffer. Just pass in an array and and an optional
-     *              length. If length is not specified, buffer is initalized
-     *              to whole array.
-     * @name createIndexBuffer
-     * @see ShipGL.Buffer
-     * @example
-     * // Assume gl is a valid WebGL context.
-     * var gl;
-     *
-     * // Assume indices is an array containing a bunch of index data.
-     * var indices = [0, 1, 2, ...];
-     *
-     * // Create a ShipGL.BufferUtilities instance.
-     * var bufferUtils = new ShipGL.BufferUtilities(gl);
-     *
-     * // Create a ShipGL.Buffer initialized to contain the contents
-     * // of the indices array.
-     * var someIndexBuffer = bufferUtils.createIndexBuffer(indices);
-     *
-     * // Create another ShipGL.Buffer initialized to contain the first 9
-     * // elements in the indices array.
-     * var anotherIndexBuffer = bufferUtils.createIndexBuffer(indices, 9);
-     */
-    this.createIndexBuffer = this.makeBufferCreator(this.gl.ELEMENT_ARRAY_BUFFER, Uint16Array);
-};
+    begin = begin || 0;
+    end = end === undefined ? this.length : end;
 
-ShipGL.BufferUtilities.prototype = Object.create(ShipGL.GLResource.prototype);
+    return new this.ArrayType(shadow.subarray(begin, end));
+};
 
 /**
- * Makes a specific buffer creation/initialization function.
+ * Write an array into the shadow copy only, starting at index, and mark
+ * the range dirty. The changes are uploaded by flush, so several updates
+ * can share one upload. Like write, dynamic buffers grow to fit.
  *
- * @see ShipGL.Buffer
+ * @this {ShipGL.Buffer}
  *
- * @this {ShipGL.BufferUtilities}
+ * @param {Array} array The array to be written
+ * @param {number} [index=0] The starting point of the write
+ */
+ShipGL.Buffer.prototype.update = function(array, index)
+{
+    index = index || 0;
+
+    if (this.isDynamic && index + array.length > this.length)
+    {
+        this.reserve(Math.max(index + array.length, 2 * this.length));
+    }
+
+    this._checkShadow("update").set(array, index);
+    this.markDirty(index, index + array.length);
+};
+
+/**
+ * Mark a range of the shadow copy as modified, to be uploaded by flush.
+ * Overlapping and adjacent ranges are merged.
  *
- * @param {number} BufferType The buffer's type (ARRAY_BUFFER or
- *                            ELEMENT_ARRAY_BUFFER)
- * @param {number} ArrayType The buffer's underlying array type (Float32Array,
- *                           Uint16Array, etc.)
+ * @this {ShipGL.Buffer}
  *
- * @return A tailor-made function that can create and initialize ShipGL.Buffer's.
+ * @param {number} begin The index of the first modified element
+ * @param {number} end The index after the last modified element
  */
-ShipGL.BufferUtilities.prototype.makeBufferCreator = function(BufferType, ArrayType)
+ShipGL.Buffer.prototype.markDirty = function(begin, end)
 {
-    return function(array, length)
+    var ranges = this._dirtyRanges;
+    var merged = [], i = 0;
+
+    while (i < ranges.length && ranges[i].end < begin)
     {
-        length = length || array.length;
-        var buffer = new ShipGL.Buffer(this.gl, BufferType, ArrayType);
+        merged.push(ranges[i++]);
+    }
 
-        buffer.bind();
-        buffer.allocate(length);
-        buffer.write(array);
-        buffer.unbind();
+    while (i < ranges.length && ranges[i].begin <= end)
+    {
+        begin = Math.min(begin, ranges[i].begin);
+        end = Math.max(end, ranges[i].end);
+        i++;
+    }
 
-        return buffer;
-    };
+    merged.push({ begin: begin, end: end });
+    this._dirtyRanges = merged.concat(ranges.slice(i));
 };
+
 /**
- * @file Contains all ShipGL.ShaderProgram code.
+ * Check whether the shadow copy has changes that flush has yet to upload.
+ *
+ * @this {ShipGL.Buffer}
+ *
+ * @return {boolean} Whether or not any range is dirty
+ */
+ShipGL.Buffer.prototype.isDirty = function()
+{
+    return this._dirtyRanges.length > 0;
+};
+
+/**
+ * Upload the dirty ranges of the shadow copy.
+ *
+ * Assumes buffer has been allocated and bound.
+ *
+ * @this {ShipGL.Buffer}
+ */
+ShipGL.Buffer.prototype.flush = function()
+{
+    var shadow = this._checkShadow("flush");
+
+    var i, range;
+    for (i = 0; i < this._dirtyRanges.length; i++)
+    {
+        range = this._dirtyRanges[i];
+        this.gl.bufferSubData(this.BufferType, range.begin * this.bytesPerElement,
+                              shadow.subarray(range.begin, range.end));
+    }
+
+    this._dirtyRanges = [];
+};
+
+/**
+ * Create the raw WebGL buffer again and upload the shadow copy into it.
+ * Use this after the WebGL context was lost and restored, which destroys
+ * every buffer. Vertex arrays referring to the buffer must be set up
+ * again too.
+ *
+ * @this {ShipGL.Buffer}
+ */
+ShipGL.Buffer.prototype.restore = function()
+{
+    var shadow = this._checkShadow("restore");
+
+    this.rawBuffer = this.gl.createBuffer();
+
+    this.bind();
+    this.gl.bufferData(this.BufferType, shadow, this.usage);
+    this.unbind();
+
+    this._dirtyRanges = [];
+};
+
+// Sets the buffer's length, resetting the shadow copy to match the fresh
+// storage that follows.
+ShipGL.Buffer.prototype._resize = function(length)
+{
+    this.length = length;
+    this.byteCount = this.bytesPerElement * this.length;
+
+    if (this._isShadowed)
+    {
+        this.shadow = new this.ArrayType(this.length);
+        this._dirtyRanges = [];
+    }
+};
+
+ShipGL.Buffer.prototype._checkShadow = function(methodName)
+{
+    if (!this.shadow)
+    {
+        throw new Error("ShipGL.Buffer." + methodName + ": the buffer has no " +
+                        "shadow copy! See enableShadowCopy.");
+    }
+
+    return this.shadow;
+};
+/**
+ * @file Contains all ShipGL.InstanceBuffer code.
  * @author Jason Shipman
  *
  * Copyright (C) 2012 Jason Shipman
@@ -884,700 +1340,1010 @@ ShipGL.BufferUtilities.prototype.makeBufferCreator = function(BufferType, ArrayT
  */
 
 /**
- * Creates a new ShipGL.ShaderProgram instance.
+ * Creates a new ShipGL.InstanceBuffer instance.
  *
- * @class ShipGL.ShaderProgram
- * @classdesc A ShipGL.ShaderProgram object provides a convenient interface
- *            to a raw WebGL shader program.
+ * @class ShipGL.InstanceBuffer
+ * @classdesc A ShipGL.InstanceBuffer holds the per-instance data of an
+ *            instanced draw: a model matrix and an RGBA color for every
+ *            instance. The data is kept in a Float32Array and uploaded to a
+ *            ShipGL.Buffer when it changes.
  * @augments ShipGL.GLResource
  *
  * @param {WebGLRenderingContext} gl The rendering context
- */
-ShipGL.ShaderProgram = function(gl)
+ * @param {number} [capacity=16] The number of instances to make room for.
+ *                               The buffer grows as needed.
+ * @example
+ * // Place 100 trees, each with a slightly different tint.
+ * var trees = new ShipGL.InstanceBuffer(gl, 100);
+ * var matrix = mat4.create();
+ *
+ * for (var i = 0; i < 100; i++)
+ * {
+ *     mat4.identity(matrix);
+ *     mat4.translate(matrix, [(i % 10) * 5, 0, Math.floor(i / 10) * 5]);
+ *     trees.add(matrix, [1, 0.8 + 0.02 * (i % 10), 1, 1]);
+ * }
+ *
+ * // Draw all of them in one call per mesh. See
+ * // ShipGL.StandardModel.prototype.drawInstanced.
+ * treeModel.drawInstanced(trees);
+ *
+ * // Move one tree. The change is uploaded the next time the instances
+ * // are bound.
+ * trees.setMatrix(42, newMatrix);
+ *
+ * // Each instance takes ShipGL.InstanceBuffer.STRIDE floats of the buffer:
+ * // its matrix at MATRIX_OFFSET and its color at COLOR_OFFSET. To use the
+ * // buffer in your own shader:
+ * trees.bind();
+ * program.enableMatrixAttributeArray("aInstanceMatrix");
+ * program.setAttributeBufferMat4f("aInstanceMatrix", ShipGL.InstanceBuffer.STRIDE,
+ *                                 ShipGL.InstanceBuffer.MATRIX_OFFSET);
+ * program.setMatrixAttributeDivisor("aInstanceMatrix", 1);
+ */
+ShipGL.InstanceBuffer = function(gl, capacity)
 {
     ShipGL.GLResource.call(this, gl);
-    
+
+    capacity = capacity || 16;
+
     /**
-     * @memberof ShipGL.ShaderProgram#
-     * @description The raw WebGL shader program. Prefer using the methods
-     *              provided instead of accessing this directly. Be careful!
-     * @name rawProgram
+     * @memberof ShipGL.InstanceBuffer#
+     * @description The per-instance data, ShipGL.InstanceBuffer.STRIDE
+     *              floats per instance. Call markDirty after modifying it
+     *              directly.
+     * @name data
      */
-    this.rawProgram = this.gl.createProgram();
+    this.data = new Float32Array(capacity * ShipGL.InstanceBuffer.STRIDE);
 
-    // Bytes per float (4).
-    this._bpf = Float32Array.BYTES_PER_ELEMENT;
+    /**
+     * @memberof ShipGL.InstanceBuffer#
+     * @description The number of instances drawn.
+     * @name count
+     */
+    this.count = 0;
 
-    // Bytes per unsigned short (2).
-    this._bps = Uint16Array.BYTES_PER_ELEMENT;
+    /**
+     * @memberof ShipGL.InstanceBuffer#
+     * @description The ShipGL.Buffer holding the uploaded data.
+     * @name buffer
+     */
+    this.buffer = new ShipGL.Buffer(gl, gl.ARRAY_BUFFER, Float32Array);
+
+    this._isDirty = true;
 };
 
-ShipGL.ShaderProgram.prototype = Object.create(ShipGL.GLResource.prototype);
+ShipGL.InstanceBuffer.prototype = Object.create(ShipGL.GLResource.prototype);
 
 /**
- * Bind the shader program to the WebGL rendering context.
- *
- * @this {ShipGL.ShaderProgram}
+ * The number of floats per instance.
  */
-ShipGL.ShaderProgram.prototype.bind = function()
-{
-    this.gl.useProgram(this.rawProgram);
-};
+ShipGL.InstanceBuffer.STRIDE = 20;
 
 /**
- * Unbind the shader program from the WebGL rendering context.
- *
- * @this {ShipGL.ShaderProgram}
+ * The offset of an instance's model matrix, in floats.
  */
-ShipGL.ShaderProgram.prototype.unbind = function()
-{
-    this.gl.useProgram(null);
-};
+ShipGL.InstanceBuffer.MATRIX_OFFSET = 0;
 
 /**
- * Create the shader program from vertex and fragment shader sources.
- *
- * @this {ShipGL.ShaderProgram}
- *
- * @param {string} vShaderCode The vertex shader code
- * @param {string} fShaderCode The fragment shader code
+ * The offset of an instance's color, in floats.
  */
-ShipGL.ShaderProgram.prototype.create = function(vShaderCode, fShaderCode)
-{
-    var vShader = this.createShader(this.gl.VERTEX_SHADER,   vShaderCode);
-    var fShader = this.createShader(this.gl.FRAGMENT_SHADER, fShaderCode);
-
-    this.gl.attachShader(this.rawProgram, vShader);
-    this.gl.attachShader(this.rawProgram, fShader);
-    
-    this.gl.linkProgram(this.rawProgram);
-    if (!this.gl.getProgramParameter(this.rawProgram, this.gl.LINK_STATUS))
-    {
-        alert("GLSL LINK ERROR!\n" + this.gl.getProgramInfoLog(this.rawProgram));
-        return null;
-    }
-};
+ShipGL.InstanceBuffer.COLOR_OFFSET = 16;
 
 /**
- * Create and compile a shader from source.
+ * Add an instance after the last one.
  *
- * Don't need to call this function. Just use create method. createShader is
- * used internally by create.
- *
- * @this {ShipGL.ShaderProgram}
+ * @this {ShipGL.InstanceBuffer}
  *
- * @param {number} shaderType The type of shader
- *                            (VERTEX_SHADER or FRAGMENT_SHADER)
- * @param {string} code The shader code (for either vertex or fragment shader)
+ * @param {mat4} matrix The instance's model matrix
+ * @param {Array} [color=[1, 1, 1, 1]] The instance's RGBA color
+ * @return {number} The index of the new instance
  */
-ShipGL.ShaderProgram.prototype.createShader = function(shaderType, code)
+ShipGL.InstanceBuffer.prototype.add = function(matrix, color)
 {
-    var shader = this.gl.createShader(shaderType);
-    this.gl.shaderSource(shader, code);
-    this.gl.compileShader(shader);
-    
-    if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS))
-    {
-        alert("GLSL COMPILE ERROR!\n" + code + '\n' +
-              this.gl.getShaderInfoLog(shader));
-        return null;
-    }
+    var index = this.count;
+    this.setInstance(index, matrix, color);
 
-    return shader;
+    return index;
 };
 
 /**
- * Look up the attribute location for the passed in attribute name.
+ * Set an instance's model matrix and color. Setting an instance past the
+ * last one increases count, making room as needed.
  *
- * @this {ShipGL.ShaderProgram}
+ * @this {ShipGL.InstanceBuffer}
  *
- * @param {string} attName The attribute name string
- * @return {number} The attribute location
+ * @param {number} index The instance's index
+ * @param {mat4} matrix The instance's model matrix
+ * @param {Array} [color=[1, 1, 1, 1]] The instance's RGBA color
  */
-ShipGL.ShaderProgram.prototype.attributeLocation = function(attName)
+ShipGL.InstanceBuffer.prototype.setInstance = function(index, matrix, color)
 {
-    var loc = this.gl.getAttribLocation(this.rawProgram, attName);
-
-    if (loc < 0)
-    {
-        alert("ShipGL.ShaderProgram.attributeLocation: " + attName + " is not " +
-              "a valid uniform! Returning null...");
-    }
+    this._reserve(index + 1);
+    this.count = Math.max(this.count, index + 1);
 
-    return loc;
+    this.setMatrix(index, matrix);
+    this.setColor(index, color || [1, 1, 1, 1]);
 };
 
 /**
- * Look up the uniform location for the passed in uniform name.
+ * Set an existing instance's model matrix.
  *
- * @this {ShipGL.ShaderProgram}
+ * @this {ShipGL.InstanceBuffer}
  *
- * @param {string} unfName The uniform name string
- * @return {number} The uniform location
+ * @param {number} index The instance's index
+ * @param {mat4} matrix The instance's new model matrix
  */
-ShipGL.ShaderProgram.prototype.uniformLocation = function(unfName)
+ShipGL.InstanceBuffer.prototype.setMatrix = function(index, matrix)
 {
-    var loc = this.gl.getUniformLocation(this.rawProgram, unfName);
-
-    if (loc < 0)
-    {
-        alert("ShipGL.ShaderProgram.uniformLocation: " + unfName + " is not " +
-              "a valid uniform! Returning null...");
-    }
-
-    return loc;
+    this.data.set(matrix, index * ShipGL.InstanceBuffer.STRIDE +
+                          ShipGL.InstanceBuffer.MATRIX_OFFSET);
+    this._isDirty = true;
 };
 
 /**
- * Enable the attribute array for the passed in attribute name. Do not pass
- * in the attribute location!  Pass in the name string.  Internally,
- * ShipGL.ShaderProgram caches the attribute locations so you don't have to
- * worry about it.
+ * Set an existing instance's color.
  *
- * @this {ShipGL.ShaderProgram}
+ * @this {ShipGL.InstanceBuffer}
  *
- * @param {string} att The attribute name string
+ * @param {number} index The instance's index
+ * @param {Array} color The instance's new RGBA color
  */
-ShipGL.ShaderProgram.prototype.enableAttributeArray = function(att)
+ShipGL.InstanceBuffer.prototype.setColor = function(index, color)
 {
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.enableVertexAttribArray(this[att]);
+    this.data.set(color, index * ShipGL.InstanceBuffer.STRIDE +
+                         ShipGL.InstanceBuffer.COLOR_OFFSET);
+    this._isDirty = true;
 };
 
 /**
- * Disable the attribute array for the passed in attribute name. Do not pass
- * in the attribute location!  Pass in the name string.  Internally,
- * ShipGL.ShaderProgram caches the attribute locations so you don't have to
- * worry about it.
- *
- * @this {ShipGL.ShaderProgram}
+ * Remove all instances.
  *
- * @param {string} att The attribute name string
+ * @this {ShipGL.InstanceBuffer}
  */
-ShipGL.ShaderProgram.prototype.disableAttributeArray = function(att)
+ShipGL.InstanceBuffer.prototype.clear = function()
 {
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.disableVertexAttribArray(this[att]);
+    this.count = 0;
 };
 
 /**
- * Set a scalar float attribute in the shader program from the bound buffer.
- *
- * You must specify stride and offset! These are in terms of array indices, NOT bytes.
- * The method will send stride and offset in bytes for you.
- *
- * @this {ShipGL.ShaderProgram}
+ * Flag data as modified, so it is uploaded the next time the instances
+ * are bound.
  *
- * @param {string} att The attribute name string
- * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
- * @param {number} offset The starting attribute index
- * @param {bool} [norm=false] Whether or not values should be normalized
+ * @this {ShipGL.InstanceBuffer}
  */
-ShipGL.ShaderProgram.prototype.setAttributeBuffer1f = function(att, stride, offset, norm)
+ShipGL.InstanceBuffer.prototype.markDirty = function()
 {
-    norm = norm || false;
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.vertexAttribPointer(this[att], 1, this.gl.FLOAT, norm, this._bpf * stride, this._bpf * offset);
+    this._isDirty = true;
 };
 
 /**
- * Set a two-dimensional float attribute in the shader program from the bound buffer.
- *
- * You must specify stride and offset! These are in terms of array indices, NOT bytes.
- * The method will send stride and offset in bytes for you.
- *
- * @this {ShipGL.ShaderProgram}
+ * Bind the instance data's buffer to the WebGL rendering context,
+ * uploading the data first if it changed.
  *
- * @param {string} att The attribute name string
- * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
- * @param {number} offset The starting attribute index
- * @param {bool} [norm=false] Whether or not values should be normalized
+ * @this {ShipGL.InstanceBuffer}
  */
-ShipGL.ShaderProgram.prototype.setAttributeBuffer2f = function(att, stride, offset, norm)
+ShipGL.InstanceBuffer.prototype.bind = function()
 {
-    norm = norm || false;
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.vertexAttribPointer(this[att], 2, this.gl.FLOAT, norm, this._bpf * stride, this._bpf * offset);
+    this.buffer.bind();
+
+    if (this._isDirty)
+    {
+        if (this.buffer.length != this.data.length)
+        {
+            this.buffer.allocate(this.data.length, this.gl.DYNAMIC_DRAW);
+        }
+
+        this.buffer.write(this.data.subarray(0, this.count * ShipGL.InstanceBuffer.STRIDE));
+        this._isDirty = false;
+    }
 };
 
 /**
- * Set a three-dimensional float attribute in the shader program from the bound buffer.
+ * Unbind the instance data's buffer from the WebGL rendering context.
  *
- * You must specify stride and offset! These are in terms of array indices, NOT bytes.
- * The method will send stride and offset in bytes for you.
- *
- * @this {ShipGL.ShaderProgram}
- *
- * @param {string} att The attribute name string
- * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
- * @param {number} offset The starting attribute index
- * @param {bool} [norm=false] Whether or not values should be normalized
+ * @this {ShipGL.InstanceBuffer}
  */
-ShipGL.ShaderProgram.prototype.setAttributeBuffer3f = function(att, stride, offset, norm)
+ShipGL.InstanceBuffer.prototype.unbind = function()
 {
-    norm = norm || false;
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.vertexAttribPointer(this[att], 3, this.gl.FLOAT, norm, this._bpf * stride, this._bpf * offset);
+    this.buffer.unbind();
 };
 
-/**
- * Set a four-dimensional float attribute in the shader program from the bound buffer.
- *
- * You must specify stride and offset! These are in terms of array indices, NOT bytes.
- * The method will send stride and offset in bytes for you.
- *
- * @this {ShipGL.ShaderProgram}
- *
- * @param {string} att The attribute name string
- * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
- * @param {number} offset The starting attribute index
- * @param {bool} [norm=false] Whether or not values should be normalized
- */
-ShipGL.ShaderProgram.prototype.setAttributeBuffer4f = function(att, stride, offset, norm)
+ShipGL.InstanceBuffer.prototype._reserve = function(count)
 {
-    norm = norm || false;
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.vertexAttribPointer(this[att], 4, this.gl.FLOAT, norm, this._bpf * stride, this._bpf * offset);
-};
+    var capacity = this.data.length / ShipGL.InstanceBuffer.STRIDE;
+
+    if (count <= capacity)
+    {
+        return;
+    }
 
+    var data = new Float32Array(Math.max(count, 2 * capacity) * ShipGL.InstanceBuffer.STRIDE);
+    data.set(this.data);
+    this.data = data;
+};
 /**
- * Set a scalar integer attribute in the shader program from the bound buffer.
- *
- * You must specify stride and offset! These are in terms of array indices, NOT bytes.
- * The method will send stride and offset in bytes for you.
+ * @file Contains all ShipGL.RingBuffer code.
+ * @author Jason Shipman
  *
- * @this {ShipGL.ShaderProgram}
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
  *
- * @param {string} att The attribute name string
- * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
- * @param {number} offset The starting attribute index
- * @param {bool} [norm=false] Whether or not values should be normalized
- */
-ShipGL.ShaderProgram.prototype.setAttributeBuffer1i = function(att, stride, offset, norm)
-{
-    norm = norm || false;
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.vertexAttribPointer(this[att], 1, this.gl.INT, norm, this._bps * stride, this._bps * offset);
-};
-
-/**
- * Set a two-dimensional integer attribute in the shader program from the bound buffer.
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
  *
- * You must specify stride and offset! These are in terms of array indices, NOT bytes.
- * The method will send stride and offset in bytes for you.
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
  *
- * @this {ShipGL.ShaderProgram}
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
  *
- * @param {string} att The attribute name string
- * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
- * @param {number} offset The starting attribute index
- * @param {bool} [norm=false] Whether or not values should be normalized
+ * 3. This notice may not be removed or altered from any source distribution.
  */
-ShipGL.ShaderProgram.prototype.setAttributeBuffer2i = function(att, stride, offset, norm)
-{
-    norm = norm || false;
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.vertexAttribPointer(this[att], 2, this.gl.INT, norm, this._bps * stride, this._bps * offset);
-};
 
 /**
- * Set a three-dimensional integer attribute in the shader program from the bound buffer.
+ * Creates a new ShipGL.RingBuffer instance.
  *
- * You must specify stride and offset! These are in terms of array indices, NOT bytes.
- * The method will send stride and offset in bytes for you.
+ * @class ShipGL.RingBuffer
+ * @classdesc A ShipGL.RingBuffer hands out space for transient vertex data,
+ *            such as debug lines and particles, from one STREAM_DRAW
+ *            ShipGL.Buffer. Each push writes after the previous one. When
+ *            the buffer is full, its storage is orphaned and writing starts
+ *            over at the beginning, so pending draws of the old data finish
+ *            undisturbed. Data too big for the buffer grows it.
  *
- * @this {ShipGL.ShaderProgram}
+ *            Orphaning drops data that was pushed but not drawn yet, so
+ *            draw each push's data before the next push.
+ * @augments ShipGL.GLResource
  *
- * @param {string} att The attribute name string
- * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
- * @param {number} offset The starting attribute index
- * @param {bool} [norm=false] Whether or not values should be normalized
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {number} [capacity=65536] The size of the buffer (in terms of
+ *                                  elements)
+ * @param {function} [ArrayType=Float32Array] The buffer's underlying array
+ *                                            type
+ * @example
+ * // Particles are rebuilt every frame, 7 floats per particle (position
+ * // and color), laid out by particleLayout, a ShipGL.VertexLayout.
+ * var ring = new ShipGL.RingBuffer(gl);
+ *
+ * // Each frame:
+ * var first = ring.push(particleData, 7);
+ *
+ * program.bind();
+ * particleLayout.bind(program, first * ring.buffer.bytesPerElement);
+ * gl.drawArrays(gl.POINTS, 0, particleData.length / 7);
+ * particleLayout.unbind(program);
+ * ring.unbind();
  */
-ShipGL.ShaderProgram.prototype.setAttributeBuffer3i = function(att, stride, offset, norm)
+ShipGL.RingBuffer = function(gl, capacity, ArrayType)
 {
-    norm = norm || false;
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.vertexAttribPointer(this[att], 3, this.gl.INT, norm, this._bps * stride, this._bps * offset);
+    ShipGL.GLResource.call(this, gl);
+
+    /**
+     * @memberof ShipGL.RingBuffer#
+     * @description The ShipGL.Buffer the data is written to.
+     * @name buffer
+     */
+    this.buffer = new ShipGL.Buffer(gl, gl.ARRAY_BUFFER, ArrayType || Float32Array);
+    this.buffer.bind();
+    this.buffer.allocate(capacity || 65536, gl.STREAM_DRAW);
+    this.buffer.unbind();
+
+    /**
+     * @memberof ShipGL.RingBuffer#
+     * @description The number of times writing started over at the
+     *              beginning of the buffer.
+     * @name wrapCount
+     */
+    this.wrapCount = 0;
+
+    this._head = 0;
 };
 
+ShipGL.RingBuffer.prototype = Object.create(ShipGL.GLResource.prototype);
+
 /**
- * Set a four-dimensional integer attribute in the shader program from the bound buffer.
+ * Write an array after the previously pushed data, or at the beginning of
+ * fresh storage if it doesn't fit. Leaves the buffer bound, ready for
+ * setting up attributes.
  *
- * You must specify stride and offset! These are in terms of array indices, NOT bytes.
- * The method will send stride and offset in bytes for you.
- *
- * @this {ShipGL.ShaderProgram}
+ * @this {ShipGL.RingBuffer}
  *
- * @param {string} att The attribute name string
- * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
- * @param {number} offset The starting attribute index
- * @param {bool} [norm=false] Whether or not values should be normalized
+ * @param {Array} array The data to write
+ * @param {number} [alignment=1] The data starts at a multiple of this
+ *                               index. Pass the number of elements per
+ *                               vertex to be able to draw the data with
+ *                               the returned index divided by it as first
+ *                               vertex.
+ * @return {number} The index in the buffer where the data starts
  */
-ShipGL.ShaderProgram.prototype.setAttributeBuffer4i = function(att, stride, offset, norm)
+ShipGL.RingBuffer.prototype.push = function(array, alignment)
 {
-    norm = norm || false;
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.vertexAttribPointer(this[att], 4, this.gl.INT, norm, this._bps * stride, this._bps * offset);
+    alignment = alignment || 1;
+
+    var start = Math.ceil(this._head / alignment) * alignment;
+
+    this.buffer.bind();
+
+    if (start + array.length > this.buffer.length)
+    {
+        if (array.length > this.buffer.length)
+        {
+            this.buffer.allocate(Math.max(array.length, 2 * this.buffer.length),
+                                 this.gl.STREAM_DRAW);
+        }
+        else
+        {
+            this.buffer.orphan();
+        }
+
+        start = 0;
+        this.wrapCount++;
+    }
+
+    this.buffer.write(array, start);
+    this._head = start + array.length;
+
+    return start;
 };
 
 /**
- * Set a constant scalar float attribute in the shader program.
- *
- * @this {ShipGL.ShaderProgram}
+ * Bind the ring's buffer to the WebGL rendering context.
  *
- * @param {string} att The attribute name string
- * @param {float} val1 The float value
+ * @this {ShipGL.RingBuffer}
  */
-ShipGL.ShaderProgram.prototype.setAttributeValue1f = function(att, val1)
+ShipGL.RingBuffer.prototype.bind = function()
 {
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.vertexAttrib1f(this[att], val1);
+    this.buffer.bind();
 };
 
 /**
- * Set a constant two-dimensional float attribute in the shader program.
- *
- * @this {ShipGL.ShaderProgram}
+ * Unbind the ring's buffer from the WebGL rendering context.
  *
- * @param {string} att The attribute name string
- * @param {float} val1 The first float value
- * @param {float} val2 The second float value
+ * @this {ShipGL.RingBuffer}
  */
-ShipGL.ShaderProgram.prototype.setAttributeValue2f = function(att, val1, val2)
+ShipGL.RingBuffer.prototype.unbind = function()
 {
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.vertexAttrib2f(this[att], val1, val2);
+    this.buffer.unbind();
 };
 
 /**
- * Set a constant three-dimensional float attribute in the shader program.
+ * Destroys the ring's buffer.
  *
- * @this {ShipGL.ShaderProgram}
- *
- * @param {string} att The attribute name string
- * @param {float} val1 The first float value
- * @param {float} val2 The second float value
- * @param {float} val3 The third float value
+ * @this {ShipGL.RingBuffer}
  */
-ShipGL.ShaderProgram.prototype.setAttributeValue3f = function(att, val1, val2, val3)
+ShipGL.RingBuffer.prototype.deallocate = function()
 {
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.vertexAttrib3f(this[att], val1, val2, val3);
+    this.buffer.deallocate();
 };
-
 /**
- * Set a constant four-dimensional float attribute in the shader program.
+ * @file Contains all ShipGL.VertexLayout code.
+ * @author Jason Shipman
  *
- * @this {ShipGL.ShaderProgram}
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
  *
- * @param {string} att The attribute name string
- * @param {float} val1 The first float value
- * @param {float} val2 The second float value
- * @param {float} val3 The third float value
- * @param {float} val4 The fourth float value
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
  */
-ShipGL.ShaderProgram.prototype.setAttributeValue4f = function(att, val1, val2, val3, val4)
-{
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.vertexAttrib4f(this[att], val1, val2, val3, val4);
-};
 
 /**
- * Set a scalar float uniform in the shader program.
+ * Creates a new ShipGL.VertexLayout instance.
  *
- * @this {ShipGL.ShaderProgram}
+ * @class ShipGL.VertexLayout
+ * @classdesc A ShipGL.VertexLayout describes the vertices of an
+ *            interleaved vertex buffer: a list of named attributes, each
+ *            with a component count and a WebGL type. It works out every
+ *            attribute's byte offset and the byte stride of a vertex,
+ *            packs separate attribute arrays into one interleaved array,
+ *            and binds all of its attributes to a ShipGL.ShaderProgram in
+ *            one call. Attribute names are the shader's attribute names.
+ * @augments ShipGL.GLResource
  *
- * @param {string} unf The uniform name string
- * @param {float} val The float value
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @example
+ * // Declare the layout once.
+ * var layout = new ShipGL.VertexLayout(gl);
+ * layout.addAttribute("aPosition", 3);
+ * layout.addAttribute("aTexCoord", 2);
+ *
+ * // Interleave the arrays (keyed by attribute name) into a vertex buffer.
+ * var vbo = layout.createBuffer({ aPosition: positions, aTexCoord: texCoords });
+ *
+ * // Then, to draw:
+ * program.bind();
+ * vbo.bind();
+ * layout.bind(program);
+ * gl.drawArrays(gl.TRIANGLES, 0, positions.length / 3);
+ * layout.unbind(program);
+ *
+ * // Or record the bindings once with a ShipGL.VertexArray.
+ * vertexArray.addLayout(program, layout, vbo);
+ *
+ * // Attributes don't have to be floats. Normalized values are still given
+ * // as floats, and converted when packed.
+ * var compact = new ShipGL.VertexLayout(gl);
+ * compact.addAttribute("aPosition", 3);
+ * compact.addAttribute("aNormal", 3, gl.BYTE, true);
+ * compact.addAttribute("aColor", 4, gl.UNSIGNED_BYTE, true);
+ *
+ * var compactVbo = compact.createBuffer({ aPosition: positions, aNormal: normals,
+ *                                         aColor: [1.0, 0.5, 0.0, 1.0, ...] });
+ *
+ * // compact.stride is 20 bytes per vertex, against 40 with float normals
+ * // and colors.
  */
-ShipGL.ShaderProgram.prototype.setUniform1f = function(unf, val)
+ShipGL.VertexLayout = function(gl)
 {
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniform1f(this[unf], val);
+    ShipGL.GLResource.call(this, gl);
+
+    /**
+     * @memberof ShipGL.VertexLayout#
+     * @description The attributes, in the order they were added. Each is an
+     *              object with name, size (component count), type,
+     *              normalized and offset (in bytes from the start of a
+     *              vertex). Do not modify this! Use addAttribute.
+     * @name attributes
+     */
+    this.attributes = [];
+
+    /**
+     * @memberof ShipGL.VertexLayout#
+     * @description The number of bytes from one vertex to the next. Always
+     *              a multiple of 4, as WebGL requires of strides. Do not
+     *              modify this!
+     * @name stride
+     */
+    this.stride = 0;
+
+    this._byteCount = 0;
 };
 
 /**
- * Set a two-dimensional float uniform in the shader program.
- *
- * @this {ShipGL.ShaderProgram}
+ * Look up the number of bytes taken by one component of a WebGL attribute
+ * type.
  *
- * @param {string} unf The uniform name string
- * @param {float} val1 The first float value
- * @param {float} val2 The second float value
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {number} type The WebGL type (FLOAT, UNSIGNED_BYTE, etc.)
+ * @return {number} The number of bytes per component
  */
-ShipGL.ShaderProgram.prototype.setUniform2f = function(unf, val1, val2)
+ShipGL.VertexLayout.bytesPerComponent = function(gl, type)
 {
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniform2f(this[unf], val1, val2);
+    return ShipGL.VertexLayout.arrayTypeOf(gl, type).BYTES_PER_ELEMENT;
 };
 
 /**
- * Set a three-dimensional float uniform in the shader program.
+ * Look up the typed array type matching a WebGL attribute type. This is
+ * the opposite of ShipGL.Buffer.dataTypeOf.
  *
- * @this {ShipGL.ShaderProgram}
- *
- * @param {string} unf The uniform name string
- * @param {float} val1 The first float value
- * @param {float} val2 The second float value
- * @param {float} val3 The third float value
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {number} type The WebGL type (BYTE, UNSIGNED_BYTE, SHORT,
+ *                      UNSIGNED_SHORT or FLOAT)
+ * @return {function} The typed array type (Int8Array, Uint8Array, etc.)
  */
-ShipGL.ShaderProgram.prototype.setUniform3f = function(unf, val1, val2, val3)
+ShipGL.VertexLayout.arrayTypeOf = function(gl, type)
 {
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniform3f(this[unf], val1, val2, val3);
+    switch (type)
+    {
+        case gl.BYTE:           return Int8Array;
+        case gl.UNSIGNED_BYTE:  return Uint8Array;
+        case gl.SHORT:          return Int16Array;
+        case gl.UNSIGNED_SHORT: return Uint16Array;
+        case gl.FLOAT:          return Float32Array;
+        default:
+            throw new Error("ShipGL.VertexLayout: " + type + " is not a valid " +
+                            "WebGL attribute type!");
+    }
 };
 
+ShipGL.VertexLayout.prototype = Object.create(ShipGL.GLResource.prototype);
+
 /**
- * Set a four-dimensional float uniform in the shader program.
+ * Add an attribute to the end of the vertex. Its offset is aligned to its
+ * component size, as WebGL requires.
  *
- * @this {ShipGL.ShaderProgram}
+ * @this {ShipGL.VertexLayout}
  *
- * @param {string} unf The uniform name string
- * @param {float} val1 The first float value
- * @param {float} val2 The second float value
- * @param {float} val3 The third float value
- * @param {float} val4 The fourth float value
+ * @param {string} name The attribute name string
+ * @param {number} size The number of components (1-4)
+ * @param {number} [type=FLOAT] The WebGL type of a component
+ * @param {bool} [normalized=false] Whether or not integer values should be
+ *                                  normalized to [0, 1] (or [-1, 1] for
+ *                                  signed types) when read by the shader
+ * @return {object} The new attribute (see attributes)
  */
-ShipGL.ShaderProgram.prototype.setUniform4f = function(unf, val1, val2, val3, val4)
+ShipGL.VertexLayout.prototype.addAttribute = function(name, size, type, normalized)
 {
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniform4f(this[unf], val1, val2, val3, val4);
+    type = type || this.gl.FLOAT;
+
+    if (this.getAttribute(name))
+    {
+        throw new Error("ShipGL.VertexLayout.addAttribute: " + name + " was " +
+                        "already added!");
+    }
+
+    var componentBytes = ShipGL.VertexLayout.bytesPerComponent(this.gl, type);
+    var offset = Math.ceil(this._byteCount / componentBytes) * componentBytes;
+
+    var attribute = { name: name, size: size, type: type,
+                      normalized: normalized || false, offset: offset };
+
+    this.attributes.push(attribute);
+    this._byteCount = offset + size * componentBytes;
+    this.stride = Math.ceil(this._byteCount / 4) * 4;
+
+    return attribute;
 };
 
 /**
- * Set a scalar integer uniform in the shader program.
+ * Look up an attribute by name.
  *
- * @this {ShipGL.ShaderProgram}
+ * @this {ShipGL.VertexLayout}
  *
- * @param {string} unf The uniform name string
- * @param {integer} val The integer value
+ * @param {string} name The attribute name string
+ * @return {object} The attribute (see attributes), or null if the layout
+ *                  has no such attribute
  */
-ShipGL.ShaderProgram.prototype.setUniform1i = function(unf, val)
+ShipGL.VertexLayout.prototype.getAttribute = function(name)
 {
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniform1i(this[unf], val);
+    var i;
+    for (i = 0; i < this.attributes.length; i++)
+    {
+        if (this.attributes[i].name == name)
+        {
+            return this.attributes[i];
+        }
+    }
+
+    return null;
 };
 
 /**
- * Set a two-dimensional integer uniform in the shader program.
+ * Interleave separate attribute arrays into an ArrayBuffer laid out like
+ * this layout. Values of normalized integer attributes are given as floats
+ * in [0, 1] ([-1, 1] for BYTE and SHORT) and converted to the integer
+ * range, the way the shader will read them back. Values of other integer
+ * attributes are rounded to the nearest integer.
  *
- * @this {ShipGL.ShaderProgram}
+ * @this {ShipGL.VertexLayout}
  *
- * @param {string} unf The uniform name string
- * @param {integer} val1 The first integer value
- * @param {integer} val2 The second integer value
+ * @param {object} arrays The attribute arrays (or typed arrays), keyed by
+ *                        attribute name, holding size values per vertex.
+ *                        Attributes without an array are left zeroed.
+ * @param {number} [vertexCount] The number of vertices. If not specified,
+ *                               the first attribute's array decides.
+ * @param {ArrayBuffer} [dest] The ArrayBuffer to pack into. If not
+ *                             specified, a new one is created.
+ * @param {number} [byteOffset=0] Where to start packing in dest. Must be a
+ *                                multiple of 4.
+ * @return {ArrayBuffer} The packed data (dest, if specified)
  */
-ShipGL.ShaderProgram.prototype.setUniform2i = function(unf, val1, val2)
+ShipGL.VertexLayout.prototype.pack = function(arrays, vertexCount, dest, byteOffset)
 {
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniform2i(this[unf], val1, val2);
-};
+    byteOffset = byteOffset || 0;
 
-/**
- * Set a three-dimensional integer uniform in the shader program.
- *
- * @this {ShipGL.ShaderProgram}
- *
- * @param {string} unf The uniform name string
- * @param {integer} val1 The first integer value
- * @param {integer} val2 The second integer value
- * @param {integer} val3 The third integer value
- */
-ShipGL.ShaderProgram.prototype.setUniform3i = function(unf, val1, val2, val3)
-{
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniform3i(this[unf], val1, val2, val3);
+    if (vertexCount === undefined)
+    {
+        var first = this.attributes[0];
+        vertexCount = arrays[first.name] ? arrays[first.name].length / first.size : 0;
+    }
+
+    dest = dest || new ArrayBuffer(byteOffset + vertexCount * this.stride);
+
+    var i, v, c, attribute, data, ArrayType, view, viewStride, writeIdx, range, signed;
+    for (i = 0; i < this.attributes.length; i++)
+    {
+        attribute = this.attributes[i];
+        data = arrays[attribute.name];
+
+        if (!data)
+        {
+            continue;
+        }
+
+        // Offsets and the stride are multiples of the component size, so
+        // a view of the component type can address every component.
+        ArrayType = ShipGL.VertexLayout.arrayTypeOf(this.gl, attribute.type);
+        view = new ArrayType(dest, 0, Math.floor(dest.byteLength / ArrayType.BYTES_PER_ELEMENT));
+        viewStride = this.stride / ArrayType.BYTES_PER_ELEMENT;
+        writeIdx = (byteOffset + attribute.offset) / ArrayType.BYTES_PER_ELEMENT;
+
+        if (attribute.type == this.gl.FLOAT)
+        {
+            for (v = 0; v < vertexCount; v++)
+            {
+                for (c = 0; c < attribute.size; c++)
+                {
+                    view[writeIdx + c] = data[v * attribute.size + c];
+                }
+
+                writeIdx += viewStride;
+            }
+
+            continue;
+        }
+
+        range = Math.pow(2, 8 * ArrayType.BYTES_PER_ELEMENT) - 1;
+        signed = attribute.type == this.gl.BYTE || attribute.type == this.gl.SHORT;
+
+        for (v = 0; v < vertexCount; v++)
+        {
+            for (c = 0; c < attribute.size; c++)
+            {
+                view[writeIdx + c] = this._encode(data[v * attribute.size + c],
+                                                  attribute.normalized, signed, range);
+            }
+
+            writeIdx += viewStride;
+        }
+    }
+
+    return dest;
 };
 
 /**
- * Set a four-dimensional integer uniform in the shader program.
+ * Create a vertex buffer holding the attribute arrays interleaved by pack.
  *
- * @this {ShipGL.ShaderProgram}
+ * @this {ShipGL.VertexLayout}
  *
- * @param {string} unf The uniform name string
- * @param {integer} val1 The first integer value
- * @param {integer} val2 The second integer value
- * @param {integer} val3 The third integer value
- * @param {integer} val4 The fourth integer value
+ * @param {object} arrays The attribute arrays, keyed by attribute name
+ * @param {number} [vertexCount] The number of vertices. See pack.
+ * @return {ShipGL.Buffer} The new vertex buffer
  */
-ShipGL.ShaderProgram.prototype.setUniform4i = function(unf, val1, val2, val3, val4)
+ShipGL.VertexLayout.prototype.createBuffer = function(arrays, vertexCount)
 {
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniform4i(this[unf], val1, val2, val3, val4);
+    var bufferUtils = new ShipGL.BufferUtilities(this.gl);
+
+    // The stride is a multiple of 4 bytes, so the data can be viewed as
+    // floats whatever the attribute types.
+    return bufferUtils.createVertexBuffer(new Float32Array(this.pack(arrays, vertexCount)));
 };
 
 /**
- * Set a one-dimensional float vector in the shader program.
- * Assumes vector is typed and sized appropriately.
+ * Enable and set up every attribute of the layout that the shader program
+ * has, reading from the bound vertex buffer. Attributes the program
+ * doesn't use are skipped.
  *
- * @this {ShipGL.ShaderProgram}
+ * @this {ShipGL.VertexLayout}
  *
- * @param {string} unf The uniform name string
- * @param {float array} val The float vector
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ * @param {number} [byteOffset=0] The byte in the vertex buffer where the
+ *                                first vertex starts
  */
-ShipGL.ShaderProgram.prototype.setUniformVec1f = function(unf, val)
+ShipGL.VertexLayout.prototype.bind = function(program, byteOffset)
 {
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniform1fv(this[unf], val);
+    byteOffset = byteOffset || 0;
+
+    var i, attribute;
+    for (i = 0; i < this.attributes.length; i++)
+    {
+        attribute = this.attributes[i];
+
+        if (program.hasAttribute(attribute.name))
+        {
+            program.enableAttributeArray(attribute.name);
+            program.setAttributePointer(attribute.name, attribute.size, attribute.type,
+                                        attribute.normalized, this.stride,
+                                        byteOffset + attribute.offset);
+        }
+    }
 };
 
 /**
- * Set a two-dimensional float vector in the shader program.
- * Assumes vector is typed and sized appropriately.
+ * Disable the attribute arrays enabled by bind.
  *
- * @this {ShipGL.ShaderProgram}
+ * @this {ShipGL.VertexLayout}
  *
- * @param {string} unf The uniform name string
- * @param {float array} val The float vector
+ * @param {ShipGL.ShaderProgram} program The bound shader program
  */
-ShipGL.ShaderProgram.prototype.setUniformVec2f = function(unf, val)
+ShipGL.VertexLayout.prototype.unbind = function(program)
 {
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniform2fv(this[unf], val);
+    var i;
+    for (i = 0; i < this.attributes.length; i++)
+    {
+        if (program.hasAttribute(this.attributes[i].name))
+        {
+            program.disableAttributeArray(this.attributes[i].name);
+        }
+    }
 };
 
+// Converts a value to the integer stored for it. WebGL reads a normalized
+// unsigned integer c as c / range, and a signed one as (2c + 1) / range,
+// where range is 2^bits - 1.
+ShipGL.VertexLayout.prototype._encode = function(value, normalized, signed, range)
+{
+    if (!normalized)
+    {
+        return Math.round(value);
+    }
+
+    if (signed)
+    {
+        return Math.round((Math.max(-1, Math.min(1, value)) * range - 1) / 2);
+    }
+
+    return Math.round(Math.max(0, Math.min(1, value)) * range);
+};
 /**
- * Set a three-dimensional float vector in the shader program.
- * Assumes vector is typed and sized appropriately.
+ * @file Contains all ShipGL.VertexArray code.
+ * @author Jason Shipman
  *
- * @this {ShipGL.ShaderProgram}
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
  *
- * @param {string} unf The uniform name string
- * @param {float array} val The float vector
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
  */
-ShipGL.ShaderProgram.prototype.setUniformVec3f = function(unf, val)
-{
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniform3fv(this[unf], val);
-};
 
 /**
- * Set a four-dimensional float vector in the shader program.
- * Assumes vector is typed and sized appropriately.
+ * Creates a new ShipGL.VertexArray instance.
  *
- * @this {ShipGL.ShaderProgram}
+ * @class ShipGL.VertexArray
+ * @classdesc A ShipGL.VertexArray records which buffers feed a shader
+ *            program's attributes, and which index buffer is used, so a
+ *            draw needs a single bind instead of a call per attribute.
+ *            It wraps a vertex array object from the
+ *            OES_vertex_array_object extension. Without the extension, it
+ *            replays the recorded bindings on every bind instead.
+ * @augments ShipGL.GLResource
  *
- * @param {string} unf The uniform name string
- * @param {float array} val The float vector
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @example
+ * // Record the layout once. Attribute locations belong to a program, so a
+ * // vertex array should only be used with the program it was set up for
+ * // (or one with the same attribute locations).
+ * var vertexArray = new ShipGL.VertexArray(gl);
+ * vertexArray.addAttribute(program, "aPosition", vbo, 3, 5, 0);
+ * vertexArray.addAttribute(program, "aTexCoord", vbo, 2, 5, 3);
+ * vertexArray.setIndexBuffer(ibo);
+ *
+ * // Or, for a vbo packed with a ShipGL.VertexLayout:
+ * vertexArray.addLayout(program, layout, vbo);
+ *
+ * // Then, to draw:
+ * program.bind();
+ * vertexArray.bind();
+ * gl.drawElements(gl.TRIANGLES, ibo.length, ibo.dataType, 0);
+ * vertexArray.unbind();
+ *
+ * // Unbind a vertex array before binding another one, so that the
+ * // fallback disables the attributes the other one doesn't use.
  */
-ShipGL.ShaderProgram.prototype.setUniformVec4f = function(unf, val)
+ShipGL.VertexArray = function(gl)
 {
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniform4fv(this[unf], val);
+    ShipGL.GLResource.call(this, gl);
+
+    this._ext = gl.getExtension("OES_vertex_array_object");
+
+    /**
+     * @memberof ShipGL.VertexArray#
+     * @description Boolean indicating whether the vertex array is a native
+     *              vertex array object, rather than replayed bindings.
+     * @name isNative
+     */
+    this.isNative = !!this._ext;
+
+    /**
+     * @memberof ShipGL.VertexArray#
+     * @description The raw vertex array object, or null without the
+     *              extension. Prefer using the methods provided instead of
+     *              accessing this directly. Be careful!
+     * @name rawVertexArray
+     */
+    this.rawVertexArray = this._ext ? this._ext.createVertexArrayOES() : null;
+
+    /**
+     * @memberof ShipGL.VertexArray#
+     * @description The index buffer (ShipGL.Buffer) bound with the vertex
+     *              array, or null.
+     * @name indexBuffer
+     */
+    this.indexBuffer = null;
+
+    this._attributes = [];
 };
 
+ShipGL.VertexArray.prototype = Object.create(ShipGL.GLResource.prototype);
+
 /**
- * Set a one-dimensional integer vector in the shader program.
- * Assumes vector is typed and sized appropriately.
- *
- * @this {ShipGL.ShaderProgram}
+ * Bind the vertex array to the WebGL rendering context, setting up all of
+ * the recorded attributes and the index buffer.
  *
- * @param {string} unf The uniform name string
- * @param {integer array} val The integer vector
+ * @this {ShipGL.VertexArray}
  */
-ShipGL.ShaderProgram.prototype.setUniformVec1i = function(unf, val)
+ShipGL.VertexArray.prototype.bind = function()
 {
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniform1iv(this[unf], val);
+    if (this.isNative)
+    {
+        this._ext.bindVertexArrayOES(this.rawVertexArray);
+        return;
+    }
+
+    var i;
+    for (i = 0; i < this._attributes.length; i++)
+    {
+        this._applyAttribute(this._attributes[i]);
+    }
+
+    if (this.indexBuffer)
+    {
+        this.indexBuffer.bind();
+    }
 };
 
 /**
- * Set a two-dimensional integer vector in the shader program.
- * Assumes vector is typed and sized appropriately.
- *
- * @this {ShipGL.ShaderProgram}
+ * Unbind the vertex array from the WebGL rendering context.
  *
- * @param {string} unf The uniform name string
- * @param {integer array} val The integer vector
+ * @this {ShipGL.VertexArray}
  */
-ShipGL.ShaderProgram.prototype.setUniformVec2i = function(unf, val)
+ShipGL.VertexArray.prototype.unbind = function()
 {
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniform2iv(this[unf], val);
+    if (this.isNative)
+    {
+        this._ext.bindVertexArrayOES(null);
+        return;
+    }
+
+    var i, curAttribute;
+    for (i = 0; i < this._attributes.length; i++)
+    {
+        curAttribute = this._attributes[i];
+        curAttribute.program.disableAttributeArray(curAttribute.name);
+    }
+
+    if (this.indexBuffer)
+    {
+        this.indexBuffer.unbind();
+    }
 };
 
 /**
- * Set a three-dimensional integer vector in the shader program.
- * Assumes vector is typed and sized appropriately.
+ * Record a float attribute read from a vertex buffer, like
+ * ShaderProgram's setAttributeBuffer1f..4f. The attribute array is
+ * enabled whenever the vertex array is bound.
  *
- * @this {ShipGL.ShaderProgram}
+ * @this {ShipGL.VertexArray}
  *
- * @param {string} unf The uniform name string
- * @param {integer array} val The integer vector
+ * @param {ShipGL.ShaderProgram} program The shader program with the
+ *                                       attribute
+ * @param {string} name The attribute name string
+ * @param {ShipGL.Buffer} buffer The vertex buffer holding the attribute
+ * @param {number} size The number of components (1-4)
+ * @param {number} stride The stride between attributes (in terms of array
+ *                        indices, NOT bytes)
+ * @param {number} offset The starting attribute index
+ * @param {bool} [norm=false] Whether or not values should be normalized
  */
-ShipGL.ShaderProgram.prototype.setUniformVec3i = function(unf, val)
+ShipGL.VertexArray.prototype.addAttribute = function(program, name, buffer, size,
+                                                     stride, offset, norm)
 {
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniform3iv(this[unf], val);
+    var bpf = Float32Array.BYTES_PER_ELEMENT;
+
+    this._addPointer({ program: program, name: name, buffer: buffer, size: size,
+                       type: this.gl.FLOAT, norm: norm || false,
+                       stride: bpf * stride, offset: bpf * offset });
 };
 
 /**
- * Set a four-dimensional integer vector in the shader program.
- * Assumes vector is typed and sized appropriately.
+ * Record every attribute of a ShipGL.VertexLayout that the shader program
+ * has, read from a vertex buffer packed with the layout.
  *
- * @this {ShipGL.ShaderProgram}
+ * @this {ShipGL.VertexArray}
  *
- * @param {string} unf The uniform name string
- * @param {integer array} val The integer vector
+ * @param {ShipGL.ShaderProgram} program The shader program
+ * @param {ShipGL.VertexLayout} layout The layout of the vertex buffer
+ * @param {ShipGL.Buffer} buffer The vertex buffer
+ * @param {number} [byteOffset=0] The byte in the vertex buffer where the
+ *                                first vertex starts
  */
-ShipGL.ShaderProgram.prototype.setUniformVec4i = function(unf, val)
+ShipGL.VertexArray.prototype.addLayout = function(program, layout, buffer, byteOffset)
 {
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniform4iv(this[unf], val);
+    byteOffset = byteOffset || 0;
+
+    var i, attribute;
+    for (i = 0; i < layout.attributes.length; i++)
+    {
+        attribute = layout.attributes[i];
+
+        if (program.hasAttribute(attribute.name))
+        {
+            this._addPointer({ program: program, name: attribute.name, buffer: buffer,
+                               size: attribute.size, type: attribute.type,
+                               norm: attribute.normalized, stride: layout.stride,
+                               offset: byteOffset + attribute.offset });
+        }
+    }
 };
 
 /**
- * Set a 2x2 float matrix in the shader program.
- * Assumes matrix is typed and sized appropriately.
+ * Record the index buffer used with the vertex array.
  *
- * @this {ShipGL.ShaderProgram}
+ * @this {ShipGL.VertexArray}
  *
- * @param {string} unf The uniform name string
- * @param {mat2} val The matrix
- * @param {bool} [transpose=false] Whether or not the matrix should be transposed
+ * @param {ShipGL.Buffer} buffer The index buffer, or null for none
  */
-ShipGL.ShaderProgram.prototype.setUniformMat2 = function(unf, val, transpose)
+ShipGL.VertexArray.prototype.setIndexBuffer = function(buffer)
 {
-    transpose = transpose || false;
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniformMatrix2fv(this[unf], transpose, val);
+    this.indexBuffer = buffer;
+
+    if (this.isNative)
+    {
+        this._ext.bindVertexArrayOES(this.rawVertexArray);
+        this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, buffer ? buffer.rawBuffer : null);
+        this._ext.bindVertexArrayOES(null);
+    }
 };
 
 /**
- * Set a 3x3 float matrix in the shader program.
- * Assumes matrix is typed and sized appropriately.
- *
- * @this {ShipGL.ShaderProgram}
+ * Destroys the raw vertex array object. The buffers are left alone.
  *
- * @param {string} unf The uniform name string
- * @param {mat3} val The matrix
- * @param {bool} [transpose=false] Whether or not the matrix should be transposed
+ * @this {ShipGL.VertexArray}
  */
-ShipGL.ShaderProgram.prototype.setUniformMat3 = function(unf, val, transpose)
+ShipGL.VertexArray.prototype.deallocate = function()
 {
-    transpose = transpose || false;
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniformMatrix3fv(this[unf], transpose, val);
+    if (this.isNative)
+    {
+        this._ext.deleteVertexArrayOES(this.rawVertexArray);
+    }
+
+    this._attributes = [];
+    this.indexBuffer = null;
 };
 
-/**
- * Set a 4x4 float matrix in the shader program.
- * Assumes matrix is typed and sized appropriately.
- *
- * @this {ShipGL.ShaderProgram}
- *
- * @param {string} unf The uniform name string
- * @param {mat4} val The matrix
- * @param {bool} [transpose=false] Whether or not the matrix should be transposed
- */
-ShipGL.ShaderProgram.prototype.setUniformMat4 = function(unf, val, transpose)
+// Attributes are recorded with their stride and offset in bytes.
+ShipGL.VertexArray.prototype._addPointer = function(attribute)
 {
-    transpose = transpose || false;
-    this[unf] = this[unf] || this.uniformLocation(unf);
-    this.gl.uniformMatrix4fv(this[unf], transpose, val);
+    this._attributes.push(attribute);
+
+    if (this.isNative)
+    {
+        this._ext.bindVertexArrayOES(this.rawVertexArray);
+        this._applyAttribute(attribute);
+        this._ext.bindVertexArrayOES(null);
+    }
+};
+
+ShipGL.VertexArray.prototype._applyAttribute = function(attribute)
+{
+    attribute.buffer.bind();
+    attribute.program.enableAttributeArray(attribute.name);
+    attribute.program.setAttributePointer(attribute.name, attribute.size, attribute.type,
+                                          attribute.norm, attribute.stride, attribute.offset);
 };
 /**
- * @file Contains all ShipGL.Texture code.
+ * @file Contains all ShipGL.BufferUtilities code.
  * @author Jason Shipman
  *
  * Copyright (C) 2012 Jason Shipman
@@ -1601,221 +2367,904 @@ ShipGL.ShaderProgram.prototype.setUniformMat4 = function(unf, val, transpose)
  */
 
 /**
- * Creates a new ShipGL.Texture instance.
+ * Creates a new ShipGL.BufferUtilities instance.
  *
- * @class ShipGL.Texture
- * @classdesc A ShipGL.Texture object provides a simple interface to a raw
- *            WebGL texture.
+ * @class ShipGL.BufferUtilities
+ * @classdesc A ShipGL.BufferUtilities object provides a means to create
+ *            and initialize a ShipGL.Buffer object in a single line. It
+ *            also generates common shapes (cubes, planes, spheres,
+ *            cylinders, cones, tori and capsules) as JSON meshes, ready to
+ *            upload or to wrap as a ShipGL.Model.
  * @augments ShipGL.GLResource
  *
  * @param {WebGLRenderingContext} gl The rendering context
  */
-ShipGL.Texture = function(gl)
+ShipGL.BufferUtilities = function(gl)
 {
     ShipGL.GLResource.call(this, gl);
 
-    this.textureType = this.gl.TEXTURE_2D;
-
-    /**
-     * @memberof ShipGL.Texture#
-     * @description The raw WebGL texture. Prefer using the methods
-     *              provided instead of accessing this directly. Be careful!
-     * @name rawTexture
-     */
-    this.rawTexture = this.gl.createTexture();
-    
     /**
-     * @memberof ShipGL.Texture#
-     * @description Boolean indicating the texture's load status
-     * @name isLoaded
+     * @memberof ShipGL.BufferUtilities#
+     * @description Function that creates and initializes a ShipGL.Buffer
+     *              vertex buffer. Just pass in an array and and an optional
+     *              length. If length is not specified, buffer is initalized
+     *              to whole array.
+     * @name createVertexBuffer
+     * @see ShipGL.Buffer
+     * @example
+     * // Assume gl is a valid WebGL context.
+     * var gl;
+     *
+     * // Assume positions is an array containing a bunch of vertex positions.
+     * var positions = [1.0, 2.0, 3.0, ...];
+     *
+     * // Create a ShipGL.BufferUtilities instance.
+     * var bufferUtils = new ShipGL.BufferUtilities(gl);
+     *
+     * // Create a ShipGL.Buffer initialized to contain the contents
+     * // of the positions array.
+     * var someVertexBuffer = bufferUtils.createVertexBuffer(positions);
+     *
+     * // Create another ShipGL.Buffer initialized to contain the first 9
+     * // elements in the positions array.
+     * var anotherVertexBuffer = bufferUtils.createVertexBuffer(positions, 9);
      */
-    this.isLoaded = false;
+    this.createVertexBuffer = this.makeBufferCreator(this.gl.ARRAY_BUFFER, Float32Array);
     
     /**
-     * @memberof ShipGL.Texture#
-     * @description The width of the texture
-     * @name width
+     * @memberof ShipGL.BufferUtilities#
+     * @description Function that creates and initializes a ShipGL.Buffer
+     *              index buffer. Just pass in an array and and an optional
+     *              length. If length is not specified, buffer is initalized
+     *              to whole array.
+     * @name createIndexBuffer
+     * @see ShipGL.Buffer
+     * @example
+     * // Assume gl is a valid WebGL context.
+     * var gl;
+     *
+     * // Assume indices is an array containing a bunch of index data.
+     * var indices = [0, 1, 2, ...];
+     *
+     * // Create a ShipGL.BufferUtilities instance.
+     * var bufferUtils = new ShipGL.BufferUtilities(gl);
+     *
+     * // Create a ShipGL.Buffer initialized to contain the contents
+     * // of the indices array.
+     * var someIndexBuffer = bufferUtils.createIndexBuffer(indices);
+     *
+     * // Create another ShipGL.Buffer initialized to contain the first 9
+     * // elements in the indices array.
+     * var anotherIndexBuffer = bufferUtils.createIndexBuffer(indices, 9);
      */
-    this.width = 0;
-    
+    this.createIndexBuffer = this.makeBufferCreator(this.gl.ELEMENT_ARRAY_BUFFER, Uint16Array);
+
     /**
-     * @memberof ShipGL.Texture#
-     * @description The height of the texture
-     * @name height
+     * @memberof ShipGL.BufferUtilities#
+     * @description Boolean indicating whether 32-bit index buffers are
+     *              supported (OES_element_index_uint is enabled).
+     * @name hasUint32Indices
      */
-    this.height = 0;
+    this.hasUint32Indices = ShipGL.Buffer.enableUint32Indices(this.gl);
 
     /**
-     * @memberof ShipGL.Texture#
-     * @description Boolean indicating texture dimensions are Not Power of Two.
-     *              Not valid until texture is loaded.
-     * @name NPOT
+     * @memberof ShipGL.BufferUtilities#
+     * @description Function that creates and initializes a 32-bit
+     *              ShipGL.Buffer index buffer, for meshes with more than
+     *              65,536 vertices. Works just like createIndexBuffer, but
+     *              only use it if hasUint32Indices is true. Draw with the
+     *              buffer's dataType (UNSIGNED_INT).
+     * @name createIndexBuffer32
+     * @see ShipGL.Buffer
+     * @example
+     * // Assume bufferUtils is a ShipGL.BufferUtilities instance and indices
+     * // references vertices past index 65,535.
+     * if (bufferUtils.hasUint32Indices)
+     * {
+     *     var ibo = bufferUtils.createIndexBuffer32(indices);
+     *
+     *     ibo.bind();
+     *     gl.drawElements(gl.TRIANGLES, ibo.length, ibo.dataType, 0);
+     * }
      */
-    this.NPOT = true;
-    
-    var scope = this;
-    this._image = new Image();
-    this._image.onload = function()
-    {
-        scope.onImageLoad();
-    };
+    this.createIndexBuffer32 = this.makeBufferCreator(this.gl.ELEMENT_ARRAY_BUFFER, Uint32Array);
 };
 
+ShipGL.BufferUtilities.prototype = Object.create(ShipGL.GLResource.prototype);
+
 /**
- * Unbinds all textures.
+ * Makes a specific buffer creation/initialization function.
  *
- * Useful if you aren't positive what textures(s) are bound and you just
- * want to unbind all of them (TEXTURE_2D and TEXTURE_CUBE_MAP).
+ * @see ShipGL.Buffer
  *
- * @param {WebGLRenderingContext} gl The rendering context
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {number} BufferType The buffer's type (ARRAY_BUFFER or
+ *                            ELEMENT_ARRAY_BUFFER)
+ * @param {number} ArrayType The buffer's underlying array type (Float32Array,
+ *                           Uint16Array, etc.)
+ *
+ * @return A tailor-made function that can create and initialize ShipGL.Buffer's.
+ *         It takes the array, an optional length and an optional boolean
+ *         for whether the buffer keeps a shadow copy of its contents (see
+ *         ShipGL.Buffer's enableShadowCopy).
  */
-ShipGL.Texture.unbindAll = function(gl)
+ShipGL.BufferUtilities.prototype.makeBufferCreator = function(BufferType, ArrayType)
 {
-    gl.bindTexture(gl.TEXTURE_2D, null);
-    gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
-};
+    return function(array, length, shadowed)
+    {
+        length = length || array.length;
+        var buffer = new ShipGL.Buffer(this.gl, BufferType, ArrayType);
 
-ShipGL.Texture.prototype = Object.create(ShipGL.GLResource.prototype);
+        if (shadowed)
+        {
+            buffer.enableShadowCopy();
+        }
+
+        buffer.bind();
+        buffer.allocate(length);
+        buffer.write(array);
+        buffer.unbind();
+
+        return buffer;
+    };
+};
 
 /**
- * Bind the texture to the WebGL rendering context.
+ * Creates a dynamic ShipGL.Buffer vertex buffer, which grows (preserving
+ * its contents) whenever data is written past its end.
  *
- * @this {ShipGL.Texture}
+ * @see ShipGL.Buffer#setDynamic
  *
- * @param {number} [unit] The texture unit to make active. If unit is
- *                        not specified, texture will still get bound
- *                        but no texture unit will be made active.
- * @example
- * // Assume tex is an instance of ShipGL.Texture. You can bind the
- * // texture like this:
- * tex.bind();
+ * @this {ShipGL.BufferUtilities}
  *
- * // You can bind the texture and set the active texture unit in the
- * // same call like this:
- * tex.bind(0);
+ * @param {number} [length=0] The initial size of the buffer (in terms of
+ *                            elements)
+ * @param {number} [usageTip=DYNAMIC_DRAW] The WebGL storage hint
+ * @param {function} [ArrayType=Float32Array] The buffer's underlying array
+ *                                            type
+ * @return {ShipGL.Buffer} The new buffer, initialized to 0
+ * @example
+ * // Collect debug lines as they come, without knowing how many there are.
+ * var lines = bufferUtils.createDynamicVertexBuffer(0, gl.STREAM_DRAW);
  *
- * // The above call binds the texture and makes texture unit TEXTURE0 active.
+ * lines.bind();
+ * lines.replace(linePositions);
+ * gl.drawArrays(gl.LINES, 0, linePositions.length / 3);
  */
-ShipGL.Texture.prototype.bind = function(unit)
+ShipGL.BufferUtilities.prototype.createDynamicVertexBuffer = function(length, usageTip, ArrayType)
 {
-    if (unit >= 0)
-    {
-        this.gl.activeTexture(this.gl.TEXTURE0 + unit);
-    }
+    var buffer = new ShipGL.Buffer(this.gl, this.gl.ARRAY_BUFFER, ArrayType || Float32Array);
 
-    this.gl.bindTexture(this.textureType, this.rawTexture);
+    buffer.setDynamic(usageTip);
+    buffer.bind();
+    buffer.allocate(length || 0);
+    buffer.unbind();
+
+    return buffer;
 };
 
 /**
- * Unbind the texture from the WebGL rendering context.
+ * Creates the vertex buffer, index buffer and vertex layout of a JSON mesh
+ * made by one of the generate functions (or any JSON mesh with normals,
+ * one set of texture coordinates, tangents, bitangents and indices). The
+ * vertices are interleaved as aPosition, aNormal, aTexCoord, aTangent and
+ * aBitangent.
  *
- * @this {ShipGL.Texture}
- */
-ShipGL.Texture.prototype.unbind = function()
-{
-    this.gl.bindTexture(this.textureType, null);
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {object} mesh The JSON mesh
+ * @return {object} An object with vbo, ibo (both ShipGL.Buffer's) and
+ *                  vertexLayout (a ShipGL.VertexLayout). The ibo holds
+ *                  32-bit indices if the mesh has more than 65,536
+ *                  vertices.
+ */
+ShipGL.BufferUtilities.prototype.createMeshBuffers = function(mesh)
+{
+    var layout = new ShipGL.VertexLayout(this.gl);
+    layout.addAttribute("aPosition", 3);
+    layout.addAttribute("aNormal", 3);
+    layout.addAttribute("aTexCoord", 2);
+    layout.addAttribute("aTangent", 3);
+    layout.addAttribute("aBitangent", 3);
+
+    var vertexCount = mesh.vertexPositions.length / 3;
+    var vbo = layout.createBuffer({ aPosition: mesh.vertexPositions,
+                                    aNormal: mesh.vertexNormals,
+                                    aTexCoord: mesh.vertexTexCoordinates[0],
+                                    aTangent: mesh.vertexTangents,
+                                    aBitangent: mesh.vertexBitangents }, vertexCount);
+
+    var ibo;
+    if (vertexCount <= ShipGL.Model.MAX_UINT16_VERTICES)
+    {
+        ibo = this.createIndexBuffer(mesh.indices);
+    }
+    else if (this.hasUint32Indices)
+    {
+        ibo = this.createIndexBuffer32(mesh.indices);
+    }
+    else
+    {
+        throw new Error("ShipGL.BufferUtilities.createMeshBuffers: the mesh has " +
+                        vertexCount + " vertices, which needs 32-bit indices, but " +
+                        "OES_element_index_uint is not available!");
+    }
+
+    return { vbo: vbo, ibo: ibo, vertexLayout: layout };
 };
 
 /**
- * Load the texture.
+ * Wraps JSON meshes in JSON model data, with a single material and a root
+ * node holding every mesh, ready to be passed to a ShipGL.Model
+ * constructor.
  *
- * @this {ShipGL.Texture}
+ * @this {ShipGL.BufferUtilities}
  *
- * @param {string} pathToTexture Path to the image file
+ * @param {object|Array} meshes A JSON mesh or an array of them. Their
+ *                              materialIndex is set to 0.
+ * @param {object} [material] The JSON material. Defaults to a plain light
+ *                            gray material.
+ * @return {object} The JSON model data
  */
-ShipGL.Texture.prototype.load = function(pathToTexture)
+ShipGL.BufferUtilities.prototype.createModelJSON = function(meshes, material)
 {
-    // Kick off the asynchronous image load.
-    this._image.src = pathToTexture;
+    meshes = meshes instanceof Array ? meshes : [meshes];
+
+    material = material || { diffuseTexture: [],
+                             diffuseReflectance: [0.8, 0.8, 0.8, 1],
+                             ambientReflectance: [0, 0, 0, 1],
+                             specularReflectance: [0, 0, 0, 1],
+                             shininess: 0,
+                             emissionColor: [0, 0, 0, 1]
+    };
+
+    var rootNode = { modelMatrix: [1, 0, 0, 0,
+                                   0, 1, 0, 0,
+                                   0, 0, 1, 0,
+                                   0, 0, 0, 1],
+                     meshIndices: []
+    };
+
+    var i;
+    for (i = 0; i < meshes.length; i++)
+    {
+        meshes[i].materialIndex = 0;
+        rootNode.meshIndices.push(i);
+    }
+
+    return { name: "noname", materials: [material], meshes: meshes, nodes: [rootNode] };
 };
 
 /**
- * Set the texture's wrapping mode for the S component of texture coordinates.
+ * Generates an axis-aligned cube centered at the origin. Every face has its
+ * own vertices, with texture coordinates covering the whole texture.
  *
- * @this {ShipGL.Texture}
+ * Like every generate function, this returns a JSON mesh, just like the
+ * ones in a ShipGL.Model's json.meshes, with vertexPositions,
+ * vertexNormals, one set of vertexTexCoordinates, vertexTangents,
+ * vertexBitangents and indices. Front faces wind counter-clockwise, and
+ * +Y is up.
  *
- * @param {boolean} repeat Should S be repeated or clamped?
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {number} [size=1] The length of the cube's edges
+ * @param {number} [segments=1] The number of rows and columns of quads
+ *                              each face is divided into
+ * @return {object} The JSON mesh
+ * @example
+ * // Assume bufferUtils is a ShipGL.BufferUtilities instance.
+ * var cube = bufferUtils.generateCube(2);
+ *
+ * // Upload it directly...
+ * var buffers = bufferUtils.createMeshBuffers(cube);
+ *
+ * program.bind();
+ * buffers.vbo.bind();
+ * buffers.ibo.bind();
+ * buffers.vertexLayout.bind(program);
+ * gl.drawElements(gl.TRIANGLES, buffers.ibo.length, buffers.ibo.dataType, 0);
+ *
+ * // ...or wrap it as a model.
+ * var model = new ShipGL.StandardModel(gl, "cube",
+ *                                      bufferUtils.createModelJSON(cube));
+ * model.initialize();
  */
-ShipGL.Texture.prototype.setRepeatS = function(repeat)
+ShipGL.BufferUtilities.prototype.generateCube = function(size, segments)
 {
-    this.gl.texParameteri(this.textureType, this.gl.TEXTURE_WRAP_S,
-                          repeat ? this.gl.REPEAT : this.gl.CLAMP_TO_EDGE);
+    var h = (size === undefined ? 1 : size) / 2;
+    var geometry = this._createGeometry();
+
+    // Each face's normal, and its u and v axes, where u x v = normal so
+    // the face winds counter-clockwise seen from outside.
+    var faces = [
+        [[ 1, 0, 0], [ 0, 0, -1], [0, 1,  0]],
+        [[-1, 0, 0], [ 0, 0,  1], [0, 1,  0]],
+        [[ 0, 1, 0], [ 1, 0,  0], [0, 0, -1]],
+        [[ 0, -1, 0], [ 1, 0,  0], [0, 0,  1]],
+        [[ 0, 0, 1], [ 1, 0,  0], [0, 1,  0]],
+        [[ 0, 0, -1], [-1, 0,  0], [0, 1,  0]]
+    ];
+
+    var i, n, u, v;
+    for (i = 0; i < faces.length; i++)
+    {
+        n = faces[i][0];
+        u = faces[i][1];
+        v = faces[i][2];
+
+        this._addPatch(geometry, [n[0] * h, n[1] * h, n[2] * h],
+                       [u[0] * h, u[1] * h, u[2] * h], [v[0] * h, v[1] * h, v[2] * h],
+                       n, segments || 1, segments || 1);
+    }
+
+    return this._createMesh(geometry);
 };
 
 /**
- * Set the texture's wrapping mode for the T component of texture coordinates.
+ * Generates a plane in the XZ plane, centered at the origin and facing +Y.
+ * Texture coordinates run along +X (u) and -Z (v).
  *
- * @this {ShipGL.Texture}
+ * @this {ShipGL.BufferUtilities}
  *
- * @param {boolean} repeat Should T be repeated or clamped?
+ * @param {number} [width=1] The plane's size along X
+ * @param {number} [depth=1] The plane's size along Z
+ * @param {number} [widthSegments=1] The number of quads along X
+ * @param {number} [depthSegments=1] The number of quads along Z
+ * @return {object} The JSON mesh (see generateCube)
  */
-ShipGL.Texture.prototype.setRepeatT = function(repeat)
+ShipGL.BufferUtilities.prototype.generatePlane = function(width, depth, widthSegments,
+                                                          depthSegments)
 {
-    this.gl.texParameteri(this.textureType, this.gl.TEXTURE_WRAP_T,
-                          repeat ? this.gl.REPEAT : this.gl.CLAMP_TO_EDGE);
+    width = width === undefined ? 1 : width;
+    depth = depth === undefined ? 1 : depth;
+
+    var geometry = this._createGeometry();
+
+    this._addPatch(geometry, [0, 0, 0], [width / 2, 0, 0], [0, 0, -depth / 2], [0, 1, 0],
+                   widthSegments || 1, depthSegments || 1);
+
+    return this._createMesh(geometry);
 };
 
 /**
- * Set the texture's filter modes.
+ * Generates a sphere centered at the origin out of rings of latitude and
+ * longitude. Texture coordinates are an equirectangular mapping: u goes
+ * around the Y axis, starting at +Z, and v goes from the bottom pole (0)
+ * to the top one (1).
  *
- * @this {ShipGL.Texture}
+ * @this {ShipGL.BufferUtilities}
  *
- * @param {boolean} smooth Should the texture have a smooth appearance?
+ * @param {number} [radius=0.5] The sphere's radius
+ * @param {number} [widthSegments=32] The number of segments around the
+ *                                    sphere
+ * @param {number} [heightSegments=16] The number of segments from pole to
+ *                                     pole
+ * @return {object} The JSON mesh (see generateCube)
  */
-ShipGL.Texture.prototype.setSmooth = function(smooth)
+ShipGL.BufferUtilities.prototype.generateUVSphere = function(radius, widthSegments,
+                                                             heightSegments)
 {
-    this.gl.texParameteri(this.textureType, this.gl.TEXTURE_MAG_FILTER,
-                          smooth ? this.gl.LINEAR : this.gl.NEAREST);
+    radius = radius === undefined ? 0.5 : radius;
+    heightSegments = heightSegments || 16;
 
-    var smoothMin = this.NPOT ? this.gl.LINEAR : this.gl.LINEAR_MIPMAP_LINEAR;
-    this.gl.texParameteri(this.textureType, this.gl.TEXTURE_MIN_FILTER,
-                          smooth ? smoothMin : this.gl.NEAREST);
+    var geometry = this._createGeometry();
+    var profile = [];
+
+    var i, phi, sinPhi;
+    for (i = 0; i <= heightSegments; i++)
+    {
+        phi = Math.PI * i / heightSegments;
+        sinPhi = i == 0 || i == heightSegments ? 0 : Math.sin(phi);
+
+        profile.push({ radius: radius * sinPhi, y: radius * Math.cos(phi),
+                       normalRadial: sinPhi, normalY: Math.cos(phi),
+                       v: 1 - i / heightSegments });
+    }
+
+    this._addLathe(geometry, profile, widthSegments || 32);
+
+    return this._createMesh(geometry);
 };
 
 /**
- * Callback used to store the texture's image data on the graphics card and
- * handle some other initialization.
+ * Generates a sphere centered at the origin by subdividing an icosahedron,
+ * which spreads its vertices far more evenly than generateUVSphere.
+ * Texture coordinates use the same equirectangular mapping, with vertices
+ * duplicated along the seam and at the poles. Along the seam, u goes a bit
+ * past 1, so use a repeating texture wrap mode.
  *
- * @this {ShipGL.Texture}
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {number} [radius=0.5] The sphere's radius
+ * @param {number} [subdivisions=2] The number of times each triangle is
+ *                                  split into four. Each subdivision
+ *                                  quadruples the triangle count, starting
+ *                                  from 20.
+ * @return {object} The JSON mesh (see generateCube)
  */
-ShipGL.Texture.prototype.onImageLoad = function()
+ShipGL.BufferUtilities.prototype.generateIcosphere = function(radius, subdivisions)
 {
-    this.bind();
-
-    this.width = this._image.width;
-    this.height = this._image.height;
+    radius = radius === undefined ? 0.5 : radius;
+    subdivisions = subdivisions === undefined ? 2 : subdivisions;
 
-    this.NPOT = !(ShipGL.Math.isPowerOf2(this._image.width) &&
-                  ShipGL.Math.isPowerOf2(this._image.height));
+    var t = (1 + Math.sqrt(5)) / 2;
+    var points = [
+        [-1,  t,  0], [ 1,  t,  0], [-1, -t,  0], [ 1, -t,  0],
+        [ 0, -1,  t], [ 0,  1,  t], [ 0, -1, -t], [ 0,  1, -t],
+        [ t,  0, -1], [ t,  0,  1], [-t,  0, -1], [-t,  0,  1]
+    ];
 
-    var POT = !this.NPOT;
+    var triangles = [
+        0, 11, 5,   0, 5, 1,    0, 1, 7,    0, 7, 10,   0, 10, 11,
+        1, 5, 9,    5, 11, 4,   11, 10, 2,  10, 7, 6,   7, 1, 8,
+        3, 9, 4,    3, 4, 2,    3, 2, 6,    3, 6, 8,    3, 8, 9,
+        4, 9, 5,    2, 4, 11,   6, 2, 10,   8, 6, 7,    9, 8, 1
+    ];
 
-    this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL, 1);
+    var i, j, midpoints, subdivided, a, b, c, ab, bc, ca;
 
-    this.gl.texImage2D(this.textureType,      // enum target
-                       0,                     // int level
-                       this.gl.RGBA,          // enum internalformat
-                       this.gl.RGBA,          // enum format
-                       this.gl.UNSIGNED_BYTE, // enum type
-                       this._image);           // image data
-    
-    this.setRepeatS(POT);
-    this.setRepeatT(POT);
-    this.setSmooth(true);
-    
-    if (POT)
+    function midpoint(i0, i1)
     {
-        this.gl.generateMipmap(this.textureType);
-    }
+        var key = Math.min(i0, i1) + "_" + Math.max(i0, i1);
 
-    this.unbind();
-    
-    this.isLoaded = true;
+        if (midpoints[key] === undefined)
+        {
+            midpoints[key] = points.length;
+            points.push([(points[i0][0] + points[i1][0]) / 2,
+                         (points[i0][1] + points[i1][1]) / 2,
+                         (points[i0][2] + points[i1][2]) / 2]);
+        }
 
-    delete this._image;
+        return midpoints[key];
+    };
+
+    for (i = 0; i < subdivisions; i++)
+    {
+        midpoints = {};
+        subdivided = [];
+
+        for (j = 0; j < triangles.length; j += 3)
+        {
+            a = triangles[j];
+            b = triangles[j + 1];
+            c = triangles[j + 2];
+            ab = midpoint(a, b);
+            bc = midpoint(b, c);
+            ca = midpoint(c, a);
+
+            subdivided.push(a, ab, ca,   b, bc, ab,   c, ca, bc,   ab, bc, ca);
+        }
+
+        triangles = subdivided;
+    }
+
+    for (i = 0; i < points.length; i++)
+    {
+        vec3.normalize(points[i]);
+    }
+
+    // Each triangle gets its own texture coordinates, so the ones crossing
+    // the seam (u wrapping from 1 to 0) and touching a pole (where u is
+    // arbitrary) can be fixed up. Vertices with the same position and
+    // texture coordinates are then shared again.
+    var geometry = this._createGeometry();
+    var vertexIndices = {};
+    var u = [], v = [], isPole = [], corner = [], p, key, minU, maxU;
+
+    for (i = 0; i < triangles.length; i += 3)
+    {
+        minU = 1;
+        maxU = 0;
+
+        for (j = 0; j < 3; j++)
+        {
+            p = points[triangles[i + j]];
+            u[j] = Math.atan2(p[0], p[2]) / (2 * Math.PI);
+            u[j] += u[j] < 0 ? 1 : 0;
+            v[j] = 0.5 + Math.asin(Math.max(-1, Math.min(1, p[1]))) / Math.PI;
+            isPole[j] = Math.abs(p[1]) > 1 - 1e-9;
+
+            if (!isPole[j])
+            {
+                minU = Math.min(minU, u[j]);
+                maxU = Math.max(maxU, u[j]);
+            }
+        }
+
+        for (j = 0; j < 3; j++)
+        {
+            if (maxU - minU > 0.5 && u[j] < 0.5)
+            {
+                u[j] += 1;
+            }
+        }
+
+        for (j = 0; j < 3; j++)
+        {
+            if (isPole[j])
+            {
+                u[j] = (u[(j + 1) % 3] + u[(j + 2) % 3]) / 2;
+            }
+        }
+
+        for (j = 0; j < 3; j++)
+        {
+            key = triangles[i + j] + "_" + u[j];
+
+            if (vertexIndices[key] === undefined)
+            {
+                p = points[triangles[i + j]];
+                vertexIndices[key] = geometry.positions.length / 3;
+                geometry.positions.push(radius * p[0], radius * p[1], radius * p[2]);
+                geometry.normals.push(p[0], p[1], p[2]);
+                geometry.texCoords.push(u[j], v[j]);
+            }
+
+            corner[j] = vertexIndices[key];
+        }
+
+        geometry.indices.push(corner[0], corner[1], corner[2]);
+    }
+
+    return this._createMesh(geometry);
 };
+
 /**
- * @file Contains all ShipGL.CubeTexture code.
+ * Generates a cylinder centered at the origin, standing along the Y axis.
+ * The radii of its top and bottom may differ, making it a truncated cone.
+ * The side's texture coordinates wrap around it like generateUVSphere's,
+ * and each cap is mapped to a disc inscribed in the texture.
+ *
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {number} [radiusTop=0.5] The radius of the top
+ * @param {number} [radiusBottom=0.5] The radius of the bottom
+ * @param {number} [height=1] The height along Y
+ * @param {number} [radialSegments=32] The number of segments around the
+ *                                     cylinder
+ * @param {number} [heightSegments=1] The number of rows of quads the side
+ *                                    is divided into
+ * @param {boolean} [capped=true] Whether to close the top and bottom.
+ *                                Caps with a radius of 0 are left out.
+ * @return {object} The JSON mesh (see generateCube)
+ */
+ShipGL.BufferUtilities.prototype.generateCylinder = function(radiusTop, radiusBottom, height,
+                                                             radialSegments, heightSegments,
+                                                             capped)
+{
+    radiusTop = radiusTop === undefined ? 0.5 : radiusTop;
+    radiusBottom = radiusBottom === undefined ? 0.5 : radiusBottom;
+    height = height === undefined ? 1 : height;
+    radialSegments = radialSegments || 32;
+    heightSegments = heightSegments || 1;
+
+    var geometry = this._createGeometry();
+    var profile = [];
+
+    // The side's normals lean up or down by the slope of the side.
+    var slopeLength = Math.sqrt(height * height +
+                                (radiusBottom - radiusTop) * (radiusBottom - radiusTop));
+    var normalRadial = height / slopeLength;
+    var normalY = (radiusBottom - radiusTop) / slopeLength;
+
+    var i, s;
+    for (i = 0; i <= heightSegments; i++)
+    {
+        s = i / heightSegments;
+
+        profile.push({ radius: radiusTop + (radiusBottom - radiusTop) * s,
+                       y: height / 2 - height * s,
+                       normalRadial: normalRadial, normalY: normalY, v: 1 - s });
+    }
+
+    this._addLathe(geometry, profile, radialSegments);
+
+    if (capped !== false)
+    {
+        if (radiusTop > 0)
+        {
+            this._addCap(geometry, radiusTop, height / 2, 1, radialSegments);
+        }
+
+        if (radiusBottom > 0)
+        {
+            this._addCap(geometry, radiusBottom, -height / 2, -1, radialSegments);
+        }
+    }
+
+    return this._createMesh(geometry);
+};
+
+/**
+ * Generates a cone centered at the origin, pointing up the Y axis. This is
+ * a generateCylinder with a top radius of 0.
+ *
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {number} [radius=0.5] The radius of the base
+ * @param {number} [height=1] The height along Y
+ * @param {number} [radialSegments=32] The number of segments around the
+ *                                     cone
+ * @param {number} [heightSegments=1] The number of rows the side is
+ *                                    divided into
+ * @param {boolean} [capped=true] Whether to close the base
+ * @return {object} The JSON mesh (see generateCube)
+ */
+ShipGL.BufferUtilities.prototype.generateCone = function(radius, height, radialSegments,
+                                                         heightSegments, capped)
+{
+    return this.generateCylinder(0, radius === undefined ? 0.5 : radius, height,
+                                 radialSegments, heightSegments, capped);
+};
+
+/**
+ * Generates a torus centered at the origin, lying in the XZ plane. The
+ * texture's u runs around the ring and its v around the tube.
+ *
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {number} [radius=0.35] The distance from the center to the
+ *                               middle of the tube
+ * @param {number} [tubeRadius=0.15] The radius of the tube
+ * @param {number} [radialSegments=32] The number of segments around the
+ *                                     ring
+ * @param {number} [tubularSegments=16] The number of segments around the
+ *                                      tube
+ * @return {object} The JSON mesh (see generateCube)
+ */
+ShipGL.BufferUtilities.prototype.generateTorus = function(radius, tubeRadius, radialSegments,
+                                                          tubularSegments)
+{
+    radius = radius === undefined ? 0.35 : radius;
+    tubeRadius = tubeRadius === undefined ? 0.15 : tubeRadius;
+    radialSegments = radialSegments || 32;
+    tubularSegments = tubularSegments || 16;
+
+    var geometry = this._createGeometry();
+
+    var i, j, theta, phi, nx, ny, nz;
+    for (j = 0; j <= tubularSegments; j++)
+    {
+        // Around the tube, starting at its outer edge.
+        phi = 2 * Math.PI * j / tubularSegments;
+
+        for (i = 0; i <= radialSegments; i++)
+        {
+            // Around the ring, starting at +Z.
+            theta = 2 * Math.PI * i / radialSegments;
+
+            nx = Math.cos(phi) * Math.sin(theta);
+            ny = Math.sin(phi);
+            nz = Math.cos(phi) * Math.cos(theta);
+
+            geometry.positions.push(radius * Math.sin(theta) + tubeRadius * nx,
+                                    tubeRadius * ny,
+                                    radius * Math.cos(theta) + tubeRadius * nz);
+            geometry.normals.push(nx, ny, nz);
+            geometry.texCoords.push(i / radialSegments, j / tubularSegments);
+        }
+    }
+
+    this._addGridIndices(geometry, 0, radialSegments, tubularSegments);
+
+    return this._createMesh(geometry);
+};
+
+/**
+ * Generates a capsule centered at the origin, standing along the Y axis: a
+ * cylinder with a hemisphere on each end. The texture coordinates wrap
+ * around it like generateUVSphere's, with v spread evenly along its
+ * outline.
+ *
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {number} [radius=0.25] The radius of the cylinder and hemispheres
+ * @param {number} [height=1] The total height along Y, including the
+ *                            hemispheres. At least 2 * radius.
+ * @param {number} [radialSegments=32] The number of segments around the
+ *                                     capsule
+ * @param {number} [capSegments=8] The number of rings in each hemisphere
+ * @return {object} The JSON mesh (see generateCube)
+ */
+ShipGL.BufferUtilities.prototype.generateCapsule = function(radius, height, radialSegments,
+                                                            capSegments)
+{
+    radius = radius === undefined ? 0.25 : radius;
+    height = height === undefined ? 1 : height;
+    capSegments = capSegments || 8;
+
+    var geometry = this._createGeometry();
+    var halfCylinder = Math.max(0, height / 2 - radius);
+    var outlineLength = Math.PI * radius + 2 * halfCylinder;
+    var profile = [];
+
+    var i, phi, sinPhi, isTop, arcLength;
+    for (i = 0; i <= 2 * capSegments + 1; i++)
+    {
+        // The top hemisphere's rings, then the bottom one's, starting at
+        // the equator. The two equators enclose the cylinder.
+        isTop = i <= capSegments;
+
+        // Without a cylinder, the hemispheres share their equator.
+        if (i == capSegments + 1 && halfCylinder == 0)
+        {
+            continue;
+        }
+
+        phi = Math.PI / 2 * (isTop ? i : i - 1) / capSegments;
+        sinPhi = i == 0 || i == 2 * capSegments + 1 ? 0 : Math.sin(phi);
+        arcLength = radius * phi + (isTop ? 0 : 2 * halfCylinder);
+
+        profile.push({ radius: radius * sinPhi,
+                       y: radius * Math.cos(phi) + (isTop ? halfCylinder : -halfCylinder),
+                       normalRadial: sinPhi, normalY: Math.cos(phi),
+                       v: 1 - arcLength / outlineLength });
+    }
+
+    this._addLathe(geometry, profile, radialSegments || 32);
+
+    return this._createMesh(geometry);
+};
+
+// Geometry is collected in plain arrays, and turned into a JSON mesh by
+// _createMesh.
+ShipGL.BufferUtilities.prototype._createGeometry = function()
+{
+    return { positions: [], normals: [], texCoords: [], indices: [] };
+};
+
+ShipGL.BufferUtilities.prototype._createMesh = function(geometry)
+{
+    var mesh = { vertexPositions: geometry.positions,
+                 vertexNormals: geometry.normals,
+                 vertexTexCoordinates: [geometry.texCoords],
+                 indices: geometry.indices,
+                 materialIndex: 0 };
+
+    return ShipGL.MeshUtilities.generateTangents(mesh);
+};
+
+// Adds indices for a grid of quads. Its (columns + 1) x (rows + 1)
+// vertices start at firstVertex, row by row. Quads wind counter-clockwise
+// seen from where the row direction crossed with the column direction
+// points.
+ShipGL.BufferUtilities.prototype._addGridIndices = function(geometry, firstVertex, columns,
+                                                            rows)
+{
+    var row, column, a, b, c, d;
+    for (row = 0; row < rows; row++)
+    {
+        for (column = 0; column < columns; column++)
+        {
+            a = firstVertex + row * (columns + 1) + column;
+            b = a + 1;
+            c = a + columns + 1;
+            d = c + 1;
+
+            geometry.indices.push(a, b, d,   a, d, c);
+        }
+    }
+};
+
+// Adds a flat grid spanning center - uAxis - vAxis to center + uAxis +
+// vAxis, with texture coordinates from (0, 0) to (1, 1). uAxis x vAxis
+// must point along normal for the grid to face it.
+ShipGL.BufferUtilities.prototype._addPatch = function(geometry, center, uAxis, vAxis, normal,
+                                                      uSegments, vSegments)
+{
+    var firstVertex = geometry.positions.length / 3;
+
+    var i, j, k, s, t;
+    for (j = 0; j <= vSegments; j++)
+    {
+        t = j / vSegments;
+
+        for (i = 0; i <= uSegments; i++)
+        {
+            s = i / uSegments;
+
+            for (k = 0; k < 3; k++)
+            {
+                geometry.positions.push(center[k] + (2 * s - 1) * uAxis[k] +
+                                        (2 * t - 1) * vAxis[k]);
+            }
+
+            geometry.normals.push(normal[0], normal[1], normal[2]);
+            geometry.texCoords.push(s, t);
+        }
+    }
+
+    this._addGridIndices(geometry, firstVertex, uSegments, vSegments);
+};
+
+// Sweeps an outline around the Y axis, starting at +Z. The outline is a
+// list of points from top to bottom, each an object with radius and y (its
+// position), normalRadial and normalY (its normal) and v (its texture
+// coordinate). The first and last columns of vertices share positions
+// but not texture coordinates, so the texture wraps once around.
+ShipGL.BufferUtilities.prototype._addLathe = function(geometry, profile, segments)
+{
+    var firstVertex = geometry.positions.length / 3;
+
+    var i, j, point, theta, sinTheta, cosTheta;
+    for (j = 0; j < profile.length; j++)
+    {
+        point = profile[j];
+
+        for (i = 0; i <= segments; i++)
+        {
+            theta = 2 * Math.PI * i / segments;
+            sinTheta = Math.sin(theta);
+            cosTheta = Math.cos(theta);
+
+            geometry.positions.push(point.radius * sinTheta, point.y, point.radius * cosTheta);
+            geometry.normals.push(point.normalRadial * sinTheta, point.normalY,
+                                  point.normalRadial * cosTheta);
+            geometry.texCoords.push(i / segments, point.v);
+        }
+    }
+
+    // Triangles would collapse where a ring has a radius of 0 (poles and
+    // apexes), so those are left out.
+    var a, b, c, d;
+    for (j = 0; j < profile.length - 1; j++)
+    {
+        for (i = 0; i < segments; i++)
+        {
+            a = firstVertex + j * (segments + 1) + i;
+            b = a + 1;
+            c = a + segments + 1;
+            d = c + 1;
+
+            if (profile[j + 1].radius > 0)
+            {
+                geometry.indices.push(a, c, d);
+            }
+
+            if (profile[j].radius > 0)
+            {
+                geometry.indices.push(a, d, b);
+            }
+        }
+    }
+};
+
+// Adds a flat disc closing a lathe at height y, facing up (direction 1) or
+// down (direction -1).
+ShipGL.BufferUtilities.prototype._addCap = function(geometry, radius, y, direction, segments)
+{
+    var center = geometry.positions.length / 3;
+
+    geometry.positions.push(0, y, 0);
+    geometry.normals.push(0, direction, 0);
+    geometry.texCoords.push(0.5, 0.5);
+
+    var i, theta;
+    for (i = 0; i <= segments; i++)
+    {
+        theta = 2 * Math.PI * i / segments;
+
+        geometry.positions.push(radius * Math.sin(theta), y, radius * Math.cos(theta));
+        geometry.normals.push(0, direction, 0);
+        geometry.texCoords.push(0.5 + 0.5 * Math.sin(theta),
+                                0.5 - 0.5 * direction * Math.cos(theta));
+
+        if (i > 0)
+        {
+            if (direction > 0)
+            {
+                geometry.indices.push(center, center + i, center + i + 1);
+            }
+            else
+            {
+                geometry.indices.push(center, center + i + 1, center + i);
+            }
+        }
+    }
+};
+/**
+ * @file Contains all ShipGL.ShaderProgram code.
  * @author Jason Shipman
  *
  * Copyright (C) 2012 Jason Shipman
@@ -1839,545 +3288,7566 @@ ShipGL.Texture.prototype.onImageLoad = function()
  */
 
 /**
- * Creates a new ShipGL.CubeTexture instance.
+ * Creates a new ShipGL.ShaderProgram instance.
  *
- * @class ShipGL.CubeTexture
- * @classdesc A ShipGL.CubeTexture object provides a simple interface to a raw
- *            WebGL cube map.
+ * @class ShipGL.ShaderProgram
+ * @classdesc A ShipGL.ShaderProgram object provides a convenient interface
+ *            to a raw WebGL shader program.
  * @augments ShipGL.GLResource
  *
  * @param {WebGLRenderingContext} gl The rendering context
  */
-ShipGL.CubeTexture = function(gl)
+ShipGL.ShaderProgram = function(gl)
 {
     ShipGL.GLResource.call(this, gl);
     
-    this.textureType = this.gl.TEXTURE_CUBE_MAP;
-    
     /**
-     * @memberof ShipGL.CubeTexture#
-     * @description The raw WebGL texture. Prefer using the methods
+     * @memberof ShipGL.ShaderProgram#
+     * @description The raw WebGL shader program. Prefer using the methods
      *              provided instead of accessing this directly. Be careful!
-     * @name rawTexture
+     * @name rawProgram
      */
-    this.rawTexture = this.gl.createTexture();
-
-    this._images = [];
+    this.rawProgram = this.gl.createProgram();
 
-    var i, scope = this;
-    for (i = 0; i < 6; i++)
-    {
-        this._images[i] = new Image();
-        this._images[i].onload = (function(index)
-                                  {
-                                      return function()
-                                      {
-                                          scope.onImageLoad(index);
-                                      };
-                                  })(i);
-        this._images[i].onerror = (function(index)
-                                  {
-                                      return function()
-                                      {
-                                          alert("Image " + index + " " +
-                                                this.src + " load error!");
-                                      };
-                                  })(i);
-    }
+    // Bytes per float (4).
+    this._bpf = Float32Array.BYTES_PER_ELEMENT;
 };
 
-ShipGL.CubeTexture.prototype = Object.create(ShipGL.GLResource.prototype);
-
 /**
- * Bind the texture to the WebGL rendering context.
- *
- * @this {ShipGL.CubeTexture}
- *
- * @param {number} [unit] The texture unit to make active. If unit is
- *                        not specified, texture will still get bound
- *                        but no texture unit will be made active.
- * @example
- * // Assume tex is an instance of ShipGL.CubeTexture. You can bind the
- * // texture like this:
- * tex.bind();
+ * Enable instanced drawing (attribute divisors and the instanced draw calls)
+ * through the ANGLE_instanced_arrays extension.
  *
- * // You can bind the texture and set the active texture unit in the
- * // same call like this:
- * tex.bind(0);
- *
- * // The above call binds the texture and makes texture unit TEXTURE0 active.
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @return {boolean} True if instanced drawing is supported
  */
-ShipGL.CubeTexture.prototype.bind = function(unit)
+ShipGL.ShaderProgram.enableInstancing = function(gl)
 {
-    if (unit >= 0)
-    {
-        this.gl.activeTexture(this.gl.TEXTURE0 + unit);
-    }
-
-    this.gl.bindTexture(this.textureType, this.rawTexture);
+    return !!gl.getExtension("ANGLE_instanced_arrays");
 };
 
+ShipGL.ShaderProgram.prototype = Object.create(ShipGL.GLResource.prototype);
+
 /**
- * Unbind the texture from the WebGL rendering context.
+ * Bind the shader program to the WebGL rendering context.
  *
- * @this {ShipGL.CubeTexture}
+ * @this {ShipGL.ShaderProgram}
  */
-ShipGL.CubeTexture.prototype.unbind = function()
+ShipGL.ShaderProgram.prototype.bind = function()
 {
-    this.gl.bindTexture(this.textureType, null);
+    this.gl.useProgram(this.rawProgram);
 };
 
 /**
- * Load the image for the positive X face.
- *
- * @this {ShipGL.CubeTexture}
+ * Unbind the shader program from the WebGL rendering context.
  *
- * @param {string} pathToTexture Path to the image file
+ * @this {ShipGL.ShaderProgram}
  */
-ShipGL.CubeTexture.prototype.loadPositiveX = function(pathToTexture)
+ShipGL.ShaderProgram.prototype.unbind = function()
 {
-    this._images[0].src = pathToTexture;
+    this.gl.useProgram(null);
 };
 
 /**
- * Load the image for the negative X face.
+ * Create the shader program from vertex and fragment shader sources.
  *
- * @this {ShipGL.CubeTexture}
+ * @this {ShipGL.ShaderProgram}
  *
- * @param {string} pathToTexture Path to the image file
+ * @param {string} vShaderCode The vertex shader code
+ * @param {string} fShaderCode The fragment shader code
  */
-ShipGL.CubeTexture.prototype.loadNegativeX = function(pathToTexture)
+ShipGL.ShaderProgram.prototype.create = function(vShaderCode, fShaderCode)
 {
-    this._images[1].src = pathToTexture;
+    var vShader = this.createShader(this.gl.VERTEX_SHADER,   vShaderCode);
+    var fShader = this.createShader(this.gl.FRAGMENT_SHADER, fShaderCode);
+
+    this.gl.attachShader(this.rawProgram, vShader);
+    this.gl.attachShader(this.rawProgram, fShader);
+    
+    this.gl.linkProgram(this.rawProgram);
+    if (!this.gl.getProgramParameter(this.rawProgram, this.gl.LINK_STATUS))
+    {
+        alert("GLSL LINK ERROR!\n" + this.gl.getProgramInfoLog(this.rawProgram));
+        return null;
+    }
 };
 
 /**
- * Load the image for the positive Y face.
+ * Create and compile a shader from source.
  *
- * @this {ShipGL.CubeTexture}
+ * Don't need to call this function. Just use create method. createShader is
+ * used internally by create.
  *
- * @param {string} pathToTexture Path to the image file
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {number} shaderType The type of shader
+ *                            (VERTEX_SHADER or FRAGMENT_SHADER)
+ * @param {string} code The shader code (for either vertex or fragment shader)
  */
-ShipGL.CubeTexture.prototype.loadPositiveY = function(pathToTexture)
+ShipGL.ShaderProgram.prototype.createShader = function(shaderType, code)
 {
-    this._images[2].src = pathToTexture;
+    var shader = this.gl.createShader(shaderType);
+    this.gl.shaderSource(shader, code);
+    this.gl.compileShader(shader);
+    
+    if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS))
+    {
+        alert("GLSL COMPILE ERROR!\n" + code + '\n' +
+              this.gl.getShaderInfoLog(shader));
+        return null;
+    }
+
+    return shader;
 };
 
 /**
- * Load the image for the negative Y face.
+ * Look up the attribute location for the passed in attribute name.
  *
- * @this {ShipGL.CubeTexture}
+ * @this {ShipGL.ShaderProgram}
  *
- * @param {string} pathToTexture Path to the image file
+ * @param {string} attName The attribute name string
+ * @return {number} The attribute location
  */
-ShipGL.CubeTexture.prototype.loadNegativeY = function(pathToTexture)
+ShipGL.ShaderProgram.prototype.attributeLocation = function(attName)
 {
-    this._images[3].src = pathToTexture;
+    var loc = this.gl.getAttribLocation(this.rawProgram, attName);
+
+    if (loc < 0)
+    {
+        alert("ShipGL.ShaderProgram.attributeLocation: " + attName + " is not " +
+              "a valid uniform! Returning null...");
+    }
+
+    return loc;
 };
 
 /**
- * Load the image for the positive Z face.
+ * Check whether the shader program has an active attribute with the passed
+ * in name, without complaining if it doesn't.
  *
- * @this {ShipGL.CubeTexture}
+ * @this {ShipGL.ShaderProgram}
  *
- * @param {string} pathToTexture Path to the image file
+ * @param {string} attName The attribute name string
+ * @return {boolean} Whether or not the attribute exists
  */
-ShipGL.CubeTexture.prototype.loadPositiveZ = function(pathToTexture)
+ShipGL.ShaderProgram.prototype.hasAttribute = function(attName)
 {
-    this._images[4].src = pathToTexture;
+    return this.gl.getAttribLocation(this.rawProgram, attName) >= 0;
 };
 
 /**
- * Load the image for the negative Z face.
+ * Look up the uniform location for the passed in uniform name.
  *
- * @this {ShipGL.CubeTexture}
+ * @this {ShipGL.ShaderProgram}
  *
- * @param {string} pathToTexture Path to the image file
+ * @param {string} unfName The uniform name string
+ * @return {number} The uniform location
  */
-ShipGL.CubeTexture.prototype.loadNegativeZ = function(pathToTexture)
+ShipGL.ShaderProgram.prototype.uniformLocation = function(unfName)
 {
-    this._images[5].src = pathToTexture;
+    var loc = this.gl.getUniformLocation(this.rawProgram, unfName);
+
+    if (loc < 0)
+    {
+        alert("ShipGL.ShaderProgram.uniformLocation: " + unfName + " is not " +
+              "a valid uniform! Returning null...");
+    }
+
+    return loc;
 };
 
 /**
- * Set the texture's wrapping mode for the S component of texture coordinates.
+ * Enable the attribute array for the passed in attribute name. Do not pass
+ * in the attribute location!  Pass in the name string.  Internally,
+ * ShipGL.ShaderProgram caches the attribute locations so you don't have to
+ * worry about it.
  *
- * @this {ShipGL.CubeTexture}
+ * @this {ShipGL.ShaderProgram}
  *
- * @param {boolean} repeat Should S be repeated or clamped?
+ * @param {string} att The attribute name string
  */
-ShipGL.CubeTexture.prototype.setRepeatS = function(repeat)
+ShipGL.ShaderProgram.prototype.enableAttributeArray = function(att)
 {
-    this.gl.texParameteri(this.textureType, this.gl.TEXTURE_WRAP_S,
-                          repeat ? this.gl.REPEAT : this.gl.CLAMP_TO_EDGE);
+    this[att] = this[att] || this.attributeLocation(att);
+    this.gl.enableVertexAttribArray(this[att]);
 };
 
 /**
- * Set the texture's wrapping mode for the T component of texture coordinates.
+ * Disable the attribute array for the passed in attribute name. Do not pass
+ * in the attribute location!  Pass in the name string.  Internally,
+ * ShipGL.ShaderProgram caches the attribute locations so you don't have to
+ * worry about it.
  *
- * @this {ShipGL.CubeTexture}
+ * @this {ShipGL.ShaderProgram}
  *
- * @param {boolean} repeat Should T be repeated or clamped?
+ * @param {string} att The attribute name string
  */
-ShipGL.CubeTexture.prototype.setRepeatT = function(repeat)
+ShipGL.ShaderProgram.prototype.disableAttributeArray = function(att)
 {
-    this.gl.texParameteri(this.textureType, this.gl.TEXTURE_WRAP_T,
-                          repeat ? this.gl.REPEAT : this.gl.CLAMP_TO_EDGE);
+    this[att] = this[att] || this.attributeLocation(att);
+    this.gl.disableVertexAttribArray(this[att]);
 };
 
 /**
- * Set the texture's filter modes.
+ * Set a scalar float attribute in the shader program from the bound buffer.
  *
- * @this {ShipGL.CubeTexture}
+ * You must specify stride and offset! These are in terms of array indices, NOT bytes.
+ * The method will send stride and offset in bytes for you.
  *
- * @param {boolean} smooth Should the texture have a smooth appearance?
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
+ * @param {number} offset The starting attribute index
+ * @param {bool} [norm=false] Whether or not values should be normalized
  */
-ShipGL.CubeTexture.prototype.setSmooth = function(smooth)
+ShipGL.ShaderProgram.prototype.setAttributeBuffer1f = function(att, stride, offset, norm)
 {
-    this.gl.texParameteri(this.textureType, this.gl.TEXTURE_MAG_FILTER,
-                          smooth ? this.gl.LINEAR : this.gl.NEAREST);
-
-    this.gl.texParameteri(this.textureType, this.gl.TEXTURE_MIN_FILTER,
-                          smooth ? this.gl.LINEAR : this.gl.NEAREST);
+    norm = norm || false;
+    this[att] = this[att] || this.attributeLocation(att);
+    this.gl.vertexAttribPointer(this[att], 1, this.gl.FLOAT, norm, this._bpf * stride, this._bpf * offset);
 };
 
 /**
- * Callback used to store a face's image data on the graphics card and
- * handle some other initialization.
+ * Set a two-dimensional float attribute in the shader program from the bound buffer.
  *
- * @this {ShipGL.CubeTexture}
+ * You must specify stride and offset! These are in terms of array indices, NOT bytes.
+ * The method will send stride and offset in bytes for you.
  *
- * @param {number} index The index into the _images array of images (0-5).
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
+ * @param {number} offset The starting attribute index
+ * @param {bool} [norm=false] Whether or not values should be normalized
  */
-ShipGL.CubeTexture.prototype.onImageLoad = function(index)
+ShipGL.ShaderProgram.prototype.setAttributeBuffer2f = function(att, stride, offset, norm)
 {
-    this.bind();
-    this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL, 0);
-    this.gl.texImage2D(
-        this.gl.TEXTURE_CUBE_MAP_POSITIVE_X + index, // enum target
-        0,                         // int level
-        this.gl.RGBA,             // enum internalformat
-        this.gl.RGBA,             // enum format
-        this.gl.UNSIGNED_BYTE,    // enum type
-        this._images[index]);     // image data
-
-    this.setRepeatS(false);
-    this.setRepeatT(false);
-    this.setSmooth(true);
-    this.unbind();
+    norm = norm || false;
+    this[att] = this[att] || this.attributeLocation(att);
+    this.gl.vertexAttribPointer(this[att], 2, this.gl.FLOAT, norm, this._bpf * stride, this._bpf * offset);
 };
+
 /**
- * @file Contains all ShipGL.Light code.
- * @author Jason Shipman
- *
- * Copyright (C) 2012 Jason Shipman
- * This software is provided 'as-is', without any express or implied warranty.
- * In no event will the authors be held liable for any damages arising from the
- * use of this software.
- *
- * Permission is granted to anyone to use this software for any purpose,
- * including commercial applications, and to alter it and redistribute it
- * freely, subject to the following restrictions:
+ * Set a three-dimensional float attribute in the shader program from the bound buffer.
  *
- * 1. The origin of this software must not be misrepresented; you must not
- * claim that you wrote the original software. If you use this software
- * in a product, an acknowledgment in the product documentation would be
- * appreciated but is not required.
+ * You must specify stride and offset! These are in terms of array indices, NOT bytes.
+ * The method will send stride and offset in bytes for you.
  *
- * 2. Altered source versions must be plainly marked as such, and must not be
- * misrepresented as being the original software.
+ * @this {ShipGL.ShaderProgram}
  *
- * 3. This notice may not be removed or altered from any source distribution.
+ * @param {string} att The attribute name string
+ * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
+ * @param {number} offset The starting attribute index
+ * @param {bool} [norm=false] Whether or not values should be normalized
  */
+ShipGL.ShaderProgram.prototype.setAttributeBuffer3f = function(att, stride, offset, norm)
+{
+    norm = norm || false;
+    this[att] = this[att] || this.attributeLocation(att);
+    this.gl.vertexAttribPointer(this[att], 3, this.gl.FLOAT, norm, this._bpf * stride, this._bpf * offset);
+};
 
 /**
- * ShipGL.Light is abstract. You can instantiate it, but the instant you call
- * one of the instance's methods, an exception will be thrown.
+ * Set a four-dimensional float attribute in the shader program from the bound buffer.
  *
- * @class ShipGL.Light
- * @classdesc A ShipGL.Light serves as the base class for the specific
- *            light types ShipGL offers.
+ * You must specify stride and offset! These are in terms of array indices, NOT bytes.
+ * The method will send stride and offset in bytes for you.
  *
- * @param {number} intensity The light's intensity
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
+ * @param {number} offset The starting attribute index
+ * @param {bool} [norm=false] Whether or not values should be normalized
  */
-ShipGL.Light = function(intensity)
+ShipGL.ShaderProgram.prototype.setAttributeBuffer4f = function(att, stride, offset, norm)
 {
-    /**
-     * @memberof ShipGL.Light#
-     * @description The light's intensity.
-     * @name intensity
-     */
-    this.intensity = vec3.create(intensity);
-    
-    /**
-     * @memberof ShipGL.Light#
-     * @description The light's rotation status.
-     * @name isRotating
-     */
-    this.isRotating = false;
-    
-    /**
-     * @memberof ShipGL.Light#
-     * @description The light's rotation matrix.
-     * @name rotationMat
-     */
-    this.rotationMat = mat4.create();
+    norm = norm || false;
+    this[att] = this[att] || this.attributeLocation(att);
+    this.gl.vertexAttribPointer(this[att], 4, this.gl.FLOAT, norm, this._bpf * stride, this._bpf * offset);
 };
 
 /**
- * If the light is rotating, calling this function should rotate the light
- * according to its rotation matrix and do any other updating that may
- * be necessary between frames.
+ * Set a scalar integer attribute in the shader program from the bound buffer.
  *
- * @this {ShipGL.Light}
+ * You must specify stride and offset! These are in terms of array indices, NOT bytes.
+ * The method will send stride and offset in bytes for you, using the size of type.
  *
- * @param {number} elapsed The elapsed time in milliseconds since the last
- *                         call to update. The implementation does not
- *                         require this parameter to be passed in.
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
+ * @param {number} offset The starting attribute index
+ * @param {bool} [norm=false] Whether or not values should be normalized
+ * @param {number} [type=SHORT] The WebGL type of the values (BYTE,
+ *                              UNSIGNED_BYTE, SHORT or UNSIGNED_SHORT)
  */
-ShipGL.Light.prototype.update = function(elapsed)
+ShipGL.ShaderProgram.prototype.setAttributeBuffer1i = function(att, stride, offset, norm, type)
 {
-    throw "ShipGL.Light.update is abstract!";
+    this._setIntegerAttributeBuffer(att, 1, stride, offset, norm, type);
 };
 
 /**
- * Does some preparation for the light to begin rotation, mainly computing
- * the light's rotation matrix.
+ * Set a two-dimensional integer attribute in the shader program from the bound buffer.
  *
- * @this {ShipGL.Light}
+ * You must specify stride and offset! These are in terms of array indices, NOT bytes.
+ * The method will send stride and offset in bytes for you, using the size of type.
  *
- * @param {number} angle The angle (in degrees) to rotate for every call
- *                       to update
- * @param {vec3} axis The axis to rotate around
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
+ * @param {number} offset The starting attribute index
+ * @param {bool} [norm=false] Whether or not values should be normalized
+ * @param {number} [type=SHORT] The WebGL type of the values (BYTE,
+ *                              UNSIGNED_BYTE, SHORT or UNSIGNED_SHORT)
  */
-ShipGL.Light.prototype.startRotation = function(angle, axis)
+ShipGL.ShaderProgram.prototype.setAttributeBuffer2i = function(att, stride, offset, norm, type)
 {
-    throw "ShipGL.Light.startRotation is abstract!";
+    this._setIntegerAttributeBuffer(att, 2, stride, offset, norm, type);
 };
 
 /**
- * Disables rotation. (No matter how many times you call update, the
- * light won't rotate!)
+ * Set a three-dimensional integer attribute in the shader program from the bound buffer.
  *
- * @this {ShipGL.Light}
+ * You must specify stride and offset! These are in terms of array indices, NOT bytes.
+ * The method will send stride and offset in bytes for you, using the size of type.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
+ * @param {number} offset The starting attribute index
+ * @param {bool} [norm=false] Whether or not values should be normalized
+ * @param {number} [type=SHORT] The WebGL type of the values (BYTE,
+ *                              UNSIGNED_BYTE, SHORT or UNSIGNED_SHORT)
  */
-ShipGL.Light.prototype.stopRotation = function()
+ShipGL.ShaderProgram.prototype.setAttributeBuffer3i = function(att, stride, offset, norm, type)
 {
-    throw "ShipGL.Light.stopRotation is abstract!";
+    this._setIntegerAttributeBuffer(att, 3, stride, offset, norm, type);
 };
+
 /**
- * @file Contains all ShipGL.PointLight code.
- * @author Jason Shipman
- *
- * Copyright (C) 2012 Jason Shipman
- * This software is provided 'as-is', without any express or implied warranty.
- * In no event will the authors be held liable for any damages arising from the
- * use of this software.
- *
- * Permission is granted to anyone to use this software for any purpose,
- * including commercial applications, and to alter it and redistribute it
- * freely, subject to the following restrictions:
+ * Set a four-dimensional integer attribute in the shader program from the bound buffer.
  *
- * 1. The origin of this software must not be misrepresented; you must not
- * claim that you wrote the original software. If you use this software
- * in a product, an acknowledgment in the product documentation would be
- * appreciated but is not required.
+ * You must specify stride and offset! These are in terms of array indices, NOT bytes.
+ * The method will send stride and offset in bytes for you, using the size of type.
  *
- * 2. Altered source versions must be plainly marked as such, and must not be
- * misrepresented as being the original software.
+ * @this {ShipGL.ShaderProgram}
  *
- * 3. This notice may not be removed or altered from any source distribution.
+ * @param {string} att The attribute name string
+ * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
+ * @param {number} offset The starting attribute index
+ * @param {bool} [norm=false] Whether or not values should be normalized
+ * @param {number} [type=SHORT] The WebGL type of the values (BYTE,
+ *                              UNSIGNED_BYTE, SHORT or UNSIGNED_SHORT)
  */
+ShipGL.ShaderProgram.prototype.setAttributeBuffer4i = function(att, stride, offset, norm, type)
+{
+    this._setIntegerAttributeBuffer(att, 4, stride, offset, norm, type);
+};
 
 /**
- * Creates a new ShipGL.PointLight instance.
+ * Set an attribute of any type in the shader program from the bound buffer.
  *
- * @class ShipGL.PointLight
- * @classdesc A ShipGL.PointLight is a ShipGL.Light that has a position.
- *            The position is represented as a 4D vector with the fourth
- *            component locked to 1.
- * @augments ShipGL.Light
+ * Unlike the setAttributeBuffer methods, stride and offset are in bytes.
+ * See ShipGL.VertexLayout, which works them out for you.
  *
- * @param {number} intensity The light's intensity
- * @param {vec3} position The light's position
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {number} size The number of components (1-4)
+ * @param {number} type The WebGL type of a component (FLOAT, UNSIGNED_BYTE,
+ *                      etc.)
+ * @param {bool} norm Whether or not integer values should be normalized
+ * @param {number} stride The stride between attributes in bytes
+ * @param {number} offset The byte of the first attribute
  */
-ShipGL.PointLight = function(intensity, position)
+ShipGL.ShaderProgram.prototype.setAttributePointer = function(att, size, type, norm, stride, offset)
 {
-    ShipGL.Light.call(this, intensity);
-
-    /**
-     * @memberof ShipGL.PointLight#
-     * @description The light's position.
-     * @name position
-     */
-    this.position = vec4.createFrom(position[0], position[1], position[2], 1);
+    this[att] = this[att] || this.attributeLocation(att);
+    this.gl.vertexAttribPointer(this[att], size, type, norm || false, stride, offset);
 };
 
-ShipGL.PointLight.prototype = Object.create(ShipGL.Light.prototype);
+// WebGL 1 has no INT attributes, so integer attributes default to SHORT.
+ShipGL.ShaderProgram.prototype._setIntegerAttributeBuffer = function(att, size, stride, offset,
+                                                                     norm, type)
+{
+    type = type || this.gl.SHORT;
+
+    var bytes = ShipGL.VertexLayout.bytesPerComponent(this.gl, type);
+
+    this[att] = this[att] || this.attributeLocation(att);
+    this.gl.vertexAttribPointer(this[att], size, type, norm || false, bytes * stride, bytes * offset);
+};
 
 /**
- * If the light is rotating, calling this function will rotate the light
- * according to its rotation matrix.
+ * Set a constant scalar float attribute in the shader program.
  *
- * @this {ShipGL.PointLight}
+ * @this {ShipGL.ShaderProgram}
  *
- * @param {number} elapsed The elapsed time in milliseconds since the last
- *                         call to update. The implementation does not
- *                         require this parameter to be passed in.
+ * @param {string} att The attribute name string
+ * @param {float} val1 The float value
  */
-ShipGL.PointLight.prototype.update = function(elapsed)
+ShipGL.ShaderProgram.prototype.setAttributeValue1f = function(att, val1)
 {
-    if (this.isRotating)
-    {
-        mat4.multiplyVec4(this.rotationMat, this.position);
-
-        // Rotation matrix should never change 4th component,
-        // but just to be safe...
-        this.position[3] = 1;
-    }
+    this[att] = this[att] || this.attributeLocation(att);
+    this.gl.vertexAttrib1f(this[att], val1);
 };
 
 /**
- * Does some preparation for the light to begin rotation, mainly computing
- * the light's rotation matrix.
+ * Set a constant two-dimensional float attribute in the shader program.
  *
- * @this {ShipGL.PointLight}
+ * @this {ShipGL.ShaderProgram}
  *
- * @param {number} angle The angle (in degrees) to rotate for every call
- *                       to update
- * @param {vec3} axis The axis to rotate around
- * @param {vec3} center Rotate with respect to this point
+ * @param {string} att The attribute name string
+ * @param {float} val1 The first float value
+ * @param {float} val2 The second float value
  */
-ShipGL.PointLight.prototype.startRotation = function(angle, axis, center)
+ShipGL.ShaderProgram.prototype.setAttributeValue2f = function(att, val1, val2)
 {
-    this.isRotating = true;
-
-    ShipGL.Math.arbitraryRotation(ShipGL.Math.toRadians(angle),
-                                  center,
-                                  axis,
-                                  this.rotationMat);
+    this[att] = this[att] || this.attributeLocation(att);
+    this.gl.vertexAttrib2f(this[att], val1, val2);
 };
 
 /**
- * Disables rotation. (No matter how many times you call update, the
- * light won't rotate!)
+ * Set a constant three-dimensional float attribute in the shader program.
  *
- * @this {ShipGL.PointLight}
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {float} val1 The first float value
+ * @param {float} val2 The second float value
+ * @param {float} val3 The third float value
  */
-ShipGL.PointLight.prototype.stopRotation = function()
+ShipGL.ShaderProgram.prototype.setAttributeValue3f = function(att, val1, val2, val3)
 {
-    this.isRotating = false;
+    this[att] = this[att] || this.attributeLocation(att);
+    this.gl.vertexAttrib3f(this[att], val1, val2, val3);
 };
 
 /**
- * @file Contains all ShipGL.DirectionalLight code.
- * @author Jason Shipman
- *
- * Copyright (C) 2012 Jason Shipman
- * This software is provided 'as-is', without any express or implied warranty.
- * In no event will the authors be held liable for any damages arising from the
- * use of this software.
- *
- * Permission is granted to anyone to use this software for any purpose,
- * including commercial applications, and to alter it and redistribute it
- * freely, subject to the following restrictions:
- *
- * 1. The origin of this software must not be misrepresented; you must not
- * claim that you wrote the original software. If you use this software
- * in a product, an acknowledgment in the product documentation would be
- * appreciated but is not required.
+ * Set a constant four-dimensional float attribute in the shader program.
  *
- * 2. Altered source versions must be plainly marked as such, and must not be
- * misrepresented as being the original software.
+ * @this {ShipGL.ShaderProgram}
  *
- * 3. This notice may not be removed or altered from any source distribution.
+ * @param {string} att The attribute name string
+ * @param {float} val1 The first float value
+ * @param {float} val2 The second float value
+ * @param {float} val3 The third float value
+ * @param {float} val4 The fourth float value
  */
+ShipGL.ShaderProgram.prototype.setAttributeValue4f = function(att, val1, val2, val3, val4)
+{
+    this[att] = this[att] || this.attributeLocation(att);
+    this.gl.vertexAttrib4f(this[att], val1, val2, val3, val4);
+};
 
 /**
- * Creates a new ShipGL.DirectionalLight instance.
+ * Enable the attribute arrays of a mat4 attribute, which takes up four
+ * consecutive attribute locations (one per column).
  *
- * @class ShipGL.DirectionalLight
- * @classdesc A ShipGL.DirectionalLight is a ShipGL.Light that has a direction.
- *            The direction is represented as a 4D vector with the fourth
- *            component locked to 0.
- * @augments ShipGL.Light
+ * @this {ShipGL.ShaderProgram}
  *
- * @param {number} intensity The light's intensity
- * @param {vec3} dir The light's direction
+ * @param {string} att The attribute name string
  */
-ShipGL.DirectionalLight = function(intensity, dir)
+ShipGL.ShaderProgram.prototype.enableMatrixAttributeArray = function(att)
 {
-    ShipGL.Light.call(this, intensity);
+    this[att] = this[att] || this.attributeLocation(att);
 
-    /**
-     * @memberof ShipGL.DirectionalLight#
-     * @description The light's direction.
-     * @name direction
-     */
-    this.direction = vec4.createFrom(dir[0], dir[1], dir[2], 0);
-    vec3.normalize(this.direction);
+    var i;
+    for (i = 0; i < 4; i++)
+    {
+        this.gl.enableVertexAttribArray(this[att] + i);
+    }
 };
 
-ShipGL.DirectionalLight.prototype = Object.create(ShipGL.Light.prototype);
-
 /**
- * If the light is rotating, calling this function will rotate the light
- * according to its rotation matrix.
+ * Disable the attribute arrays of a mat4 attribute.
  *
- * @this {ShipGL.DirectionalLight}
+ * @this {ShipGL.ShaderProgram}
  *
- * @param {number} elapsed The elapsed time in milliseconds since the last
- *                         call to update. The implementation does not
- *                         require this parameter to be passed in.
+ * @param {string} att The attribute name string
  */
-ShipGL.DirectionalLight.prototype.update = function(elapsed)
+ShipGL.ShaderProgram.prototype.disableMatrixAttributeArray = function(att)
 {
-    if (this.isRotating)
+    this[att] = this[att] || this.attributeLocation(att);
+
+    var i;
+    for (i = 0; i < 4; i++)
     {
-        mat4.multiplyVec4(this.rotationMat, this.direction);
-        
-        // Rotation matrix should never change 4th component,
-        // but just to be safe...
-        this.direction[3] = 0;
-        vec3.normalize(this.direction);
+        this.gl.disableVertexAttribArray(this[att] + i);
     }
 };
 
 /**
- * Does some preparation for the light to begin rotation, mainly computing
- * the light's rotation matrix.
+ * Set a mat4 float attribute in the shader program from the bound buffer.
+ * The matrix is read as 16 consecutive floats, in column-major order like
+ * gl-matrix's mat4.
  *
- * @this {ShipGL.DirectionalLight}
+ * You must specify stride and offset! These are in terms of array indices, NOT bytes.
+ * The method will send stride and offset in bytes for you.
  *
- * @param {number} angle The angle (in degrees) to rotate for every call
- *                       to update
- * @param {vec3} axis The axis to rotate around
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
+ * @param {number} offset The starting attribute index
  */
-ShipGL.DirectionalLight.prototype.startRotation = function(angle, axis)
+ShipGL.ShaderProgram.prototype.setAttributeBufferMat4f = function(att, stride, offset)
 {
-    this.isRotating = true;
-
-    mat4.identity(this.rotationMat);
+    this[att] = this[att] || this.attributeLocation(att);
 
-    // Unlike ShipGL.PointLight, we do not need to use
-    // ShipGL.Math.arbitraryRotation here since we are dealing with
-    // light direction, not position.
-    mat4.rotate(this.rotationMat, ShipGL.Math.toRadians(angle), axis);
+    var i;
+    for (i = 0; i < 4; i++)
+    {
+        this.gl.vertexAttribPointer(this[att] + i, 4, this.gl.FLOAT, false,
+                                    this._bpf * stride, this._bpf * (offset + 4 * i));
+    }
 };
 
 /**
- * Disables rotation. (No matter how many times you call update, the
- * light won't rotate!)
+ * Set a constant mat4 float attribute in the shader program.
  *
- * @this {ShipGL.DirectionalLight}
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {mat4} val The matrix (or any array of 16 floats, column-major)
  */
-ShipGL.DirectionalLight.prototype.stopRotation = function()
+ShipGL.ShaderProgram.prototype.setAttributeValueMat4f = function(att, val)
 {
-    this.isRotating = false;
+    this[att] = this[att] || this.attributeLocation(att);
+
+    var i;
+    for (i = 0; i < 4; i++)
+    {
+        this.gl.vertexAttrib4f(this[att] + i, val[4 * i], val[4 * i + 1],
+                               val[4 * i + 2], val[4 * i + 3]);
+    }
+};
+
+/**
+ * Set how often an attribute advances during instanced drawing: 0 for
+ * every vertex (the default), 1 for every instance, 2 for every other
+ * instance, etc. Requires ShipGL.ShaderProgram.enableInstancing.
+ *
+ * Divisors are context state, so reset them to 0 when done drawing
+ * instances.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {number} divisor The number of instances per attribute value
+ */
+ShipGL.ShaderProgram.prototype.setAttributeDivisor = function(att, divisor)
+{
+    this[att] = this[att] || this.attributeLocation(att);
+    this.gl.getExtension("ANGLE_instanced_arrays").vertexAttribDivisorANGLE(this[att], divisor);
+};
+
+/**
+ * Set the divisor of the four locations of a mat4 attribute. See
+ * setAttributeDivisor.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {number} divisor The number of instances per attribute value
+ */
+ShipGL.ShaderProgram.prototype.setMatrixAttributeDivisor = function(att, divisor)
+{
+    this[att] = this[att] || this.attributeLocation(att);
+
+    var ext = this.gl.getExtension("ANGLE_instanced_arrays");
+
+    var i;
+    for (i = 0; i < 4; i++)
+    {
+        ext.vertexAttribDivisorANGLE(this[att] + i, divisor);
+    }
+};
+
+/**
+ * Set a scalar float uniform in the shader program.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {float} val The float value
+ */
+ShipGL.ShaderProgram.prototype.setUniform1f = function(unf, val)
+{
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniform1f(this[unf], val);
+};
+
+/**
+ * Set a two-dimensional float uniform in the shader program.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {float} val1 The first float value
+ * @param {float} val2 The second float value
+ */
+ShipGL.ShaderProgram.prototype.setUniform2f = function(unf, val1, val2)
+{
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniform2f(this[unf], val1, val2);
+};
+
+/**
+ * Set a three-dimensional float uniform in the shader program.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {float} val1 The first float value
+ * @param {float} val2 The second float value
+ * @param {float} val3 The third float value
+ */
+ShipGL.ShaderProgram.prototype.setUniform3f = function(unf, val1, val2, val3)
+{
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniform3f(this[unf], val1, val2, val3);
+};
+
+/**
+ * Set a four-dimensional float uniform in the shader program.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {float} val1 The first float value
+ * @param {float} val2 The second float value
+ * @param {float} val3 The third float value
+ * @param {float} val4 The fourth float value
+ */
+ShipGL.ShaderProgram.prototype.setUniform4f = function(unf, val1, val2, val3, val4)
+{
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniform4f(this[unf], val1, val2, val3, val4);
+};
+
+/**
+ * Set a scalar integer uniform in the shader program.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {integer} val The integer value
+ */
+ShipGL.ShaderProgram.prototype.setUniform1i = function(unf, val)
+{
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniform1i(this[unf], val);
+};
+
+/**
+ * Set a two-dimensional integer uniform in the shader program.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {integer} val1 The first integer value
+ * @param {integer} val2 The second integer value
+ */
+ShipGL.ShaderProgram.prototype.setUniform2i = function(unf, val1, val2)
+{
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniform2i(this[unf], val1, val2);
+};
+
+/**
+ * Set a three-dimensional integer uniform in the shader program.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {integer} val1 The first integer value
+ * @param {integer} val2 The second integer value
+ * @param {integer} val3 The third integer value
+ */
+ShipGL.ShaderProgram.prototype.setUniform3i = function(unf, val1, val2, val3)
+{
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniform3i(this[unf], val1, val2, val3);
+};
+
+/**
+ * Set a four-dimensional integer uniform in the shader program.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {integer} val1 The first integer value
+ * @param {integer} val2 The second integer value
+ * @param {integer} val3 The third integer value
+ * @param {integer} val4 The fourth integer value
+ */
+ShipGL.ShaderProgram.prototype.setUniform4i = function(unf, val1, val2, val3, val4)
+{
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniform4i(this[unf], val1, val2, val3, val4);
+};
+
+/**
+ * Set a one-dimensional float vector in the shader program.
+ * Assumes vector is typed and sized appropriately.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {float array} val The float vector
+ */
+ShipGL.ShaderProgram.prototype.setUniformVec1f = function(unf, val)
+{
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniform1fv(this[unf], val);
+};
+
+/**
+ * Set a two-dimensional float vector in the shader program.
+ * Assumes vector is typed and sized appropriately.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {float array} val The float vector
+ */
+ShipGL.ShaderProgram.prototype.setUniformVec2f = function(unf, val)
+{
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniform2fv(this[unf], val);
+};
+
+/**
+ * Set a three-dimensional float vector in the shader program.
+ * Assumes vector is typed and sized appropriately.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {float array} val The float vector
+ */
+ShipGL.ShaderProgram.prototype.setUniformVec3f = function(unf, val)
+{
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniform3fv(this[unf], val);
+};
+
+/**
+ * Set a four-dimensional float vector in the shader program.
+ * Assumes vector is typed and sized appropriately.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {float array} val The float vector
+ */
+ShipGL.ShaderProgram.prototype.setUniformVec4f = function(unf, val)
+{
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniform4fv(this[unf], val);
+};
+
+/**
+ * Set a one-dimensional integer vector in the shader program.
+ * Assumes vector is typed and sized appropriately.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {integer array} val The integer vector
+ */
+ShipGL.ShaderProgram.prototype.setUniformVec1i = function(unf, val)
+{
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniform1iv(this[unf], val);
+};
+
+/**
+ * Set a two-dimensional integer vector in the shader program.
+ * Assumes vector is typed and sized appropriately.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {integer array} val The integer vector
+ */
+ShipGL.ShaderProgram.prototype.setUniformVec2i = function(unf, val)
+{
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniform2iv(this[unf], val);
 };
 
 /**
- * @file Contains all ShipGL.Model code.
+ * Set a three-dimensional integer vector in the shader program.
+ * Assumes vector is typed and sized appropriately.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {integer array} val The integer vector
+ */
+ShipGL.ShaderProgram.prototype.setUniformVec3i = function(unf, val)
+{
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniform3iv(this[unf], val);
+};
+
+/**
+ * Set a four-dimensional integer vector in the shader program.
+ * Assumes vector is typed and sized appropriately.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {integer array} val The integer vector
+ */
+ShipGL.ShaderProgram.prototype.setUniformVec4i = function(unf, val)
+{
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniform4iv(this[unf], val);
+};
+
+/**
+ * Set a 2x2 float matrix in the shader program.
+ * Assumes matrix is typed and sized appropriately.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {mat2} val The matrix
+ * @param {bool} [transpose=false] Whether or not the matrix should be transposed
+ */
+ShipGL.ShaderProgram.prototype.setUniformMat2 = function(unf, val, transpose)
+{
+    transpose = transpose || false;
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniformMatrix2fv(this[unf], transpose, val);
+};
+
+/**
+ * Set a 3x3 float matrix in the shader program.
+ * Assumes matrix is typed and sized appropriately.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {mat3} val The matrix
+ * @param {bool} [transpose=false] Whether or not the matrix should be transposed
+ */
+ShipGL.ShaderProgram.prototype.setUniformMat3 = function(unf, val, transpose)
+{
+    transpose = transpose || false;
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniformMatrix3fv(this[unf], transpose, val);
+};
+
+/**
+ * Set a 4x4 float matrix in the shader program.
+ * Assumes matrix is typed and sized appropriately.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} unf The uniform name string
+ * @param {mat4} val The matrix
+ * @param {bool} [transpose=false] Whether or not the matrix should be transposed
+ */
+ShipGL.ShaderProgram.prototype.setUniformMat4 = function(unf, val, transpose)
+{
+    transpose = transpose || false;
+    this[unf] = this[unf] || this.uniformLocation(unf);
+    this.gl.uniformMatrix4fv(this[unf], transpose, val);
+};
+/**
+ * @file Contains all ShipGL.Texture code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.Texture instance.
+ *
+ * @class ShipGL.Texture
+ * @classdesc A ShipGL.Texture object provides a simple interface to a raw
+ *            WebGL texture.
+ * @augments ShipGL.GLResource
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ */
+ShipGL.Texture = function(gl)
+{
+    ShipGL.GLResource.call(this, gl);
+
+    this.textureType = this.gl.TEXTURE_2D;
+
+    /**
+     * @memberof ShipGL.Texture#
+     * @description The raw WebGL texture. Prefer using the methods
+     *              provided instead of accessing this directly. Be careful!
+     * @name rawTexture
+     */
+    this.rawTexture = this.gl.createTexture();
+    
+    /**
+     * @memberof ShipGL.Texture#
+     * @description Boolean indicating the texture's load status
+     * @name isLoaded
+     */
+    this.isLoaded = false;
+    
+    /**
+     * @memberof ShipGL.Texture#
+     * @description The width of the texture
+     * @name width
+     */
+    this.width = 0;
+    
+    /**
+     * @memberof ShipGL.Texture#
+     * @description The height of the texture
+     * @name height
+     */
+    this.height = 0;
+
+    /**
+     * @memberof ShipGL.Texture#
+     * @description Boolean indicating texture dimensions are Not Power of Two.
+     *              Not valid until texture is loaded.
+     * @name NPOT
+     */
+    this.NPOT = true;
+    
+    var scope = this;
+    this._image = new Image();
+    this._image.onload = function()
+    {
+        scope.onImageLoad();
+    };
+    this._image.onerror = function()
+    {
+        scope.onImageError();
+    };
+};
+
+/**
+ * Unbinds all textures.
+ *
+ * Useful if you aren't positive what textures(s) are bound and you just
+ * want to unbind all of them (TEXTURE_2D and TEXTURE_CUBE_MAP).
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {number} [unitCount] The number of texture units, starting at
+ *                             unit 0, to unbind the textures from. TEXTURE0
+ *                             is left active afterwards. If not specified,
+ *                             only the active unit's textures are unbound.
+ */
+ShipGL.Texture.unbindAll = function(gl, unitCount)
+{
+    if (unitCount === undefined)
+    {
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+        return;
+    }
+
+    var i;
+    for (i = unitCount - 1; i >= 0; i--)
+    {
+        gl.activeTexture(gl.TEXTURE0 + i);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+    }
+
+    gl.activeTexture(gl.TEXTURE0);
+};
+
+ShipGL.Texture.prototype = Object.create(ShipGL.GLResource.prototype);
+
+/**
+ * Bind the texture to the WebGL rendering context.
+ *
+ * @this {ShipGL.Texture}
+ *
+ * @param {number} [unit] The texture unit to make active. If unit is
+ *                        not specified, texture will still get bound
+ *                        but no texture unit will be made active.
+ * @example
+ * // Assume tex is an instance of ShipGL.Texture. You can bind the
+ * // texture like this:
+ * tex.bind();
+ *
+ * // You can bind the texture and set the active texture unit in the
+ * // same call like this:
+ * tex.bind(0);
+ *
+ * // The above call binds the texture and makes texture unit TEXTURE0 active.
+ */
+ShipGL.Texture.prototype.bind = function(unit)
+{
+    if (unit >= 0)
+    {
+        this.gl.activeTexture(this.gl.TEXTURE0 + unit);
+    }
+
+    this.gl.bindTexture(this.textureType, this.rawTexture);
+};
+
+/**
+ * Unbind the texture from the WebGL rendering context.
+ *
+ * @this {ShipGL.Texture}
+ */
+ShipGL.Texture.prototype.unbind = function()
+{
+    this.gl.bindTexture(this.textureType, null);
+};
+
+/**
+ * Load the texture.
+ *
+ * @this {ShipGL.Texture}
+ *
+ * @param {string} pathToTexture Path to the image file
+ * @param {function} [onLoad] Called with the texture once it is loaded
+ * @param {function} [onError] Called with a ShipGL.FileLoadError if the
+ *                             image could not be loaded
+ */
+ShipGL.Texture.prototype.load = function(pathToTexture, onLoad, onError)
+{
+    this._onLoad = onLoad;
+    this._onError = onError;
+
+    // Kick off the asynchronous image load.
+    this._image.src = pathToTexture;
+};
+
+/**
+ * Set the texture's wrapping mode for the S component of texture coordinates.
+ *
+ * @this {ShipGL.Texture}
+ *
+ * @param {boolean} repeat Should S be repeated or clamped?
+ */
+ShipGL.Texture.prototype.setRepeatS = function(repeat)
+{
+    this.gl.texParameteri(this.textureType, this.gl.TEXTURE_WRAP_S,
+                          repeat ? this.gl.REPEAT : this.gl.CLAMP_TO_EDGE);
+};
+
+/**
+ * Set the texture's wrapping mode for the T component of texture coordinates.
+ *
+ * @this {ShipGL.Texture}
+ *
+ * @param {boolean} repeat Should T be repeated or clamped?
+ */
+ShipGL.Texture.prototype.setRepeatT = function(repeat)
+{
+    this.gl.texParameteri(this.textureType, this.gl.TEXTURE_WRAP_T,
+                          repeat ? this.gl.REPEAT : this.gl.CLAMP_TO_EDGE);
+};
+
+/**
+ * Set the texture's filter modes.
+ *
+ * @this {ShipGL.Texture}
+ *
+ * @param {boolean} smooth Should the texture have a smooth appearance?
+ */
+ShipGL.Texture.prototype.setSmooth = function(smooth)
+{
+    this.gl.texParameteri(this.textureType, this.gl.TEXTURE_MAG_FILTER,
+                          smooth ? this.gl.LINEAR : this.gl.NEAREST);
+
+    var smoothMin = this.NPOT ? this.gl.LINEAR : this.gl.LINEAR_MIPMAP_LINEAR;
+    this.gl.texParameteri(this.textureType, this.gl.TEXTURE_MIN_FILTER,
+                          smooth ? smoothMin : this.gl.NEAREST);
+};
+
+/**
+ * Callback used to store the texture's image data on the graphics card and
+ * handle some other initialization.
+ *
+ * @this {ShipGL.Texture}
+ */
+ShipGL.Texture.prototype.onImageLoad = function()
+{
+    this.bind();
+
+    this.width = this._image.width;
+    this.height = this._image.height;
+
+    this.NPOT = !(ShipGL.Math.isPowerOf2(this._image.width) &&
+                  ShipGL.Math.isPowerOf2(this._image.height));
+
+    var POT = !this.NPOT;
+
+    this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL, 1);
+
+    this.gl.texImage2D(this.textureType,      // enum target
+                       0,                     // int level
+                       this.gl.RGBA,          // enum internalformat
+                       this.gl.RGBA,          // enum format
+                       this.gl.UNSIGNED_BYTE, // enum type
+                       this._image);           // image data
+    
+    this.setRepeatS(POT);
+    this.setRepeatT(POT);
+    this.setSmooth(true);
+    
+    if (POT)
+    {
+        this.gl.generateMipmap(this.textureType);
+    }
+
+    this.unbind();
+    
+    this.isLoaded = true;
+
+    delete this._image;
+
+    if (this._onLoad)
+    {
+        this._onLoad(this);
+    }
+};
+
+/**
+ * Callback used to report an image that failed to load.
+ *
+ * @this {ShipGL.Texture}
+ */
+ShipGL.Texture.prototype.onImageError = function()
+{
+    if (this._onError)
+    {
+        this._onError(new ShipGL.FileLoadError(this._image.src, 0, "error"));
+    }
+};
+/**
+ * @file Contains all ShipGL.CubeTexture code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.CubeTexture instance.
+ *
+ * @class ShipGL.CubeTexture
+ * @classdesc A ShipGL.CubeTexture object provides a simple interface to a raw
+ *            WebGL cube map.
+ * @augments ShipGL.GLResource
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ */
+ShipGL.CubeTexture = function(gl)
+{
+    ShipGL.GLResource.call(this, gl);
+    
+    this.textureType = this.gl.TEXTURE_CUBE_MAP;
+    
+    /**
+     * @memberof ShipGL.CubeTexture#
+     * @description The raw WebGL texture. Prefer using the methods
+     *              provided instead of accessing this directly. Be careful!
+     * @name rawTexture
+     */
+    this.rawTexture = this.gl.createTexture();
+
+    /**
+     * @memberof ShipGL.CubeTexture#
+     * @description Boolean indicating whether all six faces are loaded
+     * @name isLoaded
+     */
+    this.isLoaded = false;
+
+    this._loadedFaceCount = 0;
+    this._images = [];
+
+    var i, scope = this;
+    for (i = 0; i < 6; i++)
+    {
+        this._images[i] = new Image();
+        this._images[i].onload = (function(index)
+                                  {
+                                      return function()
+                                      {
+                                          scope.onImageLoad(index);
+                                      };
+                                  })(i);
+        this._images[i].onerror = (function(index)
+                                  {
+                                      return function()
+                                      {
+                                          scope.onImageError(index);
+                                      };
+                                  })(i);
+    }
+};
+
+ShipGL.CubeTexture.prototype = Object.create(ShipGL.GLResource.prototype);
+
+/**
+ * Bind the texture to the WebGL rendering context.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {number} [unit] The texture unit to make active. If unit is
+ *                        not specified, texture will still get bound
+ *                        but no texture unit will be made active.
+ * @example
+ * // Assume tex is an instance of ShipGL.CubeTexture. You can bind the
+ * // texture like this:
+ * tex.bind();
+ *
+ * // You can bind the texture and set the active texture unit in the
+ * // same call like this:
+ * tex.bind(0);
+ *
+ * // The above call binds the texture and makes texture unit TEXTURE0 active.
+ */
+ShipGL.CubeTexture.prototype.bind = function(unit)
+{
+    if (unit >= 0)
+    {
+        this.gl.activeTexture(this.gl.TEXTURE0 + unit);
+    }
+
+    this.gl.bindTexture(this.textureType, this.rawTexture);
+};
+
+/**
+ * Unbind the texture from the WebGL rendering context.
+ *
+ * @this {ShipGL.CubeTexture}
+ */
+ShipGL.CubeTexture.prototype.unbind = function()
+{
+    this.gl.bindTexture(this.textureType, null);
+};
+
+/**
+ * Load all six faces from a directory containing images named positive_x,
+ * negative_x, positive_y, negative_y, positive_z and negative_z.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {string} path The path to the image folder
+ * @param {string} ext The image extension (".jpg", ".png", etc.)
+ * @param {function} [onLoad] Called with the cube texture once all six
+ *                            faces are loaded
+ * @param {function} [onError] Called with a ShipGL.FileLoadError for the
+ *                             first face that could not be loaded. If not
+ *                             specified, failed faces are reported through
+ *                             an alert.
+ */
+ShipGL.CubeTexture.prototype.loadDirectory = function(path, ext, onLoad, onError)
+{
+    var posString = "/positive_";
+    var negString = "/negative_";
+
+    // Reloading starts over, so the texture isn't reported as loaded until
+    // all six new faces are.
+    this._loadedFaceCount = 0;
+    this.isLoaded = false;
+
+    this._onLoad = onLoad;
+    this._onError = onError;
+
+    this.loadPositiveX(path + posString + "x" + ext);
+    this.loadPositiveY(path + posString + "y" + ext);
+    this.loadPositiveZ(path + posString + "z" + ext);
+
+    this.loadNegativeX(path + negString + "x" + ext);
+    this.loadNegativeY(path + negString + "y" + ext);
+    this.loadNegativeZ(path + negString + "z" + ext);
+};
+
+/**
+ * Load the image for the positive X face.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {string} pathToTexture Path to the image file
+ */
+ShipGL.CubeTexture.prototype.loadPositiveX = function(pathToTexture)
+{
+    this._images[0].src = pathToTexture;
+};
+
+/**
+ * Load the image for the negative X face.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {string} pathToTexture Path to the image file
+ */
+ShipGL.CubeTexture.prototype.loadNegativeX = function(pathToTexture)
+{
+    this._images[1].src = pathToTexture;
+};
+
+/**
+ * Load the image for the positive Y face.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {string} pathToTexture Path to the image file
+ */
+ShipGL.CubeTexture.prototype.loadPositiveY = function(pathToTexture)
+{
+    this._images[2].src = pathToTexture;
+};
+
+/**
+ * Load the image for the negative Y face.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {string} pathToTexture Path to the image file
+ */
+ShipGL.CubeTexture.prototype.loadNegativeY = function(pathToTexture)
+{
+    this._images[3].src = pathToTexture;
+};
+
+/**
+ * Load the image for the positive Z face.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {string} pathToTexture Path to the image file
+ */
+ShipGL.CubeTexture.prototype.loadPositiveZ = function(pathToTexture)
+{
+    this._images[4].src = pathToTexture;
+};
+
+/**
+ * Load the image for the negative Z face.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {string} pathToTexture Path to the image file
+ */
+ShipGL.CubeTexture.prototype.loadNegativeZ = function(pathToTexture)
+{
+    this._images[5].src = pathToTexture;
+};
+
+/**
+ * Get the image of one of the faces. Its pixels are only available once the
+ * cube texture is loaded.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {number} index The face index, in the order positive X, negative X,
+ *                       positive Y, negative Y, positive Z and negative Z
+ *                       (0-5).
+ * @return {Image} The face's image
+ */
+ShipGL.CubeTexture.prototype.getFaceImage = function(index)
+{
+    return this._images[index];
+};
+
+/**
+ * Set the texture's wrapping mode for the S component of texture coordinates.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {boolean} repeat Should S be repeated or clamped?
+ */
+ShipGL.CubeTexture.prototype.setRepeatS = function(repeat)
+{
+    this.gl.texParameteri(this.textureType, this.gl.TEXTURE_WRAP_S,
+                          repeat ? this.gl.REPEAT : this.gl.CLAMP_TO_EDGE);
+};
+
+/**
+ * Set the texture's wrapping mode for the T component of texture coordinates.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {boolean} repeat Should T be repeated or clamped?
+ */
+ShipGL.CubeTexture.prototype.setRepeatT = function(repeat)
+{
+    this.gl.texParameteri(this.textureType, this.gl.TEXTURE_WRAP_T,
+                          repeat ? this.gl.REPEAT : this.gl.CLAMP_TO_EDGE);
+};
+
+/**
+ * Set the texture's filter modes.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {boolean} smooth Should the texture have a smooth appearance?
+ */
+ShipGL.CubeTexture.prototype.setSmooth = function(smooth)
+{
+    this.gl.texParameteri(this.textureType, this.gl.TEXTURE_MAG_FILTER,
+                          smooth ? this.gl.LINEAR : this.gl.NEAREST);
+
+    this.gl.texParameteri(this.textureType, this.gl.TEXTURE_MIN_FILTER,
+                          smooth ? this.gl.LINEAR : this.gl.NEAREST);
+};
+
+/**
+ * Callback used to store a face's image data on the graphics card and
+ * handle some other initialization.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {number} index The index into the _images array of images (0-5).
+ */
+ShipGL.CubeTexture.prototype.onImageLoad = function(index)
+{
+    this.bind();
+    this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL, 0);
+    this.gl.texImage2D(
+        this.gl.TEXTURE_CUBE_MAP_POSITIVE_X + index, // enum target
+        0,                         // int level
+        this.gl.RGBA,             // enum internalformat
+        this.gl.RGBA,             // enum format
+        this.gl.UNSIGNED_BYTE,    // enum type
+        this._images[index]);     // image data
+
+    this.setRepeatS(false);
+    this.setRepeatT(false);
+    this.setSmooth(true);
+    this.unbind();
+
+    this._loadedFaceCount++;
+
+    if (this._loadedFaceCount == 6)
+    {
+        this.isLoaded = true;
+
+        if (this._onLoad)
+        {
+            this._onLoad(this);
+        }
+    }
+};
+
+/**
+ * Callback used to report a face's image that failed to load.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {number} index The index into the _images array of images (0-5).
+ */
+ShipGL.CubeTexture.prototype.onImageError = function(index)
+{
+    var src = this._images[index].src;
+
+    if (!this._onError)
+    {
+        alert("Image " + index + " " + src + " load error!");
+        return;
+    }
+
+    var onError = this._onError;
+
+    // Only the first failed face is reported.
+    this._onError = function() {};
+    onError(new ShipGL.FileLoadError(src, 0, "error"));
+};
+/**
+ * @file Contains all ShipGL.EnvironmentMap code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.EnvironmentMap instance.
+ *
+ * @class ShipGL.EnvironmentMap
+ * @classdesc A ShipGL.EnvironmentMap provides image-based lighting from a
+ *            ShipGL.CubeTexture, such as a skybox's cube map. It computes
+ *            the diffuse irradiance as spherical harmonics coefficients, and
+ *            keeps a mipmapped copy of the cube map whose levels are
+ *            prefiltered with the GGX distribution for the specular
+ *            reflections of increasingly rough surfaces.
+ * @augments ShipGL.GLResource
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @example
+ * // Light a ShipGL.StandardModel with the same cube map as a skybox.
+ * var envMap = new ShipGL.EnvironmentMap(gl);
+ * envMap.loadDirectory("textures/cubemaps/forest", ".jpg", function()
+ * {
+ *     model.setEnvironmentMap(envMap);
+ * });
+ *
+ * // Or, from an already loaded ShipGL.CubeTexture. The callback is called
+ * // once the environment map is ready.
+ * envMap.setCubeTexture(skyBox.cubeMap, function()
+ * {
+ *     model.setEnvironmentMap(envMap);
+ * });
+ *
+ * // Shaders can use the environment map through the following uniforms,
+ * // as set by bind:
+ * //   uEnvMap (samplerCube), the mipmapped cube map. Its level n is
+ * //     prefiltered for a roughness of n / (uEnvMipCount - 1).
+ * //   uEnvMipCount (float), its number of mipmap levels
+ * //   uIrradianceSH (vec3 array of 9), the irradiance coefficients
+ * //   uEnvIntensity (float), the intensity multiplying both
+ * // Evaluating the coefficients with the first nine real spherical
+ * // harmonics basis functions at a world space normal gives the light
+ * // diffusely reflected by a white surface with that normal.
+ * envMap.bind(program);
+ */
+ShipGL.EnvironmentMap = function(gl)
+{
+    ShipGL.GLResource.call(this, gl);
+
+    /**
+     * @memberof ShipGL.EnvironmentMap#
+     * @description The mipmapped cube map (ShipGL.CubeTexture) used for
+     *              specular reflections. Its faces are resized to a power
+     *              of two of at most ShipGL.EnvironmentMap.MAX_SIZE. Level
+     *              0 is the cube map itself, and every other level n is
+     *              prefiltered for a roughness of n / (mipCount - 1).
+     * @name cubeTexture
+     */
+    this.cubeTexture = new ShipGL.CubeTexture(gl);
+
+    /**
+     * @memberof ShipGL.EnvironmentMap#
+     * @description The number of mipmap levels of cubeTexture.
+     * @name mipCount
+     */
+    this.mipCount = 1;
+
+    /**
+     * @memberof ShipGL.EnvironmentMap#
+     * @description The diffuse irradiance as nine RGB spherical harmonics
+     *              coefficients, already convolved with the cosine lobe
+     *              and divided by pi.
+     * @name irradianceCoefficients
+     */
+    this.irradianceCoefficients = new Float32Array(27);
+
+    /**
+     * @memberof ShipGL.EnvironmentMap#
+     * @description The intensity multiplying the environment's lighting.
+     * @name intensity
+     */
+    this.intensity = 1;
+
+    /**
+     * @memberof ShipGL.EnvironmentMap#
+     * @description Boolean indicating whether the environment map has been
+     *              computed from a loaded cube map, including all of its
+     *              prefiltered mipmap levels.
+     * @name isReady
+     */
+    this.isReady = false;
+
+    // The prefiltering in progress, if any. A new cube map replaces it.
+    this._prefilterJob = null;
+};
+
+ShipGL.EnvironmentMap.prototype = Object.create(ShipGL.GLResource.prototype);
+
+/**
+ * The texture unit bind uses for the cube map. Material maps use the
+ * units below it.
+ */
+ShipGL.EnvironmentMap.TEXTURE_UNIT = 7;
+
+/**
+ * The largest face size of the mipmapped cube map.
+ */
+ShipGL.EnvironmentMap.MAX_SIZE = 512;
+
+/**
+ * The face size the cube map is sampled at to compute the irradiance.
+ */
+ShipGL.EnvironmentMap.SAMPLE_SIZE = 32;
+
+/**
+ * The number of GGX samples averaged for every texel of the prefiltered
+ * mipmap levels.
+ */
+ShipGL.EnvironmentMap.PREFILTER_SAMPLES = 32;
+
+/**
+ * The longest time, in milliseconds, spent prefiltering at once before
+ * letting the browser draw a frame.
+ */
+ShipGL.EnvironmentMap.PREFILTER_SLICE_TIME = 8;
+
+/**
+ * Load the environment from a directory of cube map faces. See
+ * ShipGL.CubeTexture.prototype.loadDirectory.
+ *
+ * @this {ShipGL.EnvironmentMap}
+ *
+ * @param {string} path The path to the image folder
+ * @param {string} ext The image extension (".jpg", ".png", etc.)
+ * @param {function} [onLoad] Called with the environment map once it is
+ *                            ready
+ * @param {function} [onError] Called with a ShipGL.FileLoadError if a face
+ *                             could not be loaded
+ */
+ShipGL.EnvironmentMap.prototype.loadDirectory = function(path, ext, onLoad, onError)
+{
+    var scope = this;
+    var source = new ShipGL.CubeTexture(this.gl);
+
+    source.loadDirectory(path, ext, function()
+    {
+        scope.setCubeTexture(source, onLoad);
+
+        // The faces now live in the mipmapped copy.
+        scope.gl.deleteTexture(source.rawTexture);
+    }, onError);
+};
+
+/**
+ * Compute the environment from a loaded cube map. The cube map itself is
+ * left untouched, so a skybox can keep drawing it. The mipmap levels are
+ * prefiltered on the CPU in slices of at most PREFILTER_SLICE_TIME, so
+ * the page keeps drawing meanwhile. The environment map is not ready
+ * until they are all done, which takes a second or so for large cube
+ * maps.
+ *
+ * @this {ShipGL.EnvironmentMap}
+ *
+ * @param {ShipGL.CubeTexture} cubeTexture The loaded cube map
+ * @param {function} [onReady] Called with the environment map once it is
+ *                             ready
+ */
+ShipGL.EnvironmentMap.prototype.setCubeTexture = function(cubeTexture, onReady)
+{
+    if (!cubeTexture.isLoaded)
+    {
+        throw new Error("ShipGL.EnvironmentMap needs a loaded cube map");
+    }
+
+    var faceSize = cubeTexture.getFaceImage(0).width;
+    var size = ShipGL.Math.isPowerOf2(faceSize) ? faceSize :
+                                                  ShipGL.Math.nextHighestPowerOf2(faceSize) / 2;
+    size = Math.min(size, ShipGL.EnvironmentMap.MAX_SIZE);
+
+    var sampleSize = Math.min(size, ShipGL.EnvironmentMap.SAMPLE_SIZE);
+    var sampleCanvas = this._createCanvas(sampleSize);
+    var sampleContext = sampleCanvas.getContext("2d");
+
+    this.mipCount = Math.round(Math.log(size) / Math.LN2) + 1;
+    this.irradianceCoefficients.set(new Float32Array(27));
+    this.isReady = false;
+
+    this.cubeTexture.bind();
+    this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL, 0);
+
+    var i, level, faceCanvas, faceContext, image, levels = [];
+    for (level = 0; level < this.mipCount; level++)
+    {
+        faceCanvas = this._createCanvas(size >> level);
+        faceContext = faceCanvas.getContext("2d");
+        levels.push([]);
+
+        for (i = 0; i < 6; i++)
+        {
+            faceContext.drawImage(cubeTexture.getFaceImage(i), 0, 0, size >> level, size >> level);
+            levels[level].push(faceContext.getImageData(0, 0, size >> level, size >> level));
+
+            if (level == 0)
+            {
+                this.gl.texImage2D(this.gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, 0, this.gl.RGBA,
+                                   this.gl.RGBA, this.gl.UNSIGNED_BYTE, faceCanvas);
+            }
+        }
+    }
+
+    for (i = 0; i < 6; i++)
+    {
+        image = cubeTexture.getFaceImage(i);
+
+        sampleContext.drawImage(image, 0, 0, sampleSize, sampleSize);
+        this._accumulateIrradiance(i, sampleContext.getImageData(0, 0, sampleSize, sampleSize));
+    }
+
+    this.gl.texParameteri(this.gl.TEXTURE_CUBE_MAP, this.gl.TEXTURE_MIN_FILTER,
+                          this.gl.LINEAR_MIPMAP_LINEAR);
+    this.gl.texParameteri(this.gl.TEXTURE_CUBE_MAP, this.gl.TEXTURE_MAG_FILTER,
+                          this.gl.LINEAR);
+    this.cubeTexture.setRepeatS(false);
+    this.cubeTexture.setRepeatT(false);
+    this.cubeTexture.unbind();
+
+    this.cubeTexture.isLoaded = true;
+    this._finishIrradiance();
+    this._prefilter(levels, onReady);
+};
+
+/**
+ * Set the environment map's uniforms on a bound shader program and bind
+ * its cube map to ShipGL.EnvironmentMap.TEXTURE_UNIT.
+ *
+ * @this {ShipGL.EnvironmentMap}
+ *
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ */
+ShipGL.EnvironmentMap.prototype.bind = function(program)
+{
+    this.cubeTexture.bind(ShipGL.EnvironmentMap.TEXTURE_UNIT);
+
+    program.setUniform1i("uEnvMap", ShipGL.EnvironmentMap.TEXTURE_UNIT);
+    program.setUniform1f("uEnvMipCount", this.mipCount);
+    program.setUniformVec3f("uIrradianceSH", this.irradianceCoefficients);
+    program.setUniform1f("uEnvIntensity", this.intensity);
+};
+
+/**
+ * Unbind the cube map from ShipGL.EnvironmentMap.TEXTURE_UNIT, leaving
+ * TEXTURE0 active.
+ *
+ * @this {ShipGL.EnvironmentMap}
+ */
+ShipGL.EnvironmentMap.prototype.unbind = function()
+{
+    this.gl.activeTexture(this.gl.TEXTURE0 + ShipGL.EnvironmentMap.TEXTURE_UNIT);
+    this.cubeTexture.unbind();
+    this.gl.activeTexture(this.gl.TEXTURE0);
+};
+
+ShipGL.EnvironmentMap.prototype._createCanvas = function(size)
+{
+    var canvas = document.createElement("canvas");
+    canvas.width = size;
+    canvas.height = size;
+
+    return canvas;
+};
+
+// Project one face onto the first nine spherical harmonics, weighting each
+// texel by the solid angle it covers.
+ShipGL.EnvironmentMap.prototype._accumulateIrradiance = function(face, imageData)
+{
+    var size = imageData.width;
+    var pixels = imageData.data;
+    var sh = this.irradianceCoefficients;
+    var dir = vec3.create();
+    var basis = new Float32Array(9);
+
+    var x, y, u, v, k, offset, weight, r, g, b;
+    for (y = 0; y < size; y++)
+    {
+        for (x = 0; x < size; x++)
+        {
+            u = 2 * (x + 0.5) / size - 1;
+            v = 2 * (y + 0.5) / size - 1;
+
+            ShipGL.EnvironmentMap._faceDirection(face, u, v, dir);
+            weight = 4 / (size * size * Math.pow(1 + u * u + v * v, 1.5));
+            ShipGL.EnvironmentMap._shBasis(vec3.normalize(dir), basis);
+
+            // Faces are sRGB, so convert to linear before integrating.
+            offset = 4 * (y * size + x);
+            r = Math.pow(pixels[offset] / 255, 2.2) * weight;
+            g = Math.pow(pixels[offset + 1] / 255, 2.2) * weight;
+            b = Math.pow(pixels[offset + 2] / 255, 2.2) * weight;
+
+            for (k = 0; k < 9; k++)
+            {
+                sh[3 * k] += r * basis[k];
+                sh[3 * k + 1] += g * basis[k];
+                sh[3 * k + 2] += b * basis[k];
+            }
+        }
+    }
+};
+
+// Convolve the projected radiance with the cosine lobe, one factor per
+// band, and divide by pi so shaders get the diffusely reflected light.
+ShipGL.EnvironmentMap.prototype._finishIrradiance = function()
+{
+    var bandFactors = [1, 2 / 3, 2 / 3, 2 / 3, 1 / 4, 1 / 4, 1 / 4, 1 / 4, 1 / 4];
+
+    var i;
+    for (i = 0; i < 27; i++)
+    {
+        this.irradianceCoefficients[i] *= bandFactors[Math.floor(i / 3)];
+    }
+};
+
+// Prefilter mipmap levels 1 and up a row at a time, yielding to the
+// browser whenever a slice has taken PREFILTER_SLICE_TIME. levels holds
+// the sRGB image data of every face of every level.
+ShipGL.EnvironmentMap.prototype._prefilter = function(levels, onReady)
+{
+    var scope = this, job = {};
+    var level = 1, face = 0, row = 0, samples = null, pixels = null;
+
+    this._prefilterJob = job;
+
+    function slice()
+    {
+        // A newer cube map took over.
+        if (scope._prefilterJob != job)
+        {
+            return;
+        }
+
+        var size, startTime = new Date().getTime();
+
+        while (level < levels.length)
+        {
+            size = levels[level][face].width;
+
+            if (!pixels)
+            {
+                samples = samples || scope._prefilterSamples(levels, level);
+                pixels = new Uint8Array(4 * size * size);
+            }
+
+            scope._prefilterRow(levels, level, face, row, samples, pixels);
+            row++;
+
+            if (row == size)
+            {
+                scope.cubeTexture.bind();
+                scope.gl.texImage2D(scope.gl.TEXTURE_CUBE_MAP_POSITIVE_X + face, level,
+                                    scope.gl.RGBA, size, size, 0, scope.gl.RGBA,
+                                    scope.gl.UNSIGNED_BYTE, pixels);
+                scope.cubeTexture.unbind();
+
+                pixels = null;
+                row = 0;
+                face++;
+
+                if (face == 6)
+                {
+                    face = 0;
+                    level++;
+                    samples = null;
+                }
+            }
+
+            if (new Date().getTime() - startTime >= ShipGL.EnvironmentMap.PREFILTER_SLICE_TIME)
+            {
+                setTimeout(slice, 0);
+                return;
+            }
+        }
+
+        scope._prefilterJob = null;
+        scope.isReady = true;
+
+        if (onReady)
+        {
+            onReady(scope);
+        }
+    };
+
+    slice();
+};
+
+// The GGX samples of a mipmap level's roughness, assuming the view
+// direction is the normal, as in the split sum approximation. They are the
+// same for every texel, so they're computed once in a frame where the
+// normal is +Z. Each sample is read from the level whose texels cover
+// about as much solid angle as the sample does, which keeps the few
+// samples from aliasing.
+ShipGL.EnvironmentMap.prototype._prefilterSamples = function(levels, level)
+{
+    var sampleCount = ShipGL.EnvironmentMap.PREFILTER_SAMPLES;
+    var baseSize = levels[0][0].width;
+    var roughness = level / (levels.length - 1);
+    var alpha2 = roughness * roughness * roughness * roughness;
+    var texelSolidAngle = 4 * Math.PI / (6 * baseSize * baseSize);
+    var samples = [];
+
+    var i, phi, cosTheta, sinTheta, d, pdf, sourceLevel;
+    for (i = 0; i < sampleCount; i++)
+    {
+        phi = 2 * Math.PI * (i + 0.5) / sampleCount;
+        d = ShipGL.EnvironmentMap._radicalInverse(i);
+        cosTheta = Math.sqrt((1 - d) / (1 + (alpha2 - 1) * d));
+        sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+
+        d = cosTheta * cosTheta * (alpha2 - 1) + 1;
+        pdf = alpha2 / (Math.PI * d * d) / 4;
+        sourceLevel = 0.5 * Math.log(1 / (sampleCount * pdf * texelSolidAngle)) / Math.LN2 + 1;
+
+        // Reflect the normal about the sampled halfway vector. Samples
+        // below the surface don't contribute.
+        if (2 * cosTheta * cosTheta - 1 > 0)
+        {
+            samples.push({ x: 2 * cosTheta * sinTheta * Math.cos(phi),
+                           y: 2 * cosTheta * sinTheta * Math.sin(phi),
+                           z: 2 * cosTheta * cosTheta - 1,
+                           level: Math.min(Math.max(Math.round(sourceLevel), 0),
+                                           levels.length - 1)
+            });
+        }
+    }
+
+    return samples;
+};
+
+// Prefilter one row of a face by averaging the environment over the GGX
+// lobe, writing sRGB RGBA bytes to pixels.
+ShipGL.EnvironmentMap.prototype._prefilterRow = function(levels, level, face, y, samples, pixels)
+{
+    var size = levels[level][face].width;
+    var normal = vec3.create(), tangent = vec3.create(), bitangent = vec3.create();
+    var dir = vec3.create(), color = vec3.create();
+
+    var x, i, offset, sample, weight;
+    for (x = 0; x < size; x++)
+    {
+        ShipGL.EnvironmentMap._faceDirection(face, 2 * (x + 0.5) / size - 1,
+                                             2 * (y + 0.5) / size - 1, normal);
+        vec3.normalize(normal);
+
+        vec3.cross(Math.abs(normal[2]) < 0.999 ? ShipGL.EnvironmentMap._Z_AXIS :
+                                                  ShipGL.EnvironmentMap._X_AXIS,
+                   normal, tangent);
+        vec3.normalize(tangent);
+        vec3.cross(normal, tangent, bitangent);
+
+        color[0] = color[1] = color[2] = 0;
+        weight = 0;
+
+        for (i = 0; i < samples.length; i++)
+        {
+            sample = samples[i];
+
+            dir[0] = tangent[0] * sample.x + bitangent[0] * sample.y + normal[0] * sample.z;
+            dir[1] = tangent[1] * sample.x + bitangent[1] * sample.y + normal[1] * sample.z;
+            dir[2] = tangent[2] * sample.x + bitangent[2] * sample.y + normal[2] * sample.z;
+
+            ShipGL.EnvironmentMap._addTexel(levels[sample.level], dir, sample.z, color);
+            weight += sample.z;
+        }
+
+        offset = 4 * (y * size + x);
+        pixels[offset] = Math.round(255 * Math.min(Math.pow(color[0] / weight, 1 / 2.2), 1));
+        pixels[offset + 1] = Math.round(255 * Math.min(Math.pow(color[1] / weight, 1 / 2.2), 1));
+        pixels[offset + 2] = Math.round(255 * Math.min(Math.pow(color[2] / weight, 1 / 2.2), 1));
+        pixels[offset + 3] = 255;
+    }
+};
+
+// The axes the tangent frames of _prefilterRow are built from.
+ShipGL.EnvironmentMap._X_AXIS = [1, 0, 0];
+ShipGL.EnvironmentMap._Z_AXIS = [0, 0, 1];
+
+// Linear values of sRGB bytes, so faces can stay in their compact image
+// data while being prefiltered.
+ShipGL.EnvironmentMap._LINEAR_VALUES = (function()
+{
+    var i, values = new Float32Array(256);
+    for (i = 0; i < 256; i++)
+    {
+        values[i] = Math.pow(i / 255, 2.2);
+    }
+
+    return values;
+})();
+
+// Add the weighted color of the texel a direction points at to dest. This
+// is the inverse of _faceDirection.
+ShipGL.EnvironmentMap._addTexel = function(faces, dir, weight, dest)
+{
+    var x = dir[0], y = dir[1], z = dir[2];
+    var ax = Math.abs(x), ay = Math.abs(y), az = Math.abs(z);
+    var face, u, v;
+
+    if (ax >= ay && ax >= az)
+    {
+        face = x > 0 ? 0 : 1;
+        u = (x > 0 ? -z : z) / ax;
+        v = -y / ax;
+    }
+    else if (ay >= az)
+    {
+        face = y > 0 ? 2 : 3;
+        u = x / ay;
+        v = (y > 0 ? z : -z) / ay;
+    }
+    else
+    {
+        face = z > 0 ? 4 : 5;
+        u = (z > 0 ? x : -x) / az;
+        v = -y / az;
+    }
+
+    var size = faces[face].width, data = faces[face].data;
+    var linear = ShipGL.EnvironmentMap._LINEAR_VALUES;
+    var column = Math.min(Math.floor((u + 1) / 2 * size), size - 1);
+    var row = Math.min(Math.floor((v + 1) / 2 * size), size - 1);
+    var offset = 4 * (row * size + column);
+
+    dest[0] += linear[data[offset]] * weight;
+    dest[1] += linear[data[offset + 1]] * weight;
+    dest[2] += linear[data[offset + 2]] * weight;
+};
+
+// The base 2 radical inverse of i, which spreads the samples' second
+// coordinate evenly over [0, 1).
+ShipGL.EnvironmentMap._radicalInverse = function(i)
+{
+    var result = 0, fraction = 0.5;
+
+    while (i > 0)
+    {
+        result += fraction * (i & 1);
+        i >>= 1;
+        fraction *= 0.5;
+    }
+
+    return result;
+};
+
+// The direction through texel (u, v) of a cube map face, following the
+// WebGL cube map conventions.
+ShipGL.EnvironmentMap._faceDirection = function(face, u, v, dest)
+{
+    switch (face)
+    {
+    case 0: dest[0] = 1;  dest[1] = -v; dest[2] = -u; break;
+    case 1: dest[0] = -1; dest[1] = -v; dest[2] = u;  break;
+    case 2: dest[0] = u;  dest[1] = 1;  dest[2] = v;  break;
+    case 3: dest[0] = u;  dest[1] = -1; dest[2] = -v; break;
+    case 4: dest[0] = u;  dest[1] = -v; dest[2] = 1;  break;
+    default: dest[0] = -u; dest[1] = -v; dest[2] = -1; break;
+    }
+
+    return dest;
+};
+
+// The first nine real spherical harmonics basis functions.
+ShipGL.EnvironmentMap._shBasis = function(dir, dest)
+{
+    var x = dir[0], y = dir[1], z = dir[2];
+
+    dest[0] = 0.282095;
+    dest[1] = 0.488603 * y;
+    dest[2] = 0.488603 * z;
+    dest[3] = 0.488603 * x;
+    dest[4] = 1.092548 * x * y;
+    dest[5] = 1.092548 * y * z;
+    dest[6] = 0.315392 * (3 * z * z - 1);
+    dest[7] = 1.092548 * x * z;
+    dest[8] = 0.546274 * (x * x - y * y);
+
+    return dest;
+};
+/**
+ * @file Contains all ShipGL.AssetManager code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.AssetManager instance.
+ *
+ * @class ShipGL.AssetManager
+ * @classdesc A ShipGL.AssetManager object queues up files, textures and
+ *            cube maps, loads them asynchronously as one batch and reports
+ *            aggregate progress. Every asset is cached by its URL, so
+ *            queueing the same URL twice never fetches it twice.
+ * @augments ShipGL.GLResource
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @example
+ * // Assume gl is a valid WebGL context.
+ * var assets = new ShipGL.AssetManager(gl);
+ *
+ * // Queue some assets. Textures are handed back right away and can be
+ * // bound before they are loaded.
+ * assets.queueJSON("models/House/models/model.json");
+ * assets.queueText("glsl/basic.vs");
+ * var tile = assets.queueTexture("textures/tiles/grass.jpg");
+ * var sky = assets.queueCubeTexture("textures/cubemaps/forest", ".jpg");
+ *
+ * // Queueing a URL again just hands back the cached asset.
+ * var sameTile = assets.queueTexture("textures/tiles/grass.jpg"); // tile
+ *
+ * // Queueing a URL that failed to load queues it again. Its error is
+ * // removed from errors and it is retried with the next batch.
+ *
+ * // Start loading everything queued so far. onProgress is called every
+ * // time an asset finishes. onLoad is called once, after every asset has
+ * // either loaded or failed, with an array of ShipGL.FileLoadError's.
+ * assets.loadAll(function(errors)
+ * {
+ *     var json = assets.get("models/House/models/model.json");
+ *     var vShaderCode = assets.get("glsl/basic.vs");
+ * },
+ * function(progress, finishedCount, totalCount)
+ * {
+ *     console.log(Math.round(100 * progress) + "% loaded");
+ * });
+ *
+ * // Assets queued while a batch is loading join that batch, so onLoad
+ * // can wait on assets that are only discovered along the way.
+ * assets.queueJSON("scene.json", function(scene)
+ * {
+ *     assets.queueTexture(scene.tile);
+ * });
+ */
+ShipGL.AssetManager = function(gl)
+{
+    ShipGL.GLResource.call(this, gl);
+
+    /**
+     * @memberof ShipGL.AssetManager#
+     * @description Number of assets that have been queued. Do not modify
+     *              this!
+     * @name totalCount
+     */
+    this.totalCount = 0;
+
+    /**
+     * @memberof ShipGL.AssetManager#
+     * @description Number of assets that have finished loading. Do not
+     *              modify this!
+     * @name loadedCount
+     */
+    this.loadedCount = 0;
+
+    /**
+     * @memberof ShipGL.AssetManager#
+     * @description The errors (ShipGL.FileLoadError's) of every asset that
+     *              failed to load. Do not modify this!
+     * @name errors
+     */
+    this.errors = [];
+
+    /**
+     * @memberof ShipGL.AssetManager#
+     * @description Whether or not the manager is loading a batch of assets
+     * @name isLoading
+     */
+    this.isLoading = false;
+
+    // Asset entries keyed by URL.
+    this._cache = {};
+
+    // Entries that have been queued but not yet started.
+    this._queue = [];
+
+    // Callbacks waiting on the current batch.
+    this._loadCallbacks = [];
+    this._progressCallbacks = [];
+};
+
+ShipGL.AssetManager.prototype = Object.create(ShipGL.GLResource.prototype);
+
+/**
+ * Queue a text file.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @param {string} url The URL of the file
+ * @param {function} [onLoad] Called with the file's text once it is loaded
+ */
+ShipGL.AssetManager.prototype.queueText = function(url, onLoad)
+{
+    this._enqueue(url, onLoad, function(entry, done, fail)
+    {
+        ShipGL.FileLoader.loadText(url, done, fail);
+    });
+};
+
+/**
+ * Queue a JSON file. The file is parsed once it is loaded.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @param {string} url The URL of the file
+ * @param {function} [onLoad] Called with the parsed JSON once it is loaded
+ */
+ShipGL.AssetManager.prototype.queueJSON = function(url, onLoad)
+{
+    this._enqueue(url, onLoad, function(entry, done, fail)
+    {
+        ShipGL.FileLoader.loadJSON(url, done, fail);
+    });
+};
+
+/**
+ * Queue a binary file.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @param {string} url The URL of the file
+ * @param {function} [onLoad] Called with the file's ArrayBuffer once it is
+ *                            loaded
+ */
+ShipGL.AssetManager.prototype.queueArrayBuffer = function(url, onLoad)
+{
+    this._enqueue(url, onLoad, function(entry, done, fail)
+    {
+        ShipGL.FileLoader.loadArrayBuffer(url, done, fail);
+    });
+};
+
+/**
+ * Queue a texture.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @param {string} url The URL of the image file
+ * @param {function} [onLoad] Called with the texture once it is loaded
+ * @return {ShipGL.Texture} The texture. It can be used right away, but it
+ *                          will not have any image data until it is loaded.
+ */
+ShipGL.AssetManager.prototype.queueTexture = function(url, onLoad)
+{
+    var gl = this.gl;
+
+    return this._enqueue(url, onLoad, function(entry, done, fail)
+    {
+        entry.asset.load(url, done, fail);
+    },
+    function()
+    {
+        return new ShipGL.Texture(gl);
+    }).asset;
+};
+
+/**
+ * Queue a cube map. The cube map is cached by its directory and extension.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @see ShipGL.CubeTexture#loadDirectory
+ *
+ * @param {string} path The path to the image folder
+ * @param {string} ext The image extension (".jpg", ".png", etc.)
+ * @param {function} [onLoad] Called with the cube texture once all six
+ *                            faces are loaded
+ * @return {ShipGL.CubeTexture} The cube texture. It can be used right away,
+ *                              but it will not have any image data until it
+ *                              is loaded.
+ */
+ShipGL.AssetManager.prototype.queueCubeTexture = function(path, ext, onLoad)
+{
+    var gl = this.gl;
+
+    return this._enqueue(path + "/*" + ext, onLoad, function(entry, done, fail)
+    {
+        entry.asset.loadDirectory(path, ext, done, fail);
+    },
+    function()
+    {
+        return new ShipGL.CubeTexture(gl);
+    }).asset;
+};
+
+/**
+ * Get a cached asset.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @param {string} url The URL the asset was queued with (for cube maps, the
+ *                     directory and extension joined as path + "/*" + ext)
+ * @return The asset, or undefined if it was never queued or has not
+ *         finished loading. Textures and cube maps are returned as soon as
+ *         they are queued.
+ */
+ShipGL.AssetManager.prototype.get = function(url)
+{
+    var entry = this._cache[url];
+    return entry ? entry.asset : undefined;
+};
+
+/**
+ * Check whether an asset has finished loading successfully.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @param {string} url The URL the asset was queued with
+ * @return {boolean} True if the asset is loaded
+ */
+ShipGL.AssetManager.prototype.isLoaded = function(url)
+{
+    var entry = this._cache[url];
+    return !!entry && entry.status == "loaded";
+};
+
+/**
+ * Check whether every queued asset has either loaded or failed.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @return {boolean} True if nothing is queued or loading
+ */
+ShipGL.AssetManager.prototype.isComplete = function()
+{
+    return this.loadedCount + this.errors.length == this.totalCount;
+};
+
+/**
+ * Get the fraction of queued assets that have finished (loaded or failed).
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @return {number} A number from 0 to 1. If nothing is queued, 1.
+ */
+ShipGL.AssetManager.prototype.progress = function()
+{
+    if (this.totalCount == 0)
+    {
+        return 1;
+    }
+
+    return (this.loadedCount + this.errors.length) / this.totalCount;
+};
+
+/**
+ * Start loading every queued asset. Assets queued before the batch
+ * completes are loaded as part of the batch.
+ *
+ * If nothing is left to load, onLoad is called right away.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @param {function} [onLoad] Called once every queued asset has either
+ *                            loaded or failed. It is passed the array of
+ *                            ShipGL.FileLoadError's for failed assets.
+ * @param {function} [onProgress] Called every time an asset finishes. It is
+ *                                passed the progress (0 to 1), the number of
+ *                                finished assets and the number of queued
+ *                                assets.
+ */
+ShipGL.AssetManager.prototype.loadAll = function(onLoad, onProgress)
+{
+    if (onLoad)
+    {
+        this._loadCallbacks.push(onLoad);
+    }
+
+    if (onProgress)
+    {
+        this._progressCallbacks.push(onProgress);
+    }
+
+    this.isLoading = true;
+    this._startQueued();
+    this._checkComplete();
+};
+
+ShipGL.AssetManager.prototype._enqueue = function(url, onLoad, start, create)
+{
+    var entry = this._cache[url];
+
+    if (!entry)
+    {
+        entry = { url: url,
+                  status: "queued",
+                  asset: create ? create() : undefined,
+                  start: start,
+                  callbacks: []
+        };
+
+        this._cache[url] = entry;
+        this._queue.push(entry);
+        this.totalCount++;
+    }
+    else if (entry.status == "failed")
+    {
+        // Retry instead of leaving the callback waiting on a load that
+        // already failed.
+        this.errors.splice(this.errors.indexOf(entry.error), 1);
+        entry.status = "queued";
+        entry.error = undefined;
+        this._queue.push(entry);
+    }
+
+    if (onLoad)
+    {
+        if (entry.status == "loaded")
+        {
+            onLoad(entry.asset);
+        }
+        else
+        {
+            entry.callbacks.push(onLoad);
+        }
+    }
+
+    if (this.isLoading)
+    {
+        this._startQueued();
+    }
+
+    return entry;
+};
+
+ShipGL.AssetManager.prototype._startQueued = function()
+{
+    var scope = this, queue = this._queue;
+    this._queue = [];
+
+    function makeDone(entry)
+    {
+        return function(asset)
+        {
+            scope._finish(entry, "loaded", asset);
+        };
+    };
+
+    function makeFail(entry)
+    {
+        return function(error)
+        {
+            scope._finish(entry, "failed", entry.asset, error);
+        };
+    };
+
+    var i, entry;
+    for (i = 0; i < queue.length; i++)
+    {
+        entry = queue[i];
+        entry.status = "loading";
+        entry.start(entry, makeDone(entry), makeFail(entry));
+    }
+};
+
+ShipGL.AssetManager.prototype._finish = function(entry, status, asset, error)
+{
+    var i, callbacks = entry.callbacks;
+
+    entry.status = status;
+    entry.asset = asset;
+    entry.error = error;
+    entry.callbacks = [];
+
+    if (error)
+    {
+        this.errors.push(error);
+    }
+    else
+    {
+        this.loadedCount++;
+
+        // These may queue more assets, which then join the current batch.
+        for (i = 0; i < callbacks.length; i++)
+        {
+            callbacks[i](asset);
+        }
+    }
+
+    var progress = this.progress();
+    var finishedCount = this.loadedCount + this.errors.length;
+
+    for (i = 0; i < this._progressCallbacks.length; i++)
+    {
+        this._progressCallbacks[i](progress, finishedCount, this.totalCount);
+    }
+
+    this._checkComplete();
+};
+
+ShipGL.AssetManager.prototype._checkComplete = function()
+{
+    if (!this.isLoading || !this.isComplete())
+    {
+        return;
+    }
+
+    var i, callbacks = this._loadCallbacks;
+
+    this.isLoading = false;
+    this._loadCallbacks = [];
+    this._progressCallbacks = [];
+
+    for (i = 0; i < callbacks.length; i++)
+    {
+        callbacks[i](this.errors);
+    }
+};
+/**
+ * @file Contains all ShipGL.Light code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * ShipGL.Light is abstract. You can instantiate it, but the instant you call
+ * one of the instance's methods, an exception will be thrown.
+ *
+ * @class ShipGL.Light
+ * @classdesc A ShipGL.Light serves as the base class for the specific
+ *            light types ShipGL offers.
+ *
+ * @param {number} intensity The light's intensity
+ */
+ShipGL.Light = function(intensity)
+{
+    /**
+     * @memberof ShipGL.Light#
+     * @description The light's intensity.
+     * @name intensity
+     */
+    this.intensity = vec3.create(intensity);
+    
+    /**
+     * @memberof ShipGL.Light#
+     * @description The light's rotation status.
+     * @name isRotating
+     */
+    this.isRotating = false;
+    
+    /**
+     * @memberof ShipGL.Light#
+     * @description The light's rotation matrix.
+     * @name rotationMat
+     */
+    this.rotationMat = mat4.create();
+};
+
+/**
+ * If the light is rotating, calling this function should rotate the light
+ * according to its rotation matrix and do any other updating that may
+ * be necessary between frames.
+ *
+ * @this {ShipGL.Light}
+ *
+ * @param {number} elapsed The elapsed time in milliseconds since the last
+ *                         call to update. The implementation does not
+ *                         require this parameter to be passed in.
+ */
+ShipGL.Light.prototype.update = function(elapsed)
+{
+    throw "ShipGL.Light.update is abstract!";
+};
+
+/**
+ * Does some preparation for the light to begin rotation, mainly computing
+ * the light's rotation matrix.
+ *
+ * @this {ShipGL.Light}
+ *
+ * @param {number} angle The angle (in degrees) to rotate for every call
+ *                       to update
+ * @param {vec3} axis The axis to rotate around
+ */
+ShipGL.Light.prototype.startRotation = function(angle, axis)
+{
+    throw "ShipGL.Light.startRotation is abstract!";
+};
+
+/**
+ * Disables rotation. (No matter how many times you call update, the
+ * light won't rotate!)
+ *
+ * @this {ShipGL.Light}
+ */
+ShipGL.Light.prototype.stopRotation = function()
+{
+    throw "ShipGL.Light.stopRotation is abstract!";
+};
+/**
+ * @file Contains all ShipGL.PointLight code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.PointLight instance.
+ *
+ * @class ShipGL.PointLight
+ * @classdesc A ShipGL.PointLight is a ShipGL.Light that has a position.
+ *            The position is represented as a 4D vector with the fourth
+ *            component locked to 1.
+ * @augments ShipGL.Light
+ *
+ * @param {number} intensity The light's intensity
+ * @param {vec3} position The light's position
+ */
+ShipGL.PointLight = function(intensity, position)
+{
+    ShipGL.Light.call(this, intensity);
+
+    /**
+     * @memberof ShipGL.PointLight#
+     * @description The light's position.
+     * @name position
+     */
+    this.position = vec4.createFrom(position[0], position[1], position[2], 1);
+};
+
+ShipGL.PointLight.prototype = Object.create(ShipGL.Light.prototype);
+
+/**
+ * If the light is rotating, calling this function will rotate the light
+ * according to its rotation matrix.
+ *
+ * @this {ShipGL.PointLight}
+ *
+ * @param {number} elapsed The elapsed time in milliseconds since the last
+ *                         call to update. The implementation does not
+ *                         require this parameter to be passed in.
+ */
+ShipGL.PointLight.prototype.update = function(elapsed)
+{
+    if (this.isRotating)
+    {
+        mat4.multiplyVec4(this.rotationMat, this.position);
+
+        // Rotation matrix should never change 4th component,
+        // but just to be safe...
+        this.position[3] = 1;
+    }
+};
+
+/**
+ * Does some preparation for the light to begin rotation, mainly computing
+ * the light's rotation matrix.
+ *
+ * @this {ShipGL.PointLight}
+ *
+ * @param {number} angle The angle (in degrees) to rotate for every call
+ *                       to update
+ * @param {vec3} axis The axis to rotate around
+ * @param {vec3} center Rotate with respect to this point
+ */
+ShipGL.PointLight.prototype.startRotation = function(angle, axis, center)
+{
+    this.isRotating = true;
+
+    ShipGL.Math.arbitraryRotation(ShipGL.Math.toRadians(angle),
+                                  center,
+                                  axis,
+                                  this.rotationMat);
+};
+
+/**
+ * Disables rotation. (No matter how many times you call update, the
+ * light won't rotate!)
+ *
+ * @this {ShipGL.PointLight}
+ */
+ShipGL.PointLight.prototype.stopRotation = function()
+{
+    this.isRotating = false;
+};
+
+/**
+ * @file Contains all ShipGL.DirectionalLight code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.DirectionalLight instance.
+ *
+ * @class ShipGL.DirectionalLight
+ * @classdesc A ShipGL.DirectionalLight is a ShipGL.Light that has a direction.
+ *            The direction is represented as a 4D vector with the fourth
+ *            component locked to 0.
+ * @augments ShipGL.Light
+ *
+ * @param {number} intensity The light's intensity
+ * @param {vec3} dir The light's direction
+ */
+ShipGL.DirectionalLight = function(intensity, dir)
+{
+    ShipGL.Light.call(this, intensity);
+
+    /**
+     * @memberof ShipGL.DirectionalLight#
+     * @description The light's direction.
+     * @name direction
+     */
+    this.direction = vec4.createFrom(dir[0], dir[1], dir[2], 0);
+    vec3.normalize(this.direction);
+};
+
+ShipGL.DirectionalLight.prototype = Object.create(ShipGL.Light.prototype);
+
+/**
+ * If the light is rotating, calling this function will rotate the light
+ * according to its rotation matrix.
+ *
+ * @this {ShipGL.DirectionalLight}
+ *
+ * @param {number} elapsed The elapsed time in milliseconds since the last
+ *                         call to update. The implementation does not
+ *                         require this parameter to be passed in.
+ */
+ShipGL.DirectionalLight.prototype.update = function(elapsed)
+{
+    if (this.isRotating)
+    {
+        mat4.multiplyVec4(this.rotationMat, this.direction);
+        
+        // Rotation matrix should never change 4th component,
+        // but just to be safe...
+        this.direction[3] = 0;
+        vec3.normalize(this.direction);
+    }
+};
+
+/**
+ * Does some preparation for the light to begin rotation, mainly computing
+ * the light's rotation matrix.
+ *
+ * @this {ShipGL.DirectionalLight}
+ *
+ * @param {number} angle The angle (in degrees) to rotate for every call
+ *                       to update
+ * @param {vec3} axis The axis to rotate around
+ */
+ShipGL.DirectionalLight.prototype.startRotation = function(angle, axis)
+{
+    this.isRotating = true;
+
+    mat4.identity(this.rotationMat);
+
+    // Unlike ShipGL.PointLight, we do not need to use
+    // ShipGL.Math.arbitraryRotation here since we are dealing with
+    // light direction, not position.
+    mat4.rotate(this.rotationMat, ShipGL.Math.toRadians(angle), axis);
+};
+
+/**
+ * Disables rotation. (No matter how many times you call update, the
+ * light won't rotate!)
+ *
+ * @this {ShipGL.DirectionalLight}
+ */
+ShipGL.DirectionalLight.prototype.stopRotation = function()
+{
+    this.isRotating = false;
+};
+
+/**
+ * @file Contains all ShipGL.Material code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.Material instance from a JSON model material.
+ *
+ * @class ShipGL.Material
+ * @classdesc A ShipGL.Material holds the Phong reflectance coefficients and
+ *            texture maps of a surface and sets them as uniforms on a
+ *            shader program. ShipGL.Model creates one for every material
+ *            in its JSON model data, and ShipGL.StandardModel's built-in
+ *            shader lights models with them.
+ *
+ * @param {object} [json] A JSON model material with any of
+ *                        ambientReflectance, diffuseReflectance,
+ *                        specularReflectance, emissionColor (all RGBA
+ *                        arrays), shininess, and texture (the material's
+ *                        ShipGL.Texture, as set by ShipGL.Model). Missing
+ *                        fields get defaults.
+ * @example
+ * // Besides diffuseTexture, JSON model materials may name a normalTexture,
+ * // specularTexture and emissiveTexture. Each is an array of paths (or a
+ * // single path), just like diffuseTexture. ShipGL.Model loads them into
+ * // the material's diffuseTextures, normalTexture, specularTexture and
+ * // emissiveTexture fields.
+ * //   diffuseTexture, layers that are multiplied together (up to
+ * //                   ShipGL.Material.MAX_DIFFUSE_LAYERS) and replace the
+ * //                   diffuse reflectance
+ * //   normalTexture, a tangent space normal map, used by meshes with tangents
+ * //   specularTexture, multiplies the specular reflectance
+ * //   emissiveTexture, multiplies the emission color. A material with an
+ * //                    emissive map but no emissionColor gets white.
+ * // Every texture is sampled with the mesh's first set of texture
+ * // coordinates.
+ *
+ * // The material sets the following uniforms when bound:
+ * //   uAmbientRefl (vec4), uDiffuseRefl (vec4), uSpecularRefl (vec4),
+ * //   uEmissionColor (vec4), uShininess (float), uShadingModel (int, one of
+ * //   ShipGL.Material.PHONG or ShipGL.Material.BLINN_PHONG),
+ * //   uTex (sampler2D array of MAX_DIFFUSE_LAYERS), uTexCount (int, the
+ * //   number of diffuse layers in use), and uNormalTex, uSpecularTex and
+ * //   uEmissiveTex (sampler2D) along with uHasNormalTex, uHasSpecularTex
+ * //   and uHasEmissiveTex (int, 1 if the map is in use and 0 otherwise).
+ * // Texture units are assigned in that order, starting at 0, to the maps
+ * // in use only.
+ * var material = new ShipGL.Material(model.json.materials[0]);
+ * material.shadingModel = ShipGL.Material.PHONG;
+ *
+ * program.bind();
+ * material.bind(program);
+ *
+ * // Pass the mesh being drawn as the second argument to skip the maps it
+ * // can't use: every map if it has no texture coordinates, and the normal
+ * // map if it has no tangents.
+ * material.bind(program, mesh);
+ *
+ * // A shininess of 0 turns the specular highlight off, since plenty of
+ * // exporters write 0 for materials without one.
+ */
+ShipGL.Material = function(json)
+{
+    json = json || {};
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The fraction of ambient light reflected (RGBA).
+     * @name ambientReflectance
+     */
+    this.ambientReflectance = vec4.create(json.ambientReflectance || [0, 0, 0, 1]);
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The fraction of light diffusely reflected (RGBA). The
+     *              diffuse textures replace it if the material has any.
+     * @name diffuseReflectance
+     */
+    this.diffuseReflectance = vec4.create(json.diffuseReflectance || [0.8, 0.8, 0.8, 1]);
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The fraction of light specularly reflected (RGBA).
+     * @name specularReflectance
+     */
+    this.specularReflectance = vec4.create(json.specularReflectance || [0, 0, 0, 1]);
+
+    var hasEmissiveMap = ShipGL.Material.texturePaths(json.emissiveTexture).length > 0;
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The color the surface emits on its own (RGBA).
+     * @name emissionColor
+     */
+    this.emissionColor = vec4.create(json.emissionColor ||
+                                     (hasEmissiveMap ? [1, 1, 1, 1] : [0, 0, 0, 1]));
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The specular exponent. Larger values give smaller,
+     *              sharper highlights.
+     * @name shininess
+     */
+    this.shininess = json.shininess || 0;
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The material's diffuse ShipGL.Texture layers.
+     * @name diffuseTextures
+     */
+    this.diffuseTextures = json.texture ? [json.texture] : [];
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The material's first diffuse ShipGL.Texture, or null.
+     * @name texture
+     */
+    this.texture = json.texture || null;
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The material's tangent space normal map
+     *              (ShipGL.Texture), or null.
+     * @name normalTexture
+     */
+    this.normalTexture = null;
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The material's specular map (ShipGL.Texture), or null.
+     * @name specularTexture
+     */
+    this.specularTexture = null;
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The material's emissive map (ShipGL.Texture), or null.
+     * @name emissiveTexture
+     */
+    this.emissiveTexture = null;
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description How specular highlights are computed,
+     *              ShipGL.Material.PHONG or ShipGL.Material.BLINN_PHONG.
+     * @name shadingModel
+     */
+    this.shadingModel = ShipGL.Material.BLINN_PHONG;
+
+    this._layerUnits = new Int32Array(ShipGL.Material.MAX_DIFFUSE_LAYERS);
+};
+
+/**
+ * Specular highlights from the angle between the reflected light and the
+ * view direction.
+ */
+ShipGL.Material.PHONG = 0;
+
+/**
+ * Specular highlights from the angle between the normal and the half
+ * vector between the light and view directions.
+ */
+ShipGL.Material.BLINN_PHONG = 1;
+
+/**
+ * The most diffuse texture layers a material binds.
+ */
+ShipGL.Material.MAX_DIFFUSE_LAYERS = 4;
+
+/**
+ * The names of the material's single texture maps. Each is both the JSON
+ * model material field naming the texture's path and the material field
+ * ShipGL.Model stores the loaded ShipGL.Texture in.
+ */
+ShipGL.Material.prototype.textureNames = ["normalTexture", "specularTexture", "emissiveTexture"];
+
+/**
+ * Get the texture paths of a JSON model material texture field, which may
+ * be an array of paths, a single path, or missing.
+ *
+ * @param {(Array|string)} [value] The texture field's value
+ * @return {Array} The texture paths
+ */
+ShipGL.Material.texturePaths = function(value)
+{
+    if (!value)
+        return [];
+
+    return typeof value == "string" ? [value] : value;
+};
+
+/**
+ * Set the material's uniforms on a bound shader program and bind its
+ * textures.
+ *
+ * @this {ShipGL.Material}
+ *
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ * @param {object} [mesh] The JSON mesh about to be drawn. If specified,
+ *                        maps the mesh can't use are left out.
+ * @return {number} The number of texture units used. The textures are
+ *                  bound to units 0 through this number minus one.
+ */
+ShipGL.Material.prototype.bind = function(program, mesh)
+{
+    var hasTexCoords = !mesh || mesh.hasTexCoords;
+    var hasTangents = !mesh || mesh.hasTangents;
+    var layerCount = hasTexCoords ? Math.min(this.diffuseTextures.length,
+                                             ShipGL.Material.MAX_DIFFUSE_LAYERS) : 0;
+    var unit = 0;
+
+    program.setUniformVec4f("uAmbientRefl", this.ambientReflectance);
+    program.setUniformVec4f("uDiffuseRefl", this.diffuseReflectance);
+    program.setUniformVec4f("uSpecularRefl", this.specularReflectance);
+    program.setUniformVec4f("uEmissionColor", this.emissionColor);
+    program.setUniform1f("uShininess", this.shininess);
+    program.setUniform1i("uShadingModel", this.shadingModel);
+
+    var i;
+    for (i = 0; i < this._layerUnits.length; i++)
+    {
+        if (i < layerCount)
+        {
+            this.diffuseTextures[i].bind(unit);
+            this._layerUnits[i] = unit++;
+        }
+        else
+        {
+            this._layerUnits[i] = 0;
+        }
+    }
+
+    program.setUniformVec1i("uTex", this._layerUnits);
+    program.setUniform1i("uTexCount", layerCount);
+
+    unit = this._bindMap(program, "uNormalTex", "uHasNormalTex", this.normalTexture,
+                         hasTexCoords && hasTangents, unit);
+    unit = this._bindMap(program, "uSpecularTex", "uHasSpecularTex", this.specularTexture,
+                         hasTexCoords, unit);
+    return this._bindMap(program, "uEmissiveTex", "uHasEmissiveTex", this.emissiveTexture,
+                         hasTexCoords, unit);
+};
+
+// Binds a map to the next texture unit if it's usable and returns the next
+// free unit.
+ShipGL.Material.prototype._bindMap = function(program, samplerName, flagName, texture, isUsable, unit)
+{
+    if (texture && isUsable)
+    {
+        texture.bind(unit);
+        program.setUniform1i(samplerName, unit);
+        program.setUniform1i(flagName, 1);
+        return unit + 1;
+    }
+
+    program.setUniform1i(flagName, 0);
+    return unit;
+};
+/**
+ * @file Contains all ShipGL.PBRMaterial code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.PBRMaterial instance from a JSON model material.
+ *
+ * @class ShipGL.PBRMaterial
+ * @classdesc A ShipGL.PBRMaterial describes a surface with the
+ *            metallic-roughness model used by glTF, for physically based
+ *            rendering. ShipGL.Model creates one for every JSON material
+ *            with metallic-roughness fields, or for every material if
+ *            initialized with the pbrMaterials option.
+ *            ShipGL.StandardModel draws meshes using them with its PBR
+ *            shader, lit by its lights and its ShipGL.EnvironmentMap.
+ * @augments ShipGL.Material
+ *
+ * @param {object} [json] A JSON model material. See the example for the
+ *                        fields read.
+ * @example
+ * // JSON model materials may have the following metallic-roughness
+ * // fields, named like their glTF counterparts:
+ * //   baseColorFactor, an RGBA array multiplying the base color texture
+ * //   metallicFactor, 0 for dielectrics up to 1 for metals
+ * //   roughnessFactor, 0 for mirror-like surfaces up to 1 for rough ones
+ * //   occlusionStrength, how much the occlusion texture darkens the
+ * //                      ambient lighting (0 to 1)
+ * //   baseColorTexture, the base color (sRGB)
+ * //   metallicRoughnessTexture, roughness in green and metalness in blue,
+ * //                             multiplying the factors
+ * //   occlusionTexture, ambient occlusion in red
+ * // normalTexture, emissiveTexture and emissionColor work as they do for
+ * // ShipGL.Material. Texture fields are arrays of paths (or a single path).
+ *
+ * // Legacy Phong materials are converted: the base color comes from the
+ * // diffuse reflectance and texture, the material is not metallic, and the
+ * // roughness is derived from the shininess.
+ * var material = new ShipGL.PBRMaterial(model.json.materials[0]);
+ *
+ * // The material sets the following uniforms when bound:
+ * //   uBaseColorFactor (vec4), uMetallicFactor (float),
+ * //   uRoughnessFactor (float), uOcclusionStrength (float),
+ * //   uEmissionColor (vec4), and uBaseColorTex, uMetallicRoughnessTex,
+ * //   uOcclusionTex, uNormalTex and uEmissiveTex (sampler2D) along with
+ * //   uHasBaseColorTex, uHasMetallicRoughnessTex, uHasOcclusionTex,
+ * //   uHasNormalTex and uHasEmissiveTex (int, 1 if the map is in use and
+ * //   0 otherwise).
+ * // Texture units are assigned in that order, starting at 0, to the maps
+ * // in use only.
+ * material.bind(program, mesh);
+ */
+ShipGL.PBRMaterial = function(json)
+{
+    json = json || {};
+    ShipGL.Material.call(this, json);
+
+    var isPBR = ShipGL.PBRMaterial.isPBR(json);
+    var hasDiffuseMap = ShipGL.Material.texturePaths(json.diffuseTexture).length > 0;
+    var baseColor = json.baseColorFactor;
+
+    // A legacy diffuse texture replaces the diffuse reflectance rather
+    // than multiplying it. Legacy reflectances are sRGB colors, while the
+    // base color factor is linear.
+    if (!baseColor)
+    {
+        baseColor = isPBR || hasDiffuseMap ? [1, 1, 1, this.diffuseReflectance[3]] :
+                                             [Math.pow(this.diffuseReflectance[0], 2.2),
+                                              Math.pow(this.diffuseReflectance[1], 2.2),
+                                              Math.pow(this.diffuseReflectance[2], 2.2),
+                                              this.diffuseReflectance[3]];
+    }
+
+    /**
+     * @memberof ShipGL.PBRMaterial#
+     * @description The base color (RGBA), multiplying the base color
+     *              texture if there is one.
+     * @name baseColorFactor
+     */
+    this.baseColorFactor = vec4.create(baseColor);
+
+    /**
+     * @memberof ShipGL.PBRMaterial#
+     * @description The metalness, from 0 (dielectric) to 1 (metal).
+     * @name metallicFactor
+     */
+    this.metallicFactor = json.metallicFactor !== undefined ? json.metallicFactor : (isPBR ? 1 : 0);
+
+    /**
+     * @memberof ShipGL.PBRMaterial#
+     * @description The roughness, from 0 (smooth) to 1 (rough).
+     * @name roughnessFactor
+     */
+    this.roughnessFactor = json.roughnessFactor !== undefined ? json.roughnessFactor :
+                           (isPBR ? 1 : ShipGL.PBRMaterial.shininessToRoughness(this.shininess));
+
+    /**
+     * @memberof ShipGL.PBRMaterial#
+     * @description How much the occlusion texture darkens the ambient
+     *              lighting, from 0 to 1.
+     * @name occlusionStrength
+     */
+    this.occlusionStrength = json.occlusionStrength !== undefined ? json.occlusionStrength : 1;
+
+    /**
+     * @memberof ShipGL.PBRMaterial#
+     * @description The base color map (ShipGL.Texture), or null. Without
+     *              one, the first diffuse texture is used.
+     * @name baseColorTexture
+     */
+    this.baseColorTexture = null;
+
+    /**
+     * @memberof ShipGL.PBRMaterial#
+     * @description The metallic-roughness map (ShipGL.Texture), or null.
+     * @name metallicRoughnessTexture
+     */
+    this.metallicRoughnessTexture = null;
+
+    /**
+     * @memberof ShipGL.PBRMaterial#
+     * @description The ambient occlusion map (ShipGL.Texture), or null.
+     * @name occlusionTexture
+     */
+    this.occlusionTexture = null;
+};
+
+ShipGL.PBRMaterial.prototype = Object.create(ShipGL.Material.prototype);
+
+/**
+ * The names of the material's texture maps. See
+ * ShipGL.Material.prototype.textureNames.
+ */
+ShipGL.PBRMaterial.prototype.textureNames = ["baseColorTexture", "metallicRoughnessTexture",
+                                             "occlusionTexture", "normalTexture",
+                                             "emissiveTexture"];
+
+/**
+ * Check whether a JSON model material has metallic-roughness fields.
+ *
+ * @param {object} json The JSON model material
+ * @return {boolean} Whether the material is a metallic-roughness material
+ */
+ShipGL.PBRMaterial.isPBR = function(json)
+{
+    return json.metallicFactor !== undefined || json.roughnessFactor !== undefined ||
+           json.baseColorFactor !== undefined ||
+           ShipGL.Material.texturePaths(json.baseColorTexture).length > 0 ||
+           ShipGL.Material.texturePaths(json.metallicRoughnessTexture).length > 0;
+};
+
+/**
+ * Convert a Phong specular exponent to a roughness, using the usual
+ * Beckmann correspondence.
+ *
+ * @param {number} shininess The Phong specular exponent
+ * @return {number} The roughness, from 0 to 1
+ */
+ShipGL.PBRMaterial.shininessToRoughness = function(shininess)
+{
+    return Math.sqrt(2 / (Math.max(shininess, 0) + 2));
+};
+
+/**
+ * Set the material's uniforms on a bound shader program and bind its
+ * textures.
+ *
+ * @this {ShipGL.PBRMaterial}
+ *
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ * @param {object} [mesh] The JSON mesh about to be drawn. If specified,
+ *                        maps the mesh can't use are left out.
+ * @return {number} The number of texture units used. The textures are
+ *                  bound to units 0 through this number minus one.
+ */
+ShipGL.PBRMaterial.prototype.bind = function(program, mesh)
+{
+    var hasTexCoords = !mesh || mesh.hasTexCoords;
+    var hasTangents = !mesh || mesh.hasTangents;
+    var unit = 0;
+
+    program.setUniformVec4f("uBaseColorFactor", this.baseColorFactor);
+    program.setUniform1f("uMetallicFactor", this.metallicFactor);
+    program.setUniform1f("uRoughnessFactor", this.roughnessFactor);
+    program.setUniform1f("uOcclusionStrength", this.occlusionStrength);
+    program.setUniformVec4f("uEmissionColor", this.emissionColor);
+
+    unit = this._bindMap(program, "uBaseColorTex", "uHasBaseColorTex",
+                         this.baseColorTexture || this.texture, hasTexCoords, unit);
+    unit = this._bindMap(program, "uMetallicRoughnessTex", "uHasMetallicRoughnessTex",
+                         this.metallicRoughnessTexture, hasTexCoords, unit);
+    unit = this._bindMap(program, "uOcclusionTex", "uHasOcclusionTex",
+                         this.occlusionTexture, hasTexCoords, unit);
+    unit = this._bindMap(program, "uNormalTex", "uHasNormalTex", this.normalTexture,
+                         hasTexCoords && hasTangents, unit);
+    return this._bindMap(program, "uEmissiveTex", "uHasEmissiveTex", this.emissiveTexture,
+                         hasTexCoords, unit);
+};
+/**
+ * @file Contains all ShipGL.MeshUtilities code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * ShipGL.MeshUtilities provides routines that fill in or rearrange the
+ * per-vertex data of JSON model meshes (the objects in a model's
+ * json.meshes). ShipGL.Model uses them during initialize to generate
+ * normals and tangents for meshes that lack them. Function documentation
+ * is provided through an example since JSDoc doesn't have great support for
+ * documenting singleton-like objects.
+ *
+ * Every function treats the fields of a mesh starting with "vertex" as
+ * per-vertex data, so custom per-vertex arrays are kept in step whenever
+ * vertices are split or rearranged. Meshes without indices are read as a
+ * plain list of triangles.
+ *
+ * @example
+ * // generateNormals(mesh, [options]) computes vertexNormals for the mesh,
+ * // replacing any it already has. By default, the normals are smooth:
+ * // every face sharing a vertex position contributes to that vertex's
+ * // normal, weighted by the face's angle at that vertex.
+ * ShipGL.MeshUtilities.generateNormals(mesh);
+ *
+ * // options.creaseAngle, in degrees, keeps hard edges sharp. Faces only
+ * // contribute to each other's normals if the angle between them is at
+ * // most creaseAngle. Vertices on a hard edge are split, so the mesh may
+ * // end up with more vertices and is always indexed afterwards.
+ * ShipGL.MeshUtilities.generateNormals(mesh, { creaseAngle: 60 });
+ *
+ * // options.flat gives every face its own normal, like a creaseAngle of 0.
+ * ShipGL.MeshUtilities.generateNormals(mesh, { flat: true });
+ *
+ * // generateTangents(mesh, [texCoordSet]) computes vertexTangents and
+ * // vertexBitangents from the mesh's positions, normals and the given set
+ * // of vertexTexCoordinates (default 0). Each triangle's texture-space
+ * // directions are accumulated at its vertices, the tangent is made
+ * // perpendicular to the normal, and the bitangent's direction accounts
+ * // for mirrored texture coordinates. The mesh must have normals.
+ * ShipGL.MeshUtilities.generateTangents(mesh);
+ *
+ * // remapVertices(mesh, sourceVertices, indices) returns a new mesh whose
+ * // vertex n is a copy of the mesh's vertex sourceVertices[n], using the
+ * // given indices. Fields not starting with "vertex" are shared with the
+ * // original mesh.
+ * var firstTriangle = ShipGL.MeshUtilities.remapVertices(mesh, [0, 1, 2], [0, 1, 2]);
+ *
+ * // Bounds are objects holding both an axis-aligned box and a bounding
+ * // sphere: { min: vec3, max: vec3, center: vec3, radius: number }. The
+ * // box and the sphere share the same center.
+ *
+ * // createBounds() returns empty bounds, and isEmptyBounds(bounds) checks
+ * // whether bounds contain nothing (their min is greater than their max).
+ * var bounds = ShipGL.MeshUtilities.createBounds();
+ *
+ * // computeBounds(positions, [dest]) returns the bounds of a flat array of
+ * // x, y, z positions, like a mesh's vertexPositions.
+ * var meshBounds = ShipGL.MeshUtilities.computeBounds(mesh.vertexPositions);
+ *
+ * // transformBounds(bounds, matrix, [dest]) returns bounds containing the
+ * // given bounds transformed by a mat4. The box contains the transformed
+ * // corners of the original box.
+ * var worldBounds = ShipGL.MeshUtilities.transformBounds(meshBounds, node.modelMatrix);
+ *
+ * // mergeBounds(bounds1, bounds2, [dest]) returns bounds containing both.
+ * ShipGL.MeshUtilities.mergeBounds(bounds, worldBounds, bounds);
+ */
+ShipGL.MeshUtilities = (function()
+{
+    function getIndices(mesh)
+    {
+        if (mesh.indices && mesh.indices.length > 0)
+        {
+            return mesh.indices;
+        }
+
+        var i, indices = [];
+        for (i = 0; i < mesh.vertexPositions.length / 3; i++)
+        {
+            indices.push(i);
+        }
+
+        return indices;
+    };
+
+    function gather(array, vertexCount, sourceVertices)
+    {
+        var n, c, size = array.length / vertexCount, result = [];
+
+        for (n = 0; n < sourceVertices.length; n++)
+        {
+            for (c = 0; c < size; c++)
+            {
+                result.push(array[sourceVertices[n] * size + c]);
+            }
+        }
+
+        return result;
+    };
+
+    function remapVertices(mesh, sourceVertices, indices)
+    {
+        var vertexCount = mesh.vertexPositions.length / 3;
+        var key, value, result = {};
+
+        for (key in mesh)
+        {
+            value = mesh[key];
+
+            if (key.indexOf("vertex") != 0 || !value || typeof value.length != "number")
+            {
+                result[key] = value;
+            }
+            else if (value.length > 0 && typeof value[0] == "object")
+            {
+                // Arrays of arrays, like vertexTexCoordinates.
+                result[key] = value.map(function(set)
+                {
+                    return gather(set, vertexCount, sourceVertices);
+                });
+            }
+            else
+            {
+                result[key] = gather(value, vertexCount, sourceVertices);
+            }
+        }
+
+        result.indices = indices;
+        return result;
+    };
+
+    // Returns, for every vertex, the index of the first vertex with the same
+    // position, so faces that don't share indices can still be smoothed
+    // together.
+    function weldPositions(positions)
+    {
+        var i, key, firstOf = {}, welded = new Int32Array(positions.length / 3);
+
+        for (i = 0; i < welded.length; i++)
+        {
+            key = positions[i * 3] + "," + positions[i * 3 + 1] + "," + positions[i * 3 + 2];
+
+            if (!(key in firstOf))
+            {
+                firstOf[key] = i;
+            }
+
+            welded[i] = firstOf[key];
+        }
+
+        return welded;
+    };
+
+    // Returns the unit normal of every triangle and the angle at every
+    // triangle corner. Weighting a face's normal by the angle at the corner
+    // makes the result independent of how the surface is triangulated.
+    function computeFaceNormals(positions, indices)
+    {
+        var faceNormals = new Float32Array(indices.length);
+        var cornerAngles = new Float32Array(indices.length);
+        var p = [vec3.create(), vec3.create(), vec3.create()];
+        var e1 = vec3.create(), e2 = vec3.create(), n = vec3.create();
+
+        var i, j, k;
+        for (i = 0; i < indices.length; i += 3)
+        {
+            for (k = 0; k < 3; k++)
+            {
+                for (j = 0; j < 3; j++)
+                {
+                    p[k][j] = positions[indices[i + k] * 3 + j];
+                }
+            }
+
+            vec3.subtract(p[1], p[0], e1);
+            vec3.subtract(p[2], p[0], e2);
+            faceNormals.set(vec3.normalize(vec3.cross(e1, e2, n)), i);
+
+            for (k = 0; k < 3; k++)
+            {
+                vec3.direction(p[(k + 1) % 3], p[k], e1);
+                vec3.direction(p[(k + 2) % 3], p[k], e2);
+                cornerAngles[i + k] = Math.acos(Math.min(Math.max(vec3.dot(e1, e2), -1), 1));
+            }
+        }
+
+        return { normals: faceNormals, angles: cornerAngles };
+    };
+
+    function generateNormals(mesh, options)
+    {
+        options = options || {};
+
+        var creaseAngle = options.flat ? 0 : options.creaseAngle;
+        if (creaseAngle === undefined)
+        {
+            creaseAngle = 180;
+        }
+
+        var indices = getIndices(mesh);
+        var faces = computeFaceNormals(mesh.vertexPositions, indices);
+        var faceNormals = faces.normals, cornerAngles = faces.angles;
+        var welded = weldPositions(mesh.vertexPositions);
+        var vertexCount = welded.length;
+        var n = vec3.create();
+
+        var i, j, c, t;
+
+        // Fully smooth normals need no new vertices: each vertex gets the
+        // weighted sum of the normals of every face touching its position.
+        if (creaseAngle >= 180)
+        {
+            var sums = new Float32Array(vertexCount * 3);
+
+            for (c = 0; c < indices.length; c++)
+            {
+                t = c - c % 3;
+
+                for (j = 0; j < 3; j++)
+                {
+                    sums[welded[indices[c]] * 3 + j] += faceNormals[t + j] * cornerAngles[c];
+                }
+            }
+
+            var normals = [];
+            for (i = 0; i < vertexCount; i++)
+            {
+                for (j = 0; j < 3; j++)
+                {
+                    n[j] = sums[welded[i] * 3 + j];
+                }
+
+                vec3.normalize(n);
+                normals.push(n[0], n[1], n[2]);
+            }
+
+            mesh.vertexNormals = normals;
+            return mesh;
+        }
+
+        var cosCrease = Math.cos(creaseAngle * Math.PI / 180) - 1e-6;
+
+        // Group the triangle corners by welded position.
+        var cornersOf = {}, corners;
+        for (c = 0; c < indices.length; c++)
+        {
+            corners = cornersOf[welded[indices[c]]] || (cornersOf[welded[indices[c]]] = []);
+            corners.push(c);
+        }
+
+        // Each corner's normal is the weighted sum of the normals of the faces
+        // at its position that are within the crease angle of the corner's
+        // face. Corners of the same vertex that end up with the same normal
+        // keep sharing a vertex; the others get their own.
+        var newIndices = [], sourceVertices = [], newNormals = [], vertexOf = {};
+        var other, key, group, k;
+
+        for (c = 0; c < indices.length; c++)
+        {
+            t = c - c % 3;
+            group = cornersOf[welded[indices[c]]];
+            n[0] = n[1] = n[2] = 0;
+
+            for (k = 0; k < group.length; k++)
+            {
+                other = group[k] - group[k] % 3;
+
+                if (other == t ||
+                    faceNormals[t] * faceNormals[other] +
+                    faceNormals[t + 1] * faceNormals[other + 1] +
+                    faceNormals[t + 2] * faceNormals[other + 2] >= cosCrease)
+                {
+                    for (j = 0; j < 3; j++)
+                    {
+                        n[j] += faceNormals[other + j] * cornerAngles[group[k]];
+                    }
+                }
+            }
+
+            vec3.normalize(n);
+            key = indices[c] + "/" + n[0].toFixed(5) + "/" + n[1].toFixed(5) + "/" + n[2].toFixed(5);
+
+            if (!(key in vertexOf))
+            {
+                vertexOf[key] = sourceVertices.length;
+                sourceVertices.push(indices[c]);
+                newNormals.push(n[0], n[1], n[2]);
+            }
+
+            newIndices.push(vertexOf[key]);
+        }
+
+        // Drop the old normals so they aren't remapped along with the rest of
+        // the per-vertex data.
+        mesh.vertexNormals = [];
+
+        var remapped = remapVertices(mesh, sourceVertices, newIndices);
+        for (key in remapped)
+        {
+            mesh[key] = remapped[key];
+        }
+
+        mesh.vertexNormals = newNormals;
+        return mesh;
+    };
+
+    function generateTangents(mesh, texCoordSet)
+    {
+        var positions = mesh.vertexPositions, normals = mesh.vertexNormals;
+        var uvs = mesh.vertexTexCoordinates[texCoordSet || 0];
+        var indices = getIndices(mesh);
+        var vertexCount = positions.length / 3;
+
+        var tan1 = new Float32Array(vertexCount * 3);
+        var tan2 = new Float32Array(vertexCount * 3);
+        var e1 = vec3.create(), e2 = vec3.create();
+        var sdir = vec3.create(), tdir = vec3.create();
+
+        var i, j, i0, i1, i2, s1, s2, t1, t2, r;
+        for (i = 0; i < indices.length; i += 3)
+        {
+            i0 = indices[i];
+            i1 = indices[i + 1];
+            i2 = indices[i + 2];
+
+            for (j = 0; j < 3; j++)
+            {
+                e1[j] = positions[i1 * 3 + j] - positions[i0 * 3 + j];
+                e2[j] = positions[i2 * 3 + j] - positions[i0 * 3 + j];
+            }
+
+            s1 = uvs[i1 * 2] - uvs[i0 * 2];
+            s2 = uvs[i2 * 2] - uvs[i0 * 2];
+            t1 = uvs[i1 * 2 + 1] - uvs[i0 * 2 + 1];
+            t2 = uvs[i2 * 2 + 1] - uvs[i0 * 2 + 1];
+
+            r = s1 * t2 - s2 * t1;
+            if (r == 0)
+            {
+                // Degenerate texture coordinates carry no direction.
+                continue;
+            }
+
+            r = 1 / r;
+            for (j = 0; j < 3; j++)
+            {
+                sdir[j] = (t2 * e1[j] - t1 * e2[j]) * r;
+                tdir[j] = (s1 * e2[j] - s2 * e1[j]) * r;
+            }
+
+            for (j = 0; j < 3; j++)
+            {
+                tan1[i0 * 3 + j] += sdir[j];
+                tan1[i1 * 3 + j] += sdir[j];
+                tan1[i2 * 3 + j] += sdir[j];
+                tan2[i0 * 3 + j] += tdir[j];
+                tan2[i1 * 3 + j] += tdir[j];
+                tan2[i2 * 3 + j] += tdir[j];
+            }
+        }
+
+        var tangents = [], bitangents = [];
+        var n = vec3.create(), t = vec3.create(), b = vec3.create();
+
+        for (i = 0; i < vertexCount; i++)
+        {
+            for (j = 0; j < 3; j++)
+            {
+                n[j] = normals[i * 3 + j];
+                t[j] = tan1[i * 3 + j];
+            }
+
+            // Gram-Schmidt orthogonalize the tangent against the normal.
+            vec3.subtract(t, vec3.scale(n, vec3.dot(n, t), b));
+
+            if (vec3.length(t) < 1e-12)
+            {
+                // No usable texture direction, so pick any perpendicular.
+                vec3.cross(n, Math.abs(n[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0], t);
+            }
+
+            vec3.normalize(t);
+            vec3.cross(n, t, b);
+
+            // Mirrored texture coordinates flip the bitangent.
+            if (b[0] * tan2[i * 3] + b[1] * tan2[i * 3 + 1] + b[2] * tan2[i * 3 + 2] < 0)
+            {
+                vec3.negate(b);
+            }
+
+            vec3.normalize(b);
+            tangents.push(t[0], t[1], t[2]);
+            bitangents.push(b[0], b[1], b[2]);
+        }
+
+        mesh.vertexTangents = tangents;
+        mesh.vertexBitangents = bitangents;
+        return mesh;
+    };
+
+    function createBounds()
+    {
+        return { min: vec3.createFrom(Infinity, Infinity, Infinity),
+                 max: vec3.createFrom(-Infinity, -Infinity, -Infinity),
+                 center: vec3.create(),
+                 radius: 0
+        };
+    };
+
+    function isEmptyBounds(bounds)
+    {
+        return bounds.min[0] > bounds.max[0];
+    };
+
+    function copyBounds(bounds, dest)
+    {
+        vec3.set(bounds.min, dest.min);
+        vec3.set(bounds.max, dest.max);
+        vec3.set(bounds.center, dest.center);
+        dest.radius = bounds.radius;
+        return dest;
+    };
+
+    function computeBounds(positions, dest)
+    {
+        var empty = createBounds();
+        var min = empty.min, max = empty.max;
+
+        var i, j;
+        for (i = 0; i < positions.length; i += 3)
+        {
+            for (j = 0; j < 3; j++)
+            {
+                min[j] = Math.min(min[j], positions[i + j]);
+                max[j] = Math.max(max[j], positions[i + j]);
+            }
+        }
+
+        dest = copyBounds(empty, dest || createBounds());
+
+        if (positions.length == 0)
+        {
+            return dest;
+        }
+
+        vec3.scale(vec3.add(min, max, dest.center), 0.5);
+
+        // The sphere is centered on the box but only as large as the
+        // farthest position needs, which is usually tighter than the box's
+        // corners.
+        var dx, dy, dz, radiusSq = 0, center = dest.center;
+        for (i = 0; i < positions.length; i += 3)
+        {
+            dx = positions[i] - center[0];
+            dy = positions[i + 1] - center[1];
+            dz = positions[i + 2] - center[2];
+            radiusSq = Math.max(radiusSq, dx * dx + dy * dy + dz * dz);
+        }
+
+        dest.radius = Math.sqrt(radiusSq);
+        return dest;
+    };
+
+    function transformBounds(bounds, matrix, dest)
+    {
+        dest = dest || createBounds();
+
+        if (isEmptyBounds(bounds))
+        {
+            return copyBounds(bounds, dest);
+        }
+
+        var min = vec3.createFrom(Infinity, Infinity, Infinity);
+        var max = vec3.createFrom(-Infinity, -Infinity, -Infinity);
+        var corner = vec3.create();
+
+        var i, j;
+        for (i = 0; i < 8; i++)
+        {
+            corner[0] = i & 1 ? bounds.max[0] : bounds.min[0];
+            corner[1] = i & 2 ? bounds.max[1] : bounds.min[1];
+            corner[2] = i & 4 ? bounds.max[2] : bounds.min[2];
+            mat4.multiplyVec3(matrix, corner);
+
+            for (j = 0; j < 3; j++)
+            {
+                min[j] = Math.min(min[j], corner[j]);
+                max[j] = Math.max(max[j], corner[j]);
+            }
+        }
+
+        // The radius grows by the matrix's largest axis scale.
+        var scale = Math.max(vec3.length([matrix[0], matrix[1], matrix[2]]),
+                             vec3.length([matrix[4], matrix[5], matrix[6]]),
+                             vec3.length([matrix[8], matrix[9], matrix[10]]));
+
+        mat4.multiplyVec3(matrix, bounds.center, dest.center);
+        dest.radius = bounds.radius * scale;
+        vec3.set(min, dest.min);
+        vec3.set(max, dest.max);
+        return dest;
+    };
+
+    function mergeBounds(bounds1, bounds2, dest)
+    {
+        dest = dest || createBounds();
+
+        if (isEmptyBounds(bounds1))
+        {
+            return copyBounds(bounds2, dest);
+        }
+
+        if (isEmptyBounds(bounds2))
+        {
+            return copyBounds(bounds1, dest);
+        }
+
+        var center = vec3.create(), min = vec3.create(), max = vec3.create();
+
+        var j;
+        for (j = 0; j < 3; j++)
+        {
+            min[j] = Math.min(bounds1.min[j], bounds2.min[j]);
+            max[j] = Math.max(bounds1.max[j], bounds2.max[j]);
+        }
+
+        vec3.scale(vec3.add(min, max, center), 0.5);
+
+        var radius = Math.max(vec3.dist(center, bounds1.center) + bounds1.radius,
+                              vec3.dist(center, bounds2.center) + bounds2.radius);
+
+        vec3.set(min, dest.min);
+        vec3.set(max, dest.max);
+        vec3.set(center, dest.center);
+        dest.radius = radius;
+        return dest;
+    };
+
+    return { generateNormals: generateNormals,
+             generateTangents: generateTangents,
+             remapVertices: remapVertices,
+             createBounds: createBounds,
+             isEmptyBounds: isEmptyBounds,
+             computeBounds: computeBounds,
+             transformBounds: transformBounds,
+             mergeBounds: mergeBounds
+    };
+})();
+/**
+ * @file Contains all ShipGL.Model code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.Model instance. Be sure to call initialize to prepare
+ * the model for rendering and also to accurately set the instance's fields.
+ *
+ * @class ShipGL.Model
+ * @classdesc ShipGL.Model is an abstract base class that provides a handful
+ *            of useful and efficient model loading facilities.
+ * @augments ShipGL.GLResource
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {string} pathToJSON The string path to the JSON model file
+ * @param {object} [json] The already parsed JSON model data. If not
+ *                        specified, the file at pathToJSON is loaded
+ *                        synchronously. Prefer ShipGL.Model.load, which
+ *                        loads the file asynchronously.
+ * @example
+ * // IMPORTANT: Please read this whole example!
+ *
+ * // Since this class is abstract, a subclass must be provided to create
+ * // a valid ShipGL.Model.  ShipGL.StandardModel is a ready-made subclass
+ * // that draws the model with a lit shader. Assume you have instead
+ * // written your own subclass called MyModel.
+ *
+ * // Create an instance and initialize. Note that your subclass may have
+ * // additional parameters for construction or initialization.
+ * var model = new MyModel(gl, "model.json");
+ * model.initialize();
+ *
+ * // After the model's been initialized, it is ready for rendering.
+ *
+ * // Assuming you've implemented rendering code in MyModel's draw method,
+ * // you can render the model like this:
+ * model.draw();
+ *
+ * // Constructing a model with just a path loads the JSON file
+ * // synchronously, which freezes the page while large models load. Use
+ * // ShipGL.Model.load instead to load the file asynchronously. The callback
+ * // gets an initialized model once all of its textures have loaded.
+ * ShipGL.Model.load(gl, "model.json", function(model)
+ * {
+ *     model.draw();
+ * },
+ * function(error)
+ * {
+ *     alert(error.message);
+ * }, MyModel);
+ *
+ * // Calling initialize is very important as it does the following:
+ * //   1) Generates normals and tangents for meshes that lack them.
+ * //   2) Stores all attribute info in the vbo and ibo fields.
+ * //   3) Loads all of the model's textures and creates its ShipGL.Material's
+ * //      (ShipGL.PBRMaterial's for metallic-roughness materials).
+ * //   4) Computes a normal matrix for each node.
+ * //   5) Computes the model's extents info.
+ *
+ * // Generated normals are smooth unless initialize is given a crease angle
+ * // or asked for flat normals (see ShipGL.MeshUtilities.generateNormals).
+ * // Tangents are generated for every mesh with texture coordinates. Either
+ * // kind of generation can be turned off. For example, instead of the
+ * // plain initialize call above:
+ * model.initialize({ creaseAngle: 45, generateTangents: false });
+ *
+ * // Models come in all sizes and positions. To frame any model the same
+ * // way, initialize it with the normalize option and premultiply each
+ * // node's modelMatrix by the model's normalizationMatrix when drawing.
+ * // The model is then centered at the origin with a diagonal of 1.
+ * model.initialize({ normalize: true });
+ * mat4.multiply(model.normalizationMatrix, node.modelMatrix, modelMatrix);
+ *
+ * // The textures finish loading asynchronously, so a model is not ready
+ * // right after initialize. Check isReady or register a callback:
+ * model.onReady(function(model)
+ * {
+ *     // All textures are loaded. Any that failed are listed in
+ *     // model.textureErrors.
+ * });
+ *
+ * // After calling initialize, every mesh will have the following additional
+ * // fields:
+ * //   hasTexture, a boolean for whether or not the mesh's material has a texture
+ * //   hasTexCoords, a boolean for whether or not the mesh has texture coordinates
+ * //   hasTangents, a boolean for whether or not the mesh has tangents and bitangents
+ * //   texCoordSetCount, the number of texture coordinate sets in the vbo for the mesh
+ * //   hasIndices, a boolean for whether or not the mesh has indices
+ * //   positionsOffset, the starting array index in the vbo for the mesh's vertices
+ * //   normalsOffset, the starting array index in the vbo for the mesh's normals
+ * //   stride, the stride between quantities in the array (in terms of array indices, NOT bytes)
+ * //   vertexLayout, the ShipGL.VertexLayout of the mesh's vertices, naming each attribute
+ * //                 after the shader attribute it feeds (aPosition, aNormal, aTexCoord,
+ * //                 aTangent, aBitangent, aTexCoord1, etc.)
+ * //   vertexByteOffset, the starting byte in the vbo for the mesh's vertices
+ * //   The array index offsets below (and normalsOffset) are only set for float
+ * //   attributes. See the compactVertices option of initialize.
+ *
+ * // If the mesh has texture coordinates (hasTexCoords == true), it will also have:
+ * //   texCoordsOffset, the starting array index in the vbo for the mesh's first
+ * //                    set of texture coordinates
+ * //   texCoords1Offset, texCoords2Offset, etc., the starting array index in the
+ * //                     vbo for each additional set of texture coordinates
+ * //                     (lightmaps and the like), up to texCoordSetCount - 1
+ *
+ * // If the mesh has tangents (hasTangents == true), it will also have:
+ * //   tangentsOffset, the starting array index in the vbo for the mesh's tangents
+ * //   bitangentsOffset, the starting array index in the vbo for the mesh's bitangents.
+ * //                     If the JSON mesh has no vertexBitangents, they are computed
+ * //                     as the cross product of the normal and the tangent.
+ *
+ * // If the mesh has indices (hasIndices == true), it will also have:
+ * //   indicesOffset, the starting array index in the ibo for the mesh's indices
+ * //   indicesByteOffset, the starting byte in the ibo for the mesh's indices (useful for drawElements)
+ * //   indexType, the type of the mesh's indices, UNSIGNED_SHORT or UNSIGNED_INT (pass to drawElements)
+ *
+ * // Meshes with more than 65,536 vertices can't be drawn with 16-bit
+ * // indices. If the OES_element_index_uint extension is available, the
+ * // ibo holds 32-bit indices instead. Otherwise, each such mesh is split
+ * // into several meshes small enough for 16-bit indices. The extra meshes
+ * // are appended to json.meshes and to the meshIndices of every node
+ * // that used the original mesh, so simply drawing every mesh of every
+ * // node still draws the whole model.
+ *
+ * // Every mesh will also have the following field:
+ * //   bounds, the mesh's box and sphere in its own space (see
+ * //           ShipGL.MeshUtilities for the layout of bounds)
+ *
+ * // After calling initialize, every material that has a texture will have the
+ * // following additional field:
+ * //   texture, the material's first diffuse ShipGL.Texture instance
+ * // The ShipGL.Material's in the model's materials field hold all of the
+ * // textures, including normal, specular and emissive maps (see
+ * // ShipGL.Material for the JSON fields naming them).
+ *
+ * // Nodes may have a children array of nested nodes. A node's modelMatrix
+ * // in the JSON is relative to its parent (top level nodes are relative to
+ * // the model). Nodes may also have a name and may have no meshIndices,
+ * // which is handy for nodes that only group and move their children. A
+ * // node without a modelMatrix uses the identity matrix.
+ *
+ * // After calling initialize, every node will have the following additional
+ * // fields:
+ * //   localMatrix, the node's transform relative to its parent (initially the
+ * //                modelMatrix from the JSON)
+ * //   modelMatrix, replaced by the node's transform relative to the model,
+ * //                the product of its ancestors' local matrices and its own
+ * //   normalMatrix, a matrix used to transform the normal to world space and ensure
+ * //                 that it is still perpendicular to the surface
+ * //   parent, the node's parent node, or null for top level nodes
+ * //   children, the node's child nodes (an empty array if it has none)
+ * //   localBounds, the bounds of the node's own meshes in the node's space
+ * //   meshBounds, the bounds of each of the node's meshes in the model's space,
+ * //               in the same order as meshIndices
+ * //   bounds, the bounds of the node's meshes and all of its descendants'
+ * //           meshes in the model's space
+ * // A node's bounds are empty (see ShipGL.MeshUtilities.isEmptyBounds) if
+ * // neither it nor its descendants have any meshes. The model space
+ * // bounds are kept up to date by updateNodeTransforms.
+ *
+ * // Since nodes can be nested, render from the nodes field rather than
+ * // json.nodes. It lists every node, parents before their children.
+ * var i;
+ * for (i = 0; i < model.nodes.length; i++)
+ * {
+ *     // Draw model.nodes[i]'s meshes with its modelMatrix...
+ * }
+ *
+ * // To move part of a model relative to its parent, change the node's
+ * // localMatrix and then update its transforms, which also updates all of
+ * // its descendants and the bounds of its ancestors.
+ * var door = model.getNodeByName("door");
+ * mat4.rotateY(door.localMatrix, Math.PI / 2);
+ * model.updateNodeTransforms(door);
+ *
+ * // Or replace the local matrix in one step.
+ * model.setNodeMatrix(door, doorMatrix);
+ */
+ShipGL.Model = function(gl, pathToJSON, json)
+{
+    ShipGL.GLResource.call(this, gl);
+    
+    if (!json)
+    {
+        var jsonStr = ShipGL.FileLoader.loadLocal(pathToJSON, "application/json") ||
+                      ShipGL.FileLoader.loadHttp(pathToJSON, "application/json");
+
+        json = JSON.parse(jsonStr);
+    }
+
+    /**
+     * @memberof ShipGL.Model#
+     * @description The parsed JSON model data
+     * @name json
+     */
+    this.json = json;
+
+    /**
+     * @memberof ShipGL.Model#
+     * @description The model's vertex buffer object (of type ShipGL.Buffer)
+     * @name vbo
+     */
+    
+    /**
+     * @memberof ShipGL.Model#
+     * @description The model's index buffer object (of type ShipGL.Buffer).
+     *              Its indices are 32-bit if the model has meshes with more
+     *              than 65,536 vertices and OES_element_index_uint is
+     *              available, and 16-bit otherwise.
+     * @name ibo
+     */
+    this.vbo = new ShipGL.Buffer(gl, gl.ARRAY_BUFFER, Float32Array);
+    this.ibo = new ShipGL.Buffer(gl, gl.ELEMENT_ARRAY_BUFFER, Uint16Array);
+
+    /**
+     * @memberof ShipGL.Model#
+     * @description The type of the indices in the ibo, UNSIGNED_SHORT or
+     *              UNSIGNED_INT. Not valid until the model is initialized.
+     * @name indexType
+     */
+    this.indexType = gl.UNSIGNED_SHORT;
+
+    /**
+     * @memberof ShipGL.Model#
+     * @description The time in milliseconds initialize spent packing and
+     *              uploading the vbo and ibo. Useful for profiling large
+     *              models.
+     * @name bufferInitTime
+     */
+    this.bufferInitTime = 0;
+
+    /**
+     * @memberof ShipGL.Model#
+     * @description The model's minimum extent
+     * @name min
+     */
+    this.min = vec3.create();
+    
+    /**
+     * @memberof ShipGL.Model#
+     * @description The model's maximum extent
+     * @name max
+     */
+    this.max = vec3.create();
+    
+    /**
+     * @memberof ShipGL.Model#
+     * @description The model's center
+     * @name center
+     */
+    this.center = vec3.create();
+    
+    /**
+     * @memberof ShipGL.Model#
+     * @description The model's diagonal distance
+     * @name diagonal
+     */
+    this.diagonal = 0;
+
+    /**
+     * @memberof ShipGL.Model#
+     * @description A matrix that moves the model's center to the origin and
+     *              scales it to a diagonal of 1. It is only computed if the
+     *              model is initialized with the normalize option, and is
+     *              the identity otherwise.
+     * @name normalizationMatrix
+     */
+    this.normalizationMatrix = mat4.identity(mat4.create());
+
+    /**
+     * @memberof ShipGL.Model#
+     * @description Every node of the model, parents before their children.
+     *              Not valid until the model is initialized.
+     * @name nodes
+     */
+    this.nodes = [];
+
+    /**
+     * @memberof ShipGL.Model#
+     * @description A ShipGL.Material for every JSON material, in the same
+     *              order as json.materials. Not valid until the model is
+     *              initialized.
+     * @name materials
+     */
+    this.materials = [];
+
+    /**
+     * @memberof ShipGL.Model#
+     * @description Boolean indicating the model has been initialized and
+     *              all of its textures have finished loading
+     * @name isReady
+     */
+    this.isReady = false;
+
+    /**
+     * @memberof ShipGL.Model#
+     * @description The errors (ShipGL.FileLoadError's) of any material
+     *              textures that failed to load
+     * @name textureErrors
+     */
+    this.textureErrors = [];
+
+    this._isInitialized = false;
+    this._pendingTextureCount = 0;
+    this._readyCallbacks = [];
+
+    // Texture paths are relative to the model file's directory.
+    this._imageDirHelper = pathToJSON.substring(0, pathToJSON.lastIndexOf("/") + 1);
+};
+
+/**
+ * Asynchronously load a JSON model file and create an initialized model
+ * from it.
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {string} pathToJSON The string path to the JSON model file
+ * @param {function} onLoad Called with the initialized model once all of
+ *                          its textures have finished loading
+ * @param {function} [onError] Called with a ShipGL.FileLoadError if the
+ *                             model file could not be loaded or parsed, or
+ *                             the model could not be initialized from it
+ * @param {function} [ModelType=ShipGL.StandardModel] The ShipGL.Model
+ *                                                    subclass to construct.
+ *                                                    Its constructor must
+ *                                                    accept and pass along
+ *                                                    (gl, pathToJSON, json).
+ * @param {object} [options] The options passed to the model's initialize
+ *                          method
+ * @return {XMLHttpRequest} The request loading the model file
+ */
+ShipGL.Model.load = function(gl, pathToJSON, onLoad, onError, ModelType, options)
+{
+    ModelType = ModelType || ShipGL.StandardModel;
+
+    return ShipGL.FileLoader.loadJSON(pathToJSON, function(json)
+    {
+        var model;
+
+        // Malformed model data surfaces while constructing or initializing
+        // the model, so it is reported like a parse failure.
+        try
+        {
+            model = new ModelType(gl, pathToJSON, json);
+            model.initialize(options);
+        }
+        catch (e)
+        {
+            var error = new ShipGL.FileLoadError(pathToJSON, 0, "parse",
+                                                 "Failed to create a model from " +
+                                                 pathToJSON + ": " + e.message);
+            if (!onError)
+            {
+                throw error;
+            }
+
+            onError(error);
+            return;
+        }
+
+        model.onReady(onLoad);
+    }, onError);
+};
+
+ShipGL.Model.prototype = Object.create(ShipGL.GLResource.prototype);
+
+/**
+ * Initialize the model.
+ *
+ * @this {ShipGL.Model}
+ *
+ * @param {object} [options] Controls how missing vertex data is generated
+ * @param {boolean} [options.generateNormals=true] Whether to generate
+ *                  normals for meshes that have none
+ * @param {boolean} [options.generateTangents=true] Whether to generate
+ *                  tangents and bitangents for meshes that have texture
+ *                  coordinates but no tangents. Meshes without a normal
+ *                  for every vertex are skipped, since tangents are built
+ *                  around the normals.
+ * @param {number} [options.creaseAngle=180] The largest angle, in degrees,
+ *                 between faces that are smoothed together when generating
+ *                 normals
+ * @param {boolean} [options.flatNormals=false] Whether generated normals
+ *                  are flat (one normal per face)
+ * @param {boolean} [options.normalize=false] Whether to compute the
+ *                  normalizationMatrix
+ * @param {boolean} [options.pbrMaterials=false] Whether every material
+ *                  becomes a ShipGL.PBRMaterial, converting legacy Phong
+ *                  materials. Otherwise, only materials with
+ *                  metallic-roughness fields do.
+ * @param {boolean} [options.compactVertices=false] Whether normals,
+ *                  tangents and bitangents are stored in the vbo as
+ *                  normalized bytes rather than floats, which shrinks each
+ *                  vertex by up to 27 bytes. Their offset fields are not
+ *                  set then, so bind them through each mesh's
+ *                  vertexLayout.
+ */
+ShipGL.Model.prototype.initialize = function(options)
+{
+    this._generateMissingVertexData(options || {});
+    this._initNodes();
+    this._initIndexType();
+    this._initBuffers(!!(options && options.compactVertices));
+    this._initMaterials(!!(options && options.pbrMaterials));
+    this._initMaterialTextures();
+    this._computeLocalBounds();
+    this.updateNodeTransforms();
+    this._computeExtents();
+
+    if (options && options.normalize)
+    {
+        this._computeNormalizationMatrix();
+    }
+
+    this._isInitialized = true;
+    this._checkReady();
+};
+
+/**
+ * Find a node by name.
+ *
+ * @this {ShipGL.Model}
+ *
+ * @param {string} name The name of the node
+ * @return {object} The first node, in the order of the nodes field, with
+ *                  the given name, or null if there is none
+ */
+ShipGL.Model.prototype.getNodeByName = function(name)
+{
+    var i;
+    for (i = 0; i < this.nodes.length; i++)
+    {
+        if (this.nodes[i].name === name)
+        {
+            return this.nodes[i];
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Set a node's transform relative to its parent and update the transforms
+ * of the node and its descendants.
+ *
+ * @this {ShipGL.Model}
+ *
+ * @param {object} node The node to transform
+ * @param {mat4} localMatrix The node's new transform relative to its parent
+ */
+ShipGL.Model.prototype.setNodeMatrix = function(node, localMatrix)
+{
+    mat4.set(localMatrix, node.localMatrix);
+    this.updateNodeTransforms(node);
+};
+
+/**
+ * Recompute the modelMatrix, normalMatrix and bounds of a node and all of
+ * its descendants from their local matrices, along with the bounds of the
+ * node's ancestors. Call this after changing a node's localMatrix.
+ *
+ * @this {ShipGL.Model}
+ *
+ * @param {object} [node] The node whose transform changed. If not
+ *                        specified, every node is updated.
+ */
+ShipGL.Model.prototype.updateNodeTransforms = function(node)
+{
+    var i, roots = node ? [node] : this.json.nodes;
+
+    for (i = 0; i < roots.length; i++)
+    {
+        this._updateNodeTransform(roots[i]);
+    }
+
+    var ancestor = node ? node.parent : null;
+    while (ancestor)
+    {
+        this._updateNodeBounds(ancestor);
+        ancestor = ancestor.parent;
+    }
+};
+
+/**
+ * Register a callback to be called once the model is ready, meaning it has
+ * been initialized and all of its material textures have finished loading
+ * (successfully or not). If the model is already ready, the callback is
+ * called right away.
+ *
+ * @this {ShipGL.Model}
+ *
+ * @param {function} callback Called with the model once it is ready
+ */
+ShipGL.Model.prototype.onReady = function(callback)
+{
+    if (this.isReady)
+    {
+        callback(this);
+    }
+    else
+    {
+        this._readyCallbacks.push(callback);
+    }
+};
+
+/**
+ * Render the model. This is abstract.
+ *
+ * @this {ShipGL.Model}
+ */
+ShipGL.Model.prototype.draw = function()
+{
+    throw "ShipGL.Model.draw is abstract!";
+};
+
+/**
+ * Get a ShipGL.VertexArray binding a mesh's vertex data to a shader
+ * program, creating it the first time. The attributes of the mesh's
+ * vertexLayout (aPosition, aNormal, aTexCoord, aTangent, aBitangent and
+ * aTexCoord1, aTexCoord2, etc. for additional texture coordinate sets) are
+ * bound to the program's attributes of the same names, as far as the
+ * program has them, along with the model's index buffer.
+ *
+ * @this {ShipGL.Model}
+ *
+ * @param {ShipGL.ShaderProgram} program The shader program drawing the
+ *                                       mesh
+ * @param {object} mesh One of the model's JSON meshes
+ * @return {ShipGL.VertexArray} The mesh's vertex array for the program
+ */
+ShipGL.Model.prototype.getVertexArray = function(program, mesh)
+{
+    // Attribute locations belong to a program, so each program gets its
+    // own vertex array.
+    mesh._vertexArrays = mesh._vertexArrays || [];
+
+    var i;
+    for (i = 0; i < mesh._vertexArrays.length; i++)
+    {
+        if (mesh._vertexArrays[i].program == program)
+        {
+            return mesh._vertexArrays[i].vertexArray;
+        }
+    }
+
+    var vertexArray = new ShipGL.VertexArray(this.gl);
+
+    vertexArray.addLayout(program, mesh.vertexLayout, this.vbo, mesh.vertexByteOffset);
+    vertexArray.setIndexBuffer(this.ibo);
+
+    mesh._vertexArrays.push({ program: program, vertexArray: vertexArray });
+    return vertexArray;
+};
+
+/**
+ * The largest number of vertices an indexed mesh can have and still be
+ * drawn with 16-bit indices.
+ *
+ * @constant
+ */
+ShipGL.Model.MAX_UINT16_VERTICES = 65536;
+
+// Fills in normals, tangents and bitangents for meshes that lack them. This
+// runs first since splitting vertices along creases can push a mesh over
+// the 16-bit index limit.
+ShipGL.Model.prototype._generateMissingVertexData = function(options)
+{
+    var i, curMesh, hasNormals, hasTexCoords;
+
+    for (i = 0; i < this.json.meshes.length; i++)
+    {
+        curMesh = this.json.meshes[i];
+
+        hasNormals = !!curMesh.vertexNormals &&
+                     curMesh.vertexNormals.length == curMesh.vertexPositions.length;
+
+        if (options.generateNormals !== false && !hasNormals)
+        {
+            ShipGL.MeshUtilities.generateNormals(curMesh, { creaseAngle: options.creaseAngle,
+                                                            flat: options.flatNormals });
+            hasNormals = true;
+        }
+
+        hasTexCoords = !!curMesh.vertexTexCoordinates && !!curMesh.vertexTexCoordinates[0] &&
+                       curMesh.vertexTexCoordinates[0].length > 0;
+
+        // Tangents are made perpendicular to the normals, so a mesh without
+        // them (generateNormals is false) gets no tangents either, and any
+        // it came with are dropped.
+        if (!hasNormals)
+        {
+            delete curMesh.vertexTangents;
+            delete curMesh.vertexBitangents;
+        }
+        else if (options.generateTangents !== false && hasTexCoords &&
+                 (!curMesh.vertexTangents ||
+                  curMesh.vertexTangents.length != curMesh.vertexPositions.length))
+        {
+            ShipGL.MeshUtilities.generateTangents(curMesh);
+        }
+    }
+};
+
+// Picks 16-bit or 32-bit indices for the ibo. If a mesh is too big for
+// 16-bit indices and 32-bit indices aren't supported, it gets split.
+ShipGL.Model.prototype._initIndexType = function()
+{
+    var i, curMesh, needsUint32 = false;
+
+    for (i = 0; i < this.json.meshes.length; i++)
+    {
+        curMesh = this.json.meshes[i];
+
+        if (curMesh.indices && curMesh.indices.length > 0 &&
+            curMesh.vertexPositions.length / 3 > ShipGL.Model.MAX_UINT16_VERTICES)
+        {
+            needsUint32 = true;
+        }
+    }
+
+    if (needsUint32 && ShipGL.Buffer.enableUint32Indices(this.gl))
+    {
+        this.ibo.deallocate();
+        this.ibo = new ShipGL.Buffer(this.gl, this.gl.ELEMENT_ARRAY_BUFFER, Uint32Array);
+    }
+    else if (needsUint32)
+    {
+        this._splitLargeMeshes();
+    }
+
+    this.indexType = this.ibo.dataType;
+};
+
+ShipGL.Model.prototype._splitLargeMeshes = function()
+{
+    var i, j, k, chunks, curMesh, curNode, extraIndices;
+    var meshCount = this.json.meshes.length;
+
+    for (i = 0; i < meshCount; i++)
+    {
+        curMesh = this.json.meshes[i];
+
+        if (!curMesh.indices || curMesh.indices.length == 0 ||
+            curMesh.vertexPositions.length / 3 <= ShipGL.Model.MAX_UINT16_VERTICES)
+        {
+            continue;
+        }
+
+        chunks = this._splitMesh(curMesh, ShipGL.Model.MAX_UINT16_VERTICES);
+        this.json.meshes[i] = chunks[0];
+        extraIndices = [];
+
+        for (j = 1; j < chunks.length; j++)
+        {
+            extraIndices.push(this.json.meshes.length);
+            this.json.meshes.push(chunks[j]);
+        }
+
+        for (j = 0; j < this.nodes.length; j++)
+        {
+            curNode = this.nodes[j];
+
+            for (k = 0; k < curNode.meshIndices.length; k++)
+            {
+                if (curNode.meshIndices[k] == i)
+                {
+                    curNode.meshIndices = curNode.meshIndices.concat(extraIndices);
+                    break;
+                }
+            }
+        }
+    }
+};
+
+// Splits an indexed mesh into meshes of at most maxVertices vertices each.
+// Triangles are kept whole. Every per-vertex array of the mesh (the fields
+// starting with "vertex") is split along with the positions.
+ShipGL.Model.prototype._splitMesh = function(mesh, maxVertices)
+{
+    var vertexCount = mesh.vertexPositions.length / 3;
+    var indices = mesh.indices;
+
+    // chunkOf[v] is the chunk vertex v was last added to, and localIndex[v]
+    // its index within that chunk.
+    var chunkOf = new Int32Array(vertexCount), localIndex = new Int32Array(vertexCount);
+    var chunks = [], curChunk = null;
+
+    var i, j, v, newCount;
+    for (i = 0; i < vertexCount; i++)
+    {
+        chunkOf[i] = -1;
+    }
+
+    for (i = 0; i < indices.length; i += 3)
+    {
+        newCount = 0;
+
+        for (j = 0; j < 3 && curChunk; j++)
+        {
+            if (chunkOf[indices[i + j]] != chunks.length - 1)
+            {
+                newCount++;
+            }
+        }
+
+        if (!curChunk || curChunk.sourceVertices.length + newCount > maxVertices)
+        {
+            curChunk = { sourceVertices: [], indices: [] };
+            chunks.push(curChunk);
+        }
+
+        for (j = 0; j < 3; j++)
+        {
+            v = indices[i + j];
+
+            if (chunkOf[v] != chunks.length - 1)
+            {
+                chunkOf[v] = chunks.length - 1;
+                localIndex[v] = curChunk.sourceVertices.length;
+                curChunk.sourceVertices.push(v);
+            }
+
+            curChunk.indices.push(localIndex[v]);
+        }
+    }
+
+    return chunks.map(function(chunk)
+    {
+        return ShipGL.MeshUtilities.remapVertices(mesh, chunk.sourceVertices, chunk.indices);
+    });
+};
+
+ShipGL.Model.prototype._initBuffers = function(compact)
+{
+    var startTime = new Date().getTime();
+    var i, j, curMesh, curMaterial, layout, arrays, vboByteCount = 0, iboSize = 0;
+    var meshArrays = [];
+
+    // Legacy offset fields (in floats) of the layout's attributes.
+    var offsetNames = { aPosition: "positionsOffset", aNormal: "normalsOffset",
+                        aTexCoord: "texCoordsOffset", aTangent: "tangentsOffset",
+                        aBitangent: "bitangentsOffset" };
+
+    function addAttribute(name, data, size, type, normalized)
+    {
+        layout.addAttribute(name, size, type, normalized);
+        arrays[name] = data;
+    };
+
+    // Unit vectors keep enough precision as normalized bytes.
+    var directionType = compact ? this.gl.BYTE : this.gl.FLOAT;
+
+    // This loop builds each mesh's vertex layout and computes sizes of VBO
+    // and IBO. It also attaches stride, hasIndices, hasTexture,
+    // hasTexCoords and hasTangents info to the json mesh. Each vertex is
+    // laid out as position, normal, first texture coordinate set, tangent,
+    // bitangent and then any additional texture coordinate sets.
+    for (i = 0; i < this.json.meshes.length; i++)
+    {
+        curMesh = this.json.meshes[i];
+        curMaterial = this.json.materials[curMesh.materialIndex];
+        layout = new ShipGL.VertexLayout(this.gl);
+        arrays = {};
+
+        addAttribute("aPosition", curMesh.vertexPositions, 3);
+        addAttribute("aNormal", curMesh.vertexNormals, 3, directionType, compact);
+
+        var texCoordSets = (curMesh.vertexTexCoordinates || []).filter(function(set)
+        {
+            return set && set.length > 0;
+        });
+
+        curMesh.texCoordSetCount = texCoordSets.length;
+        curMesh.hasTexCoords = texCoordSets.length > 0;
+        curMesh.hasTexture = curMesh.hasTexCoords &&
+                             ShipGL.Material.texturePaths(curMaterial.diffuseTexture).length > 0;
+
+        if (curMesh.hasTexCoords)
+        {
+            addAttribute("aTexCoord", texCoordSets[0], 2);
+        }
+
+        // Bitangents are computed from the normals, so tangents are only
+        // used alongside a normal for every vertex.
+        curMesh.hasTangents = !!curMesh.vertexTangents &&
+                              curMesh.vertexTangents.length == curMesh.vertexPositions.length &&
+                              !!curMesh.vertexNormals &&
+                              curMesh.vertexNormals.length == curMesh.vertexPositions.length;
+
+        if (curMesh.hasTangents)
+        {
+            if (!curMesh.vertexBitangents ||
+                curMesh.vertexBitangents.length != curMesh.vertexPositions.length)
+            {
+                curMesh.vertexBitangents = this._computeBitangents(curMesh);
+            }
+
+            addAttribute("aTangent", curMesh.vertexTangents, 3, directionType, compact);
+            addAttribute("aBitangent", curMesh.vertexBitangents, 3, directionType, compact);
+        }
+
+        for (j = 1; j < texCoordSets.length; j++)
+        {
+            addAttribute("aTexCoord" + j, texCoordSets[j], 2);
+            offsetNames["aTexCoord" + j] = "texCoords" + j + "Offset";
+        }
+
+        curMesh.vertexLayout = layout;
+        curMesh.vertexByteOffset = vboByteCount;
+        curMesh.stride = layout.stride / this.vbo.bytesPerElement;
+        vboByteCount += layout.stride * curMesh.vertexPositions.length / 3;
+        meshArrays.push(arrays);
+
+        for (j = 0; j < layout.attributes.length; j++)
+        {
+            if (layout.attributes[j].type == this.gl.FLOAT)
+            {
+                curMesh[offsetNames[layout.attributes[j].name]] =
+                    (curMesh.vertexByteOffset + layout.attributes[j].offset) /
+                    this.vbo.bytesPerElement;
+            }
+        }
+
+        curMesh.hasIndices = false;
+        if (curMesh.indices && curMesh.indices.length > 0)
+        {
+            curMesh.hasIndices = true;
+            curMesh.indicesOffset = iboSize;
+            curMesh.indicesByteOffset = this.ibo.bytesPerElement * iboSize;
+            curMesh.indexType = this.indexType;
+            iboSize += curMesh.indices.length;
+        }
+    }
+
+    // All meshes are interleaved into one array on the CPU so the vbo and
+    // ibo are each uploaded with a single call.
+    var vertexData = new ArrayBuffer(vboByteCount);
+    var indexData = new this.ibo.ArrayType(iboSize);
+
+    for (i = 0; i < this.json.meshes.length; i++)
+    {
+        curMesh = this.json.meshes[i];
+        curMesh.vertexLayout.pack(meshArrays[i], curMesh.vertexPositions.length / 3,
+                                  vertexData, curMesh.vertexByteOffset);
+
+        if (curMesh.hasIndices)
+        {
+            indexData.set(curMesh.indices, curMesh.indicesOffset);
+        }
+    }
+
+    var vboSize = vboByteCount / this.vbo.bytesPerElement;
+
+    this.vbo.bind();
+    this.ibo.bind();
+
+    this.vbo.allocate(vboSize);
+    this.ibo.allocate(iboSize);
+
+    this.vbo.write(new this.vbo.ArrayType(vertexData));
+    this.ibo.write(indexData);
+    
+    this.vbo.unbind();
+    this.ibo.unbind();
+
+    this.bufferInitTime = new Date().getTime() - startTime;
+};
+
+// Computes each vertex's bitangent as the cross product of its normal and
+// tangent.
+ShipGL.Model.prototype._computeBitangents = function(mesh)
+{
+    var normals = mesh.vertexNormals, tangents = mesh.vertexTangents;
+    var bitangents = new Float32Array(tangents.length);
+    var n = vec3.create(), t = vec3.create(), b = vec3.create();
+
+    var i, j;
+    for (i = 0; i < tangents.length; i += 3)
+    {
+        for (j = 0; j < 3; j++)
+        {
+            n[j] = normals[i + j];
+            t[j] = tangents[i + j];
+        }
+
+        vec3.normalize(vec3.cross(n, t, b));
+        bitangents.set(b, i);
+    }
+
+    return bitangents;
+};
+
+ShipGL.Model.prototype._initMaterialTextures = function()
+{
+    var i, j, name, curMaterial, curJSONMaterial, textures = {}, scope = this;
+
+    function onTextureLoad()
+    {
+        scope._pendingTextureCount--;
+        scope._checkReady();
+    };
+
+    function onTextureError(error)
+    {
+        scope.textureErrors.push(error);
+        onTextureLoad();
+    };
+
+    // Materials often share images, so each one is only loaded once.
+    function loadTexture(path)
+    {
+        path = scope._resolveTexturePath(path);
+
+        if (!textures[path])
+        {
+            textures[path] = new ShipGL.Texture(scope.gl);
+            scope._pendingTextureCount++;
+            textures[path].load(path, onTextureLoad, onTextureError);
+        }
+
+        return textures[path];
+    };
+
+    function loadFirstTexture(value)
+    {
+        var paths = ShipGL.Material.texturePaths(value);
+        return paths.length > 0 ? loadTexture(paths[0]) : null;
+    };
+
+    // This loop loads all textures and stores them in the corresponding
+    // material. The first diffuse texture is also stored in the json
+    // material.
+    for (i = 0; i < this.json.materials.length; i++)
+    {
+        curJSONMaterial = this.json.materials[i];
+        curMaterial = this.materials[i];
+
+        curMaterial.diffuseTextures = ShipGL.Material.texturePaths(curJSONMaterial.diffuseTexture)
+                                      .slice(0, ShipGL.Material.MAX_DIFFUSE_LAYERS)
+                                      .map(loadTexture);
+        curMaterial.texture = curMaterial.diffuseTextures[0] || null;
+
+        for (j = 0; j < curMaterial.textureNames.length; j++)
+        {
+            name = curMaterial.textureNames[j];
+            curMaterial[name] = loadFirstTexture(curJSONMaterial[name]);
+        }
+
+        if (curMaterial.texture)
+        {
+            curJSONMaterial.texture = curMaterial.texture;
+        }
+    }
+};
+
+ShipGL.Model.prototype._initMaterials = function(usePBR)
+{
+    this.materials = this.json.materials.map(function(material)
+    {
+        if (usePBR || ShipGL.PBRMaterial.isPBR(material))
+        {
+            return new ShipGL.PBRMaterial(material);
+        }
+
+        return new ShipGL.Material(material);
+    });
+};
+
+// Relative texture paths are relative to the model file's directory.
+// Absolute URLs (including data: and blob: URLs) are used as is.
+ShipGL.Model.prototype._resolveTexturePath = function(path)
+{
+    if (/^([a-z][a-z0-9+.\-]*:|\/)/i.test(path))
+    {
+        return path;
+    }
+
+    return this._imageDirHelper + path;
+};
+
+ShipGL.Model.prototype._checkReady = function()
+{
+    if (this.isReady || !this._isInitialized || this._pendingTextureCount > 0)
+    {
+        return;
+    }
+
+    var i, callbacks = this._readyCallbacks;
+
+    this.isReady = true;
+    this._readyCallbacks = [];
+
+    for (i = 0; i < callbacks.length; i++)
+    {
+        callbacks[i](this);
+    }
+};
+
+// Walks the node hierarchy, attaching parent, children and localMatrix to
+// every json node and listing the nodes in the nodes field.
+ShipGL.Model.prototype._initNodes = function()
+{
+    var scope = this;
+
+    function visit(node, parent)
+    {
+        node.parent = parent;
+        node.children = node.children || [];
+        node.meshIndices = node.meshIndices || [];
+        // Nodes without a modelMatrix don't move their children.
+        node.localMatrix = node.modelMatrix ? mat4.create(node.modelMatrix) :
+                                              mat4.identity(mat4.create());
+        node.modelMatrix = mat4.create(node.localMatrix);
+        node.normalMatrix = mat4.create();
+        scope.nodes.push(node);
+
+        var i;
+        for (i = 0; i < node.children.length; i++)
+        {
+            visit(node.children[i], node);
+        }
+    };
+
+    this.nodes = [];
+
+    var i;
+    for (i = 0; i < this.json.nodes.length; i++)
+    {
+        visit(this.json.nodes[i], null);
+    }
+};
+
+ShipGL.Model.prototype._updateNodeTransform = function(node)
+{
+    if (node.parent)
+    {
+        mat4.multiply(node.parent.modelMatrix, node.localMatrix, node.modelMatrix);
+    }
+    else
+    {
+        mat4.set(node.localMatrix, node.modelMatrix);
+    }
+
+    // The inverse transpose of the model matrix keeps transformed normals
+    // perpendicular to the surface.
+    mat4.inverse(node.modelMatrix, node.normalMatrix);
+    mat4.transpose(node.normalMatrix);
+
+    var i;
+    for (i = 0; i < node.children.length; i++)
+    {
+        this._updateNodeTransform(node.children[i]);
+    }
+
+    for (i = 0; i < node.meshIndices.length; i++)
+    {
+        ShipGL.MeshUtilities.transformBounds(this.json.meshes[node.meshIndices[i]].bounds,
+                                             node.modelMatrix, node.meshBounds[i]);
+    }
+
+    this._updateNodeBounds(node);
+};
+
+// Merges the model space bounds of a node's meshes and children.
+ShipGL.Model.prototype._updateNodeBounds = function(node)
+{
+    var i, bounds = ShipGL.MeshUtilities.createBounds();
+
+    for (i = 0; i < node.meshBounds.length; i++)
+    {
+        ShipGL.MeshUtilities.mergeBounds(bounds, node.meshBounds[i], bounds);
+    }
+
+    for (i = 0; i < node.children.length; i++)
+    {
+        ShipGL.MeshUtilities.mergeBounds(bounds, node.children[i].bounds, bounds);
+    }
+
+    node.bounds = bounds;
+};
+
+// Computes the bounds of every mesh in its own space and of every node's
+// meshes in the node's space. These don't change with node transforms.
+ShipGL.Model.prototype._computeLocalBounds = function()
+{
+    var i, j, curNode;
+
+    for (i = 0; i < this.json.meshes.length; i++)
+    {
+        this.json.meshes[i].bounds = ShipGL.MeshUtilities.computeBounds(this.json.meshes[i].vertexPositions);
+    }
+
+    for (i = 0; i < this.nodes.length; i++)
+    {
+        curNode = this.nodes[i];
+        curNode.localBounds = ShipGL.MeshUtilities.createBounds();
+        curNode.meshBounds = [];
+
+        for (j = 0; j < curNode.meshIndices.length; j++)
+        {
+            ShipGL.MeshUtilities.mergeBounds(curNode.localBounds,
+                                             this.json.meshes[curNode.meshIndices[j]].bounds,
+                                             curNode.localBounds);
+            curNode.meshBounds.push(ShipGL.MeshUtilities.createBounds());
+        }
+    }
+};
+
+// Defines min, max, center, and diagonal on the model.
+ShipGL.Model.prototype._computeExtents = function()
+{
+    function makeExtentsUpdater(pred)
+    {
+        return function(v1, v2, dest)
+        {
+            var extX = v2[0], extY = v2[1], extZ = v2[2];
+
+            if (pred(v1[0], v2[0]))
+                extX = v1[0];
+
+            if (pred(v1[1], v2[1]))
+                extY = v1[1];
+
+            if (pred(v1[2], v2[2]))
+                extZ = v1[2];
+
+            dest[0] = extX;
+            dest[1] = extY;
+            dest[2] = extZ;
+        };
+    };
+
+    var updateMinExtents = makeExtentsUpdater(
+            function(val1, val2) { return val1 < val2; });
+
+    var updateMaxExtents = makeExtentsUpdater(
+            function(val1, val2) { return val1 > val2; });
+    
+    var minExtent = vec3.createFrom(Number.MAX_VALUE, Number.MAX_VALUE,
+                                    Number.MAX_VALUE);
+    var maxExtent = vec3.createFrom(-Number.MAX_VALUE, -Number.MAX_VALUE,
+                                    -Number.MAX_VALUE);
+    var tmpVec = vec3.create();
+
+    var i, j, k, curNode, curVerts;
+    for (i = 0; i < this.nodes.length; i++)
+    {
+        curNode = this.nodes[i];
+
+        for (j = 0; j < curNode.meshIndices.length; j++)
+        {
+            curVerts = this.json.meshes[curNode.meshIndices[j]].vertexPositions;
+
+            for (k = 0; k < curVerts.length; k += 3)
+            {
+                tmpVec[0] = curVerts[k];
+                tmpVec[1] = curVerts[k + 1];
+                tmpVec[2] = curVerts[k + 2];
+
+                mat4.multiplyVec3(curNode.modelMatrix, tmpVec);
+
+                updateMinExtents(minExtent, tmpVec, minExtent);
+                updateMaxExtents(maxExtent, tmpVec, maxExtent);
+            }
+        }
+    }
+    
+    // A model without any vertices has no extents to speak of.
+    if (minExtent[0] > maxExtent[0])
+    {
+        vec3.set([0, 0, 0], minExtent);
+        vec3.set([0, 0, 0], maxExtent);
+    }
+
+    var center = vec3.create();
+    vec3.add(minExtent, maxExtent, center);
+    vec3.scale(center, 0.5);
+
+    vec3.set(minExtent, this.min);
+    vec3.set(maxExtent, this.max);
+    vec3.set(center, this.center);
+    this.diagonal = vec3.dist(this.min, this.max);
+};
+
+ShipGL.Model.prototype._computeNormalizationMatrix = function()
+{
+    var scale = this.diagonal > 0 ? 1 / this.diagonal : 1;
+
+    mat4.identity(this.normalizationMatrix);
+    mat4.scale(this.normalizationMatrix, [scale, scale, scale]);
+    mat4.translate(this.normalizationMatrix, [-this.center[0], -this.center[1], -this.center[2]]);
+};
+/**
+ * @file Contains all ShipGL.RenderQueue code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.RenderQueue instance.
+ *
+ * @class ShipGL.RenderQueue
+ * @classdesc A ShipGL.RenderQueue collects draw items from models, sorts
+ *            them to minimize state changes and submits them. Items are
+ *            grouped by shader program, then by model and instances (whose
+ *            buffers and per-frame uniforms are shared by all of their
+ *            items), then by texture and material, so each piece of state is only set
+ *            when it changes. The queue counts draw calls and state
+ *            changes in its stats.
+ * @augments ShipGL.GLResource
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @example
+ * // Every frame, clear the queue, let each model add its meshes and
+ * // submit everything at once.
+ * queue.clear();
+ * house.enqueue(queue);
+ * teapot.enqueue(queue);
+ * queue.submit();
+ *
+ * // The stats describe the last submit.
+ * console.log(queue.stats.drawCalls + " draw calls, " +
+ *             queue.stats.programChanges + " program changes");
+ *
+ * // A draw item is an object with the following fields:
+ * //   program, the ShipGL.ShaderProgram drawing the item
+ * //   model, the model owning the item's buffers
+ * //   instances, the ShipGL.InstanceBuffer to draw the item with, or null
+ * //   node, the model node whose matrices place the item
+ * //   mesh, the JSON mesh to draw
+ * //   material, the mesh's material
+ * //   texture, the material's main texture (used for sorting), or null
+ * // The model must provide the methods ShipGL.StandardModel uses to draw
+ * // through a queue: beginDraw, setNodeUniforms, bindMaterial, drawMesh
+ * // and endDraw. bindMaterial returns the number of texture units it
+ * // bound, and submit unbinds those units once everything is drawn.
+ * // Textures bound in beginDraw are unbound by the model's endDraw.
+ * queue.add({ program: program, model: model, node: node, mesh: mesh,
+ *             material: material, texture: material.texture });
+ */
+ShipGL.RenderQueue = function(gl)
+{
+    ShipGL.GLResource.call(this, gl);
+
+    /**
+     * @memberof ShipGL.RenderQueue#
+     * @description The queued draw items. Sorted by submit.
+     * @name items
+     */
+    this.items = [];
+
+    /**
+     * @memberof ShipGL.RenderQueue#
+     * @description Counts from the last submit: drawCalls, programChanges,
+     *              modelChanges (vertex/index/instance buffer and
+     *              per-frame uniform changes), nodeChanges (matrix uniform
+     *              changes), materialChanges and textureChanges.
+     * @name stats
+     */
+    this.stats = { drawCalls: 0,
+                   programChanges: 0,
+                   modelChanges: 0,
+                   nodeChanges: 0,
+                   materialChanges: 0,
+                   textureChanges: 0
+    };
+
+    this._isSorted = true;
+};
+
+ShipGL.RenderQueue.prototype = Object.create(ShipGL.GLResource.prototype);
+
+// Stamps objects with ids to sort by, as there is nothing else to compare
+// programs, models, textures and materials with.
+ShipGL.RenderQueue._nextId = 1;
+
+ShipGL.RenderQueue._idOf = function(object)
+{
+    if (!object)
+    {
+        return 0;
+    }
+
+    if (!object._renderQueueId)
+    {
+        object._renderQueueId = ShipGL.RenderQueue._nextId++;
+    }
+
+    return object._renderQueueId;
+};
+
+/**
+ * Add a draw item to the queue.
+ *
+ * @this {ShipGL.RenderQueue}
+ *
+ * @param {object} item The draw item. See the class example for its fields.
+ */
+ShipGL.RenderQueue.prototype.add = function(item)
+{
+    item._sortKeys = [ShipGL.RenderQueue._idOf(item.program),
+                      ShipGL.RenderQueue._idOf(item.model),
+                      ShipGL.RenderQueue._idOf(item.instances),
+                      ShipGL.RenderQueue._idOf(item.texture),
+                      ShipGL.RenderQueue._idOf(item.material),
+                      this.items.length];
+
+    this.items.push(item);
+    this._isSorted = false;
+};
+
+/**
+ * Remove all draw items from the queue.
+ *
+ * @this {ShipGL.RenderQueue}
+ */
+ShipGL.RenderQueue.prototype.clear = function()
+{
+    this.items.length = 0;
+    this._isSorted = true;
+};
+
+/**
+ * Sort the draw items to minimize state changes. Called by submit when
+ * items were added since the last sort.
+ *
+ * @this {ShipGL.RenderQueue}
+ */
+ShipGL.RenderQueue.prototype.sort = function()
+{
+    this.items.sort(function(a, b)
+    {
+        var i;
+        for (i = 0; i < a._sortKeys.length; i++)
+        {
+            if (a._sortKeys[i] != b._sortKeys[i])
+            {
+                return a._sortKeys[i] - b._sortKeys[i];
+            }
+        }
+
+        return 0;
+    });
+
+    this._isSorted = true;
+};
+
+/**
+ * Draw all of the queued items, in sorted order. The items stay queued,
+ * so an unchanged queue can be submitted again the next frame.
+ *
+ * @this {ShipGL.RenderQueue}
+ */
+ShipGL.RenderQueue.prototype.submit = function()
+{
+    var stats = this.stats;
+    stats.drawCalls = 0;
+    stats.programChanges = 0;
+    stats.modelChanges = 0;
+    stats.nodeChanges = 0;
+    stats.materialChanges = 0;
+    stats.textureChanges = 0;
+
+    if (!this._isSorted)
+    {
+        this.sort();
+    }
+
+    var program = null, model = null, instances = null, node = null;
+    var material = null, texture = null;
+    var hasTexCoords = false, hasTangents = false, unitCount = 0;
+
+    var i, item;
+    for (i = 0; i < this.items.length; i++)
+    {
+        item = this.items[i];
+
+        if (item.program != program || item.model != model ||
+            (item.instances || null) != instances)
+        {
+            if (model)
+            {
+                model.endDraw(program, instances);
+            }
+
+            if (item.program != program)
+            {
+                program = item.program;
+                program.bind();
+                stats.programChanges++;
+
+                // A program change loses the material uniforms.
+                material = null;
+            }
+
+            model = item.model;
+            instances = item.instances || null;
+            model.beginDraw(program, instances);
+            stats.modelChanges++;
+            node = null;
+        }
+
+        if (item.node != node)
+        {
+            node = item.node;
+            model.setNodeUniforms(program, node);
+            stats.nodeChanges++;
+        }
+
+        // Materials leave out the maps a mesh can't use, so the same
+        // material is bound again when that changes.
+        if (item.material != material || !!item.mesh.hasTexCoords != hasTexCoords ||
+            !!item.mesh.hasTangents != hasTangents)
+        {
+            material = item.material;
+            hasTexCoords = !!item.mesh.hasTexCoords;
+            hasTangents = !!item.mesh.hasTangents;
+            unitCount = Math.max(unitCount, model.bindMaterial(material, item.mesh, program) || 0);
+            stats.materialChanges++;
+
+            if (item.texture != texture)
+            {
+                texture = item.texture;
+                stats.textureChanges++;
+            }
+        }
+
+        model.drawMesh(program, item.mesh, instances);
+        stats.drawCalls++;
+    }
+
+    if (model)
+    {
+        model.endDraw(program, instances);
+        program.unbind();
+        ShipGL.Texture.unbindAll(this.gl, unitCount);
+    }
+};
+/**
+ * @file Contains all ShipGL.StandardModel code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.StandardModel instance. Like any ShipGL.Model, be
+ * sure to call initialize to prepare the model for rendering.
+ *
+ * @class ShipGL.StandardModel
+ * @classdesc ShipGL.StandardModel is a ShipGL.Model that knows how to draw
+ *            itself. It walks the model's nodes and meshes, binds each
+ *            mesh's ShipGL.VertexArray of positions, normals and texture
+ *            coordinates, binds its ShipGL.Material and draws it with a
+ *            Phong/Blinn-Phong lit shader, or with a physically based
+ *            shader for ShipGL.PBRMaterial's. The shader programs and the
+ *            material binding can all be replaced, so simple apps need no
+ *            ShipGL.Model subclass.
+ * @augments ShipGL.Model
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {string} pathToJSON The string path to the JSON model file
+ * @param {object} [json] The already parsed JSON model data. If not
+ *                        specified, the file at pathToJSON is loaded
+ *                        synchronously.
+ * @example
+ * // Load a model and draw it with the built-in shader. ShipGL.Model.load
+ * // and the importers create ShipGL.StandardModel's unless told otherwise.
+ * ShipGL.Model.load(gl, "model.json", function(model)
+ * {
+ *     model.setProjection(projMatrix);
+ *     model.setView(camera.viewMatrix);
+ *     model.draw();
+ * });
+ *
+ * // The built-in shader lights the model with up to
+ * // ShipGL.StandardModel.MAX_LIGHTS ShipGL.PointLight's and
+ * // ShipGL.DirectionalLight's, plus an ambient intensity. By default, the
+ * // model is lit by a single white directional light.
+ * model.setLights([new ShipGL.PointLight([1, 1, 1], [0, 10, 0]),
+ *                  new ShipGL.DirectionalLight([0.5, 0.5, 0.5], [0, -1, -1])]);
+ * vec3.set([0.1, 0.1, 0.1], model.ambientIntensity);
+ *
+ * // modelMatrix places the whole model in the world. Each node's own
+ * // modelMatrix is applied first.
+ * model.setModelMatrix(model.normalizationMatrix);
+ *
+ * // The built-in shader uses each mesh's ShipGL.Material from the model's
+ * // materials field. Change a material's coefficients or shading model to
+ * // change how its meshes look.
+ * model.materials[0].shadingModel = ShipGL.Material.PHONG;
+ *
+ * // Any shader program using the same names can replace the built-in one:
+ * //   attributes: aPosition (vec3), aNormal (vec3), aTexCoord (vec2),
+ * //               aTangent (vec3), aBitangent (vec3)
+ * //   uniforms:   uProjMat, uViewMat, uModelMat, uNormalMat (all mat4),
+ * //               uEyePosition (vec3), uLightCount (int),
+ * //               uLightVectors (vec4 array), uLightIntensities (vec3 array),
+ * //               uAmbientIntensity (vec3), and the material uniforms
+ * //               listed in ShipGL.Material
+ * // uLightVectors holds each point light's position (w == 1) or each
+ * // directional light's direction (w == 0), in world space. All attributes
+ * // but aPosition may be left out of the program.
+ * model.setProgram(myProgram);
+ *
+ * // Meshes with a ShipGL.PBRMaterial are drawn with a separate, physically
+ * // based shader, created the first time it is needed. Besides the lights
+ * // and the ambient intensity, it is lit by an optional
+ * // ShipGL.EnvironmentMap for image-based lighting.
+ * var envMap = new ShipGL.EnvironmentMap(gl);
+ * envMap.setCubeTexture(skyBox.cubeMap);
+ * model.setEnvironmentMap(envMap);
+ *
+ * // A replacement PBR program uses the same names as the built-in one,
+ * // but with the material uniforms listed in ShipGL.PBRMaterial, plus
+ * // uHasEnvMap (int) and the environment map uniforms listed in
+ * // ShipGL.EnvironmentMap.
+ * model.setPBRProgram(myPBRProgram);
+ *
+ * // bindMaterial sets the material uniforms for the meshes. Override it,
+ * // on a subclass or on the instance, to bind materials differently. It is
+ * // called with the program drawing the mesh bound, and only when the
+ * // material (or whether the mesh has texture coordinates and tangents)
+ * // changes from the previous mesh.
+ * model.bindMaterial = function(material, mesh, program)
+ * {
+ *     program.setUniformVec4f("uDiffuseRefl", material.diffuseReflectance);
+ * };
+ *
+ * // drawInstanced draws many copies of the model at once, each placed by
+ * // a matrix and tinted by a color from a ShipGL.InstanceBuffer. It uses
+ * // instancedProgram and instancedPBRProgram, which take the extra
+ * // attributes aInstanceMatrix (mat4) and aInstanceColor (vec4).
+ * var instances = new ShipGL.InstanceBuffer(gl);
+ * instances.add(mat4.translate(mat4.identity(mat4.create()), [5, 0, 0]));
+ * instances.add(mat4.translate(mat4.identity(mat4.create()), [-5, 0, 0]),
+ *               [1, 0, 0, 1]);
+ * model.drawInstanced(instances);
+ *
+ * // draw sorts the meshes by program and material through the model's
+ * // renderQueue. To sort across several models, add them all to one
+ * // ShipGL.RenderQueue instead of drawing each.
+ * queue.clear();
+ * model.enqueue(queue);
+ * otherModel.enqueue(queue);
+ * queue.submit();
+ */
+ShipGL.StandardModel = function(gl, pathToJSON, json)
+{
+    ShipGL.Model.call(this, gl, pathToJSON, json);
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The shader program used to draw meshes with a plain
+     *              ShipGL.Material. Defaults to a built-in Phong/Blinn-Phong
+     *              lit shader, shared by the models of the same context so
+     *              a ShipGL.RenderQueue can draw them without switching
+     *              programs.
+     * @name program
+     */
+    this.program = ShipGL.StandardModel._builtInProgram(gl, false, false);
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The shader program used to draw meshes with a
+     *              ShipGL.PBRMaterial. Defaults to a built-in physically
+     *              based shader, created the first time it is needed and
+     *              shared like program.
+     * @name pbrProgram
+     */
+    this.pbrProgram = null;
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The shader program used by drawInstanced for meshes
+     *              with a plain ShipGL.Material. Defaults to an instanced
+     *              version of the built-in Phong/Blinn-Phong shader,
+     *              created the first time it is needed and shared like
+     *              program.
+     * @name instancedProgram
+     */
+    this.instancedProgram = null;
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The shader program used by drawInstanced for meshes
+     *              with a ShipGL.PBRMaterial. Defaults to an instanced
+     *              version of the built-in physically based shader.
+     * @name instancedPBRProgram
+     */
+    this.instancedPBRProgram = null;
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The lights (ShipGL.PointLight's and
+     *              ShipGL.DirectionalLight's) lighting the model. Only the
+     *              first ShipGL.StandardModel.MAX_LIGHTS are used.
+     * @name lights
+     */
+    this.lights = [new ShipGL.DirectionalLight([1, 1, 1], [-0.5, -1, -0.8])];
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The intensity of the light reaching every surface
+     *              regardless of the lights.
+     * @name ambientIntensity
+     */
+    this.ambientIntensity = vec3.createFrom(0.2, 0.2, 0.2);
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The ShipGL.EnvironmentMap lighting meshes with a
+     *              ShipGL.PBRMaterial, or null. It is only used once ready.
+     * @name environmentMap
+     */
+    this.environmentMap = null;
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The primitive type meshes are drawn with.
+     * @name drawType
+     */
+    this.drawType = gl.TRIANGLES;
+
+    this.projMat = mat4.create();
+    this.viewMat = mat4.create();
+    this.modelMat = mat4.identity(mat4.create());
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The ShipGL.RenderQueue draw uses. Its stats describe
+     *              the last draw.
+     * @name renderQueue
+     */
+    this.renderQueue = new ShipGL.RenderQueue(gl);
+
+    this._boundVertexArray = null;
+    this._boundEnvironmentMap = null;
+    this._worldMat = mat4.create();
+    this._eyePosition = vec3.create();
+    this._normalMat = mat4.create();
+    this._lightVectors = new Float32Array(4 * ShipGL.StandardModel.MAX_LIGHTS);
+    this._lightIntensities = new Float32Array(3 * ShipGL.StandardModel.MAX_LIGHTS);
+};
+
+ShipGL.StandardModel.prototype = Object.create(ShipGL.Model.prototype);
+
+/**
+ * The most lights the built-in shader handles.
+ */
+ShipGL.StandardModel.MAX_LIGHTS = 4;
+
+// The built-in shader programs of each rendering context, created once
+// when first needed.
+ShipGL.StandardModel._programCache = [];
+
+ShipGL.StandardModel._builtInProgram = function(gl, pbr, instanced)
+{
+    var cache = ShipGL.StandardModel._programCache;
+    var key = (pbr ? "pbr" : "default") + (instanced ? "Instanced" : "");
+    var entry = null;
+
+    var i;
+    for (i = 0; i < cache.length; i++)
+    {
+        if (cache[i].gl == gl)
+        {
+            entry = cache[i];
+        }
+    }
+
+    if (!entry)
+    {
+        entry = { gl: gl, programs: {} };
+        cache.push(entry);
+    }
+
+    if (!entry.programs[key])
+    {
+        entry.programs[key] = pbr ? ShipGL.StandardModel.createPBRProgram(gl, instanced) :
+                                    ShipGL.StandardModel.createDefaultProgram(gl, instanced);
+    }
+
+    return entry.programs[key];
+};
+
+// The vertex shader shared by the built-in shader programs. Instanced
+// programs define INSTANCED.
+ShipGL.StandardModel._vertexShaderCode = [
+    "uniform mat4 uProjMat;",
+    "uniform mat4 uViewMat;",
+    "uniform mat4 uModelMat;",
+    "uniform mat4 uNormalMat;",
+    "",
+    "attribute vec3 aPosition;",
+    "attribute vec3 aNormal;",
+    "attribute vec2 aTexCoord;",
+    "attribute vec3 aTangent;",
+    "attribute vec3 aBitangent;",
+    "",
+    "#ifdef INSTANCED",
+    "attribute mat4 aInstanceMatrix;",
+    "attribute vec4 aInstanceColor;",
+    "#endif",
+    "",
+    "varying vec3 worldPosition;",
+    "varying vec3 worldNormal;",
+    "varying vec3 worldTangent;",
+    "varying vec3 worldBitangent;",
+    "varying vec2 texCoord;",
+    "varying vec4 instanceColor;",
+    "",
+    "void main()",
+    "{",
+    "    vec4 position = uModelMat * vec4(aPosition, 1.0);",
+    "    worldNormal = (uNormalMat * vec4(aNormal, 0.0)).xyz;",
+    "    worldTangent = (uModelMat * vec4(aTangent, 0.0)).xyz;",
+    "    worldBitangent = (uModelMat * vec4(aBitangent, 0.0)).xyz;",
+    "",
+    "#ifdef INSTANCED",
+    "    // Instance matrices are expected to scale uniformly, so they",
+    "    // transform normals like any other direction.",
+    "    mat3 instanceMat = mat3(aInstanceMatrix[0].xyz, aInstanceMatrix[1].xyz,",
+    "                            aInstanceMatrix[2].xyz);",
+    "    position = aInstanceMatrix * position;",
+    "    worldNormal = instanceMat * worldNormal;",
+    "    worldTangent = instanceMat * worldTangent;",
+    "    worldBitangent = instanceMat * worldBitangent;",
+    "    instanceColor = aInstanceColor;",
+    "#else",
+    "    instanceColor = vec4(1.0);",
+    "#endif",
+    "",
+    "    gl_Position = uProjMat * uViewMat * position;",
+    "    worldPosition = position.xyz;",
+    "    texCoord = aTexCoord;",
+    "}"
+].join("\n");
+
+/**
+ * Create the built-in shader program used by ShipGL.StandardModel.
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {boolean} [instanced=false] Whether the program draws instances,
+ *                                    placed and tinted by the
+ *                                    aInstanceMatrix (mat4) and
+ *                                    aInstanceColor (vec4) attributes
+ * @return {ShipGL.ShaderProgram} The created shader program
+ */
+ShipGL.StandardModel.createDefaultProgram = function(gl, instanced)
+{
+    var fShaderCode = [
+        "precision mediump float;",
+        "",
+        "#define MAX_LIGHTS " + ShipGL.StandardModel.MAX_LIGHTS,
+        "#define MAX_DIFFUSE_LAYERS " + ShipGL.Material.MAX_DIFFUSE_LAYERS,
+        "",
+        "uniform vec3 uEyePosition;",
+        "uniform int uLightCount;",
+        "uniform vec4 uLightVectors[MAX_LIGHTS];",
+        "uniform vec3 uLightIntensities[MAX_LIGHTS];",
+        "uniform vec3 uAmbientIntensity;",
+        "",
+        "uniform vec4 uAmbientRefl;",
+        "uniform vec4 uDiffuseRefl;",
+        "uniform vec4 uSpecularRefl;",
+        "uniform vec4 uEmissionColor;",
+        "uniform float uShininess;",
+        "uniform int uShadingModel;",
+        "uniform int uTexCount;",
+        "uniform sampler2D uTex[MAX_DIFFUSE_LAYERS];",
+        "uniform int uHasNormalTex;",
+        "uniform sampler2D uNormalTex;",
+        "uniform int uHasSpecularTex;",
+        "uniform sampler2D uSpecularTex;",
+        "uniform int uHasEmissiveTex;",
+        "uniform sampler2D uEmissiveTex;",
+        "",
+        "varying vec3 worldPosition;",
+        "varying vec3 worldNormal;",
+        "varying vec3 worldTangent;",
+        "varying vec3 worldBitangent;",
+        "varying vec2 texCoord;",
+        "varying vec4 instanceColor;",
+        "",
+        "void main()",
+        "{",
+        "    vec4 diffuseRefl = uDiffuseRefl;",
+        "",
+        "    // Diffuse layers are multiplied together.",
+        "    if (uTexCount > 0)",
+        "        diffuseRefl = vec4(1.0);",
+        "",
+        "    for (int i = 0; i < MAX_DIFFUSE_LAYERS; i++)",
+        "    {",
+        "        if (i >= uTexCount)",
+        "            break;",
+        "",
+        "        diffuseRefl *= texture2D(uTex[i], texCoord);",
+        "    }",
+        "",
+        "    diffuseRefl *= instanceColor;",
+        "",
+        "    vec3 specularRefl = uSpecularRefl.rgb;",
+        "",
+        "    if (uHasSpecularTex != 0)",
+        "        specularRefl *= texture2D(uSpecularTex, texCoord).rgb;",
+        "",
+        "    vec3 emission = uEmissionColor.rgb;",
+        "",
+        "    if (uHasEmissiveTex != 0)",
+        "        emission *= texture2D(uEmissiveTex, texCoord).rgb;",
+        "",
+        "    vec3 normal = normalize(worldNormal);",
+        "",
+        "    if (uHasNormalTex != 0)",
+        "    {",
+        "        vec3 tangentNormal = 2.0 * texture2D(uNormalTex, texCoord).xyz - 1.0;",
+        "        mat3 tbn = mat3(normalize(worldTangent), normalize(worldBitangent), normal);",
+        "        normal = normalize(tbn * tangentNormal);",
+        "    }",
+        "",
+        "    vec3 toEye = normalize(uEyePosition - worldPosition);",
+        "    vec3 color = emission + uAmbientRefl.rgb * uAmbientIntensity;",
+        "",
+        "    for (int i = 0; i < MAX_LIGHTS; i++)",
+        "    {",
+        "        if (i >= uLightCount)",
+        "            break;",
+        "",
+        "        vec3 toLight;",
+        "",
+        "        if (uLightVectors[i].w == 0.0)",
+        "            toLight = -normalize(uLightVectors[i].xyz);",
+        "        else",
+        "            toLight = normalize(uLightVectors[i].xyz - worldPosition);",
+        "",
+        "        float diffuse = max(dot(normal, toLight), 0.0);",
+        "        float specular = 0.0;",
+        "",
+        "        if (diffuse > 0.0 && uShininess > 0.0)",
+        "        {",
+        "            if (uShadingModel == " + ShipGL.Material.PHONG + ")",
+        "                specular = max(dot(reflect(-toLight, normal), toEye), 0.0);",
+        "            else",
+        "                specular = max(dot(normal, normalize(toLight + toEye)), 0.0);",
+        "",
+        "            specular = pow(specular, uShininess);",
+        "        }",
+        "",
+        "        color += uLightIntensities[i] * (diffuseRefl.rgb * diffuse +",
+        "                                         specularRefl * specular);",
+        "    }",
+        "",
+        "    gl_FragColor = vec4(color, diffuseRefl.a);",
+        "}"
+    ].join("\n");
+
+    var program = new ShipGL.ShaderProgram(gl);
+    program.create((instanced ? "#define INSTANCED\n" : "") +
+                   ShipGL.StandardModel._vertexShaderCode, fShaderCode);
+
+    return program;
+};
+
+/**
+ * Create the built-in physically based shader program used by
+ * ShipGL.StandardModel for meshes with a ShipGL.PBRMaterial. It uses the
+ * metallic-roughness model with GGX specular reflections, and lights
+ * surfaces with the lights, the ambient intensity and an optional
+ * ShipGL.EnvironmentMap. With the EXT_shader_texture_lod extension, the
+ * environment map's prefiltered mipmap level matching each surface's
+ * roughness is sampled explicitly. Without it, the level is only
+ * approximated with a bias.
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {boolean} [instanced=false] Whether the program draws instances.
+ *                                    See createDefaultProgram.
+ * @return {ShipGL.ShaderProgram} The created shader program
+ */
+ShipGL.StandardModel.createPBRProgram = function(gl, instanced)
+{
+    var hasTextureLod = !!gl.getExtension("EXT_shader_texture_lod");
+
+    var fShaderCode = [
+        hasTextureLod ? "#extension GL_EXT_shader_texture_lod : enable" : "",
+        "precision mediump float;",
+        "",
+        "#define MAX_LIGHTS " + ShipGL.StandardModel.MAX_LIGHTS,
+        "#define PI 3.14159265",
+        "",
+        "uniform vec3 uEyePosition;",
+        "uniform int uLightCount;",
+        "uniform vec4 uLightVectors[MAX_LIGHTS];",
+        "uniform vec3 uLightIntensities[MAX_LIGHTS];",
+        "uniform vec3 uAmbientIntensity;",
+        "",
+        "uniform vec4 uBaseColorFactor;",
+        "uniform float uMetallicFactor;",
+        "uniform float uRoughnessFactor;",
+        "uniform float uOcclusionStrength;",
+        "uniform vec4 uEmissionColor;",
+        "uniform int uHasBaseColorTex;",
+        "uniform sampler2D uBaseColorTex;",
+        "uniform int uHasMetallicRoughnessTex;",
+        "uniform sampler2D uMetallicRoughnessTex;",
+        "uniform int uHasOcclusionTex;",
+        "uniform sampler2D uOcclusionTex;",
+        "uniform int uHasNormalTex;",
+        "uniform sampler2D uNormalTex;",
+        "uniform int uHasEmissiveTex;",
+        "uniform sampler2D uEmissiveTex;",
+        "",
+        "uniform int uHasEnvMap;",
+        "uniform samplerCube uEnvMap;",
+        "uniform float uEnvMipCount;",
+        "uniform vec3 uIrradianceSH[9];",
+        "uniform float uEnvIntensity;",
+        "",
+        "varying vec3 worldPosition;",
+        "varying vec3 worldNormal;",
+        "varying vec3 worldTangent;",
+        "varying vec3 worldBitangent;",
+        "varying vec2 texCoord;",
+        "varying vec4 instanceColor;",
+        "",
+        "vec3 toLinear(vec3 color)",
+        "{",
+        "    return pow(color, vec3(2.2));",
+        "}",
+        "",
+        "vec3 irradiance(vec3 n)",
+        "{",
+        "    return uIrradianceSH[0] * 0.282095 +",
+        "           uIrradianceSH[1] * 0.488603 * n.y +",
+        "           uIrradianceSH[2] * 0.488603 * n.z +",
+        "           uIrradianceSH[3] * 0.488603 * n.x +",
+        "           uIrradianceSH[4] * 1.092548 * n.x * n.y +",
+        "           uIrradianceSH[5] * 1.092548 * n.y * n.z +",
+        "           uIrradianceSH[6] * 0.315392 * (3.0 * n.z * n.z - 1.0) +",
+        "           uIrradianceSH[7] * 1.092548 * n.x * n.z +",
+        "           uIrradianceSH[8] * 0.546274 * (n.x * n.x - n.y * n.y);",
+        "}",
+        "",
+        "// Karis' analytic fit of the preintegrated environment BRDF.",
+        "vec2 envBRDF(float roughness, float NdotV)",
+        "{",
+        "    const vec4 c0 = vec4(-1.0, -0.0275, -0.572, 0.022);",
+        "    const vec4 c1 = vec4(1.0, 0.0425, 1.04, -0.04);",
+        "    vec4 r = roughness * c0 + c1;",
+        "    float a004 = min(r.x * r.x, exp2(-9.28 * NdotV)) * r.x + r.y;",
+        "    return vec2(-1.04, 1.04) * a004 + r.zw;",
+        "}",
+        "",
+        "void main()",
+        "{",
+        "    vec4 baseColor = uBaseColorFactor;",
+        "",
+        "    if (uHasBaseColorTex != 0)",
+        "    {",
+        "        vec4 texel = texture2D(uBaseColorTex, texCoord);",
+        "        baseColor *= vec4(toLinear(texel.rgb), texel.a);",
+        "    }",
+        "",
+        "    baseColor *= instanceColor;",
+        "",
+        "    float metallic = uMetallicFactor;",
+        "    float roughness = uRoughnessFactor;",
+        "",
+        "    if (uHasMetallicRoughnessTex != 0)",
+        "    {",
+        "        vec4 texel = texture2D(uMetallicRoughnessTex, texCoord);",
+        "        roughness *= texel.g;",
+        "        metallic *= texel.b;",
+        "    }",
+        "",
+        "    roughness = clamp(roughness, 0.04, 1.0);",
+        "",
+        "    float occlusion = 1.0;",
+        "",
+        "    if (uHasOcclusionTex != 0)",
+        "        occlusion += uOcclusionStrength * (texture2D(uOcclusionTex, texCoord).r - 1.0);",
+        "",
+        "    vec3 emission = uEmissionColor.rgb;",
+        "",
+        "    if (uHasEmissiveTex != 0)",
+        "        emission *= toLinear(texture2D(uEmissiveTex, texCoord).rgb);",
+        "",
+        "    vec3 normal = normalize(worldNormal);",
+        "",
+        "    if (uHasNormalTex != 0)",
+        "    {",
+        "        vec3 tangentNormal = 2.0 * texture2D(uNormalTex, texCoord).xyz - 1.0;",
+        "        mat3 tbn = mat3(normalize(worldTangent), normalize(worldBitangent), normal);",
+        "        normal = normalize(tbn * tangentNormal);",
+        "    }",
+        "",
+        "    vec3 toEye = normalize(uEyePosition - worldPosition);",
+        "    float NdotV = max(dot(normal, toEye), 0.001);",
+        "",
+        "    vec3 diffuseColor = baseColor.rgb * (1.0 - metallic);",
+        "    vec3 f0 = mix(vec3(0.04), baseColor.rgb, metallic);",
+        "    float alpha2 = roughness * roughness * roughness * roughness;",
+        "    float k = (roughness + 1.0) * (roughness + 1.0) / 8.0;",
+        "",
+        "    vec3 color = emission;",
+        "",
+        "    for (int i = 0; i < MAX_LIGHTS; i++)",
+        "    {",
+        "        if (i >= uLightCount)",
+        "            break;",
+        "",
+        "        vec3 toLight;",
+        "",
+        "        if (uLightVectors[i].w == 0.0)",
+        "            toLight = -normalize(uLightVectors[i].xyz);",
+        "        else",
+        "            toLight = normalize(uLightVectors[i].xyz - worldPosition);",
+        "",
+        "        float NdotL = dot(normal, toLight);",
+        "",
+        "        if (NdotL <= 0.0)",
+        "            continue;",
+        "",
+        "        vec3 halfway = normalize(toLight + toEye);",
+        "        float NdotH = max(dot(normal, halfway), 0.0);",
+        "        float VdotH = max(dot(toEye, halfway), 0.0);",
+        "",
+        "        // GGX distribution, Smith-Schlick visibility and Schlick's",
+        "        // Fresnel approximation.",
+        "        float d = NdotH * NdotH * (alpha2 - 1.0) + 1.0;",
+        "        float D = alpha2 / (PI * d * d);",
+        "        float G = NdotL / (NdotL * (1.0 - k) + k) * NdotV / (NdotV * (1.0 - k) + k);",
+        "        vec3 F = f0 + (1.0 - f0) * pow(1.0 - VdotH, 5.0);",
+        "        vec3 specular = F * D * G / (4.0 * NdotL * NdotV);",
+        "",
+        "        // Light intensities are scaled by pi, so that a light lights a",
+        "        // white diffuse surface as brightly as with the Phong shader.",
+        "        color += uLightIntensities[i] * NdotL * ((1.0 - F) * diffuseColor +",
+        "                                                 PI * specular);",
+        "    }",
+        "",
+        "    vec2 brdf = envBRDF(roughness, NdotV);",
+        "    vec3 specularColor = f0 * brdf.x + brdf.y;",
+        "    vec3 ambient = uAmbientIntensity * (diffuseColor + specularColor);",
+        "",
+        "    if (uHasEnvMap != 0)",
+        "    {",
+        "        // Mipmap level n is prefiltered for a roughness of",
+        "        // n / (uEnvMipCount - 1).",
+        "        vec3 reflected = reflect(-toEye, normal);",
+        "        float lod = roughness * (uEnvMipCount - 1.0);",
+        "#ifdef GL_EXT_shader_texture_lod",
+        "        vec3 envColor = textureCubeLodEXT(uEnvMap, reflected, lod).rgb;",
+        "#else",
+        "        // Without the extension, the level can only be biased from",
+        "        // the one picked by the hardware, which is close to level 0",
+        "        // for most reflections, so this only approximates the lod.",
+        "        vec3 envColor = textureCube(uEnvMap, reflected, lod).rgb;",
+        "#endif",
+        "",
+        "        ambient += uEnvIntensity * (diffuseColor * max(irradiance(normal), 0.0) +",
+        "                                    specularColor * toLinear(envColor));",
+        "    }",
+        "",
+        "    color += occlusion * ambient;",
+        "",
+        "    gl_FragColor = vec4(pow(color, vec3(1.0 / 2.2)), baseColor.a);",
+        "}"
+    ].join("\n");
+
+    var program = new ShipGL.ShaderProgram(gl);
+    program.create((instanced ? "#define INSTANCED\n" : "") +
+                   ShipGL.StandardModel._vertexShaderCode, fShaderCode);
+
+    return program;
+};
+
+/**
+ * Draw the model. Be sure to set the model's projection/view matrices,
+ * and any other required state before calling this. The model is drawn
+ * through its renderQueue.
+ *
+ * @this {ShipGL.StandardModel}
+ */
+ShipGL.StandardModel.prototype.draw = function()
+{
+    this.renderQueue.clear();
+    this.enqueue(this.renderQueue);
+    this.renderQueue.submit();
+};
+
+/**
+ * Draw many copies of the model at once. Each instance is placed by its
+ * matrix, applied after the model's modelMatrix, and its color multiplies
+ * the material's diffuse reflectance or base color. The instance matrices
+ * should only scale uniformly.
+ *
+ * With the ANGLE_instanced_arrays extension, every mesh is drawn once for
+ * all instances. Without it, the same shaders draw each instance in turn.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.InstanceBuffer} instances The instances to draw
+ */
+ShipGL.StandardModel.prototype.drawInstanced = function(instances)
+{
+    if (instances.count == 0)
+    {
+        return;
+    }
+
+    this.renderQueue.clear();
+    this.enqueue(this.renderQueue, instances);
+    this.renderQueue.submit();
+};
+
+/**
+ * Add a draw item for every mesh of every node to a ShipGL.RenderQueue.
+ * Meshes with a ShipGL.PBRMaterial are drawn with pbrProgram, and the
+ * others with program (or instancedPBRProgram and instancedProgram when
+ * drawing instances).
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.RenderQueue} queue The queue to add the draw items to
+ * @param {ShipGL.InstanceBuffer} [instances] The instances to draw. See
+ *                                            drawInstanced.
+ */
+ShipGL.StandardModel.prototype.enqueue = function(queue, instances)
+{
+    var i, j, curNode, curMesh, curMaterial;
+    for (i = 0; i < this.nodes.length; i++)
+    {
+        curNode = this.nodes[i];
+
+        for (j = 0; j < curNode.meshIndices.length; j++)
+        {
+            curMesh = this.json.meshes[curNode.meshIndices[j]];
+            curMaterial = this.materials[curMesh.materialIndex];
+
+            queue.add({ program: this._programFor(curMaterial, !!instances),
+                        model: this,
+                        instances: instances || null,
+                        node: curNode,
+                        mesh: curMesh,
+                        material: curMaterial,
+                        texture: curMaterial.baseColorTexture || curMaterial.texture || null
+            });
+        }
+    }
+};
+
+/**
+ * Prepare to draw meshes of the model with a bound shader program,
+ * setting the uniforms shared by every mesh. Called by ShipGL.RenderQueue.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ * @param {ShipGL.InstanceBuffer} [instances] The instances to draw
+ */
+ShipGL.StandardModel.prototype.beginDraw = function(program, instances)
+{
+    program.setUniformMat4("uProjMat", this.projMat);
+    program.setUniformMat4("uViewMat", this.viewMat);
+    this._setLightUniforms(program);
+
+    if (program == this.pbrProgram || program == this.instancedPBRProgram)
+    {
+        this._setEnvironmentUniforms(program);
+    }
+
+    // The eye sits at the origin of view space.
+    mat4.inverse(this.viewMat, this._worldMat);
+    mat4.multiplyVec3(this._worldMat, [0, 0, 0], this._eyePosition);
+    program.setUniformVec3f("uEyePosition", this._eyePosition);
+};
+
+/**
+ * Set the matrix uniforms placing a node's meshes. Called by
+ * ShipGL.RenderQueue.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ * @param {object} node The node about to be drawn
+ */
+ShipGL.StandardModel.prototype.setNodeUniforms = function(program, node)
+{
+    mat4.multiply(this.modelMat, node.modelMatrix, this._worldMat);
+    mat4.inverse(this._worldMat, this._normalMat);
+    mat4.transpose(this._normalMat);
+
+    program.setUniformMat4("uModelMat", this._worldMat);
+    program.setUniformMat4("uNormalMat", this._normalMat);
+};
+
+/**
+ * Bind a mesh's vertex array (see getVertexArray) and draw the mesh.
+ * Called by ShipGL.RenderQueue.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ * @param {object} mesh The JSON mesh to draw
+ * @param {ShipGL.InstanceBuffer} [instances] The instances to draw
+ */
+ShipGL.StandardModel.prototype.drawMesh = function(program, mesh, instances)
+{
+    var vertexArray = this.getVertexArray(program, mesh);
+    var ext = instances ? this.gl.getExtension("ANGLE_instanced_arrays") : null;
+    var isNewVertexArray = vertexArray != this._boundVertexArray;
+
+    if (isNewVertexArray)
+    {
+        if (this._boundVertexArray)
+        {
+            this._boundVertexArray.unbind();
+        }
+
+        vertexArray.bind();
+        this._boundVertexArray = vertexArray;
+    }
+
+    if (ext)
+    {
+        // The instance attributes are part of a vertex array object's
+        // state, so they are set up again for every vertex array. Without
+        // vertex array objects, they are global state, so they are set up
+        // for every draw and reset right after it. Otherwise, their
+        // divisors would leak onto the attributes of later draws.
+        if (isNewVertexArray || !vertexArray.isNative)
+        {
+            instances.bind();
+            program.enableMatrixAttributeArray("aInstanceMatrix");
+            program.enableAttributeArray("aInstanceColor");
+            program.setAttributeBufferMat4f("aInstanceMatrix", ShipGL.InstanceBuffer.STRIDE,
+                                            ShipGL.InstanceBuffer.MATRIX_OFFSET);
+            program.setAttributeBuffer4f("aInstanceColor", ShipGL.InstanceBuffer.STRIDE,
+                                         ShipGL.InstanceBuffer.COLOR_OFFSET);
+            program.setMatrixAttributeDivisor("aInstanceMatrix", 1);
+            program.setAttributeDivisor("aInstanceColor", 1);
+        }
+
+        if (mesh.hasIndices)
+        {
+            ext.drawElementsInstancedANGLE(this.drawType, mesh.indices.length, mesh.indexType,
+                                           mesh.indicesByteOffset, instances.count);
+        }
+        else
+        {
+            ext.drawArraysInstancedANGLE(this.drawType, 0, mesh.vertexPositions.length / 3,
+                                         instances.count);
+        }
+
+        if (!vertexArray.isNative)
+        {
+            program.setMatrixAttributeDivisor("aInstanceMatrix", 0);
+            program.setAttributeDivisor("aInstanceColor", 0);
+            program.disableMatrixAttributeArray("aInstanceMatrix");
+            program.disableAttributeArray("aInstanceColor");
+        }
+
+        return;
+    }
+
+    // Without the extension, the instance attributes stay disabled, so
+    // their constant values apply to a whole draw.
+    var instanceCount = instances ? instances.count : 1;
+
+    var i, offset;
+    for (i = 0; i < instanceCount; i++)
+    {
+        if (instances)
+        {
+            offset = i * ShipGL.InstanceBuffer.STRIDE;
+            program.setAttributeValueMat4f("aInstanceMatrix", instances.data.subarray(
+                offset + ShipGL.InstanceBuffer.MATRIX_OFFSET,
+                offset + ShipGL.InstanceBuffer.MATRIX_OFFSET + 16));
+
+            offset += ShipGL.InstanceBuffer.COLOR_OFFSET;
+            program.setAttributeValue4f("aInstanceColor", instances.data[offset],
+                                        instances.data[offset + 1], instances.data[offset + 2],
+                                        instances.data[offset + 3]);
+        }
+
+        if (mesh.hasIndices)
+        {
+            this.gl.drawElements(this.drawType, mesh.indices.length,
+                                 mesh.indexType, mesh.indicesByteOffset);
+        }
+        else
+        {
+            this.gl.drawArrays(this.drawType, 0, mesh.vertexPositions.length / 3);
+        }
+    }
+};
+
+/**
+ * Unbind the vertex array and buffers bound by drawMesh, and the
+ * environment map bound by beginDraw. Called by ShipGL.RenderQueue.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ * @param {ShipGL.InstanceBuffer} [instances] The instances drawn
+ */
+ShipGL.StandardModel.prototype.endDraw = function(program, instances)
+{
+    if (this._boundEnvironmentMap)
+    {
+        this._boundEnvironmentMap.unbind();
+        this._boundEnvironmentMap = null;
+    }
+
+    if (!this._boundVertexArray)
+    {
+        return;
+    }
+
+    this._boundVertexArray.unbind();
+    this._boundVertexArray = null;
+    this.vbo.unbind();
+};
+
+/**
+ * Set the material uniforms for a mesh about to be drawn. The default
+ * implementation binds the ShipGL.Material, leaving out the maps the mesh
+ * can't use. Override this to bind materials differently.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.Material} material The material of the mesh
+ * @param {object} mesh The JSON mesh about to be drawn
+ * @param {ShipGL.ShaderProgram} program The bound shader program drawing
+ *                                       the mesh
+ * @return {number} The number of texture units used, starting at unit 0,
+ *                  so ShipGL.RenderQueue can unbind them once it's done
+ */
+ShipGL.StandardModel.prototype.bindMaterial = function(material, mesh, program)
+{
+    return material.bind(program, mesh);
+};
+
+/**
+ * Set the shader program used to draw the model.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.ShaderProgram} program The model's new shader program
+ */
+ShipGL.StandardModel.prototype.setProgram = function(program)
+{
+    this.program = program;
+};
+
+/**
+ * Set the shader program used to draw meshes with a ShipGL.PBRMaterial.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.ShaderProgram} program The model's new PBR shader program
+ */
+ShipGL.StandardModel.prototype.setPBRProgram = function(program)
+{
+    this.pbrProgram = program;
+};
+
+/**
+ * Set the environment map lighting meshes with a ShipGL.PBRMaterial.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.EnvironmentMap} environmentMap The model's new environment
+ *                                               map, or null for none
+ */
+ShipGL.StandardModel.prototype.setEnvironmentMap = function(environmentMap)
+{
+    this.environmentMap = environmentMap;
+};
+
+/**
+ * Set the shader program used by drawInstanced for meshes with a plain
+ * ShipGL.Material.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.ShaderProgram} program The model's new instanced shader
+ *                                       program
+ */
+ShipGL.StandardModel.prototype.setInstancedProgram = function(program)
+{
+    this.instancedProgram = program;
+};
+
+/**
+ * Set the shader program used by drawInstanced for meshes with a
+ * ShipGL.PBRMaterial.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.ShaderProgram} program The model's new instanced PBR
+ *                                       shader program
+ */
+ShipGL.StandardModel.prototype.setInstancedPBRProgram = function(program)
+{
+    this.instancedPBRProgram = program;
+};
+
+/**
+ * Set the lights lighting the model.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {Array} lights The ShipGL.PointLight's and
+ *                       ShipGL.DirectionalLight's lighting the model
+ */
+ShipGL.StandardModel.prototype.setLights = function(lights)
+{
+    this.lights = lights.slice();
+};
+
+/**
+ * Set the matrix placing the whole model in the world.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {mat4} modelMat The model's new model matrix
+ */
+ShipGL.StandardModel.prototype.setModelMatrix = function(modelMat)
+{
+    mat4.set(modelMat, this.modelMat);
+};
+
+/**
+ * Set the projection matrix for the model.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {mat4} projMat The model's new projection matrix
+ */
+ShipGL.StandardModel.prototype.setProjection = function(projMat)
+{
+    mat4.set(projMat, this.projMat);
+};
+
+/**
+ * Set the view matrix for the model.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {mat4} viewMat The model's new view matrix
+ */
+ShipGL.StandardModel.prototype.setView = function(viewMat)
+{
+    mat4.set(viewMat, this.viewMat);
+};
+
+// The program drawing meshes with a material, creating the built-in one
+// when none is set yet.
+ShipGL.StandardModel.prototype._programFor = function(material, instanced)
+{
+    var pbr = material instanceof ShipGL.PBRMaterial;
+    var field = instanced ? (pbr ? "instancedPBRProgram" : "instancedProgram") :
+                            (pbr ? "pbrProgram" : "program");
+
+    if (!this[field])
+    {
+        this[field] = ShipGL.StandardModel._builtInProgram(this.gl, pbr, instanced);
+    }
+
+    return this[field];
+};
+
+ShipGL.StandardModel.prototype._setLightUniforms = function(program)
+{
+    var count = Math.min(this.lights.length, ShipGL.StandardModel.MAX_LIGHTS);
+
+    var i, curLight;
+    for (i = 0; i < count; i++)
+    {
+        curLight = this.lights[i];
+
+        this._lightVectors.set(curLight instanceof ShipGL.PointLight ?
+                               curLight.position : curLight.direction, 4 * i);
+        this._lightIntensities.set(curLight.intensity, 3 * i);
+    }
+
+    program.setUniform1i("uLightCount", count);
+    program.setUniformVec4f("uLightVectors", this._lightVectors);
+    program.setUniformVec3f("uLightIntensities", this._lightIntensities);
+    program.setUniformVec3f("uAmbientIntensity", this.ambientIntensity);
+};
+
+ShipGL.StandardModel.prototype._setEnvironmentUniforms = function(program)
+{
+    var hasEnvMap = !!(this.environmentMap && this.environmentMap.isReady);
+
+    if (hasEnvMap)
+    {
+        this.environmentMap.bind(program);
+        this._boundEnvironmentMap = this.environmentMap;
+    }
+    else
+    {
+        // Keep the cube sampler off the units used by 2D textures.
+        program.setUniform1i("uEnvMap", ShipGL.EnvironmentMap.TEXTURE_UNIT);
+    }
+
+    program.setUniform1i("uHasEnvMap", hasEnvMap ? 1 : 0);
+};
+/**
+ * @file Contains all ShipGL.OBJImporter code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * ShipGL.OBJImporter converts Wavefront OBJ and MTL files into the same JSON
+ * model data ShipGL.Model reads from its JSON model files, so any
+ * ShipGL.Model subclass can render OBJ models unchanged. Function
+ * documentation is provided through an example since JSDoc doesn't have
+ * great support for documenting singleton-like objects.
+ *
+ * The produced JSON model data has one mesh per material used in the OBJ
+ * file, a single root node with an identity modelMatrix referencing every
+ * mesh, and one material per MTL material (plus a default material if
+ * some faces have no material). Faces with more than three vertices are
+ * triangulated as fans. If the OBJ file has no normals for some vertices
+ * of a mesh, the mesh gets no normals at all, and ShipGL.Model's
+ * initialize generates them. Besides map_Kd, MTL materials may have normal
+ * (norm, bump or map_Bump), specular (map_Ks) and emissive (map_Ke) maps.
+ *
+ * @example
+ * // Asynchronously load an OBJ file along with the MTL files it references
+ * // and create an initialized model from it. The callback gets the model
+ * // once all of its textures have loaded. Texture paths in the MTL files
+ * // are relative to the MTL file, just like most exporters write them.
+ * // The optional options are passed to the model's initialize method.
+ * ShipGL.OBJImporter.load(gl, "models/crate/crate.obj", function(model)
+ * {
+ *     model.draw();
+ * },
+ * function(error)
+ * {
+ *     alert(error.message);
+ * }, MyModel, { creaseAngle: 60 });
+ *
+ * // parseMTL(mtlText, [texturePrefix]) returns a map of material names to
+ * // JSON materials. texturePrefix is prepended to every texture path.
+ * var materials = ShipGL.OBJImporter.parseMTL(mtlText, "textures/");
+ *
+ * // parse(objText, [materials]) returns JSON model data. Pass the map from
+ * // parseMTL so usemtl statements can be resolved.
+ * var json = ShipGL.OBJImporter.parse(objText, materials);
+ * var model = new MyModel(gl, "models/crate/crate.obj", json);
+ * model.initialize();
+ */
+ShipGL.OBJImporter = (function()
+{
+    function createMaterial()
+    {
+        return { diffuseTexture: [],
+                 diffuseReflectance: [0.8, 0.8, 0.8, 1],
+                 ambientReflectance: [0, 0, 0, 1],
+                 specularReflectance: [0, 0, 0, 1],
+                 shininess: 0,
+                 emissionColor: [0, 0, 0, 1]
+        };
+    };
+
+    function parseColor(tokens, alpha)
+    {
+        return [parseFloat(tokens[1]), parseFloat(tokens[2]),
+                parseFloat(tokens[3]), alpha];
+    };
+
+    // The file name is always last. Anything before it is map options.
+    function parseMapPath(line)
+    {
+        var tokens = line.split(/\s+/);
+        return tokens[tokens.length - 1].replace(/\\/g, "/");
+    };
+
+    function parseMTL(mtlText, texturePrefix)
+    {
+        texturePrefix = texturePrefix || "";
+
+        var materials = {}, curMaterial = null;
+        var lines = mtlText.split(/\r?\n/);
+
+        var i, line, tokens, alpha;
+        for (i = 0; i < lines.length; i++)
+        {
+            line = lines[i].trim();
+
+            if (line.length == 0 || line.charAt(0) == "#")
+                continue;
+
+            tokens = line.split(/\s+/);
+
+            if (tokens[0] == "newmtl")
+            {
+                curMaterial = createMaterial();
+                materials[line.substring(6).trim()] = curMaterial;
+                continue;
+            }
+
+            if (!curMaterial)
+                continue;
+
+            switch (tokens[0])
+            {
+                case "Ka":
+                    curMaterial.ambientReflectance = parseColor(tokens, 1);
+                    break;
+                case "Kd":
+                    alpha = curMaterial.diffuseReflectance[3];
+                    curMaterial.diffuseReflectance = parseColor(tokens, alpha);
+                    break;
+                case "Ks":
+                    curMaterial.specularReflectance = parseColor(tokens, 1);
+                    break;
+                case "Ke":
+                    curMaterial.emissionColor = parseColor(tokens, 1);
+                    break;
+                case "Ns":
+                    curMaterial.shininess = parseFloat(tokens[1]);
+                    break;
+                case "d":
+                    curMaterial.diffuseReflectance[3] = parseFloat(tokens[1]);
+                    break;
+                case "Tr":
+                    curMaterial.diffuseReflectance[3] = 1 - parseFloat(tokens[1]);
+                    break;
+                case "map_Kd":
+                    curMaterial.diffuseTexture = [texturePrefix + parseMapPath(line)];
+                    break;
+                case "norm":
+                case "bump":
+                case "map_Bump":
+                case "map_bump":
+                    curMaterial.normalTexture = [texturePrefix + parseMapPath(line)];
+                    break;
+                case "map_Ks":
+                    curMaterial.specularTexture = [texturePrefix + parseMapPath(line)];
+                    break;
+                case "map_Ke":
+                    curMaterial.emissiveTexture = [texturePrefix + parseMapPath(line)];
+
+                    // The map multiplies Ke, which defaults to black.
+                    if (curMaterial.emissionColor.slice(0, 3).join() == "0,0,0")
+                    {
+                        curMaterial.emissionColor = [1, 1, 1, 1];
+                    }
+                    break;
+            }
+        }
+
+        return materials;
+    };
+
+    // OBJ indices are 1-based, and negative indices count back from the
+    // most recently defined element.
+    function resolveIndex(token, count)
+    {
+        var index = parseInt(token, 10);
+        return index < 0 ? count + index : index - 1;
+    };
+
+    function createMeshBuilder(materialIndex)
+    {
+        return { vertexPositions: [],
+                 vertexNormals: [],
+                 texCoords: [],
+                 indices: [],
+                 materialIndex: materialIndex,
+                 hasTexCoords: false,
+                 needsNormals: false,
+                 vertexMap: {}
+        };
+    };
+
+    // Adds the vertex described by a face token ("v", "v/vt", "v//vn" or
+    // "v/vt/vn") to the mesh, reusing it if the mesh already has it.
+    // Negative indices depend on how many elements precede the face, so
+    // vertices are looked up by their resolved indices.
+    function addVertex(mesh, token, positions, texCoords, normals)
+    {
+        var parts = token.split("/");
+        var p = resolveIndex(parts[0], positions.length / 3);
+        var t = parts[1] ? resolveIndex(parts[1], texCoords.length / 2) : -1;
+        var n = parts[2] ? resolveIndex(parts[2], normals.length / 3) : -1;
+
+        var key = p + "/" + t + "/" + n;
+        var index = mesh.vertexMap[key];
+
+        if (index !== undefined)
+        {
+            mesh.indices.push(index);
+            return index;
+        }
+
+        index = mesh.vertexPositions.length / 3;
+        mesh.vertexMap[key] = index;
+        mesh.indices.push(index);
+
+        mesh.vertexPositions.push(positions[3 * p], positions[3 * p + 1], positions[3 * p + 2]);
+
+        if (t >= 0)
+        {
+            mesh.texCoords.push(texCoords[2 * t], texCoords[2 * t + 1]);
+            mesh.hasTexCoords = true;
+        }
+        else
+        {
+            mesh.texCoords.push(0, 0);
+        }
+
+        if (n >= 0)
+        {
+            mesh.vertexNormals.push(normals[3 * n], normals[3 * n + 1], normals[3 * n + 2]);
+        }
+        else
+        {
+            mesh.needsNormals = true;
+        }
+
+        return index;
+    };
+
+    function parse(objText, materials)
+    {
+        materials = materials || {};
+
+        var json = { name: "noname", materials: [], meshes: [], nodes: [] };
+        var positions = [], texCoords = [], normals = [];
+        var materialIndices = {}, meshes = {}, meshOrder = [];
+        var curMesh = null;
+
+        function useMaterial(name)
+        {
+            if (materialIndices[name] === undefined)
+            {
+                materialIndices[name] = json.materials.length;
+                json.materials.push(materials[name] || createMaterial());
+            }
+
+            var materialIndex = materialIndices[name];
+
+            if (!meshes[materialIndex])
+            {
+                meshes[materialIndex] = createMeshBuilder(materialIndex);
+                meshOrder.push(materialIndex);
+            }
+
+            curMesh = meshes[materialIndex];
+        };
+
+        var lines = objText.split(/\r?\n/);
+        var i, j, line, tokens;
+        for (i = 0; i < lines.length; i++)
+        {
+            line = lines[i].trim();
+
+            if (line.length == 0 || line.charAt(0) == "#")
+                continue;
+
+            tokens = line.split(/\s+/);
+
+            switch (tokens[0])
+            {
+                case "v":
+                    positions.push(parseFloat(tokens[1]),
+                                   parseFloat(tokens[2]),
+                                   parseFloat(tokens[3]));
+                    break;
+                case "vt":
+                    texCoords.push(parseFloat(tokens[1]),
+                                   parseFloat(tokens[2] || 0));
+                    break;
+                case "vn":
+                    normals.push(parseFloat(tokens[1]),
+                                 parseFloat(tokens[2]),
+                                 parseFloat(tokens[3]));
+                    break;
+                case "usemtl":
+                    useMaterial(line.substring(6).trim());
+                    break;
+                case "o":
+                    if (json.name == "noname")
+                        json.name = line.substring(1).trim();
+                    break;
+                case "f":
+                    if (!curMesh)
+                        useMaterial("");
+
+                    // Triangulate the polygon as a fan around its first vertex.
+                    for (j = 3; j < tokens.length; j++)
+                    {
+                        addVertex(curMesh, tokens[1], positions, texCoords, normals);
+                        addVertex(curMesh, tokens[j - 1], positions, texCoords, normals);
+                        addVertex(curMesh, tokens[j], positions, texCoords, normals);
+                    }
+                    break;
+            }
+        }
+
+        var rootNode = { modelMatrix: [1, 0, 0, 0,
+                                       0, 1, 0, 0,
+                                       0, 0, 1, 0,
+                                       0, 0, 0, 1],
+                         meshIndices: []
+        };
+
+        var builder;
+        for (i = 0; i < meshOrder.length; i++)
+        {
+            builder = meshes[meshOrder[i]];
+
+            rootNode.meshIndices.push(json.meshes.length);
+            json.meshes.push({
+                vertexPositions: builder.vertexPositions,
+                vertexNormals: builder.needsNormals ? [] : builder.vertexNormals,
+                vertexTexCoordinates: builder.hasTexCoords ? [builder.texCoords] : [],
+                indices: builder.indices,
+                materialIndex: builder.materialIndex
+            });
+        }
+
+        json.nodes.push(rootNode);
+        return json;
+    };
+
+    function load(gl, pathToOBJ, onLoad, onError, ModelType, options)
+    {
+        ModelType = ModelType || ShipGL.StandardModel;
+
+        var objDir = pathToOBJ.substring(0, pathToOBJ.lastIndexOf("/") + 1);
+
+        return ShipGL.FileLoader.loadText(pathToOBJ, function(objText)
+        {
+            var mtlPaths = [], materials = {}, failed = false;
+            var matches = objText.match(/^\s*mtllib\s+.+$/gm) || [];
+
+            var i;
+            for (i = 0; i < matches.length; i++)
+            {
+                mtlPaths.push(matches[i].trim().substring(6).trim());
+            }
+
+            var pendingCount = mtlPaths.length;
+
+            function finish()
+            {
+                var model;
+
+                try
+                {
+                    model = new ModelType(gl, pathToOBJ, parse(objText, materials));
+                    model.initialize(options);
+                }
+                catch (e)
+                {
+                    fail(new ShipGL.FileLoadError(pathToOBJ, 0, "parse",
+                                                  "Failed to load OBJ " + pathToOBJ +
+                                                  ": " + e.message));
+                    return;
+                }
+
+                model.onReady(onLoad);
+            };
+
+            function fail(error)
+            {
+                if (failed)
+                    return;
+
+                failed = true;
+
+                if (!onError)
+                {
+                    throw error;
+                }
+
+                onError(error);
+            };
+
+            // Texture paths in an MTL file are relative to the MTL file, but
+            // the model looks them up relative to the OBJ file.
+            function makeOnMTLLoad(mtlPath)
+            {
+                var prefix = mtlPath.substring(0, mtlPath.lastIndexOf("/") + 1);
+
+                return function(mtlText)
+                {
+                    var name, parsed = parseMTL(mtlText, prefix);
+
+                    for (name in parsed)
+                    {
+                        materials[name] = parsed[name];
+                    }
+
+                    pendingCount--;
+
+                    if (pendingCount == 0 && !failed)
+                    {
+                        finish();
+                    }
+                };
+            };
+
+            if (pendingCount == 0)
+            {
+                finish();
+                return;
+            }
+
+            for (i = 0; i < mtlPaths.length; i++)
+            {
+                ShipGL.FileLoader.loadText(objDir + mtlPaths[i],
+                                           makeOnMTLLoad(mtlPaths[i]), fail);
+            }
+        }, onError);
+    };
+
+    return { parse: parse,
+             parseMTL: parseMTL,
+             load: load
+    };
+})();
+/**
+ * @file Contains all ShipGL.COLLADAImporter code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * ShipGL.COLLADAImporter converts COLLADA (.dae) files into the same JSON
+ * model data ShipGL.Model reads from its JSON model files, so any
+ * ShipGL.Model subclass can render COLLADA models without an external
+ * conversion step. Function documentation is provided through an example
+ * since JSDoc doesn't have great support for documenting singleton-like
+ * objects.
+ *
+ * The importer reads geometries (triangles, polylist and polygons
+ * primitives), materials with their profile_COMMON effects (constant,
+ * lambert, phong and blinn), images and the visual scene's node hierarchy.
+ * Every primitive becomes one mesh. Every scene node becomes one node, with
+ * its transform relative to its parent as its modelMatrix and the nodes it
+ * contains or instances as its children. Z_UP files are rotated to be Y_UP.
+ *
+ * @example
+ * // Asynchronously load a COLLADA file and create an initialized model
+ * // from it. The callback gets the model once all of its textures have
+ * // loaded. Image paths are relative to the COLLADA file. The optional
+ * // options are passed to the model's initialize method.
+ * ShipGL.COLLADAImporter.load(gl, "models/House/models/model.dae",
+ *     function(model) { model.draw(); },
+ *     function(error) { alert(error.message); },
+ *     MyModel, { normalize: true });
+ *
+ * // parse(daeText) returns JSON model data. It throws an Error if the
+ * // document is not valid COLLADA.
+ * var json = ShipGL.COLLADAImporter.parse(daeText);
+ * var model = new MyModel(gl, "models/House/models/model.dae", json);
+ * model.initialize();
+ */
+ShipGL.COLLADAImporter = (function()
+{
+    function childElements(element, name)
+    {
+        var i, child, result = [];
+
+        for (i = 0; i < element.childNodes.length; i++)
+        {
+            child = element.childNodes[i];
+
+            if (child.nodeType == 1 && (!name || child.localName == name))
+            {
+                result.push(child);
+            }
+        }
+
+        return result;
+    };
+
+    function firstChild(element, name)
+    {
+        return element ? childElements(element, name)[0] || null : null;
+    };
+
+    function parseNumbers(element)
+    {
+        var text = element ? element.textContent.trim() : "";
+        return text.length > 0 ? text.split(/\s+/).map(parseFloat) : [];
+    };
+
+    // Maps ids to elements so url attributes like "#mesh1" can be resolved.
+    function indexIds(doc)
+    {
+        var i, element, ids = {}, all = doc.getElementsByTagName("*");
+
+        for (i = 0; i < all.length; i++)
+        {
+            element = all[i];
+
+            if (element.getAttribute("id"))
+            {
+                ids[element.getAttribute("id")] = element;
+            }
+        }
+
+        return ids;
+    };
+
+    function lookup(ids, url)
+    {
+        return url ? ids[url.charAt(0) == "#" ? url.substring(1) : url] || null : null;
+    };
+
+    function parseColor(element)
+    {
+        var color = parseNumbers(firstChild(element, "color"));
+
+        if (color.length == 3)
+        {
+            color.push(1);
+        }
+
+        return color.length == 4 ? color : null;
+    };
+
+    // A texture references a sampler newparam, which references a surface
+    // newparam, which references an image. Some exporters skip the params
+    // and reference the image directly.
+    function resolveTexture(texture, effect, ids)
+    {
+        var params = {}, newparams = effect.getElementsByTagName("newparam");
+
+        var i;
+        for (i = 0; i < newparams.length; i++)
+        {
+            params[newparams[i].getAttribute("sid")] = newparams[i];
+        }
+
+        var name = texture.getAttribute("texture");
+        var sampler = params[name], surface, source;
+
+        if (sampler)
+        {
+            source = sampler.getElementsByTagName("source")[0];
+            surface = source ? params[source.textContent.trim()] : null;
+            name = surface ? surface.getElementsByTagName("init_from")[0].textContent.trim() :
+                             name;
+        }
+
+        var image = ids[name];
+        var initFrom = image ? firstChild(image, "init_from") : null;
+
+        if (!initFrom)
+            return null;
+
+        // COLLADA 1.5 wraps the path in a ref element.
+        var path = (firstChild(initFrom, "ref") || initFrom).textContent.trim();
+        return decodeURI(path.replace(/^file:\/\//, "")).replace(/\\/g, "/");
+    };
+
+    function parseMaterial(material, ids)
+    {
+        var json = { diffuseTexture: [],
+                     diffuseReflectance: [0.8, 0.8, 0.8, 1],
+                     ambientReflectance: [0, 0, 0, 1],
+                     specularReflectance: [0, 0, 0, 1],
+                     shininess: 0,
+                     emissionColor: [0, 0, 0, 1]
+        };
+
+        var instanceEffect = material ? firstChild(material, "instance_effect") : null;
+        var effect = instanceEffect ? lookup(ids, instanceEffect.getAttribute("url")) : null;
+        var profile = effect ? effect.getElementsByTagName("profile_COMMON")[0] : null;
+        var technique = profile ? firstChild(profile, "technique") : null;
+        var shading = technique ? childElements(technique)[0] : null;
+
+        if (!shading)
+            return json;
+
+        var color, texture, path, value;
+
+        json.emissionColor = parseColor(firstChild(shading, "emission")) || json.emissionColor;
+        json.ambientReflectance = parseColor(firstChild(shading, "ambient")) || json.ambientReflectance;
+        json.specularReflectance = parseColor(firstChild(shading, "specular")) || json.specularReflectance;
+
+        var diffuse = firstChild(shading, "diffuse");
+
+        if (diffuse)
+        {
+            color = parseColor(diffuse);
+            texture = firstChild(diffuse, "texture");
+
+            if (color)
+            {
+                json.diffuseReflectance = color;
+            }
+            else if (texture)
+            {
+                json.diffuseReflectance = [1, 1, 1, 1];
+                path = resolveTexture(texture, effect, ids);
+
+                if (path)
+                {
+                    json.diffuseTexture = [path];
+                }
+            }
+        }
+
+        value = parseNumbers(firstChild(firstChild(shading, "shininess"), "float"));
+
+        if (value.length > 0)
+        {
+            json.shininess = value[0];
+        }
+
+        value = parseNumbers(firstChild(firstChild(shading, "transparency"), "float"));
+
+        if (value.length > 0 && !firstChild(shading, "transparent"))
+        {
+            json.diffuseReflectance[3] = value[0];
+        }
+
+        return json;
+    };
+
+    // Reads a source's float_array along with its accessor stride.
+    function parseSource(source)
+    {
+        var accessor = source.getElementsByTagName("accessor")[0];
+
+        return { data: parseNumbers(firstChild(source, "float_array")),
+                 stride: accessor ? parseInt(accessor.getAttribute("stride") || "1", 10) : 3
+        };
+    };
+
+    function parseInputs(primitive, ids)
+    {
+        var inputs = {}, maxOffset = 0;
+        var elements = childElements(primitive, "input");
+
+        var i, semantic, offset, source, vertices, vertexInputs;
+        for (i = 0; i < elements.length; i++)
+        {
+            semantic = elements[i].getAttribute("semantic");
+            offset = parseInt(elements[i].getAttribute("offset") || "0", 10);
+            source = lookup(ids, elements[i].getAttribute("source"));
+            maxOffset = Math.max(maxOffset, offset);
+
+            if (semantic == "VERTEX")
+            {
+                // The vertices element can bundle several inputs, which all
+                // share the VERTEX input's offset.
+                vertices = source;
+                vertexInputs = childElements(vertices, "input");
+
+                var j;
+                for (j = 0; j < vertexInputs.length; j++)
+                {
+                    inputs[vertexInputs[j].getAttribute("semantic")] = {
+                        offset: offset,
+                        source: parseSource(lookup(ids, vertexInputs[j].getAttribute("source")))
+                    };
+                }
+            }
+            else if ((semantic == "NORMAL" || semantic == "TEXCOORD") && !inputs[semantic])
+            {
+                inputs[semantic] = { offset: offset, source: parseSource(source) };
+            }
+        }
+
+        inputs.indexStride = maxOffset + 1;
+        return inputs;
+    };
+
+    // Returns the primitive's polygons as arrays of vertex index tuples.
+    function parsePolygons(primitive, indexStride)
+    {
+        var polygons = [], type = primitive.localName;
+        var ps = childElements(primitive, "p");
+
+        var i, j, p, counts, cursor = 0;
+
+        if (type == "triangles")
+        {
+            counts = [];
+            p = parseNumbers(ps[0]);
+
+            for (i = 0; i < p.length / (3 * indexStride); i++)
+            {
+                counts.push(3);
+            }
+
+            ps = [ps[0]];
+        }
+        else if (type == "polylist")
+        {
+            counts = parseNumbers(firstChild(primitive, "vcount"));
+        }
+
+        for (i = 0; i < ps.length; i++)
+        {
+            p = parseNumbers(ps[i]);
+
+            if (type == "polygons")
+            {
+                counts = [p.length / indexStride];
+                cursor = 0;
+            }
+
+            for (j = 0; j < counts.length; j++)
+            {
+                polygons.push(p.slice(cursor, cursor + counts[j] * indexStride));
+                cursor += counts[j] * indexStride;
+            }
+        }
+
+        return polygons;
+    };
+
+    function parsePrimitive(primitive, ids, materialIndex)
+    {
+        var inputs = parseInputs(primitive, ids);
+        var stride = inputs.indexStride;
+        var polygons = parsePolygons(primitive, stride);
+
+        var mesh = { vertexPositions: [],
+                     vertexNormals: [],
+                     vertexTexCoordinates: [],
+                     indices: [],
+                     materialIndex: materialIndex
+        };
+
+        var texCoords = [], vertexMap = {};
+        var position = inputs.POSITION, normal = inputs.NORMAL, texCoord = inputs.TEXCOORD;
+        var faceNormal = vec3.create(), e1 = vec3.create(), e2 = vec3.create();
+
+        function copy(input, index, count, dest)
+        {
+            var k, start = input.source.stride * index;
+
+            for (k = 0; k < count; k++)
+            {
+                dest.push(input.source.data[start + k]);
+            }
+        };
+
+        function addVertex(polygon, corner, faceIndex)
+        {
+            var tuple = polygon.slice(corner * stride, (corner + 1) * stride);
+
+            // Without normals, each face gets its own vertices so they can
+            // share its flat normal.
+            var key = tuple.join(" ") + (normal ? "" : "/" + faceIndex);
+            var index = vertexMap[key];
+
+            if (index === undefined)
+            {
+                index = mesh.vertexPositions.length / 3;
+                vertexMap[key] = index;
+
+                copy(position, tuple[position.offset], 3, mesh.vertexPositions);
+
+                if (normal)
+                {
+                    copy(normal, tuple[normal.offset], 3, mesh.vertexNormals);
+                }
+                else
+                {
+                    mesh.vertexNormals.push(faceNormal[0], faceNormal[1], faceNormal[2]);
+                }
+
+                if (texCoord)
+                {
+                    copy(texCoord, tuple[texCoord.offset], 2, texCoords);
+                }
+            }
+
+            mesh.indices.push(index);
+        };
+
+        function computeFaceNormal(polygon)
+        {
+            var k, p = [];
+
+            for (k = 0; k < 3; k++)
+            {
+                p.push(position.source.data.slice(3 * polygon[k * stride + position.offset],
+                                                  3 * polygon[k * stride + position.offset] + 3));
+            }
+
+            vec3.subtract(p[1], p[0], e1);
+            vec3.subtract(p[2], p[0], e2);
+            vec3.normalize(vec3.cross(e1, e2, faceNormal));
+        };
+
+        if (!position)
+        {
+            throw new Error("COLLADA primitive has no POSITION input");
+        }
+
+        var i, j, faceIndex = 0;
+        for (i = 0; i < polygons.length; i++)
+        {
+            // Triangulate the polygon as a fan around its first vertex.
+            for (j = 2; j < polygons[i].length / stride; j++)
+            {
+                if (!normal)
+                {
+                    computeFaceNormal([].concat(polygons[i].slice(0, stride),
+                                                polygons[i].slice((j - 1) * stride, (j + 1) * stride)));
+                }
+
+                addVertex(polygons[i], 0, faceIndex);
+                addVertex(polygons[i], j - 1, faceIndex);
+                addVertex(polygons[i], j, faceIndex);
+                faceIndex++;
+            }
+        }
+
+        if (texCoord)
+        {
+            mesh.vertexTexCoordinates.push(texCoords);
+        }
+
+        return mesh;
+    };
+
+    // COLLADA matrices are row-major while gl-matrix's are column-major.
+    function parseLocalMatrix(node)
+    {
+        var local = mat4.identity(mat4.create()), tmp = mat4.create();
+        var elements = childElements(node);
+
+        var i, values;
+        for (i = 0; i < elements.length; i++)
+        {
+            values = parseNumbers(elements[i]);
+
+            switch (elements[i].localName)
+            {
+                case "matrix":
+                    mat4.transpose(values, tmp);
+                    mat4.multiply(local, tmp);
+                    break;
+                case "translate":
+                    mat4.translate(local, values);
+                    break;
+                case "rotate":
+                    mat4.rotate(local, ShipGL.Math.toRadians(values[3]), values);
+                    break;
+                case "scale":
+                    mat4.scale(local, values);
+                    break;
+            }
+        }
+
+        return local;
+    };
+
+    function parse(daeText)
+    {
+        var doc = new DOMParser().parseFromString(daeText, "application/xml");
+
+        if (doc.getElementsByTagName("parsererror").length > 0 ||
+            !doc.documentElement || doc.documentElement.localName != "COLLADA")
+        {
+            throw new Error("Not a valid COLLADA document");
+        }
+
+        var ids = indexIds(doc);
+        var json = { name: "noname", materials: [], meshes: [], nodes: [] };
+        var materialIndices = {}, meshCache = {};
+
+        function materialIndexFor(materialId)
+        {
+            if (materialIndices[materialId] === undefined)
+            {
+                materialIndices[materialId] = json.materials.length;
+                json.materials.push(parseMaterial(lookup(ids, materialId), ids));
+            }
+
+            return materialIndices[materialId];
+        };
+
+        // Meshes are shared between every instance of a geometry that binds
+        // the same materials.
+        function meshIndicesFor(instance)
+        {
+            var geometry = lookup(ids, instance.getAttribute("url"));
+            var mesh = geometry ? firstChild(geometry, "mesh") : null;
+            var bindings = {}, result = [];
+
+            if (!mesh)
+                return result;
+
+            var i, symbol, materialIndex, key, instances = instance.getElementsByTagName("instance_material");
+            for (i = 0; i < instances.length; i++)
+            {
+                bindings[instances[i].getAttribute("symbol")] = instances[i].getAttribute("target");
+            }
+
+            var primitives = childElements(mesh).filter(function(element)
+            {
+                return /^(triangles|polylist|polygons)$/.test(element.localName);
+            });
+
+            for (i = 0; i < primitives.length; i++)
+            {
+                symbol = primitives[i].getAttribute("material");
+                materialIndex = materialIndexFor(bindings[symbol] || symbol || "");
+                key = geometry.getAttribute("id") + "/" + i + "/" + materialIndex;
+
+                if (meshCache[key] === undefined)
+                {
+                    meshCache[key] = json.meshes.length;
+                    json.meshes.push(parsePrimitive(primitives[i], ids, materialIndex));
+                }
+
+                result.push(meshCache[key]);
+            }
+
+            return result;
+        };
+
+        // rootMatrix is only given for the visual scene's top level nodes.
+        function visit(node, rootMatrix)
+        {
+            var matrix = parseLocalMatrix(node);
+            var children = childElements(node);
+
+            if (rootMatrix)
+            {
+                mat4.multiply(rootMatrix, matrix, matrix);
+            }
+
+            var result = { name: node.getAttribute("name") || node.getAttribute("id") || "",
+                           modelMatrix: Array.prototype.slice.call(matrix),
+                           meshIndices: [],
+                           children: []
+            };
+
+            var i, target;
+            for (i = 0; i < children.length; i++)
+            {
+                switch (children[i].localName)
+                {
+                    case "instance_geometry":
+                        result.meshIndices = result.meshIndices.concat(meshIndicesFor(children[i]));
+                        break;
+                    case "node":
+                        result.children.push(visit(children[i]));
+                        break;
+                    case "instance_node":
+                        target = lookup(ids, children[i].getAttribute("url"));
+
+                        if (target)
+                        {
+                            result.children.push(visit(target));
+                        }
+                        break;
+                }
+            }
+
+            return result;
+        };
+
+        var rootMatrix = mat4.identity(mat4.create());
+        var upAxis = doc.getElementsByTagName("up_axis")[0];
+
+        if (upAxis && upAxis.textContent.trim() == "Z_UP")
+        {
+            mat4.rotateX(rootMatrix, -Math.PI / 2);
+        }
+
+        var scene = doc.getElementsByTagName("scene")[0];
+        var instanceScene = scene ? firstChild(scene, "instance_visual_scene") : null;
+        var visualScene = instanceScene ? lookup(ids, instanceScene.getAttribute("url")) :
+                                          doc.getElementsByTagName("visual_scene")[0];
+
+        if (!visualScene)
+        {
+            throw new Error("COLLADA document has no visual scene");
+        }
+
+        json.name = visualScene.getAttribute("name") || json.name;
+
+        var i, rootNodes = childElements(visualScene, "node");
+        for (i = 0; i < rootNodes.length; i++)
+        {
+            json.nodes.push(visit(rootNodes[i], rootMatrix));
+        }
+
+        return json;
+    };
+
+    function load(gl, pathToDAE, onLoad, onError, ModelType, options)
+    {
+        ModelType = ModelType || ShipGL.StandardModel;
+
+        return ShipGL.FileLoader.loadText(pathToDAE, function(daeText)
+        {
+            var model;
+
+            // Errors in the document can also surface while the model builds
+            // its meshes, so those are reported as parse failures too.
+            try
+            {
+                model = new ModelType(gl, pathToDAE, parse(daeText));
+                model.initialize(options);
+            }
+            catch (e)
+            {
+                var error = new ShipGL.FileLoadError(pathToDAE, 0, "parse",
+                                                     "Failed to load " + pathToDAE +
+                                                     ": " + e.message);
+                if (!onError)
+                {
+                    throw error;
+                }
+
+                onError(error);
+                return;
+            }
+
+            model.onReady(onLoad);
+        }, onError, { mimeType: "application/xml" });
+    };
+
+    return { parse: parse,
+             load: load
+    };
+})();
+/**
+ * @file Contains all ShipGL.GLTFImporter code.
  * @author Jason Shipman
  *
  * Copyright (C) 2012 Jason Shipman
@@ -2401,341 +10871,675 @@ ShipGL.DirectionalLight.prototype.stopRotation = function()
  */
 
 /**
- * Creates a new ShipGL.Model instance. Be sure to call initialize to prepare
- * the model for rendering and also to accurately set the instance's fields.
- *
- * @class ShipGL.Model
- * @classdesc ShipGL.Model is an abstract base class that provides a handful
- *            of useful and efficient model loading facilities.
- * @augments ShipGL.GLResource
- *
- * @param {WebGLRenderingContext} gl The rendering context
- * @param {string} pathToJSON The string path to the JSON model file
- * @example
- * // IMPORTANT: Please read this whole example!
- *
- * // Since this class is abstract, a subclass must be provided to create
- * // a valid ShipGL.Model.  Assume you have already written a subclass
- * // called MyModel.
- *
- * // Create an instance and initialize. Note that your subclass may have
- * // additional parameters for construction or initialization.
- * var model = new MyModel(gl, "model.json");
- * model.initialize();
- *
- * // After the model's been initialized, it is ready for rendering.
- *
- * // Assuming you've implemented rendering code in MyModel's draw method,
- * // you can render the model like this:
- * model.draw();
- *
- * // Calling initialize is very important as it does the following:
- * //   1) Stores all attribute info in the vbo and ibo fields.
- * //   2) Loads all of the model's textures.
- * //   3) Computes a normal matrix for each node.
- * //   4) Computes the model's extents info.
- *
- * // After calling initialize, every mesh will have the following additional
- * // fields:
- * //   hasTexture, a boolean for whether or not the mesh's material has a texture
- * //   hasIndices, a boolean for whether or not the mesh has indices
- * //   positionsOffset, the starting array index in the vbo for the mesh's vertices
- * //   normalsOffset, the starting array index in the vbo for the mesh's normals
- * //   stride, the stride between quantities in the array (in terms of array indices, NOT bytes)
+ * ShipGL.GLTFImporter converts glTF 2.0 assets (.gltf files with external
+ * or embedded buffers, and binary .glb files) into the same JSON model data
+ * ShipGL.Model reads from its JSON model files, so any ShipGL.Model
+ * subclass can render glTF models. Function documentation is provided
+ * through an example since JSDoc doesn't have great support for documenting
+ * singleton-like objects.
  *
- * // If the mesh has a texture (hasTexture == true), it will also have:
- * //   texCoordsOffset, the starting array index in the vbo for the mesh's texture coordinates
- *
- * // If the mesh has indices (hasIndices == true), it will also have:
- * //   indicesOffset, the starting array index in the ibo for the mesh's indices
- * //   indicesByteOffset, the starting byte in the ibo for the mesh's indices (useful for drawElements)
+ * Every primitive becomes one mesh with its positions, normals, texture
+ * coordinate sets and indices. Accessors may use separate or interleaved
+ * buffer views. Materials keep their metallic-roughness fields, base color,
+ * metallic-roughness and occlusion maps, so ShipGL.Model makes them
+ * ShipGL.PBRMaterial's. They also take their diffuse reflectance and
+ * texture from the base color, their emission color and emissive map from
+ * the emissive factor and texture, and their normal map from the normal
+ * texture. Every scene node becomes one node, with its transform
+ * relative to its parent as its modelMatrix and its glTF children as its
+ * children.
  *
- * // After calling initialize, every material that has a texture will have the
- * // following additional field:
- * //   texture, the material's ShipGL.Texture instance
+ * Assets using required extensions, sparse accessors, or primitives that
+ * are not triangles are rejected with an Error naming the feature.
+ * Skins, morph targets, animations and cameras are ignored.
  *
- * // After calling initialize, every node will have the following additional
- * // field:
- * //   normalMatrix, a matrix used to transform the normal to world space and ensure
- * //                 that it is still perpendicular to the surface
- */
-ShipGL.Model = function(gl, pathToJSON)
-{
-    ShipGL.GLResource.call(this, gl);
-    
-    var jsonStr = ShipGL.FileLoader.loadLocal(pathToJSON, "application/json") ||
-                  ShipGL.FileLoader.loadHttp(pathToJSON, "application/json");
+ * @example
+ * // Asynchronously load a .gltf or .glb file, along with any external
+ * // buffers it references, and create an initialized model from it. The
+ * // callback gets the model once all of its textures have loaded. The
+ * // optional options are passed to the model's initialize method.
+ * ShipGL.GLTFImporter.load(gl, "models/duck/duck.gltf",
+ *     function(model) { model.draw(); },
+ *     function(error) { alert(error.message); },
+ *     MyModel, { pbrMaterials: true });
+ *
+ * // parseGLB(arrayBuffer) splits a .glb file into its parsed glTF JSON and
+ * // its binary chunk (an ArrayBuffer, or null).
+ * var glb = ShipGL.GLTFImporter.parseGLB(arrayBuffer);
+ *
+ * // parse(gltf, buffers) returns JSON model data. buffers holds an
+ * // ArrayBuffer for every entry in gltf.buffers. It throws an Error for
+ * // invalid or unsupported assets.
+ * var json = ShipGL.GLTFImporter.parse(glb.gltf, [glb.bin]);
+ */
+ShipGL.GLTFImporter = (function()
+{
+    var TRIANGLES = 4;
+
+    var GLB_MAGIC = 0x46546C67;
+    var GLB_JSON_CHUNK = 0x4E4F534A;
+    var GLB_BIN_CHUNK = 0x004E4942;
+
+    var componentTypes = {
+        5120: { ArrayType: Int8Array,    max: 127 },
+        5121: { ArrayType: Uint8Array,   max: 255 },
+        5122: { ArrayType: Int16Array,   max: 32767 },
+        5123: { ArrayType: Uint16Array,  max: 65535 },
+        5125: { ArrayType: Uint32Array,  max: 4294967295 },
+        5126: { ArrayType: Float32Array, max: 1 }
+    };
 
-    /**
-     * @memberof ShipGL.Model#
-     * @description The parsed JSON model data
-     * @name json
-     */
-    this.json = JSON.parse(jsonStr);
+    var componentCounts = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4,
+                            MAT2: 4, MAT3: 9, MAT4: 16 };
 
-    /**
-     * @memberof ShipGL.Model#
-     * @description The model's vertex buffer object (of type ShipGL.Buffer)
-     * @name vbo
-     */
-    
-    /**
-     * @memberof ShipGL.Model#
-     * @description The model's index buffer object (of type ShipGL.Buffer)
-     * @name ibo
-     */
-    this.vbo = new ShipGL.Buffer(gl, gl.ARRAY_BUFFER, Float32Array);
-    this.ibo = new ShipGL.Buffer(gl, gl.ELEMENT_ARRAY_BUFFER, Uint16Array);
+    function decodeDataURI(uri)
+    {
+        var binary = atob(uri.substring(uri.indexOf(",") + 1));
+        var bytes = new Uint8Array(binary.length);
 
-    /**
-     * @memberof ShipGL.Model#
-     * @description The model's minimum extent
-     * @name min
-     */
-    this.min = vec3.create();
-    
-    /**
-     * @memberof ShipGL.Model#
-     * @description The model's maximum extent
-     * @name max
-     */
-    this.max = vec3.create();
-    
-    /**
-     * @memberof ShipGL.Model#
-     * @description The model's center
-     * @name center
-     */
-    this.center = vec3.create();
-    
-    /**
-     * @memberof ShipGL.Model#
-     * @description The model's diagonal distance
-     * @name diagonal
-     */
-    this.diagonal = 0;
+        var i;
+        for (i = 0; i < binary.length; i++)
+        {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return bytes.buffer;
+    };
+
+    function parseGLB(arrayBuffer)
+    {
+        var view = new DataView(arrayBuffer);
+
+        if (arrayBuffer.byteLength < 20 || view.getUint32(0, true) != GLB_MAGIC)
+        {
+            throw new Error("Not a binary glTF (.glb) file");
+        }
+
+        if (view.getUint32(4, true) != 2)
+        {
+            throw new Error("Unsupported binary glTF version " + view.getUint32(4, true));
+        }
+
+        var gltf = null, bin = null;
+        var offset = 12, length = Math.min(view.getUint32(8, true), arrayBuffer.byteLength);
+
+        var chunkLength, chunkType, chunkBytes;
+        while (offset + 8 <= length)
+        {
+            chunkLength = view.getUint32(offset, true);
+            chunkType = view.getUint32(offset + 4, true);
+            chunkBytes = arrayBuffer.slice(offset + 8, offset + 8 + chunkLength);
+
+            if (chunkType == GLB_JSON_CHUNK)
+            {
+                gltf = JSON.parse(decodeUTF8(new Uint8Array(chunkBytes)));
+            }
+            else if (chunkType == GLB_BIN_CHUNK && !bin)
+            {
+                bin = chunkBytes;
+            }
+
+            offset += 8 + chunkLength;
+        }
+
+        if (!gltf)
+        {
+            throw new Error("Binary glTF file has no JSON chunk");
+        }
+
+        return { gltf: gltf, bin: bin };
+    };
+
+    function decodeUTF8(bytes)
+    {
+        var i, binary = "";
+
+        for (i = 0; i < bytes.length; i++)
+        {
+            binary += String.fromCharCode(bytes[i]);
+        }
+
+        return decodeURIComponent(escape(binary));
+    };
+
+    function checkSupport(gltf)
+    {
+        var version = gltf.asset ? String(gltf.asset.version) : "";
+
+        if (version.charAt(0) != "2")
+        {
+            throw new Error("Unsupported glTF version \"" + version +
+                            "\" (only 2.0 is supported)");
+        }
+
+        if (gltf.extensionsRequired && gltf.extensionsRequired.length > 0)
+        {
+            throw new Error("Unsupported required glTF extension(s): " +
+                            gltf.extensionsRequired.join(", "));
+        }
+    };
+
+    // Reads an accessor into a tightly packed typed array, following the
+    // buffer view's byteStride for interleaved data. Normalized integer
+    // data is converted to floats. The result is always a copy, since
+    // texture coordinates get flipped in place and accessors can be shared.
+    function readAccessor(gltf, buffers, index)
+    {
+        var accessor = gltf.accessors[index];
+
+        if (accessor.sparse)
+        {
+            throw new Error("Sparse glTF accessors are not supported (accessor " +
+                            index + ")");
+        }
+
+        var type = componentTypes[accessor.componentType];
+        var count = componentCounts[accessor.type];
+
+        if (!type || !count)
+        {
+            throw new Error("Unsupported glTF accessor layout " + accessor.type +
+                            "/" + accessor.componentType + " (accessor " + index + ")");
+        }
+
+        var ArrayType = accessor.normalized ? Float32Array : type.ArrayType;
+        var result = new ArrayType(accessor.count * count);
+
+        // Accessors without a buffer view are all zeros.
+        if (accessor.bufferView === undefined)
+        {
+            return result;
+        }
+
+        var bufferView = gltf.bufferViews[accessor.bufferView];
+        var buffer = buffers[bufferView.buffer];
+        var elementSize = type.ArrayType.BYTES_PER_ELEMENT;
+        var byteStride = bufferView.byteStride || elementSize * count;
+        var byteOffset = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+
+        if (!buffer)
+        {
+            throw new Error("glTF buffer " + bufferView.buffer + " was not loaded");
+        }
+
+        // Tightly packed, aligned data is copied in one go through a single
+        // view of the whole range.
+        if (!accessor.normalized && byteStride == elementSize * count &&
+            byteOffset % elementSize == 0)
+        {
+            result.set(new type.ArrayType(buffer, byteOffset, result.length));
+            return result;
+        }
+
+        var i, j, src, scale = accessor.normalized ? 1 / type.max : 1;
+        for (i = 0; i < accessor.count; i++)
+        {
+            src = new type.ArrayType(buffer, byteOffset + i * byteStride, count);
+
+            for (j = 0; j < count; j++)
+            {
+                result[i * count + j] = accessor.normalized ? Math.max(src[j] * scale, -1) :
+                                                             src[j];
+            }
+        }
+
+        return result;
+    };
+
+    function imageURI(gltf, buffers, imageIndex)
+    {
+        var image = gltf.images[imageIndex];
+
+        if (image.uri !== undefined)
+        {
+            return image.uri;
+        }
+
+        // Images embedded in a buffer view (common in .glb files) are
+        // handed to the texture as blob URLs.
+        var bufferView = gltf.bufferViews[image.bufferView];
+        var start = bufferView.byteOffset || 0;
+        var bytes = buffers[bufferView.buffer].slice(start, start + bufferView.byteLength);
+
+        return URL.createObjectURL(new Blob([bytes], { type: image.mimeType }));
+    };
+
+    function parseMaterial(gltf, buffers, material)
+    {
+        var pbr = material.pbrMetallicRoughness || {};
+        var emissive = material.emissiveFactor || [0, 0, 0];
+
+        var json = { diffuseTexture: [],
+                     diffuseReflectance: (pbr.baseColorFactor || [1, 1, 1, 1]).slice(),
+                     ambientReflectance: [0, 0, 0, 1],
+                     specularReflectance: [0, 0, 0, 1],
+                     shininess: 0,
+                     emissionColor: [emissive[0], emissive[1], emissive[2], 1],
+                     baseColorFactor: (pbr.baseColorFactor || [1, 1, 1, 1]).slice(),
+                     metallicFactor: pbr.metallicFactor !== undefined ? pbr.metallicFactor : 1,
+                     roughnessFactor: pbr.roughnessFactor !== undefined ? pbr.roughnessFactor : 1
+        };
 
-    this._imageDirHelper = pathToJSON.replace("model.json", "");
-};
+        function texturePaths(textureInfo)
+        {
+            var texture = textureInfo ? gltf.textures[textureInfo.index] : null;
+            return texture && texture.source !== undefined ?
+                   [imageURI(gltf, buffers, texture.source)] : [];
+        };
 
-ShipGL.Model.prototype = Object.create(ShipGL.GLResource.prototype);
+        json.diffuseTexture = texturePaths(pbr.baseColorTexture);
+        json.baseColorTexture = json.diffuseTexture;
+        json.metallicRoughnessTexture = texturePaths(pbr.metallicRoughnessTexture);
+        json.occlusionTexture = texturePaths(material.occlusionTexture);
+        json.normalTexture = texturePaths(material.normalTexture);
+        json.emissiveTexture = texturePaths(material.emissiveTexture);
 
-/**
- * Initialize the model.
- *
- * @this {ShipGL.Model}
- */
-ShipGL.Model.prototype.initialize = function()
-{
-    this._initBuffers();
-    this._initMaterialTextures();
-    this._initNormalMatrices();
-    this._computeExtents();
-};
+        if (material.occlusionTexture && material.occlusionTexture.strength !== undefined)
+        {
+            json.occlusionStrength = material.occlusionTexture.strength;
+        }
 
-/**
- * Render the model. This is abstract.
- *
- * @this {ShipGL.Model}
- */
-ShipGL.Model.prototype.draw = function()
-{
-    throw "ShipGL.Model.draw is abstract!";
-};
+        return json;
+    };
 
-ShipGL.Model.prototype._initBuffers = function()
-{
-    var i, curMesh, curMaterial, vboSize = 0, iboSize = 0, stride = 0;
+    function createDefaultMaterial()
+    {
+        return { diffuseTexture: [],
+                 diffuseReflectance: [1, 1, 1, 1],
+                 ambientReflectance: [0, 0, 0, 1],
+                 specularReflectance: [0, 0, 0, 1],
+                 shininess: 0,
+                 emissionColor: [0, 0, 0, 1],
+                 baseColorFactor: [1, 1, 1, 1],
+                 metallicFactor: 1,
+                 roughnessFactor: 1
+        };
+    };
 
-    // This loop computes sizes of VBO and IBO. It also attaches
-    // stride, hasIndices, and hasTexture info to the json mesh.
-    for (i = 0; i < this.json.meshes.length; i++)
+    // Without normals, glTF calls for flat shading, so every triangle gets
+    // its own three vertices sharing the triangle's normal.
+    function unweldWithFlatNormals(mesh)
     {
-        curMesh = this.json.meshes[i];
-        stride = 0;
+        var indices = mesh.indices, positions = mesh.vertexPositions;
+        var flatPositions = new Float32Array(3 * indices.length);
+        var flatNormals = new Float32Array(3 * indices.length);
+        var flatTexCoords = mesh.vertexTexCoordinates.map(function()
+        {
+            return new Float32Array(2 * indices.length);
+        });
 
-        vboSize += curMesh.vertexPositions.length;
-        stride += 3;
+        var p = [vec3.create(), vec3.create(), vec3.create()];
+        var e1 = vec3.create(), e2 = vec3.create(), n = vec3.create();
 
-        vboSize += curMesh.vertexNormals.length;
-        stride += 3;
-        
-        curMesh.hasTexture = false;
-        if (curMesh.vertexTexCoordinates &&
-            curMesh.vertexTexCoordinates[0] &&
-            curMesh.vertexTexCoordinates[0].length > 0)
+        var i, j, k, v;
+        for (i = 0; i < indices.length; i += 3)
         {
-            curMaterial = this.json.materials[curMesh.materialIndex];
-            curMesh.hasTexture = curMaterial.diffuseTexture.length > 0;
+            for (j = 0; j < 3; j++)
+            {
+                v = indices[i + j];
+
+                for (k = 0; k < 3; k++)
+                {
+                    p[j][k] = positions[3 * v + k];
+                    flatPositions[3 * (i + j) + k] = p[j][k];
+                }
+
+                for (k = 0; k < flatTexCoords.length; k++)
+                {
+                    flatTexCoords[k][2 * (i + j)] = mesh.vertexTexCoordinates[k][2 * v];
+                    flatTexCoords[k][2 * (i + j) + 1] = mesh.vertexTexCoordinates[k][2 * v + 1];
+                }
+            }
+
+            vec3.subtract(p[1], p[0], e1);
+            vec3.subtract(p[2], p[0], e2);
+            vec3.normalize(vec3.cross(e1, e2, n));
 
-            if (curMesh.hasTexture)
+            for (j = 0; j < 3; j++)
             {
-                vboSize += curMesh.vertexTexCoordinates[0].length;
-                stride += 2;
+                flatNormals.set(n, 3 * (i + j));
             }
         }
 
-        curMesh.stride = stride;
+        mesh.vertexPositions = flatPositions;
+        mesh.vertexNormals = flatNormals;
+        mesh.vertexTexCoordinates = flatTexCoords;
+        mesh.indices = [];
+    };
 
-        curMesh.hasIndices = false;
-        if (curMesh.indices && curMesh.indices.length > 0)
+    function parsePrimitive(gltf, buffers, primitive, materialIndex, meshIndex)
+    {
+        var mode = primitive.mode === undefined ? TRIANGLES : primitive.mode;
+
+        if (mode != TRIANGLES)
         {
-            curMesh.hasIndices = true;
-            curMesh.indicesOffset = iboSize;
-            curMesh.indicesByteOffset = Uint16Array.BYTES_PER_ELEMENT * iboSize;
-            iboSize += curMesh.indices.length;
+            throw new Error("Unsupported glTF primitive mode " + mode + " in mesh " +
+                            meshIndex + " (only triangles are supported)");
         }
-    }
 
-    this.vbo.bind();
-    this.ibo.bind();
+        if (primitive.extensions && primitive.extensions.KHR_draco_mesh_compression)
+        {
+            throw new Error("Draco compressed glTF meshes are not supported");
+        }
 
-    this.vbo.allocate(vboSize);
-    this.ibo.allocate(iboSize);
+        var attributes = primitive.attributes;
 
-    // This loop writes all the vertex/index data into the buffers.
-    var j, k, writeIdx = 0;
-    for (i = 0; i < this.json.meshes.length; i++)
-    {
-        curMesh = this.json.meshes[i];
+        if (attributes.POSITION === undefined)
+        {
+            throw new Error("glTF primitive in mesh " + meshIndex + " has no POSITION");
+        }
 
-        curMesh.positionsOffset = writeIdx;
-        curMesh.normalsOffset = 3 + writeIdx;
+        var mesh = { vertexPositions: readAccessor(gltf, buffers, attributes.POSITION),
+                     vertexNormals: null,
+                     vertexTexCoordinates: [],
+                     indices: [],
+                     materialIndex: materialIndex
+        };
 
-        if (curMesh.hasTexture)
+        var i, j, texCoords;
+        for (i = 0; attributes["TEXCOORD_" + i] !== undefined; i++)
         {
-            curMesh.texCoordsOffset = 6 + writeIdx;
+            texCoords = readAccessor(gltf, buffers, attributes["TEXCOORD_" + i]);
+
+            // glTF puts the texture origin at the top left, ShipGL at the
+            // bottom left.
+            for (j = 1; j < texCoords.length; j += 2)
+            {
+                texCoords[j] = 1 - texCoords[j];
+            }
+
+            mesh.vertexTexCoordinates.push(texCoords);
         }
 
-        for (j = 0, k = 0 ; j < curMesh.vertexPositions.length; j += 3)
+        if (primitive.indices !== undefined)
         {
-            this.vbo.write(curMesh.vertexPositions.slice(j, j+3), writeIdx);
-            writeIdx += 3;
-
-            this.vbo.write(curMesh.vertexNormals.slice(j, j+3), writeIdx);
-            writeIdx += 3;
+            mesh.indices = readAccessor(gltf, buffers, primitive.indices);
+        }
 
-            if (curMesh.hasTexture)
+        if (attributes.NORMAL !== undefined)
+        {
+            mesh.vertexNormals = readAccessor(gltf, buffers, attributes.NORMAL);
+        }
+        else
+        {
+            if (mesh.indices.length == 0)
             {
-                this.vbo.write(curMesh.vertexTexCoordinates[0].slice(k, k+2), writeIdx);
-                writeIdx += 2;
-                k += 2;
+                mesh.indices = new Uint32Array(mesh.vertexPositions.length / 3);
+
+                for (i = 0; i < mesh.indices.length; i++)
+                {
+                    mesh.indices[i] = i;
+                }
             }
+
+            unweldWithFlatNormals(mesh);
         }
 
-        if (curMesh.hasIndices)
+        return mesh;
+    };
+
+    // glTF matrices are column-major, just like gl-matrix's.
+    function localMatrix(node)
+    {
+        var matrix = mat4.identity(mat4.create());
+
+        if (node.matrix)
         {
-            this.ibo.write(curMesh.indices, curMesh.indicesOffset);
+            mat4.set(node.matrix, matrix);
+            return matrix;
         }
-    }
-    
-    this.vbo.unbind();
-    this.ibo.unbind();
-};
 
-ShipGL.Model.prototype._initMaterialTextures = function()
-{
-    var i, curMaterial;
+        if (node.translation)
+        {
+            mat4.translate(matrix, node.translation);
+        }
 
-    // This loop loads all textures and stores each one in its
-    // corresponding json material (if material has texture).
-    for (i = 0; i < this.json.materials.length; i++)
-    {
-        curMaterial = this.json.materials[i];
+        if (node.rotation)
+        {
+            mat4.multiply(matrix, quat4.toMat4(node.rotation));
+        }
 
-        if (curMaterial.diffuseTexture.length > 0)
+        if (node.scale)
         {
-            curMaterial.texture = new ShipGL.Texture(this.gl);
-            curMaterial.texture.load(this._imageDirHelper +
-                                     curMaterial.diffuseTexture[0]);
+            mat4.scale(matrix, node.scale);
         }
-    }
-};
 
-ShipGL.Model.prototype._initNormalMatrices = function()
-{
-    var i, curNode;
+        return matrix;
+    };
 
-    // This loop computes the inverse transpose of each node's model matrix
-    // and stores it right back in the json node.
-    for (i = 0; i < this.json.nodes.length; i++)
+    function parse(gltf, buffers)
     {
-        curNode = this.json.nodes[i];
+        checkSupport(gltf);
 
-        curNode.normalMatrix = mat4.create();
-        mat4.inverse(curNode.modelMatrix, curNode.normalMatrix);
-        mat4.transpose(curNode.normalMatrix);
-    }
-};
+        var json = { name: "noname", materials: [], meshes: [], nodes: [] };
+        var materialIndices = {}, meshIndices = {};
 
-// Defines min, max, center, and diagonal on the model.
-ShipGL.Model.prototype._computeExtents = function()
-{
-    function makeExtentsUpdater(pred)
-    {
-        return function(v1, v2, dest)
+        function materialIndexFor(index)
         {
-            var extX = v2[0], extY = v2[1], extZ = v2[2];
+            var key = index === undefined ? "default" : index;
 
-            if (pred(v1[0], v2[0]))
-                extX = v1[0];
+            if (materialIndices[key] === undefined)
+            {
+                materialIndices[key] = json.materials.length;
+                json.materials.push(index === undefined ? createDefaultMaterial() :
+                                    parseMaterial(gltf, buffers, gltf.materials[index]));
+            }
 
-            if (pred(v1[1], v2[1]))
-                extY = v1[1];
+            return materialIndices[key];
+        };
 
-            if (pred(v1[2], v2[2]))
-                extZ = v1[2];
+        // Each glTF mesh is parsed once, however many nodes use it.
+        function meshIndicesFor(index)
+        {
+            if (!meshIndices[index])
+            {
+                var i, primitives = gltf.meshes[index].primitives;
+                meshIndices[index] = [];
+
+                for (i = 0; i < primitives.length; i++)
+                {
+                    meshIndices[index].push(json.meshes.length);
+                    json.meshes.push(parsePrimitive(gltf, buffers, primitives[i],
+                                                    materialIndexFor(primitives[i].material),
+                                                    index));
+                }
+            }
 
-            dest[0] = extX;
-            dest[1] = extY;
-            dest[2] = extZ;
+            return meshIndices[index];
         };
-    };
 
-    var updateMinExtents = makeExtentsUpdater(
-            function(val1, val2) { return val1 < val2; });
+        function visit(nodeIndex)
+        {
+            var node = gltf.nodes[nodeIndex];
+            var result = { name: node.name || "",
+                           modelMatrix: Array.prototype.slice.call(localMatrix(node)),
+                           meshIndices: node.mesh !== undefined ? meshIndicesFor(node.mesh).slice() : [],
+                           children: []
+            };
+
+            var i;
+            for (i = 0; node.children && i < node.children.length; i++)
+            {
+                result.children.push(visit(node.children[i]));
+            }
 
-    var updateMaxExtents = makeExtentsUpdater(
-            function(val1, val2) { return val1 > val2; });
-    
-    var minExtent = vec3.createFrom(Number.MAX_VALUE, Number.MAX_VALUE,
-                                    Number.MAX_VALUE);
-    var maxExtent = vec3.createFrom(-Number.MIN_VALUE, -Number.MIN_VALUE,
-                                    -Number.MIN_VALUE);
-    var tmpVec = vec3.create();
+            return result;
+        };
 
-    var i, j, k, curNode, curVerts;
-    for (i = 0; i < this.json.nodes.length; i++)
+        var rootNodes, scenes = gltf.scenes || [];
+        var scene = scenes[gltf.scene || 0];
+
+        if (scene)
+        {
+            json.name = scene.name || json.name;
+            rootNodes = scene.nodes || [];
+        }
+        else
+        {
+            // Without scenes, every node that is nobody's child is a root.
+            var i, isChild = {};
+            rootNodes = [];
+
+            (gltf.nodes || []).forEach(function(node)
+            {
+                (node.children || []).forEach(function(child) { isChild[child] = true; });
+            });
+
+            for (i = 0; gltf.nodes && i < gltf.nodes.length; i++)
+            {
+                if (!isChild[i])
+                {
+                    rootNodes.push(i);
+                }
+            }
+        }
+
+        var j;
+        for (j = 0; j < rootNodes.length; j++)
+        {
+            json.nodes.push(visit(rootNodes[j]));
+        }
+
+        return json;
+    };
+
+    function load(gl, pathToGLTF, onLoad, onError, ModelType, options)
     {
-        curNode = this.json.nodes[i];
+        ModelType = ModelType || ShipGL.StandardModel;
 
-        for (j = 0; j < curNode.meshIndices.length; j++)
+        var dir = pathToGLTF.substring(0, pathToGLTF.lastIndexOf("/") + 1);
+        var failed = false;
+
+        function fail(error)
         {
-            curVerts = this.json.meshes[curNode.meshIndices[j]].vertexPositions;
+            if (failed)
+                return;
 
-            for (k = 0; k < curVerts.length; k += 3)
+            failed = true;
+
+            if (!onError)
             {
-                tmpVec[0] = curVerts[k];
-                tmpVec[1] = curVerts[k + 1];
-                tmpVec[2] = curVerts[k + 2];
+                throw error;
+            }
 
-                mat4.multiplyVec3(curNode.modelMatrix, tmpVec);
+            onError(error);
+        };
 
-                updateMinExtents(minExtent, tmpVec, minExtent);
-                updateMaxExtents(maxExtent, tmpVec, maxExtent);
+        function failParse(e)
+        {
+            fail(new ShipGL.FileLoadError(pathToGLTF, 0, "parse",
+                                          "Failed to load glTF " + pathToGLTF +
+                                          ": " + e.message));
+        };
+
+        function finish(gltf, buffers)
+        {
+            var model;
+
+            try
+            {
+                model = new ModelType(gl, pathToGLTF, parse(gltf, buffers));
+                model.initialize(options);
+            }
+            catch (e)
+            {
+                failParse(e);
+                return;
             }
-        }
-    }
-    
-    var center = vec3.create();
-    vec3.add(minExtent, maxExtent, center);
-    vec3.scale(center, 0.5);
 
-    vec3.set(minExtent, this.min);
-    vec3.set(maxExtent, this.max);
-    vec3.set(center, this.center);
-    this.diagonal = vec3.dist(this.min, this.max);
-};
+            model.onReady(onLoad);
+        };
+
+        // Embedded (data: URI) buffers are decoded right away. External
+        // buffers are loaded relative to the glTF file.
+        function loadBuffers(gltf, bin)
+        {
+            var buffers = [], pendingCount = 0;
+            var gltfBuffers = gltf.buffers || [];
+
+            function makeOnLoad(index)
+            {
+                return function(arrayBuffer)
+                {
+                    buffers[index] = arrayBuffer;
+                    pendingCount--;
+
+                    if (pendingCount == 0 && !failed)
+                    {
+                        finish(gltf, buffers);
+                    }
+                };
+            };
+
+            var i, uri;
+            for (i = 0; i < gltfBuffers.length; i++)
+            {
+                uri = gltfBuffers[i].uri;
+
+                if (uri === undefined)
+                {
+                    buffers[i] = bin;
+                }
+                else if (uri.indexOf("data:") == 0)
+                {
+                    // Malformed base64 makes atob throw.
+                    try
+                    {
+                        buffers[i] = decodeDataURI(uri);
+                    }
+                    catch (e)
+                    {
+                        failParse(e);
+                        return;
+                    }
+                }
+                else
+                {
+                    pendingCount++;
+                    ShipGL.FileLoader.loadArrayBuffer(dir + uri, makeOnLoad(i), fail);
+                }
+            }
+
+            if (pendingCount == 0)
+            {
+                finish(gltf, buffers);
+            }
+        };
+
+        return ShipGL.FileLoader.loadArrayBuffer(pathToGLTF, function(arrayBuffer)
+        {
+            var gltf, bin = null;
+
+            try
+            {
+                if (new DataView(arrayBuffer).getUint32(0, true) == GLB_MAGIC)
+                {
+                    var glb = parseGLB(arrayBuffer);
+                    gltf = glb.gltf;
+                    bin = glb.bin;
+                }
+                else
+                {
+                    gltf = JSON.parse(decodeUTF8(new Uint8Array(arrayBuffer)));
+                }
+
+                checkSupport(gltf);
+            }
+            catch (e)
+            {
+                failParse(e);
+                return;
+            }
+
+            loadBuffers(gltf, bin);
+        }, fail);
+    };
+
+    return { parse: parse,
+             parseGLB: parseGLB,
+             load: load
+    };
+})();
 /**
  * @file Contains all ShipGL.SkyBox code.
  * @author Jason Shipman
@@ -2781,65 +11585,21 @@ ShipGL.SkyBox = function(gl)
     this.cubeMap = new ShipGL.CubeTexture(this.gl);
 
     var bufferUtils = new ShipGL.BufferUtilities(this.gl);
+    var cube = bufferUtils.generateCube(2);
 
     /**
      * @memberof ShipGL.SkyBox#
      * @description The vertex buffer object for the skybox.
      * @name vbo
      */
-    this.vbo = bufferUtils.createVertexBuffer([
-       // Snagged from learningwebgl.com. (in the interest of time)
-       // Front face
-      -1.0, -1.0,  1.0,
-       1.0, -1.0,  1.0,
-       1.0,  1.0,  1.0,
-      -1.0,  1.0,  1.0,
-
-       // Back face
-      -1.0, -1.0, -1.0,
-      -1.0,  1.0, -1.0,
-       1.0,  1.0, -1.0,
-       1.0, -1.0, -1.0,
-
-       // Top face
-      -1.0,  1.0, -1.0,
-      -1.0,  1.0,  1.0,
-       1.0,  1.0,  1.0,
-       1.0,  1.0, -1.0,
-
-       // Bottom face
-      -1.0, -1.0, -1.0,
-       1.0, -1.0, -1.0,
-       1.0, -1.0,  1.0,
-      -1.0, -1.0,  1.0,
-
-       // Right face
-       1.0, -1.0, -1.0,
-       1.0,  1.0, -1.0,
-       1.0,  1.0,  1.0,
-       1.0, -1.0,  1.0,
-
-       // Left face
-      -1.0, -1.0, -1.0,
-      -1.0, -1.0,  1.0,
-      -1.0,  1.0,  1.0,
-      -1.0,  1.0, -1.0
-    ]);
+    this.vbo = bufferUtils.createVertexBuffer(cube.vertexPositions);
 
     /**
      * @memberof ShipGL.SkyBox#
      * @description The index buffer object for the skybox.
      * @name ibo
      */
-    this.ibo = bufferUtils.createIndexBuffer([
-        // Snagged from learningwebgl.com. (in the interest of time)
-         0,  1,  2,    0,  2,  3, // Front face
-         4,  5,  6,    4,  6,  7, // Back face
-         8,  9, 10,    8, 10, 11, // Top face
-        12, 13, 14,   12, 14, 15, // Bottom face
-        16, 17, 18,   16, 18, 19, // Right face
-        20, 21, 22,   20, 22, 23  // Left face
-    ]);
+    this.ibo = bufferUtils.createIndexBuffer(cube.indices);
 
     var vShaderCode = [
         "uniform mat4 uProjMat;",
@@ -2878,6 +11638,16 @@ ShipGL.SkyBox = function(gl)
     this.program = new ShipGL.ShaderProgram(this.gl);
     this.program.create(vShaderCode, fShaderCode);
 
+    /**
+     * @memberof ShipGL.SkyBox#
+     * @description The vertex array binding the skybox's buffers to its
+     *              shader program.
+     * @name vertexArray
+     */
+    this.vertexArray = new ShipGL.VertexArray(this.gl);
+    this.vertexArray.addAttribute(this.program, "aPosition", this.vbo, 3, 0, 0);
+    this.vertexArray.setIndexBuffer(this.ibo);
+
     this.center = vec3.create();
     this.width = 2;
 
@@ -2897,27 +11667,19 @@ ShipGL.SkyBox.prototype = Object.create(ShipGL.GLResource.prototype);
 ShipGL.SkyBox.prototype.draw = function()
 {
     this.program.bind();
-    this.vbo.bind();
-    this.ibo.bind();
+    this.vertexArray.bind();
     this.cubeMap.bind(0);
 
-    this.program.enableAttributeArray("aPosition");
-
     this.program.setUniformMat4("uProjMat", this.projMat);
     this.program.setUniformMat4("uViewMat", this.viewMat);
     this.program.setUniformMat4("uModelMat", this.modelMat);
     this.program.setUniform1i("uCubeTex", 0);
-    
-    this.program.setAttributeBuffer3f("aPosition", 0, 0);
 
     this.gl.drawElements(this.gl.TRIANGLES, this.ibo.length,
                          this.gl.UNSIGNED_SHORT, 0);
-    
-    this.program.disableAttributeArray("aPosition");
 
     this.cubeMap.unbind();
-    this.ibo.unbind();
-    this.vbo.unbind();
+    this.vertexArray.unbind();
     this.program.unbind();
 };
 
@@ -2931,16 +11693,7 @@ ShipGL.SkyBox.prototype.draw = function()
  */
 ShipGL.SkyBox.prototype.setDirectory = function(path, ext)
 {
-    var posString = "/positive_";
-    var negString = "/negative_";
-
-    this.cubeMap.loadPositiveX(path + posString + "x" + ext);
-    this.cubeMap.loadPositiveY(path + posString + "y" + ext);
-    this.cubeMap.loadPositiveZ(path + posString + "z" + ext);
-
-    this.cubeMap.loadNegativeX(path + negString + "x" + ext);
-    this.cubeMap.loadNegativeY(path + negString + "y" + ext);
-    this.cubeMap.loadNegativeZ(path + negString + "z" + ext);
+    this.cubeMap.loadDirectory(path, ext);
 };
 
 /**
@@ -3066,38 +11819,31 @@ ShipGL.Floor = function(gl)
     this.center = vec3.create();
     
     var bufferUtils = new ShipGL.BufferUtilities(this.gl);
+    var plane = bufferUtils.generatePlane(2, 2);
+
+    /**
+     * @memberof ShipGL.Floor#
+     * @description The layout of the floor's vertex buffer.
+     * @name vertexLayout
+     */
+    this.vertexLayout = new ShipGL.VertexLayout(this.gl);
+    this.vertexLayout.addAttribute("aPosition", 3);
+    this.vertexLayout.addAttribute("aTexCoord", 2);
 
     /**
      * @memberof ShipGL.Floor#
      * @description The vertex buffer object for the floor.
      * @name vbo
      */
-    this.vbo = bufferUtils.createVertexBuffer([
-        // Vertices
-        -1.0, 0.0, -1.0,
-        -1.0, 0.0,  1.0,
-         1.0, 0.0,  1.0,
-         1.0, 0.0, -1.0,
-
-        // Texture coordinates
-         0.0, 0.0,
-         0.0, 1.0,
-         1.0, 0.0,
-         1.0, 1.0
-    ]);
-
-    this.positionsOffset = 0;
-    this.texCoordsOffset = 12;
-    this.stride = 0;
+    this.vbo = this.vertexLayout.createBuffer({ aPosition: plane.vertexPositions,
+                                                aTexCoord: plane.vertexTexCoordinates[0] });
 
     /**
      * @memberof ShipGL.Floor#
      * @description The index buffer object for the floor.
      * @name ibo
      */
-    this.ibo = bufferUtils.createIndexBuffer([
-        0, 1, 2,   0, 2, 3
-    ]);
+    this.ibo = bufferUtils.createIndexBuffer(plane.indices);
     
     var vShaderCode = [
         "uniform mat4 uProjMat;",
@@ -3139,6 +11885,16 @@ ShipGL.Floor = function(gl)
     this.program = new ShipGL.ShaderProgram(this.gl);
     this.program.create(vShaderCode, fShaderCode);
 
+    /**
+     * @memberof ShipGL.Floor#
+     * @description The vertex array binding the floor's buffers to its
+     *              shader program.
+     * @name vertexArray
+     */
+    this.vertexArray = new ShipGL.VertexArray(this.gl);
+    this.vertexArray.addLayout(this.program, this.vertexLayout, this.vbo);
+    this.vertexArray.setIndexBuffer(this.ibo);
+
     this.projMat = mat4.create();
     this.viewMat = mat4.create();
     this.modelMat = mat4.create();
@@ -3155,31 +11911,20 @@ ShipGL.Floor.prototype = Object.create(ShipGL.GLResource.prototype);
 ShipGL.Floor.prototype.draw = function()
 {
     this.program.bind();
-    this.vbo.bind();
-    this.ibo.bind();
+    this.vertexArray.bind();
     this.tileTexture.bind(0);
-    
-    this.program.enableAttributeArray("aPosition");
-    this.program.enableAttributeArray("aTexCoord");
 
     this.program.setUniformMat4("uProjMat", this.projMat);
     this.program.setUniformMat4("uViewMat", this.viewMat);
     this.program.setUniformMat4("uModelMat", this.modelMat);
     this.program.setUniform1f("uTilesAcross", this.tilesAcross);
     this.program.setUniform1i("uTex", 0);
-    
-    this.program.setAttributeBuffer3f("aPosition", this.stride, this.positionsOffset);
-    this.program.setAttributeBuffer2f("aTexCoord", this.stride, this.texCoordsOffset);
 
     this.gl.drawElements(this.gl.TRIANGLES, this.ibo.length,
                          this.gl.UNSIGNED_SHORT, 0);
-    
-    this.program.disableAttributeArray("aTexCoord");
-    this.program.disableAttributeArray("aPosition");
 
     this.tileTexture.unbind();
-    this.ibo.unbind();
-    this.vbo.unbind();
+    this.vertexArray.unbind();
     this.program.unbind();
 };
 
@@ -3305,6 +12050,15 @@ ShipGL.BaseApp = function(canvasId, contextOptions)
      */
     this.bufferUtils = new ShipGL.BufferUtilities(this.gl);
 
+    /**
+     * @memberof ShipGL.BaseApp#
+     * @description An instance of ShipGL.AssetManager. Anything queued on it
+     *              (typically in initialize) is loaded before run starts
+     *              calling update and draw.
+     * @name assets
+     */
+    this.assets = new ShipGL.AssetManager(this.gl);
+
     /**
      * @memberof ShipGL.BaseApp#
      * @description The list of keys that are currently held
@@ -3315,6 +12069,7 @@ ShipGL.BaseApp = function(canvasId, contextOptions)
     this._currentTime = 0;
     this._previousTime = 0;
     this._timeDelta = 0;
+    this._assetsLoaded = false;
 };
 
 ShipGL.BaseApp.prototype = Object.create(ShipGL.GLResource.prototype);
@@ -3322,9 +12077,28 @@ ShipGL.BaseApp.prototype = Object.create(ShipGL.GLResource.prototype);
 /**
  * Run the application. This calls update and draw once per frame, sending
  * as a parameter, the time elapsed in milliseconds since the last frame.
+ *
+ * Before the first frame, run loads every asset queued on the assets field,
+ * calls handleAssetsLoaded once and only then starts calling update and
+ * draw. Assets queued after that are not waited on, so call assets.loadAll
+ * yourself if you need them.
  */
 ShipGL.BaseApp.prototype.run = function()
 {
+    var scope = this;
+
+    if (!this._assetsLoaded)
+    {
+        this.assets.loadAll(function(errors)
+        {
+            scope._assetsLoaded = true;
+            scope.handleAssetsLoaded(errors);
+            scope.run();
+        });
+
+        return;
+    }
+
     this._previousTime = this._currentTime;
     this._currentTime = new Date().getTime();
     this._timeDelta = this._currentTime - this._previousTime;
@@ -3332,7 +12106,6 @@ ShipGL.BaseApp.prototype.run = function()
     this.update(this._timeDelta);
     this.draw(this._timeDelta);
     
-    var scope = this;
     requestAnimFrame(function() { scope.run(); });
 };
 
@@ -3364,6 +12137,24 @@ ShipGL.BaseApp.prototype.initialize = function()
     throw "ShipGL.BaseApp.initialize is abstract!";
 };
 
+/**
+ * Override this method if you need to do any work once the assets queued
+ * on the assets field have finished loading. It is called once by run right
+ * before the first frame. By default, an alert lists any assets that failed
+ * to load.
+ *
+ * @param {Array} errors The ShipGL.FileLoadError's of the assets that
+ *                       failed to load
+ */
+ShipGL.BaseApp.prototype.handleAssetsLoaded = function(errors)
+{
+    if (errors.length > 0)
+    {
+        alert("Failed to load " + errors.length + " asset(s):\n" +
+              errors.map(function(e) { return e.url; }).join("\n"));
+    }
+};
+
 /**
  * Perform logic updates in this method. update is called once per frame.
  *
@@ -1,53 +1,220 @@
-'use strict';var ShipGL=ShipGL||{};ShipGL.GLResource=function(a){this.gl=a};ShipGL.FileLoader=function(){function a(a){return function(c,d){var e=new XMLHttpRequest;e.open("GET",c,!1);d&&e.overrideMimeType(d);e.send(null);return e.status==a?e.responseText:null}}return{loadLocal:a(0),loadHttp:a(200)}}();ShipGL.Math=function(){function a(a){return a*Math.PI/180}return{toDegrees:function(a){return 180*a/Math.PI},toRadians:a,isPowerOf2:function(a){return 0==(a&a-1)},nextHighestPowerOf2:function(a){--a;for(var c=1;32>c;c<<=1)a|=a>>c;return a+1},makeClamp:function(a,c){return function(d){return Math.min(Math.max(d,a),c)}},lerp:function(a,c,d){return a+(c-a)*d},sphericalToCartesian:function(b,c,d){d=d||1;b=a(b);c=a(c);return[d*Math.cos(c)*Math.sin(b),d*Math.sin(c)*Math.sin(b),d*Math.cos(b)]},arbitraryRotation:function(a,
-c,d,e){mat4.identity(e);return mat4.translate(mat4.rotate(mat4.translate(e,c),a,d),[-c[0],-c[1],-c[2]])}}}();ShipGL.Camera=function(a,b,c){this.viewMatrix=mat4.create();this._scratchVec=vec3.create();vec3.direction(a,b,this._scratchVec);this.position=vec3.create(a);this.direction=vec4.create();vec3.negate(this._scratchVec,this.direction);this.right=vec4.create();vec3.cross(c,this._scratchVec,this.right);vec3.normalize(this.right);this.up=vec4.create();vec3.cross(this._scratchVec,this.right,this.up);vec3.normalize(this.up);this.moveSpeed=5;this.lookSpeed=ShipGL.Math.toRadians(3);this._leftRotMat=mat4.create();
+'use strict';var ShipGL=ShipGL||{};ShipGL.GLResource=function(a){this.gl=a};ShipGL.FileLoadError=function(a,b,c,d){this.name="ShipGL.FileLoadError";this.url=a;this.status=b;this.reason=c;this.message=d||"Failed to load "+a+" ("+c+", status "+b+")"};ShipGL.FileLoadError.prototype=Object.create(Error.prototype);ShipGL.FileLoadError.prototype.constructor=ShipGL.FileLoadError;
+ShipGL.FileLoader=function(){function a(a){return function(b,c){var d=new XMLHttpRequest;d.open("GET",b,!1);c&&d.overrideMimeType(c);d.send(null);return d.status==a?d.responseText:null}}function b(a,b,f){return function(c,d,h,m){function e(a,b,d){if(!p){p=!0;a=new ShipGL.FileLoadError(c,a,b,d);if(!h)throw a;h(a)}}m=m||{};var g=m.mimeType||b,p=!1,k=new XMLHttpRequest;k.open("GET",c,!0);k.responseType=a;g&&k.overrideMimeType(g);m.timeout&&(k.timeout=m.timeout);k.onload=function(){var a=k.response,b=
+k.status;if(!(0==b||200<=b&&300>b)||0==k.status&&null===a)e(k.status,"status");else{if(f)try{a=f(a)}catch(v){e(k.status,"parse","Failed to parse "+c+": "+v.message);return}p||(p=!0,d(a))}};k.onerror=function(){e(k.status,"error")};k.ontimeout=function(){e(k.status,"timeout")};k.onabort=function(){e(k.status,"abort")};k.send(null);return k}}return{loadLocal:a(0),loadHttp:a(200),loadText:b("text"),loadJSON:b("text","application/json",JSON.parse),loadArrayBuffer:b("arraybuffer")}}();ShipGL.Math=function(){function a(a){return a*Math.PI/180}return{toDegrees:function(a){return 180*a/Math.PI},toRadians:a,isPowerOf2:function(a){return 0==(a&a-1)},nextHighestPowerOf2:function(a){--a;for(var b=1;32>b;b<<=1)a|=a>>b;return a+1},makeClamp:function(a,c){return function(b){return Math.min(Math.max(b,a),c)}},lerp:function(a,c,d){return a+(c-a)*d},sphericalToCartesian:function(b,c,d){d=d||1;b=a(b);c=a(c);return[d*Math.cos(c)*Math.sin(b),d*Math.sin(c)*Math.sin(b),d*Math.cos(b)]},arbitraryRotation:function(a,
+c,d,f){mat4.identity(f);return mat4.translate(mat4.rotate(mat4.translate(f,c),a,d),[-c[0],-c[1],-c[2]])}}}();ShipGL.Camera=function(a,b,c){this.viewMatrix=mat4.create();this._scratchVec=vec3.create();vec3.direction(a,b,this._scratchVec);this.position=vec3.create(a);this.direction=vec4.create();vec3.negate(this._scratchVec,this.direction);this.right=vec4.create();vec3.cross(c,this._scratchVec,this.right);vec3.normalize(this.right);this.up=vec4.create();vec3.cross(this._scratchVec,this.right,this.up);vec3.normalize(this.up);this.moveSpeed=5;this.lookSpeed=ShipGL.Math.toRadians(3);this._leftRotMat=mat4.create();
 this._rightRotMat=mat4.create();this._update();this._updateRotationStuff()};ShipGL.Camera.prototype.setPosition=function(a){vec3.set(a,this.position);this._update()};ShipGL.Camera.prototype.setMoveSpeed=function(a){this.moveSpeed=Math.abs(a)};ShipGL.Camera.prototype.setLookSpeed=function(a){this.lookSpeed=Math.abs(a);this._updateRotationStuff()};
 ShipGL.Camera.prototype._update=function(){vec3.scale(this.direction,this.moveSpeed,this._scratchVec);vec3.add(this.position,this._scratchVec,this._scratchVec);mat4.lookAt(this.position,this._scratchVec,this.up,this.viewMatrix)};ShipGL.Camera.prototype._updateRotationStuff=function(){mat4.identity(this._leftRotMat);mat4.identity(this._rightRotMat);mat4.rotate(this._leftRotMat,this.lookSpeed,this.up);mat4.rotate(this._rightRotMat,-this.lookSpeed,this.up)};
 ShipGL.Camera.prototype.moveForward=function(){vec3.scale(this.direction,this.moveSpeed,this._scratchVec);vec3.add(this.position,this._scratchVec);this._update()};ShipGL.Camera.prototype.moveBackward=function(){vec3.scale(this.direction,this.moveSpeed,this._scratchVec);vec3.subtract(this.position,this._scratchVec);this._update()};ShipGL.Camera.prototype.moveLeft=function(){vec3.scale(this.right,this.moveSpeed,this._scratchVec);vec3.subtract(this.position,this._scratchVec);this._update()};
 ShipGL.Camera.prototype.moveRight=function(){vec3.scale(this.right,this.moveSpeed,this._scratchVec);vec3.add(this.position,this._scratchVec);this._update()};ShipGL.Camera.prototype.moveUp=function(){vec3.scale(this.up,this.moveSpeed,this._scratchVec);vec3.add(this.position,this._scratchVec);this._update()};ShipGL.Camera.prototype.moveDown=function(){vec3.scale(this.up,this.moveSpeed,this._scratchVec);vec3.subtract(this.position,this._scratchVec);this._update()};
-ShipGL.Camera.prototype.lookLeft=function(){mat4.multiplyVec4(this._leftRotMat,this.direction);vec3.normalize(this.direction);vec3.cross(this.direction,this.up,this.right);vec3.normalize(this.right);this._update()};ShipGL.Camera.prototype.lookRight=function(){mat4.multiplyVec4(this._rightRotMat,this.direction);vec3.normalize(this.direction);vec3.cross(this.direction,this.up,this.right);vec3.normalize(this.right);this._update()};ShipGL.Buffer=function(a,b,c){ShipGL.GLResource.call(this,a);this.rawBuffer=this.gl.createBuffer();this.BufferType=b;this.ArrayType=c;this.bytesPerElement=this.ArrayType.BYTES_PER_ELEMENT;this.byteCount=this.length=0};ShipGL.Buffer.unbindAll=function(a){a.bindBuffer(a.ARRAY_BUFFER,null);a.bindBuffer(a.ELEMENT_ARRAY_BUFFER,null)};ShipGL.Buffer.prototype=Object.create(ShipGL.GLResource.prototype);ShipGL.Buffer.prototype.bind=function(){this.gl.bindBuffer(this.BufferType,this.rawBuffer)};
-ShipGL.Buffer.prototype.unbind=function(){this.gl.bindBuffer(this.BufferType,null)};ShipGL.Buffer.prototype.allocate=function(a,b){b=b||this.gl.STATIC_DRAW;this.length=a;this.byteCount=this.bytesPerElement*this.length;this.gl.bufferData(this.BufferType,this.byteCount,b)};ShipGL.Buffer.prototype.write=function(a,b){this.gl.bufferSubData(this.BufferType,(b||0)*this.bytesPerElement,new this.ArrayType(a))};ShipGL.Buffer.prototype.deallocate=function(){this.gl.deleteBuffer(this.rawBuffer)};ShipGL.BufferUtilities=function(a){ShipGL.GLResource.call(this,a);this.createVertexBuffer=this.makeBufferCreator(this.gl.ARRAY_BUFFER,Float32Array);this.createIndexBuffer=this.makeBufferCreator(this.gl.ELEMENT_ARRAY_BUFFER,Uint16Array)};ShipGL.BufferUtilities.prototype=Object.create(ShipGL.GLResource.prototype);ShipGL.BufferUtilities.prototype.makeBufferCreator=function(a,b){return function(c,d){var d=d||c.length,e=new ShipGL.Buffer(this.gl,a,b);e.bind();e.allocate(d);e.write(c);e.unbind();return e}};ShipGL.ShaderProgram=function(a){ShipGL.GLResource.call(this,a);this.rawProgram=this.gl.createProgram();this._bpf=Float32Array.BYTES_PER_ELEMENT;this._bps=Uint16Array.BYTES_PER_ELEMENT};ShipGL.ShaderProgram.prototype=Object.create(ShipGL.GLResource.prototype);ShipGL.ShaderProgram.prototype.bind=function(){this.gl.useProgram(this.rawProgram)};ShipGL.ShaderProgram.prototype.unbind=function(){this.gl.useProgram(null)};
-ShipGL.ShaderProgram.prototype.create=function(a,b){var c=this.createShader(this.gl.VERTEX_SHADER,a),d=this.createShader(this.gl.FRAGMENT_SHADER,b);this.gl.attachShader(this.rawProgram,c);this.gl.attachShader(this.rawProgram,d);this.gl.linkProgram(this.rawProgram);if(!this.gl.getProgramParameter(this.rawProgram,this.gl.LINK_STATUS))return alert("GLSL LINK ERROR!\n"+this.gl.getProgramInfoLog(this.rawProgram)),null};
-ShipGL.ShaderProgram.prototype.createShader=function(a,b){var c=this.gl.createShader(a);this.gl.shaderSource(c,b);this.gl.compileShader(c);return!this.gl.getShaderParameter(c,this.gl.COMPILE_STATUS)?(alert("GLSL COMPILE ERROR!\n"+b+"\n"+this.gl.getShaderInfoLog(c)),null):c};ShipGL.ShaderProgram.prototype.attributeLocation=function(a){var b=this.gl.getAttribLocation(this.rawProgram,a);0>b&&alert("ShipGL.ShaderProgram.attributeLocation: "+a+" is not a valid uniform! Returning null...");return b};
-ShipGL.ShaderProgram.prototype.uniformLocation=function(a){var b=this.gl.getUniformLocation(this.rawProgram,a);0>b&&alert("ShipGL.ShaderProgram.uniformLocation: "+a+" is not a valid uniform! Returning null...");return b};ShipGL.ShaderProgram.prototype.enableAttributeArray=function(a){this[a]=this[a]||this.attributeLocation(a);this.gl.enableVertexAttribArray(this[a])};ShipGL.ShaderProgram.prototype.disableAttributeArray=function(a){this[a]=this[a]||this.attributeLocation(a);this.gl.disableVertexAttribArray(this[a])};
-ShipGL.ShaderProgram.prototype.setAttributeBuffer1f=function(a,b,c,d){d=d||!1;this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttribPointer(this[a],1,this.gl.FLOAT,d,this._bpf*b,this._bpf*c)};ShipGL.ShaderProgram.prototype.setAttributeBuffer2f=function(a,b,c,d){d=d||!1;this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttribPointer(this[a],2,this.gl.FLOAT,d,this._bpf*b,this._bpf*c)};
-ShipGL.ShaderProgram.prototype.setAttributeBuffer3f=function(a,b,c,d){d=d||!1;this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttribPointer(this[a],3,this.gl.FLOAT,d,this._bpf*b,this._bpf*c)};ShipGL.ShaderProgram.prototype.setAttributeBuffer4f=function(a,b,c,d){d=d||!1;this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttribPointer(this[a],4,this.gl.FLOAT,d,this._bpf*b,this._bpf*c)};
-ShipGL.ShaderProgram.prototype.setAttributeBuffer1i=function(a,b,c,d){d=d||!1;this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttribPointer(this[a],1,this.gl.INT,d,this._bps*b,this._bps*c)};ShipGL.ShaderProgram.prototype.setAttributeBuffer2i=function(a,b,c,d){d=d||!1;this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttribPointer(this[a],2,this.gl.INT,d,this._bps*b,this._bps*c)};
-ShipGL.ShaderProgram.prototype.setAttributeBuffer3i=function(a,b,c,d){d=d||!1;this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttribPointer(this[a],3,this.gl.INT,d,this._bps*b,this._bps*c)};ShipGL.ShaderProgram.prototype.setAttributeBuffer4i=function(a,b,c,d){d=d||!1;this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttribPointer(this[a],4,this.gl.INT,d,this._bps*b,this._bps*c)};
-ShipGL.ShaderProgram.prototype.setAttributeValue1f=function(a,b){this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttrib1f(this[a],b)};ShipGL.ShaderProgram.prototype.setAttributeValue2f=function(a,b,c){this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttrib2f(this[a],b,c)};ShipGL.ShaderProgram.prototype.setAttributeValue3f=function(a,b,c,d){this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttrib3f(this[a],b,c,d)};
-ShipGL.ShaderProgram.prototype.setAttributeValue4f=function(a,b,c,d,e){this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttrib4f(this[a],b,c,d,e)};ShipGL.ShaderProgram.prototype.setUniform1f=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform1f(this[a],b)};ShipGL.ShaderProgram.prototype.setUniform2f=function(a,b,c){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform2f(this[a],b,c)};
-ShipGL.ShaderProgram.prototype.setUniform3f=function(a,b,c,d){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform3f(this[a],b,c,d)};ShipGL.ShaderProgram.prototype.setUniform4f=function(a,b,c,d,e){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform4f(this[a],b,c,d,e)};ShipGL.ShaderProgram.prototype.setUniform1i=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform1i(this[a],b)};
-ShipGL.ShaderProgram.prototype.setUniform2i=function(a,b,c){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform2i(this[a],b,c)};ShipGL.ShaderProgram.prototype.setUniform3i=function(a,b,c,d){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform3i(this[a],b,c,d)};ShipGL.ShaderProgram.prototype.setUniform4i=function(a,b,c,d,e){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform4i(this[a],b,c,d,e)};
-ShipGL.ShaderProgram.prototype.setUniformVec1f=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform1fv(this[a],b)};ShipGL.ShaderProgram.prototype.setUniformVec2f=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform2fv(this[a],b)};ShipGL.ShaderProgram.prototype.setUniformVec3f=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform3fv(this[a],b)};
-ShipGL.ShaderProgram.prototype.setUniformVec4f=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform4fv(this[a],b)};ShipGL.ShaderProgram.prototype.setUniformVec1i=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform1iv(this[a],b)};ShipGL.ShaderProgram.prototype.setUniformVec2i=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform2iv(this[a],b)};
-ShipGL.ShaderProgram.prototype.setUniformVec3i=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform3iv(this[a],b)};ShipGL.ShaderProgram.prototype.setUniformVec4i=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform4iv(this[a],b)};ShipGL.ShaderProgram.prototype.setUniformMat2=function(a,b,c){c=c||!1;this[a]=this[a]||this.uniformLocation(a);this.gl.uniformMatrix2fv(this[a],c,b)};
-ShipGL.ShaderProgram.prototype.setUniformMat3=function(a,b,c){c=c||!1;this[a]=this[a]||this.uniformLocation(a);this.gl.uniformMatrix3fv(this[a],c,b)};ShipGL.ShaderProgram.prototype.setUniformMat4=function(a,b,c){c=c||!1;this[a]=this[a]||this.uniformLocation(a);this.gl.uniformMatrix4fv(this[a],c,b)};ShipGL.Texture=function(a){ShipGL.GLResource.call(this,a);this.textureType=this.gl.TEXTURE_2D;this.rawTexture=this.gl.createTexture();this.isLoaded=!1;this.height=this.width=0;this.NPOT=!0;var b=this;this._image=new Image;this._image.onload=function(){b.onImageLoad()}};ShipGL.Texture.unbindAll=function(a){a.bindTexture(a.TEXTURE_2D,null);a.bindTexture(a.TEXTURE_CUBE_MAP,null)};ShipGL.Texture.prototype=Object.create(ShipGL.GLResource.prototype);
-ShipGL.Texture.prototype.bind=function(a){0<=a&&this.gl.activeTexture(this.gl.TEXTURE0+a);this.gl.bindTexture(this.textureType,this.rawTexture)};ShipGL.Texture.prototype.unbind=function(){this.gl.bindTexture(this.textureType,null)};ShipGL.Texture.prototype.load=function(a){this._image.src=a};ShipGL.Texture.prototype.setRepeatS=function(a){this.gl.texParameteri(this.textureType,this.gl.TEXTURE_WRAP_S,a?this.gl.REPEAT:this.gl.CLAMP_TO_EDGE)};
-ShipGL.Texture.prototype.setRepeatT=function(a){this.gl.texParameteri(this.textureType,this.gl.TEXTURE_WRAP_T,a?this.gl.REPEAT:this.gl.CLAMP_TO_EDGE)};ShipGL.Texture.prototype.setSmooth=function(a){this.gl.texParameteri(this.textureType,this.gl.TEXTURE_MAG_FILTER,a?this.gl.LINEAR:this.gl.NEAREST);var b=this.NPOT?this.gl.LINEAR:this.gl.LINEAR_MIPMAP_LINEAR;this.gl.texParameteri(this.textureType,this.gl.TEXTURE_MIN_FILTER,a?b:this.gl.NEAREST)};
+ShipGL.Camera.prototype.lookLeft=function(){mat4.multiplyVec4(this._leftRotMat,this.direction);vec3.normalize(this.direction);vec3.cross(this.direction,this.up,this.right);vec3.normalize(this.right);this._update()};ShipGL.Camera.prototype.lookRight=function(){mat4.multiplyVec4(this._rightRotMat,this.direction);vec3.normalize(this.direction);vec3.cross(this.direction,this.up,this.right);vec3.normalize(this.right);this._update()};ShipGL.Buffer=function(a,b,c){ShipGL.GLResource.call(this,a);this.rawBuffer=this.gl.createBuffer();this.BufferType=b;this.ArrayType=c;this.bytesPerElement=this.ArrayType.BYTES_PER_ELEMENT;this.dataType=ShipGL.Buffer.dataTypeOf(a,c);this.byteCount=this.length=0;this.usage=this.gl.STATIC_DRAW;this.isDynamic=!1;this.shadow=null;this._isShadowed=!1;this._dirtyRanges=[]};ShipGL.Buffer.unbindAll=function(a){a.bindBuffer(a.ARRAY_BUFFER,null);a.bindBuffer(a.ELEMENT_ARRAY_BUFFER,null)};
+ShipGL.Buffer.dataTypeOf=function(a,b){switch(b){case Int8Array:return a.BYTE;case Uint8Array:return a.UNSIGNED_BYTE;case Int16Array:return a.SHORT;case Uint16Array:return a.UNSIGNED_SHORT;case Int32Array:return a.INT;case Uint32Array:return a.UNSIGNED_INT;default:return a.FLOAT}};ShipGL.Buffer.enableUint32Indices=function(a){return!!a.getExtension("OES_element_index_uint")};ShipGL.Buffer.prototype=Object.create(ShipGL.GLResource.prototype);
+ShipGL.Buffer.prototype.bind=function(){this.gl.bindBuffer(this.BufferType,this.rawBuffer)};ShipGL.Buffer.prototype.unbind=function(){this.gl.bindBuffer(this.BufferType,null)};ShipGL.Buffer.prototype.enableShadowCopy=function(){this._isShadowed=!0;this.shadow||(this.shadow=new this.ArrayType(this.length))};ShipGL.Buffer.prototype.setDynamic=function(a){this.isDynamic=!0;this.usage=a||this.gl.DYNAMIC_DRAW;this.enableShadowCopy()};
+ShipGL.Buffer.prototype.allocate=function(a,b){this.usage=b||(this.isDynamic?this.usage:this.gl.STATIC_DRAW);this._resize(a);this.gl.bufferData(this.BufferType,this.byteCount,this.usage)};ShipGL.Buffer.prototype.reserve=function(a){if(!(a<=this.length)){if(!this.isDynamic)throw Error("ShipGL.Buffer.reserve: only dynamic buffers can grow! See setDynamic.");var b=this.shadow;this._resize(a);this.shadow.set(b);this.gl.bufferData(this.BufferType,this.shadow,this.usage)}};
+ShipGL.Buffer.prototype.orphan=function(){this._resize(this.length);this.gl.bufferData(this.BufferType,this.byteCount,this.usage)};ShipGL.Buffer.prototype.replace=function(a){if(a.length>this.length){if(!this.isDynamic)throw Error("ShipGL.Buffer.replace: array doesn't fit, and only dynamic buffers can grow! See setDynamic.");this._resize(Math.max(a.length,2*this.length))}this.orphan();this.write(a)};
+ShipGL.Buffer.prototype.write=function(a,b){b=b||0;this.isDynamic&&b+a.length>this.length&&this.reserve(Math.max(b+a.length,2*this.length));this.shadow&&this.shadow.set(a,b);this.gl.bufferSubData(this.BufferType,b*this.bytesPerElement,a instanceof this.ArrayType?a:new this.ArrayType(a))};ShipGL.Buffer.prototype.deallocate=function(){this.gl.deleteBuffer(this.rawBuffer);this.shadow=null;this._dirtyRanges=[]};ShipGL.Buffer.prototype.get=function(a){return this._checkShadow("get")[a]};
+ShipGL.Buffer.prototype.slice=function(a,b){var c=this._checkShadow("slice");b=void 0===b?this.length:b;return new this.ArrayType(c.subarray(a||0,b))};ShipGL.Buffer.prototype.update=function(a,b){b=b||0;this.isDynamic&&b+a.length>this.length&&this.reserve(Math.max(b+a.length,2*this.length));this._checkShadow("update").set(a,b);this.markDirty(b,b+a.length)};
+ShipGL.Buffer.prototype.markDirty=function(a,b){for(var c=this._dirtyRanges,d=[],f=0;f<c.length&&c[f].end<a;)d.push(c[f++]);for(;f<c.length&&c[f].begin<=b;)a=Math.min(a,c[f].begin),b=Math.max(b,c[f].end),f++;d.push({begin:a,end:b});this._dirtyRanges=d.concat(c.slice(f))};ShipGL.Buffer.prototype.isDirty=function(){return 0<this._dirtyRanges.length};
+ShipGL.Buffer.prototype.flush=function(){var a=this._checkShadow("flush"),b;for(b=0;b<this._dirtyRanges.length;b++){var c=this._dirtyRanges[b];this.gl.bufferSubData(this.BufferType,c.begin*this.bytesPerElement,a.subarray(c.begin,c.end))}this._dirtyRanges=[]};ShipGL.Buffer.prototype.restore=function(){var a=this._checkShadow("restore");this.rawBuffer=this.gl.createBuffer();this.bind();this.gl.bufferData(this.BufferType,a,this.usage);this.unbind();this._dirtyRanges=[]};
+ShipGL.Buffer.prototype._resize=function(a){this.length=a;this.byteCount=this.bytesPerElement*this.length;this._isShadowed&&(this.shadow=new this.ArrayType(this.length),this._dirtyRanges=[])};ShipGL.Buffer.prototype._checkShadow=function(a){if(!this.shadow)throw Error("ShipGL.Buffer."+a+": the buffer has no shadow copy! See enableShadowCopy.");return this.shadow};ShipGL.InstanceBuffer=function(a,b){ShipGL.GLResource.call(this,a);this.data=new Float32Array((b||16)*ShipGL.InstanceBuffer.STRIDE);this.count=0;this.buffer=new ShipGL.Buffer(a,a.ARRAY_BUFFER,Float32Array);this._isDirty=!0};ShipGL.InstanceBuffer.prototype=Object.create(ShipGL.GLResource.prototype);ShipGL.InstanceBuffer.STRIDE=20;ShipGL.InstanceBuffer.MATRIX_OFFSET=0;ShipGL.InstanceBuffer.COLOR_OFFSET=16;ShipGL.InstanceBuffer.prototype.add=function(a,b){var c=this.count;this.setInstance(c,a,b);return c};
+ShipGL.InstanceBuffer.prototype.setInstance=function(a,b,c){this._reserve(a+1);this.count=Math.max(this.count,a+1);this.setMatrix(a,b);this.setColor(a,c||[1,1,1,1])};ShipGL.InstanceBuffer.prototype.setMatrix=function(a,b){this.data.set(b,a*ShipGL.InstanceBuffer.STRIDE+ShipGL.InstanceBuffer.MATRIX_OFFSET);this._isDirty=!0};ShipGL.InstanceBuffer.prototype.setColor=function(a,b){this.data.set(b,a*ShipGL.InstanceBuffer.STRIDE+ShipGL.InstanceBuffer.COLOR_OFFSET);this._isDirty=!0};
+ShipGL.InstanceBuffer.prototype.clear=function(){this.count=0};ShipGL.InstanceBuffer.prototype.markDirty=function(){this._isDirty=!0};ShipGL.InstanceBuffer.prototype.bind=function(){this.buffer.bind();this._isDirty&&(this.buffer.length!=this.data.length&&this.buffer.allocate(this.data.length,this.gl.DYNAMIC_DRAW),this.buffer.write(this.data.subarray(0,this.count*ShipGL.InstanceBuffer.STRIDE)),this._isDirty=!1)};ShipGL.InstanceBuffer.prototype.unbind=function(){this.buffer.unbind()};
+ShipGL.InstanceBuffer.prototype._reserve=function(a){var b=this.data.length/ShipGL.InstanceBuffer.STRIDE;a<=b||(a=new Float32Array(Math.max(a,2*b)*ShipGL.InstanceBuffer.STRIDE),a.set(this.data),this.data=a)};ShipGL.RingBuffer=function(a,b,c){ShipGL.GLResource.call(this,a);this.buffer=new ShipGL.Buffer(a,a.ARRAY_BUFFER,c||Float32Array);this.buffer.bind();this.buffer.allocate(b||65536,a.STREAM_DRAW);this.buffer.unbind();this._head=this.wrapCount=0};ShipGL.RingBuffer.prototype=Object.create(ShipGL.GLResource.prototype);
+ShipGL.RingBuffer.prototype.push=function(a,b){b=b||1;b*=Math.ceil(this._head/b);this.buffer.bind();b+a.length>this.buffer.length&&(a.length>this.buffer.length?this.buffer.allocate(Math.max(a.length,2*this.buffer.length),this.gl.STREAM_DRAW):this.buffer.orphan(),b=0,this.wrapCount++);this.buffer.write(a,b);this._head=b+a.length;return b};ShipGL.RingBuffer.prototype.bind=function(){this.buffer.bind()};ShipGL.RingBuffer.prototype.unbind=function(){this.buffer.unbind()};
+ShipGL.RingBuffer.prototype.deallocate=function(){this.buffer.deallocate()};ShipGL.VertexLayout=function(a){ShipGL.GLResource.call(this,a);this.attributes=[];this._byteCount=this.stride=0};ShipGL.VertexLayout.bytesPerComponent=function(a,b){return ShipGL.VertexLayout.arrayTypeOf(a,b).BYTES_PER_ELEMENT};
+ShipGL.VertexLayout.arrayTypeOf=function(a,b){switch(b){case a.BYTE:return Int8Array;case a.UNSIGNED_BYTE:return Uint8Array;case a.SHORT:return Int16Array;case a.UNSIGNED_SHORT:return Uint16Array;case a.FLOAT:return Float32Array;default:throw Error("ShipGL.VertexLayout: "+b+" is not a valid WebGL attribute type!");}};ShipGL.VertexLayout.prototype=Object.create(ShipGL.GLResource.prototype);
+ShipGL.VertexLayout.prototype.addAttribute=function(a,b,c,d){c=c||this.gl.FLOAT;if(this.getAttribute(a))throw Error("ShipGL.VertexLayout.addAttribute: "+a+" was already added!");var f=ShipGL.VertexLayout.bytesPerComponent(this.gl,c),g=Math.ceil(this._byteCount/f)*f;a={name:a,size:b,type:c,normalized:d||!1,offset:g};this.attributes.push(a);this._byteCount=g+b*f;this.stride=4*Math.ceil(this._byteCount/4);return a};
+ShipGL.VertexLayout.prototype.getAttribute=function(a){var b;for(b=0;b<this.attributes.length;b++)if(this.attributes[b].name==a)return this.attributes[b];return null};
+ShipGL.VertexLayout.prototype.pack=function(a,b,c,d){d=d||0;void 0===b&&(b=this.attributes[0],b=a[b.name]?a[b.name].length/b.size:0);c=c||new ArrayBuffer(d+b*this.stride);var f,g,e;for(f=0;f<this.attributes.length;f++){var h=this.attributes[f];if(e=a[h.name]){var m=ShipGL.VertexLayout.arrayTypeOf(this.gl,h.type);var l=new m(c,0,Math.floor(c.byteLength/m.BYTES_PER_ELEMENT));var q=this.stride/m.BYTES_PER_ELEMENT;var p=(d+h.offset)/m.BYTES_PER_ELEMENT;if(h.type==this.gl.FLOAT)for(m=0;m<b;m++){for(g=
+0;g<h.size;g++)l[p+g]=e[m*h.size+g];p+=q}else{var k=Math.pow(2,8*m.BYTES_PER_ELEMENT)-1;var n=h.type==this.gl.BYTE||h.type==this.gl.SHORT;for(m=0;m<b;m++){for(g=0;g<h.size;g++)l[p+g]=this._encode(e[m*h.size+g],h.normalized,n,k);p+=q}}}}return c};ShipGL.VertexLayout.prototype.createBuffer=function(a,b){return(new ShipGL.BufferUtilities(this.gl)).createVertexBuffer(new Float32Array(this.pack(a,b)))};
+ShipGL.VertexLayout.prototype.bind=function(a,b){b=b||0;var c;for(c=0;c<this.attributes.length;c++){var d=this.attributes[c];a.hasAttribute(d.name)&&(a.enableAttributeArray(d.name),a.setAttributePointer(d.name,d.size,d.type,d.normalized,this.stride,b+d.offset))}};ShipGL.VertexLayout.prototype.unbind=function(a){var b;for(b=0;b<this.attributes.length;b++)a.hasAttribute(this.attributes[b].name)&&a.disableAttributeArray(this.attributes[b].name)};
+ShipGL.VertexLayout.prototype._encode=function(a,b,c,d){return b?c?Math.round((Math.max(-1,Math.min(1,a))*d-1)/2):Math.round(Math.max(0,Math.min(1,a))*d):Math.round(a)};ShipGL.VertexArray=function(a){ShipGL.GLResource.call(this,a);this._ext=a.getExtension("OES_vertex_array_object");this.isNative=!!this._ext;this.rawVertexArray=this._ext?this._ext.createVertexArrayOES():null;this.indexBuffer=null;this._attributes=[]};ShipGL.VertexArray.prototype=Object.create(ShipGL.GLResource.prototype);
+ShipGL.VertexArray.prototype.bind=function(){if(this.isNative)this._ext.bindVertexArrayOES(this.rawVertexArray);else{var a;for(a=0;a<this._attributes.length;a++)this._applyAttribute(this._attributes[a]);this.indexBuffer&&this.indexBuffer.bind()}};ShipGL.VertexArray.prototype.unbind=function(){if(this.isNative)this._ext.bindVertexArrayOES(null);else{var a;for(a=0;a<this._attributes.length;a++){var b=this._attributes[a];b.program.disableAttributeArray(b.name)}this.indexBuffer&&this.indexBuffer.unbind()}};
+ShipGL.VertexArray.prototype.addAttribute=function(a,b,c,d,f,g,e){var h=Float32Array.BYTES_PER_ELEMENT;this._addPointer({program:a,name:b,buffer:c,size:d,type:this.gl.FLOAT,norm:e||!1,stride:h*f,offset:h*g})};ShipGL.VertexArray.prototype.addLayout=function(a,b,c,d){d=d||0;var f;for(f=0;f<b.attributes.length;f++){var g=b.attributes[f];a.hasAttribute(g.name)&&this._addPointer({program:a,name:g.name,buffer:c,size:g.size,type:g.type,norm:g.normalized,stride:b.stride,offset:d+g.offset})}};
+ShipGL.VertexArray.prototype.setIndexBuffer=function(a){this.indexBuffer=a;this.isNative&&(this._ext.bindVertexArrayOES(this.rawVertexArray),this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER,a?a.rawBuffer:null),this._ext.bindVertexArrayOES(null))};ShipGL.VertexArray.prototype.deallocate=function(){this.isNative&&this._ext.deleteVertexArrayOES(this.rawVertexArray);this._attributes=[];this.indexBuffer=null};
+ShipGL.VertexArray.prototype._addPointer=function(a){this._attributes.push(a);this.isNative&&(this._ext.bindVertexArrayOES(this.rawVertexArray),this._applyAttribute(a),this._ext.bindVertexArrayOES(null))};ShipGL.VertexArray.prototype._applyAttribute=function(a){a.buffer.bind();a.program.enableAttributeArray(a.name);a.program.setAttributePointer(a.name,a.size,a.type,a.norm,a.stride,a.offset)};ShipGL.BufferUtilities=function(a){ShipGL.GLResource.call(this,a);this.createVertexBuffer=this.makeBufferCreator(this.gl.ARRAY_BUFFER,Float32Array);this.createIndexBuffer=this.makeBufferCreator(this.gl.ELEMENT_ARRAY_BUFFER,Uint16Array);this.hasUint32Indices=ShipGL.Buffer.enableUint32Indices(this.gl);this.createIndexBuffer32=this.makeBufferCreator(this.gl.ELEMENT_ARRAY_BUFFER,Uint32Array)};ShipGL.BufferUtilities.prototype=Object.create(ShipGL.GLResource.prototype);
+ShipGL.BufferUtilities.prototype.makeBufferCreator=function(a,b){return function(c,d,f){d=d||c.length;var g=new ShipGL.Buffer(this.gl,a,b);f&&g.enableShadowCopy();g.bind();g.allocate(d);g.write(c);g.unbind();return g}};ShipGL.BufferUtilities.prototype.createDynamicVertexBuffer=function(a,b,c){c=new ShipGL.Buffer(this.gl,this.gl.ARRAY_BUFFER,c||Float32Array);c.setDynamic(b);c.bind();c.allocate(a||0);c.unbind();return c};
+ShipGL.BufferUtilities.prototype.createMeshBuffers=function(a){var b=new ShipGL.VertexLayout(this.gl);b.addAttribute("aPosition",3);b.addAttribute("aNormal",3);b.addAttribute("aTexCoord",2);b.addAttribute("aTangent",3);b.addAttribute("aBitangent",3);var c=a.vertexPositions.length/3,d=b.createBuffer({aPosition:a.vertexPositions,aNormal:a.vertexNormals,aTexCoord:a.vertexTexCoordinates[0],aTangent:a.vertexTangents,aBitangent:a.vertexBitangents},c);if(c<=ShipGL.Model.MAX_UINT16_VERTICES)a=this.createIndexBuffer(a.indices);
+else if(this.hasUint32Indices)a=this.createIndexBuffer32(a.indices);else throw Error("ShipGL.BufferUtilities.createMeshBuffers: the mesh has "+c+" vertices, which needs 32-bit indices, but OES_element_index_uint is not available!");return{vbo:d,ibo:a,vertexLayout:b}};
+ShipGL.BufferUtilities.prototype.createModelJSON=function(a,b){a=a instanceof Array?a:[a];b=b||{diffuseTexture:[],diffuseReflectance:[.8,.8,.8,1],ambientReflectance:[0,0,0,1],specularReflectance:[0,0,0,1],shininess:0,emissionColor:[0,0,0,1]};var c={modelMatrix:[1,0,0,0,0,1,0,0,0,0,1,0,0,0,0,1],meshIndices:[]},d;for(d=0;d<a.length;d++)a[d].materialIndex=0,c.meshIndices.push(d);return{name:"noname",materials:[b],meshes:a,nodes:[c]}};
+ShipGL.BufferUtilities.prototype.generateCube=function(a,b){a=(void 0===a?1:a)/2;var c=this._createGeometry(),d=[[[1,0,0],[0,0,-1],[0,1,0]],[[-1,0,0],[0,0,1],[0,1,0]],[[0,1,0],[1,0,0],[0,0,-1]],[[0,-1,0],[1,0,0],[0,0,1]],[[0,0,1],[1,0,0],[0,1,0]],[[0,0,-1],[-1,0,0],[0,1,0]]],f;for(f=0;f<d.length;f++){var g=d[f][0];var e=d[f][1];var h=d[f][2];this._addPatch(c,[g[0]*a,g[1]*a,g[2]*a],[e[0]*a,e[1]*a,e[2]*a],[h[0]*a,h[1]*a,h[2]*a],g,b||1,b||1)}return this._createMesh(c)};
+ShipGL.BufferUtilities.prototype.generatePlane=function(a,b,c,d){a=void 0===a?1:a;b=void 0===b?1:b;var f=this._createGeometry();this._addPatch(f,[0,0,0],[a/2,0,0],[0,0,-b/2],[0,1,0],c||1,d||1);return this._createMesh(f)};
+ShipGL.BufferUtilities.prototype.generateUVSphere=function(a,b,c){a=void 0===a?.5:a;c=c||16;var d=this._createGeometry(),f=[],g;for(g=0;g<=c;g++){var e=Math.PI*g/c;var h=0==g||g==c?0:Math.sin(e);f.push({radius:a*h,y:a*Math.cos(e),normalRadial:h,normalY:Math.cos(e),v:1-g/c})}this._addLathe(d,f,b||32);return this._createMesh(d)};
+ShipGL.BufferUtilities.prototype.generateIcosphere=function(a,b){function c(a,b){var c=Math.min(a,b)+"_"+Math.max(a,b);void 0===h[c]&&(h[c]=f.length,f.push([(f[a][0]+f[b][0])/2,(f[a][1]+f[b][1])/2,(f[a][2]+f[b][2])/2]));return h[c]}a=void 0===a?.5:a;b=void 0===b?2:b;var d=(1+Math.sqrt(5))/2,f=[[-1,d,0],[1,d,0],[-1,-d,0],[1,-d,0],[0,-1,d],[0,1,d],[0,-1,-d],[0,1,-d],[d,0,-1],[d,0,1],[-d,0,-1],[-d,0,1]];d=[0,11,5,0,5,1,0,1,7,0,7,10,0,10,11,1,5,9,5,11,4,11,10,2,10,7,6,7,1,8,3,9,4,3,4,2,3,2,6,3,6,8,3,
+8,9,4,9,5,2,4,11,6,2,10,8,6,7,9,8,1];var g,e;for(g=0;g<b;g++){var h={};var m=[];for(e=0;e<d.length;e+=3){var l=d[e];var q=d[e+1];var p=d[e+2];var k=c(l,q);var n=c(q,p);var t=c(p,l);m.push(l,k,t,q,n,k,p,t,n,k,n,t)}d=m}for(g=0;g<f.length;g++)vec3.normalize(f[g]);b=this._createGeometry();m={};l=[];q=[];p=[];k=[];var v;for(g=0;g<d.length;g+=3){t=1;for(e=v=0;3>e;e++)n=f[d[g+e]],l[e]=Math.atan2(n[0],n[2])/(2*Math.PI),l[e]+=0>l[e]?1:0,q[e]=.5+Math.asin(Math.max(-1,Math.min(1,n[1])))/Math.PI,p[e]=Math.abs(n[1])>
+1-1E-9,p[e]||(t=Math.min(t,l[e]),v=Math.max(v,l[e]));for(e=0;3>e;e++).5<v-t&&.5>l[e]&&(l[e]+=1);for(e=0;3>e;e++)p[e]&&(l[e]=(l[(e+1)%3]+l[(e+2)%3])/2);for(e=0;3>e;e++)t=d[g+e]+"_"+l[e],void 0===m[t]&&(n=f[d[g+e]],m[t]=b.positions.length/3,b.positions.push(a*n[0],a*n[1],a*n[2]),b.normals.push(n[0],n[1],n[2]),b.texCoords.push(l[e],q[e])),k[e]=m[t];b.indices.push(k[0],k[1],k[2])}return this._createMesh(b)};
+ShipGL.BufferUtilities.prototype.generateCylinder=function(a,b,c,d,f,g){a=void 0===a?.5:a;b=void 0===b?.5:b;c=void 0===c?1:c;d=d||32;f=f||1;var e=this._createGeometry(),h=[],m=Math.sqrt(c*c+(b-a)*(b-a)),l=c/m;m=(b-a)/m;var q;for(q=0;q<=f;q++){var p=q/f;h.push({radius:a+(b-a)*p,y:c/2-c*p,normalRadial:l,normalY:m,v:1-p})}this._addLathe(e,h,d);!1!==g&&(0<a&&this._addCap(e,a,c/2,1,d),0<b&&this._addCap(e,b,-c/2,-1,d));return this._createMesh(e)};
+ShipGL.BufferUtilities.prototype.generateCone=function(a,b,c,d,f){return this.generateCylinder(0,void 0===a?.5:a,b,c,d,f)};
+ShipGL.BufferUtilities.prototype.generateTorus=function(a,b,c,d){a=void 0===a?.35:a;b=void 0===b?.15:b;c=c||32;d=d||16;var f=this._createGeometry(),g,e;for(e=0;e<=d;e++){var h=2*Math.PI*e/d;for(g=0;g<=c;g++){var m=2*Math.PI*g/c;var l=Math.cos(h)*Math.sin(m);var q=Math.sin(h);var p=Math.cos(h)*Math.cos(m);f.positions.push(a*Math.sin(m)+b*l,b*q,a*Math.cos(m)+b*p);f.normals.push(l,q,p);f.texCoords.push(g/c,e/d)}}this._addGridIndices(f,0,c,d);return this._createMesh(f)};
+ShipGL.BufferUtilities.prototype.generateCapsule=function(a,b,c,d){a=void 0===a?.25:a;b=void 0===b?1:b;d=d||8;var f=this._createGeometry();b=Math.max(0,b/2-a);var g=Math.PI*a+2*b,e=[],h;for(h=0;h<=2*d+1;h++){var m=h<=d;if(h!=d+1||0!=b){var l=Math.PI/2*(m?h:h-1)/d;var q=0==h||h==2*d+1?0:Math.sin(l);var p=a*l+(m?0:2*b);e.push({radius:a*q,y:a*Math.cos(l)+(m?b:-b),normalRadial:q,normalY:Math.cos(l),v:1-p/g})}}this._addLathe(f,e,c||32);return this._createMesh(f)};
+ShipGL.BufferUtilities.prototype._createGeometry=function(){return{positions:[],normals:[],texCoords:[],indices:[]}};ShipGL.BufferUtilities.prototype._createMesh=function(a){return ShipGL.MeshUtilities.generateTangents({vertexPositions:a.positions,vertexNormals:a.normals,vertexTexCoordinates:[a.texCoords],indices:a.indices,materialIndex:0})};
+ShipGL.BufferUtilities.prototype._addGridIndices=function(a,b,c,d){var f,g;for(f=0;f<d;f++)for(g=0;g<c;g++){var e=b+f*(c+1)+g;var h=e+1;var m=e+c+1;var l=m+1;a.indices.push(e,h,l,e,l,m)}};ShipGL.BufferUtilities.prototype._addPatch=function(a,b,c,d,f,g,e){var h=a.positions.length/3,m,l,q;for(l=0;l<=e;l++){var p=l/e;for(m=0;m<=g;m++){var k=m/g;for(q=0;3>q;q++)a.positions.push(b[q]+(2*k-1)*c[q]+(2*p-1)*d[q]);a.normals.push(f[0],f[1],f[2]);a.texCoords.push(k,p)}}this._addGridIndices(a,h,g,e)};
+ShipGL.BufferUtilities.prototype._addLathe=function(a,b,c){var d=a.positions.length/3,f,g;for(g=0;g<b.length;g++){var e=b[g];for(f=0;f<=c;f++){var h=2*Math.PI*f/c;var m=Math.sin(h);h=Math.cos(h);a.positions.push(e.radius*m,e.y,e.radius*h);a.normals.push(e.normalRadial*m,e.normalY,e.normalRadial*h);a.texCoords.push(f/c,e.v)}}for(g=0;g<b.length-1;g++)for(f=0;f<c;f++){e=d+g*(c+1)+f;m=e+1;h=e+c+1;var l=h+1;0<b[g+1].radius&&a.indices.push(e,h,l);0<b[g].radius&&a.indices.push(e,l,m)}};
+ShipGL.BufferUtilities.prototype._addCap=function(a,b,c,d,f){var g=a.positions.length/3;a.positions.push(0,c,0);a.normals.push(0,d,0);a.texCoords.push(.5,.5);var e;for(e=0;e<=f;e++){var h=2*Math.PI*e/f;a.positions.push(b*Math.sin(h),c,b*Math.cos(h));a.normals.push(0,d,0);a.texCoords.push(.5+.5*Math.sin(h),.5-.5*d*Math.cos(h));0<e&&(0<d?a.indices.push(g,g+e,g+e+1):a.indices.push(g,g+e+1,g+e))}};ShipGL.ShaderProgram=function(a){ShipGL.GLResource.call(this,a);this.rawProgram=this.gl.createProgram();this._bpf=Float32Array.BYTES_PER_ELEMENT};ShipGL.ShaderProgram.enableInstancing=function(a){return!!a.getExtension("ANGLE_instanced_arrays")};ShipGL.ShaderProgram.prototype=Object.create(ShipGL.GLResource.prototype);ShipGL.ShaderProgram.prototype.bind=function(){this.gl.useProgram(this.rawProgram)};ShipGL.ShaderProgram.prototype.unbind=function(){this.gl.useProgram(null)};
+ShipGL.ShaderProgram.prototype.create=function(a,b){a=this.createShader(this.gl.VERTEX_SHADER,a);b=this.createShader(this.gl.FRAGMENT_SHADER,b);this.gl.attachShader(this.rawProgram,a);this.gl.attachShader(this.rawProgram,b);this.gl.linkProgram(this.rawProgram);if(!this.gl.getProgramParameter(this.rawProgram,this.gl.LINK_STATUS))return alert("GLSL LINK ERROR!\n"+this.gl.getProgramInfoLog(this.rawProgram)),null};
+ShipGL.ShaderProgram.prototype.createShader=function(a,b){a=this.gl.createShader(a);this.gl.shaderSource(a,b);this.gl.compileShader(a);return this.gl.getShaderParameter(a,this.gl.COMPILE_STATUS)?a:(alert("GLSL COMPILE ERROR!\n"+b+"\n"+this.gl.getShaderInfoLog(a)),null)};ShipGL.ShaderProgram.prototype.attributeLocation=function(a){var b=this.gl.getAttribLocation(this.rawProgram,a);0>b&&alert("ShipGL.ShaderProgram.attributeLocation: "+a+" is not a valid uniform! Returning null...");return b};
+ShipGL.ShaderProgram.prototype.hasAttribute=function(a){return 0<=this.gl.getAttribLocation(this.rawProgram,a)};ShipGL.ShaderProgram.prototype.uniformLocation=function(a){var b=this.gl.getUniformLocation(this.rawProgram,a);0>b&&alert("ShipGL.ShaderProgram.uniformLocation: "+a+" is not a valid uniform! Returning null...");return b};ShipGL.ShaderProgram.prototype.enableAttributeArray=function(a){this[a]=this[a]||this.attributeLocation(a);this.gl.enableVertexAttribArray(this[a])};
+ShipGL.ShaderProgram.prototype.disableAttributeArray=function(a){this[a]=this[a]||this.attributeLocation(a);this.gl.disableVertexAttribArray(this[a])};ShipGL.ShaderProgram.prototype.setAttributeBuffer1f=function(a,b,c,d){d=d||!1;this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttribPointer(this[a],1,this.gl.FLOAT,d,this._bpf*b,this._bpf*c)};
+ShipGL.ShaderProgram.prototype.setAttributeBuffer2f=function(a,b,c,d){d=d||!1;this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttribPointer(this[a],2,this.gl.FLOAT,d,this._bpf*b,this._bpf*c)};ShipGL.ShaderProgram.prototype.setAttributeBuffer3f=function(a,b,c,d){d=d||!1;this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttribPointer(this[a],3,this.gl.FLOAT,d,this._bpf*b,this._bpf*c)};
+ShipGL.ShaderProgram.prototype.setAttributeBuffer4f=function(a,b,c,d){d=d||!1;this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttribPointer(this[a],4,this.gl.FLOAT,d,this._bpf*b,this._bpf*c)};ShipGL.ShaderProgram.prototype.setAttributeBuffer1i=function(a,b,c,d,f){this._setIntegerAttributeBuffer(a,1,b,c,d,f)};ShipGL.ShaderProgram.prototype.setAttributeBuffer2i=function(a,b,c,d,f){this._setIntegerAttributeBuffer(a,2,b,c,d,f)};
+ShipGL.ShaderProgram.prototype.setAttributeBuffer3i=function(a,b,c,d,f){this._setIntegerAttributeBuffer(a,3,b,c,d,f)};ShipGL.ShaderProgram.prototype.setAttributeBuffer4i=function(a,b,c,d,f){this._setIntegerAttributeBuffer(a,4,b,c,d,f)};ShipGL.ShaderProgram.prototype.setAttributePointer=function(a,b,c,d,f,g){this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttribPointer(this[a],b,c,d||!1,f,g)};
+ShipGL.ShaderProgram.prototype._setIntegerAttributeBuffer=function(a,b,c,d,f,g){g=g||this.gl.SHORT;var e=ShipGL.VertexLayout.bytesPerComponent(this.gl,g);this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttribPointer(this[a],b,g,f||!1,e*c,e*d)};ShipGL.ShaderProgram.prototype.setAttributeValue1f=function(a,b){this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttrib1f(this[a],b)};
+ShipGL.ShaderProgram.prototype.setAttributeValue2f=function(a,b,c){this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttrib2f(this[a],b,c)};ShipGL.ShaderProgram.prototype.setAttributeValue3f=function(a,b,c,d){this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttrib3f(this[a],b,c,d)};ShipGL.ShaderProgram.prototype.setAttributeValue4f=function(a,b,c,d,f){this[a]=this[a]||this.attributeLocation(a);this.gl.vertexAttrib4f(this[a],b,c,d,f)};
+ShipGL.ShaderProgram.prototype.enableMatrixAttributeArray=function(a){this[a]=this[a]||this.attributeLocation(a);var b;for(b=0;4>b;b++)this.gl.enableVertexAttribArray(this[a]+b)};ShipGL.ShaderProgram.prototype.disableMatrixAttributeArray=function(a){this[a]=this[a]||this.attributeLocation(a);var b;for(b=0;4>b;b++)this.gl.disableVertexAttribArray(this[a]+b)};
+ShipGL.ShaderProgram.prototype.setAttributeBufferMat4f=function(a,b,c){this[a]=this[a]||this.attributeLocation(a);var d;for(d=0;4>d;d++)this.gl.vertexAttribPointer(this[a]+d,4,this.gl.FLOAT,!1,this._bpf*b,this._bpf*(c+4*d))};ShipGL.ShaderProgram.prototype.setAttributeValueMat4f=function(a,b){this[a]=this[a]||this.attributeLocation(a);var c;for(c=0;4>c;c++)this.gl.vertexAttrib4f(this[a]+c,b[4*c],b[4*c+1],b[4*c+2],b[4*c+3])};
+ShipGL.ShaderProgram.prototype.setAttributeDivisor=function(a,b){this[a]=this[a]||this.attributeLocation(a);this.gl.getExtension("ANGLE_instanced_arrays").vertexAttribDivisorANGLE(this[a],b)};ShipGL.ShaderProgram.prototype.setMatrixAttributeDivisor=function(a,b){this[a]=this[a]||this.attributeLocation(a);var c=this.gl.getExtension("ANGLE_instanced_arrays"),d;for(d=0;4>d;d++)c.vertexAttribDivisorANGLE(this[a]+d,b)};
+ShipGL.ShaderProgram.prototype.setUniform1f=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform1f(this[a],b)};ShipGL.ShaderProgram.prototype.setUniform2f=function(a,b,c){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform2f(this[a],b,c)};ShipGL.ShaderProgram.prototype.setUniform3f=function(a,b,c,d){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform3f(this[a],b,c,d)};
+ShipGL.ShaderProgram.prototype.setUniform4f=function(a,b,c,d,f){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform4f(this[a],b,c,d,f)};ShipGL.ShaderProgram.prototype.setUniform1i=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform1i(this[a],b)};ShipGL.ShaderProgram.prototype.setUniform2i=function(a,b,c){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform2i(this[a],b,c)};
+ShipGL.ShaderProgram.prototype.setUniform3i=function(a,b,c,d){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform3i(this[a],b,c,d)};ShipGL.ShaderProgram.prototype.setUniform4i=function(a,b,c,d,f){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform4i(this[a],b,c,d,f)};ShipGL.ShaderProgram.prototype.setUniformVec1f=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform1fv(this[a],b)};
+ShipGL.ShaderProgram.prototype.setUniformVec2f=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform2fv(this[a],b)};ShipGL.ShaderProgram.prototype.setUniformVec3f=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform3fv(this[a],b)};ShipGL.ShaderProgram.prototype.setUniformVec4f=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform4fv(this[a],b)};
+ShipGL.ShaderProgram.prototype.setUniformVec1i=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform1iv(this[a],b)};ShipGL.ShaderProgram.prototype.setUniformVec2i=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform2iv(this[a],b)};ShipGL.ShaderProgram.prototype.setUniformVec3i=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform3iv(this[a],b)};
+ShipGL.ShaderProgram.prototype.setUniformVec4i=function(a,b){this[a]=this[a]||this.uniformLocation(a);this.gl.uniform4iv(this[a],b)};ShipGL.ShaderProgram.prototype.setUniformMat2=function(a,b,c){c=c||!1;this[a]=this[a]||this.uniformLocation(a);this.gl.uniformMatrix2fv(this[a],c,b)};ShipGL.ShaderProgram.prototype.setUniformMat3=function(a,b,c){c=c||!1;this[a]=this[a]||this.uniformLocation(a);this.gl.uniformMatrix3fv(this[a],c,b)};
+ShipGL.ShaderProgram.prototype.setUniformMat4=function(a,b,c){c=c||!1;this[a]=this[a]||this.uniformLocation(a);this.gl.uniformMatrix4fv(this[a],c,b)};ShipGL.Texture=function(a){ShipGL.GLResource.call(this,a);this.textureType=this.gl.TEXTURE_2D;this.rawTexture=this.gl.createTexture();this.isLoaded=!1;this.height=this.width=0;this.NPOT=!0;var b=this;this._image=new Image;this._image.onload=function(){b.onImageLoad()};this._image.onerror=function(){b.onImageError()}};
+ShipGL.Texture.unbindAll=function(a,b){if(void 0===b)a.bindTexture(a.TEXTURE_2D,null),a.bindTexture(a.TEXTURE_CUBE_MAP,null);else{for(--b;0<=b;b--)a.activeTexture(a.TEXTURE0+b),a.bindTexture(a.TEXTURE_2D,null),a.bindTexture(a.TEXTURE_CUBE_MAP,null);a.activeTexture(a.TEXTURE0)}};ShipGL.Texture.prototype=Object.create(ShipGL.GLResource.prototype);ShipGL.Texture.prototype.bind=function(a){0<=a&&this.gl.activeTexture(this.gl.TEXTURE0+a);this.gl.bindTexture(this.textureType,this.rawTexture)};
+ShipGL.Texture.prototype.unbind=function(){this.gl.bindTexture(this.textureType,null)};ShipGL.Texture.prototype.load=function(a,b,c){this._onLoad=b;this._onError=c;this._image.src=a};ShipGL.Texture.prototype.setRepeatS=function(a){this.gl.texParameteri(this.textureType,this.gl.TEXTURE_WRAP_S,a?this.gl.REPEAT:this.gl.CLAMP_TO_EDGE)};ShipGL.Texture.prototype.setRepeatT=function(a){this.gl.texParameteri(this.textureType,this.gl.TEXTURE_WRAP_T,a?this.gl.REPEAT:this.gl.CLAMP_TO_EDGE)};
+ShipGL.Texture.prototype.setSmooth=function(a){this.gl.texParameteri(this.textureType,this.gl.TEXTURE_MAG_FILTER,a?this.gl.LINEAR:this.gl.NEAREST);var b=this.NPOT?this.gl.LINEAR:this.gl.LINEAR_MIPMAP_LINEAR;this.gl.texParameteri(this.textureType,this.gl.TEXTURE_MIN_FILTER,a?b:this.gl.NEAREST)};
 ShipGL.Texture.prototype.onImageLoad=function(){this.bind();this.width=this._image.width;this.height=this._image.height;this.NPOT=!(ShipGL.Math.isPowerOf2(this._image.width)&&ShipGL.Math.isPowerOf2(this._image.height));var a=!this.NPOT;this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL,1);this.gl.texImage2D(this.textureType,0,this.gl.RGBA,this.gl.RGBA,this.gl.UNSIGNED_BYTE,this._image);this.setRepeatS(a);this.setRepeatT(a);this.setSmooth(!0);a&&this.gl.generateMipmap(this.textureType);this.unbind();
-this.isLoaded=!0;delete this._image};ShipGL.CubeTexture=function(a){ShipGL.GLResource.call(this,a);this.textureType=this.gl.TEXTURE_CUBE_MAP;this.rawTexture=this.gl.createTexture();this._images=[];for(var b=this,a=0;6>a;a++)this._images[a]=new Image,this._images[a].onload=function(a){return function(){b.onImageLoad(a)}}(a),this._images[a].onerror=function(a){return function(){alert("Image "+a+" "+this.src+" load error!")}}(a)};ShipGL.CubeTexture.prototype=Object.create(ShipGL.GLResource.prototype);
-ShipGL.CubeTexture.prototype.bind=function(a){0<=a&&this.gl.activeTexture(this.gl.TEXTURE0+a);this.gl.bindTexture(this.textureType,this.rawTexture)};ShipGL.CubeTexture.prototype.unbind=function(){this.gl.bindTexture(this.textureType,null)};ShipGL.CubeTexture.prototype.loadPositiveX=function(a){this._images[0].src=a};ShipGL.CubeTexture.prototype.loadNegativeX=function(a){this._images[1].src=a};ShipGL.CubeTexture.prototype.loadPositiveY=function(a){this._images[2].src=a};
-ShipGL.CubeTexture.prototype.loadNegativeY=function(a){this._images[3].src=a};ShipGL.CubeTexture.prototype.loadPositiveZ=function(a){this._images[4].src=a};ShipGL.CubeTexture.prototype.loadNegativeZ=function(a){this._images[5].src=a};ShipGL.CubeTexture.prototype.setRepeatS=function(a){this.gl.texParameteri(this.textureType,this.gl.TEXTURE_WRAP_S,a?this.gl.REPEAT:this.gl.CLAMP_TO_EDGE)};
-ShipGL.CubeTexture.prototype.setRepeatT=function(a){this.gl.texParameteri(this.textureType,this.gl.TEXTURE_WRAP_T,a?this.gl.REPEAT:this.gl.CLAMP_TO_EDGE)};ShipGL.CubeTexture.prototype.setSmooth=function(a){this.gl.texParameteri(this.textureType,this.gl.TEXTURE_MAG_FILTER,a?this.gl.LINEAR:this.gl.NEAREST);this.gl.texParameteri(this.textureType,this.gl.TEXTURE_MIN_FILTER,a?this.gl.LINEAR:this.gl.NEAREST)};
-ShipGL.CubeTexture.prototype.onImageLoad=function(a){this.bind();this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL,0);this.gl.texImage2D(this.gl.TEXTURE_CUBE_MAP_POSITIVE_X+a,0,this.gl.RGBA,this.gl.RGBA,this.gl.UNSIGNED_BYTE,this._images[a]);this.setRepeatS(!1);this.setRepeatT(!1);this.setSmooth(!0);this.unbind()};ShipGL.Light=function(a){this.intensity=vec3.create(a);this.isRotating=!1;this.rotationMat=mat4.create()};ShipGL.Light.prototype.update=function(){throw"ShipGL.Light.update is abstract!";};ShipGL.Light.prototype.startRotation=function(){throw"ShipGL.Light.startRotation is abstract!";};ShipGL.Light.prototype.stopRotation=function(){throw"ShipGL.Light.stopRotation is abstract!";};ShipGL.PointLight=function(a,b){ShipGL.Light.call(this,a);this.position=vec4.createFrom(b[0],b[1],b[2],1)};ShipGL.PointLight.prototype=Object.create(ShipGL.Light.prototype);ShipGL.PointLight.prototype.update=function(){this.isRotating&&(mat4.multiplyVec4(this.rotationMat,this.position),this.position[3]=1)};ShipGL.PointLight.prototype.startRotation=function(a,b,c){this.isRotating=!0;ShipGL.Math.arbitraryRotation(ShipGL.Math.toRadians(a),c,b,this.rotationMat)};
-ShipGL.PointLight.prototype.stopRotation=function(){this.isRotating=!1};ShipGL.DirectionalLight=function(a,b){ShipGL.Light.call(this,a);this.direction=vec4.createFrom(b[0],b[1],b[2],0);vec3.normalize(this.direction)};ShipGL.DirectionalLight.prototype=Object.create(ShipGL.Light.prototype);ShipGL.DirectionalLight.prototype.update=function(){this.isRotating&&(mat4.multiplyVec4(this.rotationMat,this.direction),this.direction[3]=0,vec3.normalize(this.direction))};
-ShipGL.DirectionalLight.prototype.startRotation=function(a,b){this.isRotating=!0;mat4.identity(this.rotationMat);mat4.rotate(this.rotationMat,ShipGL.Math.toRadians(a),b)};ShipGL.DirectionalLight.prototype.stopRotation=function(){this.isRotating=!1};ShipGL.Model=function(a,b){ShipGL.GLResource.call(this,a);var c=ShipGL.FileLoader.loadLocal(b,"application/json")||ShipGL.FileLoader.loadHttp(b,"application/json");this.json=JSON.parse(c);this.vbo=new ShipGL.Buffer(a,a.ARRAY_BUFFER,Float32Array);this.ibo=new ShipGL.Buffer(a,a.ELEMENT_ARRAY_BUFFER,Uint16Array);this.min=vec3.create();this.max=vec3.create();this.center=vec3.create();this.diagonal=0;this._imageDirHelper=b.replace("model.json","")};ShipGL.Model.prototype=Object.create(ShipGL.GLResource.prototype);
-ShipGL.Model.prototype.initialize=function(){this._initBuffers();this._initMaterialTextures();this._initNormalMatrices();this._computeExtents()};ShipGL.Model.prototype.draw=function(){throw"ShipGL.Model.draw is abstract!";};
-ShipGL.Model.prototype._initBuffers=function(){var a,b,c,d=0,e=0,f=0;for(a=0;a<this.json.meshes.length;a++)b=this.json.meshes[a],f=0,d+=b.vertexPositions.length,f+=3,d+=b.vertexNormals.length,f+=3,b.hasTexture=!1,b.vertexTexCoordinates&&(b.vertexTexCoordinates[0]&&0<b.vertexTexCoordinates[0].length)&&(c=this.json.materials[b.materialIndex],b.hasTexture=0<c.diffuseTexture.length,b.hasTexture&&(d+=b.vertexTexCoordinates[0].length,f+=2)),b.stride=f,b.hasIndices=!1,b.indices&&0<b.indices.length&&(b.hasIndices=
-!0,b.indicesOffset=e,b.indicesByteOffset=Uint16Array.BYTES_PER_ELEMENT*e,e+=b.indices.length);this.vbo.bind();this.ibo.bind();this.vbo.allocate(d);this.ibo.allocate(e);for(a=e=0;a<this.json.meshes.length;a++){b=this.json.meshes[a];b.positionsOffset=e;b.normalsOffset=3+e;b.hasTexture&&(b.texCoordsOffset=6+e);for(d=c=0;c<b.vertexPositions.length;c+=3)this.vbo.write(b.vertexPositions.slice(c,c+3),e),e+=3,this.vbo.write(b.vertexNormals.slice(c,c+3),e),e+=3,b.hasTexture&&(this.vbo.write(b.vertexTexCoordinates[0].slice(d,
-d+2),e),e+=2,d+=2);b.hasIndices&&this.ibo.write(b.indices,b.indicesOffset)}this.vbo.unbind();this.ibo.unbind()};ShipGL.Model.prototype._initMaterialTextures=function(){var a,b;for(a=0;a<this.json.materials.length;a++)b=this.json.materials[a],0<b.diffuseTexture.length&&(b.texture=new ShipGL.Texture(this.gl),b.texture.load(this._imageDirHelper+b.diffuseTexture[0]))};
-ShipGL.Model.prototype._initNormalMatrices=function(){var a,b;for(a=0;a<this.json.nodes.length;a++)b=this.json.nodes[a],b.normalMatrix=mat4.create(),mat4.inverse(b.modelMatrix,b.normalMatrix),mat4.transpose(b.normalMatrix)};
-ShipGL.Model.prototype._computeExtents=function(){function a(a){return function(b,c,d){var e=c[0],f=c[1],g=c[2];a(b[0],c[0])&&(e=b[0]);a(b[1],c[1])&&(f=b[1]);a(b[2],c[2])&&(g=b[2]);d[0]=e;d[1]=f;d[2]=g}}var b=a(function(a,b){return a<b}),c=a(function(a,b){return a>b}),d=vec3.createFrom(Number.MAX_VALUE,Number.MAX_VALUE,Number.MAX_VALUE),e=vec3.createFrom(-Number.MIN_VALUE,-Number.MIN_VALUE,-Number.MIN_VALUE),f=vec3.create(),i,j,g,k,h;for(i=0;i<this.json.nodes.length;i++){k=this.json.nodes[i];for(j=
-0;j<k.meshIndices.length;j++){h=this.json.meshes[k.meshIndices[j]].vertexPositions;for(g=0;g<h.length;g+=3)f[0]=h[g],f[1]=h[g+1],f[2]=h[g+2],mat4.multiplyVec3(k.modelMatrix,f),b(d,f,d),c(e,f,e)}}b=vec3.create();vec3.add(d,e,b);vec3.scale(b,0.5);vec3.set(d,this.min);vec3.set(e,this.max);vec3.set(b,this.center);this.diagonal=vec3.dist(this.min,this.max)};ShipGL.SkyBox=function(a){ShipGL.GLResource.call(this,a);this.cubeMap=new ShipGL.CubeTexture(this.gl);a=new ShipGL.BufferUtilities(this.gl);this.vbo=a.createVertexBuffer([-1,-1,1,1,-1,1,1,1,1,-1,1,1,-1,-1,-1,-1,1,-1,1,1,-1,1,-1,-1,-1,1,-1,-1,1,1,1,1,1,1,1,-1,-1,-1,-1,1,-1,-1,1,-1,1,-1,-1,1,1,-1,-1,1,1,-1,1,1,1,1,-1,1,-1,-1,-1,-1,-1,1,-1,1,1,-1,1,-1]);this.ibo=a.createIndexBuffer([0,1,2,0,2,3,4,5,6,4,6,7,8,9,10,8,10,11,12,13,14,12,14,15,16,17,18,16,18,19,20,21,22,20,22,23]);this.program=new ShipGL.ShaderProgram(this.gl);
-this.program.create("uniform mat4 uProjMat;\nuniform mat4 uViewMat;\nuniform mat4 uModelMat;\n\nattribute vec3 aPosition;\n\nvarying vec3 texCoord;\n\nvoid main()\n{\n    gl_Position = uProjMat * uViewMat * uModelMat * vec4(aPosition, 1.0);\n    texCoord = aPosition;\n}","precision mediump float;\n\nuniform samplerCube uCubeTex;\n\nvarying vec3 texCoord;\n\nvoid main()\n{\n\tgl_FragColor = textureCube(uCubeTex, texCoord);\n}");this.center=vec3.create();this.width=2;this.projMat=mat4.create();this.viewMat=
-mat4.create();this.modelMat=mat4.create()};ShipGL.SkyBox.prototype=Object.create(ShipGL.GLResource.prototype);
-ShipGL.SkyBox.prototype.draw=function(){this.program.bind();this.vbo.bind();this.ibo.bind();this.cubeMap.bind(0);this.program.enableAttributeArray("aPosition");this.program.setUniformMat4("uProjMat",this.projMat);this.program.setUniformMat4("uViewMat",this.viewMat);this.program.setUniformMat4("uModelMat",this.modelMat);this.program.setUniform1i("uCubeTex",0);this.program.setAttributeBuffer3f("aPosition",0,0);this.gl.drawElements(this.gl.TRIANGLES,this.ibo.length,this.gl.UNSIGNED_SHORT,0);this.program.disableAttributeArray("aPosition");
-this.cubeMap.unbind();this.ibo.unbind();this.vbo.unbind();this.program.unbind()};ShipGL.SkyBox.prototype.setDirectory=function(a,b){this.cubeMap.loadPositiveX(a+"/positive_x"+b);this.cubeMap.loadPositiveY(a+"/positive_y"+b);this.cubeMap.loadPositiveZ(a+"/positive_z"+b);this.cubeMap.loadNegativeX(a+"/negative_x"+b);this.cubeMap.loadNegativeY(a+"/negative_y"+b);this.cubeMap.loadNegativeZ(a+"/negative_z"+b)};ShipGL.SkyBox.prototype.setCenter=function(a){vec3.set(a,this.center);this._computeModelMatrix()};
-ShipGL.SkyBox.prototype.setWidth=function(a){this.width=a;this._computeModelMatrix()};ShipGL.SkyBox.prototype.setProjection=function(a){mat4.set(a,this.projMat)};ShipGL.SkyBox.prototype.setView=function(a){mat4.set(a,this.viewMat)};ShipGL.SkyBox.prototype._computeModelMatrix=function(){var a=0.5*this.width;mat4.identity(this.modelMat);mat4.translate(this.modelMat,this.center);mat4.scale(this.modelMat,[a,a,a])};ShipGL.Floor=function(a){ShipGL.GLResource.call(this,a);this.tilesAcross=10;this.width=2;this.tileTexture=new ShipGL.Texture(this.gl);this.center=vec3.create();a=new ShipGL.BufferUtilities(this.gl);this.vbo=a.createVertexBuffer([-1,0,-1,-1,0,1,1,0,1,1,0,-1,0,0,0,1,1,0,1,1]);this.positionsOffset=0;this.texCoordsOffset=12;this.stride=0;this.ibo=a.createIndexBuffer([0,1,2,0,2,3]);this.program=new ShipGL.ShaderProgram(this.gl);this.program.create("uniform mat4 uProjMat;\nuniform mat4 uViewMat;\nuniform mat4 uModelMat;\nuniform float uTilesAcross;\n\nattribute vec3 aPosition;\nattribute vec2 aTexCoord;\n\nvarying vec2 texCoord;\n\nvoid main()\n{\n    gl_Position = uProjMat * uViewMat * uModelMat * vec4(aPosition, 1.0);\n    texCoord = uTilesAcross * aTexCoord;\n}",
-"precision mediump float;\n\nuniform sampler2D uTex;\n\nvarying vec2 texCoord;\n\nvoid main()\n{\n\tgl_FragColor = texture2D(uTex, texCoord);\n\t//gl_FragColor = vec4(0.8, 0.8, 0.3, 1.0);\n}");this.projMat=mat4.create();this.viewMat=mat4.create();this.modelMat=mat4.create()};ShipGL.Floor.prototype=Object.create(ShipGL.GLResource.prototype);
-ShipGL.Floor.prototype.draw=function(){this.program.bind();this.vbo.bind();this.ibo.bind();this.tileTexture.bind(0);this.program.enableAttributeArray("aPosition");this.program.enableAttributeArray("aTexCoord");this.program.setUniformMat4("uProjMat",this.projMat);this.program.setUniformMat4("uViewMat",this.viewMat);this.program.setUniformMat4("uModelMat",this.modelMat);this.program.setUniform1f("uTilesAcross",this.tilesAcross);this.program.setUniform1i("uTex",0);this.program.setAttributeBuffer3f("aPosition",
-this.stride,this.positionsOffset);this.program.setAttributeBuffer2f("aTexCoord",this.stride,this.texCoordsOffset);this.gl.drawElements(this.gl.TRIANGLES,this.ibo.length,this.gl.UNSIGNED_SHORT,0);this.program.disableAttributeArray("aTexCoord");this.program.disableAttributeArray("aPosition");this.tileTexture.unbind();this.ibo.unbind();this.vbo.unbind();this.program.unbind()};ShipGL.Floor.prototype.setTexture=function(a){this.tileTexture.load(a)};
-ShipGL.Floor.prototype.setCenter=function(a){vec3.set(a,this.center);this._computeModelMatrix()};ShipGL.Floor.prototype.setWidth=function(a){this.width=a;this._computeModelMatrix()};ShipGL.Floor.prototype.setProjection=function(a){mat4.set(a,this.projMat)};ShipGL.Floor.prototype.setView=function(a){mat4.set(a,this.viewMat)};
-ShipGL.Floor.prototype._computeModelMatrix=function(){var a=0.5*this.width;mat4.identity(this.modelMat);mat4.translate(this.modelMat,this.center);mat4.scale(this.modelMat,[a,a,a])};ShipGL.BaseApp=function(a,b){this.canvas=document.getElementById(a);ShipGL.GLResource.call(this,this.createContext(this.canvas,b));this.bufferUtils=new ShipGL.BufferUtilities(this.gl);this.heldKeys=[];this._timeDelta=this._previousTime=this._currentTime=0};ShipGL.BaseApp.prototype=Object.create(ShipGL.GLResource.prototype);
-ShipGL.BaseApp.prototype.run=function(){this._previousTime=this._currentTime;this._currentTime=(new Date).getTime();this._timeDelta=this._currentTime-this._previousTime;this.update(this._timeDelta);this.draw(this._timeDelta);var a=this;requestAnimFrame(function(){a.run()})};ShipGL.BaseApp.prototype.createContext=function(a,b){var c=WebGLUtils.setupWebGL(a,b);if(c)return c;alert("Unable to initialize WebGL. Your browser may not support it.")};
-ShipGL.BaseApp.prototype.initialize=function(){throw"ShipGL.BaseApp.initialize is abstract!";};ShipGL.BaseApp.prototype.update=function(){throw"ShipGL.BaseApp.update is abstract!";};ShipGL.BaseApp.prototype.draw=function(){throw"ShipGL.BaseApp.draw is abstract!";};ShipGL.BaseApp.prototype.handleHeldKeys=function(){throw"ShipGL.BaseApp.handleHeldKeys is abstract!";};ShipGL.BaseApp.prototype.handleKeyPressed=function(a){this.heldKeys[a]=!0};
-ShipGL.BaseApp.prototype.handleKeyReleased=function(a){this.heldKeys[a]=!1};
+this.isLoaded=!0;delete this._image;this._onLoad&&this._onLoad(this)};ShipGL.Texture.prototype.onImageError=function(){this._onError&&this._onError(new ShipGL.FileLoadError(this._image.src,0,"error"))};ShipGL.CubeTexture=function(a){ShipGL.GLResource.call(this,a);this.textureType=this.gl.TEXTURE_CUBE_MAP;this.rawTexture=this.gl.createTexture();this.isLoaded=!1;this._loadedFaceCount=0;this._images=[];var b=this;for(a=0;6>a;a++)this._images[a]=new Image,this._images[a].onload=function(a){return function(){b.onImageLoad(a)}}(a),this._images[a].onerror=function(a){return function(){b.onImageError(a)}}(a)};ShipGL.CubeTexture.prototype=Object.create(ShipGL.GLResource.prototype);
+ShipGL.CubeTexture.prototype.bind=function(a){0<=a&&this.gl.activeTexture(this.gl.TEXTURE0+a);this.gl.bindTexture(this.textureType,this.rawTexture)};ShipGL.CubeTexture.prototype.unbind=function(){this.gl.bindTexture(this.textureType,null)};
+ShipGL.CubeTexture.prototype.loadDirectory=function(a,b,c,d){this._loadedFaceCount=0;this.isLoaded=!1;this._onLoad=c;this._onError=d;this.loadPositiveX(a+"/positive_x"+b);this.loadPositiveY(a+"/positive_y"+b);this.loadPositiveZ(a+"/positive_z"+b);this.loadNegativeX(a+"/negative_x"+b);this.loadNegativeY(a+"/negative_y"+b);this.loadNegativeZ(a+"/negative_z"+b)};ShipGL.CubeTexture.prototype.loadPositiveX=function(a){this._images[0].src=a};
+ShipGL.CubeTexture.prototype.loadNegativeX=function(a){this._images[1].src=a};ShipGL.CubeTexture.prototype.loadPositiveY=function(a){this._images[2].src=a};ShipGL.CubeTexture.prototype.loadNegativeY=function(a){this._images[3].src=a};ShipGL.CubeTexture.prototype.loadPositiveZ=function(a){this._images[4].src=a};ShipGL.CubeTexture.prototype.loadNegativeZ=function(a){this._images[5].src=a};ShipGL.CubeTexture.prototype.getFaceImage=function(a){return this._images[a]};
+ShipGL.CubeTexture.prototype.setRepeatS=function(a){this.gl.texParameteri(this.textureType,this.gl.TEXTURE_WRAP_S,a?this.gl.REPEAT:this.gl.CLAMP_TO_EDGE)};ShipGL.CubeTexture.prototype.setRepeatT=function(a){this.gl.texParameteri(this.textureType,this.gl.TEXTURE_WRAP_T,a?this.gl.REPEAT:this.gl.CLAMP_TO_EDGE)};
+ShipGL.CubeTexture.prototype.setSmooth=function(a){this.gl.texParameteri(this.textureType,this.gl.TEXTURE_MAG_FILTER,a?this.gl.LINEAR:this.gl.NEAREST);this.gl.texParameteri(this.textureType,this.gl.TEXTURE_MIN_FILTER,a?this.gl.LINEAR:this.gl.NEAREST)};
+ShipGL.CubeTexture.prototype.onImageLoad=function(a){this.bind();this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL,0);this.gl.texImage2D(this.gl.TEXTURE_CUBE_MAP_POSITIVE_X+a,0,this.gl.RGBA,this.gl.RGBA,this.gl.UNSIGNED_BYTE,this._images[a]);this.setRepeatS(!1);this.setRepeatT(!1);this.setSmooth(!0);this.unbind();this._loadedFaceCount++;6==this._loadedFaceCount&&(this.isLoaded=!0,this._onLoad&&this._onLoad(this))};
+ShipGL.CubeTexture.prototype.onImageError=function(a){var b=this._images[a].src;this._onError?(a=this._onError,this._onError=function(){},a(new ShipGL.FileLoadError(b,0,"error"))):alert("Image "+a+" "+b+" load error!")};ShipGL.EnvironmentMap=function(a){ShipGL.GLResource.call(this,a);this.cubeTexture=new ShipGL.CubeTexture(a);this.mipCount=1;this.irradianceCoefficients=new Float32Array(27);this.intensity=1;this.isReady=!1;this._prefilterJob=null};ShipGL.EnvironmentMap.prototype=Object.create(ShipGL.GLResource.prototype);ShipGL.EnvironmentMap.TEXTURE_UNIT=7;ShipGL.EnvironmentMap.MAX_SIZE=512;ShipGL.EnvironmentMap.SAMPLE_SIZE=32;ShipGL.EnvironmentMap.PREFILTER_SAMPLES=32;
+ShipGL.EnvironmentMap.PREFILTER_SLICE_TIME=8;ShipGL.EnvironmentMap.prototype.loadDirectory=function(a,b,c,d){var f=this,g=new ShipGL.CubeTexture(this.gl);g.loadDirectory(a,b,function(){f.setCubeTexture(g,c);f.gl.deleteTexture(g.rawTexture)},d)};
+ShipGL.EnvironmentMap.prototype.setCubeTexture=function(a,b){if(!a.isLoaded)throw Error("ShipGL.EnvironmentMap needs a loaded cube map");var c=a.getFaceImage(0).width,d=ShipGL.Math.isPowerOf2(c)?c:ShipGL.Math.nextHighestPowerOf2(c)/2;d=Math.min(d,ShipGL.EnvironmentMap.MAX_SIZE);c=Math.min(d,ShipGL.EnvironmentMap.SAMPLE_SIZE);var f=this._createCanvas(c).getContext("2d");this.mipCount=Math.round(Math.log(d)/Math.LN2)+1;this.irradianceCoefficients.set(new Float32Array(27));this.isReady=!1;this.cubeTexture.bind();
+this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL,0);var g,e,h=[];for(e=0;e<this.mipCount;e++){var m=this._createCanvas(d>>e);var l=m.getContext("2d");h.push([]);for(g=0;6>g;g++)l.drawImage(a.getFaceImage(g),0,0,d>>e,d>>e),h[e].push(l.getImageData(0,0,d>>e,d>>e)),0==e&&this.gl.texImage2D(this.gl.TEXTURE_CUBE_MAP_POSITIVE_X+g,0,this.gl.RGBA,this.gl.RGBA,this.gl.UNSIGNED_BYTE,m)}for(g=0;6>g;g++)d=a.getFaceImage(g),f.drawImage(d,0,0,c,c),this._accumulateIrradiance(g,f.getImageData(0,0,c,c));this.gl.texParameteri(this.gl.TEXTURE_CUBE_MAP,
+this.gl.TEXTURE_MIN_FILTER,this.gl.LINEAR_MIPMAP_LINEAR);this.gl.texParameteri(this.gl.TEXTURE_CUBE_MAP,this.gl.TEXTURE_MAG_FILTER,this.gl.LINEAR);this.cubeTexture.setRepeatS(!1);this.cubeTexture.setRepeatT(!1);this.cubeTexture.unbind();this.cubeTexture.isLoaded=!0;this._finishIrradiance();this._prefilter(h,b)};
+ShipGL.EnvironmentMap.prototype.bind=function(a){this.cubeTexture.bind(ShipGL.EnvironmentMap.TEXTURE_UNIT);a.setUniform1i("uEnvMap",ShipGL.EnvironmentMap.TEXTURE_UNIT);a.setUniform1f("uEnvMipCount",this.mipCount);a.setUniformVec3f("uIrradianceSH",this.irradianceCoefficients);a.setUniform1f("uEnvIntensity",this.intensity)};ShipGL.EnvironmentMap.prototype.unbind=function(){this.gl.activeTexture(this.gl.TEXTURE0+ShipGL.EnvironmentMap.TEXTURE_UNIT);this.cubeTexture.unbind();this.gl.activeTexture(this.gl.TEXTURE0)};
+ShipGL.EnvironmentMap.prototype._createCanvas=function(a){var b=document.createElement("canvas");b.width=a;b.height=a;return b};
+ShipGL.EnvironmentMap.prototype._accumulateIrradiance=function(a,b){var c=b.width;b=b.data;var d=this.irradianceCoefficients,f=vec3.create(),g=new Float32Array(9),e,h;for(h=0;h<c;h++)for(e=0;e<c;e++){var m=2*(e+.5)/c-1;var l=2*(h+.5)/c-1;ShipGL.EnvironmentMap._faceDirection(a,m,l,f);var q=4/(c*c*Math.pow(1+m*m+l*l,1.5));ShipGL.EnvironmentMap._shBasis(vec3.normalize(f),g);var p=4*(h*c+e);m=Math.pow(b[p]/255,2.2)*q;l=Math.pow(b[p+1]/255,2.2)*q;q*=Math.pow(b[p+2]/255,2.2);for(p=0;9>p;p++)d[3*p]+=m*g[p],
+d[3*p+1]+=l*g[p],d[3*p+2]+=q*g[p]}};ShipGL.EnvironmentMap.prototype._finishIrradiance=function(){var a=[1,2/3,2/3,2/3,.25,.25,.25,.25,.25],b;for(b=0;27>b;b++)this.irradianceCoefficients[b]*=a[Math.floor(b/3)]};
+ShipGL.EnvironmentMap.prototype._prefilter=function(a,b){function c(){if(d._prefilterJob==f){for(var q,p=(new Date).getTime();g<a.length;)if(q=a[g][e].width,l||(m=m||d._prefilterSamples(a,g),l=new Uint8Array(4*q*q)),d._prefilterRow(a,g,e,h,m,l),h++,h==q&&(d.cubeTexture.bind(),d.gl.texImage2D(d.gl.TEXTURE_CUBE_MAP_POSITIVE_X+e,g,d.gl.RGBA,q,q,0,d.gl.RGBA,d.gl.UNSIGNED_BYTE,l),d.cubeTexture.unbind(),l=null,h=0,e++,6==e&&(e=0,g++,m=null)),(new Date).getTime()-p>=ShipGL.EnvironmentMap.PREFILTER_SLICE_TIME){setTimeout(c,
+0);return}d._prefilterJob=null;d.isReady=!0;b&&b(d)}}var d=this,f={},g=1,e=0,h=0,m=null,l=null;this._prefilterJob=f;c()};
+ShipGL.EnvironmentMap.prototype._prefilterSamples=function(a,b){var c=ShipGL.EnvironmentMap.PREFILTER_SAMPLES,d=a[0][0].width;b/=a.length-1;b*=b*b*b;d=4*Math.PI/(6*d*d);var f=[],g;for(g=0;g<c;g++){var e=2*Math.PI*(g+.5)/c;var h=ShipGL.EnvironmentMap._radicalInverse(g);var m=Math.sqrt((1-h)/(1+(b-1)*h));var l=Math.sqrt(1-m*m);h=m*m*(b-1)+1;h=b/(Math.PI*h*h)/4;h=.5*Math.log(1/(c*h*d))/Math.LN2+1;0<2*m*m-1&&f.push({x:2*m*l*Math.cos(e),y:2*m*l*Math.sin(e),z:2*m*m-1,level:Math.min(Math.max(Math.round(h),
+0),a.length-1)})}return f};
+ShipGL.EnvironmentMap.prototype._prefilterRow=function(a,b,c,d,f,g){b=a[b][c].width;var e=vec3.create(),h=vec3.create(),m=vec3.create(),l=vec3.create(),q=vec3.create(),p,k,n;for(p=0;p<b;p++){ShipGL.EnvironmentMap._faceDirection(c,2*(p+.5)/b-1,2*(d+.5)/b-1,e);vec3.normalize(e);vec3.cross(.999>Math.abs(e[2])?ShipGL.EnvironmentMap._Z_AXIS:ShipGL.EnvironmentMap._X_AXIS,e,h);vec3.normalize(h);vec3.cross(e,h,m);for(k=n=q[0]=q[1]=q[2]=0;k<f.length;k++){var t=f[k];l[0]=h[0]*t.x+m[0]*t.y+e[0]*t.z;l[1]=h[1]*
+t.x+m[1]*t.y+e[1]*t.z;l[2]=h[2]*t.x+m[2]*t.y+e[2]*t.z;ShipGL.EnvironmentMap._addTexel(a[t.level],l,t.z,q);n+=t.z}k=4*(d*b+p);g[k]=Math.round(255*Math.min(Math.pow(q[0]/n,1/2.2),1));g[k+1]=Math.round(255*Math.min(Math.pow(q[1]/n,1/2.2),1));g[k+2]=Math.round(255*Math.min(Math.pow(q[2]/n,1/2.2),1));g[k+3]=255}};ShipGL.EnvironmentMap._X_AXIS=[1,0,0];ShipGL.EnvironmentMap._Z_AXIS=[0,0,1];
+ShipGL.EnvironmentMap._LINEAR_VALUES=function(){var a,b=new Float32Array(256);for(a=0;256>a;a++)b[a]=Math.pow(a/255,2.2);return b}();
+ShipGL.EnvironmentMap._addTexel=function(a,b,c,d){var f=b[0],g=b[1],e=b[2],h=Math.abs(f),m=Math.abs(g),l=Math.abs(e);h>=m&&h>=l?(b=0<f?0:1,f=(0<f?-e:e)/h,g=-g/h):m>=l?(b=0<g?2:3,f/=m,g=(0<g?e:-e)/m):(b=0<e?4:5,f=(0<e?f:-f)/l,g=-g/l);e=a[b].width;a=a[b].data;b=ShipGL.EnvironmentMap._LINEAR_VALUES;f=4*(Math.min(Math.floor((g+1)/2*e),e-1)*e+Math.min(Math.floor((f+1)/2*e),e-1));d[0]+=b[a[f]]*c;d[1]+=b[a[f+1]]*c;d[2]+=b[a[f+2]]*c};
+ShipGL.EnvironmentMap._radicalInverse=function(a){for(var b=0,c=.5;0<a;)b+=c*(a&1),a>>=1,c*=.5;return b};ShipGL.EnvironmentMap._faceDirection=function(a,b,c,d){switch(a){case 0:d[0]=1;d[1]=-c;d[2]=-b;break;case 1:d[0]=-1;d[1]=-c;d[2]=b;break;case 2:d[0]=b;d[1]=1;d[2]=c;break;case 3:d[0]=b;d[1]=-1;d[2]=-c;break;case 4:d[0]=b;d[1]=-c;d[2]=1;break;default:d[0]=-b,d[1]=-c,d[2]=-1}return d};
+ShipGL.EnvironmentMap._shBasis=function(a,b){var c=a[0],d=a[1];a=a[2];b[0]=.282095;b[1]=.488603*d;b[2]=.488603*a;b[3]=.488603*c;b[4]=1.092548*c*d;b[5]=1.092548*d*a;b[6]=.315392*(3*a*a-1);b[7]=1.092548*c*a;b[8]=.546274*(c*c-d*d);return b};ShipGL.AssetManager=function(a){ShipGL.GLResource.call(this,a);this.loadedCount=this.totalCount=0;this.errors=[];this.isLoading=!1;this._cache={};this._queue=[];this._loadCallbacks=[];this._progressCallbacks=[]};ShipGL.AssetManager.prototype=Object.create(ShipGL.GLResource.prototype);ShipGL.AssetManager.prototype.queueText=function(a,b){this._enqueue(a,b,function(b,d,f){ShipGL.FileLoader.loadText(a,d,f)})};
+ShipGL.AssetManager.prototype.queueJSON=function(a,b){this._enqueue(a,b,function(b,d,f){ShipGL.FileLoader.loadJSON(a,d,f)})};ShipGL.AssetManager.prototype.queueArrayBuffer=function(a,b){this._enqueue(a,b,function(b,d,f){ShipGL.FileLoader.loadArrayBuffer(a,d,f)})};ShipGL.AssetManager.prototype.queueTexture=function(a,b){var c=this.gl;return this._enqueue(a,b,function(b,c,g){b.asset.load(a,c,g)},function(){return new ShipGL.Texture(c)}).asset};
+ShipGL.AssetManager.prototype.queueCubeTexture=function(a,b,c){var d=this.gl;return this._enqueue(a+"/*"+b,c,function(c,d,e){c.asset.loadDirectory(a,b,d,e)},function(){return new ShipGL.CubeTexture(d)}).asset};ShipGL.AssetManager.prototype.get=function(a){return(a=this._cache[a])?a.asset:void 0};ShipGL.AssetManager.prototype.isLoaded=function(a){a=this._cache[a];return!!a&&"loaded"==a.status};ShipGL.AssetManager.prototype.isComplete=function(){return this.loadedCount+this.errors.length==this.totalCount};
+ShipGL.AssetManager.prototype.progress=function(){return 0==this.totalCount?1:(this.loadedCount+this.errors.length)/this.totalCount};ShipGL.AssetManager.prototype.loadAll=function(a,b){a&&this._loadCallbacks.push(a);b&&this._progressCallbacks.push(b);this.isLoading=!0;this._startQueued();this._checkComplete()};
+ShipGL.AssetManager.prototype._enqueue=function(a,b,c,d){var f=this._cache[a];f?"failed"==f.status&&(this.errors.splice(this.errors.indexOf(f.error),1),f.status="queued",f.error=void 0,this._queue.push(f)):(f={url:a,status:"queued",asset:d?d():void 0,start:c,callbacks:[]},this._cache[a]=f,this._queue.push(f),this.totalCount++);b&&("loaded"==f.status?b(f.asset):f.callbacks.push(b));this.isLoading&&this._startQueued();return f};
+ShipGL.AssetManager.prototype._startQueued=function(){function a(a){return function(b){c._finish(a,"loaded",b)}}function b(a){return function(b){c._finish(a,"failed",a.asset,b)}}var c=this,d=this._queue;this._queue=[];var f;for(f=0;f<d.length;f++){var g=d[f];g.status="loading";g.start(g,a(g),b(g))}};
+ShipGL.AssetManager.prototype._finish=function(a,b,c,d){var f=a.callbacks;a.status=b;a.asset=c;a.error=d;a.callbacks=[];if(d)this.errors.push(d);else for(this.loadedCount++,a=0;a<f.length;a++)f[a](c);c=this.progress();f=this.loadedCount+this.errors.length;for(a=0;a<this._progressCallbacks.length;a++)this._progressCallbacks[a](c,f,this.totalCount);this._checkComplete()};
+ShipGL.AssetManager.prototype._checkComplete=function(){if(this.isLoading&&this.isComplete()){var a,b=this._loadCallbacks;this.isLoading=!1;this._loadCallbacks=[];this._progressCallbacks=[];for(a=0;a<b.length;a++)b[a](this.errors)}};ShipGL.Light=function(a){this.intensity=vec3.create(a);this.isRotating=!1;this.rotationMat=mat4.create()};ShipGL.Light.prototype.update=function(a){throw"ShipGL.Light.update is abstract!";};ShipGL.Light.prototype.startRotation=function(a,b){throw"ShipGL.Light.startRotation is abstract!";};ShipGL.Light.prototype.stopRotation=function(){throw"ShipGL.Light.stopRotation is abstract!";};ShipGL.PointLight=function(a,b){ShipGL.Light.call(this,a);this.position=vec4.createFrom(b[0],b[1],b[2],1)};ShipGL.PointLight.prototype=Object.create(ShipGL.Light.prototype);ShipGL.PointLight.prototype.update=function(a){this.isRotating&&(mat4.multiplyVec4(this.rotationMat,this.position),this.position[3]=1)};ShipGL.PointLight.prototype.startRotation=function(a,b,c){this.isRotating=!0;ShipGL.Math.arbitraryRotation(ShipGL.Math.toRadians(a),c,b,this.rotationMat)};
+ShipGL.PointLight.prototype.stopRotation=function(){this.isRotating=!1};ShipGL.DirectionalLight=function(a,b){ShipGL.Light.call(this,a);this.direction=vec4.createFrom(b[0],b[1],b[2],0);vec3.normalize(this.direction)};ShipGL.DirectionalLight.prototype=Object.create(ShipGL.Light.prototype);ShipGL.DirectionalLight.prototype.update=function(a){this.isRotating&&(mat4.multiplyVec4(this.rotationMat,this.direction),this.direction[3]=0,vec3.normalize(this.direction))};
+ShipGL.DirectionalLight.prototype.startRotation=function(a,b){this.isRotating=!0;mat4.identity(this.rotationMat);mat4.rotate(this.rotationMat,ShipGL.Math.toRadians(a),b)};ShipGL.DirectionalLight.prototype.stopRotation=function(){this.isRotating=!1};ShipGL.Material=function(a){a=a||{};this.ambientReflectance=vec4.create(a.ambientReflectance||[0,0,0,1]);this.diffuseReflectance=vec4.create(a.diffuseReflectance||[.8,.8,.8,1]);this.specularReflectance=vec4.create(a.specularReflectance||[0,0,0,1]);var b=0<ShipGL.Material.texturePaths(a.emissiveTexture).length;this.emissionColor=vec4.create(a.emissionColor||(b?[1,1,1,1]:[0,0,0,1]));this.shininess=a.shininess||0;this.diffuseTextures=a.texture?[a.texture]:[];this.texture=a.texture||null;this.emissiveTexture=
+this.specularTexture=this.normalTexture=null;this.shadingModel=ShipGL.Material.BLINN_PHONG;this._layerUnits=new Int32Array(ShipGL.Material.MAX_DIFFUSE_LAYERS)};ShipGL.Material.PHONG=0;ShipGL.Material.BLINN_PHONG=1;ShipGL.Material.MAX_DIFFUSE_LAYERS=4;ShipGL.Material.prototype.textureNames=["normalTexture","specularTexture","emissiveTexture"];ShipGL.Material.texturePaths=function(a){return a?"string"==typeof a?[a]:a:[]};
+ShipGL.Material.prototype.bind=function(a,b){var c=!b||b.hasTexCoords;b=!b||b.hasTangents;var d=c?Math.min(this.diffuseTextures.length,ShipGL.Material.MAX_DIFFUSE_LAYERS):0,f=0;a.setUniformVec4f("uAmbientRefl",this.ambientReflectance);a.setUniformVec4f("uDiffuseRefl",this.diffuseReflectance);a.setUniformVec4f("uSpecularRefl",this.specularReflectance);a.setUniformVec4f("uEmissionColor",this.emissionColor);a.setUniform1f("uShininess",this.shininess);a.setUniform1i("uShadingModel",this.shadingModel);
+var g;for(g=0;g<this._layerUnits.length;g++)g<d?(this.diffuseTextures[g].bind(f),this._layerUnits[g]=f++):this._layerUnits[g]=0;a.setUniformVec1i("uTex",this._layerUnits);a.setUniform1i("uTexCount",d);f=this._bindMap(a,"uNormalTex","uHasNormalTex",this.normalTexture,c&&b,f);f=this._bindMap(a,"uSpecularTex","uHasSpecularTex",this.specularTexture,c,f);return this._bindMap(a,"uEmissiveTex","uHasEmissiveTex",this.emissiveTexture,c,f)};
+ShipGL.Material.prototype._bindMap=function(a,b,c,d,f,g){if(d&&f)return d.bind(g),a.setUniform1i(b,g),a.setUniform1i(c,1),g+1;a.setUniform1i(c,0);return g};ShipGL.PBRMaterial=function(a){a=a||{};ShipGL.Material.call(this,a);var b=ShipGL.PBRMaterial.isPBR(a),c=0<ShipGL.Material.texturePaths(a.diffuseTexture).length,d=a.baseColorFactor;d||(d=b||c?[1,1,1,this.diffuseReflectance[3]]:[Math.pow(this.diffuseReflectance[0],2.2),Math.pow(this.diffuseReflectance[1],2.2),Math.pow(this.diffuseReflectance[2],2.2),this.diffuseReflectance[3]]);this.baseColorFactor=vec4.create(d);this.metallicFactor=void 0!==a.metallicFactor?a.metallicFactor:b?1:0;this.roughnessFactor=
+void 0!==a.roughnessFactor?a.roughnessFactor:b?1:ShipGL.PBRMaterial.shininessToRoughness(this.shininess);this.occlusionStrength=void 0!==a.occlusionStrength?a.occlusionStrength:1;this.occlusionTexture=this.metallicRoughnessTexture=this.baseColorTexture=null};ShipGL.PBRMaterial.prototype=Object.create(ShipGL.Material.prototype);ShipGL.PBRMaterial.prototype.textureNames=["baseColorTexture","metallicRoughnessTexture","occlusionTexture","normalTexture","emissiveTexture"];
+ShipGL.PBRMaterial.isPBR=function(a){return void 0!==a.metallicFactor||void 0!==a.roughnessFactor||void 0!==a.baseColorFactor||0<ShipGL.Material.texturePaths(a.baseColorTexture).length||0<ShipGL.Material.texturePaths(a.metallicRoughnessTexture).length};ShipGL.PBRMaterial.shininessToRoughness=function(a){return Math.sqrt(2/(Math.max(a,0)+2))};
+ShipGL.PBRMaterial.prototype.bind=function(a,b){var c=!b||b.hasTexCoords;b=!b||b.hasTangents;var d=0;a.setUniformVec4f("uBaseColorFactor",this.baseColorFactor);a.setUniform1f("uMetallicFactor",this.metallicFactor);a.setUniform1f("uRoughnessFactor",this.roughnessFactor);a.setUniform1f("uOcclusionStrength",this.occlusionStrength);a.setUniformVec4f("uEmissionColor",this.emissionColor);d=this._bindMap(a,"uBaseColorTex","uHasBaseColorTex",this.baseColorTexture||this.texture,c,d);d=this._bindMap(a,"uMetallicRoughnessTex",
+"uHasMetallicRoughnessTex",this.metallicRoughnessTexture,c,d);d=this._bindMap(a,"uOcclusionTex","uHasOcclusionTex",this.occlusionTexture,c,d);d=this._bindMap(a,"uNormalTex","uHasNormalTex",this.normalTexture,c&&b,d);return this._bindMap(a,"uEmissiveTex","uHasEmissiveTex",this.emissiveTexture,c,d)};ShipGL.MeshUtilities=function(){function a(a){if(a.indices&&0<a.indices.length)return a.indices;var b,c=[];for(b=0;b<a.vertexPositions.length/3;b++)c.push(b);return c}function b(a,b,c){var d,e=a.length/b,f=[];for(b=0;b<c.length;b++)for(d=0;d<e;d++)f.push(a[c[b]*e+d]);return f}function c(a,c,d){var f=a.vertexPositions.length/3,e,h={};for(e in a){var k=a[e];0==e.indexOf("vertex")&&k&&"number"==typeof k.length?h[e]=0<k.length&&"object"==typeof k[0]?k.map(function(a){return b(a,f,c)}):b(k,f,c):h[e]=k}h.indices=
+d;return h}function d(){return{min:vec3.createFrom(Infinity,Infinity,Infinity),max:vec3.createFrom(-Infinity,-Infinity,-Infinity),center:vec3.create(),radius:0}}function f(a){return a.min[0]>a.max[0]}function g(a,b){vec3.set(a.min,b.min);vec3.set(a.max,b.max);vec3.set(a.center,b.center);b.radius=a.radius;return b}return{generateNormals:function(b,d){d=d||{};var f=d.flat?0:d.creaseAngle;void 0===f&&(f=180);d=a(b);var e=b.vertexPositions,g=new Float32Array(d.length),h=new Float32Array(d.length),k=[vec3.create(),
+vec3.create(),vec3.create()],n=vec3.create(),t=vec3.create(),v=vec3.create(),A,y,u;for(A=0;A<d.length;A+=3){for(u=0;3>u;u++)for(y=0;3>y;y++)k[u][y]=e[3*d[A+u]+y];vec3.subtract(k[1],k[0],n);vec3.subtract(k[2],k[0],t);g.set(vec3.normalize(vec3.cross(n,t,v)),A);for(u=0;3>u;u++)vec3.direction(k[(u+1)%3],k[u],n),vec3.direction(k[(u+2)%3],k[u],t),h[A+u]=Math.acos(Math.min(Math.max(vec3.dot(n,t),-1),1))}k=b.vertexPositions;v={};e=new Int32Array(k.length/3);for(n=0;n<e.length;n++)t=k[3*n]+","+k[3*n+1]+","+
+k[3*n+2],t in v||(v[t]=n),e[n]=v[t];t=e.length;k=vec3.create();var r;if(180<=f){v=new Float32Array(3*t);for(f=0;f<d.length;f++)for(n=f-f%3,r=0;3>r;r++)v[3*e[d[f]]+r]+=g[n+r]*h[f];g=[];for(d=0;d<t;d++){for(r=0;3>r;r++)k[r]=v[3*e[d]+r];vec3.normalize(k);g.push(k[0],k[1],k[2])}b.vertexNormals=g;return b}t=Math.cos(f*Math.PI/180)-1E-6;v={};for(f=0;f<d.length;f++)n=v[e[d[f]]]||(v[e[d[f]]]=[]),n.push(f);y=[];u=[];A=[];var w={},x;for(f=0;f<d.length;f++){n=f-f%3;var z=v[e[d[f]]];for(x=k[0]=k[1]=k[2]=0;x<
+z.length;x++){var C=z[x]-z[x]%3;if(C==n||g[n]*g[C]+g[n+1]*g[C+1]+g[n+2]*g[C+2]>=t)for(r=0;3>r;r++)k[r]+=g[C+r]*h[z[x]]}vec3.normalize(k);r=d[f]+"/"+k[0].toFixed(5)+"/"+k[1].toFixed(5)+"/"+k[2].toFixed(5);r in w||(w[r]=u.length,u.push(d[f]),A.push(k[0],k[1],k[2]));y.push(w[r])}b.vertexNormals=[];d=c(b,u,y);for(r in d)b[r]=d[r];b.vertexNormals=A;return b},generateTangents:function(b,c){var d=b.vertexPositions,f=b.vertexNormals,e=b.vertexTexCoordinates[c||0],g=a(b);c=d.length/3;var k=new Float32Array(3*
+c),h=new Float32Array(3*c),t=vec3.create(),v=vec3.create(),A=vec3.create(),y=vec3.create(),u,r;for(u=0;u<g.length;u+=3){var w=g[u];var x=g[u+1];var z=g[u+2];for(r=0;3>r;r++)t[r]=d[3*x+r]-d[3*w+r],v[r]=d[3*z+r]-d[3*w+r];var C=e[2*x]-e[2*w];var G=e[2*z]-e[2*w];var B=e[2*x+1]-e[2*w+1];var F=e[2*z+1]-e[2*w+1];var D=C*F-G*B;if(0!=D){D=1/D;for(r=0;3>r;r++)A[r]=(F*t[r]-B*v[r])*D,y[r]=(C*v[r]-G*t[r])*D;for(r=0;3>r;r++)k[3*w+r]+=A[r],k[3*x+r]+=A[r],k[3*z+r]+=A[r],h[3*w+r]+=y[r],h[3*x+r]+=y[r],h[3*z+r]+=y[r]}}d=
+[];e=[];g=vec3.create();t=vec3.create();v=vec3.create();for(u=0;u<c;u++){for(r=0;3>r;r++)g[r]=f[3*u+r],t[r]=k[3*u+r];vec3.subtract(t,vec3.scale(g,vec3.dot(g,t),v));1E-12>vec3.length(t)&&vec3.cross(g,.9>Math.abs(g[0])?[1,0,0]:[0,1,0],t);vec3.normalize(t);vec3.cross(g,t,v);0>v[0]*h[3*u]+v[1]*h[3*u+1]+v[2]*h[3*u+2]&&vec3.negate(v);vec3.normalize(v);d.push(t[0],t[1],t[2]);e.push(v[0],v[1],v[2])}b.vertexTangents=d;b.vertexBitangents=e;return b},remapVertices:c,createBounds:d,isEmptyBounds:f,computeBounds:function(a,
+b){var c=d(),f=c.min,e=c.max,h,k;for(h=0;h<a.length;h+=3)for(k=0;3>k;k++)f[k]=Math.min(f[k],a[h+k]),e[k]=Math.max(e[k],a[h+k]);b=g(c,b||d());if(0==a.length)return b;vec3.scale(vec3.add(f,e,b.center),.5);k=0;var n=b.center;for(h=0;h<a.length;h+=3)c=a[h]-n[0],f=a[h+1]-n[1],e=a[h+2]-n[2],k=Math.max(k,c*c+f*f+e*e);b.radius=Math.sqrt(k);return b},transformBounds:function(a,b,c){c=c||d();if(f(a))return g(a,c);var e=vec3.createFrom(Infinity,Infinity,Infinity),h=vec3.createFrom(-Infinity,-Infinity,-Infinity),
+m=vec3.create(),k,n;for(k=0;8>k;k++)for(m[0]=k&1?a.max[0]:a.min[0],m[1]=k&2?a.max[1]:a.min[1],m[2]=k&4?a.max[2]:a.min[2],mat4.multiplyVec3(b,m),n=0;3>n;n++)e[n]=Math.min(e[n],m[n]),h[n]=Math.max(h[n],m[n]);m=Math.max(vec3.length([b[0],b[1],b[2]]),vec3.length([b[4],b[5],b[6]]),vec3.length([b[8],b[9],b[10]]));mat4.multiplyVec3(b,a.center,c.center);c.radius=a.radius*m;vec3.set(e,c.min);vec3.set(h,c.max);return c},mergeBounds:function(a,b,c){c=c||d();if(f(a))return g(b,c);if(f(b))return g(a,c);var e=
+vec3.create(),h=vec3.create(),m=vec3.create(),k;for(k=0;3>k;k++)h[k]=Math.min(a.min[k],b.min[k]),m[k]=Math.max(a.max[k],b.max[k]);vec3.scale(vec3.add(h,m,e),.5);a=Math.max(vec3.dist(e,a.center)+a.radius,vec3.dist(e,b.center)+b.radius);vec3.set(h,c.min);vec3.set(m,c.max);vec3.set(e,c.center);c.radius=a;return c}}}();ShipGL.Model=function(a,b,c){ShipGL.GLResource.call(this,a);c||(c=ShipGL.FileLoader.loadLocal(b,"application/json")||ShipGL.FileLoader.loadHttp(b,"application/json"),c=JSON.parse(c));this.json=c;this.vbo=new ShipGL.Buffer(a,a.ARRAY_BUFFER,Float32Array);this.ibo=new ShipGL.Buffer(a,a.ELEMENT_ARRAY_BUFFER,Uint16Array);this.indexType=a.UNSIGNED_SHORT;this.bufferInitTime=0;this.min=vec3.create();this.max=vec3.create();this.center=vec3.create();this.diagonal=0;this.normalizationMatrix=mat4.identity(mat4.create());
+this.nodes=[];this.materials=[];this.isReady=!1;this.textureErrors=[];this._isInitialized=!1;this._pendingTextureCount=0;this._readyCallbacks=[];this._imageDirHelper=b.substring(0,b.lastIndexOf("/")+1)};ShipGL.Model.load=function(a,b,c,d,f,g){f=f||ShipGL.StandardModel;return ShipGL.FileLoader.loadJSON(b,function(e){try{var h=new f(a,b,e);h.initialize(g)}catch(m){e=new ShipGL.FileLoadError(b,0,"parse","Failed to create a model from "+b+": "+m.message);if(!d)throw e;d(e);return}h.onReady(c)},d)};
+ShipGL.Model.prototype=Object.create(ShipGL.GLResource.prototype);ShipGL.Model.prototype.initialize=function(a){this._generateMissingVertexData(a||{});this._initNodes();this._initIndexType();this._initBuffers(!(!a||!a.compactVertices));this._initMaterials(!(!a||!a.pbrMaterials));this._initMaterialTextures();this._computeLocalBounds();this.updateNodeTransforms();this._computeExtents();a&&a.normalize&&this._computeNormalizationMatrix();this._isInitialized=!0;this._checkReady()};
+ShipGL.Model.prototype.getNodeByName=function(a){var b;for(b=0;b<this.nodes.length;b++)if(this.nodes[b].name===a)return this.nodes[b];return null};ShipGL.Model.prototype.setNodeMatrix=function(a,b){mat4.set(b,a.localMatrix);this.updateNodeTransforms(a)};ShipGL.Model.prototype.updateNodeTransforms=function(a){var b,c=a?[a]:this.json.nodes;for(b=0;b<c.length;b++)this._updateNodeTransform(c[b]);for(a=a?a.parent:null;a;)this._updateNodeBounds(a),a=a.parent};
+ShipGL.Model.prototype.onReady=function(a){this.isReady?a(this):this._readyCallbacks.push(a)};ShipGL.Model.prototype.draw=function(){throw"ShipGL.Model.draw is abstract!";};
+ShipGL.Model.prototype.getVertexArray=function(a,b){b._vertexArrays=b._vertexArrays||[];var c;for(c=0;c<b._vertexArrays.length;c++)if(b._vertexArrays[c].program==a)return b._vertexArrays[c].vertexArray;c=new ShipGL.VertexArray(this.gl);c.addLayout(a,b.vertexLayout,this.vbo,b.vertexByteOffset);c.setIndexBuffer(this.ibo);b._vertexArrays.push({program:a,vertexArray:c});return c};ShipGL.Model.MAX_UINT16_VERTICES=65536;
+ShipGL.Model.prototype._generateMissingVertexData=function(a){var b;for(b=0;b<this.json.meshes.length;b++){var c=this.json.meshes[b];var d=!!c.vertexNormals&&c.vertexNormals.length==c.vertexPositions.length;!1===a.generateNormals||d||(ShipGL.MeshUtilities.generateNormals(c,{creaseAngle:a.creaseAngle,flat:a.flatNormals}),d=!0);var f=!!c.vertexTexCoordinates&&!!c.vertexTexCoordinates[0]&&0<c.vertexTexCoordinates[0].length;d?!1===a.generateTangents||!f||c.vertexTangents&&c.vertexTangents.length==c.vertexPositions.length||
+ShipGL.MeshUtilities.generateTangents(c):(delete c.vertexTangents,delete c.vertexBitangents)}};
+ShipGL.Model.prototype._initIndexType=function(){var a,b=!1;for(a=0;a<this.json.meshes.length;a++){var c=this.json.meshes[a];c.indices&&0<c.indices.length&&c.vertexPositions.length/3>ShipGL.Model.MAX_UINT16_VERTICES&&(b=!0)}b&&ShipGL.Buffer.enableUint32Indices(this.gl)?(this.ibo.deallocate(),this.ibo=new ShipGL.Buffer(this.gl,this.gl.ELEMENT_ARRAY_BUFFER,Uint32Array)):b&&this._splitLargeMeshes();this.indexType=this.ibo.dataType};
+ShipGL.Model.prototype._splitLargeMeshes=function(){var a,b=this.json.meshes.length;for(a=0;a<b;a++){var c=this.json.meshes[a];if(c.indices&&0!=c.indices.length&&!(c.vertexPositions.length/3<=ShipGL.Model.MAX_UINT16_VERTICES)){var d=this._splitMesh(c,ShipGL.Model.MAX_UINT16_VERTICES);this.json.meshes[a]=d[0];var f=[];for(c=1;c<d.length;c++)f.push(this.json.meshes.length),this.json.meshes.push(d[c]);for(c=0;c<this.nodes.length;c++){var g=this.nodes[c];for(d=0;d<g.meshIndices.length;d++)if(g.meshIndices[d]==
+a){g.meshIndices=g.meshIndices.concat(f);break}}}}};
+ShipGL.Model.prototype._splitMesh=function(a,b){var c=a.vertexPositions.length/3,d=a.indices,f=new Int32Array(c),g=new Int32Array(c),e=[],h=null,m,l;for(m=0;m<c;m++)f[m]=-1;for(m=0;m<d.length;m+=3){for(c=l=0;3>c&&h;c++)f[d[m+c]]!=e.length-1&&l++;if(!h||h.sourceVertices.length+l>b)h={sourceVertices:[],indices:[]},e.push(h);for(c=0;3>c;c++)l=d[m+c],f[l]!=e.length-1&&(f[l]=e.length-1,g[l]=h.sourceVertices.length,h.sourceVertices.push(l)),h.indices.push(g[l])}return e.map(function(b){return ShipGL.MeshUtilities.remapVertices(a,b.sourceVertices,
+b.indices)})};
+ShipGL.Model.prototype._initBuffers=function(a){function b(a,b,c,d,f){p.addAttribute(a,c,d,f);k[a]=b}var c=(new Date).getTime(),d,f=0,g=0,e=[],h={aPosition:"positionsOffset",aNormal:"normalsOffset",aTexCoord:"texCoordsOffset",aTangent:"tangentsOffset",aBitangent:"bitangentsOffset"},m=a?this.gl.BYTE:this.gl.FLOAT;for(d=0;d<this.json.meshes.length;d++){var l=this.json.meshes[d];var q=this.json.materials[l.materialIndex];var p=new ShipGL.VertexLayout(this.gl);var k={};b("aPosition",l.vertexPositions,3);
+b("aNormal",l.vertexNormals,3,m,a);var n=(l.vertexTexCoordinates||[]).filter(function(a){return a&&0<a.length});l.texCoordSetCount=n.length;l.hasTexCoords=0<n.length;l.hasTexture=l.hasTexCoords&&0<ShipGL.Material.texturePaths(q.diffuseTexture).length;l.hasTexCoords&&b("aTexCoord",n[0],2);l.hasTangents=!!l.vertexTangents&&l.vertexTangents.length==l.vertexPositions.length&&!!l.vertexNormals&&l.vertexNormals.length==l.vertexPositions.length;l.hasTangents&&(l.vertexBitangents&&l.vertexBitangents.length==
+l.vertexPositions.length||(l.vertexBitangents=this._computeBitangents(l)),b("aTangent",l.vertexTangents,3,m,a),b("aBitangent",l.vertexBitangents,3,m,a));for(q=1;q<n.length;q++)b("aTexCoord"+q,n[q],2),h["aTexCoord"+q]="texCoords"+q+"Offset";l.vertexLayout=p;l.vertexByteOffset=f;l.stride=p.stride/this.vbo.bytesPerElement;f+=p.stride*l.vertexPositions.length/3;e.push(k);for(q=0;q<p.attributes.length;q++)p.attributes[q].type==this.gl.FLOAT&&(l[h[p.attributes[q].name]]=(l.vertexByteOffset+p.attributes[q].offset)/
+this.vbo.bytesPerElement);l.hasIndices=!1;l.indices&&0<l.indices.length&&(l.hasIndices=!0,l.indicesOffset=g,l.indicesByteOffset=this.ibo.bytesPerElement*g,l.indexType=this.indexType,g+=l.indices.length)}a=new ArrayBuffer(f);h=new this.ibo.ArrayType(g);for(d=0;d<this.json.meshes.length;d++)l=this.json.meshes[d],l.vertexLayout.pack(e[d],l.vertexPositions.length/3,a,l.vertexByteOffset),l.hasIndices&&h.set(l.indices,l.indicesOffset);d=f/this.vbo.bytesPerElement;this.vbo.bind();this.ibo.bind();this.vbo.allocate(d);
+this.ibo.allocate(g);this.vbo.write(new this.vbo.ArrayType(a));this.ibo.write(h);this.vbo.unbind();this.ibo.unbind();this.bufferInitTime=(new Date).getTime()-c};ShipGL.Model.prototype._computeBitangents=function(a){var b=a.vertexNormals;a=a.vertexTangents;var c=new Float32Array(a.length),d=vec3.create(),f=vec3.create(),g=vec3.create(),e,h;for(e=0;e<a.length;e+=3){for(h=0;3>h;h++)d[h]=b[e+h],f[h]=a[e+h];vec3.normalize(vec3.cross(d,f,g));c.set(g,e)}return c};
+ShipGL.Model.prototype._initMaterialTextures=function(){function a(){h._pendingTextureCount--;h._checkReady()}function b(b){h.textureErrors.push(b);a()}function c(c){c=h._resolveTexturePath(c);e[c]||(e[c]=new ShipGL.Texture(h.gl),h._pendingTextureCount++,e[c].load(c,a,b));return e[c]}function d(a){a=ShipGL.Material.texturePaths(a);return 0<a.length?c(a[0]):null}var f,g,e={},h=this;for(f=0;f<this.json.materials.length;f++){var m=this.json.materials[f];var l=this.materials[f];l.diffuseTextures=ShipGL.Material.texturePaths(m.diffuseTexture).slice(0,
+ShipGL.Material.MAX_DIFFUSE_LAYERS).map(c);l.texture=l.diffuseTextures[0]||null;for(g=0;g<l.textureNames.length;g++){var q=l.textureNames[g];l[q]=d(m[q])}l.texture&&(m.texture=l.texture)}};ShipGL.Model.prototype._initMaterials=function(a){this.materials=this.json.materials.map(function(b){return a||ShipGL.PBRMaterial.isPBR(b)?new ShipGL.PBRMaterial(b):new ShipGL.Material(b)})};
+ShipGL.Model.prototype._resolveTexturePath=function(a){return/^([a-z][a-z0-9+.\-]*:|\/)/i.test(a)?a:this._imageDirHelper+a};ShipGL.Model.prototype._checkReady=function(){if(!(this.isReady||!this._isInitialized||0<this._pendingTextureCount)){var a,b=this._readyCallbacks;this.isReady=!0;this._readyCallbacks=[];for(a=0;a<b.length;a++)b[a](this)}};
+ShipGL.Model.prototype._initNodes=function(){function a(c,f){c.parent=f;c.children=c.children||[];c.meshIndices=c.meshIndices||[];c.localMatrix=c.modelMatrix?mat4.create(c.modelMatrix):mat4.identity(mat4.create());c.modelMatrix=mat4.create(c.localMatrix);c.normalMatrix=mat4.create();b.nodes.push(c);for(f=0;f<c.children.length;f++)a(c.children[f],c)}var b=this;this.nodes=[];var c;for(c=0;c<this.json.nodes.length;c++)a(this.json.nodes[c],null)};
+ShipGL.Model.prototype._updateNodeTransform=function(a){a.parent?mat4.multiply(a.parent.modelMatrix,a.localMatrix,a.modelMatrix):mat4.set(a.localMatrix,a.modelMatrix);mat4.inverse(a.modelMatrix,a.normalMatrix);mat4.transpose(a.normalMatrix);var b;for(b=0;b<a.children.length;b++)this._updateNodeTransform(a.children[b]);for(b=0;b<a.meshIndices.length;b++)ShipGL.MeshUtilities.transformBounds(this.json.meshes[a.meshIndices[b]].bounds,a.modelMatrix,a.meshBounds[b]);this._updateNodeBounds(a)};
+ShipGL.Model.prototype._updateNodeBounds=function(a){var b,c=ShipGL.MeshUtilities.createBounds();for(b=0;b<a.meshBounds.length;b++)ShipGL.MeshUtilities.mergeBounds(c,a.meshBounds[b],c);for(b=0;b<a.children.length;b++)ShipGL.MeshUtilities.mergeBounds(c,a.children[b].bounds,c);a.bounds=c};
+ShipGL.Model.prototype._computeLocalBounds=function(){var a,b;for(a=0;a<this.json.meshes.length;a++)this.json.meshes[a].bounds=ShipGL.MeshUtilities.computeBounds(this.json.meshes[a].vertexPositions);for(a=0;a<this.nodes.length;a++){var c=this.nodes[a];c.localBounds=ShipGL.MeshUtilities.createBounds();c.meshBounds=[];for(b=0;b<c.meshIndices.length;b++)ShipGL.MeshUtilities.mergeBounds(c.localBounds,this.json.meshes[c.meshIndices[b]].bounds,c.localBounds),c.meshBounds.push(ShipGL.MeshUtilities.createBounds())}};
+ShipGL.Model.prototype._computeExtents=function(){function a(a){return function(b,c,d){var k=c[0],f=c[1],g=c[2];a(b[0],c[0])&&(k=b[0]);a(b[1],c[1])&&(f=b[1]);a(b[2],c[2])&&(g=b[2]);d[0]=k;d[1]=f;d[2]=g}}var b=a(function(a,b){return a<b}),c=a(function(a,b){return a>b}),d=vec3.createFrom(Number.MAX_VALUE,Number.MAX_VALUE,Number.MAX_VALUE),f=vec3.createFrom(-Number.MAX_VALUE,-Number.MAX_VALUE,-Number.MAX_VALUE),g=vec3.create(),e,h,m;for(e=0;e<this.nodes.length;e++){var l=this.nodes[e];for(h=0;h<l.meshIndices.length;h++){var q=
+this.json.meshes[l.meshIndices[h]].vertexPositions;for(m=0;m<q.length;m+=3)g[0]=q[m],g[1]=q[m+1],g[2]=q[m+2],mat4.multiplyVec3(l.modelMatrix,g),b(d,g,d),c(f,g,f)}}d[0]>f[0]&&(vec3.set([0,0,0],d),vec3.set([0,0,0],f));b=vec3.create();vec3.add(d,f,b);vec3.scale(b,.5);vec3.set(d,this.min);vec3.set(f,this.max);vec3.set(b,this.center);this.diagonal=vec3.dist(this.min,this.max)};
+ShipGL.Model.prototype._computeNormalizationMatrix=function(){var a=0<this.diagonal?1/this.diagonal:1;mat4.identity(this.normalizationMatrix);mat4.scale(this.normalizationMatrix,[a,a,a]);mat4.translate(this.normalizationMatrix,[-this.center[0],-this.center[1],-this.center[2]])};ShipGL.RenderQueue=function(a){ShipGL.GLResource.call(this,a);this.items=[];this.stats={drawCalls:0,programChanges:0,modelChanges:0,nodeChanges:0,materialChanges:0,textureChanges:0};this._isSorted=!0};ShipGL.RenderQueue.prototype=Object.create(ShipGL.GLResource.prototype);ShipGL.RenderQueue._nextId=1;ShipGL.RenderQueue._idOf=function(a){if(!a)return 0;a._renderQueueId||(a._renderQueueId=ShipGL.RenderQueue._nextId++);return a._renderQueueId};
+ShipGL.RenderQueue.prototype.add=function(a){a._sortKeys=[ShipGL.RenderQueue._idOf(a.program),ShipGL.RenderQueue._idOf(a.model),ShipGL.RenderQueue._idOf(a.instances),ShipGL.RenderQueue._idOf(a.texture),ShipGL.RenderQueue._idOf(a.material),this.items.length];this.items.push(a);this._isSorted=!1};ShipGL.RenderQueue.prototype.clear=function(){this.items.length=0;this._isSorted=!0};
+ShipGL.RenderQueue.prototype.sort=function(){this.items.sort(function(a,b){var c;for(c=0;c<a._sortKeys.length;c++)if(a._sortKeys[c]!=b._sortKeys[c])return a._sortKeys[c]-b._sortKeys[c];return 0});this._isSorted=!0};
+ShipGL.RenderQueue.prototype.submit=function(){var a=this.stats;a.drawCalls=0;a.programChanges=0;a.modelChanges=0;a.nodeChanges=0;a.materialChanges=0;a.textureChanges=0;this._isSorted||this.sort();var b=null,c=null,d=null,f=null,g=null,e=null,h=!1,m=!1,l=0,q;for(q=0;q<this.items.length;q++){var p=this.items[q];if(p.program!=b||p.model!=c||(p.instances||null)!=d)c&&c.endDraw(b,d),p.program!=b&&(b=p.program,b.bind(),a.programChanges++,g=null),c=p.model,d=p.instances||null,c.beginDraw(b,d),a.modelChanges++,
+f=null;p.node!=f&&(f=p.node,c.setNodeUniforms(b,f),a.nodeChanges++);if(p.material!=g||!!p.mesh.hasTexCoords!=h||!!p.mesh.hasTangents!=m)g=p.material,h=!!p.mesh.hasTexCoords,m=!!p.mesh.hasTangents,l=Math.max(l,c.bindMaterial(g,p.mesh,b)||0),a.materialChanges++,p.texture!=e&&(e=p.texture,a.textureChanges++);c.drawMesh(b,p.mesh,d);a.drawCalls++}c&&(c.endDraw(b,d),b.unbind(),ShipGL.Texture.unbindAll(this.gl,l))};ShipGL.StandardModel=function(a,b,c){ShipGL.Model.call(this,a,b,c);this.program=ShipGL.StandardModel._builtInProgram(a,!1,!1);this.instancedPBRProgram=this.instancedProgram=this.pbrProgram=null;this.lights=[new ShipGL.DirectionalLight([1,1,1],[-.5,-1,-.8])];this.ambientIntensity=vec3.createFrom(.2,.2,.2);this.environmentMap=null;this.drawType=a.TRIANGLES;this.projMat=mat4.create();this.viewMat=mat4.create();this.modelMat=mat4.identity(mat4.create());this.renderQueue=new ShipGL.RenderQueue(a);this._boundEnvironmentMap=
+this._boundVertexArray=null;this._worldMat=mat4.create();this._eyePosition=vec3.create();this._normalMat=mat4.create();this._lightVectors=new Float32Array(4*ShipGL.StandardModel.MAX_LIGHTS);this._lightIntensities=new Float32Array(3*ShipGL.StandardModel.MAX_LIGHTS)};ShipGL.StandardModel.prototype=Object.create(ShipGL.Model.prototype);ShipGL.StandardModel.MAX_LIGHTS=4;ShipGL.StandardModel._programCache=[];
+ShipGL.StandardModel._builtInProgram=function(a,b,c){var d=ShipGL.StandardModel._programCache,f=(b?"pbr":"default")+(c?"Instanced":""),g=null,e;for(e=0;e<d.length;e++)d[e].gl==a&&(g=d[e]);g||(g={gl:a,programs:{}},d.push(g));g.programs[f]||(g.programs[f]=b?ShipGL.StandardModel.createPBRProgram(a,c):ShipGL.StandardModel.createDefaultProgram(a,c));return g.programs[f]};ShipGL.StandardModel._vertexShaderCode="uniform mat4 uProjMat;\nuniform mat4 uViewMat;\nuniform mat4 uModelMat;\nuniform mat4 uNormalMat;\n\nattribute vec3 aPosition;\nattribute vec3 aNormal;\nattribute vec2 aTexCoord;\nattribute vec3 aTangent;\nattribute vec3 aBitangent;\n\n#ifdef INSTANCED\nattribute mat4 aInstanceMatrix;\nattribute vec4 aInstanceColor;\n#endif\n\nvarying vec3 worldPosition;\nvarying vec3 worldNormal;\nvarying vec3 worldTangent;\nvarying vec3 worldBitangent;\nvarying vec2 texCoord;\nvarying vec4 instanceColor;\n\nvoid main()\n{\n    vec4 position = uModelMat * vec4(aPosition, 1.0);\n    worldNormal = (uNormalMat * vec4(aNormal, 0.0)).xyz;\n    worldTangent = (uModelMat * vec4(aTangent, 0.0)).xyz;\n    worldBitangent = (uModelMat * vec4(aBitangent, 0.0)).xyz;\n\n#ifdef INSTANCED\n    // Instance matrices are expected to scale uniformly, so they\n    // transform normals like any other direction.\n    mat3 instanceMat = mat3(aInstanceMatrix[0].xyz, aInstanceMatrix[1].xyz,\n                            aInstanceMatrix[2].xyz);\n    position = aInstanceMatrix * position;\n    worldNormal = instanceMat * worldNormal;\n    worldTangent = instanceMat * worldTangent;\n    worldBitangent = instanceMat * worldBitangent;\n    instanceColor = aInstanceColor;\n#else\n    instanceColor = vec4(1.0);\n#endif\n\n    gl_Position = uProjMat * uViewMat * position;\n    worldPosition = position.xyz;\n    texCoord = aTexCoord;\n}";
+ShipGL.StandardModel.createDefaultProgram=function(a,b){var c=["precision mediump float;\n","#define MAX_LIGHTS "+ShipGL.StandardModel.MAX_LIGHTS,"#define MAX_DIFFUSE_LAYERS "+ShipGL.Material.MAX_DIFFUSE_LAYERS,"\nuniform vec3 uEyePosition;\nuniform int uLightCount;\nuniform vec4 uLightVectors[MAX_LIGHTS];\nuniform vec3 uLightIntensities[MAX_LIGHTS];\nuniform vec3 uAmbientIntensity;\n\nuniform vec4 uAmbientRefl;\nuniform vec4 uDiffuseRefl;\nuniform vec4 uSpecularRefl;\nuniform vec4 uEmissionColor;\nuniform float uShininess;\nuniform int uShadingModel;\nuniform int uTexCount;\nuniform sampler2D uTex[MAX_DIFFUSE_LAYERS];\nuniform int uHasNormalTex;\nuniform sampler2D uNormalTex;\nuniform int uHasSpecularTex;\nuniform sampler2D uSpecularTex;\nuniform int uHasEmissiveTex;\nuniform sampler2D uEmissiveTex;\n\nvarying vec3 worldPosition;\nvarying vec3 worldNormal;\nvarying vec3 worldTangent;\nvarying vec3 worldBitangent;\nvarying vec2 texCoord;\nvarying vec4 instanceColor;\n\nvoid main()\n{\n    vec4 diffuseRefl = uDiffuseRefl;\n\n    // Diffuse layers are multiplied together.\n    if (uTexCount > 0)\n        diffuseRefl = vec4(1.0);\n\n    for (int i = 0; i < MAX_DIFFUSE_LAYERS; i++)\n    {\n        if (i >= uTexCount)\n            break;\n\n        diffuseRefl *= texture2D(uTex[i], texCoord);\n    }\n\n    diffuseRefl *= instanceColor;\n\n    vec3 specularRefl = uSpecularRefl.rgb;\n\n    if (uHasSpecularTex != 0)\n        specularRefl *= texture2D(uSpecularTex, texCoord).rgb;\n\n    vec3 emission = uEmissionColor.rgb;\n\n    if (uHasEmissiveTex != 0)\n        emission *= texture2D(uEmissiveTex, texCoord).rgb;\n\n    vec3 normal = normalize(worldNormal);\n\n    if (uHasNormalTex != 0)\n    {\n        vec3 tangentNormal = 2.0 * texture2D(uNormalTex, texCoord).xyz - 1.0;\n        mat3 tbn = mat3(normalize(worldTangent), normalize(worldBitangent), normal);\n        normal = normalize(tbn * tangentNormal);\n    }\n\n    vec3 toEye = normalize(uEyePosition - worldPosition);\n    vec3 color = emission + uAmbientRefl.rgb * uAmbientIntensity;\n\n    for (int i = 0; i < MAX_LIGHTS; i++)\n    {\n        if (i >= uLightCount)\n            break;\n\n        vec3 toLight;\n\n        if (uLightVectors[i].w == 0.0)\n            toLight = -normalize(uLightVectors[i].xyz);\n        else\n            toLight = normalize(uLightVectors[i].xyz - worldPosition);\n\n        float diffuse = max(dot(normal, toLight), 0.0);\n        float specular = 0.0;\n\n        if (diffuse > 0.0 && uShininess > 0.0)\n        {",
+"            if (uShadingModel == "+ShipGL.Material.PHONG+")","                specular = max(dot(reflect(-toLight, normal), toEye), 0.0);\n            else\n                specular = max(dot(normal, normalize(toLight + toEye)), 0.0);\n\n            specular = pow(specular, uShininess);\n        }\n\n        color += uLightIntensities[i] * (diffuseRefl.rgb * diffuse +\n                                         specularRefl * specular);\n    }\n\n    gl_FragColor = vec4(color, diffuseRefl.a);\n}"].join("\n");
+a=new ShipGL.ShaderProgram(a);a.create((b?"#define INSTANCED\n":"")+ShipGL.StandardModel._vertexShaderCode,c);return a};
+ShipGL.StandardModel.createPBRProgram=function(a,b){var c=[a.getExtension("EXT_shader_texture_lod")?"#extension GL_EXT_shader_texture_lod : enable":"","precision mediump float;\n","#define MAX_LIGHTS "+ShipGL.StandardModel.MAX_LIGHTS,"#define PI 3.14159265\n\nuniform vec3 uEyePosition;\nuniform int uLightCount;\nuniform vec4 uLightVectors[MAX_LIGHTS];\nuniform vec3 uLightIntensities[MAX_LIGHTS];\nuniform vec3 uAmbientIntensity;\n\nuniform vec4 uBaseColorFactor;\nuniform float uMetallicFactor;\nuniform float uRoughnessFactor;\nuniform float uOcclusionStrength;\nuniform vec4 uEmissionColor;\nuniform int uHasBaseColorTex;\nuniform sampler2D uBaseColorTex;\nuniform int uHasMetallicRoughnessTex;\nuniform sampler2D uMetallicRoughnessTex;\nuniform int uHasOcclusionTex;\nuniform sampler2D uOcclusionTex;\nuniform int uHasNormalTex;\nuniform sampler2D uNormalTex;\nuniform int uHasEmissiveTex;\nuniform sampler2D uEmissiveTex;\n\nuniform int uHasEnvMap;\nuniform samplerCube uEnvMap;\nuniform float uEnvMipCount;\nuniform vec3 uIrradianceSH[9];\nuniform float uEnvIntensity;\n\nvarying vec3 worldPosition;\nvarying vec3 worldNormal;\nvarying vec3 worldTangent;\nvarying vec3 worldBitangent;\nvarying vec2 texCoord;\nvarying vec4 instanceColor;\n\nvec3 toLinear(vec3 color)\n{\n    return pow(color, vec3(2.2));\n}\n\nvec3 irradiance(vec3 n)\n{\n    return uIrradianceSH[0] * 0.282095 +\n           uIrradianceSH[1] * 0.488603 * n.y +\n           uIrradianceSH[2] * 0.488603 * n.z +\n           uIrradianceSH[3] * 0.488603 * n.x +\n           uIrradianceSH[4] * 1.092548 * n.x * n.y +\n           uIrradianceSH[5] * 1.092548 * n.y * n.z +\n           uIrradianceSH[6] * 0.315392 * (3.0 * n.z * n.z - 1.0) +\n           uIrradianceSH[7] * 1.092548 * n.x * n.z +\n           uIrradianceSH[8] * 0.546274 * (n.x * n.x - n.y * n.y);\n}\n\n// Karis' analytic fit of the preintegrated environment BRDF.\nvec2 envBRDF(float roughness, float NdotV)\n{\n    const vec4 c0 = vec4(-1.0, -0.0275, -0.572, 0.022);\n    const vec4 c1 = vec4(1.0, 0.0425, 1.04, -0.04);\n    vec4 r = roughness * c0 + c1;\n    float a004 = min(r.x * r.x, exp2(-9.28 * NdotV)) * r.x + r.y;\n    return vec2(-1.04, 1.04) * a004 + r.zw;\n}\n\nvoid main()\n{\n    vec4 baseColor = uBaseColorFactor;\n\n    if (uHasBaseColorTex != 0)\n    {\n        vec4 texel = texture2D(uBaseColorTex, texCoord);\n        baseColor *= vec4(toLinear(texel.rgb), texel.a);\n    }\n\n    baseColor *= instanceColor;\n\n    float metallic = uMetallicFactor;\n    float roughness = uRoughnessFactor;\n\n    if (uHasMetallicRoughnessTex != 0)\n    {\n        vec4 texel = texture2D(uMetallicRoughnessTex, texCoord);\n        roughness *= texel.g;\n        metallic *= texel.b;\n    }\n\n    roughness = clamp(roughness, 0.04, 1.0);\n\n    float occlusion = 1.0;\n\n    if (uHasOcclusionTex != 0)\n        occlusion += uOcclusionStrength * (texture2D(uOcclusionTex, texCoord).r - 1.0);\n\n    vec3 emission = uEmissionColor.rgb;\n\n    if (uHasEmissiveTex != 0)\n        emission *= toLinear(texture2D(uEmissiveTex, texCoord).rgb);\n\n    vec3 normal = normalize(worldNormal);\n\n    if (uHasNormalTex != 0)\n    {\n        vec3 tangentNormal = 2.0 * texture2D(uNormalTex, texCoord).xyz - 1.0;\n        mat3 tbn = mat3(normalize(worldTangent), normalize(worldBitangent), normal);\n        normal = normalize(tbn * tangentNormal);\n    }\n\n    vec3 toEye = normalize(uEyePosition - worldPosition);\n    float NdotV = max(dot(normal, toEye), 0.001);\n\n    vec3 diffuseColor = baseColor.rgb * (1.0 - metallic);\n    vec3 f0 = mix(vec3(0.04), baseColor.rgb, metallic);\n    float alpha2 = roughness * roughness * roughness * roughness;\n    float k = (roughness + 1.0) * (roughness + 1.0) / 8.0;\n\n    vec3 color = emission;\n\n    for (int i = 0; i < MAX_LIGHTS; i++)\n    {\n        if (i >= uLightCount)\n            break;\n\n        vec3 toLight;\n\n        if (uLightVectors[i].w == 0.0)\n            toLight = -normalize(uLightVectors[i].xyz);\n        else\n            toLight = normalize(uLightVectors[i].xyz - worldPosition);\n\n        float NdotL = dot(normal, toLight);\n\n        if (NdotL <= 0.0)\n            continue;\n\n        vec3 halfway = normalize(toLight + toEye);\n        float NdotH = max(dot(normal, halfway), 0.0);\n        float VdotH = max(dot(toEye, halfway), 0.0);\n\n        // GGX distribution, Smith-Schlick visibility and Schlick's\n        // Fresnel approximation.\n        float d = NdotH * NdotH * (alpha2 - 1.0) + 1.0;\n        float D = alpha2 / (PI * d * d);\n        float G = NdotL / (NdotL * (1.0 - k) + k) * NdotV / (NdotV * (1.0 - k) + k);\n        vec3 F = f0 + (1.0 - f0) * pow(1.0 - VdotH, 5.0);\n        vec3 specular = F * D * G / (4.0 * NdotL * NdotV);\n\n        // Light intensities are scaled by pi, so that a light lights a\n        // white diffuse surface as brightly as with the Phong shader.\n        color += uLightIntensities[i] * NdotL * ((1.0 - F) * diffuseColor +\n                                                 PI * specular);\n    }\n\n    vec2 brdf = envBRDF(roughness, NdotV);\n    vec3 specularColor = f0 * brdf.x + brdf.y;\n    vec3 ambient = uAmbientIntensity * (diffuseColor + specularColor);\n\n    if (uHasEnvMap != 0)\n    {\n        // Mipmap level n is prefiltered for a roughness of\n        // n / (uEnvMipCount - 1).\n        vec3 reflected = reflect(-toEye, normal);\n        float lod = roughness * (uEnvMipCount - 1.0);\n#ifdef GL_EXT_shader_texture_lod\n        vec3 envColor = textureCubeLodEXT(uEnvMap, reflected, lod).rgb;\n#else\n        // Without the extension, the level can only be biased from\n        // the one picked by the hardware, which is close to level 0\n        // for most reflections, so this only approximates the lod.\n        vec3 envColor = textureCube(uEnvMap, reflected, lod).rgb;\n#endif\n\n        ambient += uEnvIntensity * (diffuseColor * max(irradiance(normal), 0.0) +\n                                    specularColor * toLinear(envColor));\n    }\n\n    color += occlusion * ambient;\n\n    gl_FragColor = vec4(pow(color, vec3(1.0 / 2.2)), baseColor.a);\n}"].join("\n");a=
+new ShipGL.ShaderProgram(a);a.create((b?"#define INSTANCED\n":"")+ShipGL.StandardModel._vertexShaderCode,c);return a};ShipGL.StandardModel.prototype.draw=function(){this.renderQueue.clear();this.enqueue(this.renderQueue);this.renderQueue.submit()};ShipGL.StandardModel.prototype.drawInstanced=function(a){0!=a.count&&(this.renderQueue.clear(),this.enqueue(this.renderQueue,a),this.renderQueue.submit())};
+ShipGL.StandardModel.prototype.enqueue=function(a,b){var c,d;for(c=0;c<this.nodes.length;c++){var f=this.nodes[c];for(d=0;d<f.meshIndices.length;d++){var g=this.json.meshes[f.meshIndices[d]];var e=this.materials[g.materialIndex];a.add({program:this._programFor(e,!!b),model:this,instances:b||null,node:f,mesh:g,material:e,texture:e.baseColorTexture||e.texture||null})}}};
+ShipGL.StandardModel.prototype.beginDraw=function(a,b){a.setUniformMat4("uProjMat",this.projMat);a.setUniformMat4("uViewMat",this.viewMat);this._setLightUniforms(a);a!=this.pbrProgram&&a!=this.instancedPBRProgram||this._setEnvironmentUniforms(a);mat4.inverse(this.viewMat,this._worldMat);mat4.multiplyVec3(this._worldMat,[0,0,0],this._eyePosition);a.setUniformVec3f("uEyePosition",this._eyePosition)};
+ShipGL.StandardModel.prototype.setNodeUniforms=function(a,b){mat4.multiply(this.modelMat,b.modelMatrix,this._worldMat);mat4.inverse(this._worldMat,this._normalMat);mat4.transpose(this._normalMat);a.setUniformMat4("uModelMat",this._worldMat);a.setUniformMat4("uNormalMat",this._normalMat)};
+ShipGL.StandardModel.prototype.drawMesh=function(a,b,c){var d=this.getVertexArray(a,b),f=c?this.gl.getExtension("ANGLE_instanced_arrays"):null,g=d!=this._boundVertexArray;g&&(this._boundVertexArray&&this._boundVertexArray.unbind(),d.bind(),this._boundVertexArray=d);if(f){if(g||!d.isNative)c.bind(),a.enableMatrixAttributeArray("aInstanceMatrix"),a.enableAttributeArray("aInstanceColor"),a.setAttributeBufferMat4f("aInstanceMatrix",ShipGL.InstanceBuffer.STRIDE,ShipGL.InstanceBuffer.MATRIX_OFFSET),a.setAttributeBuffer4f("aInstanceColor",
+ShipGL.InstanceBuffer.STRIDE,ShipGL.InstanceBuffer.COLOR_OFFSET),a.setMatrixAttributeDivisor("aInstanceMatrix",1),a.setAttributeDivisor("aInstanceColor",1);b.hasIndices?f.drawElementsInstancedANGLE(this.drawType,b.indices.length,b.indexType,b.indicesByteOffset,c.count):f.drawArraysInstancedANGLE(this.drawType,0,b.vertexPositions.length/3,c.count);d.isNative||(a.setMatrixAttributeDivisor("aInstanceMatrix",0),a.setAttributeDivisor("aInstanceColor",0),a.disableMatrixAttributeArray("aInstanceMatrix"),
+a.disableAttributeArray("aInstanceColor"))}else for(d=c?c.count:1,f=0;f<d;f++)c&&(g=f*ShipGL.InstanceBuffer.STRIDE,a.setAttributeValueMat4f("aInstanceMatrix",c.data.subarray(g+ShipGL.InstanceBuffer.MATRIX_OFFSET,g+ShipGL.InstanceBuffer.MATRIX_OFFSET+16)),g+=ShipGL.InstanceBuffer.COLOR_OFFSET,a.setAttributeValue4f("aInstanceColor",c.data[g],c.data[g+1],c.data[g+2],c.data[g+3])),b.hasIndices?this.gl.drawElements(this.drawType,b.indices.length,b.indexType,b.indicesByteOffset):this.gl.drawArrays(this.drawType,
+0,b.vertexPositions.length/3)};ShipGL.StandardModel.prototype.endDraw=function(a,b){this._boundEnvironmentMap&&(this._boundEnvironmentMap.unbind(),this._boundEnvironmentMap=null);this._boundVertexArray&&(this._boundVertexArray.unbind(),this._boundVertexArray=null,this.vbo.unbind())};ShipGL.StandardModel.prototype.bindMaterial=function(a,b,c){return a.bind(c,b)};ShipGL.StandardModel.prototype.setProgram=function(a){this.program=a};
+ShipGL.StandardModel.prototype.setPBRProgram=function(a){this.pbrProgram=a};ShipGL.StandardModel.prototype.setEnvironmentMap=function(a){this.environmentMap=a};ShipGL.StandardModel.prototype.setInstancedProgram=function(a){this.instancedProgram=a};ShipGL.StandardModel.prototype.setInstancedPBRProgram=function(a){this.instancedPBRProgram=a};ShipGL.StandardModel.prototype.setLights=function(a){this.lights=a.slice()};ShipGL.StandardModel.prototype.setModelMatrix=function(a){mat4.set(a,this.modelMat)};
+ShipGL.StandardModel.prototype.setProjection=function(a){mat4.set(a,this.projMat)};ShipGL.StandardModel.prototype.setView=function(a){mat4.set(a,this.viewMat)};ShipGL.StandardModel.prototype._programFor=function(a,b){a=a instanceof ShipGL.PBRMaterial;var c=b?a?"instancedPBRProgram":"instancedProgram":a?"pbrProgram":"program";this[c]||(this[c]=ShipGL.StandardModel._builtInProgram(this.gl,a,b));return this[c]};
+ShipGL.StandardModel.prototype._setLightUniforms=function(a){var b=Math.min(this.lights.length,ShipGL.StandardModel.MAX_LIGHTS),c;for(c=0;c<b;c++){var d=this.lights[c];this._lightVectors.set(d instanceof ShipGL.PointLight?d.position:d.direction,4*c);this._lightIntensities.set(d.intensity,3*c)}a.setUniform1i("uLightCount",b);a.setUniformVec4f("uLightVectors",this._lightVectors);a.setUniformVec3f("uLightIntensities",this._lightIntensities);a.setUniformVec3f("uAmbientIntensity",this.ambientIntensity)};
+ShipGL.StandardModel.prototype._setEnvironmentUniforms=function(a){var b=!(!this.environmentMap||!this.environmentMap.isReady);b?(this.environmentMap.bind(a),this._boundEnvironmentMap=this.environmentMap):a.setUniform1i("uEnvMap",ShipGL.EnvironmentMap.TEXTURE_UNIT);a.setUniform1i("uHasEnvMap",b?1:0)};ShipGL.OBJImporter=function(){function a(){return{diffuseTexture:[],diffuseReflectance:[.8,.8,.8,1],ambientReflectance:[0,0,0,1],specularReflectance:[0,0,0,1],shininess:0,emissionColor:[0,0,0,1]}}function b(a,b){return[parseFloat(a[1]),parseFloat(a[2]),parseFloat(a[3]),b]}function c(a){a=a.split(/\s+/);return a[a.length-1].replace(/\\/g,"/")}function d(d,f){f=f||"";var g={},e=null;d=d.split(/\r?\n/);var h;for(h=0;h<d.length;h++){var k=d[h].trim();if(0!=k.length&&"#"!=k.charAt(0)){var n=k.split(/\s+/);
+if("newmtl"==n[0])e=a(),g[k.substring(6).trim()]=e;else if(e)switch(n[0]){case "Ka":e.ambientReflectance=b(n,1);break;case "Kd":k=e.diffuseReflectance[3];e.diffuseReflectance=b(n,k);break;case "Ks":e.specularReflectance=b(n,1);break;case "Ke":e.emissionColor=b(n,1);break;case "Ns":e.shininess=parseFloat(n[1]);break;case "d":e.diffuseReflectance[3]=parseFloat(n[1]);break;case "Tr":e.diffuseReflectance[3]=1-parseFloat(n[1]);break;case "map_Kd":e.diffuseTexture=[f+c(k)];break;case "norm":case "bump":case "map_Bump":case "map_bump":e.normalTexture=
+[f+c(k)];break;case "map_Ks":e.specularTexture=[f+c(k)];break;case "map_Ke":e.emissiveTexture=[f+c(k)],"0,0,0"==e.emissionColor.slice(0,3).join()&&(e.emissionColor=[1,1,1,1])}}}return g}function f(a,b){a=parseInt(a,10);return 0>a?b+a:a-1}function g(a,b,c,d,e){var k=b.split("/");b=f(k[0],c.length/3);var g=k[1]?f(k[1],d.length/2):-1;k=k[2]?f(k[2],e.length/3):-1;var h=b+"/"+g+"/"+k,l=a.vertexMap[h];if(void 0!==l)return a.indices.push(l),l;l=a.vertexPositions.length/3;a.vertexMap[h]=l;a.indices.push(l);
+a.vertexPositions.push(c[3*b],c[3*b+1],c[3*b+2]);0<=g?(a.texCoords.push(d[2*g],d[2*g+1]),a.hasTexCoords=!0):a.texCoords.push(0,0);0<=k?a.vertexNormals.push(e[3*k],e[3*k+1],e[3*k+2]):a.needsNormals=!0;return l}function e(b,c){function d(b){void 0===h[b]&&(h[b]=f.materials.length,f.materials.push(c[b]||a()));b=h[b];m[b]||(m[b]={vertexPositions:[],vertexNormals:[],texCoords:[],indices:[],materialIndex:b,hasTexCoords:!1,needsNormals:!1,vertexMap:{}},A.push(b));y=m[b]}c=c||{};var f={name:"noname",materials:[],
+meshes:[],nodes:[]},e=[],k=[],n=[],h={},m={},A=[],y=null,u=b.split(/\r?\n/);for(b=0;b<u.length;b++){var r=u[b].trim();if(0!=r.length&&"#"!=r.charAt(0)){var w=r.split(/\s+/);switch(w[0]){case "v":e.push(parseFloat(w[1]),parseFloat(w[2]),parseFloat(w[3]));break;case "vt":k.push(parseFloat(w[1]),parseFloat(w[2]||0));break;case "vn":n.push(parseFloat(w[1]),parseFloat(w[2]),parseFloat(w[3]));break;case "usemtl":d(r.substring(6).trim());break;case "o":"noname"==f.name&&(f.name=r.substring(1).trim());break;
+case "f":for(y||d(""),r=3;r<w.length;r++)g(y,w[1],e,k,n),g(y,w[r-1],e,k,n),g(y,w[r],e,k,n)}}}e={modelMatrix:[1,0,0,0,0,1,0,0,0,0,1,0,0,0,0,1],meshIndices:[]};for(b=0;b<A.length;b++)k=m[A[b]],e.meshIndices.push(f.meshes.length),f.meshes.push({vertexPositions:k.vertexPositions,vertexNormals:k.needsNormals?[]:k.vertexNormals,vertexTexCoordinates:k.hasTexCoords?[k.texCoords]:[],indices:k.indices,materialIndex:k.materialIndex});f.nodes.push(e);return f}return{parse:e,parseMTL:d,load:function(a,b,c,f,g,
+k){g=g||ShipGL.StandardModel;var n=b.substring(0,b.lastIndexOf("/")+1);return ShipGL.FileLoader.loadText(b,function(h){function l(){try{var d=new g(a,b,e(h,r));d.initialize(k)}catch(B){t(new ShipGL.FileLoadError(b,0,"parse","Failed to load OBJ "+b+": "+B.message));return}d.onReady(c)}function t(a){if(!p){p=!0;if(!f)throw a;f(a)}}function m(a){var b=a.substring(0,a.lastIndexOf("/")+1);return function(a){var c;a=d(a,b);for(c in a)r[c]=a[c];C--;0!=C||p||l()}}var u=[],r={},p=!1,q=h.match(/^\s*mtllib\s+.+$/gm)||
+[],z;for(z=0;z<q.length;z++)u.push(q[z].trim().substring(6).trim());var C=u.length;if(0==C)l();else for(z=0;z<u.length;z++)ShipGL.FileLoader.loadText(n+u[z],m(u[z]),t)},f)}}}();ShipGL.COLLADAImporter=function(){function a(a,b){var c,d=[];for(c=0;c<a.childNodes.length;c++){var f=a.childNodes[c];1!=f.nodeType||b&&f.localName!=b||d.push(f)}return d}function b(b,c){return b?a(b,c)[0]||null:null}function c(a){a=a?a.textContent.trim():"";return 0<a.length?a.split(/\s+/).map(parseFloat):[]}function d(a){var b={},c=a.getElementsByTagName("*");for(a=0;a<c.length;a++){var d=c[a];d.getAttribute("id")&&(b[d.getAttribute("id")]=d)}return b}function f(a,b){return b?a["#"==b.charAt(0)?
+b.substring(1):b]||null:null}function g(a){a=c(b(a,"color"));3==a.length&&a.push(1);return 4==a.length?a:null}function e(d,e){var k={diffuseTexture:[],diffuseReflectance:[.8,.8,.8,1],ambientReflectance:[0,0,0,1],specularReflectance:[0,0,0,1],shininess:0,emissionColor:[0,0,0,1]},h=(d=d?b(d,"instance_effect"):null)?f(e,d.getAttribute("url")):null;d=(d=(d=h?h.getElementsByTagName("profile_COMMON")[0]:null)?b(d,"technique"):null)?a(d)[0]:null;if(!d)return k;var n;k.emissionColor=g(b(d,"emission"))||k.emissionColor;
+k.ambientReflectance=g(b(d,"ambient"))||k.ambientReflectance;k.specularReflectance=g(b(d,"specular"))||k.specularReflectance;if(n=b(d,"diffuse")){var l=g(n);n=b(n,"texture");if(l)k.diffuseReflectance=l;else if(n){k.diffuseReflectance=[1,1,1,1];l={};h=h.getElementsByTagName("newparam");var m;for(m=0;m<h.length;m++)l[h[m].getAttribute("sid")]=h[m];h=n.getAttribute("texture");if(n=l[h])h=(l=(n=n.getElementsByTagName("source")[0])?l[n.textContent.trim()]:null)?l.getElementsByTagName("init_from")[0].textContent.trim():
+h;(e=(e=e[h])?b(e,"init_from"):null)?(e=(b(e,"ref")||e).textContent.trim(),e=decodeURI(e.replace(/^file:\/\//,"")).replace(/\\/g,"/")):e=null;e&&(k.diffuseTexture=[e])}}e=c(b(b(d,"shininess"),"float"));0<e.length&&(k.shininess=e[0]);e=c(b(b(d,"transparency"),"float"));0<e.length&&!b(d,"transparent")&&(k.diffuseReflectance[3]=e[0]);return k}function h(a){var d=a.getElementsByTagName("accessor")[0];return{data:c(b(a,"float_array")),stride:d?parseInt(d.getAttribute("stride")||"1",10):3}}function m(b,
+c){var d={},e=0;b=a(b,"input");var g;for(g=0;g<b.length;g++){var k=b[g].getAttribute("semantic");var n=parseInt(b[g].getAttribute("offset")||"0",10);var l=f(c,b[g].getAttribute("source"));e=Math.max(e,n);if("VERTEX"==k)for(k=l,k=a(k,"input"),l=0;l<k.length;l++)d[k[l].getAttribute("semantic")]={offset:n,source:h(f(c,k[l].getAttribute("source")))};else"NORMAL"!=k&&"TEXCOORD"!=k||d[k]||(d[k]={offset:n,source:h(l)})}d.indexStride=e+1;return d}function l(d,f){var e=[],g=d.localName,k=a(d,"p"),h,l=0;if("triangles"==
+g){var n=[];var m=c(k[0]);for(d=0;d<m.length/(3*f);d++)n.push(3);k=[k[0]]}else"polylist"==g&&(n=c(b(d,"vcount")));for(d=0;d<k.length;d++)for(m=c(k[d]),"polygons"==g&&(n=[m.length/f],l=0),h=0;h<n.length;h++)e.push(m.slice(l,l+n[h]*f)),l+=n[h]*f;return e}function q(a,b,c){function d(a,b,c,d){var f=a.source.stride*b;for(b=0;b<c;b++)d.push(a.source.data[f+b])}function f(a,b,c){a=a.slice(b*g,(b+1)*g);c=a.join(" ")+(p?"":"/"+c);b=n[c];void 0===b&&(b=k.vertexPositions.length/3,n[c]=b,d(t,a[t.offset],3,k.vertexPositions),
+p?d(p,a[p.offset],3,k.vertexNormals):k.vertexNormals.push(B[0],B[1],B[2]),q&&d(q,a[q.offset],2,h));k.indices.push(b)}function e(a){var b,c=[];for(b=0;3>b;b++)c.push(t.source.data.slice(3*a[b*g+t.offset],3*a[b*g+t.offset]+3));vec3.subtract(c[1],c[0],F);vec3.subtract(c[2],c[0],D);vec3.normalize(vec3.cross(F,D,B))}b=m(a,b);var g=b.indexStride;a=l(a,g);var k={vertexPositions:[],vertexNormals:[],vertexTexCoordinates:[],indices:[],materialIndex:c},h=[],n={},t=b.POSITION,p=b.NORMAL,q=b.TEXCOORD,B=vec3.create(),
+F=vec3.create(),D=vec3.create();if(!t)throw Error("COLLADA primitive has no POSITION input");var E=0;for(c=0;c<a.length;c++)for(b=2;b<a[c].length/g;b++)p||e([].concat(a[c].slice(0,g),a[c].slice((b-1)*g,(b+1)*g))),f(a[c],0,E),f(a[c],b-1,E),f(a[c],b,E),E++;q&&k.vertexTexCoordinates.push(h);return k}function p(g){function k(a){void 0===r[a]&&(r[a]=u.materials.length,u.materials.push(e(f(p,a),p)));return r[a]}function h(c){var d=f(p,c.getAttribute("url")),e=d?b(d,"mesh"):null,g={},h=[];if(!e)return h;
+var l=c.getElementsByTagName("instance_material");for(c=0;c<l.length;c++)g[l[c].getAttribute("symbol")]=l[c].getAttribute("target");e=a(e).filter(function(a){return/^(triangles|polylist|polygons)$/.test(a.localName)});for(c=0;c<e.length;c++){l=e[c].getAttribute("material");l=k(g[l]||l||"");var m=d.getAttribute("id")+"/"+c+"/"+l;void 0===w[m]&&(w[m]=u.meshes.length,u.meshes.push(q(e[c],p,l)));h.push(w[m])}return h}function l(b,d){var e=mat4.identity(mat4.create()),g=mat4.create(),k=a(b),m;for(m=0;m<
+k.length;m++){var n=c(k[m]);switch(k[m].localName){case "matrix":mat4.transpose(n,g);mat4.multiply(e,g);break;case "translate":mat4.translate(e,n);break;case "rotate":mat4.rotate(e,ShipGL.Math.toRadians(n[3]),n);break;case "scale":mat4.scale(e,n)}}g=a(b);d&&mat4.multiply(d,e,e);b={name:b.getAttribute("name")||b.getAttribute("id")||"",modelMatrix:Array.prototype.slice.call(e),meshIndices:[],children:[]};for(d=0;d<g.length;d++)switch(g[d].localName){case "instance_geometry":b.meshIndices=b.meshIndices.concat(h(g[d]));
+break;case "node":b.children.push(l(g[d]));break;case "instance_node":(e=f(p,g[d].getAttribute("url")))&&b.children.push(l(e))}return b}var m=(new DOMParser).parseFromString(g,"application/xml");if(0<m.getElementsByTagName("parsererror").length||!m.documentElement||"COLLADA"!=m.documentElement.localName)throw Error("Not a valid COLLADA document");var p=d(m),u={name:"noname",materials:[],meshes:[],nodes:[]},r={},w={};g=mat4.identity(mat4.create());var x=m.getElementsByTagName("up_axis")[0];x&&"Z_UP"==
+x.textContent.trim()&&mat4.rotateX(g,-Math.PI/2);m=(x=(x=m.getElementsByTagName("scene")[0])?b(x,"instance_visual_scene"):null)?f(p,x.getAttribute("url")):m.getElementsByTagName("visual_scene")[0];if(!m)throw Error("COLLADA document has no visual scene");u.name=m.getAttribute("name")||u.name;x=a(m,"node");for(m=0;m<x.length;m++)u.nodes.push(l(x[m],g));return u}return{parse:p,load:function(a,b,c,d,f,e){f=f||ShipGL.StandardModel;return ShipGL.FileLoader.loadText(b,function(g){try{var k=new f(a,b,p(g));
+k.initialize(e)}catch(w){g=new ShipGL.FileLoadError(b,0,"parse","Failed to load "+b+": "+w.message);if(!d)throw g;d(g);return}k.onReady(c)},d,{mimeType:"application/xml"})}}}();ShipGL.GLTFImporter=function(){function a(a){a=atob(a.substring(a.indexOf(",")+1));var b=new Uint8Array(a.length),c;for(c=0;c<a.length;c++)b[c]=a.charCodeAt(c);return b.buffer}function b(a){var b=new DataView(a);if(20>a.byteLength||1179937895!=b.getUint32(0,!0))throw Error("Not a binary glTF (.glb) file");if(2!=b.getUint32(4,!0))throw Error("Unsupported binary glTF version "+b.getUint32(4,!0));for(var d=null,f=null,e=12,g=Math.min(b.getUint32(8,!0),a.byteLength),k,h,l;e+8<=g;)k=b.getUint32(e,!0),
+h=b.getUint32(e+4,!0),l=a.slice(e+8,e+8+k),1313821514==h?d=JSON.parse(c(new Uint8Array(l))):5130562!=h||f||(f=l),e+=8+k;if(!d)throw Error("Binary glTF file has no JSON chunk");return{gltf:d,bin:f}}function c(a){var b,c="";for(b=0;b<a.length;b++)c+=String.fromCharCode(a[b]);return decodeURIComponent(escape(c))}function d(a){var b=a.asset?String(a.asset.version):"";if("2"!=b.charAt(0))throw Error('Unsupported glTF version "'+b+'" (only 2.0 is supported)');if(a.extensionsRequired&&0<a.extensionsRequired.length)throw Error("Unsupported required glTF extension(s): "+
+a.extensionsRequired.join(", "));}function f(a,b,c){var d=a.accessors[c];if(d.sparse)throw Error("Sparse glTF accessors are not supported (accessor "+c+")");var f=q[d.componentType],e=p[d.type];if(!f||!e)throw Error("Unsupported glTF accessor layout "+d.type+"/"+d.componentType+" (accessor "+c+")");c=new (d.normalized?Float32Array:f.ArrayType)(d.count*e);if(void 0===d.bufferView)return c;var g=a.bufferViews[d.bufferView];b=b[g.buffer];var k=f.ArrayType.BYTES_PER_ELEMENT;a=g.byteStride||k*e;var h=
+(g.byteOffset||0)+(d.byteOffset||0);if(!b)throw Error("glTF buffer "+g.buffer+" was not loaded");if(!d.normalized&&a==k*e&&0==h%k)return c.set(new f.ArrayType(b,h,c.length)),c;var l=d.normalized?1/f.max:1;for(g=0;g<d.count;g++){var m=new f.ArrayType(b,h+g*a,e);for(k=0;k<e;k++)c[g*e+k]=d.normalized?Math.max(m[k]*l,-1):m[k]}return c}function g(a,b,c){function d(c){if((c=c?a.textures[c.index]:null)&&void 0!==c.source){c=a.images[c.source];if(void 0!==c.uri)c=c.uri;else{var d=a.bufferViews[c.bufferView],
+f=d.byteOffset||0;d=b[d.buffer].slice(f,f+d.byteLength);c=URL.createObjectURL(new Blob([d],{type:c.mimeType}))}c=[c]}else c=[];return c}var f=c.pbrMetallicRoughness||{},e=c.emissiveFactor||[0,0,0];e={diffuseTexture:[],diffuseReflectance:(f.baseColorFactor||[1,1,1,1]).slice(),ambientReflectance:[0,0,0,1],specularReflectance:[0,0,0,1],shininess:0,emissionColor:[e[0],e[1],e[2],1],baseColorFactor:(f.baseColorFactor||[1,1,1,1]).slice(),metallicFactor:void 0!==f.metallicFactor?f.metallicFactor:1,roughnessFactor:void 0!==
+f.roughnessFactor?f.roughnessFactor:1};e.diffuseTexture=d(f.baseColorTexture);e.baseColorTexture=e.diffuseTexture;e.metallicRoughnessTexture=d(f.metallicRoughnessTexture);e.occlusionTexture=d(c.occlusionTexture);e.normalTexture=d(c.normalTexture);e.emissiveTexture=d(c.emissiveTexture);c.occlusionTexture&&void 0!==c.occlusionTexture.strength&&(e.occlusionStrength=c.occlusionTexture.strength);return e}function e(a){var b=a.indices,c=a.vertexPositions,d=new Float32Array(3*b.length),f=new Float32Array(3*
+b.length),e=a.vertexTexCoordinates.map(function(){return new Float32Array(2*b.length)}),g=[vec3.create(),vec3.create(),vec3.create()],k=vec3.create(),h=vec3.create(),l=vec3.create(),m,p,q;for(m=0;m<b.length;m+=3){for(p=0;3>p;p++){var B=b[m+p];for(q=0;3>q;q++)g[p][q]=c[3*B+q],d[3*(m+p)+q]=g[p][q];for(q=0;q<e.length;q++)e[q][2*(m+p)]=a.vertexTexCoordinates[q][2*B],e[q][2*(m+p)+1]=a.vertexTexCoordinates[q][2*B+1]}vec3.subtract(g[1],g[0],k);vec3.subtract(g[2],g[0],h);vec3.normalize(vec3.cross(k,h,l));
+for(p=0;3>p;p++)f.set(l,3*(m+p))}a.vertexPositions=d;a.vertexNormals=f;a.vertexTexCoordinates=e;a.indices=[]}function h(a,b,c,d,g){var k=void 0===c.mode?4:c.mode;if(4!=k)throw Error("Unsupported glTF primitive mode "+k+" in mesh "+g+" (only triangles are supported)");if(c.extensions&&c.extensions.KHR_draco_mesh_compression)throw Error("Draco compressed glTF meshes are not supported");k=c.attributes;if(void 0===k.POSITION)throw Error("glTF primitive in mesh "+g+" has no POSITION");d={vertexPositions:f(a,
+b,k.POSITION),vertexNormals:null,vertexTexCoordinates:[],indices:[],materialIndex:d};var h;for(g=0;void 0!==k["TEXCOORD_"+g];g++){var l=f(a,b,k["TEXCOORD_"+g]);for(h=1;h<l.length;h+=2)l[h]=1-l[h];d.vertexTexCoordinates.push(l)}void 0!==c.indices&&(d.indices=f(a,b,c.indices));if(void 0!==k.NORMAL)d.vertexNormals=f(a,b,k.NORMAL);else{if(0==d.indices.length)for(d.indices=new Uint32Array(d.vertexPositions.length/3),g=0;g<d.indices.length;g++)d.indices[g]=g;e(d)}return d}function m(a){var b=mat4.identity(mat4.create());
+if(a.matrix)return mat4.set(a.matrix,b),b;a.translation&&mat4.translate(b,a.translation);a.rotation&&mat4.multiply(b,quat4.toMat4(a.rotation));a.scale&&mat4.scale(b,a.scale);return b}function l(a,b){function c(c){var d=void 0===c?"default":c;void 0===k[d]&&(k[d]=e.materials.length,e.materials.push(void 0===c?{diffuseTexture:[],diffuseReflectance:[1,1,1,1],ambientReflectance:[0,0,0,1],specularReflectance:[0,0,0,1],shininess:0,emissionColor:[0,0,0,1],baseColorFactor:[1,1,1,1],metallicFactor:1,roughnessFactor:1}:
+g(a,b,a.materials[c])));return k[d]}function f(d){d=a.nodes[d];var g=d.name||"",k=Array.prototype.slice.call(m(d));if(void 0!==d.mesh){var n=d.mesh;if(!l[n]){var p,q=a.meshes[n].primitives;l[n]=[];for(p=0;p<q.length;p++)l[n].push(e.meshes.length),e.meshes.push(h(a,b,q[p],c(q[p].material),n))}n=l[n].slice()}else n=[];g={name:g,modelMatrix:k,meshIndices:n,children:[]};for(k=0;d.children&&k<d.children.length;k++)g.children.push(f(d.children[k]));return g}d(a);var e={name:"noname",materials:[],meshes:[],
+nodes:[]},k={},l={},n;if(n=(a.scenes||[])[a.scene||0])e.name=n.name||e.name,n=n.nodes||[];else{var p,q={};n=[];(a.nodes||[]).forEach(function(a){(a.children||[]).forEach(function(a){q[a]=!0})});for(p=0;a.nodes&&p<a.nodes.length;p++)q[p]||n.push(p)}for(p=0;p<n.length;p++)e.nodes.push(f(n[p]));return e}var q={5120:{ArrayType:Int8Array,max:127},5121:{ArrayType:Uint8Array,max:255},5122:{ArrayType:Int16Array,max:32767},5123:{ArrayType:Uint16Array,max:65535},5125:{ArrayType:Uint32Array,max:4294967295},
+5126:{ArrayType:Float32Array,max:1}},p={SCALAR:1,VEC2:2,VEC3:3,VEC4:4,MAT2:4,MAT3:9,MAT4:16};return{parse:l,parseGLB:b,load:function(f,e,g,h,m,p){function k(a){if(!y){y=!0;if(!h)throw a;h(a)}}function n(a){k(new ShipGL.FileLoadError(e,0,"parse","Failed to load glTF "+e+": "+a.message))}function q(a,b){try{var c=new m(f,e,l(a,b));c.initialize(p)}catch(D){n(D);return}c.onReady(g)}function t(b,c){function d(a){return function(c){e[a]=c;f--;0!=f||y||q(b,e)}}var e=[],f=0,g=b.buffers||[],h;for(h=0;h<g.length;h++){var l=
+g[h].uri;if(void 0===l)e[h]=c;else if(0==l.indexOf("data:"))try{e[h]=a(l)}catch(H){n(H);return}else f++,ShipGL.FileLoader.loadArrayBuffer(v+l,d(h),k)}0==f&&q(b,e)}m=m||ShipGL.StandardModel;var v=e.substring(0,e.lastIndexOf("/")+1),y=!1;return ShipGL.FileLoader.loadArrayBuffer(e,function(a){var e=null;try{if(1179937895==(new DataView(a)).getUint32(0,!0)){var f=b(a);var g=f.gltf;e=f.bin}else g=JSON.parse(c(new Uint8Array(a)));d(g)}catch(E){n(E);return}t(g,e)},k)}}}();ShipGL.SkyBox=function(a){ShipGL.GLResource.call(this,a);this.cubeMap=new ShipGL.CubeTexture(this.gl);a=new ShipGL.BufferUtilities(this.gl);var b=a.generateCube(2);this.vbo=a.createVertexBuffer(b.vertexPositions);this.ibo=a.createIndexBuffer(b.indices);this.program=new ShipGL.ShaderProgram(this.gl);this.program.create("uniform mat4 uProjMat;\nuniform mat4 uViewMat;\nuniform mat4 uModelMat;\n\nattribute vec3 aPosition;\n\nvarying vec3 texCoord;\n\nvoid main()\n{\n    gl_Position = uProjMat * uViewMat * uModelMat * vec4(aPosition, 1.0);\n    texCoord = aPosition;\n}",
+"precision mediump float;\n\nuniform samplerCube uCubeTex;\n\nvarying vec3 texCoord;\n\nvoid main()\n{\n\tgl_FragColor = textureCube(uCubeTex, texCoord);\n}");this.vertexArray=new ShipGL.VertexArray(this.gl);this.vertexArray.addAttribute(this.program,"aPosition",this.vbo,3,0,0);this.vertexArray.setIndexBuffer(this.ibo);this.center=vec3.create();this.width=2;this.projMat=mat4.create();this.viewMat=mat4.create();this.modelMat=mat4.create()};ShipGL.SkyBox.prototype=Object.create(ShipGL.GLResource.prototype);
+ShipGL.SkyBox.prototype.draw=function(){this.program.bind();this.vertexArray.bind();this.cubeMap.bind(0);this.program.setUniformMat4("uProjMat",this.projMat);this.program.setUniformMat4("uViewMat",this.viewMat);this.program.setUniformMat4("uModelMat",this.modelMat);this.program.setUniform1i("uCubeTex",0);this.gl.drawElements(this.gl.TRIANGLES,this.ibo.length,this.gl.UNSIGNED_SHORT,0);this.cubeMap.unbind();this.vertexArray.unbind();this.program.unbind()};
+ShipGL.SkyBox.prototype.setDirectory=function(a,b){this.cubeMap.loadDirectory(a,b)};ShipGL.SkyBox.prototype.setCenter=function(a){vec3.set(a,this.center);this._computeModelMatrix()};ShipGL.SkyBox.prototype.setWidth=function(a){this.width=a;this._computeModelMatrix()};ShipGL.SkyBox.prototype.setProjection=function(a){mat4.set(a,this.projMat)};ShipGL.SkyBox.prototype.setView=function(a){mat4.set(a,this.viewMat)};
+ShipGL.SkyBox.prototype._computeModelMatrix=function(){var a=.5*this.width;mat4.identity(this.modelMat);mat4.translate(this.modelMat,this.center);mat4.scale(this.modelMat,[a,a,a])};ShipGL.Floor=function(a){ShipGL.GLResource.call(this,a);this.tilesAcross=10;this.width=2;this.tileTexture=new ShipGL.Texture(this.gl);this.center=vec3.create();a=new ShipGL.BufferUtilities(this.gl);var b=a.generatePlane(2,2);this.vertexLayout=new ShipGL.VertexLayout(this.gl);this.vertexLayout.addAttribute("aPosition",3);this.vertexLayout.addAttribute("aTexCoord",2);this.vbo=this.vertexLayout.createBuffer({aPosition:b.vertexPositions,aTexCoord:b.vertexTexCoordinates[0]});this.ibo=a.createIndexBuffer(b.indices);
+this.program=new ShipGL.ShaderProgram(this.gl);this.program.create("uniform mat4 uProjMat;\nuniform mat4 uViewMat;\nuniform mat4 uModelMat;\nuniform float uTilesAcross;\n\nattribute vec3 aPosition;\nattribute vec2 aTexCoord;\n\nvarying vec2 texCoord;\n\nvoid main()\n{\n    gl_Position = uProjMat * uViewMat * uModelMat * vec4(aPosition, 1.0);\n    texCoord = uTilesAcross * aTexCoord;\n}","precision mediump float;\n\nuniform sampler2D uTex;\n\nvarying vec2 texCoord;\n\nvoid main()\n{\n\tgl_FragColor = texture2D(uTex, texCoord);\n\t//gl_FragColor = vec4(0.8, 0.8, 0.3, 1.0);\n}");
+this.vertexArray=new ShipGL.VertexArray(this.gl);this.vertexArray.addLayout(this.program,this.vertexLayout,this.vbo);this.vertexArray.setIndexBuffer(this.ibo);this.projMat=mat4.create();this.viewMat=mat4.create();this.modelMat=mat4.create()};ShipGL.Floor.prototype=Object.create(ShipGL.GLResource.prototype);
+ShipGL.Floor.prototype.draw=function(){this.program.bind();this.vertexArray.bind();this.tileTexture.bind(0);this.program.setUniformMat4("uProjMat",this.projMat);this.program.setUniformMat4("uViewMat",this.viewMat);this.program.setUniformMat4("uModelMat",this.modelMat);this.program.setUniform1f("uTilesAcross",this.tilesAcross);this.program.setUniform1i("uTex",0);this.gl.drawElements(this.gl.TRIANGLES,this.ibo.length,this.gl.UNSIGNED_SHORT,0);this.tileTexture.unbind();this.vertexArray.unbind();this.program.unbind()};
+ShipGL.Floor.prototype.setTexture=function(a){this.tileTexture.load(a)};ShipGL.Floor.prototype.setCenter=function(a){vec3.set(a,this.center);this._computeModelMatrix()};ShipGL.Floor.prototype.setWidth=function(a){this.width=a;this._computeModelMatrix()};ShipGL.Floor.prototype.setProjection=function(a){mat4.set(a,this.projMat)};ShipGL.Floor.prototype.setView=function(a){mat4.set(a,this.viewMat)};
+ShipGL.Floor.prototype._computeModelMatrix=function(){var a=.5*this.width;mat4.identity(this.modelMat);mat4.translate(this.modelMat,this.center);mat4.scale(this.modelMat,[a,a,a])};ShipGL.BaseApp=function(a,b){this.canvas=document.getElementById(a);ShipGL.GLResource.call(this,this.createContext(this.canvas,b));this.bufferUtils=new ShipGL.BufferUtilities(this.gl);this.assets=new ShipGL.AssetManager(this.gl);this.heldKeys=[];this._timeDelta=this._previousTime=this._currentTime=0;this._assetsLoaded=!1};ShipGL.BaseApp.prototype=Object.create(ShipGL.GLResource.prototype);
+ShipGL.BaseApp.prototype.run=function(){var a=this;this._assetsLoaded?(this._previousTime=this._currentTime,this._currentTime=(new Date).getTime(),this._timeDelta=this._currentTime-this._previousTime,this.update(this._timeDelta),this.draw(this._timeDelta),requestAnimFrame(function(){a.run()})):this.assets.loadAll(function(b){a._assetsLoaded=!0;a.handleAssetsLoaded(b);a.run()})};ShipGL.BaseApp.prototype.createContext=function(a,b){if(a=WebGLUtils.setupWebGL(a,b))return a;alert("Unable to initialize WebGL. Your browser may not support it.")};
+ShipGL.BaseApp.prototype.initialize=function(){throw"ShipGL.BaseApp.initialize is abstract!";};ShipGL.BaseApp.prototype.handleAssetsLoaded=function(a){0<a.length&&alert("Failed to load "+a.length+" asset(s):\n"+a.map(function(a){return a.url}).join("\n"))};ShipGL.BaseApp.prototype.update=function(a){throw"ShipGL.BaseApp.update is abstract!";};ShipGL.BaseApp.prototype.draw=function(a){throw"ShipGL.BaseApp.draw is abstract!";};
+ShipGL.BaseApp.prototype.handleHeldKeys=function(a){throw"ShipGL.BaseApp.handleHeldKeys is abstract!";};ShipGL.BaseApp.prototype.handleKeyPressed=function(a){this.heldKeys[a]=!0};ShipGL.BaseApp.prototype.handleKeyReleased=function(a){this.heldKeys[a]=!1};
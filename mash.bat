@@ -6,14 +6,28 @@ COPY src\Init.js /B + ^
      src\Math\Math.js /B + ^
      src\Cameras\Camera.js /B + ^
      src\Buffers\Buffer.js /B + ^
+     src\Buffers\InstanceBuffer.js /B + ^
+     src\Buffers\RingBuffer.js /B + ^
+     src\Buffers\VertexLayout.js /B + ^
+     src\Buffers\VertexArray.js /B + ^
      src\Buffers\BufferUtilities.js /B + ^
      src\Shaders\ShaderProgram.js /B + ^
      src\Textures\Texture.js /B + ^
      src\Textures\CubeTexture.js /B + ^
+     src\Textures\EnvironmentMap.js /B + ^
+     src\Files\AssetManager.js /B + ^
      src\Lights\Light.js /B + ^
      src\Lights\PointLight.js /B + ^
      src\Lights\DirectionalLight.js /B + ^
+     src\Materials\Material.js /B + ^
+     src\Materials\PBRMaterial.js /B + ^
+     src\Scene\MeshUtilities.js /B + ^
      src\Scene\Model.js /B + ^
+     src\Scene\RenderQueue.js /B + ^
+     src\Scene\StandardModel.js /B + ^
+     src\Importers\OBJImporter.js /B + ^
+     src\Importers\COLLADAImporter.js /B + ^
+     src\Importers\GLTFImporter.js /B + ^
      src\Scene\SkyBox.js /B + ^
      src\Scene\Floor.js /B + ^
      src\Application\BaseApp.js /B ^
@@ -5,14 +5,28 @@ cat src/Init.js \
     src/Math/Math.js \
     src/Cameras/Camera.js \
     src/Buffers/Buffer.js \
+    src/Buffers/InstanceBuffer.js \
+    src/Buffers/RingBuffer.js \
+    src/Buffers/VertexLayout.js \
+    src/Buffers/VertexArray.js \
     src/Buffers/BufferUtilities.js \
     src/Shaders/ShaderProgram.js \
     src/Textures/Texture.js \
     src/Textures/CubeTexture.js \
+    src/Textures/EnvironmentMap.js \
+    src/Files/AssetManager.js \
     src/Lights/Light.js \
     src/Lights/PointLight.js \
     src/Lights/DirectionalLight.js \
+    src/Materials/Material.js \
+    src/Materials/PBRMaterial.js \
+    src/Scene/MeshUtilities.js \
     src/Scene/Model.js \
+    src/Scene/RenderQueue.js \
+    src/Scene/StandardModel.js \
+    src/Importers/OBJImporter.js \
+    src/Importers/COLLADAImporter.js \
+    src/Importers/GLTFImporter.js \
     src/Scene/SkyBox.js \
     src/Scene/Floor.js \
     src/Application/BaseApp.js \
@@ -11,14 +11,28 @@ java -jar "%CLOSURE_COMPILER_DIR%\compiler.jar" ^
     --js=src\Math\Math.js ^
     --js=src\Cameras\Camera.js ^
     --js=src\Buffers\Buffer.js ^
+    --js=src\Buffers\InstanceBuffer.js ^
+    --js=src\Buffers\RingBuffer.js ^
+    --js=src\Buffers\VertexLayout.js ^
+    --js=src\Buffers\VertexArray.js ^
     --js=src\Buffers\BufferUtilities.js ^
     --js=src\Shaders\ShaderProgram.js ^
     --js=src\Textures\Texture.js ^
     --js=src\Textures\CubeTexture.js ^
+    --js=src\Textures\EnvironmentMap.js ^
+    --js=src\Files\AssetManager.js ^
     --js=src\Lights\Light.js ^
     --js=src\Lights\PointLight.js ^
     --js=src\Lights\DirectionalLight.js ^
+    --js=src\Materials\Material.js ^
+    --js=src\Materials\PBRMaterial.js ^
+    --js=src\Scene\MeshUtilities.js ^
     --js=src\Scene\Model.js ^
+    --js=src\Scene\RenderQueue.js ^
+    --js=src\Scene\StandardModel.js ^
+    --js=src\Importers\OBJImporter.js ^
+    --js=src\Importers\COLLADAImporter.js ^
+    --js=src\Importers\GLTFImporter.js ^
     --js=src\Scene\SkyBox.js ^
     --js=src\Scene\Floor.js ^
     --js=src\Application\BaseApp.js
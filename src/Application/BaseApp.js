@@ -51,6 +51,15 @@ ShipGL.BaseApp = function(canvasId, contextOptions)
      */
     this.bufferUtils = new ShipGL.BufferUtilities(this.gl);
 
+    /**
+     * @memberof ShipGL.BaseApp#
+     * @description An instance of ShipGL.AssetManager. Anything queued on it
+     *              (typically in initialize) is loaded before run starts
+     *              calling update and draw.
+     * @name assets
+     */
+    this.assets = new ShipGL.AssetManager(this.gl);
+
     /**
      * @memberof ShipGL.BaseApp#
      * @description The list of keys that are currently held
@@ -61,6 +70,7 @@ ShipGL.BaseApp = function(canvasId, contextOptions)
     this._currentTime = 0;
     this._previousTime = 0;
     this._timeDelta = 0;
+    this._assetsLoaded = false;
 };
 
 ShipGL.BaseApp.prototype = Object.create(ShipGL.GLResource.prototype);
@@ -68,9 +78,28 @@ ShipGL.BaseApp.prototype = Object.create(ShipGL.GLResource.prototype);
 /**
  * Run the application. This calls update and draw once per frame, sending
  * as a parameter, the time elapsed in milliseconds since the last frame.
+ *
+ * Before the first frame, run loads every asset queued on the assets field,
+ * calls handleAssetsLoaded once and only then starts calling update and
+ * draw. Assets queued after that are not waited on, so call assets.loadAll
+ * yourself if you need them.
  */
 ShipGL.BaseApp.prototype.run = function()
 {
+    var scope = this;
+
+    if (!this._assetsLoaded)
+    {
+        this.assets.loadAll(function(errors)
+        {
+            scope._assetsLoaded = true;
+            scope.handleAssetsLoaded(errors);
+            scope.run();
+        });
+
+        return;
+    }
+
     this._previousTime = this._currentTime;
     this._currentTime = new Date().getTime();
     this._timeDelta = this._currentTime - this._previousTime;
@@ -78,7 +107,6 @@ ShipGL.BaseApp.prototype.run = function()
     this.update(this._timeDelta);
     this.draw(this._timeDelta);
     
-    var scope = this;
     requestAnimFrame(function() { scope.run(); });
 };
 
@@ -110,6 +138,24 @@ ShipGL.BaseApp.prototype.initialize = function()
     throw "ShipGL.BaseApp.initialize is abstract!";
 };
 
+/**
+ * Override this method if you need to do any work once the assets queued
+ * on the assets field have finished loading. It is called once by run right
+ * before the first frame. By default, an alert lists any assets that failed
+ * to load.
+ *
+ * @param {Array} errors The ShipGL.FileLoadError's of the assets that
+ *                       failed to load
+ */
+ShipGL.BaseApp.prototype.handleAssetsLoaded = function(errors)
+{
+    if (errors.length > 0)
+    {
+        alert("Failed to load " + errors.length + " asset(s):\n" +
+              errors.map(function(e) { return e.url; }).join("\n"));
+    }
+};
+
 /**
  * Perform logic updates in this method. update is called once per frame.
  *
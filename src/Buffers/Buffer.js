@@ -75,6 +75,15 @@ ShipGL.Buffer = function(gl, BufferType, ArrayType)
      */
     this.bytesPerElement = this.ArrayType.BYTES_PER_ELEMENT;
 
+    /**
+     * @memberof ShipGL.Buffer#
+     * @description The WebGL type of the buffer's elements (FLOAT,
+     *              UNSIGNED_SHORT, UNSIGNED_INT, etc.). For index buffers,
+     *              pass this to drawElements. Do not modify this!
+     * @name dataType
+     */
+    this.dataType = ShipGL.Buffer.dataTypeOf(gl, ArrayType);
+
     /**
      * @memberof ShipGL.Buffer#
      * @description Number of elements in buffer's underlying array.
@@ -91,6 +100,36 @@ ShipGL.Buffer = function(gl, BufferType, ArrayType)
      * @name byteCount
      */
     this.byteCount = 0;
+
+    /**
+     * @memberof ShipGL.Buffer#
+     * @description The WebGL storage hint the buffer was allocated with
+     *              (STATIC_DRAW, DYNAMIC_DRAW or STREAM_DRAW). Do not modify
+     *              this! See allocate and setDynamic.
+     * @name usage
+     */
+    this.usage = this.gl.STATIC_DRAW;
+
+    /**
+     * @memberof ShipGL.Buffer#
+     * @description Boolean indicating whether the buffer grows to fit
+     *              writes past its end. See setDynamic. Do not modify this!
+     * @name isDynamic
+     */
+    this.isDynamic = false;
+
+    /**
+     * @memberof ShipGL.Buffer#
+     * @description A copy of the buffer's contents in memory (an array of
+     *              ArrayType), or null if the buffer has none. See
+     *              enableShadowCopy. If you modify it directly, call
+     *              markDirty and flush to upload the changes.
+     * @name shadow
+     */
+    this.shadow = null;
+
+    this._isShadowed = false;
+    this._dirtyRanges = [];
 };
 
 /**
@@ -107,6 +146,43 @@ ShipGL.Buffer.unbindAll = function(gl)
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, null);
 };
 
+/**
+ * Look up the WebGL type matching a typed array type.
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {number} ArrayType The typed array type (Float32Array, Uint16Array,
+ *                           etc.)
+ * @return {number} The WebGL type (FLOAT, UNSIGNED_SHORT, etc.)
+ */
+ShipGL.Buffer.dataTypeOf = function(gl, ArrayType)
+{
+    switch (ArrayType)
+    {
+        case Int8Array:    return gl.BYTE;
+        case Uint8Array:   return gl.UNSIGNED_BYTE;
+        case Int16Array:   return gl.SHORT;
+        case Uint16Array:  return gl.UNSIGNED_SHORT;
+        case Int32Array:   return gl.INT;
+        case Uint32Array:  return gl.UNSIGNED_INT;
+        default:           return gl.FLOAT;
+    }
+};
+
+/**
+ * Enable 32-bit index buffers (Uint32Array index buffers drawn with
+ * UNSIGNED_INT) through the OES_element_index_uint extension.
+ *
+ * WebGL 1 only supports 16-bit indices without the extension, which limits
+ * an indexed draw to 65,536 distinct vertices.
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @return {boolean} True if 32-bit index buffers are supported
+ */
+ShipGL.Buffer.enableUint32Indices = function(gl)
+{
+    return !!gl.getExtension("OES_element_index_uint");
+};
+
 ShipGL.Buffer.prototype = Object.create(ShipGL.GLResource.prototype);
 
 /**
@@ -129,6 +205,63 @@ ShipGL.Buffer.prototype.unbind = function()
     this.gl.bindBuffer(this.BufferType, null);
 };
 
+/**
+ * Keep a shadow copy of the buffer's contents in memory, so they can be
+ * read back (WebGL can't read buffers) and uploaded again after the
+ * context is lost. Every write updates the copy. Call this before
+ * allocating the buffer.
+ *
+ * @example
+ * var vbo = new ShipGL.Buffer(gl, gl.ARRAY_BUFFER, Float32Array);
+ * vbo.enableShadowCopy();
+ * vbo.bind();
+ * vbo.allocate(300);
+ * vbo.write(positions);
+ *
+ * // Read it back.
+ * var firstVertex = vbo.slice(0, 3);
+ *
+ * // Change a few values, and upload only those when drawing next.
+ * vbo.update([0.0, 1.0, 0.0], 3);
+ * vbo.shadow[100] = 2.0;
+ * vbo.markDirty(100, 101);
+ * vbo.flush();
+ *
+ * // After the context is restored (see the webglcontextrestored event),
+ * // create the WebGL buffer again.
+ * vbo.restore();
+ *
+ * @this {ShipGL.Buffer}
+ */
+ShipGL.Buffer.prototype.enableShadowCopy = function()
+{
+    this._isShadowed = true;
+
+    if (!this.shadow)
+    {
+        this.shadow = new this.ArrayType(this.length);
+    }
+};
+
+/**
+ * Make the buffer dynamic: writes past its end grow it (to at least twice
+ * its length), preserving its contents. To do so, a dynamic buffer keeps a
+ * shadow copy of its contents (see enableShadowCopy). Call this before
+ * allocating the buffer.
+ *
+ * @this {ShipGL.Buffer}
+ *
+ * @param {number} [usageTip=DYNAMIC_DRAW] The WebGL storage hint.
+ *                                         STREAM_DRAW suits data that is
+ *                                         replaced every frame.
+ */
+ShipGL.Buffer.prototype.setDynamic = function(usageTip)
+{
+    this.isDynamic = true;
+    this.usage = usageTip || this.gl.DYNAMIC_DRAW;
+    this.enableShadowCopy();
+};
+
 /**
  * Allocates a buffer, initializing its contents to 0.
  *
@@ -140,14 +273,90 @@ ShipGL.Buffer.prototype.unbind = function()
  * @this {ShipGL.Buffer}
  *
  * @param {number} length The size of the buffer (in terms of elements)
- * @param {number} [usageTip=STATIC_DRAW] The WebGL storage hint
+ * @param {number} [usageTip=STATIC_DRAW] The WebGL storage hint. Dynamic
+ *                                        buffers default to the hint
+ *                                        passed to setDynamic.
  */
 ShipGL.Buffer.prototype.allocate = function(length, usageTip)
 {
-    usageTip = usageTip || this.gl.STATIC_DRAW;
-    this.length = length;
-    this.byteCount = this.bytesPerElement * this.length;
-    this.gl.bufferData(this.BufferType, this.byteCount, usageTip);
+    this.usage = usageTip || (this.isDynamic ? this.usage : this.gl.STATIC_DRAW);
+    this._resize(length);
+    this.gl.bufferData(this.BufferType, this.byteCount, this.usage);
+};
+
+/**
+ * Grow a dynamic buffer to hold at least length elements, preserving its
+ * contents. Does nothing if the buffer is already big enough.
+ *
+ * Assumes buffer has been bound.
+ *
+ * @this {ShipGL.Buffer}
+ *
+ * @param {number} length The size the buffer should at least have (in
+ *                        terms of elements)
+ */
+ShipGL.Buffer.prototype.reserve = function(length)
+{
+    if (length <= this.length)
+    {
+        return;
+    }
+
+    if (!this.isDynamic)
+    {
+        throw new Error("ShipGL.Buffer.reserve: only dynamic buffers can grow! " +
+                        "See setDynamic.");
+    }
+
+    var oldShadow = this.shadow;
+
+    this._resize(length);
+    this.shadow.set(oldShadow);
+    this.gl.bufferData(this.BufferType, this.shadow, this.usage);
+};
+
+/**
+ * Orphan the buffer's storage: the buffer gets fresh storage of the same
+ * size, initialized to 0, while draws that are still reading the old
+ * storage finish undisturbed. This avoids stalling on buffers rewritten
+ * every frame. See replace.
+ *
+ * Assumes buffer has been allocated and bound.
+ *
+ * @this {ShipGL.Buffer}
+ */
+ShipGL.Buffer.prototype.orphan = function()
+{
+    this._resize(this.length);
+    this.gl.bufferData(this.BufferType, this.byteCount, this.usage);
+};
+
+/**
+ * Replace the buffer's contents with array, orphaning the old storage
+ * first. Meant for per-frame updates of dynamic buffers, which grow to fit
+ * array if needed. Elements past the end of array are set to 0.
+ *
+ * Assumes buffer has been allocated and bound.
+ *
+ * @this {ShipGL.Buffer}
+ *
+ * @param {Array} array The new contents
+ */
+ShipGL.Buffer.prototype.replace = function(array)
+{
+    if (array.length > this.length)
+    {
+        if (!this.isDynamic)
+        {
+            throw new Error("ShipGL.Buffer.replace: array doesn't fit, and only " +
+                            "dynamic buffers can grow! See setDynamic.");
+        }
+
+        this._resize(Math.max(array.length, 2 * this.length));
+    }
+
+    this.orphan();
+    this.write(array);
 };
 
 /** Writes contents of array into the buffer, starting at index.
@@ -158,7 +367,8 @@ ShipGL.Buffer.prototype.allocate = function(length, usageTip)
  * if you had a buffer storing [1, 2, 3], and you wanted to write [4, 5] into
  * the last two slots, you would specify array as [4, 5] and the index as 1.
  *
- * Assumes buffer has been allocated and bound.
+ * Assumes buffer has been allocated and bound. Writing past the end of a
+ * dynamic buffer grows it first (see setDynamic).
  *
  * @example
  * // Assume gl is a valid WebGL context.
@@ -184,15 +394,29 @@ ShipGL.Buffer.prototype.allocate = function(length, usageTip)
  *
  * @this {ShipGL.Buffer}
  *
- * @param {Array} array The array to be written into the buffer
+ * @param {Array} array The array to be written into the buffer. Prefer
+ *                     passing a typed array of the buffer's ArrayType,
+ *                     which is written without being copied first.
  * @param {number} [index=0] The starting point of the write
  */
 ShipGL.Buffer.prototype.write = function(array, index)
 {
     index = index || 0;
+
+    if (this.isDynamic && index + array.length > this.length)
+    {
+        this.reserve(Math.max(index + array.length, 2 * this.length));
+    }
+
+    if (this.shadow)
+    {
+        this.shadow.set(array, index);
+    }
+
+    // Typed arrays of the right type are uploaded without a copy.
     this.gl.bufferSubData(this.BufferType,
                           index * this.bytesPerElement,
-                          new this.ArrayType(array));
+                          array instanceof this.ArrayType ? array : new this.ArrayType(array));
 };
 
 /**
@@ -206,4 +430,171 @@ ShipGL.Buffer.prototype.write = function(array, index)
 ShipGL.Buffer.prototype.deallocate = function()
 {
     this.gl.deleteBuffer(this.rawBuffer);
+    this.shadow = null;
+    this._dirtyRanges = [];
+};
+
+/**
+ * Get one element of the buffer from its shadow copy.
+ *
+ * @this {ShipGL.Buffer}
+ *
+ * @param {number} index The index of the element
+ * @return {number} The element
+ */
+ShipGL.Buffer.prototype.get = function(index)
+{
+    return this._checkShadow("get")[index];
+};
+
+/**
+ * Copy elements of the buffer out of its shadow copy.
+ *
+ * @this {ShipGL.Buffer}
+ *
+ * @param {number} [begin=0] The index of the first element
+ * @param {number} [end=length] The index after the last element
+ * @return {Array} A new array of ArrayType holding the elements
+ */
+ShipGL.Buffer.prototype.slice = function(begin, end)
+{
+    var shadow = this._checkShadow("slice");
+
+    begin = begin || 0;
+    end = end === undefined ? this.length : end;
+
+    return new this.ArrayType(shadow.subarray(begin, end));
+};
+
+/**
+ * Write an array into the shadow copy only, starting at index, and mark
+ * the range dirty. The changes are uploaded by flush, so several updates
+ * can share one upload. Like write, dynamic buffers grow to fit.
+ *
+ * @this {ShipGL.Buffer}
+ *
+ * @param {Array} array The array to be written
+ * @param {number} [index=0] The starting point of the write
+ */
+ShipGL.Buffer.prototype.update = function(array, index)
+{
+    index = index || 0;
+
+    if (this.isDynamic && index + array.length > this.length)
+    {
+        this.reserve(Math.max(index + array.length, 2 * this.length));
+    }
+
+    this._checkShadow("update").set(array, index);
+    this.markDirty(index, index + array.length);
+};
+
+/**
+ * Mark a range of the shadow copy as modified, to be uploaded by flush.
+ * Overlapping and adjacent ranges are merged.
+ *
+ * @this {ShipGL.Buffer}
+ *
+ * @param {number} begin The index of the first modified element
+ * @param {number} end The index after the last modified element
+ */
+ShipGL.Buffer.prototype.markDirty = function(begin, end)
+{
+    var ranges = this._dirtyRanges;
+    var merged = [], i = 0;
+
+    while (i < ranges.length && ranges[i].end < begin)
+    {
+        merged.push(ranges[i++]);
+    }
+
+    while (i < ranges.length && ranges[i].begin <= end)
+    {
+        begin = Math.min(begin, ranges[i].begin);
+        end = Math.max(end, ranges[i].end);
+        i++;
+    }
+
+    merged.push({ begin: begin, end: end });
+    this._dirtyRanges = merged.concat(ranges.slice(i));
+};
+
+/**
+ * Check whether the shadow copy has changes that flush has yet to upload.
+ *
+ * @this {ShipGL.Buffer}
+ *
+ * @return {boolean} Whether or not any range is dirty
+ */
+ShipGL.Buffer.prototype.isDirty = function()
+{
+    return this._dirtyRanges.length > 0;
+};
+
+/**
+ * Upload the dirty ranges of the shadow copy.
+ *
+ * Assumes buffer has been allocated and bound.
+ *
+ * @this {ShipGL.Buffer}
+ */
+ShipGL.Buffer.prototype.flush = function()
+{
+    var shadow = this._checkShadow("flush");
+
+    var i, range;
+    for (i = 0; i < this._dirtyRanges.length; i++)
+    {
+        range = this._dirtyRanges[i];
+        this.gl.bufferSubData(this.BufferType, range.begin * this.bytesPerElement,
+                              shadow.subarray(range.begin, range.end));
+    }
+
+    this._dirtyRanges = [];
+};
+
+/**
+ * Create the raw WebGL buffer again and upload the shadow copy into it.
+ * Use this after the WebGL context was lost and restored, which destroys
+ * every buffer. Vertex arrays referring to the buffer must be set up
+ * again too.
+ *
+ * @this {ShipGL.Buffer}
+ */
+ShipGL.Buffer.prototype.restore = function()
+{
+    var shadow = this._checkShadow("restore");
+
+    this.rawBuffer = this.gl.createBuffer();
+
+    this.bind();
+    this.gl.bufferData(this.BufferType, shadow, this.usage);
+    this.unbind();
+
+    this._dirtyRanges = [];
+};
+
+// Sets the buffer's length, resetting the shadow copy to match the fresh
+// storage that follows.
+ShipGL.Buffer.prototype._resize = function(length)
+{
+    this.length = length;
+    this.byteCount = this.bytesPerElement * this.length;
+
+    if (this._isShadowed)
+    {
+        this.shadow = new this.ArrayType(this.length);
+        this._dirtyRanges = [];
+    }
+};
+
+ShipGL.Buffer.prototype._checkShadow = function(methodName)
+{
+    if (!this.shadow)
+    {
+        throw new Error("ShipGL.Buffer." + methodName + ": the buffer has no " +
+                        "shadow copy! See enableShadowCopy.");
+    }
+
+    return this.shadow;
 };
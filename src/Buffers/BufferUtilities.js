@@ -27,7 +27,10 @@
  *
  * @class ShipGL.BufferUtilities
  * @classdesc A ShipGL.BufferUtilities object provides a means to create
- *            and initialize a ShipGL.Buffer object in a single line.
+ *            and initialize a ShipGL.Buffer object in a single line. It
+ *            also generates common shapes (cubes, planes, spheres,
+ *            cylinders, cones, tori and capsules) as JSON meshes, ready to
+ *            upload or to wrap as a ShipGL.Model.
  * @augments ShipGL.GLResource
  *
  * @param {WebGLRenderingContext} gl The rendering context
@@ -91,6 +94,36 @@ ShipGL.BufferUtilities = function(gl)
      * var anotherIndexBuffer = bufferUtils.createIndexBuffer(indices, 9);
      */
     this.createIndexBuffer = this.makeBufferCreator(this.gl.ELEMENT_ARRAY_BUFFER, Uint16Array);
+
+    /**
+     * @memberof ShipGL.BufferUtilities#
+     * @description Boolean indicating whether 32-bit index buffers are
+     *              supported (OES_element_index_uint is enabled).
+     * @name hasUint32Indices
+     */
+    this.hasUint32Indices = ShipGL.Buffer.enableUint32Indices(this.gl);
+
+    /**
+     * @memberof ShipGL.BufferUtilities#
+     * @description Function that creates and initializes a 32-bit
+     *              ShipGL.Buffer index buffer, for meshes with more than
+     *              65,536 vertices. Works just like createIndexBuffer, but
+     *              only use it if hasUint32Indices is true. Draw with the
+     *              buffer's dataType (UNSIGNED_INT).
+     * @name createIndexBuffer32
+     * @see ShipGL.Buffer
+     * @example
+     * // Assume bufferUtils is a ShipGL.BufferUtilities instance and indices
+     * // references vertices past index 65,535.
+     * if (bufferUtils.hasUint32Indices)
+     * {
+     *     var ibo = bufferUtils.createIndexBuffer32(indices);
+     *
+     *     ibo.bind();
+     *     gl.drawElements(gl.TRIANGLES, ibo.length, ibo.dataType, 0);
+     * }
+     */
+    this.createIndexBuffer32 = this.makeBufferCreator(this.gl.ELEMENT_ARRAY_BUFFER, Uint32Array);
 };
 
 ShipGL.BufferUtilities.prototype = Object.create(ShipGL.GLResource.prototype);
@@ -108,14 +141,22 @@ ShipGL.BufferUtilities.prototype = Object.create(ShipGL.GLResource.prototype);
  *                           Uint16Array, etc.)
  *
  * @return A tailor-made function that can create and initialize ShipGL.Buffer's.
+ *         It takes the array, an optional length and an optional boolean
+ *         for whether the buffer keeps a shadow copy of its contents (see
+ *         ShipGL.Buffer's enableShadowCopy).
  */
 ShipGL.BufferUtilities.prototype.makeBufferCreator = function(BufferType, ArrayType)
 {
-    return function(array, length)
+    return function(array, length, shadowed)
     {
         length = length || array.length;
         var buffer = new ShipGL.Buffer(this.gl, BufferType, ArrayType);
 
+        if (shadowed)
+        {
+            buffer.enableShadowCopy();
+        }
+
         buffer.bind();
         buffer.allocate(length);
         buffer.write(array);
@@ -124,3 +165,757 @@ ShipGL.BufferUtilities.prototype.makeBufferCreator = function(BufferType, ArrayT
         return buffer;
     };
 };
+
+/**
+ * Creates a dynamic ShipGL.Buffer vertex buffer, which grows (preserving
+ * its contents) whenever data is written past its end.
+ *
+ * @see ShipGL.Buffer#setDynamic
+ *
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {number} [length=0] The initial size of the buffer (in terms of
+ *                            elements)
+ * @param {number} [usageTip=DYNAMIC_DRAW] The WebGL storage hint
+ * @param {function} [ArrayType=Float32Array] The buffer's underlying array
+ *                                            type
+ * @return {ShipGL.Buffer} The new buffer, initialized to 0
+ * @example
+ * // Collect debug lines as they come, without knowing how many there are.
+ * var lines = bufferUtils.createDynamicVertexBuffer(0, gl.STREAM_DRAW);
+ *
+ * lines.bind();
+ * lines.replace(linePositions);
+ * gl.drawArrays(gl.LINES, 0, linePositions.length / 3);
+ */
+ShipGL.BufferUtilities.prototype.createDynamicVertexBuffer = function(length, usageTip, ArrayType)
+{
+    var buffer = new ShipGL.Buffer(this.gl, this.gl.ARRAY_BUFFER, ArrayType || Float32Array);
+
+    buffer.setDynamic(usageTip);
+    buffer.bind();
+    buffer.allocate(length || 0);
+    buffer.unbind();
+
+    return buffer;
+};
+
+/**
+ * Creates the vertex buffer, index buffer and vertex layout of a JSON mesh
+ * made by one of the generate functions (or any JSON mesh with normals,
+ * one set of texture coordinates, tangents, bitangents and indices). The
+ * vertices are interleaved as aPosition, aNormal, aTexCoord, aTangent and
+ * aBitangent.
+ *
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {object} mesh The JSON mesh
+ * @return {object} An object with vbo, ibo (both ShipGL.Buffer's) and
+ *                  vertexLayout (a ShipGL.VertexLayout). The ibo holds
+ *                  32-bit indices if the mesh has more than 65,536
+ *                  vertices.
+ */
+ShipGL.BufferUtilities.prototype.createMeshBuffers = function(mesh)
+{
+    var layout = new ShipGL.VertexLayout(this.gl);
+    layout.addAttribute("aPosition", 3);
+    layout.addAttribute("aNormal", 3);
+    layout.addAttribute("aTexCoord", 2);
+    layout.addAttribute("aTangent", 3);
+    layout.addAttribute("aBitangent", 3);
+
+    var vertexCount = mesh.vertexPositions.length / 3;
+    var vbo = layout.createBuffer({ aPosition: mesh.vertexPositions,
+                                    aNormal: mesh.vertexNormals,
+                                    aTexCoord: mesh.vertexTexCoordinates[0],
+                                    aTangent: mesh.vertexTangents,
+                                    aBitangent: mesh.vertexBitangents }, vertexCount);
+
+    var ibo;
+    if (vertexCount <= ShipGL.Model.MAX_UINT16_VERTICES)
+    {
+        ibo = this.createIndexBuffer(mesh.indices);
+    }
+    else if (this.hasUint32Indices)
+    {
+        ibo = this.createIndexBuffer32(mesh.indices);
+    }
+    else
+    {
+        throw new Error("ShipGL.BufferUtilities.createMeshBuffers: the mesh has " +
+                        vertexCount + " vertices, which needs 32-bit indices, but " +
+                        "OES_element_index_uint is not available!");
+    }
+
+    return { vbo: vbo, ibo: ibo, vertexLayout: layout };
+};
+
+/**
+ * Wraps JSON meshes in JSON model data, with a single material and a root
+ * node holding every mesh, ready to be passed to a ShipGL.Model
+ * constructor.
+ *
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {object|Array} meshes A JSON mesh or an array of them. Their
+ *                              materialIndex is set to 0.
+ * @param {object} [material] The JSON material. Defaults to a plain light
+ *                            gray material.
+ * @return {object} The JSON model data
+ */
+ShipGL.BufferUtilities.prototype.createModelJSON = function(meshes, material)
+{
+    meshes = meshes instanceof Array ? meshes : [meshes];
+
+    material = material || { diffuseTexture: [],
+                             diffuseReflectance: [0.8, 0.8, 0.8, 1],
+                             ambientReflectance: [0, 0, 0, 1],
+                             specularReflectance: [0, 0, 0, 1],
+                             shininess: 0,
+                             emissionColor: [0, 0, 0, 1]
+    };
+
+    var rootNode = { modelMatrix: [1, 0, 0, 0,
+                                   0, 1, 0, 0,
+                                   0, 0, 1, 0,
+                                   0, 0, 0, 1],
+                     meshIndices: []
+    };
+
+    var i;
+    for (i = 0; i < meshes.length; i++)
+    {
+        meshes[i].materialIndex = 0;
+        rootNode.meshIndices.push(i);
+    }
+
+    return { name: "noname", materials: [material], meshes: meshes, nodes: [rootNode] };
+};
+
+/**
+ * Generates an axis-aligned cube centered at the origin. Every face has its
+ * own vertices, with texture coordinates covering the whole texture.
+ *
+ * Like every generate function, this returns a JSON mesh, just like the
+ * ones in a ShipGL.Model's json.meshes, with vertexPositions,
+ * vertexNormals, one set of vertexTexCoordinates, vertexTangents,
+ * vertexBitangents and indices. Front faces wind counter-clockwise, and
+ * +Y is up.
+ *
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {number} [size=1] The length of the cube's edges
+ * @param {number} [segments=1] The number of rows and columns of quads
+ *                              each face is divided into
+ * @return {object} The JSON mesh
+ * @example
+ * // Assume bufferUtils is a ShipGL.BufferUtilities instance.
+ * var cube = bufferUtils.generateCube(2);
+ *
+ * // Upload it directly...
+ * var buffers = bufferUtils.createMeshBuffers(cube);
+ *
+ * program.bind();
+ * buffers.vbo.bind();
+ * buffers.ibo.bind();
+ * buffers.vertexLayout.bind(program);
+ * gl.drawElements(gl.TRIANGLES, buffers.ibo.length, buffers.ibo.dataType, 0);
+ *
+ * // ...or wrap it as a model.
+ * var model = new ShipGL.StandardModel(gl, "cube",
+ *                                      bufferUtils.createModelJSON(cube));
+ * model.initialize();
+ */
+ShipGL.BufferUtilities.prototype.generateCube = function(size, segments)
+{
+    var h = (size === undefined ? 1 : size) / 2;
+    var geometry = this._createGeometry();
+
+    // Each face's normal, and its u and v axes, where u x v = normal so
+    // the face winds counter-clockwise seen from outside.
+    var faces = [
+        [[ 1, 0, 0], [ 0, 0, -1], [0, 1,  0]],
+        [[-1, 0, 0], [ 0, 0,  1], [0, 1,  0]],
+        [[ 0, 1, 0], [ 1, 0,  0], [0, 0, -1]],
+        [[ 0, -1, 0], [ 1, 0,  0], [0, 0,  1]],
+        [[ 0, 0, 1], [ 1, 0,  0], [0, 1,  0]],
+        [[ 0, 0, -1], [-1, 0,  0], [0, 1,  0]]
+    ];
+
+    var i, n, u, v;
+    for (i = 0; i < faces.length; i++)
+    {
+        n = faces[i][0];
+        u = faces[i][1];
+        v = faces[i][2];
+
+        this._addPatch(geometry, [n[0] * h, n[1] * h, n[2] * h],
+                       [u[0] * h, u[1] * h, u[2] * h], [v[0] * h, v[1] * h, v[2] * h],
+                       n, segments || 1, segments || 1);
+    }
+
+    return this._createMesh(geometry);
+};
+
+/**
+ * Generates a plane in the XZ plane, centered at the origin and facing +Y.
+ * Texture coordinates run along +X (u) and -Z (v).
+ *
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {number} [width=1] The plane's size along X
+ * @param {number} [depth=1] The plane's size along Z
+ * @param {number} [widthSegments=1] The number of quads along X
+ * @param {number} [depthSegments=1] The number of quads along Z
+ * @return {object} The JSON mesh (see generateCube)
+ */
+ShipGL.BufferUtilities.prototype.generatePlane = function(width, depth, widthSegments,
+                                                          depthSegments)
+{
+    width = width === undefined ? 1 : width;
+    depth = depth === undefined ? 1 : depth;
+
+    var geometry = this._createGeometry();
+
+    this._addPatch(geometry, [0, 0, 0], [width / 2, 0, 0], [0, 0, -depth / 2], [0, 1, 0],
+                   widthSegments || 1, depthSegments || 1);
+
+    return this._createMesh(geometry);
+};
+
+/**
+ * Generates a sphere centered at the origin out of rings of latitude and
+ * longitude. Texture coordinates are an equirectangular mapping: u goes
+ * around the Y axis, starting at +Z, and v goes from the bottom pole (0)
+ * to the top one (1).
+ *
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {number} [radius=0.5] The sphere's radius
+ * @param {number} [widthSegments=32] The number of segments around the
+ *                                    sphere
+ * @param {number} [heightSegments=16] The number of segments from pole to
+ *                                     pole
+ * @return {object} The JSON mesh (see generateCube)
+ */
+ShipGL.BufferUtilities.prototype.generateUVSphere = function(radius, widthSegments,
+                                                             heightSegments)
+{
+    radius = radius === undefined ? 0.5 : radius;
+    heightSegments = heightSegments || 16;
+
+    var geometry = this._createGeometry();
+    var profile = [];
+
+    var i, phi, sinPhi;
+    for (i = 0; i <= heightSegments; i++)
+    {
+        phi = Math.PI * i / heightSegments;
+        sinPhi = i == 0 || i == heightSegments ? 0 : Math.sin(phi);
+
+        profile.push({ radius: radius * sinPhi, y: radius * Math.cos(phi),
+                       normalRadial: sinPhi, normalY: Math.cos(phi),
+                       v: 1 - i / heightSegments });
+    }
+
+    this._addLathe(geometry, profile, widthSegments || 32);
+
+    return this._createMesh(geometry);
+};
+
+/**
+ * Generates a sphere centered at the origin by subdividing an icosahedron,
+ * which spreads its vertices far more evenly than generateUVSphere.
+ * Texture coordinates use the same equirectangular mapping, with vertices
+ * duplicated along the seam and at the poles. Along the seam, u goes a bit
+ * past 1, so use a repeating texture wrap mode.
+ *
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {number} [radius=0.5] The sphere's radius
+ * @param {number} [subdivisions=2] The number of times each triangle is
+ *                                  split into four. Each subdivision
+ *                                  quadruples the triangle count, starting
+ *                                  from 20.
+ * @return {object} The JSON mesh (see generateCube)
+ */
+ShipGL.BufferUtilities.prototype.generateIcosphere = function(radius, subdivisions)
+{
+    radius = radius === undefined ? 0.5 : radius;
+    subdivisions = subdivisions === undefined ? 2 : subdivisions;
+
+    var t = (1 + Math.sqrt(5)) / 2;
+    var points = [
+        [-1,  t,  0], [ 1,  t,  0], [-1, -t,  0], [ 1, -t,  0],
+        [ 0, -1,  t], [ 0,  1,  t], [ 0, -1, -t], [ 0,  1, -t],
+        [ t,  0, -1], [ t,  0,  1], [-t,  0, -1], [-t,  0,  1]
+    ];
+
+    var triangles = [
+        0, 11, 5,   0, 5, 1,    0, 1, 7,    0, 7, 10,   0, 10, 11,
+        1, 5, 9,    5, 11, 4,   11, 10, 2,  10, 7, 6,   7, 1, 8,
+        3, 9, 4,    3, 4, 2,    3, 2, 6,    3, 6, 8,    3, 8, 9,
+        4, 9, 5,    2, 4, 11,   6, 2, 10,   8, 6, 7,    9, 8, 1
+    ];
+
+    var i, j, midpoints, subdivided, a, b, c, ab, bc, ca;
+
+    function midpoint(i0, i1)
+    {
+        var key = Math.min(i0, i1) + "_" + Math.max(i0, i1);
+
+        if (midpoints[key] === undefined)
+        {
+            midpoints[key] = points.length;
+            points.push([(points[i0][0] + points[i1][0]) / 2,
+                         (points[i0][1] + points[i1][1]) / 2,
+                         (points[i0][2] + points[i1][2]) / 2]);
+        }
+
+        return midpoints[key];
+    };
+
+    for (i = 0; i < subdivisions; i++)
+    {
+        midpoints = {};
+        subdivided = [];
+
+        for (j = 0; j < triangles.length; j += 3)
+        {
+            a = triangles[j];
+            b = triangles[j + 1];
+            c = triangles[j + 2];
+            ab = midpoint(a, b);
+            bc = midpoint(b, c);
+            ca = midpoint(c, a);
+
+            subdivided.push(a, ab, ca,   b, bc, ab,   c, ca, bc,   ab, bc, ca);
+        }
+
+        triangles = subdivided;
+    }
+
+    for (i = 0; i < points.length; i++)
+    {
+        vec3.normalize(points[i]);
+    }
+
+    // Each triangle gets its own texture coordinates, so the ones crossing
+    // the seam (u wrapping from 1 to 0) and touching a pole (where u is
+    // arbitrary) can be fixed up. Vertices with the same position and
+    // texture coordinates are then shared again.
+    var geometry = this._createGeometry();
+    var vertexIndices = {};
+    var u = [], v = [], isPole = [], corner = [], p, key, minU, maxU;
+
+    for (i = 0; i < triangles.length; i += 3)
+    {
+        minU = 1;
+        maxU = 0;
+
+        for (j = 0; j < 3; j++)
+        {
+            p = points[triangles[i + j]];
+            u[j] = Math.atan2(p[0], p[2]) / (2 * Math.PI);
+            u[j] += u[j] < 0 ? 1 : 0;
+            v[j] = 0.5 + Math.asin(Math.max(-1, Math.min(1, p[1]))) / Math.PI;
+            isPole[j] = Math.abs(p[1]) > 1 - 1e-9;
+
+            if (!isPole[j])
+            {
+                minU = Math.min(minU, u[j]);
+                maxU = Math.max(maxU, u[j]);
+            }
+        }
+
+        for (j = 0; j < 3; j++)
+        {
+            if (maxU - minU > 0.5 && u[j] < 0.5)
+            {
+                u[j] += 1;
+            }
+        }
+
+        for (j = 0; j < 3; j++)
+        {
+            if (isPole[j])
+            {
+                u[j] = (u[(j + 1) % 3] + u[(j + 2) % 3]) / 2;
+            }
+        }
+
+        for (j = 0; j < 3; j++)
+        {
+            key = triangles[i + j] + "_" + u[j];
+
+            if (vertexIndices[key] === undefined)
+            {
+                p = points[triangles[i + j]];
+                vertexIndices[key] = geometry.positions.length / 3;
+                geometry.positions.push(radius * p[0], radius * p[1], radius * p[2]);
+                geometry.normals.push(p[0], p[1], p[2]);
+                geometry.texCoords.push(u[j], v[j]);
+            }
+
+            corner[j] = vertexIndices[key];
+        }
+
+        geometry.indices.push(corner[0], corner[1], corner[2]);
+    }
+
+    return this._createMesh(geometry);
+};
+
+/**
+ * Generates a cylinder centered at the origin, standing along the Y axis.
+ * The radii of its top and bottom may differ, making it a truncated cone.
+ * The side's texture coordinates wrap around it like generateUVSphere's,
+ * and each cap is mapped to a disc inscribed in the texture.
+ *
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {number} [radiusTop=0.5] The radius of the top
+ * @param {number} [radiusBottom=0.5] The radius of the bottom
+ * @param {number} [height=1] The height along Y
+ * @param {number} [radialSegments=32] The number of segments around the
+ *                                     cylinder
+ * @param {number} [heightSegments=1] The number of rows of quads the side
+ *                                    is divided into
+ * @param {boolean} [capped=true] Whether to close the top and bottom.
+ *                                Caps with a radius of 0 are left out.
+ * @return {object} The JSON mesh (see generateCube)
+ */
+ShipGL.BufferUtilities.prototype.generateCylinder = function(radiusTop, radiusBottom, height,
+                                                             radialSegments, heightSegments,
+                                                             capped)
+{
+    radiusTop = radiusTop === undefined ? 0.5 : radiusTop;
+    radiusBottom = radiusBottom === undefined ? 0.5 : radiusBottom;
+    height = height === undefined ? 1 : height;
+    radialSegments = radialSegments || 32;
+    heightSegments = heightSegments || 1;
+
+    var geometry = this._createGeometry();
+    var profile = [];
+
+    // The side's normals lean up or down by the slope of the side.
+    var slopeLength = Math.sqrt(height * height +
+                                (radiusBottom - radiusTop) * (radiusBottom - radiusTop));
+    var normalRadial = height / slopeLength;
+    var normalY = (radiusBottom - radiusTop) / slopeLength;
+
+    var i, s;
+    for (i = 0; i <= heightSegments; i++)
+    {
+        s = i / heightSegments;
+
+        profile.push({ radius: radiusTop + (radiusBottom - radiusTop) * s,
+                       y: height / 2 - height * s,
+                       normalRadial: normalRadial, normalY: normalY, v: 1 - s });
+    }
+
+    this._addLathe(geometry, profile, radialSegments);
+
+    if (capped !== false)
+    {
+        if (radiusTop > 0)
+        {
+            this._addCap(geometry, radiusTop, height / 2, 1, radialSegments);
+        }
+
+        if (radiusBottom > 0)
+        {
+            this._addCap(geometry, radiusBottom, -height / 2, -1, radialSegments);
+        }
+    }
+
+    return this._createMesh(geometry);
+};
+
+/**
+ * Generates a cone centered at the origin, pointing up the Y axis. This is
+ * a generateCylinder with a top radius of 0.
+ *
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {number} [radius=0.5] The radius of the base
+ * @param {number} [height=1] The height along Y
+ * @param {number} [radialSegments=32] The number of segments around the
+ *                                     cone
+ * @param {number} [heightSegments=1] The number of rows the side is
+ *                                    divided into
+ * @param {boolean} [capped=true] Whether to close the base
+ * @return {object} The JSON mesh (see generateCube)
+ */
+ShipGL.BufferUtilities.prototype.generateCone = function(radius, height, radialSegments,
+                                                         heightSegments, capped)
+{
+    return this.generateCylinder(0, radius === undefined ? 0.5 : radius, height,
+                                 radialSegments, heightSegments, capped);
+};
+
+/**
+ * Generates a torus centered at the origin, lying in the XZ plane. The
+ * texture's u runs around the ring and its v around the tube.
+ *
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {number} [radius=0.35] The distance from the center to the
+ *                               middle of the tube
+ * @param {number} [tubeRadius=0.15] The radius of the tube
+ * @param {number} [radialSegments=32] The number of segments around the
+ *                                     ring
+ * @param {number} [tubularSegments=16] The number of segments around the
+ *                                      tube
+ * @return {object} The JSON mesh (see generateCube)
+ */
+ShipGL.BufferUtilities.prototype.generateTorus = function(radius, tubeRadius, radialSegments,
+                                                          tubularSegments)
+{
+    radius = radius === undefined ? 0.35 : radius;
+    tubeRadius = tubeRadius === undefined ? 0.15 : tubeRadius;
+    radialSegments = radialSegments || 32;
+    tubularSegments = tubularSegments || 16;
+
+    var geometry = this._createGeometry();
+
+    var i, j, theta, phi, nx, ny, nz;
+    for (j = 0; j <= tubularSegments; j++)
+    {
+        // Around the tube, starting at its outer edge.
+        phi = 2 * Math.PI * j / tubularSegments;
+
+        for (i = 0; i <= radialSegments; i++)
+        {
+            // Around the ring, starting at +Z.
+            theta = 2 * Math.PI * i / radialSegments;
+
+            nx = Math.cos(phi) * Math.sin(theta);
+            ny = Math.sin(phi);
+            nz = Math.cos(phi) * Math.cos(theta);
+
+            geometry.positions.push(radius * Math.sin(theta) + tubeRadius * nx,
+                                    tubeRadius * ny,
+                                    radius * Math.cos(theta) + tubeRadius * nz);
+            geometry.normals.push(nx, ny, nz);
+            geometry.texCoords.push(i / radialSegments, j / tubularSegments);
+        }
+    }
+
+    this._addGridIndices(geometry, 0, radialSegments, tubularSegments);
+
+    return this._createMesh(geometry);
+};
+
+/**
+ * Generates a capsule centered at the origin, standing along the Y axis: a
+ * cylinder with a hemisphere on each end. The texture coordinates wrap
+ * around it like generateUVSphere's, with v spread evenly along its
+ * outline.
+ *
+ * @this {ShipGL.BufferUtilities}
+ *
+ * @param {number} [radius=0.25] The radius of the cylinder and hemispheres
+ * @param {number} [height=1] The total height along Y, including the
+ *                            hemispheres. At least 2 * radius.
+ * @param {number} [radialSegments=32] The number of segments around the
+ *                                     capsule
+ * @param {number} [capSegments=8] The number of rings in each hemisphere
+ * @return {object} The JSON mesh (see generateCube)
+ */
+ShipGL.BufferUtilities.prototype.generateCapsule = function(radius, height, radialSegments,
+                                                            capSegments)
+{
+    radius = radius === undefined ? 0.25 : radius;
+    height = height === undefined ? 1 : height;
+    capSegments = capSegments || 8;
+
+    var geometry = this._createGeometry();
+    var halfCylinder = Math.max(0, height / 2 - radius);
+    var outlineLength = Math.PI * radius + 2 * halfCylinder;
+    var profile = [];
+
+    var i, phi, sinPhi, isTop, arcLength;
+    for (i = 0; i <= 2 * capSegments + 1; i++)
+    {
+        // The top hemisphere's rings, then the bottom one's, starting at
+        // the equator. The two equators enclose the cylinder.
+        isTop = i <= capSegments;
+
+        // Without a cylinder, the hemispheres share their equator.
+        if (i == capSegments + 1 && halfCylinder == 0)
+        {
+            continue;
+        }
+
+        phi = Math.PI / 2 * (isTop ? i : i - 1) / capSegments;
+        sinPhi = i == 0 || i == 2 * capSegments + 1 ? 0 : Math.sin(phi);
+        arcLength = radius * phi + (isTop ? 0 : 2 * halfCylinder);
+
+        profile.push({ radius: radius * sinPhi,
+                       y: radius * Math.cos(phi) + (isTop ? halfCylinder : -halfCylinder),
+                       normalRadial: sinPhi, normalY: Math.cos(phi),
+                       v: 1 - arcLength / outlineLength });
+    }
+
+    this._addLathe(geometry, profile, radialSegments || 32);
+
+    return this._createMesh(geometry);
+};
+
+// Geometry is collected in plain arrays, and turned into a JSON mesh by
+// _createMesh.
+ShipGL.BufferUtilities.prototype._createGeometry = function()
+{
+    return { positions: [], normals: [], texCoords: [], indices: [] };
+};
+
+ShipGL.BufferUtilities.prototype._createMesh = function(geometry)
+{
+    var mesh = { vertexPositions: geometry.positions,
+                 vertexNormals: geometry.normals,
+                 vertexTexCoordinates: [geometry.texCoords],
+                 indices: geometry.indices,
+                 materialIndex: 0 };
+
+    return ShipGL.MeshUtilities.generateTangents(mesh);
+};
+
+// Adds indices for a grid of quads. Its (columns + 1) x (rows + 1)
+// vertices start at firstVertex, row by row. Quads wind counter-clockwise
+// seen from where the row direction crossed with the column direction
+// points.
+ShipGL.BufferUtilities.prototype._addGridIndices = function(geometry, firstVertex, columns,
+                                                            rows)
+{
+    var row, column, a, b, c, d;
+    for (row = 0; row < rows; row++)
+    {
+        for (column = 0; column < columns; column++)
+        {
+            a = firstVertex + row * (columns + 1) + column;
+            b = a + 1;
+            c = a + columns + 1;
+            d = c + 1;
+
+            geometry.indices.push(a, b, d,   a, d, c);
+        }
+    }
+};
+
+// Adds a flat grid spanning center - uAxis - vAxis to center + uAxis +
+// vAxis, with texture coordinates from (0, 0) to (1, 1). uAxis x vAxis
+// must point along normal for the grid to face it.
+ShipGL.BufferUtilities.prototype._addPatch = function(geometry, center, uAxis, vAxis, normal,
+                                                      uSegments, vSegments)
+{
+    var firstVertex = geometry.positions.length / 3;
+
+    var i, j, k, s, t;
+    for (j = 0; j <= vSegments; j++)
+    {
+        t = j / vSegments;
+
+        for (i = 0; i <= uSegments; i++)
+        {
+            s = i / uSegments;
+
+            for (k = 0; k < 3; k++)
+            {
+                geometry.positions.push(center[k] + (2 * s - 1) * uAxis[k] +
+                                        (2 * t - 1) * vAxis[k]);
+            }
+
+            geometry.normals.push(normal[0], normal[1], normal[2]);
+            geometry.texCoords.push(s, t);
+        }
+    }
+
+    this._addGridIndices(geometry, firstVertex, uSegments, vSegments);
+};
+
+// Sweeps an outline around the Y axis, starting at +Z. The outline is a
+// list of points from top to bottom, each an object with radius and y (its
+// position), normalRadial and normalY (its normal) and v (its texture
+// coordinate). The first and last columns of vertices share positions
+// but not texture coordinates, so the texture wraps once around.
+ShipGL.BufferUtilities.prototype._addLathe = function(geometry, profile, segments)
+{
+    var firstVertex = geometry.positions.length / 3;
+
+    var i, j, point, theta, sinTheta, cosTheta;
+    for (j = 0; j < profile.length; j++)
+    {
+        point = profile[j];
+
+        for (i = 0; i <= segments; i++)
+        {
+            theta = 2 * Math.PI * i / segments;
+            sinTheta = Math.sin(theta);
+            cosTheta = Math.cos(theta);
+
+            geometry.positions.push(point.radius * sinTheta, point.y, point.radius * cosTheta);
+            geometry.normals.push(point.normalRadial * sinTheta, point.normalY,
+                                  point.normalRadial * cosTheta);
+            geometry.texCoords.push(i / segments, point.v);
+        }
+    }
+
+    // Triangles would collapse where a ring has a radius of 0 (poles and
+    // apexes), so those are left out.
+    var a, b, c, d;
+    for (j = 0; j < profile.length - 1; j++)
+    {
+        for (i = 0; i < segments; i++)
+        {
+            a = firstVertex + j * (segments + 1) + i;
+            b = a + 1;
+            c = a + segments + 1;
+            d = c + 1;
+
+            if (profile[j + 1].radius > 0)
+            {
+                geometry.indices.push(a, c, d);
+            }
+
+            if (profile[j].radius > 0)
+            {
+                geometry.indices.push(a, d, b);
+            }
+        }
+    }
+};
+
+// Adds a flat disc closing a lathe at height y, facing up (direction 1) or
+// down (direction -1).
+ShipGL.BufferUtilities.prototype._addCap = function(geometry, radius, y, direction, segments)
+{
+    var center = geometry.positions.length / 3;
+
+    geometry.positions.push(0, y, 0);
+    geometry.normals.push(0, direction, 0);
+    geometry.texCoords.push(0.5, 0.5);
+
+    var i, theta;
+    for (i = 0; i <= segments; i++)
+    {
+        theta = 2 * Math.PI * i / segments;
+
+        geometry.positions.push(radius * Math.sin(theta), y, radius * Math.cos(theta));
+        geometry.normals.push(0, direction, 0);
+        geometry.texCoords.push(0.5 + 0.5 * Math.sin(theta),
+                                0.5 - 0.5 * direction * Math.cos(theta));
+
+        if (i > 0)
+        {
+            if (direction > 0)
+            {
+                geometry.indices.push(center, center + i, center + i + 1);
+            }
+            else
+            {
+                geometry.indices.push(center, center + i + 1, center + i);
+            }
+        }
+    }
+};
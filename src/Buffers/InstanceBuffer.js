@@ -0,0 +1,247 @@
+/**
+ * @file Contains all ShipGL.InstanceBuffer code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.InstanceBuffer instance.
+ *
+ * @class ShipGL.InstanceBuffer
+ * @classdesc A ShipGL.InstanceBuffer holds the per-instance data of an
+ *            instanced draw: a model matrix and an RGBA color for every
+ *            instance. The data is kept in a Float32Array and uploaded to a
+ *            ShipGL.Buffer when it changes.
+ * @augments ShipGL.GLResource
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {number} [capacity=16] The number of instances to make room for.
+ *                               The buffer grows as needed.
+ * @example
+ * // Place 100 trees, each with a slightly different tint.
+ * var trees = new ShipGL.InstanceBuffer(gl, 100);
+ * var matrix = mat4.create();
+ *
+ * for (var i = 0; i < 100; i++)
+ * {
+ *     mat4.identity(matrix);
+ *     mat4.translate(matrix, [(i % 10) * 5, 0, Math.floor(i / 10) * 5]);
+ *     trees.add(matrix, [1, 0.8 + 0.02 * (i % 10), 1, 1]);
+ * }
+ *
+ * // Draw all of them in one call per mesh. See
+ * // ShipGL.StandardModel.prototype.drawInstanced.
+ * treeModel.drawInstanced(trees);
+ *
+ * // Move one tree. The change is uploaded the next time the instances
+ * // are bound.
+ * trees.setMatrix(42, newMatrix);
+ *
+ * // Each instance takes ShipGL.InstanceBuffer.STRIDE floats of the buffer:
+ * // its matrix at MATRIX_OFFSET and its color at COLOR_OFFSET. To use the
+ * // buffer in your own shader:
+ * trees.bind();
+ * program.enableMatrixAttributeArray("aInstanceMatrix");
+ * program.setAttributeBufferMat4f("aInstanceMatrix", ShipGL.InstanceBuffer.STRIDE,
+ *                                 ShipGL.InstanceBuffer.MATRIX_OFFSET);
+ * program.setMatrixAttributeDivisor("aInstanceMatrix", 1);
+ */
+ShipGL.InstanceBuffer = function(gl, capacity)
+{
+    ShipGL.GLResource.call(this, gl);
+
+    capacity = capacity || 16;
+
+    /**
+     * @memberof ShipGL.InstanceBuffer#
+     * @description The per-instance data, ShipGL.InstanceBuffer.STRIDE
+     *              floats per instance. Call markDirty after modifying it
+     *              directly.
+     * @name data
+     */
+    this.data = new Float32Array(capacity * ShipGL.InstanceBuffer.STRIDE);
+
+    /**
+     * @memberof ShipGL.InstanceBuffer#
+     * @description The number of instances drawn.
+     * @name count
+     */
+    this.count = 0;
+
+    /**
+     * @memberof ShipGL.InstanceBuffer#
+     * @description The ShipGL.Buffer holding the uploaded data.
+     * @name buffer
+     */
+    this.buffer = new ShipGL.Buffer(gl, gl.ARRAY_BUFFER, Float32Array);
+
+    this._isDirty = true;
+};
+
+ShipGL.InstanceBuffer.prototype = Object.create(ShipGL.GLResource.prototype);
+
+/**
+ * The number of floats per instance.
+ */
+ShipGL.InstanceBuffer.STRIDE = 20;
+
+/**
+ * The offset of an instance's model matrix, in floats.
+ */
+ShipGL.InstanceBuffer.MATRIX_OFFSET = 0;
+
+/**
+ * The offset of an instance's color, in floats.
+ */
+ShipGL.InstanceBuffer.COLOR_OFFSET = 16;
+
+/**
+ * Add an instance after the last one.
+ *
+ * @this {ShipGL.InstanceBuffer}
+ *
+ * @param {mat4} matrix The instance's model matrix
+ * @param {Array} [color=[1, 1, 1, 1]] The instance's RGBA color
+ * @return {number} The index of the new instance
+ */
+ShipGL.InstanceBuffer.prototype.add = function(matrix, color)
+{
+    var index = this.count;
+    this.setInstance(index, matrix, color);
+
+    return index;
+};
+
+/**
+ * Set an instance's model matrix and color. Setting an instance past the
+ * last one increases count, making room as needed.
+ *
+ * @this {ShipGL.InstanceBuffer}
+ *
+ * @param {number} index The instance's index
+ * @param {mat4} matrix The instance's model matrix
+ * @param {Array} [color=[1, 1, 1, 1]] The instance's RGBA color
+ */
+ShipGL.InstanceBuffer.prototype.setInstance = function(index, matrix, color)
+{
+    this._reserve(index + 1);
+    this.count = Math.max(this.count, index + 1);
+
+    this.setMatrix(index, matrix);
+    this.setColor(index, color || [1, 1, 1, 1]);
+};
+
+/**
+ * Set an existing instance's model matrix.
+ *
+ * @this {ShipGL.InstanceBuffer}
+ *
+ * @param {number} index The instance's index
+ * @param {mat4} matrix The instance's new model matrix
+ */
+ShipGL.InstanceBuffer.prototype.setMatrix = function(index, matrix)
+{
+    this.data.set(matrix, index * ShipGL.InstanceBuffer.STRIDE +
+                          ShipGL.InstanceBuffer.MATRIX_OFFSET);
+    this._isDirty = true;
+};
+
+/**
+ * Set an existing instance's color.
+ *
+ * @this {ShipGL.InstanceBuffer}
+ *
+ * @param {number} index The instance's index
+ * @param {Array} color The instance's new RGBA color
+ */
+ShipGL.InstanceBuffer.prototype.setColor = function(index, color)
+{
+    this.data.set(color, index * ShipGL.InstanceBuffer.STRIDE +
+                         ShipGL.InstanceBuffer.COLOR_OFFSET);
+    this._isDirty = true;
+};
+
+/**
+ * Remove all instances.
+ *
+ * @this {ShipGL.InstanceBuffer}
+ */
+ShipGL.InstanceBuffer.prototype.clear = function()
+{
+    this.count = 0;
+};
+
+/**
+ * Flag data as modified, so it is uploaded the next time the instances
+ * are bound.
+ *
+ * @this {ShipGL.InstanceBuffer}
+ */
+ShipGL.InstanceBuffer.prototype.markDirty = function()
+{
+    this._isDirty = true;
+};
+
+/**
+ * Bind the instance data's buffer to the WebGL rendering context,
+ * uploading the data first if it changed.
+ *
+ * @this {ShipGL.InstanceBuffer}
+ */
+ShipGL.InstanceBuffer.prototype.bind = function()
+{
+    this.buffer.bind();
+
+    if (this._isDirty)
+    {
+        if (this.buffer.length != this.data.length)
+        {
+            this.buffer.allocate(this.data.length, this.gl.DYNAMIC_DRAW);
+        }
+
+        this.buffer.write(this.data.subarray(0, this.count * ShipGL.InstanceBuffer.STRIDE));
+        this._isDirty = false;
+    }
+};
+
+/**
+ * Unbind the instance data's buffer from the WebGL rendering context.
+ *
+ * @this {ShipGL.InstanceBuffer}
+ */
+ShipGL.InstanceBuffer.prototype.unbind = function()
+{
+    this.buffer.unbind();
+};
+
+ShipGL.InstanceBuffer.prototype._reserve = function(count)
+{
+    var capacity = this.data.length / ShipGL.InstanceBuffer.STRIDE;
+
+    if (count <= capacity)
+    {
+        return;
+    }
+
+    var data = new Float32Array(Math.max(count, 2 * capacity) * ShipGL.InstanceBuffer.STRIDE);
+    data.set(this.data);
+    this.data = data;
+};
@@ -0,0 +1,159 @@
+/**
+ * @file Contains all ShipGL.RingBuffer code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.RingBuffer instance.
+ *
+ * @class ShipGL.RingBuffer
+ * @classdesc A ShipGL.RingBuffer hands out space for transient vertex data,
+ *            such as debug lines and particles, from one STREAM_DRAW
+ *            ShipGL.Buffer. Each push writes after the previous one. When
+ *            the buffer is full, its storage is orphaned and writing starts
+ *            over at the beginning, so pending draws of the old data finish
+ *            undisturbed. Data too big for the buffer grows it.
+ *
+ *            Orphaning drops data that was pushed but not drawn yet, so
+ *            draw each push's data before the next push.
+ * @augments ShipGL.GLResource
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {number} [capacity=65536] The size of the buffer (in terms of
+ *                                  elements)
+ * @param {function} [ArrayType=Float32Array] The buffer's underlying array
+ *                                            type
+ * @example
+ * // Particles are rebuilt every frame, 7 floats per particle (position
+ * // and color), laid out by particleLayout, a ShipGL.VertexLayout.
+ * var ring = new ShipGL.RingBuffer(gl);
+ *
+ * // Each frame:
+ * var first = ring.push(particleData, 7);
+ *
+ * program.bind();
+ * particleLayout.bind(program, first * ring.buffer.bytesPerElement);
+ * gl.drawArrays(gl.POINTS, 0, particleData.length / 7);
+ * particleLayout.unbind(program);
+ * ring.unbind();
+ */
+ShipGL.RingBuffer = function(gl, capacity, ArrayType)
+{
+    ShipGL.GLResource.call(this, gl);
+
+    /**
+     * @memberof ShipGL.RingBuffer#
+     * @description The ShipGL.Buffer the data is written to.
+     * @name buffer
+     */
+    this.buffer = new ShipGL.Buffer(gl, gl.ARRAY_BUFFER, ArrayType || Float32Array);
+    this.buffer.bind();
+    this.buffer.allocate(capacity || 65536, gl.STREAM_DRAW);
+    this.buffer.unbind();
+
+    /**
+     * @memberof ShipGL.RingBuffer#
+     * @description The number of times writing started over at the
+     *              beginning of the buffer.
+     * @name wrapCount
+     */
+    this.wrapCount = 0;
+
+    this._head = 0;
+};
+
+ShipGL.RingBuffer.prototype = Object.create(ShipGL.GLResource.prototype);
+
+/**
+ * Write an array after the previously pushed data, or at the beginning of
+ * fresh storage if it doesn't fit. Leaves the buffer bound, ready for
+ * setting up attributes.
+ *
+ * @this {ShipGL.RingBuffer}
+ *
+ * @param {Array} array The data to write
+ * @param {number} [alignment=1] The data starts at a multiple of this
+ *                               index. Pass the number of elements per
+ *                               vertex to be able to draw the data with
+ *                               the returned index divided by it as first
+ *                               vertex.
+ * @return {number} The index in the buffer where the data starts
+ */
+ShipGL.RingBuffer.prototype.push = function(array, alignment)
+{
+    alignment = alignment || 1;
+
+    var start = Math.ceil(this._head / alignment) * alignment;
+
+    this.buffer.bind();
+
+    if (start + array.length > this.buffer.length)
+    {
+        if (array.length > this.buffer.length)
+        {
+            this.buffer.allocate(Math.max(array.length, 2 * this.buffer.length),
+                                 this.gl.STREAM_DRAW);
+        }
+        else
+        {
+            this.buffer.orphan();
+        }
+
+        start = 0;
+        this.wrapCount++;
+    }
+
+    this.buffer.write(array, start);
+    this._head = start + array.length;
+
+    return start;
+};
+
+/**
+ * Bind the ring's buffer to the WebGL rendering context.
+ *
+ * @this {ShipGL.RingBuffer}
+ */
+ShipGL.RingBuffer.prototype.bind = function()
+{
+    this.buffer.bind();
+};
+
+/**
+ * Unbind the ring's buffer from the WebGL rendering context.
+ *
+ * @this {ShipGL.RingBuffer}
+ */
+ShipGL.RingBuffer.prototype.unbind = function()
+{
+    this.buffer.unbind();
+};
+
+/**
+ * Destroys the ring's buffer.
+ *
+ * @this {ShipGL.RingBuffer}
+ */
+ShipGL.RingBuffer.prototype.deallocate = function()
+{
+    this.buffer.deallocate();
+};
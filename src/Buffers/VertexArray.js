@@ -0,0 +1,259 @@
+/**
+ * @file Contains all ShipGL.VertexArray code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.VertexArray instance.
+ *
+ * @class ShipGL.VertexArray
+ * @classdesc A ShipGL.VertexArray records which buffers feed a shader
+ *            program's attributes, and which index buffer is used, so a
+ *            draw needs a single bind instead of a call per attribute.
+ *            It wraps a vertex array object from the
+ *            OES_vertex_array_object extension. Without the extension, it
+ *            replays the recorded bindings on every bind instead.
+ * @augments ShipGL.GLResource
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @example
+ * // Record the layout once. Attribute locations belong to a program, so a
+ * // vertex array should only be used with the program it was set up for
+ * // (or one with the same attribute locations).
+ * var vertexArray = new ShipGL.VertexArray(gl);
+ * vertexArray.addAttribute(program, "aPosition", vbo, 3, 5, 0);
+ * vertexArray.addAttribute(program, "aTexCoord", vbo, 2, 5, 3);
+ * vertexArray.setIndexBuffer(ibo);
+ *
+ * // Or, for a vbo packed with a ShipGL.VertexLayout:
+ * vertexArray.addLayout(program, layout, vbo);
+ *
+ * // Then, to draw:
+ * program.bind();
+ * vertexArray.bind();
+ * gl.drawElements(gl.TRIANGLES, ibo.length, ibo.dataType, 0);
+ * vertexArray.unbind();
+ *
+ * // Unbind a vertex array before binding another one, so that the
+ * // fallback disables the attributes the other one doesn't use.
+ */
+ShipGL.VertexArray = function(gl)
+{
+    ShipGL.GLResource.call(this, gl);
+
+    this._ext = gl.getExtension("OES_vertex_array_object");
+
+    /**
+     * @memberof ShipGL.VertexArray#
+     * @description Boolean indicating whether the vertex array is a native
+     *              vertex array object, rather than replayed bindings.
+     * @name isNative
+     */
+    this.isNative = !!this._ext;
+
+    /**
+     * @memberof ShipGL.VertexArray#
+     * @description The raw vertex array object, or null without the
+     *              extension. Prefer using the methods provided instead of
+     *              accessing this directly. Be careful!
+     * @name rawVertexArray
+     */
+    this.rawVertexArray = this._ext ? this._ext.createVertexArrayOES() : null;
+
+    /**
+     * @memberof ShipGL.VertexArray#
+     * @description The index buffer (ShipGL.Buffer) bound with the vertex
+     *              array, or null.
+     * @name indexBuffer
+     */
+    this.indexBuffer = null;
+
+    this._attributes = [];
+};
+
+ShipGL.VertexArray.prototype = Object.create(ShipGL.GLResource.prototype);
+
+/**
+ * Bind the vertex array to the WebGL rendering context, setting up all of
+ * the recorded attributes and the index buffer.
+ *
+ * @this {ShipGL.VertexArray}
+ */
+ShipGL.VertexArray.prototype.bind = function()
+{
+    if (this.isNative)
+    {
+        this._ext.bindVertexArrayOES(this.rawVertexArray);
+        return;
+    }
+
+    var i;
+    for (i = 0; i < this._attributes.length; i++)
+    {
+        this._applyAttribute(this._attributes[i]);
+    }
+
+    if (this.indexBuffer)
+    {
+        this.indexBuffer.bind();
+    }
+};
+
+/**
+ * Unbind the vertex array from the WebGL rendering context.
+ *
+ * @this {ShipGL.VertexArray}
+ */
+ShipGL.VertexArray.prototype.unbind = function()
+{
+    if (this.isNative)
+    {
+        this._ext.bindVertexArrayOES(null);
+        return;
+    }
+
+    var i, curAttribute;
+    for (i = 0; i < this._attributes.length; i++)
+    {
+        curAttribute = this._attributes[i];
+        curAttribute.program.disableAttributeArray(curAttribute.name);
+    }
+
+    if (this.indexBuffer)
+    {
+        this.indexBuffer.unbind();
+    }
+};
+
+/**
+ * Record a float attribute read from a vertex buffer, like
+ * ShaderProgram's setAttributeBuffer1f..4f. The attribute array is
+ * enabled whenever the vertex array is bound.
+ *
+ * @this {ShipGL.VertexArray}
+ *
+ * @param {ShipGL.ShaderProgram} program The shader program with the
+ *                                       attribute
+ * @param {string} name The attribute name string
+ * @param {ShipGL.Buffer} buffer The vertex buffer holding the attribute
+ * @param {number} size The number of components (1-4)
+ * @param {number} stride The stride between attributes (in terms of array
+ *                        indices, NOT bytes)
+ * @param {number} offset The starting attribute index
+ * @param {bool} [norm=false] Whether or not values should be normalized
+ */
+ShipGL.VertexArray.prototype.addAttribute = function(program, name, buffer, size,
+                                                     stride, offset, norm)
+{
+    var bpf = Float32Array.BYTES_PER_ELEMENT;
+
+    this._addPointer({ program: program, name: name, buffer: buffer, size: size,
+                       type: this.gl.FLOAT, norm: norm || false,
+                       stride: bpf * stride, offset: bpf * offset });
+};
+
+/**
+ * Record every attribute of a ShipGL.VertexLayout that the shader program
+ * has, read from a vertex buffer packed with the layout.
+ *
+ * @this {ShipGL.VertexArray}
+ *
+ * @param {ShipGL.ShaderProgram} program The shader program
+ * @param {ShipGL.VertexLayout} layout The layout of the vertex buffer
+ * @param {ShipGL.Buffer} buffer The vertex buffer
+ * @param {number} [byteOffset=0] The byte in the vertex buffer where the
+ *                                first vertex starts
+ */
+ShipGL.VertexArray.prototype.addLayout = function(program, layout, buffer, byteOffset)
+{
+    byteOffset = byteOffset || 0;
+
+    var i, attribute;
+    for (i = 0; i < layout.attributes.length; i++)
+    {
+        attribute = layout.attributes[i];
+
+        if (program.hasAttribute(attribute.name))
+        {
+            this._addPointer({ program: program, name: attribute.name, buffer: buffer,
+                               size: attribute.size, type: attribute.type,
+                               norm: attribute.normalized, stride: layout.stride,
+                               offset: byteOffset + attribute.offset });
+        }
+    }
+};
+
+/**
+ * Record the index buffer used with the vertex array.
+ *
+ * @this {ShipGL.VertexArray}
+ *
+ * @param {ShipGL.Buffer} buffer The index buffer, or null for none
+ */
+ShipGL.VertexArray.prototype.setIndexBuffer = function(buffer)
+{
+    this.indexBuffer = buffer;
+
+    if (this.isNative)
+    {
+        this._ext.bindVertexArrayOES(this.rawVertexArray);
+        this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, buffer ? buffer.rawBuffer : null);
+        this._ext.bindVertexArrayOES(null);
+    }
+};
+
+/**
+ * Destroys the raw vertex array object. The buffers are left alone.
+ *
+ * @this {ShipGL.VertexArray}
+ */
+ShipGL.VertexArray.prototype.deallocate = function()
+{
+    if (this.isNative)
+    {
+        this._ext.deleteVertexArrayOES(this.rawVertexArray);
+    }
+
+    this._attributes = [];
+    this.indexBuffer = null;
+};
+
+// Attributes are recorded with their stride and offset in bytes.
+ShipGL.VertexArray.prototype._addPointer = function(attribute)
+{
+    this._attributes.push(attribute);
+
+    if (this.isNative)
+    {
+        this._ext.bindVertexArrayOES(this.rawVertexArray);
+        this._applyAttribute(attribute);
+        this._ext.bindVertexArrayOES(null);
+    }
+};
+
+ShipGL.VertexArray.prototype._applyAttribute = function(attribute)
+{
+    attribute.buffer.bind();
+    attribute.program.enableAttributeArray(attribute.name);
+    attribute.program.setAttributePointer(attribute.name, attribute.size, attribute.type,
+                                          attribute.norm, attribute.stride, attribute.offset);
+};
@@ -0,0 +1,362 @@
+/**
+ * @file Contains all ShipGL.VertexLayout code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.VertexLayout instance.
+ *
+ * @class ShipGL.VertexLayout
+ * @classdesc A ShipGL.VertexLayout describes the vertices of an
+ *            interleaved vertex buffer: a list of named attributes, each
+ *            with a component count and a WebGL type. It works out every
+ *            attribute's byte offset and the byte stride of a vertex,
+ *            packs separate attribute arrays into one interleaved array,
+ *            and binds all of its attributes to a ShipGL.ShaderProgram in
+ *            one call. Attribute names are the shader's attribute names.
+ * @augments ShipGL.GLResource
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @example
+ * // Declare the layout once.
+ * var layout = new ShipGL.VertexLayout(gl);
+ * layout.addAttribute("aPosition", 3);
+ * layout.addAttribute("aTexCoord", 2);
+ *
+ * // Interleave the arrays (keyed by attribute name) into a vertex buffer.
+ * var vbo = layout.createBuffer({ aPosition: positions, aTexCoord: texCoords });
+ *
+ * // Then, to draw:
+ * program.bind();
+ * vbo.bind();
+ * layout.bind(program);
+ * gl.drawArrays(gl.TRIANGLES, 0, positions.length / 3);
+ * layout.unbind(program);
+ *
+ * // Or record the bindings once with a ShipGL.VertexArray.
+ * vertexArray.addLayout(program, layout, vbo);
+ *
+ * // Attributes don't have to be floats. Normalized values are still given
+ * // as floats, and converted when packed.
+ * var compact = new ShipGL.VertexLayout(gl);
+ * compact.addAttribute("aPosition", 3);
+ * compact.addAttribute("aNormal", 3, gl.BYTE, true);
+ * compact.addAttribute("aColor", 4, gl.UNSIGNED_BYTE, true);
+ *
+ * var compactVbo = compact.createBuffer({ aPosition: positions, aNormal: normals,
+ *                                         aColor: [1.0, 0.5, 0.0, 1.0, ...] });
+ *
+ * // compact.stride is 20 bytes per vertex, against 40 with float normals
+ * // and colors.
+ */
+ShipGL.VertexLayout = function(gl)
+{
+    ShipGL.GLResource.call(this, gl);
+
+    /**
+     * @memberof ShipGL.VertexLayout#
+     * @description The attributes, in the order they were added. Each is an
+     *              object with name, size (component count), type,
+     *              normalized and offset (in bytes from the start of a
+     *              vertex). Do not modify this! Use addAttribute.
+     * @name attributes
+     */
+    this.attributes = [];
+
+    /**
+     * @memberof ShipGL.VertexLayout#
+     * @description The number of bytes from one vertex to the next. Always
+     *              a multiple of 4, as WebGL requires of strides. Do not
+     *              modify this!
+     * @name stride
+     */
+    this.stride = 0;
+
+    this._byteCount = 0;
+};
+
+/**
+ * Look up the number of bytes taken by one component of a WebGL attribute
+ * type.
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {number} type The WebGL type (FLOAT, UNSIGNED_BYTE, etc.)
+ * @return {number} The number of bytes per component
+ */
+ShipGL.VertexLayout.bytesPerComponent = function(gl, type)
+{
+    return ShipGL.VertexLayout.arrayTypeOf(gl, type).BYTES_PER_ELEMENT;
+};
+
+/**
+ * Look up the typed array type matching a WebGL attribute type. This is
+ * the opposite of ShipGL.Buffer.dataTypeOf.
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {number} type The WebGL type (BYTE, UNSIGNED_BYTE, SHORT,
+ *                      UNSIGNED_SHORT or FLOAT)
+ * @return {function} The typed array type (Int8Array, Uint8Array, etc.)
+ */
+ShipGL.VertexLayout.arrayTypeOf = function(gl, type)
+{
+    switch (type)
+    {
+        case gl.BYTE:           return Int8Array;
+        case gl.UNSIGNED_BYTE:  return Uint8Array;
+        case gl.SHORT:          return Int16Array;
+        case gl.UNSIGNED_SHORT: return Uint16Array;
+        case gl.FLOAT:          return Float32Array;
+        default:
+            throw new Error("ShipGL.VertexLayout: " + type + " is not a valid " +
+                            "WebGL attribute type!");
+    }
+};
+
+ShipGL.VertexLayout.prototype = Object.create(ShipGL.GLResource.prototype);
+
+/**
+ * Add an attribute to the end of the vertex. Its offset is aligned to its
+ * component size, as WebGL requires.
+ *
+ * @this {ShipGL.VertexLayout}
+ *
+ * @param {string} name The attribute name string
+ * @param {number} size The number of components (1-4)
+ * @param {number} [type=FLOAT] The WebGL type of a component
+ * @param {bool} [normalized=false] Whether or not integer values should be
+ *                                  normalized to [0, 1] (or [-1, 1] for
+ *                                  signed types) when read by the shader
+ * @return {object} The new attribute (see attributes)
+ */
+ShipGL.VertexLayout.prototype.addAttribute = function(name, size, type, normalized)
+{
+    type = type || this.gl.FLOAT;
+
+    if (this.getAttribute(name))
+    {
+        throw new Error("ShipGL.VertexLayout.addAttribute: " + name + " was " +
+                        "already added!");
+    }
+
+    var componentBytes = ShipGL.VertexLayout.bytesPerComponent(this.gl, type);
+    var offset = Math.ceil(this._byteCount / componentBytes) * componentBytes;
+
+    var attribute = { name: name, size: size, type: type,
+                      normalized: normalized || false, offset: offset };
+
+    this.attributes.push(attribute);
+    this._byteCount = offset + size * componentBytes;
+    this.stride = Math.ceil(this._byteCount / 4) * 4;
+
+    return attribute;
+};
+
+/**
+ * Look up an attribute by name.
+ *
+ * @this {ShipGL.VertexLayout}
+ *
+ * @param {string} name The attribute name string
+ * @return {object} The attribute (see attributes), or null if the layout
+ *                  has no such attribute
+ */
+ShipGL.VertexLayout.prototype.getAttribute = function(name)
+{
+    var i;
+    for (i = 0; i < this.attributes.length; i++)
+    {
+        if (this.attributes[i].name == name)
+        {
+            return this.attributes[i];
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Interleave separate attribute arrays into an ArrayBuffer laid out like
+ * this layout. Values of normalized integer attributes are given as floats
+ * in [0, 1] ([-1, 1] for BYTE and SHORT) and converted to the integer
+ * range, the way the shader will read them back. Values of other integer
+ * attributes are rounded to the nearest integer.
+ *
+ * @this {ShipGL.VertexLayout}
+ *
+ * @param {object} arrays The attribute arrays (or typed arrays), keyed by
+ *                        attribute name, holding size values per vertex.
+ *                        Attributes without an array are left zeroed.
+ * @param {number} [vertexCount] The number of vertices. If not specified,
+ *                               the first attribute's array decides.
+ * @param {ArrayBuffer} [dest] The ArrayBuffer to pack into. If not
+ *                             specified, a new one is created.
+ * @param {number} [byteOffset=0] Where to start packing in dest. Must be a
+ *                                multiple of 4.
+ * @return {ArrayBuffer} The packed data (dest, if specified)
+ */
+ShipGL.VertexLayout.prototype.pack = function(arrays, vertexCount, dest, byteOffset)
+{
+    byteOffset = byteOffset || 0;
+
+    if (vertexCount === undefined)
+    {
+        var first = this.attributes[0];
+        vertexCount = arrays[first.name] ? arrays[first.name].length / first.size : 0;
+    }
+
+    dest = dest || new ArrayBuffer(byteOffset + vertexCount * this.stride);
+
+    var i, v, c, attribute, data, ArrayType, view, viewStride, writeIdx, range, signed;
+    for (i = 0; i < this.attributes.length; i++)
+    {
+        attribute = this.attributes[i];
+        data = arrays[attribute.name];
+
+        if (!data)
+        {
+            continue;
+        }
+
+        // Offsets and the stride are multiples of the component size, so
+        // a view of the component type can address every component.
+        ArrayType = ShipGL.VertexLayout.arrayTypeOf(this.gl, attribute.type);
+        view = new ArrayType(dest, 0, Math.floor(dest.byteLength / ArrayType.BYTES_PER_ELEMENT));
+        viewStride = this.stride / ArrayType.BYTES_PER_ELEMENT;
+        writeIdx = (byteOffset + attribute.offset) / ArrayType.BYTES_PER_ELEMENT;
+
+        if (attribute.type == this.gl.FLOAT)
+        {
+            for (v = 0; v < vertexCount; v++)
+            {
+                for (c = 0; c < attribute.size; c++)
+                {
+                    view[writeIdx + c] = data[v * attribute.size + c];
+                }
+
+                writeIdx += viewStride;
+            }
+
+            continue;
+        }
+
+        range = Math.pow(2, 8 * ArrayType.BYTES_PER_ELEMENT) - 1;
+        signed = attribute.type == this.gl.BYTE || attribute.type == this.gl.SHORT;
+
+        for (v = 0; v < vertexCount; v++)
+        {
+            for (c = 0; c < attribute.size; c++)
+            {
+                view[writeIdx + c] = this._encode(data[v * attribute.size + c],
+                                                  attribute.normalized, signed, range);
+            }
+
+            writeIdx += viewStride;
+        }
+    }
+
+    return dest;
+};
+
+/**
+ * Create a vertex buffer holding the attribute arrays interleaved by pack.
+ *
+ * @this {ShipGL.VertexLayout}
+ *
+ * @param {object} arrays The attribute arrays, keyed by attribute name
+ * @param {number} [vertexCount] The number of vertices. See pack.
+ * @return {ShipGL.Buffer} The new vertex buffer
+ */
+ShipGL.VertexLayout.prototype.createBuffer = function(arrays, vertexCount)
+{
+    var bufferUtils = new ShipGL.BufferUtilities(this.gl);
+
+    // The stride is a multiple of 4 bytes, so the data can be viewed as
+    // floats whatever the attribute types.
+    return bufferUtils.createVertexBuffer(new Float32Array(this.pack(arrays, vertexCount)));
+};
+
+/**
+ * Enable and set up every attribute of the layout that the shader program
+ * has, reading from the bound vertex buffer. Attributes the program
+ * doesn't use are skipped.
+ *
+ * @this {ShipGL.VertexLayout}
+ *
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ * @param {number} [byteOffset=0] The byte in the vertex buffer where the
+ *                                first vertex starts
+ */
+ShipGL.VertexLayout.prototype.bind = function(program, byteOffset)
+{
+    byteOffset = byteOffset || 0;
+
+    var i, attribute;
+    for (i = 0; i < this.attributes.length; i++)
+    {
+        attribute = this.attributes[i];
+
+        if (program.hasAttribute(attribute.name))
+        {
+            program.enableAttributeArray(attribute.name);
+            program.setAttributePointer(attribute.name, attribute.size, attribute.type,
+                                        attribute.normalized, this.stride,
+                                        byteOffset + attribute.offset);
+        }
+    }
+};
+
+/**
+ * Disable the attribute arrays enabled by bind.
+ *
+ * @this {ShipGL.VertexLayout}
+ *
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ */
+ShipGL.VertexLayout.prototype.unbind = function(program)
+{
+    var i;
+    for (i = 0; i < this.attributes.length; i++)
+    {
+        if (program.hasAttribute(this.attributes[i].name))
+        {
+            program.disableAttributeArray(this.attributes[i].name);
+        }
+    }
+};
+
+// Converts a value to the integer stored for it. WebGL reads a normalized
+// unsigned integer c as c / range, and a signed one as (2c + 1) / range,
+// where range is 2^bits - 1.
+ShipGL.VertexLayout.prototype._encode = function(value, normalized, signed, range)
+{
+    if (!normalized)
+    {
+        return Math.round(value);
+    }
+
+    if (signed)
+    {
+        return Math.round((Math.max(-1, Math.min(1, value)) * range - 1) / 2);
+    }
+
+    return Math.round(Math.max(0, Math.min(1, value)) * range);
+};
@@ -0,0 +1,445 @@
+/**
+ * @file Contains all ShipGL.AssetManager code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.AssetManager instance.
+ *
+ * @class ShipGL.AssetManager
+ * @classdesc A ShipGL.AssetManager object queues up files, textures and
+ *            cube maps, loads them asynchronously as one batch and reports
+ *            aggregate progress. Every asset is cached by its URL, so
+ *            queueing the same URL twice never fetches it twice.
+ * @augments ShipGL.GLResource
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @example
+ * // Assume gl is a valid WebGL context.
+ * var assets = new ShipGL.AssetManager(gl);
+ *
+ * // Queue some assets. Textures are handed back right away and can be
+ * // bound before they are loaded.
+ * assets.queueJSON("models/House/models/model.json");
+ * assets.queueText("glsl/basic.vs");
+ * var tile = assets.queueTexture("textures/tiles/grass.jpg");
+ * var sky = assets.queueCubeTexture("textures/cubemaps/forest", ".jpg");
+ *
+ * // Queueing a URL again just hands back the cached asset.
+ * var sameTile = assets.queueTexture("textures/tiles/grass.jpg"); // tile
+ *
+ * // Queueing a URL that failed to load queues it again. Its error is
+ * // removed from errors and it is retried with the next batch.
+ *
+ * // Start loading everything queued so far. onProgress is called every
+ * // time an asset finishes. onLoad is called once, after every asset has
+ * // either loaded or failed, with an array of ShipGL.FileLoadError's.
+ * assets.loadAll(function(errors)
+ * {
+ *     var json = assets.get("models/House/models/model.json");
+ *     var vShaderCode = assets.get("glsl/basic.vs");
+ * },
+ * function(progress, finishedCount, totalCount)
+ * {
+ *     console.log(Math.round(100 * progress) + "% loaded");
+ * });
+ *
+ * // Assets queued while a batch is loading join that batch, so onLoad
+ * // can wait on assets that are only discovered along the way.
+ * assets.queueJSON("scene.json", function(scene)
+ * {
+ *     assets.queueTexture(scene.tile);
+ * });
+ */
+ShipGL.AssetManager = function(gl)
+{
+    ShipGL.GLResource.call(this, gl);
+
+    /**
+     * @memberof ShipGL.AssetManager#
+     * @description Number of assets that have been queued. Do not modify
+     *              this!
+     * @name totalCount
+     */
+    this.totalCount = 0;
+
+    /**
+     * @memberof ShipGL.AssetManager#
+     * @description Number of assets that have finished loading. Do not
+     *              modify this!
+     * @name loadedCount
+     */
+    this.loadedCount = 0;
+
+    /**
+     * @memberof ShipGL.AssetManager#
+     * @description The errors (ShipGL.FileLoadError's) of every asset that
+     *              failed to load. Do not modify this!
+     * @name errors
+     */
+    this.errors = [];
+
+    /**
+     * @memberof ShipGL.AssetManager#
+     * @description Whether or not the manager is loading a batch of assets
+     * @name isLoading
+     */
+    this.isLoading = false;
+
+    // Asset entries keyed by URL.
+    this._cache = {};
+
+    // Entries that have been queued but not yet started.
+    this._queue = [];
+
+    // Callbacks waiting on the current batch.
+    this._loadCallbacks = [];
+    this._progressCallbacks = [];
+};
+
+ShipGL.AssetManager.prototype = Object.create(ShipGL.GLResource.prototype);
+
+/**
+ * Queue a text file.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @param {string} url The URL of the file
+ * @param {function} [onLoad] Called with the file's text once it is loaded
+ */
+ShipGL.AssetManager.prototype.queueText = function(url, onLoad)
+{
+    this._enqueue(url, onLoad, function(entry, done, fail)
+    {
+        ShipGL.FileLoader.loadText(url, done, fail);
+    });
+};
+
+/**
+ * Queue a JSON file. The file is parsed once it is loaded.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @param {string} url The URL of the file
+ * @param {function} [onLoad] Called with the parsed JSON once it is loaded
+ */
+ShipGL.AssetManager.prototype.queueJSON = function(url, onLoad)
+{
+    this._enqueue(url, onLoad, function(entry, done, fail)
+    {
+        ShipGL.FileLoader.loadJSON(url, done, fail);
+    });
+};
+
+/**
+ * Queue a binary file.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @param {string} url The URL of the file
+ * @param {function} [onLoad] Called with the file's ArrayBuffer once it is
+ *                            loaded
+ */
+ShipGL.AssetManager.prototype.queueArrayBuffer = function(url, onLoad)
+{
+    this._enqueue(url, onLoad, function(entry, done, fail)
+    {
+        ShipGL.FileLoader.loadArrayBuffer(url, done, fail);
+    });
+};
+
+/**
+ * Queue a texture.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @param {string} url The URL of the image file
+ * @param {function} [onLoad] Called with the texture once it is loaded
+ * @return {ShipGL.Texture} The texture. It can be used right away, but it
+ *                          will not have any image data until it is loaded.
+ */
+ShipGL.AssetManager.prototype.queueTexture = function(url, onLoad)
+{
+    var gl = this.gl;
+
+    return this._enqueue(url, onLoad, function(entry, done, fail)
+    {
+        entry.asset.load(url, done, fail);
+    },
+    function()
+    {
+        return new ShipGL.Texture(gl);
+    }).asset;
+};
+
+/**
+ * Queue a cube map. The cube map is cached by its directory and extension.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @see ShipGL.CubeTexture#loadDirectory
+ *
+ * @param {string} path The path to the image folder
+ * @param {string} ext The image extension (".jpg", ".png", etc.)
+ * @param {function} [onLoad] Called with the cube texture once all six
+ *                            faces are loaded
+ * @return {ShipGL.CubeTexture} The cube texture. It can be used right away,
+ *                              but it will not have any image data until it
+ *                              is loaded.
+ */
+ShipGL.AssetManager.prototype.queueCubeTexture = function(path, ext, onLoad)
+{
+    var gl = this.gl;
+
+    return this._enqueue(path + "/*" + ext, onLoad, function(entry, done, fail)
+    {
+        entry.asset.loadDirectory(path, ext, done, fail);
+    },
+    function()
+    {
+        return new ShipGL.CubeTexture(gl);
+    }).asset;
+};
+
+/**
+ * Get a cached asset.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @param {string} url The URL the asset was queued with (for cube maps, the
+ *                     directory and extension joined as path + "/*" + ext)
+ * @return The asset, or undefined if it was never queued or has not
+ *         finished loading. Textures and cube maps are returned as soon as
+ *         they are queued.
+ */
+ShipGL.AssetManager.prototype.get = function(url)
+{
+    var entry = this._cache[url];
+    return entry ? entry.asset : undefined;
+};
+
+/**
+ * Check whether an asset has finished loading successfully.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @param {string} url The URL the asset was queued with
+ * @return {boolean} True if the asset is loaded
+ */
+ShipGL.AssetManager.prototype.isLoaded = function(url)
+{
+    var entry = this._cache[url];
+    return !!entry && entry.status == "loaded";
+};
+
+/**
+ * Check whether every queued asset has either loaded or failed.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @return {boolean} True if nothing is queued or loading
+ */
+ShipGL.AssetManager.prototype.isComplete = function()
+{
+    return this.loadedCount + this.errors.length == this.totalCount;
+};
+
+/**
+ * Get the fraction of queued assets that have finished (loaded or failed).
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @return {number} A number from 0 to 1. If nothing is queued, 1.
+ */
+ShipGL.AssetManager.prototype.progress = function()
+{
+    if (this.totalCount == 0)
+    {
+        return 1;
+    }
+
+    return (this.loadedCount + this.errors.length) / this.totalCount;
+};
+
+/**
+ * Start loading every queued asset. Assets queued before the batch
+ * completes are loaded as part of the batch.
+ *
+ * If nothing is left to load, onLoad is called right away.
+ *
+ * @this {ShipGL.AssetManager}
+ *
+ * @param {function} [onLoad] Called once every queued asset has either
+ *                            loaded or failed. It is passed the array of
+ *                            ShipGL.FileLoadError's for failed assets.
+ * @param {function} [onProgress] Called every time an asset finishes. It is
+ *                                passed the progress (0 to 1), the number of
+ *                                finished assets and the number of queued
+ *                                assets.
+ */
+ShipGL.AssetManager.prototype.loadAll = function(onLoad, onProgress)
+{
+    if (onLoad)
+    {
+        this._loadCallbacks.push(onLoad);
+    }
+
+    if (onProgress)
+    {
+        this._progressCallbacks.push(onProgress);
+    }
+
+    this.isLoading = true;
+    this._startQueued();
+    this._checkComplete();
+};
+
+ShipGL.AssetManager.prototype._enqueue = function(url, onLoad, start, create)
+{
+    var entry = this._cache[url];
+
+    if (!entry)
+    {
+        entry = { url: url,
+                  status: "queued",
+                  asset: create ? create() : undefined,
+                  start: start,
+                  callbacks: []
+        };
+
+        this._cache[url] = entry;
+        this._queue.push(entry);
+        this.totalCount++;
+    }
+    else if (entry.status == "failed")
+    {
+        // Retry instead of leaving the callback waiting on a load that
+        // already failed.
+        this.errors.splice(this.errors.indexOf(entry.error), 1);
+        entry.status = "queued";
+        entry.error = undefined;
+        this._queue.push(entry);
+    }
+
+    if (onLoad)
+    {
+        if (entry.status == "loaded")
+        {
+            onLoad(entry.asset);
+        }
+        else
+        {
+            entry.callbacks.push(onLoad);
+        }
+    }
+
+    if (this.isLoading)
+    {
+        this._startQueued();
+    }
+
+    return entry;
+};
+
+ShipGL.AssetManager.prototype._startQueued = function()
+{
+    var scope = this, queue = this._queue;
+    this._queue = [];
+
+    function makeDone(entry)
+    {
+        return function(asset)
+        {
+            scope._finish(entry, "loaded", asset);
+        };
+    };
+
+    function makeFail(entry)
+    {
+        return function(error)
+        {
+            scope._finish(entry, "failed", entry.asset, error);
+        };
+    };
+
+    var i, entry;
+    for (i = 0; i < queue.length; i++)
+    {
+        entry = queue[i];
+        entry.status = "loading";
+        entry.start(entry, makeDone(entry), makeFail(entry));
+    }
+};
+
+ShipGL.AssetManager.prototype._finish = function(entry, status, asset, error)
+{
+    var i, callbacks = entry.callbacks;
+
+    entry.status = status;
+    entry.asset = asset;
+    entry.error = error;
+    entry.callbacks = [];
+
+    if (error)
+    {
+        this.errors.push(error);
+    }
+    else
+    {
+        this.loadedCount++;
+
+        // These may queue more assets, which then join the current batch.
+        for (i = 0; i < callbacks.length; i++)
+        {
+            callbacks[i](asset);
+        }
+    }
+
+    var progress = this.progress();
+    var finishedCount = this.loadedCount + this.errors.length;
+
+    for (i = 0; i < this._progressCallbacks.length; i++)
+    {
+        this._progressCallbacks[i](progress, finishedCount, this.totalCount);
+    }
+
+    this._checkComplete();
+};
+
+ShipGL.AssetManager.prototype._checkComplete = function()
+{
+    if (!this.isLoading || !this.isComplete())
+    {
+        return;
+    }
+
+    var i, callbacks = this._loadCallbacks;
+
+    this.isLoading = false;
+    this._loadCallbacks = [];
+    this._progressCallbacks = [];
+
+    for (i = 0; i < callbacks.length; i++)
+    {
+        callbacks[i](this.errors);
+    }
+};
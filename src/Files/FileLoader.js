@@ -23,10 +23,74 @@
  */
 
 /**
- * ShipGL.FileLoader can synchronously load both local and HTTP files.
- * Function documentation is provided through an example since JSDoc doesn't
- * have great support for documenting singleton-like objects.
+ * Creates a new ShipGL.FileLoadError instance. These are handed to the error
+ * callbacks of ShipGL.FileLoader's asynchronous loaders.
+ *
+ * @class ShipGL.FileLoadError
+ * @classdesc A ShipGL.FileLoadError describes why a file could not be loaded.
+ * @augments Error
+ *
+ * @param {string} url The URL of the file that failed to load
+ * @param {number} status The HTTP status code of the request (0 if the
+ *                        request never got a response)
+ * @param {string} reason Why the load failed ("error", "timeout", "abort",
+ *                        "status" or "parse")
+ * @param {string} [message] A human readable description of the failure
+ */
+ShipGL.FileLoadError = function(url, status, reason, message)
+{
+    /**
+     * @memberof ShipGL.FileLoadError#
+     * @description The error's name, always "ShipGL.FileLoadError"
+     * @name name
+     */
+    this.name = "ShipGL.FileLoadError";
+
+    /**
+     * @memberof ShipGL.FileLoadError#
+     * @description The URL of the file that failed to load
+     * @name url
+     */
+    this.url = url;
+
+    /**
+     * @memberof ShipGL.FileLoadError#
+     * @description The HTTP status code of the request (0 if the request
+     *              never got a response)
+     * @name status
+     */
+    this.status = status;
+
+    /**
+     * @memberof ShipGL.FileLoadError#
+     * @description Why the load failed ("error", "timeout", "abort",
+     *              "status" or "parse")
+     * @name reason
+     */
+    this.reason = reason;
 
+    /**
+     * @memberof ShipGL.FileLoadError#
+     * @description A human readable description of the failure
+     * @name message
+     */
+    this.message = message || ("Failed to load " + url + " (" + reason +
+                               ", status " + status + ")");
+};
+
+ShipGL.FileLoadError.prototype = Object.create(Error.prototype);
+ShipGL.FileLoadError.prototype.constructor = ShipGL.FileLoadError;
+
+/**
+ * ShipGL.FileLoader can load both local and HTTP files, either synchronously
+ * or asynchronously. Function documentation is provided through an example
+ * since JSDoc doesn't have great support for documenting singleton-like
+ * objects.
+ *
+ * Prefer the asynchronous loaders (loadText, loadJSON and loadArrayBuffer).
+ * The synchronous loaders freeze the page until the file arrives and
+ * synchronous requests on the main thread are deprecated by browsers.
+ *
  * @example
  * // Load a local text file named "war_and_peace.txt". Store string.
  * var localText = ShipGL.FileLoader.loadLocal("war_and_peace.txt");
@@ -43,6 +107,36 @@
  * // don't want to make file-related modifications for it to work on a server.
  * var data = ShipGL.FileLoader.loadHttp("data.txt") ||
  *            ShipGL.FileLoader.loadLocal("data.txt");
+ *
+ * // Asynchronously load a text file. The asynchronous loaders accept both
+ * // local and HTTP responses, so no fallback chain is needed. The error
+ * // callback receives a ShipGL.FileLoadError carrying the url and status.
+ * ShipGL.FileLoader.loadText("data.txt",
+ *     function(text) { console.log(text); },
+ *     function(error) { console.log(error.url + ": " + error.status); });
+ *
+ * // Asynchronously load and parse a JSON model file, giving up after
+ * // 10 seconds. Malformed JSON is reported through the error callback
+ * // with a reason of "parse".
+ * ShipGL.FileLoader.loadJSON("godzilla.json",
+ *     function(json) { console.log(json.meshes.length); },
+ *     function(error) { console.log(error.message); },
+ *     { timeout: 10000 });
+ *
+ * // Asynchronously load binary data into an ArrayBuffer.
+ * ShipGL.FileLoader.loadArrayBuffer("godzilla.bin", function(buffer)
+ * {
+ *     var floats = new Float32Array(buffer);
+ * });
+ *
+ * // Every asynchronous loader takes (url, onLoad, [onError], [options])
+ * // and returns the underlying XMLHttpRequest, so a load can be aborted.
+ * // Recognized options are:
+ * //   mimeType, overrides the MIME type reported by the response
+ * //   timeout, the number of milliseconds to wait before giving up
+ * //            (0, the default, waits forever)
+ * // If onError is not given, load errors are thrown from the callback so
+ * // they at least show up in the console.
  */
 ShipGL.FileLoader = (function()
 {
@@ -63,7 +157,104 @@ ShipGL.FileLoader = (function()
         };
     };
 
+    // Local files report a status of 0 while HTTP files report 200, so
+    // both are accepted just like chaining loadLocal and loadHttp.
+    function isSuccessStatus(status)
+    {
+        return status == 0 || (status >= 200 && status < 300);
+    };
+
+    function makeAsynchronousLoader(responseType, defaultMimeType, parse)
+    {
+        return function(url, onLoad, onError, options)
+        {
+            options = options || {};
+
+            var mimeType = options.mimeType || defaultMimeType;
+            var finished = false;
+            var req = new XMLHttpRequest();
+
+            function fail(status, reason, message)
+            {
+                if (finished)
+                    return;
+
+                finished = true;
+
+                var error = new ShipGL.FileLoadError(url, status, reason, message);
+
+                if (!onError)
+                {
+                    throw error;
+                }
+
+                onError(error);
+            };
+
+            function succeed(data)
+            {
+                if (finished)
+                    return;
+
+                finished = true;
+                onLoad(data);
+            };
+
+            req.open("GET", url, true);
+            req.responseType = responseType;
+
+            if (mimeType)
+            {
+                req.overrideMimeType(mimeType);
+            }
+
+            if (options.timeout)
+            {
+                req.timeout = options.timeout;
+            }
+
+            req.onload = function()
+            {
+                var data = req.response;
+
+                // A status of 0 with no response is a failed local load.
+                if (!isSuccessStatus(req.status) ||
+                    (req.status == 0 && data === null))
+                {
+                    fail(req.status, "status");
+                    return;
+                }
+
+                if (parse)
+                {
+                    try
+                    {
+                        data = parse(data);
+                    }
+                    catch (e)
+                    {
+                        fail(req.status, "parse", "Failed to parse " + url +
+                                                  ": " + e.message);
+                        return;
+                    }
+                }
+
+                succeed(data);
+            };
+
+            req.onerror   = function() { fail(req.status, "error"); };
+            req.ontimeout = function() { fail(req.status, "timeout"); };
+            req.onabort   = function() { fail(req.status, "abort"); };
+
+            req.send(null);
+            return req;
+        };
+    };
+
     return { loadLocal: makeSynchronousLoader(0),
-             loadHttp: makeSynchronousLoader(200)
+             loadHttp: makeSynchronousLoader(200),
+             loadText: makeAsynchronousLoader("text"),
+             loadJSON: makeAsynchronousLoader("text", "application/json", JSON.parse),
+             loadArrayBuffer: makeAsynchronousLoader("arraybuffer")
     };
 })();
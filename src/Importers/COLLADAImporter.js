@@ -0,0 +1,627 @@
+/**
+ * @file Contains all ShipGL.COLLADAImporter code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * ShipGL.COLLADAImporter converts COLLADA (.dae) files into the same JSON
+ * model data ShipGL.Model reads from its JSON model files, so any
+ * ShipGL.Model subclass can render COLLADA models without an external
+ * conversion step. Function documentation is provided through an example
+ * since JSDoc doesn't have great support for documenting singleton-like
+ * objects.
+ *
+ * The importer reads geometries (triangles, polylist and polygons
+ * primitives), materials with their profile_COMMON effects (constant,
+ * lambert, phong and blinn), images and the visual scene's node hierarchy.
+ * Every primitive becomes one mesh. Every scene node becomes one node, with
+ * its transform relative to its parent as its modelMatrix and the nodes it
+ * contains or instances as its children. Z_UP files are rotated to be Y_UP.
+ *
+ * @example
+ * // Asynchronously load a COLLADA file and create an initialized model
+ * // from it. The callback gets the model once all of its textures have
+ * // loaded. Image paths are relative to the COLLADA file. The optional
+ * // options are passed to the model's initialize method.
+ * ShipGL.COLLADAImporter.load(gl, "models/House/models/model.dae",
+ *     function(model) { model.draw(); },
+ *     function(error) { alert(error.message); },
+ *     MyModel, { normalize: true });
+ *
+ * // parse(daeText) returns JSON model data. It throws an Error if the
+ * // document is not valid COLLADA.
+ * var json = ShipGL.COLLADAImporter.parse(daeText);
+ * var model = new MyModel(gl, "models/House/models/model.dae", json);
+ * model.initialize();
+ */
+ShipGL.COLLADAImporter = (function()
+{
+    function childElements(element, name)
+    {
+        var i, child, result = [];
+
+        for (i = 0; i < element.childNodes.length; i++)
+        {
+            child = element.childNodes[i];
+
+            if (child.nodeType == 1 && (!name || child.localName == name))
+            {
+                result.push(child);
+            }
+        }
+
+        return result;
+    };
+
+    function firstChild(element, name)
+    {
+        return element ? childElements(element, name)[0] || null : null;
+    };
+
+    function parseNumbers(element)
+    {
+        var text = element ? element.textContent.trim() : "";
+        return text.length > 0 ? text.split(/\s+/).map(parseFloat) : [];
+    };
+
+    // Maps ids to elements so url attributes like "#mesh1" can be resolved.
+    function indexIds(doc)
+    {
+        var i, element, ids = {}, all = doc.getElementsByTagName("*");
+
+        for (i = 0; i < all.length; i++)
+        {
+            element = all[i];
+
+            if (element.getAttribute("id"))
+            {
+                ids[element.getAttribute("id")] = element;
+            }
+        }
+
+        return ids;
+    };
+
+    function lookup(ids, url)
+    {
+        return url ? ids[url.charAt(0) == "#" ? url.substring(1) : url] || null : null;
+    };
+
+    function parseColor(element)
+    {
+        var color = parseNumbers(firstChild(element, "color"));
+
+        if (color.length == 3)
+        {
+            color.push(1);
+        }
+
+        return color.length == 4 ? color : null;
+    };
+
+    // A texture references a sampler newparam, which references a surface
+    // newparam, which references an image. Some exporters skip the params
+    // and reference the image directly.
+    function resolveTexture(texture, effect, ids)
+    {
+        var params = {}, newparams = effect.getElementsByTagName("newparam");
+
+        var i;
+        for (i = 0; i < newparams.length; i++)
+        {
+            params[newparams[i].getAttribute("sid")] = newparams[i];
+        }
+
+        var name = texture.getAttribute("texture");
+        var sampler = params[name], surface, source;
+
+        if (sampler)
+        {
+            source = sampler.getElementsByTagName("source")[0];
+            surface = source ? params[source.textContent.trim()] : null;
+            name = surface ? surface.getElementsByTagName("init_from")[0].textContent.trim() :
+                             name;
+        }
+
+        var image = ids[name];
+        var initFrom = image ? firstChild(image, "init_from") : null;
+
+        if (!initFrom)
+            return null;
+
+        // COLLADA 1.5 wraps the path in a ref element.
+        var path = (firstChild(initFrom, "ref") || initFrom).textContent.trim();
+        return decodeURI(path.replace(/^file:\/\//, "")).replace(/\\/g, "/");
+    };
+
+    function parseMaterial(material, ids)
+    {
+        var json = { diffuseTexture: [],
+                     diffuseReflectance: [0.8, 0.8, 0.8, 1],
+                     ambientReflectance: [0, 0, 0, 1],
+                     specularReflectance: [0, 0, 0, 1],
+                     shininess: 0,
+                     emissionColor: [0, 0, 0, 1]
+        };
+
+        var instanceEffect = material ? firstChild(material, "instance_effect") : null;
+        var effect = instanceEffect ? lookup(ids, instanceEffect.getAttribute("url")) : null;
+        var profile = effect ? effect.getElementsByTagName("profile_COMMON")[0] : null;
+        var technique = profile ? firstChild(profile, "technique") : null;
+        var shading = technique ? childElements(technique)[0] : null;
+
+        if (!shading)
+            return json;
+
+        var color, texture, path, value;
+
+        json.emissionColor = parseColor(firstChild(shading, "emission")) || json.emissionColor;
+        json.ambientReflectance = parseColor(firstChild(shading, "ambient")) || json.ambientReflectance;
+        json.specularReflectance = parseColor(firstChild(shading, "specular")) || json.specularReflectance;
+
+        var diffuse = firstChild(shading, "diffuse");
+
+        if (diffuse)
+        {
+            color = parseColor(diffuse);
+            texture = firstChild(diffuse, "texture");
+
+            if (color)
+            {
+                json.diffuseReflectance = color;
+            }
+            else if (texture)
+            {
+                json.diffuseReflectance = [1, 1, 1, 1];
+                path = resolveTexture(texture, effect, ids);
+
+                if (path)
+                {
+                    json.diffuseTexture = [path];
+                }
+            }
+        }
+
+        value = parseNumbers(firstChild(firstChild(shading, "shininess"), "float"));
+
+        if (value.length > 0)
+        {
+            json.shininess = value[0];
+        }
+
+        value = parseNumbers(firstChild(firstChild(shading, "transparency"), "float"));
+
+        if (value.length > 0 && !firstChild(shading, "transparent"))
+        {
+            json.diffuseReflectance[3] = value[0];
+        }
+
+        return json;
+    };
+
+    // Reads a source's float_array along with its accessor stride.
+    function parseSource(source)
+    {
+        var accessor = source.getElementsByTagName("accessor")[0];
+
+        return { data: parseNumbers(firstChild(source, "float_array")),
+                 stride: accessor ? parseInt(accessor.getAttribute("stride") || "1", 10) : 3
+        };
+    };
+
+    function parseInputs(primitive, ids)
+    {
+        var inputs = {}, maxOffset = 0;
+        var elements = childElements(primitive, "input");
+
+        var i, semantic, offset, source, vertices, vertexInputs;
+        for (i = 0; i < elements.length; i++)
+        {
+            semantic = elements[i].getAttribute("semantic");
+            offset = parseInt(elements[i].getAttribute("offset") || "0", 10);
+            source = lookup(ids, elements[i].getAttribute("source"));
+            maxOffset = Math.max(maxOffset, offset);
+
+            if (semantic == "VERTEX")
+            {
+                // The vertices element can bundle several inputs, which all
+                // share the VERTEX input's offset.
+                vertices = source;
+                vertexInputs = childElements(vertices, "input");
+
+                var j;
+                for (j = 0; j < vertexInputs.length; j++)
+                {
+                    inputs[vertexInputs[j].getAttribute("semantic")] = {
+                        offset: offset,
+                        source: parseSource(lookup(ids, vertexInputs[j].getAttribute("source")))
+                    };
+                }
+            }
+            else if ((semantic == "NORMAL" || semantic == "TEXCOORD") && !inputs[semantic])
+            {
+                inputs[semantic] = { offset: offset, source: parseSource(source) };
+            }
+        }
+
+        inputs.indexStride = maxOffset + 1;
+        return inputs;
+    };
+
+    // Returns the primitive's polygons as arrays of vertex index tuples.
+    function parsePolygons(primitive, indexStride)
+    {
+        var polygons = [], type = primitive.localName;
+        var ps = childElements(primitive, "p");
+
+        var i, j, p, counts, cursor = 0;
+
+        if (type == "triangles")
+        {
+            counts = [];
+            p = parseNumbers(ps[0]);
+
+            for (i = 0; i < p.length / (3 * indexStride); i++)
+            {
+                counts.push(3);
+            }
+
+            ps = [ps[0]];
+        }
+        else if (type == "polylist")
+        {
+            counts = parseNumbers(firstChild(primitive, "vcount"));
+        }
+
+        for (i = 0; i < ps.length; i++)
+        {
+            p = parseNumbers(ps[i]);
+
+            if (type == "polygons")
+            {
+                counts = [p.length / indexStride];
+                cursor = 0;
+            }
+
+            for (j = 0; j < counts.length; j++)
+            {
+                polygons.push(p.slice(cursor, cursor + counts[j] * indexStride));
+                cursor += counts[j] * indexStride;
+            }
+        }
+
+        return polygons;
+    };
+
+    function parsePrimitive(primitive, ids, materialIndex)
+    {
+        var inputs = parseInputs(primitive, ids);
+        var stride = inputs.indexStride;
+        var polygons = parsePolygons(primitive, stride);
+
+        var mesh = { vertexPositions: [],
+                     vertexNormals: [],
+                     vertexTexCoordinates: [],
+                     indices: [],
+                     materialIndex: materialIndex
+        };
+
+        var texCoords = [], vertexMap = {};
+        var position = inputs.POSITION, normal = inputs.NORMAL, texCoord = inputs.TEXCOORD;
+        var faceNormal = vec3.create(), e1 = vec3.create(), e2 = vec3.create();
+
+        function copy(input, index, count, dest)
+        {
+            var k, start = input.source.stride * index;
+
+            for (k = 0; k < count; k++)
+            {
+                dest.push(input.source.data[start + k]);
+            }
+        };
+
+        function addVertex(polygon, corner, faceIndex)
+        {
+            var tuple = polygon.slice(corner * stride, (corner + 1) * stride);
+
+            // Without normals, each face gets its own vertices so they can
+            // share its flat normal.
+            var key = tuple.join(" ") + (normal ? "" : "/" + faceIndex);
+            var index = vertexMap[key];
+
+            if (index === undefined)
+            {
+                index = mesh.vertexPositions.length / 3;
+                vertexMap[key] = index;
+
+                copy(position, tuple[position.offset], 3, mesh.vertexPositions);
+
+                if (normal)
+                {
+                    copy(normal, tuple[normal.offset], 3, mesh.vertexNormals);
+                }
+                else
+                {
+                    mesh.vertexNormals.push(faceNormal[0], faceNormal[1], faceNormal[2]);
+                }
+
+                if (texCoord)
+                {
+                    copy(texCoord, tuple[texCoord.offset], 2, texCoords);
+                }
+            }
+
+            mesh.indices.push(index);
+        };
+
+        function computeFaceNormal(polygon)
+        {
+            var k, p = [];
+
+            for (k = 0; k < 3; k++)
+            {
+                p.push(position.source.data.slice(3 * polygon[k * stride + position.offset],
+                                                  3 * polygon[k * stride + position.offset] + 3));
+            }
+
+            vec3.subtract(p[1], p[0], e1);
+            vec3.subtract(p[2], p[0], e2);
+            vec3.normalize(vec3.cross(e1, e2, faceNormal));
+        };
+
+        if (!position)
+        {
+            throw new Error("COLLADA primitive has no POSITION input");
+        }
+
+        var i, j, faceIndex = 0;
+        for (i = 0; i < polygons.length; i++)
+        {
+            // Triangulate the polygon as a fan around its first vertex.
+            for (j = 2; j < polygons[i].length / stride; j++)
+            {
+                if (!normal)
+                {
+                    computeFaceNormal([].concat(polygons[i].slice(0, stride),
+                                                polygons[i].slice((j - 1) * stride, (j + 1) * stride)));
+                }
+
+                addVertex(polygons[i], 0, faceIndex);
+                addVertex(polygons[i], j - 1, faceIndex);
+                addVertex(polygons[i], j, faceIndex);
+                faceIndex++;
+            }
+        }
+
+        if (texCoord)
+        {
+            mesh.vertexTexCoordinates.push(texCoords);
+        }
+
+        return mesh;
+    };
+
+    // COLLADA matrices are row-major while gl-matrix's are column-major.
+    function parseLocalMatrix(node)
+    {
+        var local = mat4.identity(mat4.create()), tmp = mat4.create();
+        var elements = childElements(node);
+
+        var i, values;
+        for (i = 0; i < elements.length; i++)
+        {
+            values = parseNumbers(elements[i]);
+
+            switch (elements[i].localName)
+            {
+                case "matrix":
+                    mat4.transpose(values, tmp);
+                    mat4.multiply(local, tmp);
+                    break;
+                case "translate":
+                    mat4.translate(local, values);
+                    break;
+                case "rotate":
+                    mat4.rotate(local, ShipGL.Math.toRadians(values[3]), values);
+                    break;
+                case "scale":
+                    mat4.scale(local, values);
+                    break;
+            }
+        }
+
+        return local;
+    };
+
+    function parse(daeText)
+    {
+        var doc = new DOMParser().parseFromString(daeText, "application/xml");
+
+        if (doc.getElementsByTagName("parsererror").length > 0 ||
+            !doc.documentElement || doc.documentElement.localName != "COLLADA")
+        {
+            throw new Error("Not a valid COLLADA document");
+        }
+
+        var ids = indexIds(doc);
+        var json = { name: "noname", materials: [], meshes: [], nodes: [] };
+        var materialIndices = {}, meshCache = {};
+
+        function materialIndexFor(materialId)
+        {
+            if (materialIndices[materialId] === undefined)
+            {
+                materialIndices[materialId] = json.materials.length;
+                json.materials.push(parseMaterial(lookup(ids, materialId), ids));
+            }
+
+            return materialIndices[materialId];
+        };
+
+        // Meshes are shared between every instance of a geometry that binds
+        // the same materials.
+        function meshIndicesFor(instance)
+        {
+            var geometry = lookup(ids, instance.getAttribute("url"));
+            var mesh = geometry ? firstChild(geometry, "mesh") : null;
+            var bindings = {}, result = [];
+
+            if (!mesh)
+                return result;
+
+            var i, symbol, materialIndex, key, instances = instance.getElementsByTagName("instance_material");
+            for (i = 0; i < instances.length; i++)
+            {
+                bindings[instances[i].getAttribute("symbol")] = instances[i].getAttribute("target");
+            }
+
+            var primitives = childElements(mesh).filter(function(element)
+            {
+                return /^(triangles|polylist|polygons)$/.test(element.localName);
+            });
+
+            for (i = 0; i < primitives.length; i++)
+            {
+                symbol = primitives[i].getAttribute("material");
+                materialIndex = materialIndexFor(bindings[symbol] || symbol || "");
+                key = geometry.getAttribute("id") + "/" + i + "/" + materialIndex;
+
+                if (meshCache[key] === undefined)
+                {
+                    meshCache[key] = json.meshes.length;
+                    json.meshes.push(parsePrimitive(primitives[i], ids, materialIndex));
+                }
+
+                result.push(meshCache[key]);
+            }
+
+            return result;
+        };
+
+        // rootMatrix is only given for the visual scene's top level nodes.
+        function visit(node, rootMatrix)
+        {
+            var matrix = parseLocalMatrix(node);
+            var children = childElements(node);
+
+            if (rootMatrix)
+            {
+                mat4.multiply(rootMatrix, matrix, matrix);
+            }
+
+            var result = { name: node.getAttribute("name") || node.getAttribute("id") || "",
+                           modelMatrix: Array.prototype.slice.call(matrix),
+                           meshIndices: [],
+                           children: []
+            };
+
+            var i, target;
+            for (i = 0; i < children.length; i++)
+            {
+                switch (children[i].localName)
+                {
+                    case "instance_geometry":
+                        result.meshIndices = result.meshIndices.concat(meshIndicesFor(children[i]));
+                        break;
+                    case "node":
+                        result.children.push(visit(children[i]));
+                        break;
+                    case "instance_node":
+                        target = lookup(ids, children[i].getAttribute("url"));
+
+                        if (target)
+                        {
+                            result.children.push(visit(target));
+                        }
+                        break;
+                }
+            }
+
+            return result;
+        };
+
+        var rootMatrix = mat4.identity(mat4.create());
+        var upAxis = doc.getElementsByTagName("up_axis")[0];
+
+        if (upAxis && upAxis.textContent.trim() == "Z_UP")
+        {
+            mat4.rotateX(rootMatrix, -Math.PI / 2);
+        }
+
+        var scene = doc.getElementsByTagName("scene")[0];
+        var instanceScene = scene ? firstChild(scene, "instance_visual_scene") : null;
+        var visualScene = instanceScene ? lookup(ids, instanceScene.getAttribute("url")) :
+                                          doc.getElementsByTagName("visual_scene")[0];
+
+        if (!visualScene)
+        {
+            throw new Error("COLLADA document has no visual scene");
+        }
+
+        json.name = visualScene.getAttribute("name") || json.name;
+
+        var i, rootNodes = childElements(visualScene, "node");
+        for (i = 0; i < rootNodes.length; i++)
+        {
+            json.nodes.push(visit(rootNodes[i], rootMatrix));
+        }
+
+        return json;
+    };
+
+    function load(gl, pathToDAE, onLoad, onError, ModelType, options)
+    {
+        ModelType = ModelType || ShipGL.StandardModel;
+
+        return ShipGL.FileLoader.loadText(pathToDAE, function(daeText)
+        {
+            var model;
+
+            // Errors in the document can also surface while the model builds
+            // its meshes, so those are reported as parse failures too.
+            try
+            {
+                model = new ModelType(gl, pathToDAE, parse(daeText));
+                model.initialize(options);
+            }
+            catch (e)
+            {
+                var error = new ShipGL.FileLoadError(pathToDAE, 0, "parse",
+                                                     "Failed to load " + pathToDAE +
+                                                     ": " + e.message);
+                if (!onError)
+                {
+                    throw error;
+                }
+
+                onError(error);
+                return;
+            }
+
+            model.onReady(onLoad);
+        }, onError, { mimeType: "application/xml" });
+    };
+
+    return { parse: parse,
+             load: load
+    };
+})();
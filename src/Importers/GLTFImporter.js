@@ -0,0 +1,694 @@
+/**
+ * @file Contains all ShipGL.GLTFImporter code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * ShipGL.GLTFImporter converts glTF 2.0 assets (.gltf files with external
+ * or embedded buffers, and binary .glb files) into the same JSON model data
+ * ShipGL.Model reads from its JSON model files, so any ShipGL.Model
+ * subclass can render glTF models. Function documentation is provided
+ * through an example since JSDoc doesn't have great support for documenting
+ * singleton-like objects.
+ *
+ * Every primitive becomes one mesh with its positions, normals, texture
+ * coordinate sets and indices. Accessors may use separate or interleaved
+ * buffer views. Materials keep their metallic-roughness fields, base color,
+ * metallic-roughness and occlusion maps, so ShipGL.Model makes them
+ * ShipGL.PBRMaterial's. They also take their diffuse reflectance and
+ * texture from the base color, their emission color and emissive map from
+ * the emissive factor and texture, and their normal map from the normal
+ * texture. Every scene node becomes one node, with its transform
+ * relative to its parent as its modelMatrix and its glTF children as its
+ * children.
+ *
+ * Assets using required extensions, sparse accessors, or primitives that
+ * are not triangles are rejected with an Error naming the feature.
+ * Skins, morph targets, animations and cameras are ignored.
+ *
+ * @example
+ * // Asynchronously load a .gltf or .glb file, along with any external
+ * // buffers it references, and create an initialized model from it. The
+ * // callback gets the model once all of its textures have loaded. The
+ * // optional options are passed to the model's initialize method.
+ * ShipGL.GLTFImporter.load(gl, "models/duck/duck.gltf",
+ *     function(model) { model.draw(); },
+ *     function(error) { alert(error.message); },
+ *     MyModel, { pbrMaterials: true });
+ *
+ * // parseGLB(arrayBuffer) splits a .glb file into its parsed glTF JSON and
+ * // its binary chunk (an ArrayBuffer, or null).
+ * var glb = ShipGL.GLTFImporter.parseGLB(arrayBuffer);
+ *
+ * // parse(gltf, buffers) returns JSON model data. buffers holds an
+ * // ArrayBuffer for every entry in gltf.buffers. It throws an Error for
+ * // invalid or unsupported assets.
+ * var json = ShipGL.GLTFImporter.parse(glb.gltf, [glb.bin]);
+ */
+ShipGL.GLTFImporter = (function()
+{
+    var TRIANGLES = 4;
+
+    var GLB_MAGIC = 0x46546C67;
+    var GLB_JSON_CHUNK = 0x4E4F534A;
+    var GLB_BIN_CHUNK = 0x004E4942;
+
+    var componentTypes = {
+        5120: { ArrayType: Int8Array,    max: 127 },
+        5121: { ArrayType: Uint8Array,   max: 255 },
+        5122: { ArrayType: Int16Array,   max: 32767 },
+        5123: { ArrayType: Uint16Array,  max: 65535 },
+        5125: { ArrayType: Uint32Array,  max: 4294967295 },
+        5126: { ArrayType: Float32Array, max: 1 }
+    };
+
+    var componentCounts = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4,
+                            MAT2: 4, MAT3: 9, MAT4: 16 };
+
+    function decodeDataURI(uri)
+    {
+        var binary = atob(uri.substring(uri.indexOf(",") + 1));
+        var bytes = new Uint8Array(binary.length);
+
+        var i;
+        for (i = 0; i < binary.length; i++)
+        {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return bytes.buffer;
+    };
+
+    function parseGLB(arrayBuffer)
+    {
+        var view = new DataView(arrayBuffer);
+
+        if (arrayBuffer.byteLength < 20 || view.getUint32(0, true) != GLB_MAGIC)
+        {
+            throw new Error("Not a binary glTF (.glb) file");
+        }
+
+        if (view.getUint32(4, true) != 2)
+        {
+            throw new Error("Unsupported binary glTF version " + view.getUint32(4, true));
+        }
+
+        var gltf = null, bin = null;
+        var offset = 12, length = Math.min(view.getUint32(8, true), arrayBuffer.byteLength);
+
+        var chunkLength, chunkType, chunkBytes;
+        while (offset + 8 <= length)
+        {
+            chunkLength = view.getUint32(offset, true);
+            chunkType = view.getUint32(offset + 4, true);
+            chunkBytes = arrayBuffer.slice(offset + 8, offset + 8 + chunkLength);
+
+            if (chunkType == GLB_JSON_CHUNK)
+            {
+                gltf = JSON.parse(decodeUTF8(new Uint8Array(chunkBytes)));
+            }
+            else if (chunkType == GLB_BIN_CHUNK && !bin)
+            {
+                bin = chunkBytes;
+            }
+
+            offset += 8 + chunkLength;
+        }
+
+        if (!gltf)
+        {
+            throw new Error("Binary glTF file has no JSON chunk");
+        }
+
+        return { gltf: gltf, bin: bin };
+    };
+
+    function decodeUTF8(bytes)
+    {
+        var i, binary = "";
+
+        for (i = 0; i < bytes.length; i++)
+        {
+            binary += String.fromCharCode(bytes[i]);
+        }
+
+        return decodeURIComponent(escape(binary));
+    };
+
+    function checkSupport(gltf)
+    {
+        var version = gltf.asset ? String(gltf.asset.version) : "";
+
+        if (version.charAt(0) != "2")
+        {
+            throw new Error("Unsupported glTF version \"" + version +
+                            "\" (only 2.0 is supported)");
+        }
+
+        if (gltf.extensionsRequired && gltf.extensionsRequired.length > 0)
+        {
+            throw new Error("Unsupported required glTF extension(s): " +
+                            gltf.extensionsRequired.join(", "));
+        }
+    };
+
+    // Reads an accessor into a tightly packed typed array, following the
+    // buffer view's byteStride for interleaved data. Normalized integer
+    // data is converted to floats. The result is always a copy, since
+    // texture coordinates get flipped in place and accessors can be shared.
+    function readAccessor(gltf, buffers, index)
+    {
+        var accessor = gltf.accessors[index];
+
+        if (accessor.sparse)
+        {
+            throw new Error("Sparse glTF accessors are not supported (accessor " +
+                            index + ")");
+        }
+
+        var type = componentTypes[accessor.componentType];
+        var count = componentCounts[accessor.type];
+
+        if (!type || !count)
+        {
+            throw new Error("Unsupported glTF accessor layout " + accessor.type +
+                            "/" + accessor.componentType + " (accessor " + index + ")");
+        }
+
+        var ArrayType = accessor.normalized ? Float32Array : type.ArrayType;
+        var result = new ArrayType(accessor.count * count);
+
+        // Accessors without a buffer view are all zeros.
+        if (accessor.bufferView === undefined)
+        {
+            return result;
+        }
+
+        var bufferView = gltf.bufferViews[accessor.bufferView];
+        var buffer = buffers[bufferView.buffer];
+        var elementSize = type.ArrayType.BYTES_PER_ELEMENT;
+        var byteStride = bufferView.byteStride || elementSize * count;
+        var byteOffset = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+
+        if (!buffer)
+        {
+            throw new Error("glTF buffer " + bufferView.buffer + " was not loaded");
+        }
+
+        // Tightly packed, aligned data is copied in one go through a single
+        // view of the whole range.
+        if (!accessor.normalized && byteStride == elementSize * count &&
+            byteOffset % elementSize == 0)
+        {
+            result.set(new type.ArrayType(buffer, byteOffset, result.length));
+            return result;
+        }
+
+        var i, j, src, scale = accessor.normalized ? 1 / type.max : 1;
+        for (i = 0; i < accessor.count; i++)
+        {
+            src = new type.ArrayType(buffer, byteOffset + i * byteStride, count);
+
+            for (j = 0; j < count; j++)
+            {
+                result[i * count + j] = accessor.normalized ? Math.max(src[j] * scale, -1) :
+                                                             src[j];
+            }
+        }
+
+        return result;
+    };
+
+    function imageURI(gltf, buffers, imageIndex)
+    {
+        var image = gltf.images[imageIndex];
+
+        if (image.uri !== undefined)
+        {
+            return image.uri;
+        }
+
+        // Images embedded in a buffer view (common in .glb files) are
+        // handed to the texture as blob URLs.
+        var bufferView = gltf.bufferViews[image.bufferView];
+        var start = bufferView.byteOffset || 0;
+        var bytes = buffers[bufferView.buffer].slice(start, start + bufferView.byteLength);
+
+        return URL.createObjectURL(new Blob([bytes], { type: image.mimeType }));
+    };
+
+    function parseMaterial(gltf, buffers, material)
+    {
+        var pbr = material.pbrMetallicRoughness || {};
+        var emissive = material.emissiveFactor || [0, 0, 0];
+
+        var json = { diffuseTexture: [],
+                     diffuseReflectance: (pbr.baseColorFactor || [1, 1, 1, 1]).slice(),
+                     ambientReflectance: [0, 0, 0, 1],
+                     specularReflectance: [0, 0, 0, 1],
+                     shininess: 0,
+                     emissionColor: [emissive[0], emissive[1], emissive[2], 1],
+                     baseColorFactor: (pbr.baseColorFactor || [1, 1, 1, 1]).slice(),
+                     metallicFactor: pbr.metallicFactor !== undefined ? pbr.metallicFactor : 1,
+                     roughnessFactor: pbr.roughnessFactor !== undefined ? pbr.roughnessFactor : 1
+        };
+
+        function texturePaths(textureInfo)
+        {
+            var texture = textureInfo ? gltf.textures[textureInfo.index] : null;
+            return texture && texture.source !== undefined ?
+                   [imageURI(gltf, buffers, texture.source)] : [];
+        };
+
+        json.diffuseTexture = texturePaths(pbr.baseColorTexture);
+        json.baseColorTexture = json.diffuseTexture;
+        json.metallicRoughnessTexture = texturePaths(pbr.metallicRoughnessTexture);
+        json.occlusionTexture = texturePaths(material.occlusionTexture);
+        json.normalTexture = texturePaths(material.normalTexture);
+        json.emissiveTexture = texturePaths(material.emissiveTexture);
+
+        if (material.occlusionTexture && material.occlusionTexture.strength !== undefined)
+        {
+            json.occlusionStrength = material.occlusionTexture.strength;
+        }
+
+        return json;
+    };
+
+    function createDefaultMaterial()
+    {
+        return { diffuseTexture: [],
+                 diffuseReflectance: [1, 1, 1, 1],
+                 ambientReflectance: [0, 0, 0, 1],
+                 specularReflectance: [0, 0, 0, 1],
+                 shininess: 0,
+                 emissionColor: [0, 0, 0, 1],
+                 baseColorFactor: [1, 1, 1, 1],
+                 metallicFactor: 1,
+                 roughnessFactor: 1
+        };
+    };
+
+    // Without normals, glTF calls for flat shading, so every triangle gets
+    // its own three vertices sharing the triangle's normal.
+    function unweldWithFlatNormals(mesh)
+    {
+        var indices = mesh.indices, positions = mesh.vertexPositions;
+        var flatPositions = new Float32Array(3 * indices.length);
+        var flatNormals = new Float32Array(3 * indices.length);
+        var flatTexCoords = mesh.vertexTexCoordinates.map(function()
+        {
+            return new Float32Array(2 * indices.length);
+        });
+
+        var p = [vec3.create(), vec3.create(), vec3.create()];
+        var e1 = vec3.create(), e2 = vec3.create(), n = vec3.create();
+
+        var i, j, k, v;
+        for (i = 0; i < indices.length; i += 3)
+        {
+            for (j = 0; j < 3; j++)
+            {
+                v = indices[i + j];
+
+                for (k = 0; k < 3; k++)
+                {
+                    p[j][k] = positions[3 * v + k];
+                    flatPositions[3 * (i + j) + k] = p[j][k];
+                }
+
+                for (k = 0; k < flatTexCoords.length; k++)
+                {
+                    flatTexCoords[k][2 * (i + j)] = mesh.vertexTexCoordinates[k][2 * v];
+                    flatTexCoords[k][2 * (i + j) + 1] = mesh.vertexTexCoordinates[k][2 * v + 1];
+                }
+            }
+
+            vec3.subtract(p[1], p[0], e1);
+            vec3.subtract(p[2], p[0], e2);
+            vec3.normalize(vec3.cross(e1, e2, n));
+
+            for (j = 0; j < 3; j++)
+            {
+                flatNormals.set(n, 3 * (i + j));
+            }
+        }
+
+        mesh.vertexPositions = flatPositions;
+        mesh.vertexNormals = flatNormals;
+        mesh.vertexTexCoordinates = flatTexCoords;
+        mesh.indices = [];
+    };
+
+    function parsePrimitive(gltf, buffers, primitive, materialIndex, meshIndex)
+    {
+        var mode = primitive.mode === undefined ? TRIANGLES : primitive.mode;
+
+        if (mode != TRIANGLES)
+        {
+            throw new Error("Unsupported glTF primitive mode " + mode + " in mesh " +
+                            meshIndex + " (only triangles are supported)");
+        }
+
+        if (primitive.extensions && primitive.extensions.KHR_draco_mesh_compression)
+        {
+            throw new Error("Draco compressed glTF meshes are not supported");
+        }
+
+        var attributes = primitive.attributes;
+
+        if (attributes.POSITION === undefined)
+        {
+            throw new Error("glTF primitive in mesh " + meshIndex + " has no POSITION");
+        }
+
+        var mesh = { vertexPositions: readAccessor(gltf, buffers, attributes.POSITION),
+                     vertexNormals: null,
+                     vertexTexCoordinates: [],
+                     indices: [],
+                     materialIndex: materialIndex
+        };
+
+        var i, j, texCoords;
+        for (i = 0; attributes["TEXCOORD_" + i] !== undefined; i++)
+        {
+            texCoords = readAccessor(gltf, buffers, attributes["TEXCOORD_" + i]);
+
+            // glTF puts the texture origin at the top left, ShipGL at the
+            // bottom left.
+            for (j = 1; j < texCoords.length; j += 2)
+            {
+                texCoords[j] = 1 - texCoords[j];
+            }
+
+            mesh.vertexTexCoordinates.push(texCoords);
+        }
+
+        if (primitive.indices !== undefined)
+        {
+            mesh.indices = readAccessor(gltf, buffers, primitive.indices);
+        }
+
+        if (attributes.NORMAL !== undefined)
+        {
+            mesh.vertexNormals = readAccessor(gltf, buffers, attributes.NORMAL);
+        }
+        else
+        {
+            if (mesh.indices.length == 0)
+            {
+                mesh.indices = new Uint32Array(mesh.vertexPositions.length / 3);
+
+                for (i = 0; i < mesh.indices.length; i++)
+                {
+                    mesh.indices[i] = i;
+                }
+            }
+
+            unweldWithFlatNormals(mesh);
+        }
+
+        return mesh;
+    };
+
+    // glTF matrices are column-major, just like gl-matrix's.
+    function localMatrix(node)
+    {
+        var matrix = mat4.identity(mat4.create());
+
+        if (node.matrix)
+        {
+            mat4.set(node.matrix, matrix);
+            return matrix;
+        }
+
+        if (node.translation)
+        {
+            mat4.translate(matrix, node.translation);
+        }
+
+        if (node.rotation)
+        {
+            mat4.multiply(matrix, quat4.toMat4(node.rotation));
+        }
+
+        if (node.scale)
+        {
+            mat4.scale(matrix, node.scale);
+        }
+
+        return matrix;
+    };
+
+    function parse(gltf, buffers)
+    {
+        checkSupport(gltf);
+
+        var json = { name: "noname", materials: [], meshes: [], nodes: [] };
+        var materialIndices = {}, meshIndices = {};
+
+        function materialIndexFor(index)
+        {
+            var key = index === undefined ? "default" : index;
+
+            if (materialIndices[key] === undefined)
+            {
+                materialIndices[key] = json.materials.length;
+                json.materials.push(index === undefined ? createDefaultMaterial() :
+                                    parseMaterial(gltf, buffers, gltf.materials[index]));
+            }
+
+            return materialIndices[key];
+        };
+
+        // Each glTF mesh is parsed once, however many nodes use it.
+        function meshIndicesFor(index)
+        {
+            if (!meshIndices[index])
+            {
+                var i, primitives = gltf.meshes[index].primitives;
+                meshIndices[index] = [];
+
+                for (i = 0; i < primitives.length; i++)
+                {
+                    meshIndices[index].push(json.meshes.length);
+                    json.meshes.push(parsePrimitive(gltf, buffers, primitives[i],
+                                                    materialIndexFor(primitives[i].material),
+                                                    index));
+                }
+            }
+
+            return meshIndices[index];
+        };
+
+        function visit(nodeIndex)
+        {
+            var node = gltf.nodes[nodeIndex];
+            var result = { name: node.name || "",
+                           modelMatrix: Array.prototype.slice.call(localMatrix(node)),
+                           meshIndices: node.mesh !== undefined ? meshIndicesFor(node.mesh).slice() : [],
+                           children: []
+            };
+
+            var i;
+            for (i = 0; node.children && i < node.children.length; i++)
+            {
+                result.children.push(visit(node.children[i]));
+            }
+
+            return result;
+        };
+
+        var rootNodes, scenes = gltf.scenes || [];
+        var scene = scenes[gltf.scene || 0];
+
+        if (scene)
+        {
+            json.name = scene.name || json.name;
+            rootNodes = scene.nodes || [];
+        }
+        else
+        {
+            // Without scenes, every node that is nobody's child is a root.
+            var i, isChild = {};
+            rootNodes = [];
+
+            (gltf.nodes || []).forEach(function(node)
+            {
+                (node.children || []).forEach(function(child) { isChild[child] = true; });
+            });
+
+            for (i = 0; gltf.nodes && i < gltf.nodes.length; i++)
+            {
+                if (!isChild[i])
+                {
+                    rootNodes.push(i);
+                }
+            }
+        }
+
+        var j;
+        for (j = 0; j < rootNodes.length; j++)
+        {
+            json.nodes.push(visit(rootNodes[j]));
+        }
+
+        return json;
+    };
+
+    function load(gl, pathToGLTF, onLoad, onError, ModelType, options)
+    {
+        ModelType = ModelType || ShipGL.StandardModel;
+
+        var dir = pathToGLTF.substring(0, pathToGLTF.lastIndexOf("/") + 1);
+        var failed = false;
+
+        function fail(error)
+        {
+            if (failed)
+                return;
+
+            failed = true;
+
+            if (!onError)
+            {
+                throw error;
+            }
+
+            onError(error);
+        };
+
+        function failParse(e)
+        {
+            fail(new ShipGL.FileLoadError(pathToGLTF, 0, "parse",
+                                          "Failed to load glTF " + pathToGLTF +
+                                          ": " + e.message));
+        };
+
+        function finish(gltf, buffers)
+        {
+            var model;
+
+            try
+            {
+                model = new ModelType(gl, pathToGLTF, parse(gltf, buffers));
+                model.initialize(options);
+            }
+            catch (e)
+            {
+                failParse(e);
+                return;
+            }
+
+            model.onReady(onLoad);
+        };
+
+        // Embedded (data: URI) buffers are decoded right away. External
+        // buffers are loaded relative to the glTF file.
+        function loadBuffers(gltf, bin)
+        {
+            var buffers = [], pendingCount = 0;
+            var gltfBuffers = gltf.buffers || [];
+
+            function makeOnLoad(index)
+            {
+                return function(arrayBuffer)
+                {
+                    buffers[index] = arrayBuffer;
+                    pendingCount--;
+
+                    if (pendingCount == 0 && !failed)
+                    {
+                        finish(gltf, buffers);
+                    }
+                };
+            };
+
+            var i, uri;
+            for (i = 0; i < gltfBuffers.length; i++)
+            {
+                uri = gltfBuffers[i].uri;
+
+                if (uri === undefined)
+                {
+                    buffers[i] = bin;
+                }
+                else if (uri.indexOf("data:") == 0)
+                {
+                    // Malformed base64 makes atob throw.
+                    try
+                    {
+                        buffers[i] = decodeDataURI(uri);
+                    }
+                    catch (e)
+                    {
+                        failParse(e);
+                        return;
+                    }
+                }
+                else
+                {
+                    pendingCount++;
+                    ShipGL.FileLoader.loadArrayBuffer(dir + uri, makeOnLoad(i), fail);
+                }
+            }
+
+            if (pendingCount == 0)
+            {
+                finish(gltf, buffers);
+            }
+        };
+
+        return ShipGL.FileLoader.loadArrayBuffer(pathToGLTF, function(arrayBuffer)
+        {
+            var gltf, bin = null;
+
+            try
+            {
+                if (new DataView(arrayBuffer).getUint32(0, true) == GLB_MAGIC)
+                {
+                    var glb = parseGLB(arrayBuffer);
+                    gltf = glb.gltf;
+                    bin = glb.bin;
+                }
+                else
+                {
+                    gltf = JSON.parse(decodeUTF8(new Uint8Array(arrayBuffer)));
+                }
+
+                checkSupport(gltf);
+            }
+            catch (e)
+            {
+                failParse(e);
+                return;
+            }
+
+            loadBuffers(gltf, bin);
+        }, fail);
+    };
+
+    return { parse: parse,
+             parseGLB: parseGLB,
+             load: load
+    };
+})();
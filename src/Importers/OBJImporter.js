@@ -0,0 +1,438 @@
+/**
+ * @file Contains all ShipGL.OBJImporter code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * ShipGL.OBJImporter converts Wavefront OBJ and MTL files into the same JSON
+ * model data ShipGL.Model reads from its JSON model files, so any
+ * ShipGL.Model subclass can render OBJ models unchanged. Function
+ * documentation is provided through an example since JSDoc doesn't have
+ * great support for documenting singleton-like objects.
+ *
+ * The produced JSON model data has one mesh per material used in the OBJ
+ * file, a single root node with an identity modelMatrix referencing every
+ * mesh, and one material per MTL material (plus a default material if
+ * some faces have no material). Faces with more than three vertices are
+ * triangulated as fans. If the OBJ file has no normals for some vertices
+ * of a mesh, the mesh gets no normals at all, and ShipGL.Model's
+ * initialize generates them. Besides map_Kd, MTL materials may have normal
+ * (norm, bump or map_Bump), specular (map_Ks) and emissive (map_Ke) maps.
+ *
+ * @example
+ * // Asynchronously load an OBJ file along with the MTL files it references
+ * // and create an initialized model from it. The callback gets the model
+ * // once all of its textures have loaded. Texture paths in the MTL files
+ * // are relative to the MTL file, just like most exporters write them.
+ * // The optional options are passed to the model's initialize method.
+ * ShipGL.OBJImporter.load(gl, "models/crate/crate.obj", function(model)
+ * {
+ *     model.draw();
+ * },
+ * function(error)
+ * {
+ *     alert(error.message);
+ * }, MyModel, { creaseAngle: 60 });
+ *
+ * // parseMTL(mtlText, [texturePrefix]) returns a map of material names to
+ * // JSON materials. texturePrefix is prepended to every texture path.
+ * var materials = ShipGL.OBJImporter.parseMTL(mtlText, "textures/");
+ *
+ * // parse(objText, [materials]) returns JSON model data. Pass the map from
+ * // parseMTL so usemtl statements can be resolved.
+ * var json = ShipGL.OBJImporter.parse(objText, materials);
+ * var model = new MyModel(gl, "models/crate/crate.obj", json);
+ * model.initialize();
+ */
+ShipGL.OBJImporter = (function()
+{
+    function createMaterial()
+    {
+        return { diffuseTexture: [],
+                 diffuseReflectance: [0.8, 0.8, 0.8, 1],
+                 ambientReflectance: [0, 0, 0, 1],
+                 specularReflectance: [0, 0, 0, 1],
+                 shininess: 0,
+                 emissionColor: [0, 0, 0, 1]
+        };
+    };
+
+    function parseColor(tokens, alpha)
+    {
+        return [parseFloat(tokens[1]), parseFloat(tokens[2]),
+                parseFloat(tokens[3]), alpha];
+    };
+
+    // The file name is always last. Anything before it is map options.
+    function parseMapPath(line)
+    {
+        var tokens = line.split(/\s+/);
+        return tokens[tokens.length - 1].replace(/\\/g, "/");
+    };
+
+    function parseMTL(mtlText, texturePrefix)
+    {
+        texturePrefix = texturePrefix || "";
+
+        var materials = {}, curMaterial = null;
+        var lines = mtlText.split(/\r?\n/);
+
+        var i, line, tokens, alpha;
+        for (i = 0; i < lines.length; i++)
+        {
+            line = lines[i].trim();
+
+            if (line.length == 0 || line.charAt(0) == "#")
+                continue;
+
+            tokens = line.split(/\s+/);
+
+            if (tokens[0] == "newmtl")
+            {
+                curMaterial = createMaterial();
+                materials[line.substring(6).trim()] = curMaterial;
+                continue;
+            }
+
+            if (!curMaterial)
+                continue;
+
+            switch (tokens[0])
+            {
+                case "Ka":
+                    curMaterial.ambientReflectance = parseColor(tokens, 1);
+                    break;
+                case "Kd":
+                    alpha = curMaterial.diffuseReflectance[3];
+                    curMaterial.diffuseReflectance = parseColor(tokens, alpha);
+                    break;
+                case "Ks":
+                    curMaterial.specularReflectance = parseColor(tokens, 1);
+                    break;
+                case "Ke":
+                    curMaterial.emissionColor = parseColor(tokens, 1);
+                    break;
+                case "Ns":
+                    curMaterial.shininess = parseFloat(tokens[1]);
+                    break;
+                case "d":
+                    curMaterial.diffuseReflectance[3] = parseFloat(tokens[1]);
+                    break;
+                case "Tr":
+                    curMaterial.diffuseReflectance[3] = 1 - parseFloat(tokens[1]);
+                    break;
+                case "map_Kd":
+                    curMaterial.diffuseTexture = [texturePrefix + parseMapPath(line)];
+                    break;
+                case "norm":
+                case "bump":
+                case "map_Bump":
+                case "map_bump":
+                    curMaterial.normalTexture = [texturePrefix + parseMapPath(line)];
+                    break;
+                case "map_Ks":
+                    curMaterial.specularTexture = [texturePrefix + parseMapPath(line)];
+                    break;
+                case "map_Ke":
+                    curMaterial.emissiveTexture = [texturePrefix + parseMapPath(line)];
+
+                    // The map multiplies Ke, which defaults to black.
+                    if (curMaterial.emissionColor.slice(0, 3).join() == "0,0,0")
+                    {
+                        curMaterial.emissionColor = [1, 1, 1, 1];
+                    }
+                    break;
+            }
+        }
+
+        return materials;
+    };
+
+    // OBJ indices are 1-based, and negative indices count back from the
+    // most recently defined element.
+    function resolveIndex(token, count)
+    {
+        var index = parseInt(token, 10);
+        return index < 0 ? count + index : index - 1;
+    };
+
+    function createMeshBuilder(materialIndex)
+    {
+        return { vertexPositions: [],
+                 vertexNormals: [],
+                 texCoords: [],
+                 indices: [],
+                 materialIndex: materialIndex,
+                 hasTexCoords: false,
+                 needsNormals: false,
+                 vertexMap: {}
+        };
+    };
+
+    // Adds the vertex described by a face token ("v", "v/vt", "v//vn" or
+    // "v/vt/vn") to the mesh, reusing it if the mesh already has it.
+    // Negative indices depend on how many elements precede the face, so
+    // vertices are looked up by their resolved indices.
+    function addVertex(mesh, token, positions, texCoords, normals)
+    {
+        var parts = token.split("/");
+        var p = resolveIndex(parts[0], positions.length / 3);
+        var t = parts[1] ? resolveIndex(parts[1], texCoords.length / 2) : -1;
+        var n = parts[2] ? resolveIndex(parts[2], normals.length / 3) : -1;
+
+        var key = p + "/" + t + "/" + n;
+        var index = mesh.vertexMap[key];
+
+        if (index !== undefined)
+        {
+            mesh.indices.push(index);
+            return index;
+        }
+
+        index = mesh.vertexPositions.length / 3;
+        mesh.vertexMap[key] = index;
+        mesh.indices.push(index);
+
+        mesh.vertexPositions.push(positions[3 * p], positions[3 * p + 1], positions[3 * p + 2]);
+
+        if (t >= 0)
+        {
+            mesh.texCoords.push(texCoords[2 * t], texCoords[2 * t + 1]);
+            mesh.hasTexCoords = true;
+        }
+        else
+        {
+            mesh.texCoords.push(0, 0);
+        }
+
+        if (n >= 0)
+        {
+            mesh.vertexNormals.push(normals[3 * n], normals[3 * n + 1], normals[3 * n + 2]);
+        }
+        else
+        {
+            mesh.needsNormals = true;
+        }
+
+        return index;
+    };
+
+    function parse(objText, materials)
+    {
+        materials = materials || {};
+
+        var json = { name: "noname", materials: [], meshes: [], nodes: [] };
+        var positions = [], texCoords = [], normals = [];
+        var materialIndices = {}, meshes = {}, meshOrder = [];
+        var curMesh = null;
+
+        function useMaterial(name)
+        {
+            if (materialIndices[name] === undefined)
+            {
+                materialIndices[name] = json.materials.length;
+                json.materials.push(materials[name] || createMaterial());
+            }
+
+            var materialIndex = materialIndices[name];
+
+            if (!meshes[materialIndex])
+            {
+                meshes[materialIndex] = createMeshBuilder(materialIndex);
+                meshOrder.push(materialIndex);
+            }
+
+            curMesh = meshes[materialIndex];
+        };
+
+        var lines = objText.split(/\r?\n/);
+        var i, j, line, tokens;
+        for (i = 0; i < lines.length; i++)
+        {
+            line = lines[i].trim();
+
+            if (line.length == 0 || line.charAt(0) == "#")
+                continue;
+
+            tokens = line.split(/\s+/);
+
+            switch (tokens[0])
+            {
+                case "v":
+                    positions.push(parseFloat(tokens[1]),
+                                   parseFloat(tokens[2]),
+                                   parseFloat(tokens[3]));
+                    break;
+                case "vt":
+                    texCoords.push(parseFloat(tokens[1]),
+                                   parseFloat(tokens[2] || 0));
+                    break;
+                case "vn":
+                    normals.push(parseFloat(tokens[1]),
+                                 parseFloat(tokens[2]),
+                                 parseFloat(tokens[3]));
+                    break;
+                case "usemtl":
+                    useMaterial(line.substring(6).trim());
+                    break;
+                case "o":
+                    if (json.name == "noname")
+                        json.name = line.substring(1).trim();
+                    break;
+                case "f":
+                    if (!curMesh)
+                        useMaterial("");
+
+                    // Triangulate the polygon as a fan around its first vertex.
+                    for (j = 3; j < tokens.length; j++)
+                    {
+                        addVertex(curMesh, tokens[1], positions, texCoords, normals);
+                        addVertex(curMesh, tokens[j - 1], positions, texCoords, normals);
+                        addVertex(curMesh, tokens[j], positions, texCoords, normals);
+                    }
+                    break;
+            }
+        }
+
+        var rootNode = { modelMatrix: [1, 0, 0, 0,
+                                       0, 1, 0, 0,
+                                       0, 0, 1, 0,
+                                       0, 0, 0, 1],
+                         meshIndices: []
+        };
+
+        var builder;
+        for (i = 0; i < meshOrder.length; i++)
+        {
+            builder = meshes[meshOrder[i]];
+
+            rootNode.meshIndices.push(json.meshes.length);
+            json.meshes.push({
+                vertexPositions: builder.vertexPositions,
+                vertexNormals: builder.needsNormals ? [] : builder.vertexNormals,
+                vertexTexCoordinates: builder.hasTexCoords ? [builder.texCoords] : [],
+                indices: builder.indices,
+                materialIndex: builder.materialIndex
+            });
+        }
+
+        json.nodes.push(rootNode);
+        return json;
+    };
+
+    function load(gl, pathToOBJ, onLoad, onError, ModelType, options)
+    {
+        ModelType = ModelType || ShipGL.StandardModel;
+
+        var objDir = pathToOBJ.substring(0, pathToOBJ.lastIndexOf("/") + 1);
+
+        return ShipGL.FileLoader.loadText(pathToOBJ, function(objText)
+        {
+            var mtlPaths = [], materials = {}, failed = false;
+            var matches = objText.match(/^\s*mtllib\s+.+$/gm) || [];
+
+            var i;
+            for (i = 0; i < matches.length; i++)
+            {
+                mtlPaths.push(matches[i].trim().substring(6).trim());
+            }
+
+            var pendingCount = mtlPaths.length;
+
+            function finish()
+            {
+                var model;
+
+                try
+                {
+                    model = new ModelType(gl, pathToOBJ, parse(objText, materials));
+                    model.initialize(options);
+                }
+                catch (e)
+                {
+                    fail(new ShipGL.FileLoadError(pathToOBJ, 0, "parse",
+                                                  "Failed to load OBJ " + pathToOBJ +
+                                                  ": " + e.message));
+                    return;
+                }
+
+                model.onReady(onLoad);
+            };
+
+            function fail(error)
+            {
+                if (failed)
+                    return;
+
+                failed = true;
+
+                if (!onError)
+                {
+                    throw error;
+                }
+
+                onError(error);
+            };
+
+            // Texture paths in an MTL file are relative to the MTL file, but
+            // the model looks them up relative to the OBJ file.
+            function makeOnMTLLoad(mtlPath)
+            {
+                var prefix = mtlPath.substring(0, mtlPath.lastIndexOf("/") + 1);
+
+                return function(mtlText)
+                {
+                    var name, parsed = parseMTL(mtlText, prefix);
+
+                    for (name in parsed)
+                    {
+                        materials[name] = parsed[name];
+                    }
+
+                    pendingCount--;
+
+                    if (pendingCount == 0 && !failed)
+                    {
+                        finish();
+                    }
+                };
+            };
+
+            if (pendingCount == 0)
+            {
+                finish();
+                return;
+            }
+
+            for (i = 0; i < mtlPaths.length; i++)
+            {
+                ShipGL.FileLoader.loadText(objDir + mtlPaths[i],
+                                           makeOnMTLLoad(mtlPaths[i]), fail);
+            }
+        }, onError);
+    };
+
+    return { parse: parse,
+             parseMTL: parseMTL,
+             load: load
+    };
+})();
@@ -0,0 +1,277 @@
+/**
+ * @file Contains all ShipGL.Material code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.Material instance from a JSON model material.
+ *
+ * @class ShipGL.Material
+ * @classdesc A ShipGL.Material holds the Phong reflectance coefficients and
+ *            texture maps of a surface and sets them as uniforms on a
+ *            shader program. ShipGL.Model creates one for every material
+ *            in its JSON model data, and ShipGL.StandardModel's built-in
+ *            shader lights models with them.
+ *
+ * @param {object} [json] A JSON model material with any of
+ *                        ambientReflectance, diffuseReflectance,
+ *                        specularReflectance, emissionColor (all RGBA
+ *                        arrays), shininess, and texture (the material's
+ *                        ShipGL.Texture, as set by ShipGL.Model). Missing
+ *                        fields get defaults.
+ * @example
+ * // Besides diffuseTexture, JSON model materials may name a normalTexture,
+ * // specularTexture and emissiveTexture. Each is an array of paths (or a
+ * // single path), just like diffuseTexture. ShipGL.Model loads them into
+ * // the material's diffuseTextures, normalTexture, specularTexture and
+ * // emissiveTexture fields.
+ * //   diffuseTexture, layers that are multiplied together (up to
+ * //                   ShipGL.Material.MAX_DIFFUSE_LAYERS) and replace the
+ * //                   diffuse reflectance
+ * //   normalTexture, a tangent space normal map, used by meshes with tangents
+ * //   specularTexture, multiplies the specular reflectance
+ * //   emissiveTexture, multiplies the emission color. A material with an
+ * //                    emissive map but no emissionColor gets white.
+ * // Every texture is sampled with the mesh's first set of texture
+ * // coordinates.
+ *
+ * // The material sets the following uniforms when bound:
+ * //   uAmbientRefl (vec4), uDiffuseRefl (vec4), uSpecularRefl (vec4),
+ * //   uEmissionColor (vec4), uShininess (float), uShadingModel (int, one of
+ * //   ShipGL.Material.PHONG or ShipGL.Material.BLINN_PHONG),
+ * //   uTex (sampler2D array of MAX_DIFFUSE_LAYERS), uTexCount (int, the
+ * //   number of diffuse layers in use), and uNormalTex, uSpecularTex and
+ * //   uEmissiveTex (sampler2D) along with uHasNormalTex, uHasSpecularTex
+ * //   and uHasEmissiveTex (int, 1 if the map is in use and 0 otherwise).
+ * // Texture units are assigned in that order, starting at 0, to the maps
+ * // in use only.
+ * var material = new ShipGL.Material(model.json.materials[0]);
+ * material.shadingModel = ShipGL.Material.PHONG;
+ *
+ * program.bind();
+ * material.bind(program);
+ *
+ * // Pass the mesh being drawn as the second argument to skip the maps it
+ * // can't use: every map if it has no texture coordinates, and the normal
+ * // map if it has no tangents.
+ * material.bind(program, mesh);
+ *
+ * // A shininess of 0 turns the specular highlight off, since plenty of
+ * // exporters write 0 for materials without one.
+ */
+ShipGL.Material = function(json)
+{
+    json = json || {};
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The fraction of ambient light reflected (RGBA).
+     * @name ambientReflectance
+     */
+    this.ambientReflectance = vec4.create(json.ambientReflectance || [0, 0, 0, 1]);
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The fraction of light diffusely reflected (RGBA). The
+     *              diffuse textures replace it if the material has any.
+     * @name diffuseReflectance
+     */
+    this.diffuseReflectance = vec4.create(json.diffuseReflectance || [0.8, 0.8, 0.8, 1]);
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The fraction of light specularly reflected (RGBA).
+     * @name specularReflectance
+     */
+    this.specularReflectance = vec4.create(json.specularReflectance || [0, 0, 0, 1]);
+
+    var hasEmissiveMap = ShipGL.Material.texturePaths(json.emissiveTexture).length > 0;
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The color the surface emits on its own (RGBA).
+     * @name emissionColor
+     */
+    this.emissionColor = vec4.create(json.emissionColor ||
+                                     (hasEmissiveMap ? [1, 1, 1, 1] : [0, 0, 0, 1]));
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The specular exponent. Larger values give smaller,
+     *              sharper highlights.
+     * @name shininess
+     */
+    this.shininess = json.shininess || 0;
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The material's diffuse ShipGL.Texture layers.
+     * @name diffuseTextures
+     */
+    this.diffuseTextures = json.texture ? [json.texture] : [];
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The material's first diffuse ShipGL.Texture, or null.
+     * @name texture
+     */
+    this.texture = json.texture || null;
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The material's tangent space normal map
+     *              (ShipGL.Texture), or null.
+     * @name normalTexture
+     */
+    this.normalTexture = null;
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The material's specular map (ShipGL.Texture), or null.
+     * @name specularTexture
+     */
+    this.specularTexture = null;
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description The material's emissive map (ShipGL.Texture), or null.
+     * @name emissiveTexture
+     */
+    this.emissiveTexture = null;
+
+    /**
+     * @memberof ShipGL.Material#
+     * @description How specular highlights are computed,
+     *              ShipGL.Material.PHONG or ShipGL.Material.BLINN_PHONG.
+     * @name shadingModel
+     */
+    this.shadingModel = ShipGL.Material.BLINN_PHONG;
+
+    this._layerUnits = new Int32Array(ShipGL.Material.MAX_DIFFUSE_LAYERS);
+};
+
+/**
+ * Specular highlights from the angle between the reflected light and the
+ * view direction.
+ */
+ShipGL.Material.PHONG = 0;
+
+/**
+ * Specular highlights from the angle between the normal and the half
+ * vector between the light and view directions.
+ */
+ShipGL.Material.BLINN_PHONG = 1;
+
+/**
+ * The most diffuse texture layers a material binds.
+ */
+ShipGL.Material.MAX_DIFFUSE_LAYERS = 4;
+
+/**
+ * The names of the material's single texture maps. Each is both the JSON
+ * model material field naming the texture's path and the material field
+ * ShipGL.Model stores the loaded ShipGL.Texture in.
+ */
+ShipGL.Material.prototype.textureNames = ["normalTexture", "specularTexture", "emissiveTexture"];
+
+/**
+ * Get the texture paths of a JSON model material texture field, which may
+ * be an array of paths, a single path, or missing.
+ *
+ * @param {(Array|string)} [value] The texture field's value
+ * @return {Array} The texture paths
+ */
+ShipGL.Material.texturePaths = function(value)
+{
+    if (!value)
+        return [];
+
+    return typeof value == "string" ? [value] : value;
+};
+
+/**
+ * Set the material's uniforms on a bound shader program and bind its
+ * textures.
+ *
+ * @this {ShipGL.Material}
+ *
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ * @param {object} [mesh] The JSON mesh about to be drawn. If specified,
+ *                        maps the mesh can't use are left out.
+ * @return {number} The number of texture units used. The textures are
+ *                  bound to units 0 through this number minus one.
+ */
+ShipGL.Material.prototype.bind = function(program, mesh)
+{
+    var hasTexCoords = !mesh || mesh.hasTexCoords;
+    var hasTangents = !mesh || mesh.hasTangents;
+    var layerCount = hasTexCoords ? Math.min(this.diffuseTextures.length,
+                                             ShipGL.Material.MAX_DIFFUSE_LAYERS) : 0;
+    var unit = 0;
+
+    program.setUniformVec4f("uAmbientRefl", this.ambientReflectance);
+    program.setUniformVec4f("uDiffuseRefl", this.diffuseReflectance);
+    program.setUniformVec4f("uSpecularRefl", this.specularReflectance);
+    program.setUniformVec4f("uEmissionColor", this.emissionColor);
+    program.setUniform1f("uShininess", this.shininess);
+    program.setUniform1i("uShadingModel", this.shadingModel);
+
+    var i;
+    for (i = 0; i < this._layerUnits.length; i++)
+    {
+        if (i < layerCount)
+        {
+            this.diffuseTextures[i].bind(unit);
+            this._layerUnits[i] = unit++;
+        }
+        else
+        {
+            this._layerUnits[i] = 0;
+        }
+    }
+
+    program.setUniformVec1i("uTex", this._layerUnits);
+    program.setUniform1i("uTexCount", layerCount);
+
+    unit = this._bindMap(program, "uNormalTex", "uHasNormalTex", this.normalTexture,
+                         hasTexCoords && hasTangents, unit);
+    unit = this._bindMap(program, "uSpecularTex", "uHasSpecularTex", this.specularTexture,
+                         hasTexCoords, unit);
+    return this._bindMap(program, "uEmissiveTex", "uHasEmissiveTex", this.emissiveTexture,
+                         hasTexCoords, unit);
+};
+
+// Binds a map to the next texture unit if it's usable and returns the next
+// free unit.
+ShipGL.Material.prototype._bindMap = function(program, samplerName, flagName, texture, isUsable, unit)
+{
+    if (texture && isUsable)
+    {
+        texture.bind(unit);
+        program.setUniform1i(samplerName, unit);
+        program.setUniform1i(flagName, 1);
+        return unit + 1;
+    }
+
+    program.setUniform1i(flagName, 0);
+    return unit;
+};
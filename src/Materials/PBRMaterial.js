@@ -0,0 +1,217 @@
+/**
+ * @file Contains all ShipGL.PBRMaterial code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.PBRMaterial instance from a JSON model material.
+ *
+ * @class ShipGL.PBRMaterial
+ * @classdesc A ShipGL.PBRMaterial describes a surface with the
+ *            metallic-roughness model used by glTF, for physically based
+ *            rendering. ShipGL.Model creates one for every JSON material
+ *            with metallic-roughness fields, or for every material if
+ *            initialized with the pbrMaterials option.
+ *            ShipGL.StandardModel draws meshes using them with its PBR
+ *            shader, lit by its lights and its ShipGL.EnvironmentMap.
+ * @augments ShipGL.Material
+ *
+ * @param {object} [json] A JSON model material. See the example for the
+ *                        fields read.
+ * @example
+ * // JSON model materials may have the following metallic-roughness
+ * // fields, named like their glTF counterparts:
+ * //   baseColorFactor, an RGBA array multiplying the base color texture
+ * //   metallicFactor, 0 for dielectrics up to 1 for metals
+ * //   roughnessFactor, 0 for mirror-like surfaces up to 1 for rough ones
+ * //   occlusionStrength, how much the occlusion texture darkens the
+ * //                      ambient lighting (0 to 1)
+ * //   baseColorTexture, the base color (sRGB)
+ * //   metallicRoughnessTexture, roughness in green and metalness in blue,
+ * //                             multiplying the factors
+ * //   occlusionTexture, ambient occlusion in red
+ * // normalTexture, emissiveTexture and emissionColor work as they do for
+ * // ShipGL.Material. Texture fields are arrays of paths (or a single path).
+ *
+ * // Legacy Phong materials are converted: the base color comes from the
+ * // diffuse reflectance and texture, the material is not metallic, and the
+ * // roughness is derived from the shininess.
+ * var material = new ShipGL.PBRMaterial(model.json.materials[0]);
+ *
+ * // The material sets the following uniforms when bound:
+ * //   uBaseColorFactor (vec4), uMetallicFactor (float),
+ * //   uRoughnessFactor (float), uOcclusionStrength (float),
+ * //   uEmissionColor (vec4), and uBaseColorTex, uMetallicRoughnessTex,
+ * //   uOcclusionTex, uNormalTex and uEmissiveTex (sampler2D) along with
+ * //   uHasBaseColorTex, uHasMetallicRoughnessTex, uHasOcclusionTex,
+ * //   uHasNormalTex and uHasEmissiveTex (int, 1 if the map is in use and
+ * //   0 otherwise).
+ * // Texture units are assigned in that order, starting at 0, to the maps
+ * // in use only.
+ * material.bind(program, mesh);
+ */
+ShipGL.PBRMaterial = function(json)
+{
+    json = json || {};
+    ShipGL.Material.call(this, json);
+
+    var isPBR = ShipGL.PBRMaterial.isPBR(json);
+    var hasDiffuseMap = ShipGL.Material.texturePaths(json.diffuseTexture).length > 0;
+    var baseColor = json.baseColorFactor;
+
+    // A legacy diffuse texture replaces the diffuse reflectance rather
+    // than multiplying it. Legacy reflectances are sRGB colors, while the
+    // base color factor is linear.
+    if (!baseColor)
+    {
+        baseColor = isPBR || hasDiffuseMap ? [1, 1, 1, this.diffuseReflectance[3]] :
+                                             [Math.pow(this.diffuseReflectance[0], 2.2),
+                                              Math.pow(this.diffuseReflectance[1], 2.2),
+                                              Math.pow(this.diffuseReflectance[2], 2.2),
+                                              this.diffuseReflectance[3]];
+    }
+
+    /**
+     * @memberof ShipGL.PBRMaterial#
+     * @description The base color (RGBA), multiplying the base color
+     *              texture if there is one.
+     * @name baseColorFactor
+     */
+    this.baseColorFactor = vec4.create(baseColor);
+
+    /**
+     * @memberof ShipGL.PBRMaterial#
+     * @description The metalness, from 0 (dielectric) to 1 (metal).
+     * @name metallicFactor
+     */
+    this.metallicFactor = json.metallicFactor !== undefined ? json.metallicFactor : (isPBR ? 1 : 0);
+
+    /**
+     * @memberof ShipGL.PBRMaterial#
+     * @description The roughness, from 0 (smooth) to 1 (rough).
+     * @name roughnessFactor
+     */
+    this.roughnessFactor = json.roughnessFactor !== undefined ? json.roughnessFactor :
+                           (isPBR ? 1 : ShipGL.PBRMaterial.shininessToRoughness(this.shininess));
+
+    /**
+     * @memberof ShipGL.PBRMaterial#
+     * @description How much the occlusion texture darkens the ambient
+     *              lighting, from 0 to 1.
+     * @name occlusionStrength
+     */
+    this.occlusionStrength = json.occlusionStrength !== undefined ? json.occlusionStrength : 1;
+
+    /**
+     * @memberof ShipGL.PBRMaterial#
+     * @description The base color map (ShipGL.Texture), or null. Without
+     *              one, the first diffuse texture is used.
+     * @name baseColorTexture
+     */
+    this.baseColorTexture = null;
+
+    /**
+     * @memberof ShipGL.PBRMaterial#
+     * @description The metallic-roughness map (ShipGL.Texture), or null.
+     * @name metallicRoughnessTexture
+     */
+    this.metallicRoughnessTexture = null;
+
+    /**
+     * @memberof ShipGL.PBRMaterial#
+     * @description The ambient occlusion map (ShipGL.Texture), or null.
+     * @name occlusionTexture
+     */
+    this.occlusionTexture = null;
+};
+
+ShipGL.PBRMaterial.prototype = Object.create(ShipGL.Material.prototype);
+
+/**
+ * The names of the material's texture maps. See
+ * ShipGL.Material.prototype.textureNames.
+ */
+ShipGL.PBRMaterial.prototype.textureNames = ["baseColorTexture", "metallicRoughnessTexture",
+                                             "occlusionTexture", "normalTexture",
+                                             "emissiveTexture"];
+
+/**
+ * Check whether a JSON model material has metallic-roughness fields.
+ *
+ * @param {object} json The JSON model material
+ * @return {boolean} Whether the material is a metallic-roughness material
+ */
+ShipGL.PBRMaterial.isPBR = function(json)
+{
+    return json.metallicFactor !== undefined || json.roughnessFactor !== undefined ||
+           json.baseColorFactor !== undefined ||
+           ShipGL.Material.texturePaths(json.baseColorTexture).length > 0 ||
+           ShipGL.Material.texturePaths(json.metallicRoughnessTexture).length > 0;
+};
+
+/**
+ * Convert a Phong specular exponent to a roughness, using the usual
+ * Beckmann correspondence.
+ *
+ * @param {number} shininess The Phong specular exponent
+ * @return {number} The roughness, from 0 to 1
+ */
+ShipGL.PBRMaterial.shininessToRoughness = function(shininess)
+{
+    return Math.sqrt(2 / (Math.max(shininess, 0) + 2));
+};
+
+/**
+ * Set the material's uniforms on a bound shader program and bind its
+ * textures.
+ *
+ * @this {ShipGL.PBRMaterial}
+ *
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ * @param {object} [mesh] The JSON mesh about to be drawn. If specified,
+ *                        maps the mesh can't use are left out.
+ * @return {number} The number of texture units used. The textures are
+ *                  bound to units 0 through this number minus one.
+ */
+ShipGL.PBRMaterial.prototype.bind = function(program, mesh)
+{
+    var hasTexCoords = !mesh || mesh.hasTexCoords;
+    var hasTangents = !mesh || mesh.hasTangents;
+    var unit = 0;
+
+    program.setUniformVec4f("uBaseColorFactor", this.baseColorFactor);
+    program.setUniform1f("uMetallicFactor", this.metallicFactor);
+    program.setUniform1f("uRoughnessFactor", this.roughnessFactor);
+    program.setUniform1f("uOcclusionStrength", this.occlusionStrength);
+    program.setUniformVec4f("uEmissionColor", this.emissionColor);
+
+    unit = this._bindMap(program, "uBaseColorTex", "uHasBaseColorTex",
+                         this.baseColorTexture || this.texture, hasTexCoords, unit);
+    unit = this._bindMap(program, "uMetallicRoughnessTex", "uHasMetallicRoughnessTex",
+                         this.metallicRoughnessTexture, hasTexCoords, unit);
+    unit = this._bindMap(program, "uOcclusionTex", "uHasOcclusionTex",
+                         this.occlusionTexture, hasTexCoords, unit);
+    unit = this._bindMap(program, "uNormalTex", "uHasNormalTex", this.normalTexture,
+                         hasTexCoords && hasTangents, unit);
+    return this._bindMap(program, "uEmissiveTex", "uHasEmissiveTex", this.emissiveTexture,
+                         hasTexCoords, unit);
+};
@@ -64,38 +64,31 @@ ShipGL.Floor = function(gl)
     this.center = vec3.create();
     
     var bufferUtils = new ShipGL.BufferUtilities(this.gl);
+    var plane = bufferUtils.generatePlane(2, 2);
+
+    /**
+     * @memberof ShipGL.Floor#
+     * @description The layout of the floor's vertex buffer.
+     * @name vertexLayout
+     */
+    this.vertexLayout = new ShipGL.VertexLayout(this.gl);
+    this.vertexLayout.addAttribute("aPosition", 3);
+    this.vertexLayout.addAttribute("aTexCoord", 2);
 
     /**
      * @memberof ShipGL.Floor#
      * @description The vertex buffer object for the floor.
      * @name vbo
      */
-    this.vbo = bufferUtils.createVertexBuffer([
-        // Vertices
-        -1.0, 0.0, -1.0,
-        -1.0, 0.0,  1.0,
-         1.0, 0.0,  1.0,
-         1.0, 0.0, -1.0,
-
-        // Texture coordinates
-         0.0, 0.0,
-         0.0, 1.0,
-         1.0, 0.0,
-         1.0, 1.0
-    ]);
-
-    this.positionsOffset = 0;
-    this.texCoordsOffset = 12;
-    this.stride = 0;
+    this.vbo = this.vertexLayout.createBuffer({ aPosition: plane.vertexPositions,
+                                                aTexCoord: plane.vertexTexCoordinates[0] });
 
     /**
      * @memberof ShipGL.Floor#
      * @description The index buffer object for the floor.
      * @name ibo
      */
-    this.ibo = bufferUtils.createIndexBuffer([
-        0, 1, 2,   0, 2, 3
-    ]);
+    this.ibo = bufferUtils.createIndexBuffer(plane.indices);
     
     var vShaderCode = [
         "uniform mat4 uProjMat;",
@@ -137,6 +130,16 @@ ShipGL.Floor = function(gl)
     this.program = new ShipGL.ShaderProgram(this.gl);
     this.program.create(vShaderCode, fShaderCode);
 
+    /**
+     * @memberof ShipGL.Floor#
+     * @description The vertex array binding the floor's buffers to its
+     *              shader program.
+     * @name vertexArray
+     */
+    this.vertexArray = new ShipGL.VertexArray(this.gl);
+    this.vertexArray.addLayout(this.program, this.vertexLayout, this.vbo);
+    this.vertexArray.setIndexBuffer(this.ibo);
+
     this.projMat = mat4.create();
     this.viewMat = mat4.create();
     this.modelMat = mat4.create();
@@ -153,31 +156,20 @@ ShipGL.Floor.prototype = Object.create(ShipGL.GLResource.prototype);
 ShipGL.Floor.prototype.draw = function()
 {
     this.program.bind();
-    this.vbo.bind();
-    this.ibo.bind();
+    this.vertexArray.bind();
     this.tileTexture.bind(0);
-    
-    this.program.enableAttributeArray("aPosition");
-    this.program.enableAttributeArray("aTexCoord");
 
     this.program.setUniformMat4("uProjMat", this.projMat);
     this.program.setUniformMat4("uViewMat", this.viewMat);
     this.program.setUniformMat4("uModelMat", this.modelMat);
     this.program.setUniform1f("uTilesAcross", this.tilesAcross);
     this.program.setUniform1i("uTex", 0);
-    
-    this.program.setAttributeBuffer3f("aPosition", this.stride, this.positionsOffset);
-    this.program.setAttributeBuffer2f("aTexCoord", this.stride, this.texCoordsOffset);
 
     this.gl.drawElements(this.gl.TRIANGLES, this.ibo.length,
                          this.gl.UNSIGNED_SHORT, 0);
-    
-    this.program.disableAttributeArray("aTexCoord");
-    this.program.disableAttributeArray("aPosition");
 
     this.tileTexture.unbind();
-    this.ibo.unbind();
-    this.vbo.unbind();
+    this.vertexArray.unbind();
     this.program.unbind();
 };
 
@@ -0,0 +1,568 @@
+/**
+ * @file Contains all ShipGL.MeshUtilities code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * ShipGL.MeshUtilities provides routines that fill in or rearrange the
+ * per-vertex data of JSON model meshes (the objects in a model's
+ * json.meshes). ShipGL.Model uses them during initialize to generate
+ * normals and tangents for meshes that lack them. Function documentation
+ * is provided through an example since JSDoc doesn't have great support for
+ * documenting singleton-like objects.
+ *
+ * Every function treats the fields of a mesh starting with "vertex" as
+ * per-vertex data, so custom per-vertex arrays are kept in step whenever
+ * vertices are split or rearranged. Meshes without indices are read as a
+ * plain list of triangles.
+ *
+ * @example
+ * // generateNormals(mesh, [options]) computes vertexNormals for the mesh,
+ * // replacing any it already has. By default, the normals are smooth:
+ * // every face sharing a vertex position contributes to that vertex's
+ * // normal, weighted by the face's angle at that vertex.
+ * ShipGL.MeshUtilities.generateNormals(mesh);
+ *
+ * // options.creaseAngle, in degrees, keeps hard edges sharp. Faces only
+ * // contribute to each other's normals if the angle between them is at
+ * // most creaseAngle. Vertices on a hard edge are split, so the mesh may
+ * // end up with more vertices and is always indexed afterwards.
+ * ShipGL.MeshUtilities.generateNormals(mesh, { creaseAngle: 60 });
+ *
+ * // options.flat gives every face its own normal, like a creaseAngle of 0.
+ * ShipGL.MeshUtilities.generateNormals(mesh, { flat: true });
+ *
+ * // generateTangents(mesh, [texCoordSet]) computes vertexTangents and
+ * // vertexBitangents from the mesh's positions, normals and the given set
+ * // of vertexTexCoordinates (default 0). Each triangle's texture-space
+ * // directions are accumulated at its vertices, the tangent is made
+ * // perpendicular to the normal, and the bitangent's direction accounts
+ * // for mirrored texture coordinates. The mesh must have normals.
+ * ShipGL.MeshUtilities.generateTangents(mesh);
+ *
+ * // remapVertices(mesh, sourceVertices, indices) returns a new mesh whose
+ * // vertex n is a copy of the mesh's vertex sourceVertices[n], using the
+ * // given indices. Fields not starting with "vertex" are shared with the
+ * // original mesh.
+ * var firstTriangle = ShipGL.MeshUtilities.remapVertices(mesh, [0, 1, 2], [0, 1, 2]);
+ *
+ * // Bounds are objects holding both an axis-aligned box and a bounding
+ * // sphere: { min: vec3, max: vec3, center: vec3, radius: number }. The
+ * // box and the sphere share the same center.
+ *
+ * // createBounds() returns empty bounds, and isEmptyBounds(bounds) checks
+ * // whether bounds contain nothing (their min is greater than their max).
+ * var bounds = ShipGL.MeshUtilities.createBounds();
+ *
+ * // computeBounds(positions, [dest]) returns the bounds of a flat array of
+ * // x, y, z positions, like a mesh's vertexPositions.
+ * var meshBounds = ShipGL.MeshUtilities.computeBounds(mesh.vertexPositions);
+ *
+ * // transformBounds(bounds, matrix, [dest]) returns bounds containing the
+ * // given bounds transformed by a mat4. The box contains the transformed
+ * // corners of the original box.
+ * var worldBounds = ShipGL.MeshUtilities.transformBounds(meshBounds, node.modelMatrix);
+ *
+ * // mergeBounds(bounds1, bounds2, [dest]) returns bounds containing both.
+ * ShipGL.MeshUtilities.mergeBounds(bounds, worldBounds, bounds);
+ */
+ShipGL.MeshUtilities = (function()
+{
+    function getIndices(mesh)
+    {
+        if (mesh.indices && mesh.indices.length > 0)
+        {
+            return mesh.indices;
+        }
+
+        var i, indices = [];
+        for (i = 0; i < mesh.vertexPositions.length / 3; i++)
+        {
+            indices.push(i);
+        }
+
+        return indices;
+    };
+
+    function gather(array, vertexCount, sourceVertices)
+    {
+        var n, c, size = array.length / vertexCount, result = [];
+
+        for (n = 0; n < sourceVertices.length; n++)
+        {
+            for (c = 0; c < size; c++)
+            {
+                result.push(array[sourceVertices[n] * size + c]);
+            }
+        }
+
+        return result;
+    };
+
+    function remapVertices(mesh, sourceVertices, indices)
+    {
+        var vertexCount = mesh.vertexPositions.length / 3;
+        var key, value, result = {};
+
+        for (key in mesh)
+        {
+            value = mesh[key];
+
+            if (key.indexOf("vertex") != 0 || !value || typeof value.length != "number")
+            {
+                result[key] = value;
+            }
+            else if (value.length > 0 && typeof value[0] == "object")
+            {
+                // Arrays of arrays, like vertexTexCoordinates.
+                result[key] = value.map(function(set)
+                {
+                    return gather(set, vertexCount, sourceVertices);
+                });
+            }
+            else
+            {
+                result[key] = gather(value, vertexCount, sourceVertices);
+            }
+        }
+
+        result.indices = indices;
+        return result;
+    };
+
+    // Returns, for every vertex, the index of the first vertex with the same
+    // position, so faces that don't share indices can still be smoothed
+    // together.
+    function weldPositions(positions)
+    {
+        var i, key, firstOf = {}, welded = new Int32Array(positions.length / 3);
+
+        for (i = 0; i < welded.length; i++)
+        {
+            key = positions[i * 3] + "," + positions[i * 3 + 1] + "," + positions[i * 3 + 2];
+
+            if (!(key in firstOf))
+            {
+                firstOf[key] = i;
+            }
+
+            welded[i] = firstOf[key];
+        }
+
+        return welded;
+    };
+
+    // Returns the unit normal of every triangle and the angle at every
+    // triangle corner. Weighting a face's normal by the angle at the corner
+    // makes the result independent of how the surface is triangulated.
+    function computeFaceNormals(positions, indices)
+    {
+        var faceNormals = new Float32Array(indices.length);
+        var cornerAngles = new Float32Array(indices.length);
+        var p = [vec3.create(), vec3.create(), vec3.create()];
+        var e1 = vec3.create(), e2 = vec3.create(), n = vec3.create();
+
+        var i, j, k;
+        for (i = 0; i < indices.length; i += 3)
+        {
+            for (k = 0; k < 3; k++)
+            {
+                for (j = 0; j < 3; j++)
+                {
+                    p[k][j] = positions[indices[i + k] * 3 + j];
+                }
+            }
+
+            vec3.subtract(p[1], p[0], e1);
+            vec3.subtract(p[2], p[0], e2);
+            faceNormals.set(vec3.normalize(vec3.cross(e1, e2, n)), i);
+
+            for (k = 0; k < 3; k++)
+            {
+                vec3.direction(p[(k + 1) % 3], p[k], e1);
+                vec3.direction(p[(k + 2) % 3], p[k], e2);
+                cornerAngles[i + k] = Math.acos(Math.min(Math.max(vec3.dot(e1, e2), -1), 1));
+            }
+        }
+
+        return { normals: faceNormals, angles: cornerAngles };
+    };
+
+    function generateNormals(mesh, options)
+    {
+        options = options || {};
+
+        var creaseAngle = options.flat ? 0 : options.creaseAngle;
+        if (creaseAngle === undefined)
+        {
+            creaseAngle = 180;
+        }
+
+        var indices = getIndices(mesh);
+        var faces = computeFaceNormals(mesh.vertexPositions, indices);
+        var faceNormals = faces.normals, cornerAngles = faces.angles;
+        var welded = weldPositions(mesh.vertexPositions);
+        var vertexCount = welded.length;
+        var n = vec3.create();
+
+        var i, j, c, t;
+
+        // Fully smooth normals need no new vertices: each vertex gets the
+        // weighted sum of the normals of every face touching its position.
+        if (creaseAngle >= 180)
+        {
+            var sums = new Float32Array(vertexCount * 3);
+
+            for (c = 0; c < indices.length; c++)
+            {
+                t = c - c % 3;
+
+                for (j = 0; j < 3; j++)
+                {
+                    sums[welded[indices[c]] * 3 + j] += faceNormals[t + j] * cornerAngles[c];
+                }
+            }
+
+            var normals = [];
+            for (i = 0; i < vertexCount; i++)
+            {
+                for (j = 0; j < 3; j++)
+                {
+                    n[j] = sums[welded[i] * 3 + j];
+                }
+
+                vec3.normalize(n);
+                normals.push(n[0], n[1], n[2]);
+            }
+
+            mesh.vertexNormals = normals;
+            return mesh;
+        }
+
+        var cosCrease = Math.cos(creaseAngle * Math.PI / 180) - 1e-6;
+
+        // Group the triangle corners by welded position.
+        var cornersOf = {}, corners;
+        for (c = 0; c < indices.length; c++)
+        {
+            corners = cornersOf[welded[indices[c]]] || (cornersOf[welded[indices[c]]] = []);
+            corners.push(c);
+        }
+
+        // Each corner's normal is the weighted sum of the normals of the faces
+        // at its position that are within the crease angle of the corner's
+        // face. Corners of the same vertex that end up with the same normal
+        // keep sharing a vertex; the others get their own.
+        var newIndices = [], sourceVertices = [], newNormals = [], vertexOf = {};
+        var other, key, group, k;
+
+        for (c = 0; c < indices.length; c++)
+        {
+            t = c - c % 3;
+            group = cornersOf[welded[indices[c]]];
+            n[0] = n[1] = n[2] = 0;
+
+            for (k = 0; k < group.length; k++)
+            {
+                other = group[k] - group[k] % 3;
+
+                if (other == t ||
+                    faceNormals[t] * faceNormals[other] +
+                    faceNormals[t + 1] * faceNormals[other + 1] +
+                    faceNormals[t + 2] * faceNormals[other + 2] >= cosCrease)
+                {
+                    for (j = 0; j < 3; j++)
+                    {
+                        n[j] += faceNormals[other + j] * cornerAngles[group[k]];
+                    }
+                }
+            }
+
+            vec3.normalize(n);
+            key = indices[c] + "/" + n[0].toFixed(5) + "/" + n[1].toFixed(5) + "/" + n[2].toFixed(5);
+
+            if (!(key in vertexOf))
+            {
+                vertexOf[key] = sourceVertices.length;
+                sourceVertices.push(indices[c]);
+                newNormals.push(n[0], n[1], n[2]);
+            }
+
+            newIndices.push(vertexOf[key]);
+        }
+
+        // Drop the old normals so they aren't remapped along with the rest of
+        // the per-vertex data.
+        mesh.vertexNormals = [];
+
+        var remapped = remapVertices(mesh, sourceVertices, newIndices);
+        for (key in remapped)
+        {
+            mesh[key] = remapped[key];
+        }
+
+        mesh.vertexNormals = newNormals;
+        return mesh;
+    };
+
+    function generateTangents(mesh, texCoordSet)
+    {
+        var positions = mesh.vertexPositions, normals = mesh.vertexNormals;
+        var uvs = mesh.vertexTexCoordinates[texCoordSet || 0];
+        var indices = getIndices(mesh);
+        var vertexCount = positions.length / 3;
+
+        var tan1 = new Float32Array(vertexCount * 3);
+        var tan2 = new Float32Array(vertexCount * 3);
+        var e1 = vec3.create(), e2 = vec3.create();
+        var sdir = vec3.create(), tdir = vec3.create();
+
+        var i, j, i0, i1, i2, s1, s2, t1, t2, r;
+        for (i = 0; i < indices.length; i += 3)
+        {
+            i0 = indices[i];
+            i1 = indices[i + 1];
+            i2 = indices[i + 2];
+
+            for (j = 0; j < 3; j++)
+            {
+                e1[j] = positions[i1 * 3 + j] - positions[i0 * 3 + j];
+                e2[j] = positions[i2 * 3 + j] - positions[i0 * 3 + j];
+            }
+
+            s1 = uvs[i1 * 2] - uvs[i0 * 2];
+            s2 = uvs[i2 * 2] - uvs[i0 * 2];
+            t1 = uvs[i1 * 2 + 1] - uvs[i0 * 2 + 1];
+            t2 = uvs[i2 * 2 + 1] - uvs[i0 * 2 + 1];
+
+            r = s1 * t2 - s2 * t1;
+            if (r == 0)
+            {
+                // Degenerate texture coordinates carry no direction.
+                continue;
+            }
+
+            r = 1 / r;
+            for (j = 0; j < 3; j++)
+            {
+                sdir[j] = (t2 * e1[j] - t1 * e2[j]) * r;
+                tdir[j] = (s1 * e2[j] - s2 * e1[j]) * r;
+            }
+
+            for (j = 0; j < 3; j++)
+            {
+                tan1[i0 * 3 + j] += sdir[j];
+                tan1[i1 * 3 + j] += sdir[j];
+                tan1[i2 * 3 + j] += sdir[j];
+                tan2[i0 * 3 + j] += tdir[j];
+                tan2[i1 * 3 + j] += tdir[j];
+                tan2[i2 * 3 + j] += tdir[j];
+            }
+        }
+
+        var tangents = [], bitangents = [];
+        var n = vec3.create(), t = vec3.create(), b = vec3.create();
+
+        for (i = 0; i < vertexCount; i++)
+        {
+            for (j = 0; j < 3; j++)
+            {
+                n[j] = normals[i * 3 + j];
+                t[j] = tan1[i * 3 + j];
+            }
+
+            // Gram-Schmidt orthogonalize the tangent against the normal.
+            vec3.subtract(t, vec3.scale(n, vec3.dot(n, t), b));
+
+            if (vec3.length(t) < 1e-12)
+            {
+                // No usable texture direction, so pick any perpendicular.
+                vec3.cross(n, Math.abs(n[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0], t);
+            }
+
+            vec3.normalize(t);
+            vec3.cross(n, t, b);
+
+            // Mirrored texture coordinates flip the bitangent.
+            if (b[0] * tan2[i * 3] + b[1] * tan2[i * 3 + 1] + b[2] * tan2[i * 3 + 2] < 0)
+            {
+                vec3.negate(b);
+            }
+
+            vec3.normalize(b);
+            tangents.push(t[0], t[1], t[2]);
+            bitangents.push(b[0], b[1], b[2]);
+        }
+
+        mesh.vertexTangents = tangents;
+        mesh.vertexBitangents = bitangents;
+        return mesh;
+    };
+
+    function createBounds()
+    {
+        return { min: vec3.createFrom(Infinity, Infinity, Infinity),
+                 max: vec3.createFrom(-Infinity, -Infinity, -Infinity),
+                 center: vec3.create(),
+                 radius: 0
+        };
+    };
+
+    function isEmptyBounds(bounds)
+    {
+        return bounds.min[0] > bounds.max[0];
+    };
+
+    function copyBounds(bounds, dest)
+    {
+        vec3.set(bounds.min, dest.min);
+        vec3.set(bounds.max, dest.max);
+        vec3.set(bounds.center, dest.center);
+        dest.radius = bounds.radius;
+        return dest;
+    };
+
+    function computeBounds(positions, dest)
+    {
+        var empty = createBounds();
+        var min = empty.min, max = empty.max;
+
+        var i, j;
+        for (i = 0; i < positions.length; i += 3)
+        {
+            for (j = 0; j < 3; j++)
+            {
+                min[j] = Math.min(min[j], positions[i + j]);
+                max[j] = Math.max(max[j], positions[i + j]);
+            }
+        }
+
+        dest = copyBounds(empty, dest || createBounds());
+
+        if (positions.length == 0)
+        {
+            return dest;
+        }
+
+        vec3.scale(vec3.add(min, max, dest.center), 0.5);
+
+        // The sphere is centered on the box but only as large as the
+        // farthest position needs, which is usually tighter than the box's
+        // corners.
+        var dx, dy, dz, radiusSq = 0, center = dest.center;
+        for (i = 0; i < positions.length; i += 3)
+        {
+            dx = positions[i] - center[0];
+            dy = positions[i + 1] - center[1];
+            dz = positions[i + 2] - center[2];
+            radiusSq = Math.max(radiusSq, dx * dx + dy * dy + dz * dz);
+        }
+
+        dest.radius = Math.sqrt(radiusSq);
+        return dest;
+    };
+
+    function transformBounds(bounds, matrix, dest)
+    {
+        dest = dest || createBounds();
+
+        if (isEmptyBounds(bounds))
+        {
+            return copyBounds(bounds, dest);
+        }
+
+        var min = vec3.createFrom(Infinity, Infinity, Infinity);
+        var max = vec3.createFrom(-Infinity, -Infinity, -Infinity);
+        var corner = vec3.create();
+
+        var i, j;
+        for (i = 0; i < 8; i++)
+        {
+            corner[0] = i & 1 ? bounds.max[0] : bounds.min[0];
+            corner[1] = i & 2 ? bounds.max[1] : bounds.min[1];
+            corner[2] = i & 4 ? bounds.max[2] : bounds.min[2];
+            mat4.multiplyVec3(matrix, corner);
+
+            for (j = 0; j < 3; j++)
+            {
+                min[j] = Math.min(min[j], corner[j]);
+                max[j] = Math.max(max[j], corner[j]);
+            }
+        }
+
+        // The radius grows by the matrix's largest axis scale.
+        var scale = Math.max(vec3.length([matrix[0], matrix[1], matrix[2]]),
+                             vec3.length([matrix[4], matrix[5], matrix[6]]),
+                             vec3.length([matrix[8], matrix[9], matrix[10]]));
+
+        mat4.multiplyVec3(matrix, bounds.center, dest.center);
+        dest.radius = bounds.radius * scale;
+        vec3.set(min, dest.min);
+        vec3.set(max, dest.max);
+        return dest;
+    };
+
+    function mergeBounds(bounds1, bounds2, dest)
+    {
+        dest = dest || createBounds();
+
+        if (isEmptyBounds(bounds1))
+        {
+            return copyBounds(bounds2, dest);
+        }
+
+        if (isEmptyBounds(bounds2))
+        {
+            return copyBounds(bounds1, dest);
+        }
+
+        var center = vec3.create(), min = vec3.create(), max = vec3.create();
+
+        var j;
+        for (j = 0; j < 3; j++)
+        {
+            min[j] = Math.min(bounds1.min[j], bounds2.min[j]);
+            max[j] = Math.max(bounds1.max[j], bounds2.max[j]);
+        }
+
+        vec3.scale(vec3.add(min, max, center), 0.5);
+
+        var radius = Math.max(vec3.dist(center, bounds1.center) + bounds1.radius,
+                              vec3.dist(center, bounds2.center) + bounds2.radius);
+
+        vec3.set(min, dest.min);
+        vec3.set(max, dest.max);
+        vec3.set(center, dest.center);
+        dest.radius = radius;
+        return dest;
+    };
+
+    return { generateNormals: generateNormals,
+             generateTangents: generateTangents,
+             remapVertices: remapVertices,
+             createBounds: createBounds,
+             isEmptyBounds: isEmptyBounds,
+             computeBounds: computeBounds,
+             transformBounds: transformBounds,
+             mergeBounds: mergeBounds
+    };
+})();
@@ -33,12 +33,17 @@
  *
  * @param {WebGLRenderingContext} gl The rendering context
  * @param {string} pathToJSON The string path to the JSON model file
+ * @param {object} [json] The already parsed JSON model data. If not
+ *                        specified, the file at pathToJSON is loaded
+ *                        synchronously. Prefer ShipGL.Model.load, which
+ *                        loads the file asynchronously.
  * @example
  * // IMPORTANT: Please read this whole example!
  *
  * // Since this class is abstract, a subclass must be provided to create
- * // a valid ShipGL.Model.  Assume you have already written a subclass
- * // called MyModel.
+ * // a valid ShipGL.Model.  ShipGL.StandardModel is a ready-made subclass
+ * // that draws the model with a lit shader. Assume you have instead
+ * // written your own subclass called MyModel.
  *
  * // Create an instance and initialize. Note that your subclass may have
  * // additional parameters for construction or initialization.
@@ -51,49 +56,164 @@
  * // you can render the model like this:
  * model.draw();
  *
+ * // Constructing a model with just a path loads the JSON file
+ * // synchronously, which freezes the page while large models load. Use
+ * // ShipGL.Model.load instead to load the file asynchronously. The callback
+ * // gets an initialized model once all of its textures have loaded.
+ * ShipGL.Model.load(gl, "model.json", function(model)
+ * {
+ *     model.draw();
+ * },
+ * function(error)
+ * {
+ *     alert(error.message);
+ * }, MyModel);
+ *
  * // Calling initialize is very important as it does the following:
- * //   1) Stores all attribute info in the vbo and ibo fields.
- * //   2) Loads all of the model's textures.
- * //   3) Computes a normal matrix for each node.
- * //   4) Computes the model's extents info.
+ * //   1) Generates normals and tangents for meshes that lack them.
+ * //   2) Stores all attribute info in the vbo and ibo fields.
+ * //   3) Loads all of the model's textures and creates its ShipGL.Material's
+ * //      (ShipGL.PBRMaterial's for metallic-roughness materials).
+ * //   4) Computes a normal matrix for each node.
+ * //   5) Computes the model's extents info.
+ *
+ * // Generated normals are smooth unless initialize is given a crease angle
+ * // or asked for flat normals (see ShipGL.MeshUtilities.generateNormals).
+ * // Tangents are generated for every mesh with texture coordinates. Either
+ * // kind of generation can be turned off. For example, instead of the
+ * // plain initialize call above:
+ * model.initialize({ creaseAngle: 45, generateTangents: false });
+ *
+ * // Models come in all sizes and positions. To frame any model the same
+ * // way, initialize it with the normalize option and premultiply each
+ * // node's modelMatrix by the model's normalizationMatrix when drawing.
+ * // The model is then centered at the origin with a diagonal of 1.
+ * model.initialize({ normalize: true });
+ * mat4.multiply(model.normalizationMatrix, node.modelMatrix, modelMatrix);
+ *
+ * // The textures finish loading asynchronously, so a model is not ready
+ * // right after initialize. Check isReady or register a callback:
+ * model.onReady(function(model)
+ * {
+ *     // All textures are loaded. Any that failed are listed in
+ *     // model.textureErrors.
+ * });
  *
  * // After calling initialize, every mesh will have the following additional
  * // fields:
  * //   hasTexture, a boolean for whether or not the mesh's material has a texture
+ * //   hasTexCoords, a boolean for whether or not the mesh has texture coordinates
+ * //   hasTangents, a boolean for whether or not the mesh has tangents and bitangents
+ * //   texCoordSetCount, the number of texture coordinate sets in the vbo for the mesh
  * //   hasIndices, a boolean for whether or not the mesh has indices
  * //   positionsOffset, the starting array index in the vbo for the mesh's vertices
  * //   normalsOffset, the starting array index in the vbo for the mesh's normals
  * //   stride, the stride between quantities in the array (in terms of array indices, NOT bytes)
+ * //   vertexLayout, the ShipGL.VertexLayout of the mesh's vertices, naming each attribute
+ * //                 after the shader attribute it feeds (aPosition, aNormal, aTexCoord,
+ * //                 aTangent, aBitangent, aTexCoord1, etc.)
+ * //   vertexByteOffset, the starting byte in the vbo for the mesh's vertices
+ * //   The array index offsets below (and normalsOffset) are only set for float
+ * //   attributes. See the compactVertices option of initialize.
+ *
+ * // If the mesh has texture coordinates (hasTexCoords == true), it will also have:
+ * //   texCoordsOffset, the starting array index in the vbo for the mesh's first
+ * //                    set of texture coordinates
+ * //   texCoords1Offset, texCoords2Offset, etc., the starting array index in the
+ * //                     vbo for each additional set of texture coordinates
+ * //                     (lightmaps and the like), up to texCoordSetCount - 1
  *
- * // If the mesh has a texture (hasTexture == true), it will also have:
- * //   texCoordsOffset, the starting array index in the vbo for the mesh's texture coordinates
+ * // If the mesh has tangents (hasTangents == true), it will also have:
+ * //   tangentsOffset, the starting array index in the vbo for the mesh's tangents
+ * //   bitangentsOffset, the starting array index in the vbo for the mesh's bitangents.
+ * //                     If the JSON mesh has no vertexBitangents, they are computed
+ * //                     as the cross product of the normal and the tangent.
  *
  * // If the mesh has indices (hasIndices == true), it will also have:
  * //   indicesOffset, the starting array index in the ibo for the mesh's indices
  * //   indicesByteOffset, the starting byte in the ibo for the mesh's indices (useful for drawElements)
+ * //   indexType, the type of the mesh's indices, UNSIGNED_SHORT or UNSIGNED_INT (pass to drawElements)
+ *
+ * // Meshes with more than 65,536 vertices can't be drawn with 16-bit
+ * // indices. If the OES_element_index_uint extension is available, the
+ * // ibo holds 32-bit indices instead. Otherwise, each such mesh is split
+ * // into several meshes small enough for 16-bit indices. The extra meshes
+ * // are appended to json.meshes and to the meshIndices of every node
+ * // that used the original mesh, so simply drawing every mesh of every
+ * // node still draws the whole model.
+ *
+ * // Every mesh will also have the following field:
+ * //   bounds, the mesh's box and sphere in its own space (see
+ * //           ShipGL.MeshUtilities for the layout of bounds)
  *
  * // After calling initialize, every material that has a texture will have the
  * // following additional field:
- * //   texture, the material's ShipGL.Texture instance
+ * //   texture, the material's first diffuse ShipGL.Texture instance
+ * // The ShipGL.Material's in the model's materials field hold all of the
+ * // textures, including normal, specular and emissive maps (see
+ * // ShipGL.Material for the JSON fields naming them).
+ *
+ * // Nodes may have a children array of nested nodes. A node's modelMatrix
+ * // in the JSON is relative to its parent (top level nodes are relative to
+ * // the model). Nodes may also have a name and may have no meshIndices,
+ * // which is handy for nodes that only group and move their children. A
+ * // node without a modelMatrix uses the identity matrix.
  *
  * // After calling initialize, every node will have the following additional
- * // field:
+ * // fields:
+ * //   localMatrix, the node's transform relative to its parent (initially the
+ * //                modelMatrix from the JSON)
+ * //   modelMatrix, replaced by the node's transform relative to the model,
+ * //                the product of its ancestors' local matrices and its own
  * //   normalMatrix, a matrix used to transform the normal to world space and ensure
  * //                 that it is still perpendicular to the surface
+ * //   parent, the node's parent node, or null for top level nodes
+ * //   children, the node's child nodes (an empty array if it has none)
+ * //   localBounds, the bounds of the node's own meshes in the node's space
+ * //   meshBounds, the bounds of each of the node's meshes in the model's space,
+ * //               in the same order as meshIndices
+ * //   bounds, the bounds of the node's meshes and all of its descendants'
+ * //           meshes in the model's space
+ * // A node's bounds are empty (see ShipGL.MeshUtilities.isEmptyBounds) if
+ * // neither it nor its descendants have any meshes. The model space
+ * // bounds are kept up to date by updateNodeTransforms.
+ *
+ * // Since nodes can be nested, render from the nodes field rather than
+ * // json.nodes. It lists every node, parents before their children.
+ * var i;
+ * for (i = 0; i < model.nodes.length; i++)
+ * {
+ *     // Draw model.nodes[i]'s meshes with its modelMatrix...
+ * }
+ *
+ * // To move part of a model relative to its parent, change the node's
+ * // localMatrix and then update its transforms, which also updates all of
+ * // its descendants and the bounds of its ancestors.
+ * var door = model.getNodeByName("door");
+ * mat4.rotateY(door.localMatrix, Math.PI / 2);
+ * model.updateNodeTransforms(door);
+ *
+ * // Or replace the local matrix in one step.
+ * model.setNodeMatrix(door, doorMatrix);
  */
-ShipGL.Model = function(gl, pathToJSON)
+ShipGL.Model = function(gl, pathToJSON, json)
 {
     ShipGL.GLResource.call(this, gl);
     
-    var jsonStr = ShipGL.FileLoader.loadLocal(pathToJSON, "application/json") ||
-                  ShipGL.FileLoader.loadHttp(pathToJSON, "application/json");
+    if (!json)
+    {
+        var jsonStr = ShipGL.FileLoader.loadLocal(pathToJSON, "application/json") ||
+                      ShipGL.FileLoader.loadHttp(pathToJSON, "application/json");
+
+        json = JSON.parse(jsonStr);
+    }
 
     /**
      * @memberof ShipGL.Model#
      * @description The parsed JSON model data
      * @name json
      */
-    this.json = JSON.parse(jsonStr);
+    this.json = json;
 
     /**
      * @memberof ShipGL.Model#
@@ -103,12 +223,32 @@ ShipGL.Model = function(gl, pathToJSON)
     
     /**
      * @memberof ShipGL.Model#
-     * @description The model's index buffer object (of type ShipGL.Buffer)
+     * @description The model's index buffer object (of type ShipGL.Buffer).
+     *              Its indices are 32-bit if the model has meshes with more
+     *              than 65,536 vertices and OES_element_index_uint is
+     *              available, and 16-bit otherwise.
      * @name ibo
      */
     this.vbo = new ShipGL.Buffer(gl, gl.ARRAY_BUFFER, Float32Array);
     this.ibo = new ShipGL.Buffer(gl, gl.ELEMENT_ARRAY_BUFFER, Uint16Array);
 
+    /**
+     * @memberof ShipGL.Model#
+     * @description The type of the indices in the ibo, UNSIGNED_SHORT or
+     *              UNSIGNED_INT. Not valid until the model is initialized.
+     * @name indexType
+     */
+    this.indexType = gl.UNSIGNED_SHORT;
+
+    /**
+     * @memberof ShipGL.Model#
+     * @description The time in milliseconds initialize spent packing and
+     *              uploading the vbo and ibo. Useful for profiling large
+     *              models.
+     * @name bufferInitTime
+     */
+    this.bufferInitTime = 0;
+
     /**
      * @memberof ShipGL.Model#
      * @description The model's minimum extent
@@ -137,7 +277,108 @@ ShipGL.Model = function(gl, pathToJSON)
      */
     this.diagonal = 0;
 
-    this._imageDirHelper = pathToJSON.replace("model.json", "");
+    /**
+     * @memberof ShipGL.Model#
+     * @description A matrix that moves the model's center to the origin and
+     *              scales it to a diagonal of 1. It is only computed if the
+     *              model is initialized with the normalize option, and is
+     *              the identity otherwise.
+     * @name normalizationMatrix
+     */
+    this.normalizationMatrix = mat4.identity(mat4.create());
+
+    /**
+     * @memberof ShipGL.Model#
+     * @description Every node of the model, parents before their children.
+     *              Not valid until the model is initialized.
+     * @name nodes
+     */
+    this.nodes = [];
+
+    /**
+     * @memberof ShipGL.Model#
+     * @description A ShipGL.Material for every JSON material, in the same
+     *              order as json.materials. Not valid until the model is
+     *              initialized.
+     * @name materials
+     */
+    this.materials = [];
+
+    /**
+     * @memberof ShipGL.Model#
+     * @description Boolean indicating the model has been initialized and
+     *              all of its textures have finished loading
+     * @name isReady
+     */
+    this.isReady = false;
+
+    /**
+     * @memberof ShipGL.Model#
+     * @description The errors (ShipGL.FileLoadError's) of any material
+     *              textures that failed to load
+     * @name textureErrors
+     */
+    this.textureErrors = [];
+
+    this._isInitialized = false;
+    this._pendingTextureCount = 0;
+    this._readyCallbacks = [];
+
+    // Texture paths are relative to the model file's directory.
+    this._imageDirHelper = pathToJSON.substring(0, pathToJSON.lastIndexOf("/") + 1);
+};
+
+/**
+ * Asynchronously load a JSON model file and create an initialized model
+ * from it.
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {string} pathToJSON The string path to the JSON model file
+ * @param {function} onLoad Called with the initialized model once all of
+ *                          its textures have finished loading
+ * @param {function} [onError] Called with a ShipGL.FileLoadError if the
+ *                             model file could not be loaded or parsed, or
+ *                             the model could not be initialized from it
+ * @param {function} [ModelType=ShipGL.StandardModel] The ShipGL.Model
+ *                                                    subclass to construct.
+ *                                                    Its constructor must
+ *                                                    accept and pass along
+ *                                                    (gl, pathToJSON, json).
+ * @param {object} [options] The options passed to the model's initialize
+ *                          method
+ * @return {XMLHttpRequest} The request loading the model file
+ */
+ShipGL.Model.load = function(gl, pathToJSON, onLoad, onError, ModelType, options)
+{
+    ModelType = ModelType || ShipGL.StandardModel;
+
+    return ShipGL.FileLoader.loadJSON(pathToJSON, function(json)
+    {
+        var model;
+
+        // Malformed model data surfaces while constructing or initializing
+        // the model, so it is reported like a parse failure.
+        try
+        {
+            model = new ModelType(gl, pathToJSON, json);
+            model.initialize(options);
+        }
+        catch (e)
+        {
+            var error = new ShipGL.FileLoadError(pathToJSON, 0, "parse",
+                                                 "Failed to create a model from " +
+                                                 pathToJSON + ": " + e.message);
+            if (!onError)
+            {
+                throw error;
+            }
+
+            onError(error);
+            return;
+        }
+
+        model.onReady(onLoad);
+    }, onError);
 };
 
 ShipGL.Model.prototype = Object.create(ShipGL.GLResource.prototype);
@@ -146,13 +387,139 @@ ShipGL.Model.prototype = Object.create(ShipGL.GLResource.prototype);
  * Initialize the model.
  *
  * @this {ShipGL.Model}
+ *
+ * @param {object} [options] Controls how missing vertex data is generated
+ * @param {boolean} [options.generateNormals=true] Whether to generate
+ *                  normals for meshes that have none
+ * @param {boolean} [options.generateTangents=true] Whether to generate
+ *                  tangents and bitangents for meshes that have texture
+ *                  coordinates but no tangents. Meshes without a normal
+ *                  for every vertex are skipped, since tangents are built
+ *                  around the normals.
+ * @param {number} [options.creaseAngle=180] The largest angle, in degrees,
+ *                 between faces that are smoothed together when generating
+ *                 normals
+ * @param {boolean} [options.flatNormals=false] Whether generated normals
+ *                  are flat (one normal per face)
+ * @param {boolean} [options.normalize=false] Whether to compute the
+ *                  normalizationMatrix
+ * @param {boolean} [options.pbrMaterials=false] Whether every material
+ *                  becomes a ShipGL.PBRMaterial, converting legacy Phong
+ *                  materials. Otherwise, only materials with
+ *                  metallic-roughness fields do.
+ * @param {boolean} [options.compactVertices=false] Whether normals,
+ *                  tangents and bitangents are stored in the vbo as
+ *                  normalized bytes rather than floats, which shrinks each
+ *                  vertex by up to 27 bytes. Their offset fields are not
+ *                  set then, so bind them through each mesh's
+ *                  vertexLayout.
  */
-ShipGL.Model.prototype.initialize = function()
+ShipGL.Model.prototype.initialize = function(options)
 {
-    this._initBuffers();
+    this._generateMissingVertexData(options || {});
+    this._initNodes();
+    this._initIndexType();
+    this._initBuffers(!!(options && options.compactVertices));
+    this._initMaterials(!!(options && options.pbrMaterials));
     this._initMaterialTextures();
-    this._initNormalMatrices();
+    this._computeLocalBounds();
+    this.updateNodeTransforms();
     this._computeExtents();
+
+    if (options && options.normalize)
+    {
+        this._computeNormalizationMatrix();
+    }
+
+    this._isInitialized = true;
+    this._checkReady();
+};
+
+/**
+ * Find a node by name.
+ *
+ * @this {ShipGL.Model}
+ *
+ * @param {string} name The name of the node
+ * @return {object} The first node, in the order of the nodes field, with
+ *                  the given name, or null if there is none
+ */
+ShipGL.Model.prototype.getNodeByName = function(name)
+{
+    var i;
+    for (i = 0; i < this.nodes.length; i++)
+    {
+        if (this.nodes[i].name === name)
+        {
+            return this.nodes[i];
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Set a node's transform relative to its parent and update the transforms
+ * of the node and its descendants.
+ *
+ * @this {ShipGL.Model}
+ *
+ * @param {object} node The node to transform
+ * @param {mat4} localMatrix The node's new transform relative to its parent
+ */
+ShipGL.Model.prototype.setNodeMatrix = function(node, localMatrix)
+{
+    mat4.set(localMatrix, node.localMatrix);
+    this.updateNodeTransforms(node);
+};
+
+/**
+ * Recompute the modelMatrix, normalMatrix and bounds of a node and all of
+ * its descendants from their local matrices, along with the bounds of the
+ * node's ancestors. Call this after changing a node's localMatrix.
+ *
+ * @this {ShipGL.Model}
+ *
+ * @param {object} [node] The node whose transform changed. If not
+ *                        specified, every node is updated.
+ */
+ShipGL.Model.prototype.updateNodeTransforms = function(node)
+{
+    var i, roots = node ? [node] : this.json.nodes;
+
+    for (i = 0; i < roots.length; i++)
+    {
+        this._updateNodeTransform(roots[i]);
+    }
+
+    var ancestor = node ? node.parent : null;
+    while (ancestor)
+    {
+        this._updateNodeBounds(ancestor);
+        ancestor = ancestor.parent;
+    }
+};
+
+/**
+ * Register a callback to be called once the model is ready, meaning it has
+ * been initialized and all of its material textures have finished loading
+ * (successfully or not). If the model is already ready, the callback is
+ * called right away.
+ *
+ * @this {ShipGL.Model}
+ *
+ * @param {function} callback Called with the model once it is ready
+ */
+ShipGL.Model.prototype.onReady = function(callback)
+{
+    if (this.isReady)
+    {
+        callback(this);
+    }
+    else
+    {
+        this._readyCallbacks.push(callback);
+    }
 };
 
 /**
@@ -165,128 +532,596 @@ ShipGL.Model.prototype.draw = function()
     throw "ShipGL.Model.draw is abstract!";
 };
 
-ShipGL.Model.prototype._initBuffers = function()
+/**
+ * Get a ShipGL.VertexArray binding a mesh's vertex data to a shader
+ * program, creating it the first time. The attributes of the mesh's
+ * vertexLayout (aPosition, aNormal, aTexCoord, aTangent, aBitangent and
+ * aTexCoord1, aTexCoord2, etc. for additional texture coordinate sets) are
+ * bound to the program's attributes of the same names, as far as the
+ * program has them, along with the model's index buffer.
+ *
+ * @this {ShipGL.Model}
+ *
+ * @param {ShipGL.ShaderProgram} program The shader program drawing the
+ *                                       mesh
+ * @param {object} mesh One of the model's JSON meshes
+ * @return {ShipGL.VertexArray} The mesh's vertex array for the program
+ */
+ShipGL.Model.prototype.getVertexArray = function(program, mesh)
 {
-    var i, curMesh, curMaterial, vboSize = 0, iboSize = 0, stride = 0;
+    // Attribute locations belong to a program, so each program gets its
+    // own vertex array.
+    mesh._vertexArrays = mesh._vertexArrays || [];
+
+    var i;
+    for (i = 0; i < mesh._vertexArrays.length; i++)
+    {
+        if (mesh._vertexArrays[i].program == program)
+        {
+            return mesh._vertexArrays[i].vertexArray;
+        }
+    }
+
+    var vertexArray = new ShipGL.VertexArray(this.gl);
+
+    vertexArray.addLayout(program, mesh.vertexLayout, this.vbo, mesh.vertexByteOffset);
+    vertexArray.setIndexBuffer(this.ibo);
+
+    mesh._vertexArrays.push({ program: program, vertexArray: vertexArray });
+    return vertexArray;
+};
+
+/**
+ * The largest number of vertices an indexed mesh can have and still be
+ * drawn with 16-bit indices.
+ *
+ * @constant
+ */
+ShipGL.Model.MAX_UINT16_VERTICES = 65536;
+
+// Fills in normals, tangents and bitangents for meshes that lack them. This
+// runs first since splitting vertices along creases can push a mesh over
+// the 16-bit index limit.
+ShipGL.Model.prototype._generateMissingVertexData = function(options)
+{
+    var i, curMesh, hasNormals, hasTexCoords;
+
+    for (i = 0; i < this.json.meshes.length; i++)
+    {
+        curMesh = this.json.meshes[i];
+
+        hasNormals = !!curMesh.vertexNormals &&
+                     curMesh.vertexNormals.length == curMesh.vertexPositions.length;
+
+        if (options.generateNormals !== false && !hasNormals)
+        {
+            ShipGL.MeshUtilities.generateNormals(curMesh, { creaseAngle: options.creaseAngle,
+                                                            flat: options.flatNormals });
+            hasNormals = true;
+        }
+
+        hasTexCoords = !!curMesh.vertexTexCoordinates && !!curMesh.vertexTexCoordinates[0] &&
+                       curMesh.vertexTexCoordinates[0].length > 0;
+
+        // Tangents are made perpendicular to the normals, so a mesh without
+        // them (generateNormals is false) gets no tangents either, and any
+        // it came with are dropped.
+        if (!hasNormals)
+        {
+            delete curMesh.vertexTangents;
+            delete curMesh.vertexBitangents;
+        }
+        else if (options.generateTangents !== false && hasTexCoords &&
+                 (!curMesh.vertexTangents ||
+                  curMesh.vertexTangents.length != curMesh.vertexPositions.length))
+        {
+            ShipGL.MeshUtilities.generateTangents(curMesh);
+        }
+    }
+};
+
+// Picks 16-bit or 32-bit indices for the ibo. If a mesh is too big for
+// 16-bit indices and 32-bit indices aren't supported, it gets split.
+ShipGL.Model.prototype._initIndexType = function()
+{
+    var i, curMesh, needsUint32 = false;
 
-    // This loop computes sizes of VBO and IBO. It also attaches
-    // stride, hasIndices, and hasTexture info to the json mesh.
     for (i = 0; i < this.json.meshes.length; i++)
     {
         curMesh = this.json.meshes[i];
-        stride = 0;
-
-        vboSize += curMesh.vertexPositions.length;
-        stride += 3;
-
-        vboSize += curMesh.vertexNormals.length;
-        stride += 3;
-        
-        curMesh.hasTexture = false;
-        if (curMesh.vertexTexCoordinates &&
-            curMesh.vertexTexCoordinates[0] &&
-            curMesh.vertexTexCoordinates[0].length > 0)
+
+        if (curMesh.indices && curMesh.indices.length > 0 &&
+            curMesh.vertexPositions.length / 3 > ShipGL.Model.MAX_UINT16_VERTICES)
+        {
+            needsUint32 = true;
+        }
+    }
+
+    if (needsUint32 && ShipGL.Buffer.enableUint32Indices(this.gl))
+    {
+        this.ibo.deallocate();
+        this.ibo = new ShipGL.Buffer(this.gl, this.gl.ELEMENT_ARRAY_BUFFER, Uint32Array);
+    }
+    else if (needsUint32)
+    {
+        this._splitLargeMeshes();
+    }
+
+    this.indexType = this.ibo.dataType;
+};
+
+ShipGL.Model.prototype._splitLargeMeshes = function()
+{
+    var i, j, k, chunks, curMesh, curNode, extraIndices;
+    var meshCount = this.json.meshes.length;
+
+    for (i = 0; i < meshCount; i++)
+    {
+        curMesh = this.json.meshes[i];
+
+        if (!curMesh.indices || curMesh.indices.length == 0 ||
+            curMesh.vertexPositions.length / 3 <= ShipGL.Model.MAX_UINT16_VERTICES)
         {
-            curMaterial = this.json.materials[curMesh.materialIndex];
-            curMesh.hasTexture = curMaterial.diffuseTexture.length > 0;
+            continue;
+        }
+
+        chunks = this._splitMesh(curMesh, ShipGL.Model.MAX_UINT16_VERTICES);
+        this.json.meshes[i] = chunks[0];
+        extraIndices = [];
+
+        for (j = 1; j < chunks.length; j++)
+        {
+            extraIndices.push(this.json.meshes.length);
+            this.json.meshes.push(chunks[j]);
+        }
+
+        for (j = 0; j < this.nodes.length; j++)
+        {
+            curNode = this.nodes[j];
+
+            for (k = 0; k < curNode.meshIndices.length; k++)
+            {
+                if (curNode.meshIndices[k] == i)
+                {
+                    curNode.meshIndices = curNode.meshIndices.concat(extraIndices);
+                    break;
+                }
+            }
+        }
+    }
+};
+
+// Splits an indexed mesh into meshes of at most maxVertices vertices each.
+// Triangles are kept whole. Every per-vertex array of the mesh (the fields
+// starting with "vertex") is split along with the positions.
+ShipGL.Model.prototype._splitMesh = function(mesh, maxVertices)
+{
+    var vertexCount = mesh.vertexPositions.length / 3;
+    var indices = mesh.indices;
+
+    // chunkOf[v] is the chunk vertex v was last added to, and localIndex[v]
+    // its index within that chunk.
+    var chunkOf = new Int32Array(vertexCount), localIndex = new Int32Array(vertexCount);
+    var chunks = [], curChunk = null;
+
+    var i, j, v, newCount;
+    for (i = 0; i < vertexCount; i++)
+    {
+        chunkOf[i] = -1;
+    }
 
-            if (curMesh.hasTexture)
+    for (i = 0; i < indices.length; i += 3)
+    {
+        newCount = 0;
+
+        for (j = 0; j < 3 && curChunk; j++)
+        {
+            if (chunkOf[indices[i + j]] != chunks.length - 1)
             {
-                vboSize += curMesh.vertexTexCoordinates[0].length;
-                stride += 2;
+                newCount++;
             }
         }
 
-        curMesh.stride = stride;
+        if (!curChunk || curChunk.sourceVertices.length + newCount > maxVertices)
+        {
+            curChunk = { sourceVertices: [], indices: [] };
+            chunks.push(curChunk);
+        }
 
-        curMesh.hasIndices = false;
-        if (curMesh.indices && curMesh.indices.length > 0)
+        for (j = 0; j < 3; j++)
         {
-            curMesh.hasIndices = true;
-            curMesh.indicesOffset = iboSize;
-            curMesh.indicesByteOffset = Uint16Array.BYTES_PER_ELEMENT * iboSize;
-            iboSize += curMesh.indices.length;
+            v = indices[i + j];
+
+            if (chunkOf[v] != chunks.length - 1)
+            {
+                chunkOf[v] = chunks.length - 1;
+                localIndex[v] = curChunk.sourceVertices.length;
+                curChunk.sourceVertices.push(v);
+            }
+
+            curChunk.indices.push(localIndex[v]);
         }
     }
 
-    this.vbo.bind();
-    this.ibo.bind();
+    return chunks.map(function(chunk)
+    {
+        return ShipGL.MeshUtilities.remapVertices(mesh, chunk.sourceVertices, chunk.indices);
+    });
+};
 
-    this.vbo.allocate(vboSize);
-    this.ibo.allocate(iboSize);
+ShipGL.Model.prototype._initBuffers = function(compact)
+{
+    var startTime = new Date().getTime();
+    var i, j, curMesh, curMaterial, layout, arrays, vboByteCount = 0, iboSize = 0;
+    var meshArrays = [];
+
+    // Legacy offset fields (in floats) of the layout's attributes.
+    var offsetNames = { aPosition: "positionsOffset", aNormal: "normalsOffset",
+                        aTexCoord: "texCoordsOffset", aTangent: "tangentsOffset",
+                        aBitangent: "bitangentsOffset" };
+
+    function addAttribute(name, data, size, type, normalized)
+    {
+        layout.addAttribute(name, size, type, normalized);
+        arrays[name] = data;
+    };
+
+    // Unit vectors keep enough precision as normalized bytes.
+    var directionType = compact ? this.gl.BYTE : this.gl.FLOAT;
 
-    // This loop writes all the vertex/index data into the buffers.
-    var j, k, writeIdx = 0;
+    // This loop builds each mesh's vertex layout and computes sizes of VBO
+    // and IBO. It also attaches stride, hasIndices, hasTexture,
+    // hasTexCoords and hasTangents info to the json mesh. Each vertex is
+    // laid out as position, normal, first texture coordinate set, tangent,
+    // bitangent and then any additional texture coordinate sets.
     for (i = 0; i < this.json.meshes.length; i++)
     {
         curMesh = this.json.meshes[i];
+        curMaterial = this.json.materials[curMesh.materialIndex];
+        layout = new ShipGL.VertexLayout(this.gl);
+        arrays = {};
+
+        addAttribute("aPosition", curMesh.vertexPositions, 3);
+        addAttribute("aNormal", curMesh.vertexNormals, 3, directionType, compact);
+
+        var texCoordSets = (curMesh.vertexTexCoordinates || []).filter(function(set)
+        {
+            return set && set.length > 0;
+        });
 
-        curMesh.positionsOffset = writeIdx;
-        curMesh.normalsOffset = 3 + writeIdx;
+        curMesh.texCoordSetCount = texCoordSets.length;
+        curMesh.hasTexCoords = texCoordSets.length > 0;
+        curMesh.hasTexture = curMesh.hasTexCoords &&
+                             ShipGL.Material.texturePaths(curMaterial.diffuseTexture).length > 0;
 
-        if (curMesh.hasTexture)
+        if (curMesh.hasTexCoords)
         {
-            curMesh.texCoordsOffset = 6 + writeIdx;
+            addAttribute("aTexCoord", texCoordSets[0], 2);
         }
 
-        for (j = 0, k = 0 ; j < curMesh.vertexPositions.length; j += 3)
+        // Bitangents are computed from the normals, so tangents are only
+        // used alongside a normal for every vertex.
+        curMesh.hasTangents = !!curMesh.vertexTangents &&
+                              curMesh.vertexTangents.length == curMesh.vertexPositions.length &&
+                              !!curMesh.vertexNormals &&
+                              curMesh.vertexNormals.length == curMesh.vertexPositions.length;
+
+        if (curMesh.hasTangents)
         {
-            this.vbo.write(curMesh.vertexPositions.slice(j, j+3), writeIdx);
-            writeIdx += 3;
+            if (!curMesh.vertexBitangents ||
+                curMesh.vertexBitangents.length != curMesh.vertexPositions.length)
+            {
+                curMesh.vertexBitangents = this._computeBitangents(curMesh);
+            }
 
-            this.vbo.write(curMesh.vertexNormals.slice(j, j+3), writeIdx);
-            writeIdx += 3;
+            addAttribute("aTangent", curMesh.vertexTangents, 3, directionType, compact);
+            addAttribute("aBitangent", curMesh.vertexBitangents, 3, directionType, compact);
+        }
 
-            if (curMesh.hasTexture)
+        for (j = 1; j < texCoordSets.length; j++)
+        {
+            addAttribute("aTexCoord" + j, texCoordSets[j], 2);
+            offsetNames["aTexCoord" + j] = "texCoords" + j + "Offset";
+        }
+
+        curMesh.vertexLayout = layout;
+        curMesh.vertexByteOffset = vboByteCount;
+        curMesh.stride = layout.stride / this.vbo.bytesPerElement;
+        vboByteCount += layout.stride * curMesh.vertexPositions.length / 3;
+        meshArrays.push(arrays);
+
+        for (j = 0; j < layout.attributes.length; j++)
+        {
+            if (layout.attributes[j].type == this.gl.FLOAT)
             {
-                this.vbo.write(curMesh.vertexTexCoordinates[0].slice(k, k+2), writeIdx);
-                writeIdx += 2;
-                k += 2;
+                curMesh[offsetNames[layout.attributes[j].name]] =
+                    (curMesh.vertexByteOffset + layout.attributes[j].offset) /
+                    this.vbo.bytesPerElement;
             }
         }
 
+        curMesh.hasIndices = false;
+        if (curMesh.indices && curMesh.indices.length > 0)
+        {
+            curMesh.hasIndices = true;
+            curMesh.indicesOffset = iboSize;
+            curMesh.indicesByteOffset = this.ibo.bytesPerElement * iboSize;
+            curMesh.indexType = this.indexType;
+            iboSize += curMesh.indices.length;
+        }
+    }
+
+    // All meshes are interleaved into one array on the CPU so the vbo and
+    // ibo are each uploaded with a single call.
+    var vertexData = new ArrayBuffer(vboByteCount);
+    var indexData = new this.ibo.ArrayType(iboSize);
+
+    for (i = 0; i < this.json.meshes.length; i++)
+    {
+        curMesh = this.json.meshes[i];
+        curMesh.vertexLayout.pack(meshArrays[i], curMesh.vertexPositions.length / 3,
+                                  vertexData, curMesh.vertexByteOffset);
+
         if (curMesh.hasIndices)
         {
-            this.ibo.write(curMesh.indices, curMesh.indicesOffset);
+            indexData.set(curMesh.indices, curMesh.indicesOffset);
         }
     }
+
+    var vboSize = vboByteCount / this.vbo.bytesPerElement;
+
+    this.vbo.bind();
+    this.ibo.bind();
+
+    this.vbo.allocate(vboSize);
+    this.ibo.allocate(iboSize);
+
+    this.vbo.write(new this.vbo.ArrayType(vertexData));
+    this.ibo.write(indexData);
     
     this.vbo.unbind();
     this.ibo.unbind();
+
+    this.bufferInitTime = new Date().getTime() - startTime;
+};
+
+// Computes each vertex's bitangent as the cross product of its normal and
+// tangent.
+ShipGL.Model.prototype._computeBitangents = function(mesh)
+{
+    var normals = mesh.vertexNormals, tangents = mesh.vertexTangents;
+    var bitangents = new Float32Array(tangents.length);
+    var n = vec3.create(), t = vec3.create(), b = vec3.create();
+
+    var i, j;
+    for (i = 0; i < tangents.length; i += 3)
+    {
+        for (j = 0; j < 3; j++)
+        {
+            n[j] = normals[i + j];
+            t[j] = tangents[i + j];
+        }
+
+        vec3.normalize(vec3.cross(n, t, b));
+        bitangents.set(b, i);
+    }
+
+    return bitangents;
 };
 
 ShipGL.Model.prototype._initMaterialTextures = function()
 {
-    var i, curMaterial;
+    var i, j, name, curMaterial, curJSONMaterial, textures = {}, scope = this;
+
+    function onTextureLoad()
+    {
+        scope._pendingTextureCount--;
+        scope._checkReady();
+    };
+
+    function onTextureError(error)
+    {
+        scope.textureErrors.push(error);
+        onTextureLoad();
+    };
+
+    // Materials often share images, so each one is only loaded once.
+    function loadTexture(path)
+    {
+        path = scope._resolveTexturePath(path);
+
+        if (!textures[path])
+        {
+            textures[path] = new ShipGL.Texture(scope.gl);
+            scope._pendingTextureCount++;
+            textures[path].load(path, onTextureLoad, onTextureError);
+        }
+
+        return textures[path];
+    };
 
-    // This loop loads all textures and stores each one in its
-    // corresponding json material (if material has texture).
+    function loadFirstTexture(value)
+    {
+        var paths = ShipGL.Material.texturePaths(value);
+        return paths.length > 0 ? loadTexture(paths[0]) : null;
+    };
+
+    // This loop loads all textures and stores them in the corresponding
+    // material. The first diffuse texture is also stored in the json
+    // material.
     for (i = 0; i < this.json.materials.length; i++)
     {
-        curMaterial = this.json.materials[i];
+        curJSONMaterial = this.json.materials[i];
+        curMaterial = this.materials[i];
 
-        if (curMaterial.diffuseTexture.length > 0)
+        curMaterial.diffuseTextures = ShipGL.Material.texturePaths(curJSONMaterial.diffuseTexture)
+                                      .slice(0, ShipGL.Material.MAX_DIFFUSE_LAYERS)
+                                      .map(loadTexture);
+        curMaterial.texture = curMaterial.diffuseTextures[0] || null;
+
+        for (j = 0; j < curMaterial.textureNames.length; j++)
         {
-            curMaterial.texture = new ShipGL.Texture(this.gl);
-            curMaterial.texture.load(this._imageDirHelper +
-                                     curMaterial.diffuseTexture[0]);
+            name = curMaterial.textureNames[j];
+            curMaterial[name] = loadFirstTexture(curJSONMaterial[name]);
+        }
+
+        if (curMaterial.texture)
+        {
+            curJSONMaterial.texture = curMaterial.texture;
         }
     }
 };
 
-ShipGL.Model.prototype._initNormalMatrices = function()
+ShipGL.Model.prototype._initMaterials = function(usePBR)
 {
-    var i, curNode;
+    this.materials = this.json.materials.map(function(material)
+    {
+        if (usePBR || ShipGL.PBRMaterial.isPBR(material))
+        {
+            return new ShipGL.PBRMaterial(material);
+        }
+
+        return new ShipGL.Material(material);
+    });
+};
 
-    // This loop computes the inverse transpose of each node's model matrix
-    // and stores it right back in the json node.
+// Relative texture paths are relative to the model file's directory.
+// Absolute URLs (including data: and blob: URLs) are used as is.
+ShipGL.Model.prototype._resolveTexturePath = function(path)
+{
+    if (/^([a-z][a-z0-9+.\-]*:|\/)/i.test(path))
+    {
+        return path;
+    }
+
+    return this._imageDirHelper + path;
+};
+
+ShipGL.Model.prototype._checkReady = function()
+{
+    if (this.isReady || !this._isInitialized || this._pendingTextureCount > 0)
+    {
+        return;
+    }
+
+    var i, callbacks = this._readyCallbacks;
+
+    this.isReady = true;
+    this._readyCallbacks = [];
+
+    for (i = 0; i < callbacks.length; i++)
+    {
+        callbacks[i](this);
+    }
+};
+
+// Walks the node hierarchy, attaching parent, children and localMatrix to
+// every json node and listing the nodes in the nodes field.
+ShipGL.Model.prototype._initNodes = function()
+{
+    var scope = this;
+
+    function visit(node, parent)
+    {
+        node.parent = parent;
+        node.children = node.children || [];
+        node.meshIndices = node.meshIndices || [];
+        // Nodes without a modelMatrix don't move their children.
+        node.localMatrix = node.modelMatrix ? mat4.create(node.modelMatrix) :
+                                              mat4.identity(mat4.create());
+        node.modelMatrix = mat4.create(node.localMatrix);
+        node.normalMatrix = mat4.create();
+        scope.nodes.push(node);
+
+        var i;
+        for (i = 0; i < node.children.length; i++)
+        {
+            visit(node.children[i], node);
+        }
+    };
+
+    this.nodes = [];
+
+    var i;
     for (i = 0; i < this.json.nodes.length; i++)
     {
-        curNode = this.json.nodes[i];
+        visit(this.json.nodes[i], null);
+    }
+};
 
-        curNode.normalMatrix = mat4.create();
-        mat4.inverse(curNode.modelMatrix, curNode.normalMatrix);
-        mat4.transpose(curNode.normalMatrix);
+ShipGL.Model.prototype._updateNodeTransform = function(node)
+{
+    if (node.parent)
+    {
+        mat4.multiply(node.parent.modelMatrix, node.localMatrix, node.modelMatrix);
+    }
+    else
+    {
+        mat4.set(node.localMatrix, node.modelMatrix);
+    }
+
+    // The inverse transpose of the model matrix keeps transformed normals
+    // perpendicular to the surface.
+    mat4.inverse(node.modelMatrix, node.normalMatrix);
+    mat4.transpose(node.normalMatrix);
+
+    var i;
+    for (i = 0; i < node.children.length; i++)
+    {
+        this._updateNodeTransform(node.children[i]);
+    }
+
+    for (i = 0; i < node.meshIndices.length; i++)
+    {
+        ShipGL.MeshUtilities.transformBounds(this.json.meshes[node.meshIndices[i]].bounds,
+                                             node.modelMatrix, node.meshBounds[i]);
+    }
+
+    this._updateNodeBounds(node);
+};
+
+// Merges the model space bounds of a node's meshes and children.
+ShipGL.Model.prototype._updateNodeBounds = function(node)
+{
+    var i, bounds = ShipGL.MeshUtilities.createBounds();
+
+    for (i = 0; i < node.meshBounds.length; i++)
+    {
+        ShipGL.MeshUtilities.mergeBounds(bounds, node.meshBounds[i], bounds);
+    }
+
+    for (i = 0; i < node.children.length; i++)
+    {
+        ShipGL.MeshUtilities.mergeBounds(bounds, node.children[i].bounds, bounds);
+    }
+
+    node.bounds = bounds;
+};
+
+// Computes the bounds of every mesh in its own space and of every node's
+// meshes in the node's space. These don't change with node transforms.
+ShipGL.Model.prototype._computeLocalBounds = function()
+{
+    var i, j, curNode;
+
+    for (i = 0; i < this.json.meshes.length; i++)
+    {
+        this.json.meshes[i].bounds = ShipGL.MeshUtilities.computeBounds(this.json.meshes[i].vertexPositions);
+    }
+
+    for (i = 0; i < this.nodes.length; i++)
+    {
+        curNode = this.nodes[i];
+        curNode.localBounds = ShipGL.MeshUtilities.createBounds();
+        curNode.meshBounds = [];
+
+        for (j = 0; j < curNode.meshIndices.length; j++)
+        {
+            ShipGL.MeshUtilities.mergeBounds(curNode.localBounds,
+                                             this.json.meshes[curNode.meshIndices[j]].bounds,
+                                             curNode.localBounds);
+            curNode.meshBounds.push(ShipGL.MeshUtilities.createBounds());
+        }
     }
 };
 
@@ -322,14 +1157,14 @@ ShipGL.Model.prototype._computeExtents = function()
     
     var minExtent = vec3.createFrom(Number.MAX_VALUE, Number.MAX_VALUE,
                                     Number.MAX_VALUE);
-    var maxExtent = vec3.createFrom(-Number.MIN_VALUE, -Number.MIN_VALUE,
-                                    -Number.MIN_VALUE);
+    var maxExtent = vec3.createFrom(-Number.MAX_VALUE, -Number.MAX_VALUE,
+                                    -Number.MAX_VALUE);
     var tmpVec = vec3.create();
 
     var i, j, k, curNode, curVerts;
-    for (i = 0; i < this.json.nodes.length; i++)
+    for (i = 0; i < this.nodes.length; i++)
     {
-        curNode = this.json.nodes[i];
+        curNode = this.nodes[i];
 
         for (j = 0; j < curNode.meshIndices.length; j++)
         {
@@ -349,6 +1184,13 @@ ShipGL.Model.prototype._computeExtents = function()
         }
     }
     
+    // A model without any vertices has no extents to speak of.
+    if (minExtent[0] > maxExtent[0])
+    {
+        vec3.set([0, 0, 0], minExtent);
+        vec3.set([0, 0, 0], maxExtent);
+    }
+
     var center = vec3.create();
     vec3.add(minExtent, maxExtent, center);
     vec3.scale(center, 0.5);
@@ -358,3 +1200,12 @@ ShipGL.Model.prototype._computeExtents = function()
     vec3.set(center, this.center);
     this.diagonal = vec3.dist(this.min, this.max);
 };
+
+ShipGL.Model.prototype._computeNormalizationMatrix = function()
+{
+    var scale = this.diagonal > 0 ? 1 / this.diagonal : 1;
+
+    mat4.identity(this.normalizationMatrix);
+    mat4.scale(this.normalizationMatrix, [scale, scale, scale]);
+    mat4.translate(this.normalizationMatrix, [-this.center[0], -this.center[1], -this.center[2]]);
+};
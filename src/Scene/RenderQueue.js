@@ -0,0 +1,264 @@
+/**
+ * @file Contains all ShipGL.RenderQueue code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.RenderQueue instance.
+ *
+ * @class ShipGL.RenderQueue
+ * @classdesc A ShipGL.RenderQueue collects draw items from models, sorts
+ *            them to minimize state changes and submits them. Items are
+ *            grouped by shader program, then by model and instances (whose
+ *            buffers and per-frame uniforms are shared by all of their
+ *            items), then by texture and material, so each piece of state is only set
+ *            when it changes. The queue counts draw calls and state
+ *            changes in its stats.
+ * @augments ShipGL.GLResource
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @example
+ * // Every frame, clear the queue, let each model add its meshes and
+ * // submit everything at once.
+ * queue.clear();
+ * house.enqueue(queue);
+ * teapot.enqueue(queue);
+ * queue.submit();
+ *
+ * // The stats describe the last submit.
+ * console.log(queue.stats.drawCalls + " draw calls, " +
+ *             queue.stats.programChanges + " program changes");
+ *
+ * // A draw item is an object with the following fields:
+ * //   program, the ShipGL.ShaderProgram drawing the item
+ * //   model, the model owning the item's buffers
+ * //   instances, the ShipGL.InstanceBuffer to draw the item with, or null
+ * //   node, the model node whose matrices place the item
+ * //   mesh, the JSON mesh to draw
+ * //   material, the mesh's material
+ * //   texture, the material's main texture (used for sorting), or null
+ * // The model must provide the methods ShipGL.StandardModel uses to draw
+ * // through a queue: beginDraw, setNodeUniforms, bindMaterial, drawMesh
+ * // and endDraw. bindMaterial returns the number of texture units it
+ * // bound, and submit unbinds those units once everything is drawn.
+ * // Textures bound in beginDraw are unbound by the model's endDraw.
+ * queue.add({ program: program, model: model, node: node, mesh: mesh,
+ *             material: material, texture: material.texture });
+ */
+ShipGL.RenderQueue = function(gl)
+{
+    ShipGL.GLResource.call(this, gl);
+
+    /**
+     * @memberof ShipGL.RenderQueue#
+     * @description The queued draw items. Sorted by submit.
+     * @name items
+     */
+    this.items = [];
+
+    /**
+     * @memberof ShipGL.RenderQueue#
+     * @description Counts from the last submit: drawCalls, programChanges,
+     *              modelChanges (vertex/index/instance buffer and
+     *              per-frame uniform changes), nodeChanges (matrix uniform
+     *              changes), materialChanges and textureChanges.
+     * @name stats
+     */
+    this.stats = { drawCalls: 0,
+                   programChanges: 0,
+                   modelChanges: 0,
+                   nodeChanges: 0,
+                   materialChanges: 0,
+                   textureChanges: 0
+    };
+
+    this._isSorted = true;
+};
+
+ShipGL.RenderQueue.prototype = Object.create(ShipGL.GLResource.prototype);
+
+// Stamps objects with ids to sort by, as there is nothing else to compare
+// programs, models, textures and materials with.
+ShipGL.RenderQueue._nextId = 1;
+
+ShipGL.RenderQueue._idOf = function(object)
+{
+    if (!object)
+    {
+        return 0;
+    }
+
+    if (!object._renderQueueId)
+    {
+        object._renderQueueId = ShipGL.RenderQueue._nextId++;
+    }
+
+    return object._renderQueueId;
+};
+
+/**
+ * Add a draw item to the queue.
+ *
+ * @this {ShipGL.RenderQueue}
+ *
+ * @param {object} item The draw item. See the class example for its fields.
+ */
+ShipGL.RenderQueue.prototype.add = function(item)
+{
+    item._sortKeys = [ShipGL.RenderQueue._idOf(item.program),
+                      ShipGL.RenderQueue._idOf(item.model),
+                      ShipGL.RenderQueue._idOf(item.instances),
+                      ShipGL.RenderQueue._idOf(item.texture),
+                      ShipGL.RenderQueue._idOf(item.material),
+                      this.items.length];
+
+    this.items.push(item);
+    this._isSorted = false;
+};
+
+/**
+ * Remove all draw items from the queue.
+ *
+ * @this {ShipGL.RenderQueue}
+ */
+ShipGL.RenderQueue.prototype.clear = function()
+{
+    this.items.length = 0;
+    this._isSorted = true;
+};
+
+/**
+ * Sort the draw items to minimize state changes. Called by submit when
+ * items were added since the last sort.
+ *
+ * @this {ShipGL.RenderQueue}
+ */
+ShipGL.RenderQueue.prototype.sort = function()
+{
+    this.items.sort(function(a, b)
+    {
+        var i;
+        for (i = 0; i < a._sortKeys.length; i++)
+        {
+            if (a._sortKeys[i] != b._sortKeys[i])
+            {
+                return a._sortKeys[i] - b._sortKeys[i];
+            }
+        }
+
+        return 0;
+    });
+
+    this._isSorted = true;
+};
+
+/**
+ * Draw all of the queued items, in sorted order. The items stay queued,
+ * so an unchanged queue can be submitted again the next frame.
+ *
+ * @this {ShipGL.RenderQueue}
+ */
+ShipGL.RenderQueue.prototype.submit = function()
+{
+    var stats = this.stats;
+    stats.drawCalls = 0;
+    stats.programChanges = 0;
+    stats.modelChanges = 0;
+    stats.nodeChanges = 0;
+    stats.materialChanges = 0;
+    stats.textureChanges = 0;
+
+    if (!this._isSorted)
+    {
+        this.sort();
+    }
+
+    var program = null, model = null, instances = null, node = null;
+    var material = null, texture = null;
+    var hasTexCoords = false, hasTangents = false, unitCount = 0;
+
+    var i, item;
+    for (i = 0; i < this.items.length; i++)
+    {
+        item = this.items[i];
+
+        if (item.program != program || item.model != model ||
+            (item.instances || null) != instances)
+        {
+            if (model)
+            {
+                model.endDraw(program, instances);
+            }
+
+            if (item.program != program)
+            {
+                program = item.program;
+                program.bind();
+                stats.programChanges++;
+
+                // A program change loses the material uniforms.
+                material = null;
+            }
+
+            model = item.model;
+            instances = item.instances || null;
+            model.beginDraw(program, instances);
+            stats.modelChanges++;
+            node = null;
+        }
+
+        if (item.node != node)
+        {
+            node = item.node;
+            model.setNodeUniforms(program, node);
+            stats.nodeChanges++;
+        }
+
+        // Materials leave out the maps a mesh can't use, so the same
+        // material is bound again when that changes.
+        if (item.material != material || !!item.mesh.hasTexCoords != hasTexCoords ||
+            !!item.mesh.hasTangents != hasTangents)
+        {
+            material = item.material;
+            hasTexCoords = !!item.mesh.hasTexCoords;
+            hasTangents = !!item.mesh.hasTangents;
+            unitCount = Math.max(unitCount, model.bindMaterial(material, item.mesh, program) || 0);
+            stats.materialChanges++;
+
+            if (item.texture != texture)
+            {
+                texture = item.texture;
+                stats.textureChanges++;
+            }
+        }
+
+        model.drawMesh(program, item.mesh, instances);
+        stats.drawCalls++;
+    }
+
+    if (model)
+    {
+        model.endDraw(program, instances);
+        program.unbind();
+        ShipGL.Texture.unbindAll(this.gl, unitCount);
+    }
+};
@@ -43,65 +43,21 @@ ShipGL.SkyBox = function(gl)
     this.cubeMap = new ShipGL.CubeTexture(this.gl);
 
     var bufferUtils = new ShipGL.BufferUtilities(this.gl);
+    var cube = bufferUtils.generateCube(2);
 
     /**
      * @memberof ShipGL.SkyBox#
      * @description The vertex buffer object for the skybox.
      * @name vbo
      */
-    this.vbo = bufferUtils.createVertexBuffer([
-       // Snagged from learningwebgl.com. (in the interest of time)
-       // Front face
-      -1.0, -1.0,  1.0,
-       1.0, -1.0,  1.0,
-       1.0,  1.0,  1.0,
-      -1.0,  1.0,  1.0,
-
-       // Back face
-      -1.0, -1.0, -1.0,
-      -1.0,  1.0, -1.0,
-       1.0,  1.0, -1.0,
-       1.0, -1.0, -1.0,
-
-       // Top face
-      -1.0,  1.0, -1.0,
-      -1.0,  1.0,  1.0,
-       1.0,  1.0,  1.0,
-       1.0,  1.0, -1.0,
-
-       // Bottom face
-      -1.0, -1.0, -1.0,
-       1.0, -1.0, -1.0,
-       1.0, -1.0,  1.0,
-      -1.0, -1.0,  1.0,
-
-       // Right face
-       1.0, -1.0, -1.0,
-       1.0,  1.0, -1.0,
-       1.0,  1.0,  1.0,
-       1.0, -1.0,  1.0,
-
-       // Left face
-      -1.0, -1.0, -1.0,
-      -1.0, -1.0,  1.0,
-      -1.0,  1.0,  1.0,
-      -1.0,  1.0, -1.0
-    ]);
+    this.vbo = bufferUtils.createVertexBuffer(cube.vertexPositions);
 
     /**
      * @memberof ShipGL.SkyBox#
      * @description The index buffer object for the skybox.
      * @name ibo
      */
-    this.ibo = bufferUtils.createIndexBuffer([
-        // Snagged from learningwebgl.com. (in the interest of time)
-         0,  1,  2,    0,  2,  3, // Front face
-         4,  5,  6,    4,  6,  7, // Back face
-         8,  9, 10,    8, 10, 11, // Top face
-        12, 13, 14,   12, 14, 15, // Bottom face
-        16, 17, 18,   16, 18, 19, // Right face
-        20, 21, 22,   20, 22, 23  // Left face
-    ]);
+    this.ibo = bufferUtils.createIndexBuffer(cube.indices);
 
     var vShaderCode = [
         "uniform mat4 uProjMat;",
@@ -140,6 +96,16 @@ ShipGL.SkyBox = function(gl)
     this.program = new ShipGL.ShaderProgram(this.gl);
     this.program.create(vShaderCode, fShaderCode);
 
+    /**
+     * @memberof ShipGL.SkyBox#
+     * @description The vertex array binding the skybox's buffers to its
+     *              shader program.
+     * @name vertexArray
+     */
+    this.vertexArray = new ShipGL.VertexArray(this.gl);
+    this.vertexArray.addAttribute(this.program, "aPosition", this.vbo, 3, 0, 0);
+    this.vertexArray.setIndexBuffer(this.ibo);
+
     this.center = vec3.create();
     this.width = 2;
 
@@ -159,27 +125,19 @@ ShipGL.SkyBox.prototype = Object.create(ShipGL.GLResource.prototype);
 ShipGL.SkyBox.prototype.draw = function()
 {
     this.program.bind();
-    this.vbo.bind();
-    this.ibo.bind();
+    this.vertexArray.bind();
     this.cubeMap.bind(0);
 
-    this.program.enableAttributeArray("aPosition");
-
     this.program.setUniformMat4("uProjMat", this.projMat);
     this.program.setUniformMat4("uViewMat", this.viewMat);
     this.program.setUniformMat4("uModelMat", this.modelMat);
     this.program.setUniform1i("uCubeTex", 0);
-    
-    this.program.setAttributeBuffer3f("aPosition", 0, 0);
 
     this.gl.drawElements(this.gl.TRIANGLES, this.ibo.length,
                          this.gl.UNSIGNED_SHORT, 0);
-    
-    this.program.disableAttributeArray("aPosition");
 
     this.cubeMap.unbind();
-    this.ibo.unbind();
-    this.vbo.unbind();
+    this.vertexArray.unbind();
     this.program.unbind();
 };
 
@@ -193,16 +151,7 @@ ShipGL.SkyBox.prototype.draw = function()
  */
 ShipGL.SkyBox.prototype.setDirectory = function(path, ext)
 {
-    var posString = "/positive_";
-    var negString = "/negative_";
-
-    this.cubeMap.loadPositiveX(path + posString + "x" + ext);
-    this.cubeMap.loadPositiveY(path + posString + "y" + ext);
-    this.cubeMap.loadPositiveZ(path + posString + "z" + ext);
-
-    this.cubeMap.loadNegativeX(path + negString + "x" + ext);
-    this.cubeMap.loadNegativeY(path + negString + "y" + ext);
-    this.cubeMap.loadNegativeZ(path + negString + "z" + ext);
+    this.cubeMap.loadDirectory(path, ext);
 };
 
 /**
@@ -0,0 +1,1091 @@
+/**
+ * @file Contains all ShipGL.StandardModel code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.StandardModel instance. Like any ShipGL.Model, be
+ * sure to call initialize to prepare the model for rendering.
+ *
+ * @class ShipGL.StandardModel
+ * @classdesc ShipGL.StandardModel is a ShipGL.Model that knows how to draw
+ *            itself. It walks the model's nodes and meshes, binds each
+ *            mesh's ShipGL.VertexArray of positions, normals and texture
+ *            coordinates, binds its ShipGL.Material and draws it with a
+ *            Phong/Blinn-Phong lit shader, or with a physically based
+ *            shader for ShipGL.PBRMaterial's. The shader programs and the
+ *            material binding can all be replaced, so simple apps need no
+ *            ShipGL.Model subclass.
+ * @augments ShipGL.Model
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {string} pathToJSON The string path to the JSON model file
+ * @param {object} [json] The already parsed JSON model data. If not
+ *                        specified, the file at pathToJSON is loaded
+ *                        synchronously.
+ * @example
+ * // Load a model and draw it with the built-in shader. ShipGL.Model.load
+ * // and the importers create ShipGL.StandardModel's unless told otherwise.
+ * ShipGL.Model.load(gl, "model.json", function(model)
+ * {
+ *     model.setProjection(projMatrix);
+ *     model.setView(camera.viewMatrix);
+ *     model.draw();
+ * });
+ *
+ * // The built-in shader lights the model with up to
+ * // ShipGL.StandardModel.MAX_LIGHTS ShipGL.PointLight's and
+ * // ShipGL.DirectionalLight's, plus an ambient intensity. By default, the
+ * // model is lit by a single white directional light.
+ * model.setLights([new ShipGL.PointLight([1, 1, 1], [0, 10, 0]),
+ *                  new ShipGL.DirectionalLight([0.5, 0.5, 0.5], [0, -1, -1])]);
+ * vec3.set([0.1, 0.1, 0.1], model.ambientIntensity);
+ *
+ * // modelMatrix places the whole model in the world. Each node's own
+ * // modelMatrix is applied first.
+ * model.setModelMatrix(model.normalizationMatrix);
+ *
+ * // The built-in shader uses each mesh's ShipGL.Material from the model's
+ * // materials field. Change a material's coefficients or shading model to
+ * // change how its meshes look.
+ * model.materials[0].shadingModel = ShipGL.Material.PHONG;
+ *
+ * // Any shader program using the same names can replace the built-in one:
+ * //   attributes: aPosition (vec3), aNormal (vec3), aTexCoord (vec2),
+ * //               aTangent (vec3), aBitangent (vec3)
+ * //   uniforms:   uProjMat, uViewMat, uModelMat, uNormalMat (all mat4),
+ * //               uEyePosition (vec3), uLightCount (int),
+ * //               uLightVectors (vec4 array), uLightIntensities (vec3 array),
+ * //               uAmbientIntensity (vec3), and the material uniforms
+ * //               listed in ShipGL.Material
+ * // uLightVectors holds each point light's position (w == 1) or each
+ * // directional light's direction (w == 0), in world space. All attributes
+ * // but aPosition may be left out of the program.
+ * model.setProgram(myProgram);
+ *
+ * // Meshes with a ShipGL.PBRMaterial are drawn with a separate, physically
+ * // based shader, created the first time it is needed. Besides the lights
+ * // and the ambient intensity, it is lit by an optional
+ * // ShipGL.EnvironmentMap for image-based lighting.
+ * var envMap = new ShipGL.EnvironmentMap(gl);
+ * envMap.setCubeTexture(skyBox.cubeMap);
+ * model.setEnvironmentMap(envMap);
+ *
+ * // A replacement PBR program uses the same names as the built-in one,
+ * // but with the material uniforms listed in ShipGL.PBRMaterial, plus
+ * // uHasEnvMap (int) and the environment map uniforms listed in
+ * // ShipGL.EnvironmentMap.
+ * model.setPBRProgram(myPBRProgram);
+ *
+ * // bindMaterial sets the material uniforms for the meshes. Override it,
+ * // on a subclass or on the instance, to bind materials differently. It is
+ * // called with the program drawing the mesh bound, and only when the
+ * // material (or whether the mesh has texture coordinates and tangents)
+ * // changes from the previous mesh.
+ * model.bindMaterial = function(material, mesh, program)
+ * {
+ *     program.setUniformVec4f("uDiffuseRefl", material.diffuseReflectance);
+ * };
+ *
+ * // drawInstanced draws many copies of the model at once, each placed by
+ * // a matrix and tinted by a color from a ShipGL.InstanceBuffer. It uses
+ * // instancedProgram and instancedPBRProgram, which take the extra
+ * // attributes aInstanceMatrix (mat4) and aInstanceColor (vec4).
+ * var instances = new ShipGL.InstanceBuffer(gl);
+ * instances.add(mat4.translate(mat4.identity(mat4.create()), [5, 0, 0]));
+ * instances.add(mat4.translate(mat4.identity(mat4.create()), [-5, 0, 0]),
+ *               [1, 0, 0, 1]);
+ * model.drawInstanced(instances);
+ *
+ * // draw sorts the meshes by program and material through the model's
+ * // renderQueue. To sort across several models, add them all to one
+ * // ShipGL.RenderQueue instead of drawing each.
+ * queue.clear();
+ * model.enqueue(queue);
+ * otherModel.enqueue(queue);
+ * queue.submit();
+ */
+ShipGL.StandardModel = function(gl, pathToJSON, json)
+{
+    ShipGL.Model.call(this, gl, pathToJSON, json);
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The shader program used to draw meshes with a plain
+     *              ShipGL.Material. Defaults to a built-in Phong/Blinn-Phong
+     *              lit shader, shared by the models of the same context so
+     *              a ShipGL.RenderQueue can draw them without switching
+     *              programs.
+     * @name program
+     */
+    this.program = ShipGL.StandardModel._builtInProgram(gl, false, false);
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The shader program used to draw meshes with a
+     *              ShipGL.PBRMaterial. Defaults to a built-in physically
+     *              based shader, created the first time it is needed and
+     *              shared like program.
+     * @name pbrProgram
+     */
+    this.pbrProgram = null;
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The shader program used by drawInstanced for meshes
+     *              with a plain ShipGL.Material. Defaults to an instanced
+     *              version of the built-in Phong/Blinn-Phong shader,
+     *              created the first time it is needed and shared like
+     *              program.
+     * @name instancedProgram
+     */
+    this.instancedProgram = null;
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The shader program used by drawInstanced for meshes
+     *              with a ShipGL.PBRMaterial. Defaults to an instanced
+     *              version of the built-in physically based shader.
+     * @name instancedPBRProgram
+     */
+    this.instancedPBRProgram = null;
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The lights (ShipGL.PointLight's and
+     *              ShipGL.DirectionalLight's) lighting the model. Only the
+     *              first ShipGL.StandardModel.MAX_LIGHTS are used.
+     * @name lights
+     */
+    this.lights = [new ShipGL.DirectionalLight([1, 1, 1], [-0.5, -1, -0.8])];
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The intensity of the light reaching every surface
+     *              regardless of the lights.
+     * @name ambientIntensity
+     */
+    this.ambientIntensity = vec3.createFrom(0.2, 0.2, 0.2);
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The ShipGL.EnvironmentMap lighting meshes with a
+     *              ShipGL.PBRMaterial, or null. It is only used once ready.
+     * @name environmentMap
+     */
+    this.environmentMap = null;
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The primitive type meshes are drawn with.
+     * @name drawType
+     */
+    this.drawType = gl.TRIANGLES;
+
+    this.projMat = mat4.create();
+    this.viewMat = mat4.create();
+    this.modelMat = mat4.identity(mat4.create());
+
+    /**
+     * @memberof ShipGL.StandardModel#
+     * @description The ShipGL.RenderQueue draw uses. Its stats describe
+     *              the last draw.
+     * @name renderQueue
+     */
+    this.renderQueue = new ShipGL.RenderQueue(gl);
+
+    this._boundVertexArray = null;
+    this._boundEnvironmentMap = null;
+    this._worldMat = mat4.create();
+    this._eyePosition = vec3.create();
+    this._normalMat = mat4.create();
+    this._lightVectors = new Float32Array(4 * ShipGL.StandardModel.MAX_LIGHTS);
+    this._lightIntensities = new Float32Array(3 * ShipGL.StandardModel.MAX_LIGHTS);
+};
+
+ShipGL.StandardModel.prototype = Object.create(ShipGL.Model.prototype);
+
+/**
+ * The most lights the built-in shader handles.
+ */
+ShipGL.StandardModel.MAX_LIGHTS = 4;
+
+// The built-in shader programs of each rendering context, created once
+// when first needed.
+ShipGL.StandardModel._programCache = [];
+
+ShipGL.StandardModel._builtInProgram = function(gl, pbr, instanced)
+{
+    var cache = ShipGL.StandardModel._programCache;
+    var key = (pbr ? "pbr" : "default") + (instanced ? "Instanced" : "");
+    var entry = null;
+
+    var i;
+    for (i = 0; i < cache.length; i++)
+    {
+        if (cache[i].gl == gl)
+        {
+            entry = cache[i];
+        }
+    }
+
+    if (!entry)
+    {
+        entry = { gl: gl, programs: {} };
+        cache.push(entry);
+    }
+
+    if (!entry.programs[key])
+    {
+        entry.programs[key] = pbr ? ShipGL.StandardModel.createPBRProgram(gl, instanced) :
+                                    ShipGL.StandardModel.createDefaultProgram(gl, instanced);
+    }
+
+    return entry.programs[key];
+};
+
+// The vertex shader shared by the built-in shader programs. Instanced
+// programs define INSTANCED.
+ShipGL.StandardModel._vertexShaderCode = [
+    "uniform mat4 uProjMat;",
+    "uniform mat4 uViewMat;",
+    "uniform mat4 uModelMat;",
+    "uniform mat4 uNormalMat;",
+    "",
+    "attribute vec3 aPosition;",
+    "attribute vec3 aNormal;",
+    "attribute vec2 aTexCoord;",
+    "attribute vec3 aTangent;",
+    "attribute vec3 aBitangent;",
+    "",
+    "#ifdef INSTANCED",
+    "attribute mat4 aInstanceMatrix;",
+    "attribute vec4 aInstanceColor;",
+    "#endif",
+    "",
+    "varying vec3 worldPosition;",
+    "varying vec3 worldNormal;",
+    "varying vec3 worldTangent;",
+    "varying vec3 worldBitangent;",
+    "varying vec2 texCoord;",
+    "varying vec4 instanceColor;",
+    "",
+    "void main()",
+    "{",
+    "    vec4 position = uModelMat * vec4(aPosition, 1.0);",
+    "    worldNormal = (uNormalMat * vec4(aNormal, 0.0)).xyz;",
+    "    worldTangent = (uModelMat * vec4(aTangent, 0.0)).xyz;",
+    "    worldBitangent = (uModelMat * vec4(aBitangent, 0.0)).xyz;",
+    "",
+    "#ifdef INSTANCED",
+    "    // Instance matrices are expected to scale uniformly, so they",
+    "    // transform normals like any other direction.",
+    "    mat3 instanceMat = mat3(aInstanceMatrix[0].xyz, aInstanceMatrix[1].xyz,",
+    "                            aInstanceMatrix[2].xyz);",
+    "    position = aInstanceMatrix * position;",
+    "    worldNormal = instanceMat * worldNormal;",
+    "    worldTangent = instanceMat * worldTangent;",
+    "    worldBitangent = instanceMat * worldBitangent;",
+    "    instanceColor = aInstanceColor;",
+    "#else",
+    "    instanceColor = vec4(1.0);",
+    "#endif",
+    "",
+    "    gl_Position = uProjMat * uViewMat * position;",
+    "    worldPosition = position.xyz;",
+    "    texCoord = aTexCoord;",
+    "}"
+].join("\n");
+
+/**
+ * Create the built-in shader program used by ShipGL.StandardModel.
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {boolean} [instanced=false] Whether the program draws instances,
+ *                                    placed and tinted by the
+ *                                    aInstanceMatrix (mat4) and
+ *                                    aInstanceColor (vec4) attributes
+ * @return {ShipGL.ShaderProgram} The created shader program
+ */
+ShipGL.StandardModel.createDefaultProgram = function(gl, instanced)
+{
+    var fShaderCode = [
+        "precision mediump float;",
+        "",
+        "#define MAX_LIGHTS " + ShipGL.StandardModel.MAX_LIGHTS,
+        "#define MAX_DIFFUSE_LAYERS " + ShipGL.Material.MAX_DIFFUSE_LAYERS,
+        "",
+        "uniform vec3 uEyePosition;",
+        "uniform int uLightCount;",
+        "uniform vec4 uLightVectors[MAX_LIGHTS];",
+        "uniform vec3 uLightIntensities[MAX_LIGHTS];",
+        "uniform vec3 uAmbientIntensity;",
+        "",
+        "uniform vec4 uAmbientRefl;",
+        "uniform vec4 uDiffuseRefl;",
+        "uniform vec4 uSpecularRefl;",
+        "uniform vec4 uEmissionColor;",
+        "uniform float uShininess;",
+        "uniform int uShadingModel;",
+        "uniform int uTexCount;",
+        "uniform sampler2D uTex[MAX_DIFFUSE_LAYERS];",
+        "uniform int uHasNormalTex;",
+        "uniform sampler2D uNormalTex;",
+        "uniform int uHasSpecularTex;",
+        "uniform sampler2D uSpecularTex;",
+        "uniform int uHasEmissiveTex;",
+        "uniform sampler2D uEmissiveTex;",
+        "",
+        "varying vec3 worldPosition;",
+        "varying vec3 worldNormal;",
+        "varying vec3 worldTangent;",
+        "varying vec3 worldBitangent;",
+        "varying vec2 texCoord;",
+        "varying vec4 instanceColor;",
+        "",
+        "void main()",
+        "{",
+        "    vec4 diffuseRefl = uDiffuseRefl;",
+        "",
+        "    // Diffuse layers are multiplied together.",
+        "    if (uTexCount > 0)",
+        "        diffuseRefl = vec4(1.0);",
+        "",
+        "    for (int i = 0; i < MAX_DIFFUSE_LAYERS; i++)",
+        "    {",
+        "        if (i >= uTexCount)",
+        "            break;",
+        "",
+        "        diffuseRefl *= texture2D(uTex[i], texCoord);",
+        "    }",
+        "",
+        "    diffuseRefl *= instanceColor;",
+        "",
+        "    vec3 specularRefl = uSpecularRefl.rgb;",
+        "",
+        "    if (uHasSpecularTex != 0)",
+        "        specularRefl *= texture2D(uSpecularTex, texCoord).rgb;",
+        "",
+        "    vec3 emission = uEmissionColor.rgb;",
+        "",
+        "    if (uHasEmissiveTex != 0)",
+        "        emission *= texture2D(uEmissiveTex, texCoord).rgb;",
+        "",
+        "    vec3 normal = normalize(worldNormal);",
+        "",
+        "    if (uHasNormalTex != 0)",
+        "    {",
+        "        vec3 tangentNormal = 2.0 * texture2D(uNormalTex, texCoord).xyz - 1.0;",
+        "        mat3 tbn = mat3(normalize(worldTangent), normalize(worldBitangent), normal);",
+        "        normal = normalize(tbn * tangentNormal);",
+        "    }",
+        "",
+        "    vec3 toEye = normalize(uEyePosition - worldPosition);",
+        "    vec3 color = emission + uAmbientRefl.rgb * uAmbientIntensity;",
+        "",
+        "    for (int i = 0; i < MAX_LIGHTS; i++)",
+        "    {",
+        "        if (i >= uLightCount)",
+        "            break;",
+        "",
+        "        vec3 toLight;",
+        "",
+        "        if (uLightVectors[i].w == 0.0)",
+        "            toLight = -normalize(uLightVectors[i].xyz);",
+        "        else",
+        "            toLight = normalize(uLightVectors[i].xyz - worldPosition);",
+        "",
+        "        float diffuse = max(dot(normal, toLight), 0.0);",
+        "        float specular = 0.0;",
+        "",
+        "        if (diffuse > 0.0 && uShininess > 0.0)",
+        "        {",
+        "            if (uShadingModel == " + ShipGL.Material.PHONG + ")",
+        "                specular = max(dot(reflect(-toLight, normal), toEye), 0.0);",
+        "            else",
+        "                specular = max(dot(normal, normalize(toLight + toEye)), 0.0);",
+        "",
+        "            specular = pow(specular, uShininess);",
+        "        }",
+        "",
+        "        color += uLightIntensities[i] * (diffuseRefl.rgb * diffuse +",
+        "                                         specularRefl * specular);",
+        "    }",
+        "",
+        "    gl_FragColor = vec4(color, diffuseRefl.a);",
+        "}"
+    ].join("\n");
+
+    var program = new ShipGL.ShaderProgram(gl);
+    program.create((instanced ? "#define INSTANCED\n" : "") +
+                   ShipGL.StandardModel._vertexShaderCode, fShaderCode);
+
+    return program;
+};
+
+/**
+ * Create the built-in physically based shader program used by
+ * ShipGL.StandardModel for meshes with a ShipGL.PBRMaterial. It uses the
+ * metallic-roughness model with GGX specular reflections, and lights
+ * surfaces with the lights, the ambient intensity and an optional
+ * ShipGL.EnvironmentMap. With the EXT_shader_texture_lod extension, the
+ * environment map's prefiltered mipmap level matching each surface's
+ * roughness is sampled explicitly. Without it, the level is only
+ * approximated with a bias.
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @param {boolean} [instanced=false] Whether the program draws instances.
+ *                                    See createDefaultProgram.
+ * @return {ShipGL.ShaderProgram} The created shader program
+ */
+ShipGL.StandardModel.createPBRProgram = function(gl, instanced)
+{
+    var hasTextureLod = !!gl.getExtension("EXT_shader_texture_lod");
+
+    var fShaderCode = [
+        hasTextureLod ? "#extension GL_EXT_shader_texture_lod : enable" : "",
+        "precision mediump float;",
+        "",
+        "#define MAX_LIGHTS " + ShipGL.StandardModel.MAX_LIGHTS,
+        "#define PI 3.14159265",
+        "",
+        "uniform vec3 uEyePosition;",
+        "uniform int uLightCount;",
+        "uniform vec4 uLightVectors[MAX_LIGHTS];",
+        "uniform vec3 uLightIntensities[MAX_LIGHTS];",
+        "uniform vec3 uAmbientIntensity;",
+        "",
+        "uniform vec4 uBaseColorFactor;",
+        "uniform float uMetallicFactor;",
+        "uniform float uRoughnessFactor;",
+        "uniform float uOcclusionStrength;",
+        "uniform vec4 uEmissionColor;",
+        "uniform int uHasBaseColorTex;",
+        "uniform sampler2D uBaseColorTex;",
+        "uniform int uHasMetallicRoughnessTex;",
+        "uniform sampler2D uMetallicRoughnessTex;",
+        "uniform int uHasOcclusionTex;",
+        "uniform sampler2D uOcclusionTex;",
+        "uniform int uHasNormalTex;",
+        "uniform sampler2D uNormalTex;",
+        "uniform int uHasEmissiveTex;",
+        "uniform sampler2D uEmissiveTex;",
+        "",
+        "uniform int uHasEnvMap;",
+        "uniform samplerCube uEnvMap;",
+        "uniform float uEnvMipCount;",
+        "uniform vec3 uIrradianceSH[9];",
+        "uniform float uEnvIntensity;",
+        "",
+        "varying vec3 worldPosition;",
+        "varying vec3 worldNormal;",
+        "varying vec3 worldTangent;",
+        "varying vec3 worldBitangent;",
+        "varying vec2 texCoord;",
+        "varying vec4 instanceColor;",
+        "",
+        "vec3 toLinear(vec3 color)",
+        "{",
+        "    return pow(color, vec3(2.2));",
+        "}",
+        "",
+        "vec3 irradiance(vec3 n)",
+        "{",
+        "    return uIrradianceSH[0] * 0.282095 +",
+        "           uIrradianceSH[1] * 0.488603 * n.y +",
+        "           uIrradianceSH[2] * 0.488603 * n.z +",
+        "           uIrradianceSH[3] * 0.488603 * n.x +",
+        "           uIrradianceSH[4] * 1.092548 * n.x * n.y +",
+        "           uIrradianceSH[5] * 1.092548 * n.y * n.z +",
+        "           uIrradianceSH[6] * 0.315392 * (3.0 * n.z * n.z - 1.0) +",
+        "           uIrradianceSH[7] * 1.092548 * n.x * n.z +",
+        "           uIrradianceSH[8] * 0.546274 * (n.x * n.x - n.y * n.y);",
+        "}",
+        "",
+        "// Karis' analytic fit of the preintegrated environment BRDF.",
+        "vec2 envBRDF(float roughness, float NdotV)",
+        "{",
+        "    const vec4 c0 = vec4(-1.0, -0.0275, -0.572, 0.022);",
+        "    const vec4 c1 = vec4(1.0, 0.0425, 1.04, -0.04);",
+        "    vec4 r = roughness * c0 + c1;",
+        "    float a004 = min(r.x * r.x, exp2(-9.28 * NdotV)) * r.x + r.y;",
+        "    return vec2(-1.04, 1.04) * a004 + r.zw;",
+        "}",
+        "",
+        "void main()",
+        "{",
+        "    vec4 baseColor = uBaseColorFactor;",
+        "",
+        "    if (uHasBaseColorTex != 0)",
+        "    {",
+        "        vec4 texel = texture2D(uBaseColorTex, texCoord);",
+        "        baseColor *= vec4(toLinear(texel.rgb), texel.a);",
+        "    }",
+        "",
+        "    baseColor *= instanceColor;",
+        "",
+        "    float metallic = uMetallicFactor;",
+        "    float roughness = uRoughnessFactor;",
+        "",
+        "    if (uHasMetallicRoughnessTex != 0)",
+        "    {",
+        "        vec4 texel = texture2D(uMetallicRoughnessTex, texCoord);",
+        "        roughness *= texel.g;",
+        "        metallic *= texel.b;",
+        "    }",
+        "",
+        "    roughness = clamp(roughness, 0.04, 1.0);",
+        "",
+        "    float occlusion = 1.0;",
+        "",
+        "    if (uHasOcclusionTex != 0)",
+        "        occlusion += uOcclusionStrength * (texture2D(uOcclusionTex, texCoord).r - 1.0);",
+        "",
+        "    vec3 emission = uEmissionColor.rgb;",
+        "",
+        "    if (uHasEmissiveTex != 0)",
+        "        emission *= toLinear(texture2D(uEmissiveTex, texCoord).rgb);",
+        "",
+        "    vec3 normal = normalize(worldNormal);",
+        "",
+        "    if (uHasNormalTex != 0)",
+        "    {",
+        "        vec3 tangentNormal = 2.0 * texture2D(uNormalTex, texCoord).xyz - 1.0;",
+        "        mat3 tbn = mat3(normalize(worldTangent), normalize(worldBitangent), normal);",
+        "        normal = normalize(tbn * tangentNormal);",
+        "    }",
+        "",
+        "    vec3 toEye = normalize(uEyePosition - worldPosition);",
+        "    float NdotV = max(dot(normal, toEye), 0.001);",
+        "",
+        "    vec3 diffuseColor = baseColor.rgb * (1.0 - metallic);",
+        "    vec3 f0 = mix(vec3(0.04), baseColor.rgb, metallic);",
+        "    float alpha2 = roughness * roughness * roughness * roughness;",
+        "    float k = (roughness + 1.0) * (roughness + 1.0) / 8.0;",
+        "",
+        "    vec3 color = emission;",
+        "",
+        "    for (int i = 0; i < MAX_LIGHTS; i++)",
+        "    {",
+        "        if (i >= uLightCount)",
+        "            break;",
+        "",
+        "        vec3 toLight;",
+        "",
+        "        if (uLightVectors[i].w == 0.0)",
+        "            toLight = -normalize(uLightVectors[i].xyz);",
+        "        else",
+        "            toLight = normalize(uLightVectors[i].xyz - worldPosition);",
+        "",
+        "        float NdotL = dot(normal, toLight);",
+        "",
+        "        if (NdotL <= 0.0)",
+        "            continue;",
+        "",
+        "        vec3 halfway = normalize(toLight + toEye);",
+        "        float NdotH = max(dot(normal, halfway), 0.0);",
+        "        float VdotH = max(dot(toEye, halfway), 0.0);",
+        "",
+        "        // GGX distribution, Smith-Schlick visibility and Schlick's",
+        "        // Fresnel approximation.",
+        "        float d = NdotH * NdotH * (alpha2 - 1.0) + 1.0;",
+        "        float D = alpha2 / (PI * d * d);",
+        "        float G = NdotL / (NdotL * (1.0 - k) + k) * NdotV / (NdotV * (1.0 - k) + k);",
+        "        vec3 F = f0 + (1.0 - f0) * pow(1.0 - VdotH, 5.0);",
+        "        vec3 specular = F * D * G / (4.0 * NdotL * NdotV);",
+        "",
+        "        // Light intensities are scaled by pi, so that a light lights a",
+        "        // white diffuse surface as brightly as with the Phong shader.",
+        "        color += uLightIntensities[i] * NdotL * ((1.0 - F) * diffuseColor +",
+        "                                                 PI * specular);",
+        "    }",
+        "",
+        "    vec2 brdf = envBRDF(roughness, NdotV);",
+        "    vec3 specularColor = f0 * brdf.x + brdf.y;",
+        "    vec3 ambient = uAmbientIntensity * (diffuseColor + specularColor);",
+        "",
+        "    if (uHasEnvMap != 0)",
+        "    {",
+        "        // Mipmap level n is prefiltered for a roughness of",
+        "        // n / (uEnvMipCount - 1).",
+        "        vec3 reflected = reflect(-toEye, normal);",
+        "        float lod = roughness * (uEnvMipCount - 1.0);",
+        "#ifdef GL_EXT_shader_texture_lod",
+        "        vec3 envColor = textureCubeLodEXT(uEnvMap, reflected, lod).rgb;",
+        "#else",
+        "        // Without the extension, the level can only be biased from",
+        "        // the one picked by the hardware, which is close to level 0",
+        "        // for most reflections, so this only approximates the lod.",
+        "        vec3 envColor = textureCube(uEnvMap, reflected, lod).rgb;",
+        "#endif",
+        "",
+        "        ambient += uEnvIntensity * (diffuseColor * max(irradiance(normal), 0.0) +",
+        "                                    specularColor * toLinear(envColor));",
+        "    }",
+        "",
+        "    color += occlusion * ambient;",
+        "",
+        "    gl_FragColor = vec4(pow(color, vec3(1.0 / 2.2)), baseColor.a);",
+        "}"
+    ].join("\n");
+
+    var program = new ShipGL.ShaderProgram(gl);
+    program.create((instanced ? "#define INSTANCED\n" : "") +
+                   ShipGL.StandardModel._vertexShaderCode, fShaderCode);
+
+    return program;
+};
+
+/**
+ * Draw the model. Be sure to set the model's projection/view matrices,
+ * and any other required state before calling this. The model is drawn
+ * through its renderQueue.
+ *
+ * @this {ShipGL.StandardModel}
+ */
+ShipGL.StandardModel.prototype.draw = function()
+{
+    this.renderQueue.clear();
+    this.enqueue(this.renderQueue);
+    this.renderQueue.submit();
+};
+
+/**
+ * Draw many copies of the model at once. Each instance is placed by its
+ * matrix, applied after the model's modelMatrix, and its color multiplies
+ * the material's diffuse reflectance or base color. The instance matrices
+ * should only scale uniformly.
+ *
+ * With the ANGLE_instanced_arrays extension, every mesh is drawn once for
+ * all instances. Without it, the same shaders draw each instance in turn.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.InstanceBuffer} instances The instances to draw
+ */
+ShipGL.StandardModel.prototype.drawInstanced = function(instances)
+{
+    if (instances.count == 0)
+    {
+        return;
+    }
+
+    this.renderQueue.clear();
+    this.enqueue(this.renderQueue, instances);
+    this.renderQueue.submit();
+};
+
+/**
+ * Add a draw item for every mesh of every node to a ShipGL.RenderQueue.
+ * Meshes with a ShipGL.PBRMaterial are drawn with pbrProgram, and the
+ * others with program (or instancedPBRProgram and instancedProgram when
+ * drawing instances).
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.RenderQueue} queue The queue to add the draw items to
+ * @param {ShipGL.InstanceBuffer} [instances] The instances to draw. See
+ *                                            drawInstanced.
+ */
+ShipGL.StandardModel.prototype.enqueue = function(queue, instances)
+{
+    var i, j, curNode, curMesh, curMaterial;
+    for (i = 0; i < this.nodes.length; i++)
+    {
+        curNode = this.nodes[i];
+
+        for (j = 0; j < curNode.meshIndices.length; j++)
+        {
+            curMesh = this.json.meshes[curNode.meshIndices[j]];
+            curMaterial = this.materials[curMesh.materialIndex];
+
+            queue.add({ program: this._programFor(curMaterial, !!instances),
+                        model: this,
+                        instances: instances || null,
+                        node: curNode,
+                        mesh: curMesh,
+                        material: curMaterial,
+                        texture: curMaterial.baseColorTexture || curMaterial.texture || null
+            });
+        }
+    }
+};
+
+/**
+ * Prepare to draw meshes of the model with a bound shader program,
+ * setting the uniforms shared by every mesh. Called by ShipGL.RenderQueue.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ * @param {ShipGL.InstanceBuffer} [instances] The instances to draw
+ */
+ShipGL.StandardModel.prototype.beginDraw = function(program, instances)
+{
+    program.setUniformMat4("uProjMat", this.projMat);
+    program.setUniformMat4("uViewMat", this.viewMat);
+    this._setLightUniforms(program);
+
+    if (program == this.pbrProgram || program == this.instancedPBRProgram)
+    {
+        this._setEnvironmentUniforms(program);
+    }
+
+    // The eye sits at the origin of view space.
+    mat4.inverse(this.viewMat, this._worldMat);
+    mat4.multiplyVec3(this._worldMat, [0, 0, 0], this._eyePosition);
+    program.setUniformVec3f("uEyePosition", this._eyePosition);
+};
+
+/**
+ * Set the matrix uniforms placing a node's meshes. Called by
+ * ShipGL.RenderQueue.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ * @param {object} node The node about to be drawn
+ */
+ShipGL.StandardModel.prototype.setNodeUniforms = function(program, node)
+{
+    mat4.multiply(this.modelMat, node.modelMatrix, this._worldMat);
+    mat4.inverse(this._worldMat, this._normalMat);
+    mat4.transpose(this._normalMat);
+
+    program.setUniformMat4("uModelMat", this._worldMat);
+    program.setUniformMat4("uNormalMat", this._normalMat);
+};
+
+/**
+ * Bind a mesh's vertex array (see getVertexArray) and draw the mesh.
+ * Called by ShipGL.RenderQueue.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ * @param {object} mesh The JSON mesh to draw
+ * @param {ShipGL.InstanceBuffer} [instances] The instances to draw
+ */
+ShipGL.StandardModel.prototype.drawMesh = function(program, mesh, instances)
+{
+    var vertexArray = this.getVertexArray(program, mesh);
+    var ext = instances ? this.gl.getExtension("ANGLE_instanced_arrays") : null;
+    var isNewVertexArray = vertexArray != this._boundVertexArray;
+
+    if (isNewVertexArray)
+    {
+        if (this._boundVertexArray)
+        {
+            this._boundVertexArray.unbind();
+        }
+
+        vertexArray.bind();
+        this._boundVertexArray = vertexArray;
+    }
+
+    if (ext)
+    {
+        // The instance attributes are part of a vertex array object's
+        // state, so they are set up again for every vertex array. Without
+        // vertex array objects, they are global state, so they are set up
+        // for every draw and reset right after it. Otherwise, their
+        // divisors would leak onto the attributes of later draws.
+        if (isNewVertexArray || !vertexArray.isNative)
+        {
+            instances.bind();
+            program.enableMatrixAttributeArray("aInstanceMatrix");
+            program.enableAttributeArray("aInstanceColor");
+            program.setAttributeBufferMat4f("aInstanceMatrix", ShipGL.InstanceBuffer.STRIDE,
+                                            ShipGL.InstanceBuffer.MATRIX_OFFSET);
+            program.setAttributeBuffer4f("aInstanceColor", ShipGL.InstanceBuffer.STRIDE,
+                                         ShipGL.InstanceBuffer.COLOR_OFFSET);
+            program.setMatrixAttributeDivisor("aInstanceMatrix", 1);
+            program.setAttributeDivisor("aInstanceColor", 1);
+        }
+
+        if (mesh.hasIndices)
+        {
+            ext.drawElementsInstancedANGLE(this.drawType, mesh.indices.length, mesh.indexType,
+                                           mesh.indicesByteOffset, instances.count);
+        }
+        else
+        {
+            ext.drawArraysInstancedANGLE(this.drawType, 0, mesh.vertexPositions.length / 3,
+                                         instances.count);
+        }
+
+        if (!vertexArray.isNative)
+        {
+            program.setMatrixAttributeDivisor("aInstanceMatrix", 0);
+            program.setAttributeDivisor("aInstanceColor", 0);
+            program.disableMatrixAttributeArray("aInstanceMatrix");
+            program.disableAttributeArray("aInstanceColor");
+        }
+
+        return;
+    }
+
+    // Without the extension, the instance attributes stay disabled, so
+    // their constant values apply to a whole draw.
+    var instanceCount = instances ? instances.count : 1;
+
+    var i, offset;
+    for (i = 0; i < instanceCount; i++)
+    {
+        if (instances)
+        {
+            offset = i * ShipGL.InstanceBuffer.STRIDE;
+            program.setAttributeValueMat4f("aInstanceMatrix", instances.data.subarray(
+                offset + ShipGL.InstanceBuffer.MATRIX_OFFSET,
+                offset + ShipGL.InstanceBuffer.MATRIX_OFFSET + 16));
+
+            offset += ShipGL.InstanceBuffer.COLOR_OFFSET;
+            program.setAttributeValue4f("aInstanceColor", instances.data[offset],
+                                        instances.data[offset + 1], instances.data[offset + 2],
+                                        instances.data[offset + 3]);
+        }
+
+        if (mesh.hasIndices)
+        {
+            this.gl.drawElements(this.drawType, mesh.indices.length,
+                                 mesh.indexType, mesh.indicesByteOffset);
+        }
+        else
+        {
+            this.gl.drawArrays(this.drawType, 0, mesh.vertexPositions.length / 3);
+        }
+    }
+};
+
+/**
+ * Unbind the vertex array and buffers bound by drawMesh, and the
+ * environment map bound by beginDraw. Called by ShipGL.RenderQueue.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ * @param {ShipGL.InstanceBuffer} [instances] The instances drawn
+ */
+ShipGL.StandardModel.prototype.endDraw = function(program, instances)
+{
+    if (this._boundEnvironmentMap)
+    {
+        this._boundEnvironmentMap.unbind();
+        this._boundEnvironmentMap = null;
+    }
+
+    if (!this._boundVertexArray)
+    {
+        return;
+    }
+
+    this._boundVertexArray.unbind();
+    this._boundVertexArray = null;
+    this.vbo.unbind();
+};
+
+/**
+ * Set the material uniforms for a mesh about to be drawn. The default
+ * implementation binds the ShipGL.Material, leaving out the maps the mesh
+ * can't use. Override this to bind materials differently.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.Material} material The material of the mesh
+ * @param {object} mesh The JSON mesh about to be drawn
+ * @param {ShipGL.ShaderProgram} program The bound shader program drawing
+ *                                       the mesh
+ * @return {number} The number of texture units used, starting at unit 0,
+ *                  so ShipGL.RenderQueue can unbind them once it's done
+ */
+ShipGL.StandardModel.prototype.bindMaterial = function(material, mesh, program)
+{
+    return material.bind(program, mesh);
+};
+
+/**
+ * Set the shader program used to draw the model.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.ShaderProgram} program The model's new shader program
+ */
+ShipGL.StandardModel.prototype.setProgram = function(program)
+{
+    this.program = program;
+};
+
+/**
+ * Set the shader program used to draw meshes with a ShipGL.PBRMaterial.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.ShaderProgram} program The model's new PBR shader program
+ */
+ShipGL.StandardModel.prototype.setPBRProgram = function(program)
+{
+    this.pbrProgram = program;
+};
+
+/**
+ * Set the environment map lighting meshes with a ShipGL.PBRMaterial.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.EnvironmentMap} environmentMap The model's new environment
+ *                                               map, or null for none
+ */
+ShipGL.StandardModel.prototype.setEnvironmentMap = function(environmentMap)
+{
+    this.environmentMap = environmentMap;
+};
+
+/**
+ * Set the shader program used by drawInstanced for meshes with a plain
+ * ShipGL.Material.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.ShaderProgram} program The model's new instanced shader
+ *                                       program
+ */
+ShipGL.StandardModel.prototype.setInstancedProgram = function(program)
+{
+    this.instancedProgram = program;
+};
+
+/**
+ * Set the shader program used by drawInstanced for meshes with a
+ * ShipGL.PBRMaterial.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {ShipGL.ShaderProgram} program The model's new instanced PBR
+ *                                       shader program
+ */
+ShipGL.StandardModel.prototype.setInstancedPBRProgram = function(program)
+{
+    this.instancedPBRProgram = program;
+};
+
+/**
+ * Set the lights lighting the model.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {Array} lights The ShipGL.PointLight's and
+ *                       ShipGL.DirectionalLight's lighting the model
+ */
+ShipGL.StandardModel.prototype.setLights = function(lights)
+{
+    this.lights = lights.slice();
+};
+
+/**
+ * Set the matrix placing the whole model in the world.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {mat4} modelMat The model's new model matrix
+ */
+ShipGL.StandardModel.prototype.setModelMatrix = function(modelMat)
+{
+    mat4.set(modelMat, this.modelMat);
+};
+
+/**
+ * Set the projection matrix for the model.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {mat4} projMat The model's new projection matrix
+ */
+ShipGL.StandardModel.prototype.setProjection = function(projMat)
+{
+    mat4.set(projMat, this.projMat);
+};
+
+/**
+ * Set the view matrix for the model.
+ *
+ * @this {ShipGL.StandardModel}
+ *
+ * @param {mat4} viewMat The model's new view matrix
+ */
+ShipGL.StandardModel.prototype.setView = function(viewMat)
+{
+    mat4.set(viewMat, this.viewMat);
+};
+
+// The program drawing meshes with a material, creating the built-in one
+// when none is set yet.
+ShipGL.StandardModel.prototype._programFor = function(material, instanced)
+{
+    var pbr = material instanceof ShipGL.PBRMaterial;
+    var field = instanced ? (pbr ? "instancedPBRProgram" : "instancedProgram") :
+                            (pbr ? "pbrProgram" : "program");
+
+    if (!this[field])
+    {
+        this[field] = ShipGL.StandardModel._builtInProgram(this.gl, pbr, instanced);
+    }
+
+    return this[field];
+};
+
+ShipGL.StandardModel.prototype._setLightUniforms = function(program)
+{
+    var count = Math.min(this.lights.length, ShipGL.StandardModel.MAX_LIGHTS);
+
+    var i, curLight;
+    for (i = 0; i < count; i++)
+    {
+        curLight = this.lights[i];
+
+        this._lightVectors.set(curLight instanceof ShipGL.PointLight ?
+                               curLight.position : curLight.direction, 4 * i);
+        this._lightIntensities.set(curLight.intensity, 3 * i);
+    }
+
+    program.setUniform1i("uLightCount", count);
+    program.setUniformVec4f("uLightVectors", this._lightVectors);
+    program.setUniformVec3f("uLightIntensities", this._lightIntensities);
+    program.setUniformVec3f("uAmbientIntensity", this.ambientIntensity);
+};
+
+ShipGL.StandardModel.prototype._setEnvironmentUniforms = function(program)
+{
+    var hasEnvMap = !!(this.environmentMap && this.environmentMap.isReady);
+
+    if (hasEnvMap)
+    {
+        this.environmentMap.bind(program);
+        this._boundEnvironmentMap = this.environmentMap;
+    }
+    else
+    {
+        // Keep the cube sampler off the units used by 2D textures.
+        program.setUniform1i("uEnvMap", ShipGL.EnvironmentMap.TEXTURE_UNIT);
+    }
+
+    program.setUniform1i("uHasEnvMap", hasEnvMap ? 1 : 0);
+};
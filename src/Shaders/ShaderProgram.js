@@ -46,9 +46,18 @@ ShipGL.ShaderProgram = function(gl)
 
     // Bytes per float (4).
     this._bpf = Float32Array.BYTES_PER_ELEMENT;
+};
 
-    // Bytes per unsigned short (2).
-    this._bps = Uint16Array.BYTES_PER_ELEMENT;
+/**
+ * Enable instanced drawing (attribute divisors and the instanced draw calls)
+ * through the ANGLE_instanced_arrays extension.
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @return {boolean} True if instanced drawing is supported
+ */
+ShipGL.ShaderProgram.enableInstancing = function(gl)
+{
+    return !!gl.getExtension("ANGLE_instanced_arrays");
 };
 
 ShipGL.ShaderProgram.prototype = Object.create(ShipGL.GLResource.prototype);
@@ -146,6 +155,20 @@ ShipGL.ShaderProgram.prototype.attributeLocation = function(attName)
     return loc;
 };
 
+/**
+ * Check whether the shader program has an active attribute with the passed
+ * in name, without complaining if it doesn't.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} attName The attribute name string
+ * @return {boolean} Whether or not the attribute exists
+ */
+ShipGL.ShaderProgram.prototype.hasAttribute = function(attName)
+{
+    return this.gl.getAttribLocation(this.rawProgram, attName) >= 0;
+};
+
 /**
  * Look up the uniform location for the passed in uniform name.
  *
@@ -283,7 +306,7 @@ ShipGL.ShaderProgram.prototype.setAttributeBuffer4f = function(att, stride, offs
  * Set a scalar integer attribute in the shader program from the bound buffer.
  *
  * You must specify stride and offset! These are in terms of array indices, NOT bytes.
- * The method will send stride and offset in bytes for you.
+ * The method will send stride and offset in bytes for you, using the size of type.
  *
  * @this {ShipGL.ShaderProgram}
  *
@@ -291,19 +314,19 @@ ShipGL.ShaderProgram.prototype.setAttributeBuffer4f = function(att, stride, offs
  * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
  * @param {number} offset The starting attribute index
  * @param {bool} [norm=false] Whether or not values should be normalized
+ * @param {number} [type=SHORT] The WebGL type of the values (BYTE,
+ *                              UNSIGNED_BYTE, SHORT or UNSIGNED_SHORT)
  */
-ShipGL.ShaderProgram.prototype.setAttributeBuffer1i = function(att, stride, offset, norm)
+ShipGL.ShaderProgram.prototype.setAttributeBuffer1i = function(att, stride, offset, norm, type)
 {
-    norm = norm || false;
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.vertexAttribPointer(this[att], 1, this.gl.INT, norm, this._bps * stride, this._bps * offset);
+    this._setIntegerAttributeBuffer(att, 1, stride, offset, norm, type);
 };
 
 /**
  * Set a two-dimensional integer attribute in the shader program from the bound buffer.
  *
  * You must specify stride and offset! These are in terms of array indices, NOT bytes.
- * The method will send stride and offset in bytes for you.
+ * The method will send stride and offset in bytes for you, using the size of type.
  *
  * @this {ShipGL.ShaderProgram}
  *
@@ -311,19 +334,19 @@ ShipGL.ShaderProgram.prototype.setAttributeBuffer1i = function(att, stride, offs
  * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
  * @param {number} offset The starting attribute index
  * @param {bool} [norm=false] Whether or not values should be normalized
+ * @param {number} [type=SHORT] The WebGL type of the values (BYTE,
+ *                              UNSIGNED_BYTE, SHORT or UNSIGNED_SHORT)
  */
-ShipGL.ShaderProgram.prototype.setAttributeBuffer2i = function(att, stride, offset, norm)
+ShipGL.ShaderProgram.prototype.setAttributeBuffer2i = function(att, stride, offset, norm, type)
 {
-    norm = norm || false;
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.vertexAttribPointer(this[att], 2, this.gl.INT, norm, this._bps * stride, this._bps * offset);
+    this._setIntegerAttributeBuffer(att, 2, stride, offset, norm, type);
 };
 
 /**
  * Set a three-dimensional integer attribute in the shader program from the bound buffer.
  *
  * You must specify stride and offset! These are in terms of array indices, NOT bytes.
- * The method will send stride and offset in bytes for you.
+ * The method will send stride and offset in bytes for you, using the size of type.
  *
  * @this {ShipGL.ShaderProgram}
  *
@@ -331,19 +354,19 @@ ShipGL.ShaderProgram.prototype.setAttributeBuffer2i = function(att, stride, offs
  * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
  * @param {number} offset The starting attribute index
  * @param {bool} [norm=false] Whether or not values should be normalized
+ * @param {number} [type=SHORT] The WebGL type of the values (BYTE,
+ *                              UNSIGNED_BYTE, SHORT or UNSIGNED_SHORT)
  */
-ShipGL.ShaderProgram.prototype.setAttributeBuffer3i = function(att, stride, offset, norm)
+ShipGL.ShaderProgram.prototype.setAttributeBuffer3i = function(att, stride, offset, norm, type)
 {
-    norm = norm || false;
-    this[att] = this[att] || this.attributeLocation(att);
-    this.gl.vertexAttribPointer(this[att], 3, this.gl.INT, norm, this._bps * stride, this._bps * offset);
+    this._setIntegerAttributeBuffer(att, 3, stride, offset, norm, type);
 };
 
 /**
  * Set a four-dimensional integer attribute in the shader program from the bound buffer.
  *
  * You must specify stride and offset! These are in terms of array indices, NOT bytes.
- * The method will send stride and offset in bytes for you.
+ * The method will send stride and offset in bytes for you, using the size of type.
  *
  * @this {ShipGL.ShaderProgram}
  *
@@ -351,12 +374,46 @@ ShipGL.ShaderProgram.prototype.setAttributeBuffer3i = function(att, stride, offs
  * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
  * @param {number} offset The starting attribute index
  * @param {bool} [norm=false] Whether or not values should be normalized
+ * @param {number} [type=SHORT] The WebGL type of the values (BYTE,
+ *                              UNSIGNED_BYTE, SHORT or UNSIGNED_SHORT)
  */
-ShipGL.ShaderProgram.prototype.setAttributeBuffer4i = function(att, stride, offset, norm)
+ShipGL.ShaderProgram.prototype.setAttributeBuffer4i = function(att, stride, offset, norm, type)
 {
-    norm = norm || false;
+    this._setIntegerAttributeBuffer(att, 4, stride, offset, norm, type);
+};
+
+/**
+ * Set an attribute of any type in the shader program from the bound buffer.
+ *
+ * Unlike the setAttributeBuffer methods, stride and offset are in bytes.
+ * See ShipGL.VertexLayout, which works them out for you.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {number} size The number of components (1-4)
+ * @param {number} type The WebGL type of a component (FLOAT, UNSIGNED_BYTE,
+ *                      etc.)
+ * @param {bool} norm Whether or not integer values should be normalized
+ * @param {number} stride The stride between attributes in bytes
+ * @param {number} offset The byte of the first attribute
+ */
+ShipGL.ShaderProgram.prototype.setAttributePointer = function(att, size, type, norm, stride, offset)
+{
+    this[att] = this[att] || this.attributeLocation(att);
+    this.gl.vertexAttribPointer(this[att], size, type, norm || false, stride, offset);
+};
+
+// WebGL 1 has no INT attributes, so integer attributes default to SHORT.
+ShipGL.ShaderProgram.prototype._setIntegerAttributeBuffer = function(att, size, stride, offset,
+                                                                     norm, type)
+{
+    type = type || this.gl.SHORT;
+
+    var bytes = ShipGL.VertexLayout.bytesPerComponent(this.gl, type);
+
     this[att] = this[att] || this.attributeLocation(att);
-    this.gl.vertexAttribPointer(this[att], 4, this.gl.INT, norm, this._bps * stride, this._bps * offset);
+    this.gl.vertexAttribPointer(this[att], size, type, norm || false, bytes * stride, bytes * offset);
 };
 
 /**
@@ -421,6 +478,130 @@ ShipGL.ShaderProgram.prototype.setAttributeValue4f = function(att, val1, val2, v
     this.gl.vertexAttrib4f(this[att], val1, val2, val3, val4);
 };
 
+/**
+ * Enable the attribute arrays of a mat4 attribute, which takes up four
+ * consecutive attribute locations (one per column).
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ */
+ShipGL.ShaderProgram.prototype.enableMatrixAttributeArray = function(att)
+{
+    this[att] = this[att] || this.attributeLocation(att);
+
+    var i;
+    for (i = 0; i < 4; i++)
+    {
+        this.gl.enableVertexAttribArray(this[att] + i);
+    }
+};
+
+/**
+ * Disable the attribute arrays of a mat4 attribute.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ */
+ShipGL.ShaderProgram.prototype.disableMatrixAttributeArray = function(att)
+{
+    this[att] = this[att] || this.attributeLocation(att);
+
+    var i;
+    for (i = 0; i < 4; i++)
+    {
+        this.gl.disableVertexAttribArray(this[att] + i);
+    }
+};
+
+/**
+ * Set a mat4 float attribute in the shader program from the bound buffer.
+ * The matrix is read as 16 consecutive floats, in column-major order like
+ * gl-matrix's mat4.
+ *
+ * You must specify stride and offset! These are in terms of array indices, NOT bytes.
+ * The method will send stride and offset in bytes for you.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {number} stride The stride between attributes (in terms of array indices, NOT bytes)
+ * @param {number} offset The starting attribute index
+ */
+ShipGL.ShaderProgram.prototype.setAttributeBufferMat4f = function(att, stride, offset)
+{
+    this[att] = this[att] || this.attributeLocation(att);
+
+    var i;
+    for (i = 0; i < 4; i++)
+    {
+        this.gl.vertexAttribPointer(this[att] + i, 4, this.gl.FLOAT, false,
+                                    this._bpf * stride, this._bpf * (offset + 4 * i));
+    }
+};
+
+/**
+ * Set a constant mat4 float attribute in the shader program.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {mat4} val The matrix (or any array of 16 floats, column-major)
+ */
+ShipGL.ShaderProgram.prototype.setAttributeValueMat4f = function(att, val)
+{
+    this[att] = this[att] || this.attributeLocation(att);
+
+    var i;
+    for (i = 0; i < 4; i++)
+    {
+        this.gl.vertexAttrib4f(this[att] + i, val[4 * i], val[4 * i + 1],
+                               val[4 * i + 2], val[4 * i + 3]);
+    }
+};
+
+/**
+ * Set how often an attribute advances during instanced drawing: 0 for
+ * every vertex (the default), 1 for every instance, 2 for every other
+ * instance, etc. Requires ShipGL.ShaderProgram.enableInstancing.
+ *
+ * Divisors are context state, so reset them to 0 when done drawing
+ * instances.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {number} divisor The number of instances per attribute value
+ */
+ShipGL.ShaderProgram.prototype.setAttributeDivisor = function(att, divisor)
+{
+    this[att] = this[att] || this.attributeLocation(att);
+    this.gl.getExtension("ANGLE_instanced_arrays").vertexAttribDivisorANGLE(this[att], divisor);
+};
+
+/**
+ * Set the divisor of the four locations of a mat4 attribute. See
+ * setAttributeDivisor.
+ *
+ * @this {ShipGL.ShaderProgram}
+ *
+ * @param {string} att The attribute name string
+ * @param {number} divisor The number of instances per attribute value
+ */
+ShipGL.ShaderProgram.prototype.setMatrixAttributeDivisor = function(att, divisor)
+{
+    this[att] = this[att] || this.attributeLocation(att);
+
+    var ext = this.gl.getExtension("ANGLE_instanced_arrays");
+
+    var i;
+    for (i = 0; i < 4; i++)
+    {
+        ext.vertexAttribDivisorANGLE(this[att] + i, divisor);
+    }
+};
+
 /**
  * Set a scalar float uniform in the shader program.
  *
@@ -46,6 +46,14 @@ ShipGL.CubeTexture = function(gl)
      */
     this.rawTexture = this.gl.createTexture();
 
+    /**
+     * @memberof ShipGL.CubeTexture#
+     * @description Boolean indicating whether all six faces are loaded
+     * @name isLoaded
+     */
+    this.isLoaded = false;
+
+    this._loadedFaceCount = 0;
     this._images = [];
 
     var i, scope = this;
@@ -63,8 +71,7 @@ ShipGL.CubeTexture = function(gl)
                                   {
                                       return function()
                                       {
-                                          alert("Image " + index + " " +
-                                                this.src + " load error!");
+                                          scope.onImageError(index);
                                       };
                                   })(i);
     }
@@ -111,6 +118,43 @@ ShipGL.CubeTexture.prototype.unbind = function()
     this.gl.bindTexture(this.textureType, null);
 };
 
+/**
+ * Load all six faces from a directory containing images named positive_x,
+ * negative_x, positive_y, negative_y, positive_z and negative_z.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {string} path The path to the image folder
+ * @param {string} ext The image extension (".jpg", ".png", etc.)
+ * @param {function} [onLoad] Called with the cube texture once all six
+ *                            faces are loaded
+ * @param {function} [onError] Called with a ShipGL.FileLoadError for the
+ *                             first face that could not be loaded. If not
+ *                             specified, failed faces are reported through
+ *                             an alert.
+ */
+ShipGL.CubeTexture.prototype.loadDirectory = function(path, ext, onLoad, onError)
+{
+    var posString = "/positive_";
+    var negString = "/negative_";
+
+    // Reloading starts over, so the texture isn't reported as loaded until
+    // all six new faces are.
+    this._loadedFaceCount = 0;
+    this.isLoaded = false;
+
+    this._onLoad = onLoad;
+    this._onError = onError;
+
+    this.loadPositiveX(path + posString + "x" + ext);
+    this.loadPositiveY(path + posString + "y" + ext);
+    this.loadPositiveZ(path + posString + "z" + ext);
+
+    this.loadNegativeX(path + negString + "x" + ext);
+    this.loadNegativeY(path + negString + "y" + ext);
+    this.loadNegativeZ(path + negString + "z" + ext);
+};
+
 /**
  * Load the image for the positive X face.
  *
@@ -183,6 +227,22 @@ ShipGL.CubeTexture.prototype.loadNegativeZ = function(pathToTexture)
     this._images[5].src = pathToTexture;
 };
 
+/**
+ * Get the image of one of the faces. Its pixels are only available once the
+ * cube texture is loaded.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {number} index The face index, in the order positive X, negative X,
+ *                       positive Y, negative Y, positive Z and negative Z
+ *                       (0-5).
+ * @return {Image} The face's image
+ */
+ShipGL.CubeTexture.prototype.getFaceImage = function(index)
+{
+    return this._images[index];
+};
+
 /**
  * Set the texture's wrapping mode for the S component of texture coordinates.
  *
@@ -249,4 +309,40 @@ ShipGL.CubeTexture.prototype.onImageLoad = function(index)
     this.setRepeatT(false);
     this.setSmooth(true);
     this.unbind();
+
+    this._loadedFaceCount++;
+
+    if (this._loadedFaceCount == 6)
+    {
+        this.isLoaded = true;
+
+        if (this._onLoad)
+        {
+            this._onLoad(this);
+        }
+    }
+};
+
+/**
+ * Callback used to report a face's image that failed to load.
+ *
+ * @this {ShipGL.CubeTexture}
+ *
+ * @param {number} index The index into the _images array of images (0-5).
+ */
+ShipGL.CubeTexture.prototype.onImageError = function(index)
+{
+    var src = this._images[index].src;
+
+    if (!this._onError)
+    {
+        alert("Image " + index + " " + src + " load error!");
+        return;
+    }
+
+    var onError = this._onError;
+
+    // Only the first failed face is reported.
+    this._onError = function() {};
+    onError(new ShipGL.FileLoadError(src, 0, "error"));
 };
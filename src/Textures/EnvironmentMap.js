@@ -0,0 +1,605 @@
+/**
+ * @file Contains all ShipGL.EnvironmentMap code.
+ * @author Jason Shipman
+ *
+ * Copyright (C) 2012 Jason Shipman
+ * This software is provided 'as-is', without any express or implied warranty.
+ * In no event will the authors be held liable for any damages arising from the
+ * use of this software.
+ *
+ * Permission is granted to anyone to use this software for any purpose,
+ * including commercial applications, and to alter it and redistribute it
+ * freely, subject to the following restrictions:
+ *
+ * 1. The origin of this software must not be misrepresented; you must not
+ * claim that you wrote the original software. If you use this software
+ * in a product, an acknowledgment in the product documentation would be
+ * appreciated but is not required.
+ *
+ * 2. Altered source versions must be plainly marked as such, and must not be
+ * misrepresented as being the original software.
+ *
+ * 3. This notice may not be removed or altered from any source distribution.
+ */
+
+/**
+ * Creates a new ShipGL.EnvironmentMap instance.
+ *
+ * @class ShipGL.EnvironmentMap
+ * @classdesc A ShipGL.EnvironmentMap provides image-based lighting from a
+ *            ShipGL.CubeTexture, such as a skybox's cube map. It computes
+ *            the diffuse irradiance as spherical harmonics coefficients, and
+ *            keeps a mipmapped copy of the cube map whose levels are
+ *            prefiltered with the GGX distribution for the specular
+ *            reflections of increasingly rough surfaces.
+ * @augments ShipGL.GLResource
+ *
+ * @param {WebGLRenderingContext} gl The rendering context
+ * @example
+ * // Light a ShipGL.StandardModel with the same cube map as a skybox.
+ * var envMap = new ShipGL.EnvironmentMap(gl);
+ * envMap.loadDirectory("textures/cubemaps/forest", ".jpg", function()
+ * {
+ *     model.setEnvironmentMap(envMap);
+ * });
+ *
+ * // Or, from an already loaded ShipGL.CubeTexture. The callback is called
+ * // once the environment map is ready.
+ * envMap.setCubeTexture(skyBox.cubeMap, function()
+ * {
+ *     model.setEnvironmentMap(envMap);
+ * });
+ *
+ * // Shaders can use the environment map through the following uniforms,
+ * // as set by bind:
+ * //   uEnvMap (samplerCube), the mipmapped cube map. Its level n is
+ * //     prefiltered for a roughness of n / (uEnvMipCount - 1).
+ * //   uEnvMipCount (float), its number of mipmap levels
+ * //   uIrradianceSH (vec3 array of 9), the irradiance coefficients
+ * //   uEnvIntensity (float), the intensity multiplying both
+ * // Evaluating the coefficients with the first nine real spherical
+ * // harmonics basis functions at a world space normal gives the light
+ * // diffusely reflected by a white surface with that normal.
+ * envMap.bind(program);
+ */
+ShipGL.EnvironmentMap = function(gl)
+{
+    ShipGL.GLResource.call(this, gl);
+
+    /**
+     * @memberof ShipGL.EnvironmentMap#
+     * @description The mipmapped cube map (ShipGL.CubeTexture) used for
+     *              specular reflections. Its faces are resized to a power
+     *              of two of at most ShipGL.EnvironmentMap.MAX_SIZE. Level
+     *              0 is the cube map itself, and every other level n is
+     *              prefiltered for a roughness of n / (mipCount - 1).
+     * @name cubeTexture
+     */
+    this.cubeTexture = new ShipGL.CubeTexture(gl);
+
+    /**
+     * @memberof ShipGL.EnvironmentMap#
+     * @description The number of mipmap levels of cubeTexture.
+     * @name mipCount
+     */
+    this.mipCount = 1;
+
+    /**
+     * @memberof ShipGL.EnvironmentMap#
+     * @description The diffuse irradiance as nine RGB spherical harmonics
+     *              coefficients, already convolved with the cosine lobe
+     *              and divided by pi.
+     * @name irradianceCoefficients
+     */
+    this.irradianceCoefficients = new Float32Array(27);
+
+    /**
+     * @memberof ShipGL.EnvironmentMap#
+     * @description The intensity multiplying the environment's lighting.
+     * @name intensity
+     */
+    this.intensity = 1;
+
+    /**
+     * @memberof ShipGL.EnvironmentMap#
+     * @description Boolean indicating whether the environment map has been
+     *              computed from a loaded cube map, including all of its
+     *              prefiltered mipmap levels.
+     * @name isReady
+     */
+    this.isReady = false;
+
+    // The prefiltering in progress, if any. A new cube map replaces it.
+    this._prefilterJob = null;
+};
+
+ShipGL.EnvironmentMap.prototype = Object.create(ShipGL.GLResource.prototype);
+
+/**
+ * The texture unit bind uses for the cube map. Material maps use the
+ * units below it.
+ */
+ShipGL.EnvironmentMap.TEXTURE_UNIT = 7;
+
+/**
+ * The largest face size of the mipmapped cube map.
+ */
+ShipGL.EnvironmentMap.MAX_SIZE = 512;
+
+/**
+ * The face size the cube map is sampled at to compute the irradiance.
+ */
+ShipGL.EnvironmentMap.SAMPLE_SIZE = 32;
+
+/**
+ * The number of GGX samples averaged for every texel of the prefiltered
+ * mipmap levels.
+ */
+ShipGL.EnvironmentMap.PREFILTER_SAMPLES = 32;
+
+/**
+ * The longest time, in milliseconds, spent prefiltering at once before
+ * letting the browser draw a frame.
+ */
+ShipGL.EnvironmentMap.PREFILTER_SLICE_TIME = 8;
+
+/**
+ * Load the environment from a directory of cube map faces. See
+ * ShipGL.CubeTexture.prototype.loadDirectory.
+ *
+ * @this {ShipGL.EnvironmentMap}
+ *
+ * @param {string} path The path to the image folder
+ * @param {string} ext The image extension (".jpg", ".png", etc.)
+ * @param {function} [onLoad] Called with the environment map once it is
+ *                            ready
+ * @param {function} [onError] Called with a ShipGL.FileLoadError if a face
+ *                             could not be loaded
+ */
+ShipGL.EnvironmentMap.prototype.loadDirectory = function(path, ext, onLoad, onError)
+{
+    var scope = this;
+    var source = new ShipGL.CubeTexture(this.gl);
+
+    source.loadDirectory(path, ext, function()
+    {
+        scope.setCubeTexture(source, onLoad);
+
+        // The faces now live in the mipmapped copy.
+        scope.gl.deleteTexture(source.rawTexture);
+    }, onError);
+};
+
+/**
+ * Compute the environment from a loaded cube map. The cube map itself is
+ * left untouched, so a skybox can keep drawing it. The mipmap levels are
+ * prefiltered on the CPU in slices of at most PREFILTER_SLICE_TIME, so
+ * the page keeps drawing meanwhile. The environment map is not ready
+ * until they are all done, which takes a second or so for large cube
+ * maps.
+ *
+ * @this {ShipGL.EnvironmentMap}
+ *
+ * @param {ShipGL.CubeTexture} cubeTexture The loaded cube map
+ * @param {function} [onReady] Called with the environment map once it is
+ *                             ready
+ */
+ShipGL.EnvironmentMap.prototype.setCubeTexture = function(cubeTexture, onReady)
+{
+    if (!cubeTexture.isLoaded)
+    {
+        throw new Error("ShipGL.EnvironmentMap needs a loaded cube map");
+    }
+
+    var faceSize = cubeTexture.getFaceImage(0).width;
+    var size = ShipGL.Math.isPowerOf2(faceSize) ? faceSize :
+                                                  ShipGL.Math.nextHighestPowerOf2(faceSize) / 2;
+    size = Math.min(size, ShipGL.EnvironmentMap.MAX_SIZE);
+
+    var sampleSize = Math.min(size, ShipGL.EnvironmentMap.SAMPLE_SIZE);
+    var sampleCanvas = this._createCanvas(sampleSize);
+    var sampleContext = sampleCanvas.getContext("2d");
+
+    this.mipCount = Math.round(Math.log(size) / Math.LN2) + 1;
+    this.irradianceCoefficients.set(new Float32Array(27));
+    this.isReady = false;
+
+    this.cubeTexture.bind();
+    this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL, 0);
+
+    var i, level, faceCanvas, faceContext, image, levels = [];
+    for (level = 0; level < this.mipCount; level++)
+    {
+        faceCanvas = this._createCanvas(size >> level);
+        faceContext = faceCanvas.getContext("2d");
+        levels.push([]);
+
+        for (i = 0; i < 6; i++)
+        {
+            faceContext.drawImage(cubeTexture.getFaceImage(i), 0, 0, size >> level, size >> level);
+            levels[level].push(faceContext.getImageData(0, 0, size >> level, size >> level));
+
+            if (level == 0)
+            {
+                this.gl.texImage2D(this.gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, 0, this.gl.RGBA,
+                                   this.gl.RGBA, this.gl.UNSIGNED_BYTE, faceCanvas);
+            }
+        }
+    }
+
+    for (i = 0; i < 6; i++)
+    {
+        image = cubeTexture.getFaceImage(i);
+
+        sampleContext.drawImage(image, 0, 0, sampleSize, sampleSize);
+        this._accumulateIrradiance(i, sampleContext.getImageData(0, 0, sampleSize, sampleSize));
+    }
+
+    this.gl.texParameteri(this.gl.TEXTURE_CUBE_MAP, this.gl.TEXTURE_MIN_FILTER,
+                          this.gl.LINEAR_MIPMAP_LINEAR);
+    this.gl.texParameteri(this.gl.TEXTURE_CUBE_MAP, this.gl.TEXTURE_MAG_FILTER,
+                          this.gl.LINEAR);
+    this.cubeTexture.setRepeatS(false);
+    this.cubeTexture.setRepeatT(false);
+    this.cubeTexture.unbind();
+
+    this.cubeTexture.isLoaded = true;
+    this._finishIrradiance();
+    this._prefilter(levels, onReady);
+};
+
+/**
+ * Set the environment map's uniforms on a bound shader program and bind
+ * its cube map to ShipGL.EnvironmentMap.TEXTURE_UNIT.
+ *
+ * @this {ShipGL.EnvironmentMap}
+ *
+ * @param {ShipGL.ShaderProgram} program The bound shader program
+ */
+ShipGL.EnvironmentMap.prototype.bind = function(program)
+{
+    this.cubeTexture.bind(ShipGL.EnvironmentMap.TEXTURE_UNIT);
+
+    program.setUniform1i("uEnvMap", ShipGL.EnvironmentMap.TEXTURE_UNIT);
+    program.setUniform1f("uEnvMipCount", this.mipCount);
+    program.setUniformVec3f("uIrradianceSH", this.irradianceCoefficients);
+    program.setUniform1f("uEnvIntensity", this.intensity);
+};
+
+/**
+ * Unbind the cube map from ShipGL.EnvironmentMap.TEXTURE_UNIT, leaving
+ * TEXTURE0 active.
+ *
+ * @this {ShipGL.EnvironmentMap}
+ */
+ShipGL.EnvironmentMap.prototype.unbind = function()
+{
+    this.gl.activeTexture(this.gl.TEXTURE0 + ShipGL.EnvironmentMap.TEXTURE_UNIT);
+    this.cubeTexture.unbind();
+    this.gl.activeTexture(this.gl.TEXTURE0);
+};
+
+ShipGL.EnvironmentMap.prototype._createCanvas = function(size)
+{
+    var canvas = document.createElement("canvas");
+    canvas.width = size;
+    canvas.height = size;
+
+    return canvas;
+};
+
+// Project one face onto the first nine spherical harmonics, weighting each
+// texel by the solid angle it covers.
+ShipGL.EnvironmentMap.prototype._accumulateIrradiance = function(face, imageData)
+{
+    var size = imageData.width;
+    var pixels = imageData.data;
+    var sh = this.irradianceCoefficients;
+    var dir = vec3.create();
+    var basis = new Float32Array(9);
+
+    var x, y, u, v, k, offset, weight, r, g, b;
+    for (y = 0; y < size; y++)
+    {
+        for (x = 0; x < size; x++)
+        {
+            u = 2 * (x + 0.5) / size - 1;
+            v = 2 * (y + 0.5) / size - 1;
+
+            ShipGL.EnvironmentMap._faceDirection(face, u, v, dir);
+            weight = 4 / (size * size * Math.pow(1 + u * u + v * v, 1.5));
+            ShipGL.EnvironmentMap._shBasis(vec3.normalize(dir), basis);
+
+            // Faces are sRGB, so convert to linear before integrating.
+            offset = 4 * (y * size + x);
+            r = Math.pow(pixels[offset] / 255, 2.2) * weight;
+            g = Math.pow(pixels[offset + 1] / 255, 2.2) * weight;
+            b = Math.pow(pixels[offset + 2] / 255, 2.2) * weight;
+
+            for (k = 0; k < 9; k++)
+            {
+                sh[3 * k] += r * basis[k];
+                sh[3 * k + 1] += g * basis[k];
+                sh[3 * k + 2] += b * basis[k];
+            }
+        }
+    }
+};
+
+// Convolve the projected radiance with the cosine lobe, one factor per
+// band, and divide by pi so shaders get the diffusely reflected light.
+ShipGL.EnvironmentMap.prototype._finishIrradiance = function()
+{
+    var bandFactors = [1, 2 / 3, 2 / 3, 2 / 3, 1 / 4, 1 / 4, 1 / 4, 1 / 4, 1 / 4];
+
+    var i;
+    for (i = 0; i < 27; i++)
+    {
+        this.irradianceCoefficients[i] *= bandFactors[Math.floor(i / 3)];
+    }
+};
+
+// Prefilter mipmap levels 1 and up a row at a time, yielding to the
+// browser whenever a slice has taken PREFILTER_SLICE_TIME. levels holds
+// the sRGB image data of every face of every level.
+ShipGL.EnvironmentMap.prototype._prefilter = function(levels, onReady)
+{
+    var scope = this, job = {};
+    var level = 1, face = 0, row = 0, samples = null, pixels = null;
+
+    this._prefilterJob = job;
+
+    function slice()
+    {
+        // A newer cube map took over.
+        if (scope._prefilterJob != job)
+        {
+            return;
+        }
+
+        var size, startTime = new Date().getTime();
+
+        while (level < levels.length)
+        {
+            size = levels[level][face].width;
+
+            if (!pixels)
+            {
+                samples = samples || scope._prefilterSamples(levels, level);
+                pixels = new Uint8Array(4 * size * size);
+            }
+
+            scope._prefilterRow(levels, level, face, row, samples, pixels);
+            row++;
+
+            if (row == size)
+            {
+                scope.cubeTexture.bind();
+                scope.gl.texImage2D(scope.gl.TEXTURE_CUBE_MAP_POSITIVE_X + face, level,
+                                    scope.gl.RGBA, size, size, 0, scope.gl.RGBA,
+                                    scope.gl.UNSIGNED_BYTE, pixels);
+                scope.cubeTexture.unbind();
+
+                pixels = null;
+                row = 0;
+                face++;
+
+                if (face == 6)
+                {
+                    face = 0;
+                    level++;
+                    samples = null;
+                }
+            }
+
+            if (new Date().getTime() - startTime >= ShipGL.EnvironmentMap.PREFILTER_SLICE_TIME)
+            {
+                setTimeout(slice, 0);
+                return;
+            }
+        }
+
+        scope._prefilterJob = null;
+        scope.isReady = true;
+
+        if (onReady)
+        {
+            onReady(scope);
+        }
+    };
+
+    slice();
+};
+
+// The GGX samples of a mipmap level's roughness, assuming the view
+// direction is the normal, as in the split sum approximation. They are the
+// same for every texel, so they're computed once in a frame where the
+// normal is +Z. Each sample is read from the level whose texels cover
+// about as much solid angle as the sample does, which keeps the few
+// samples from aliasing.
+ShipGL.EnvironmentMap.prototype._prefilterSamples = function(levels, level)
+{
+    var sampleCount = ShipGL.EnvironmentMap.PREFILTER_SAMPLES;
+    var baseSize = levels[0][0].width;
+    var roughness = level / (levels.length - 1);
+    var alpha2 = roughness * roughness * roughness * roughness;
+    var texelSolidAngle = 4 * Math.PI / (6 * baseSize * baseSize);
+    var samples = [];
+
+    var i, phi, cosTheta, sinTheta, d, pdf, sourceLevel;
+    for (i = 0; i < sampleCount; i++)
+    {
+        phi = 2 * Math.PI * (i + 0.5) / sampleCount;
+        d = ShipGL.EnvironmentMap._radicalInverse(i);
+        cosTheta = Math.sqrt((1 - d) / (1 + (alpha2 - 1) * d));
+        sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+
+        d = cosTheta * cosTheta * (alpha2 - 1) + 1;
+        pdf = alpha2 / (Math.PI * d * d) / 4;
+        sourceLevel = 0.5 * Math.log(1 / (sampleCount * pdf * texelSolidAngle)) / Math.LN2 + 1;
+
+        // Reflect the normal about the sampled halfway vector. Samples
+        // below the surface don't contribute.
+        if (2 * cosTheta * cosTheta - 1 > 0)
+        {
+            samples.push({ x: 2 * cosTheta * sinTheta * Math.cos(phi),
+                           y: 2 * cosTheta * sinTheta * Math.sin(phi),
+                           z: 2 * cosTheta * cosTheta - 1,
+                           level: Math.min(Math.max(Math.round(sourceLevel), 0),
+                                           levels.length - 1)
+            });
+        }
+    }
+
+    return samples;
+};
+
+// Prefilter one row of a face by averaging the environment over the GGX
+// lobe, writing sRGB RGBA bytes to pixels.
+ShipGL.EnvironmentMap.prototype._prefilterRow = function(levels, level, face, y, samples, pixels)
+{
+    var size = levels[level][face].width;
+    var normal = vec3.create(), tangent = vec3.create(), bitangent = vec3.create();
+    var dir = vec3.create(), color = vec3.create();
+
+    var x, i, offset, sample, weight;
+    for (x = 0; x < size; x++)
+    {
+        ShipGL.EnvironmentMap._faceDirection(face, 2 * (x + 0.5) / size - 1,
+                                             2 * (y + 0.5) / size - 1, normal);
+        vec3.normalize(normal);
+
+        vec3.cross(Math.abs(normal[2]) < 0.999 ? ShipGL.EnvironmentMap._Z_AXIS :
+                                                  ShipGL.EnvironmentMap._X_AXIS,
+                   normal, tangent);
+        vec3.normalize(tangent);
+        vec3.cross(normal, tangent, bitangent);
+
+        color[0] = color[1] = color[2] = 0;
+        weight = 0;
+
+        for (i = 0; i < samples.length; i++)
+        {
+            sample = samples[i];
+
+            dir[0] = tangent[0] * sample.x + bitangent[0] * sample.y + normal[0] * sample.z;
+            dir[1] = tangent[1] * sample.x + bitangent[1] * sample.y + normal[1] * sample.z;
+            dir[2] = tangent[2] * sample.x + bitangent[2] * sample.y + normal[2] * sample.z;
+
+            ShipGL.EnvironmentMap._addTexel(levels[sample.level], dir, sample.z, color);
+            weight += sample.z;
+        }
+
+        offset = 4 * (y * size + x);
+        pixels[offset] = Math.round(255 * Math.min(Math.pow(color[0] / weight, 1 / 2.2), 1));
+        pixels[offset + 1] = Math.round(255 * Math.min(Math.pow(color[1] / weight, 1 / 2.2), 1));
+        pixels[offset + 2] = Math.round(255 * Math.min(Math.pow(color[2] / weight, 1 / 2.2), 1));
+        pixels[offset + 3] = 255;
+    }
+};
+
+// The axes the tangent frames of _prefilterRow are built from.
+ShipGL.EnvironmentMap._X_AXIS = [1, 0, 0];
+ShipGL.EnvironmentMap._Z_AXIS = [0, 0, 1];
+
+// Linear values of sRGB bytes, so faces can stay in their compact image
+// data while being prefiltered.
+ShipGL.EnvironmentMap._LINEAR_VALUES = (function()
+{
+    var i, values = new Float32Array(256);
+    for (i = 0; i < 256; i++)
+    {
+        values[i] = Math.pow(i / 255, 2.2);
+    }
+
+    return values;
+})();
+
+// Add the weighted color of the texel a direction points at to dest. This
+// is the inverse of _faceDirection.
+ShipGL.EnvironmentMap._addTexel = function(faces, dir, weight, dest)
+{
+    var x = dir[0], y = dir[1], z = dir[2];
+    var ax = Math.abs(x), ay = Math.abs(y), az = Math.abs(z);
+    var face, u, v;
+
+    if (ax >= ay && ax >= az)
+    {
+        face = x > 0 ? 0 : 1;
+        u = (x > 0 ? -z : z) / ax;
+        v = -y / ax;
+    }
+    else if (ay >= az)
+    {
+        face = y > 0 ? 2 : 3;
+        u = x / ay;
+        v = (y > 0 ? z : -z) / ay;
+    }
+    else
+    {
+        face = z > 0 ? 4 : 5;
+        u = (z > 0 ? x : -x) / az;
+        v = -y / az;
+    }
+
+    var size = faces[face].width, data = faces[face].data;
+    var linear = ShipGL.EnvironmentMap._LINEAR_VALUES;
+    var column = Math.min(Math.floor((u + 1) / 2 * size), size - 1);
+    var row = Math.min(Math.floor((v + 1) / 2 * size), size - 1);
+    var offset = 4 * (row * size + column);
+
+    dest[0] += linear[data[offset]] * weight;
+    dest[1] += linear[data[offset + 1]] * weight;
+    dest[2] += linear[data[offset + 2]] * weight;
+};
+
+// The base 2 radical inverse of i, which spreads the samples' second
+// coordinate evenly over [0, 1).
+ShipGL.EnvironmentMap._radicalInverse = function(i)
+{
+    var result = 0, fraction = 0.5;
+
+    while (i > 0)
+    {
+        result += fraction * (i & 1);
+        i >>= 1;
+        fraction *= 0.5;
+    }
+
+    return result;
+};
+
+// The direction through texel (u, v) of a cube map face, following the
+// WebGL cube map conventions.
+ShipGL.EnvironmentMap._faceDirection = function(face, u, v, dest)
+{
+    switch (face)
+    {
+    case 0: dest[0] = 1;  dest[1] = -v; dest[2] = -u; break;
+    case 1: dest[0] = -1; dest[1] = -v; dest[2] = u;  break;
+    case 2: dest[0] = u;  dest[1] = 1;  dest[2] = v;  break;
+    case 3: dest[0] = u;  dest[1] = -1; dest[2] = -v; break;
+    case 4: dest[0] = u;  dest[1] = -v; dest[2] = 1;  break;
+    default: dest[0] = -u; dest[1] = -v; dest[2] = -1; break;
+    }
+
+    return dest;
+};
+
+// The first nine real spherical harmonics basis functions.
+ShipGL.EnvironmentMap._shBasis = function(dir, dest)
+{
+    var x = dir[0], y = dir[1], z = dir[2];
+
+    dest[0] = 0.282095;
+    dest[1] = 0.488603 * y;
+    dest[2] = 0.488603 * z;
+    dest[3] = 0.488603 * x;
+    dest[4] = 1.092548 * x * y;
+    dest[5] = 1.092548 * y * z;
+    dest[6] = 0.315392 * (3 * z * z - 1);
+    dest[7] = 1.092548 * x * z;
+    dest[8] = 0.546274 * (x * x - y * y);
+
+    return dest;
+};
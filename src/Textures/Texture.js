@@ -81,6 +81,10 @@ ShipGL.Texture = function(gl)
     {
         scope.onImageLoad();
     };
+    this._image.onerror = function()
+    {
+        scope.onImageError();
+    };
 };
 
 /**
@@ -90,11 +94,29 @@ ShipGL.Texture = function(gl)
  * want to unbind all of them (TEXTURE_2D and TEXTURE_CUBE_MAP).
  *
  * @param {WebGLRenderingContext} gl The rendering context
+ * @param {number} [unitCount] The number of texture units, starting at
+ *                             unit 0, to unbind the textures from. TEXTURE0
+ *                             is left active afterwards. If not specified,
+ *                             only the active unit's textures are unbound.
  */
-ShipGL.Texture.unbindAll = function(gl)
+ShipGL.Texture.unbindAll = function(gl, unitCount)
 {
-    gl.bindTexture(gl.TEXTURE_2D, null);
-    gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+    if (unitCount === undefined)
+    {
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+        return;
+    }
+
+    var i;
+    for (i = unitCount - 1; i >= 0; i--)
+    {
+        gl.activeTexture(gl.TEXTURE0 + i);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+    }
+
+    gl.activeTexture(gl.TEXTURE0);
 };
 
 ShipGL.Texture.prototype = Object.create(ShipGL.GLResource.prototype);
@@ -144,9 +166,15 @@ ShipGL.Texture.prototype.unbind = function()
  * @this {ShipGL.Texture}
  *
  * @param {string} pathToTexture Path to the image file
+ * @param {function} [onLoad] Called with the texture once it is loaded
+ * @param {function} [onError] Called with a ShipGL.FileLoadError if the
+ *                             image could not be loaded
  */
-ShipGL.Texture.prototype.load = function(pathToTexture)
+ShipGL.Texture.prototype.load = function(pathToTexture, onLoad, onError)
 {
+    this._onLoad = onLoad;
+    this._onError = onError;
+
     // Kick off the asynchronous image load.
     this._image.src = pathToTexture;
 };
@@ -235,4 +263,22 @@ ShipGL.Texture.prototype.onImageLoad = function()
     this.isLoaded = true;
 
     delete this._image;
+
+    if (this._onLoad)
+    {
+        this._onLoad(this);
+    }
+};
+
+/**
+ * Callback used to report an image that failed to load.
+ *
+ * @this {ShipGL.Texture}
+ */
+ShipGL.Texture.prototype.onImageError = function()
+{
+    if (this._onError)
+    {
+        this._onError(new ShipGL.FileLoadError(this._image.src, 0, "error"));
+    }
 };